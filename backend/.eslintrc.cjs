@@ -18,6 +18,13 @@ module.exports = {
         sourceType: "script",
       },
     },
+    {
+      env: {
+        node: true,
+        jest: true,
+      },
+      files: ["**/tests/**/*.test.js"],
+    },
   ],
   parserOptions: {
     parser: "@babel/eslint-parser",
@@ -1,4 +1,8 @@
 const adminService = require("../services/adminService");
+const passwordResetService = require("../services/passwordResetService");
+const twoFactorService = require("../services/twoFactorService");
+const settingService = require("../services/settingService");
+const adminInviteService = require("../services/adminInviteService");
 const {
   setAuthCookies,
   clearAuthCookies,
@@ -27,6 +31,14 @@ const login = async (req, res) => {
 
     const result = await adminService.loginAdmin({ email, password }, metadata);
 
+    // Two-factor accounts get a challenge instead of a session; no cookies yet
+    if (result.twoFactorRequired) {
+      return createSuccessResponse(res, {
+        twoFactorRequired: true,
+        challengeToken: result.challengeToken,
+      }, result.message, 200);
+    }
+
     // Set cookies (primary auth for desktop browsers)
     setAuthCookies(res, result.tokens);
 
@@ -157,6 +169,161 @@ const changePassword = async (req, res) => {
   }
 };
 
+/**
+ * Second login step for accounts with two-factor on
+ * POST /api/admin/login/2fa
+ */
+const loginTwoFactor = async (req, res) => {
+  try {
+    const result = await adminService.completeTwoFactorLogin(req.body, getRequestMetadata(req));
+
+    setAuthCookies(res, result.tokens);
+
+    logger.info("Admin two-factor login successful", { adminId: result.admin.id });
+    return createSuccessResponse(res, {
+      admin: result.admin,
+      tokens: {
+        accessToken: result.tokens.accessToken,
+        refreshToken: result.tokens.refreshToken,
+      },
+      recoveryCodesRemaining: result.recoveryCodesRemaining,
+    }, result.message, 200);
+  } catch (error) {
+    logger.error("Admin two-factor login failed", { error: error.message });
+    return createErrorResponse(res, error, "loginTwoFactor");
+  }
+};
+
+// ============================================
+// Two-Factor Handlers
+// ============================================
+
+/**
+ * Get current admin's two-factor status
+ * GET /api/admin/2fa
+ */
+const getTwoFactorStatus = async (req, res) => {
+  try {
+    const result = await twoFactorService.getStatus(req.admin.id);
+    return createSuccessResponse(res, result, "Two-factor status retrieved", 200);
+  } catch (error) {
+    logger.error("Get two-factor status failed", { error: error.message, adminId: req.admin?.id });
+    return createErrorResponse(res, error, "getTwoFactorStatus");
+  }
+};
+
+/**
+ * Start two-factor enrollment
+ * POST /api/admin/2fa/setup
+ */
+const setupTwoFactor = async (req, res) => {
+  try {
+    const result = await twoFactorService.beginSetup(req.admin.id);
+    return createSuccessResponse(res, result, "Scan the QR code with your authenticator app", 200);
+  } catch (error) {
+    logger.error("Two-factor setup failed", { error: error.message, adminId: req.admin?.id });
+    return createErrorResponse(res, error, "setupTwoFactor");
+  }
+};
+
+/**
+ * Confirm enrollment with a code
+ * POST /api/admin/2fa/enable
+ */
+const enableTwoFactor = async (req, res) => {
+  try {
+    const result = await twoFactorService.enable(req.admin.id, req.body);
+    return createSuccessResponse(res, { recoveryCodes: result.recoveryCodes }, result.message, 200);
+  } catch (error) {
+    logger.error("Enable two-factor failed", { error: error.message, adminId: req.admin?.id });
+    return createErrorResponse(res, error, "enableTwoFactor");
+  }
+};
+
+/**
+ * Turn two-factor off
+ * POST /api/admin/2fa/disable
+ */
+const disableTwoFactor = async (req, res) => {
+  try {
+    const result = await twoFactorService.disable(req.admin.id, req.body);
+    return createSuccessResponse(res, {}, result.message, 200);
+  } catch (error) {
+    logger.error("Disable two-factor failed", { error: error.message, adminId: req.admin?.id });
+    return createErrorResponse(res, error, "disableTwoFactor");
+  }
+};
+
+/**
+ * Replace recovery codes
+ * POST /api/admin/2fa/recovery-codes
+ */
+const regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const result = await twoFactorService.regenerateRecoveryCodes(req.admin.id, req.body);
+    return createSuccessResponse(res, { recoveryCodes: result.recoveryCodes }, result.message, 200);
+  } catch (error) {
+    logger.error("Regenerate recovery codes failed", { error: error.message, adminId: req.admin?.id });
+    return createErrorResponse(res, error, "regenerateRecoveryCodes");
+  }
+};
+
+/**
+ * Email a password reset link
+ * POST /api/admin/forgot-password
+ */
+const forgotPassword = async (req, res) => {
+  try {
+    const result = await passwordResetService.requestPasswordReset(req.body, getRequestMetadata(req));
+    return createSuccessResponse(res, {}, result.message, 200);
+  } catch (error) {
+    logger.error("Forgot password failed", { error: error.message });
+    return createErrorResponse(res, error, "forgotPassword");
+  }
+};
+
+/**
+ * Set a new password from a reset link
+ * POST /api/admin/reset-password
+ */
+const resetPassword = async (req, res) => {
+  try {
+    const result = await passwordResetService.resetPassword(req.body);
+    clearAuthCookies(res);
+    return createSuccessResponse(res, {}, result.message, 200);
+  } catch (error) {
+    logger.error("Reset password failed", { error: error.message });
+    return createErrorResponse(res, error, "resetPassword");
+  }
+};
+
+/**
+ * Look up an invite link for the accept invite page
+ * GET /api/admin/invite?token=
+ */
+const getInvite = async (req, res) => {
+  try {
+    const result = await adminInviteService.getInvite(req.query.token);
+    return createSuccessResponse(res, result, "Invite found", 200);
+  } catch (error) {
+    return createErrorResponse(res, error, "getInvite");
+  }
+};
+
+/**
+ * Accept an invite and set a password
+ * POST /api/admin/accept-invite
+ */
+const acceptInvite = async (req, res) => {
+  try {
+    const result = await adminInviteService.acceptInvite(req.body);
+    return createSuccessResponse(res, {}, result.message, 200);
+  } catch (error) {
+    logger.error("Accept invite failed", { error: error.message });
+    return createErrorResponse(res, error, "acceptInvite");
+  }
+};
+
 // ============================================
 // Session Handlers
 // ============================================
@@ -271,7 +438,7 @@ const updateAdmin = async (req, res) => {
 const changeRole = async (req, res) => {
   try {
     const { adminId } = req.params;
-    const { role } = updateAdminRoleSchema.parse(req.body);
+    const { role, classTypes } = updateAdminRoleSchema.parse(req.body);
 
     // Prevent changing own role
     if (adminId === req.admin.id) {
@@ -284,7 +451,7 @@ const changeRole = async (req, res) => {
       });
     }
 
-    const result = await adminService.changeAdminRole(adminId, role);
+    const result = await adminService.changeAdminRole(adminId, role, classTypes);
 
     logger.info("Admin role changed", { changedBy: req.admin.id, adminId, newRole: role });
     return createSuccessResponse(res, result, result.message, 200);
@@ -341,6 +508,119 @@ const activateAdmin = async (req, res) => {
   }
 };
 
+/**
+ * Invite a new admin by email
+ * POST /api/admin/manage/invite
+ */
+const inviteAdmin = async (req, res) => {
+  try {
+    const result = await adminInviteService.inviteAdmin(req.body, req.admin);
+    return createSuccessResponse(
+      res,
+      { invite: result.invite, emailSent: result.emailSent },
+      result.message,
+      201
+    );
+  } catch (error) {
+    logger.error("Invite admin failed", { error: error.message, adminId: req.admin?.id });
+    return createErrorResponse(res, error, "inviteAdmin");
+  }
+};
+
+/**
+ * List pending invites
+ * GET /api/admin/manage/invites
+ */
+const getInvites = async (req, res) => {
+  try {
+    const result = await adminInviteService.listInvites();
+    return createSuccessResponse(res, result, "Invites retrieved successfully", 200);
+  } catch (error) {
+    logger.error("Get invites failed", { error: error.message });
+    return createErrorResponse(res, error, "getInvites");
+  }
+};
+
+/**
+ * Resend a pending invite with a fresh link
+ * POST /api/admin/manage/invites/:inviteId/resend
+ */
+const resendInvite = async (req, res) => {
+  try {
+    const result = await adminInviteService.resendInvite(req.params.inviteId, req.admin);
+    return createSuccessResponse(
+      res,
+      { invite: result.invite, emailSent: result.emailSent },
+      result.message,
+      200
+    );
+  } catch (error) {
+    logger.error("Resend invite failed", { error: error.message, inviteId: req.params?.inviteId });
+    return createErrorResponse(res, error, "resendInvite");
+  }
+};
+
+/**
+ * Revoke a pending invite
+ * DELETE /api/admin/manage/invites/:inviteId
+ */
+const revokeInvite = async (req, res) => {
+  try {
+    const result = await adminInviteService.revokeInvite(req.params.inviteId);
+
+    logger.info("Admin invite revoked", { revokedBy: req.admin.id, inviteId: req.params.inviteId });
+    return createSuccessResponse(res, {}, result.message, 200);
+  } catch (error) {
+    logger.error("Revoke invite failed", { error: error.message, inviteId: req.params?.inviteId });
+    return createErrorResponse(res, error, "revokeInvite");
+  }
+};
+
+/**
+ * Get organisation-wide security settings
+ * GET /api/admin/manage/security
+ */
+const getSecuritySettings = async (req, res) => {
+  try {
+    const settings = await settingService.getSecuritySettings();
+    return createSuccessResponse(res, { settings }, "Security settings retrieved", 200);
+  } catch (error) {
+    logger.error("Get security settings failed", { error: error.message });
+    return createErrorResponse(res, error, "getSecuritySettings");
+  }
+};
+
+/**
+ * Update organisation-wide security settings
+ * PUT /api/admin/manage/security
+ */
+const updateSecuritySettings = async (req, res) => {
+  try {
+    const result = await settingService.updateSecuritySettings(req.body, req.admin.id);
+    return createSuccessResponse(res, { settings: result.settings }, result.message, 200);
+  } catch (error) {
+    logger.error("Update security settings failed", { error: error.message, adminId: req.admin?.id });
+    return createErrorResponse(res, error, "updateSecuritySettings");
+  }
+};
+
+/**
+ * Reset another admin's two-factor
+ * DELETE /api/admin/manage/:adminId/2fa
+ */
+const resetTwoFactor = async (req, res) => {
+  try {
+    const { adminId } = req.params;
+    const result = await twoFactorService.resetForAdmin(adminId);
+
+    logger.info("Admin two-factor reset", { resetBy: req.admin.id, adminId });
+    return createSuccessResponse(res, {}, result.message, 200);
+  } catch (error) {
+    logger.error("Reset two-factor failed", { error: error.message, adminId: req.params?.adminId });
+    return createErrorResponse(res, error, "resetTwoFactor");
+  }
+};
+
 /**
  * Get admin statistics
  * GET /api/admin/manage/stats
@@ -358,6 +638,7 @@ const getStats = async (req, res) => {
 module.exports = {
   // Authentication
   login,
+  loginTwoFactor,
   logout,
   refresh,
   logoutAll,
@@ -367,6 +648,21 @@ module.exports = {
   updateProfile,
   changePassword,
 
+  // Two-factor
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+
+  // Password reset
+  forgotPassword,
+  resetPassword,
+
+  // Invites
+  getInvite,
+  acceptInvite,
+
   // Sessions
   getSessions,
   revokeSession,
@@ -380,4 +676,11 @@ module.exports = {
   deactivateAdmin,
   activateAdmin,
   getStats,
+  inviteAdmin,
+  getInvites,
+  resendInvite,
+  revokeInvite,
+  getSecuritySettings,
+  updateSecuritySettings,
+  resetTwoFactor,
 };
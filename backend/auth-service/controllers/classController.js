@@ -0,0 +1,124 @@
+// backend/auth-service/controllers/classController.js
+const classService = require("../services/classService");
+const { createSuccessResponse, createErrorResponse } = require("../lib/utils");
+const { createLogger } = require("../shared/utils/logger");
+const { classQuerySchema } = require("../models/classDefinitionSchema");
+
+const logger = createLogger("class-controller");
+
+// ============================================
+// Public Catalog Routes
+// ============================================
+
+/**
+ * Get the class catalog (public endpoint)
+ * GET /api/students/classes
+ */
+const getPublicCatalog = async (req, res) => {
+    try {
+        const result = await classService.getPublicCatalog();
+        return createSuccessResponse(res, result, "Classes retrieved successfully", 200);
+    } catch (error) {
+        logger.error("Get public class catalog failed", { error: error.message });
+        return createErrorResponse(res, error, "getPublicCatalog");
+    }
+};
+
+// ============================================
+// Admin Class Management Routes
+// ============================================
+
+/**
+ * Get all class definitions (admin)
+ * GET /api/admin/classes
+ */
+const getAllClasses = async (req, res) => {
+    try {
+        const { includeInactive } = classQuerySchema.parse(req.query);
+
+        const result = await classService.getCatalog({ includeInactive: includeInactive ?? true });
+
+        return createSuccessResponse(res, result, "Classes retrieved successfully", 200);
+    } catch (error) {
+        logger.error("Get classes failed", { error: error.message });
+        return createErrorResponse(res, error, "getAllClasses");
+    }
+};
+
+/**
+ * Get class definition by ID (admin)
+ * GET /api/admin/classes/:classId
+ */
+const getClassById = async (req, res) => {
+    try {
+        const { classId } = req.params;
+
+        const result = await classService.getClassById(classId);
+
+        return createSuccessResponse(res, result, "Class retrieved successfully", 200);
+    } catch (error) {
+        logger.error("Get class failed", { error: error.message });
+        return createErrorResponse(res, error, "getClassById");
+    }
+};
+
+/**
+ * Create a class definition (admin)
+ * POST /api/admin/classes
+ */
+const createClass = async (req, res) => {
+    try {
+        const result = await classService.createClass(req.body);
+
+        logger.info("Class created", { key: result.classDefinition.key, adminId: req.admin?.id });
+        return createSuccessResponse(res, result, result.message, 201);
+    } catch (error) {
+        logger.error("Create class failed", { error: error.message });
+        return createErrorResponse(res, error, "createClass");
+    }
+};
+
+/**
+ * Update a class definition (admin)
+ * PATCH /api/admin/classes/:classId
+ */
+const updateClass = async (req, res) => {
+    try {
+        const { classId } = req.params;
+
+        const result = await classService.updateClass(classId, req.body);
+
+        logger.info("Class updated", { classId, adminId: req.admin?.id });
+        return createSuccessResponse(res, result, result.message, 200);
+    } catch (error) {
+        logger.error("Update class failed", { error: error.message });
+        return createErrorResponse(res, error, "updateClass");
+    }
+};
+
+/**
+ * Delete a class definition (admin)
+ * DELETE /api/admin/classes/:classId
+ */
+const deleteClass = async (req, res) => {
+    try {
+        const { classId } = req.params;
+
+        const result = await classService.deleteClass(classId);
+
+        logger.info("Class deleted", { classId, adminId: req.admin?.id });
+        return createSuccessResponse(res, result, result.message, 200);
+    } catch (error) {
+        logger.error("Delete class failed", { error: error.message });
+        return createErrorResponse(res, error, "deleteClass");
+    }
+};
+
+module.exports = {
+    getPublicCatalog,
+    getAllClasses,
+    getClassById,
+    createClass,
+    updateClass,
+    deleteClass,
+};
@@ -0,0 +1,90 @@
+// backend/auth-service/controllers/dataRequestController.js
+const dataRequestService = require("../services/dataRequestService");
+const { getRequestMetadata } = require("../middleware/authMiddleware");
+const { createSuccessResponse, createErrorResponse } = require("../lib/utils");
+const { createLogger } = require("../shared/utils/logger");
+
+const logger = createLogger("data-request-controller");
+
+// ============================================
+// Student Self-Service (OTP-verified token)
+// ============================================
+
+/**
+ * Export the verified student's data
+ * POST /api/students/data/export
+ */
+const exportOwnData = async (req, res) => {
+    try {
+        const result = await dataRequestService.exportOwnData(req.body);
+
+        return createSuccessResponse(res, result, "Your data export is ready.", 200);
+    } catch (error) {
+        logger.error("Self-service data export failed", { error: error.message });
+        return createErrorResponse(res, error, "exportOwnData");
+    }
+};
+
+/**
+ * Erase the verified student's data
+ * POST /api/students/data/erase
+ */
+const eraseOwnData = async (req, res) => {
+    try {
+        const result = await dataRequestService.eraseOwnData(req.body, getRequestMetadata(req));
+
+        return createSuccessResponse(res, result, "Your personal data has been erased.", 200);
+    } catch (error) {
+        logger.error("Self-service data erase failed", { error: error.message });
+        return createErrorResponse(res, error, "eraseOwnData");
+    }
+};
+
+// ============================================
+// Admin
+// ============================================
+
+/**
+ * Export a student's data (admin)
+ * GET /api/admin/signups/student/:studentId/export
+ */
+const exportStudentData = async (req, res) => {
+    try {
+        const { studentId } = req.params;
+
+        const result = await dataRequestService.exportStudentData(studentId);
+
+        logger.info("Student data exported by admin", { studentId, exportedBy: req.admin?.id });
+        return createSuccessResponse(res, result, "Student data exported successfully", 200);
+    } catch (error) {
+        logger.error("Admin data export failed", { error: error.message });
+        return createErrorResponse(res, error, "exportStudentData");
+    }
+};
+
+/**
+ * Erase a student's data (admin)
+ * POST /api/admin/signups/student/:studentId/erase
+ */
+const eraseStudentData = async (req, res) => {
+    try {
+        const { studentId } = req.params;
+
+        const result = await dataRequestService.adminEraseStudentData(studentId, req.body, {
+            adminId: req.admin?.id,
+            ipAddress: getRequestMetadata(req).ipAddress,
+        });
+
+        return createSuccessResponse(res, result, "Student data erased successfully", 200);
+    } catch (error) {
+        logger.error("Admin data erase failed", { error: error.message });
+        return createErrorResponse(res, error, "eraseStudentData");
+    }
+};
+
+module.exports = {
+    exportOwnData,
+    eraseOwnData,
+    exportStudentData,
+    eraseStudentData,
+};
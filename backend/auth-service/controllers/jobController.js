@@ -0,0 +1,32 @@
+// backend/auth-service/controllers/jobController.js
+const jobRunService = require("../services/jobRunService");
+const { createSuccessResponse, createErrorResponse } = require("../lib/utils");
+const { createLogger } = require("../shared/utils/logger");
+const { jobRunQuerySchema } = require("../models/jobRunSchema");
+
+const logger = createLogger("job-controller");
+
+// ============================================
+// Scheduler History Routes
+// ============================================
+
+/**
+ * Get background job run history (admin)
+ * GET /api/admin/jobs/runs
+ */
+const getRuns = async (req, res) => {
+    try {
+        const { page, limit, ...filters } = jobRunQuerySchema.parse(req.query);
+
+        const result = await jobRunService.getRuns(filters, { page, limit });
+
+        return createSuccessResponse(res, result, "Job runs retrieved successfully", 200);
+    } catch (error) {
+        logger.error("Get job runs failed", { error: error.message });
+        return createErrorResponse(res, error, "getRuns");
+    }
+};
+
+module.exports = {
+    getRuns,
+};
@@ -1,5 +1,6 @@
 // backend/auth-service/controllers/registrationOtpController.js
 const registrationOtpService = require("../services/registrationOtpService");
+const { getRequestMetadata } = require("../middleware/authMiddleware");
 const { createSuccessResponse, createErrorResponse } = require("../lib/utils");
 const { createLogger } = require("../shared/utils/logger");
 
@@ -41,7 +42,7 @@ const verifyOtp = async (req, res) => {
  */
 const completeSignup = async (req, res) => {
     try {
-        const result = await registrationOtpService.completeRegistration(req.body);
+        const result = await registrationOtpService.completeRegistration(req.body, getRequestMetadata(req));
 
         return createSuccessResponse(res, result, result.message, 201);
     } catch (error) {
@@ -1,5 +1,7 @@
 // backend/auth-service/controllers/reminderController.js
 const reminderService = require("../services/reminderService");
+const reminderQueueService = require("../services/reminderQueueService");
+const { reminderJobQuerySchema, sendReminderSchema } = require("../models/studentSchema");
 const { createSuccessResponse, createErrorResponse } = require("../lib/utils");
 const { createLogger } = require("../shared/utils/logger");
 
@@ -8,15 +10,20 @@ const logger = createLogger("reminder-controller");
 /**
  * Send reminder manually for a specific signup
  * POST /api/admin/reminders/:signupId/send
+ * Body: { stage?, force? } - a reminder that already went out is only resent with force: true
  */
 const sendReminder = async (req, res) => {
     try {
         const { signupId } = req.params;
+        const { stage, force } = sendReminderSchema.parse(req.body || {});
 
-        const result = await reminderService.sendReminder(signupId);
+        const result = await reminderService.sendReminder(signupId, { stage, force });
 
-        logger.info("Reminder sent manually", { signupId, status: result.overallStatus });
-        return createSuccessResponse(res, result, "Reminder processed successfully", 200);
+        logger.info("Reminder sent manually", { signupId, status: result.overallStatus, force });
+        const message = result.duplicate
+            ? "Reminder was already sent - send again with force to resend"
+            : "Reminder processed successfully";
+        return createSuccessResponse(res, result, message, 200);
     } catch (error) {
         logger.error("Manual reminder send failed", { error: error.message });
         return createErrorResponse(res, error, "sendReminder");
@@ -30,7 +37,7 @@ const sendReminder = async (req, res) => {
 const rescheduleReminder = async (req, res) => {
     try {
         const { signupId } = req.params;
-        const { reminderScheduledDate, reminderLevel } = req.body;
+        const { reminderScheduledDate, stage } = req.body;
 
         if (!reminderScheduledDate) {
             return res.status(400).json({
@@ -38,16 +45,16 @@ const rescheduleReminder = async (req, res) => {
                 error: { message: "reminderScheduledDate is required", code: "VALIDATION_ERROR" },
             });
         }
-        if (!reminderLevel || (Number(reminderLevel) !== 1 && Number(reminderLevel) !== 2)) {
+        if (!Number.isInteger(Number(stage)) || Number(stage) < 1) {
             return res.status(400).json({
                 success: false,
-                error: { message: "reminderLevel (1 or 2) is required", code: "VALIDATION_ERROR" },
+                error: { message: "stage (1 or greater) is required", code: "VALIDATION_ERROR" },
             });
         }
 
-        const result = await reminderService.rescheduleReminder(signupId, Number(reminderLevel), reminderScheduledDate);
+        const result = await reminderService.rescheduleReminder(signupId, Number(stage), reminderScheduledDate);
 
-        logger.info("Reminder rescheduled", { signupId, reminderLevel });
+        logger.info("Reminder rescheduled", { signupId, stage });
         return createSuccessResponse(res, result, result.message, 200);
     } catch (error) {
         logger.error("Reschedule reminder failed", { error: error.message });
@@ -90,9 +97,46 @@ const getDeliveryDetails = async (req, res) => {
     }
 };
 
+/**
+ * List reminder queue jobs (filter by status=DEAD for the dead-letter queue)
+ * GET /api/admin/reminders/jobs
+ */
+const getJobs = async (req, res) => {
+    try {
+        const { page, limit, ...filters } = reminderJobQuerySchema.parse(req.query);
+
+        const result = await reminderQueueService.getJobs(filters, { page, limit });
+
+        return createSuccessResponse(res, result, "Reminder jobs retrieved successfully", 200);
+    } catch (error) {
+        logger.error("Get reminder jobs failed", { error: error.message });
+        return createErrorResponse(res, error, "getJobs");
+    }
+};
+
+/**
+ * Requeue a dead reminder job
+ * POST /api/admin/reminders/jobs/:jobId/retry
+ */
+const retryJob = async (req, res) => {
+    try {
+        const { jobId } = req.params;
+
+        const result = await reminderQueueService.retryDeadJob(jobId);
+
+        logger.info("Reminder job requeued", { jobId });
+        return createSuccessResponse(res, result, result.message, 200);
+    } catch (error) {
+        logger.error("Retry reminder job failed", { error: error.message });
+        return createErrorResponse(res, error, "retryJob");
+    }
+};
+
 module.exports = {
     sendReminder,
     rescheduleReminder,
     resetReminder,
     getDeliveryDetails,
+    getJobs,
+    retryJob,
 };
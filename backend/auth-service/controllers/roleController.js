@@ -0,0 +1,81 @@
+// backend/auth-service/controllers/roleController.js
+const roleService = require("../services/roleService");
+const { createSuccessResponse, createErrorResponse } = require("../lib/utils");
+const { createLogger } = require("../shared/utils/logger");
+
+const logger = createLogger("role-controller");
+
+// ============================================
+// Role Management Handlers
+// ============================================
+
+/**
+ * List roles and the permission catalog
+ * GET /api/admin/roles
+ */
+const getRoles = async (req, res) => {
+  try {
+    const result = await roleService.getRoles();
+    return createSuccessResponse(res, result, "Roles retrieved successfully", 200);
+  } catch (error) {
+    logger.error("Get roles failed", { error: error.message });
+    return createErrorResponse(res, error, "getRoles");
+  }
+};
+
+/**
+ * Create a role
+ * POST /api/admin/roles
+ */
+const createRole = async (req, res) => {
+  try {
+    const result = await roleService.createRole(req.body);
+
+    logger.info("Role created", { createdBy: req.admin.id, roleId: result.role.id });
+    return createSuccessResponse(res, result, result.message, 201);
+  } catch (error) {
+    logger.error("Create role failed", { error: error.message });
+    return createErrorResponse(res, error, "createRole");
+  }
+};
+
+/**
+ * Update a role
+ * PUT /api/admin/roles/:roleId
+ */
+const updateRole = async (req, res) => {
+  try {
+    const { roleId } = req.params;
+    const result = await roleService.updateRole(roleId, req.body);
+
+    logger.info("Role updated", { updatedBy: req.admin.id, roleId });
+    return createSuccessResponse(res, result, result.message, 200);
+  } catch (error) {
+    logger.error("Update role failed", { error: error.message, roleId: req.params?.roleId });
+    return createErrorResponse(res, error, "updateRole");
+  }
+};
+
+/**
+ * Delete a role
+ * DELETE /api/admin/roles/:roleId
+ */
+const deleteRole = async (req, res) => {
+  try {
+    const { roleId } = req.params;
+    const result = await roleService.deleteRole(roleId);
+
+    logger.info("Role deleted", { deletedBy: req.admin.id, roleId });
+    return createSuccessResponse(res, {}, result.message, 200);
+  } catch (error) {
+    logger.error("Delete role failed", { error: error.message, roleId: req.params?.roleId });
+    return createErrorResponse(res, error, "deleteRole");
+  }
+};
+
+module.exports = {
+  getRoles,
+  createRole,
+  updateRole,
+  deleteRole,
+};
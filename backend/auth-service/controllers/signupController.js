@@ -1,6 +1,10 @@
 // backend/auth-service/controllers/signupController.js
 const signupService = require("../services/signupService");
+const studentService = require("../services/studentService");
+const consentService = require("../services/consentService");
+const { inClassScope } = require("../middleware/authMiddleware");
 const { createSuccessResponse, createErrorResponse } = require("../lib/utils");
+const { AuthorizationError } = require("../shared/utils/errors");
 const { createLogger } = require("../shared/utils/logger");
 const { signupQuerySchema } = require("../models/studentSchema");
 
@@ -10,6 +14,17 @@ const logger = createLogger("signup-controller");
 // Admin Signup Management Routes
 // ============================================
 
+/**
+ * Reject a class outside the admin's class scope
+ * @param {Object} admin - req.admin
+ * @param {string} classType - Class being written to
+ */
+const assertClassInScope = (admin, classType) => {
+    if (classType && !inClassScope(admin, classType)) {
+        throw AuthorizationError("You can only manage students in the classes you teach.", "CLASS_OUT_OF_SCOPE");
+    }
+};
+
 /**
  * Get all signups with filters and pagination (admin)
  * GET /api/signups
@@ -19,7 +34,7 @@ const getAllSignups = async (req, res) => {
         const query = signupQuerySchema.parse(req.query);
         const { page, limit, sortBy, sortOrder, ...filters } = query;
 
-        const result = await signupService.getAllSignups(filters, {
+        const result = await signupService.getAllSignups({ ...filters, classTypes: req.admin?.classScope }, {
             page,
             limit,
             sortBy,
@@ -39,7 +54,7 @@ const getAllSignups = async (req, res) => {
  */
 const getStats = async (req, res) => {
     try {
-        const result = await signupService.getSignupStats();
+        const result = await signupService.getSignupStats(req.admin?.classScope);
         return createSuccessResponse(res, result, "Statistics retrieved successfully", 200);
     } catch (error) {
         logger.error("Get signup stats failed", { error: error.message });
@@ -47,6 +62,24 @@ const getStats = async (req, res) => {
     }
 };
 
+/**
+ * Add a student to a class (admin)
+ * POST /api/admin/signups
+ */
+const createSignup = async (req, res) => {
+    try {
+        assertClassInScope(req.admin, req.body?.classType);
+
+        const result = await studentService.createSignup(req.body);
+
+        logger.info("Signup created by admin", { signupId: result.signup.id, createdBy: req.admin?.id });
+        return createSuccessResponse(res, result, "Student added successfully", 201);
+    } catch (error) {
+        logger.error("Admin create signup failed", { error: error.message });
+        return createErrorResponse(res, error, "createSignup");
+    }
+};
+
 /**
  * Get signup by ID (admin)
  * GET /api/signups/:signupId
@@ -71,6 +104,7 @@ const getSignupById = async (req, res) => {
 const updateSignup = async (req, res) => {
     try {
         const { signupId } = req.params;
+        assertClassInScope(req.admin, req.body?.classType);
 
         const result = await signupService.updateSignup(signupId, req.body);
 
@@ -118,11 +152,31 @@ const deleteStudent = async (req, res) => {
     }
 };
 
+/**
+ * Full consent history for a student (compliance export)
+ * GET /api/admin/signups/student/:studentId/consent
+ */
+const getConsentHistory = async (req, res) => {
+    try {
+        const { studentId } = req.params;
+
+        const result = await consentService.getConsentHistory(studentId);
+
+        logger.info("Consent history exported", { studentId, exportedBy: req.admin?.id });
+        return createSuccessResponse(res, result, "Consent history retrieved successfully", 200);
+    } catch (error) {
+        logger.error("Get consent history failed", { error: error.message });
+        return createErrorResponse(res, error, "getConsentHistory");
+    }
+};
+
 module.exports = {
+    createSignup,
     getAllSignups,
     getStats,
     getSignupById,
     updateSignup,
     deleteSignup,
     deleteStudent,
+    getConsentHistory,
 };
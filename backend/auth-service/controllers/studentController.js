@@ -1,5 +1,7 @@
 // backend/auth-service/controllers/studentController.js
 const studentService = require("../services/studentService");
+const { getCurrentDisclosure } = require("../lib/consentDisclosures");
+const { getRequestMetadata } = require("../middleware/authMiddleware");
 const { createSuccessResponse, createErrorResponse } = require("../lib/utils");
 const { createLogger } = require("../shared/utils/logger");
 
@@ -77,10 +79,11 @@ const updateOptOut = async (req, res) => {
         const { studentId } = req.params;
         const { optedOutEmail, optedOutSms } = req.body;
 
-        const result = await studentService.updateOptOutPreference(studentId, {
-            optedOutEmail,
-            optedOutSms,
-        });
+        const result = await studentService.updateOptOutPreference(
+            studentId,
+            { optedOutEmail, optedOutSms },
+            getRequestMetadata(req)
+        );
 
         logger.info("Opt-out preference updated", { studentId });
         return createSuccessResponse(res, result, result.message, 200);
@@ -90,9 +93,18 @@ const updateOptOut = async (req, res) => {
     }
 };
 
+/**
+ * Consent disclosure the registration page shows and sends back with completeSignup
+ * GET /api/students/consent-disclosure
+ */
+const getConsentDisclosure = (req, res) => {
+    return createSuccessResponse(res, getCurrentDisclosure(), "Consent disclosure retrieved successfully", 200);
+};
+
 module.exports = {
     createSignup,
     getSignupConfirmation,
     getStudentSignups,
     updateOptOut,
+    getConsentDisclosure,
 };
@@ -1,25 +1,139 @@
 // backend/auth-service/controllers/templateController.js
 const templateRepository = require("../repositories/templateRepository");
+const templateService = require("../services/templateService");
+const classService = require("../services/classService");
+const classDefinitionRepository = require("../repositories/classDefinitionRepository");
 const { createSuccessResponse, createErrorResponse } = require("../lib/utils");
 const { createLogger } = require("../shared/utils/logger");
 const { ValidationError } = require("../shared/utils/errors");
+const { TEMPLATE_ALL_STAGES, TEMPLATE_ALL_CLASSES, SYSTEM_TEMPLATE_PURPOSES } = require("../lib/constants");
+const { DEFAULT_LOCALE, LOCALE_NAMES, SUPPORTED_LOCALES, isSupportedLocale } = require("../lib/locales");
 
 const logger = createLogger("template-controller");
 
-// Valid class types and channels
-const VALID_CLASS_TYPES = ["TYPE_1", "TYPE_2", "TYPE_3", "TYPE_4", "TYPE_5", "TYPE_6"];
+// Valid channels
 const VALID_CHANNELS = ["EMAIL", "SMS"];
 
 /**
- * Get all templates
+ * Ensure the class type exists in the class catalog
+ * @param {string} classType - Class key
+ * @returns {Promise<Object>} Class definition
+ */
+const assertClassExists = async (classType) => {
+    const classDefinition = await classDefinitionRepository.findByKey(classType);
+    if (!classDefinition) {
+        throw ValidationError(`Invalid class type: ${classType}`, "INVALID_CLASS_TYPE");
+    }
+    return classDefinition;
+};
+
+/**
+ * Validate a reminder stage against the class's stages
+ * @param {*} value - Raw stage; empty means the all-stages template
+ * @param {Object} classDefinition - Class the template is for
+ * @returns {number} Stage number (TEMPLATE_ALL_STAGES for the all-stages template)
+ */
+const readStage = (value, classDefinition) => {
+    if (value === undefined || value === null || value === "") {
+        return TEMPLATE_ALL_STAGES;
+    }
+    const stage = Number(value);
+    const stageCount = classService.getReminderStages(classDefinition).length;
+    if (!Number.isInteger(stage) || stage < TEMPLATE_ALL_STAGES || stage > stageCount) {
+        throw ValidationError(`Invalid reminder stage: ${value}`, "INVALID_STAGE");
+    }
+    return stage;
+};
+
+/**
+ * Validate a template language
+ * @param {*} value - Raw locale; empty means English
+ * @returns {string} Locale code
+ */
+const readLocale = (value) => {
+    if (value === undefined || value === null || value === "") {
+        return DEFAULT_LOCALE;
+    }
+    if (!isSupportedLocale(value)) {
+        throw ValidationError(`Invalid language: ${value}`, "INVALID_LOCALE");
+    }
+    return value;
+};
+
+/**
+ * Validate the :classType/:channel route params and the ?stage= and ?locale= queries.
+ * :classType is a class key for reminders, or a system message purpose
+ * (VERIFICATION_CODE, REGISTRATION_CONFIRMATION), which has no stages.
+ * @param {Object} params - { classType, channel, stage, locale }
+ * @returns {Promise<Object>} { purpose, classType, channel, stage, locale } with the channel upper-cased
+ */
+const readTemplateParams = async ({ classType, channel, stage, locale }) => {
+    if (!VALID_CHANNELS.includes(channel.toUpperCase())) {
+        throw ValidationError(`Invalid channel: ${channel}`, "INVALID_CHANNEL");
+    }
+    const key = { channel: channel.toUpperCase(), locale: readLocale(locale) };
+
+    if (SYSTEM_TEMPLATE_PURPOSES.includes(classType)) {
+        if (stage !== undefined && stage !== null && stage !== "" && Number(stage) !== TEMPLATE_ALL_STAGES) {
+            throw ValidationError(`Invalid reminder stage: ${stage}`, "INVALID_STAGE");
+        }
+        return { ...key, purpose: classType, classType: TEMPLATE_ALL_CLASSES, stage: TEMPLATE_ALL_STAGES };
+    }
+
+    const classDefinition = await assertClassExists(classType);
+    return { ...key, purpose: "REMINDER", classType, stage: readStage(stage, classDefinition) };
+};
+
+/**
+ * Read a preview or test-send request body
+ * @param {Object} body - { classType, channel, stage?, locale?, subject?, body?, scheduleLink?, signupId? }
+ * @returns {Promise<Object>} Normalized request for templateService
+ */
+const readPreviewRequest = async (body = {}) => {
+    const key = await readTemplateParams({
+        classType: String(body.classType || ""),
+        channel: String(body.channel || ""),
+        stage: body.stage,
+        locale: body.locale,
+    });
+    if (body.body !== undefined && typeof body.body !== "string") {
+        throw ValidationError("Template body must be text", "INVALID_BODY");
+    }
+
+    return {
+        ...key,
+        subject: typeof body.subject === "string" ? body.subject : null,
+        body: body.body,
+        scheduleLink: body.scheduleLink || null,
+        // System messages aren't sent for a registration
+        signupId: key.purpose === "REMINDER" ? body.signupId || null : null,
+    };
+};
+
+/**
+ * Get all templates, with each class's reminder stages so stage templates can be labelled,
+ * and the languages templates can be written in
  * GET /api/admin/templates
  */
 const getAllTemplates = async (req, res) => {
     try {
-        const templates = await templateRepository.findAllTemplates();
+        const [templates, classes] = await Promise.all([
+            templateRepository.findAllTemplates(),
+            classDefinitionRepository.findAll({ includeInactive: true }),
+        ]);
+        const stages = Object.fromEntries(
+            classes.map((classDefinition) => [classDefinition.key, classService.getReminderStages(classDefinition)])
+        );
+
+        const locales = SUPPORTED_LOCALES.map((code) => ({ code, name: LOCALE_NAMES[code] }));
 
         logger.info("Templates retrieved", { count: templates.length });
-        return createSuccessResponse(res, { templates }, "Templates retrieved successfully", 200);
+        return createSuccessResponse(
+            res,
+            { templates, stages, locales, systemPurposes: SYSTEM_TEMPLATE_PURPOSES },
+            "Templates retrieved successfully",
+            200
+        );
     } catch (error) {
         logger.error("Failed to get templates", { error: error.message });
         return createErrorResponse(res, error, "getAllTemplates");
@@ -27,22 +141,14 @@ const getAllTemplates = async (req, res) => {
 };
 
 /**
- * Get template by class type and channel
- * GET /api/admin/templates/:classType/:channel
+ * Get template by class type (or system message), channel, stage and language
+ * GET /api/admin/templates/:classType/:channel?stage=1&locale=es
  */
 const getTemplate = async (req, res) => {
     try {
-        const { classType, channel } = req.params;
+        const key = await readTemplateParams({ ...req.params, stage: req.query.stage, locale: req.query.locale });
 
-        // Validate inputs
-        if (!VALID_CLASS_TYPES.includes(classType)) {
-            throw ValidationError(`Invalid class type: ${classType}`, "INVALID_CLASS_TYPE");
-        }
-        if (!VALID_CHANNELS.includes(channel.toUpperCase())) {
-            throw ValidationError(`Invalid channel: ${channel}`, "INVALID_CHANNEL");
-        }
-
-        const template = await templateRepository.findByClassTypeAndChannel(classType, channel.toUpperCase());
+        const template = await templateRepository.findByKey(key);
 
         if (!template) {
             return createSuccessResponse(res, { template: null }, "No template found", 200);
@@ -57,41 +163,36 @@ const getTemplate = async (req, res) => {
 
 /**
  * Create or update a template
- * PUT /api/admin/templates/:classType/:channel
+ * PUT /api/admin/templates/:classType/:channel?stage=1&locale=es
  */
 const upsertTemplate = async (req, res) => {
     try {
-        const { classType, channel } = req.params;
-        const { subject, body, scheduleLink, variables } = req.body;
+        const key = await readTemplateParams({ ...req.params, stage: req.query.stage, locale: req.query.locale });
+        const { channel } = key;
+        const { subject, body, scheduleLink, variables, changeNote } = req.body;
 
         // Validate inputs
-        if (!VALID_CLASS_TYPES.includes(classType)) {
-            throw ValidationError(`Invalid class type: ${classType}`, "INVALID_CLASS_TYPE");
-        }
-        if (!VALID_CHANNELS.includes(channel.toUpperCase())) {
-            throw ValidationError(`Invalid channel: ${channel}`, "INVALID_CHANNEL");
-        }
         if (!body || typeof body !== "string" || body.trim().length === 0) {
             throw ValidationError("Template body is required", "BODY_REQUIRED");
         }
 
         // Email templates require subject
-        if (channel.toUpperCase() === "EMAIL" && (!subject || subject.trim().length === 0)) {
+        if (channel === "EMAIL" && (!subject || subject.trim().length === 0)) {
             throw ValidationError("Subject is required for email templates", "SUBJECT_REQUIRED");
         }
 
         const templateData = {
-            classType,
-            channel: channel.toUpperCase(),
-            subject: channel.toUpperCase() === "EMAIL" ? subject.trim() : null,
+            ...key,
+            subject: channel === "EMAIL" ? subject.trim() : null,
             body: body.trim(),
             scheduleLink: scheduleLink || null,
             variables: variables || null,
         };
+        templateService.validateTemplateContent(templateData);
 
-        const template = await templateRepository.upsertTemplate(templateData);
+        const { template } = await templateService.saveTemplate(templateData, req.admin, changeNote);
 
-        logger.info("Template saved", { classType, channel: channel.toUpperCase() });
+        logger.info("Template saved", { ...key, version: template.currentVersion });
         return createSuccessResponse(res, { template }, "Template saved successfully", 200);
     } catch (error) {
         logger.error("Failed to save template", { error: error.message });
@@ -99,6 +200,114 @@ const upsertTemplate = async (req, res) => {
     }
 };
 
+/**
+ * List a template's versions
+ * GET /api/admin/templates/:classType/:channel/versions?stage=1&locale=es
+ */
+const getVersions = async (req, res) => {
+    try {
+        const key = await readTemplateParams({ ...req.params, stage: req.query.stage, locale: req.query.locale });
+
+        const result = await templateService.listVersions(key);
+
+        return createSuccessResponse(res, result, "Template versions retrieved successfully", 200);
+    } catch (error) {
+        logger.error("Failed to get template versions", { error: error.message });
+        return createErrorResponse(res, error, "getVersions");
+    }
+};
+
+/**
+ * Compare two versions of a template
+ * GET /api/admin/templates/:classType/:channel/versions/diff?from=1&to=2&stage=1&locale=es
+ */
+const diffVersions = async (req, res) => {
+    try {
+        const key = await readTemplateParams({ ...req.params, stage: req.query.stage, locale: req.query.locale });
+        const { from, to } = req.query;
+
+        const result = await templateService.diffVersions(key, from, to);
+
+        return createSuccessResponse(res, result, "Template versions compared successfully", 200);
+    } catch (error) {
+        logger.error("Failed to diff template versions", { error: error.message });
+        return createErrorResponse(res, error, "diffVersions");
+    }
+};
+
+/**
+ * Get one version of a template
+ * GET /api/admin/templates/:classType/:channel/versions/:version?stage=1&locale=es
+ */
+const getVersion = async (req, res) => {
+    try {
+        const key = await readTemplateParams({ ...req.params, stage: req.query.stage, locale: req.query.locale });
+
+        const result = await templateService.getVersion(key, req.params.version);
+
+        return createSuccessResponse(res, result, "Template version retrieved successfully", 200);
+    } catch (error) {
+        logger.error("Failed to get template version", { error: error.message });
+        return createErrorResponse(res, error, "getVersion");
+    }
+};
+
+/**
+ * Restore an older version of a template as a new version
+ * POST /api/admin/templates/:classType/:channel/versions/:version/restore?stage=1&locale=es
+ */
+const restoreVersion = async (req, res) => {
+    try {
+        const key = await readTemplateParams({ ...req.params, stage: req.query.stage, locale: req.query.locale });
+
+        const { template, message } = await templateService.restoreVersion(
+            key,
+            req.params.version,
+            req.admin,
+            req.body?.changeNote
+        );
+
+        return createSuccessResponse(res, { template }, message, 200);
+    } catch (error) {
+        logger.error("Failed to restore template version", { error: error.message });
+        return createErrorResponse(res, error, "restoreVersion");
+    }
+};
+
+/**
+ * Render a template (unsaved edits or the saved one) for sample data or a chosen signup
+ * POST /api/admin/templates/preview
+ */
+const previewTemplate = async (req, res) => {
+    try {
+        const data = await readPreviewRequest(req.body);
+
+        const result = await templateService.previewTemplate(data, req.admin);
+
+        return createSuccessResponse(res, result, "Template preview rendered", 200);
+    } catch (error) {
+        logger.error("Failed to preview template", { error: error.message });
+        return createErrorResponse(res, error, "previewTemplate");
+    }
+};
+
+/**
+ * Send a template preview to the editing admin's own email or phone
+ * POST /api/admin/templates/test-send
+ */
+const testSendTemplate = async (req, res) => {
+    try {
+        const data = await readPreviewRequest(req.body);
+
+        const { message, ...result } = await templateService.sendTestMessage(data, req.admin);
+
+        return createSuccessResponse(res, result, message, 200);
+    } catch (error) {
+        logger.error("Failed to send test message", { error: error.message });
+        return createErrorResponse(res, error, "testSendTemplate");
+    }
+};
+
 /**
  * Delete a template
  * DELETE /api/admin/templates/:templateId
@@ -121,5 +330,11 @@ module.exports = {
     getAllTemplates,
     getTemplate,
     upsertTemplate,
+    getVersions,
+    diffVersions,
+    getVersion,
+    restoreVersion,
+    previewTemplate,
+    testSendTemplate,
     deleteTemplate,
 };
@@ -1,5 +1,6 @@
 // backend/auth-service/controllers/unsubscribeController.js
 const unsubscribeService = require("../services/unsubscribeService");
+const { getRequestMetadata } = require("../middleware/authMiddleware");
 const { createSuccessResponse, createErrorResponse } = require("../lib/utils");
 const { createLogger } = require("../shared/utils/logger");
 
@@ -11,13 +12,13 @@ const logger = createLogger("unsubscribe-controller");
  */
 const verifyOtp = async (req, res) => {
     try {
-        const { destination, otp } = req.body;
+        const { destination, otp, purpose } = req.body;
 
         logger.info("OTP verification attempt", {
             destination: destination?.substring(0, 3) + "***"
         });
 
-        const result = await unsubscribeService.verifyOtp({ destination, otp });
+        const result = await unsubscribeService.verifyOtp({ destination, otp, purpose });
 
         logger.info("OTP verification successful", { studentId: result.student.id });
         return createSuccessResponse(res, result, result.message, 200);
@@ -37,12 +38,15 @@ const confirmUnsubscribe = async (req, res) => {
 
         logger.info("Unsubscribe confirmation attempt");
 
-        const result = await unsubscribeService.confirmUnsubscribe({
-            token,
-            optedOutEmail,
-            optedOutSms,
-            signupPreferences,
-        });
+        const result = await unsubscribeService.confirmUnsubscribe(
+            {
+                token,
+                optedOutEmail,
+                optedOutSms,
+                signupPreferences,
+            },
+            getRequestMetadata(req)
+        );
 
         logger.info("Unsubscribe confirmed successfully");
         return createSuccessResponse(res, result, result.message, 200);
@@ -53,18 +57,18 @@ const confirmUnsubscribe = async (req, res) => {
 };
 
 /**
- * Initiate opt-out flow - send OTP and return registrations
+ * Initiate opt-out flow - send OTP for the unsubscribe or My Registrations page
  * POST /api/students/unsubscribe/initiate
  */
 const initiateOptOut = async (req, res) => {
     try {
-        const { destination } = req.body;
+        const { destination, purpose } = req.body;
 
         logger.info("Opt-out initiation attempt", {
             destination: destination?.substring(0, 3) + "***"
         });
 
-        const result = await unsubscribeService.initiateOptOut({ destination });
+        const result = await unsubscribeService.initiateOptOut({ destination, purpose });
 
         logger.info("Opt-out OTP sent successfully");
         return createSuccessResponse(res, result, "Verification code sent successfully.", 200);
@@ -74,8 +78,58 @@ const initiateOptOut = async (req, res) => {
     }
 };
 
+/**
+ * One-click unsubscribe from a signed reminder link
+ * POST /api/students/unsubscribe/one-click
+ */
+const oneClickUnsubscribe = async (req, res) => {
+    try {
+        const { token } = req.body;
+
+        const result = await unsubscribeService.oneClickUnsubscribe({ token }, getRequestMetadata(req));
+
+        logger.info("One-click unsubscribe successful", { channel: result.channel, scope: result.scope });
+        return createSuccessResponse(res, result, result.message, 200);
+    } catch (error) {
+        logger.error("One-click unsubscribe failed", { error: error.message });
+        return createErrorResponse(res, error, "oneClickUnsubscribe");
+    }
+};
+
+/**
+ * RFC 8058 one-click unsubscribe posted by a mail client
+ * POST /api/students/unsubscribe/list-unsubscribe/:token
+ */
+const listUnsubscribe = async (req, res) => {
+    try {
+        const result = await unsubscribeService.listUnsubscribe(
+            {
+                token: req.params.token,
+                "List-Unsubscribe": req.body?.["List-Unsubscribe"],
+            },
+            getRequestMetadata(req)
+        );
+
+        return createSuccessResponse(res, result, "You have been unsubscribed from email reminders.", 200);
+    } catch (error) {
+        logger.error("List-Unsubscribe one-click failed", { error: error.message });
+        return createErrorResponse(res, error, "listUnsubscribe");
+    }
+};
+
+/**
+ * A browser opening the List-Unsubscribe URL is sent to the unsubscribe page to confirm
+ * GET /api/students/unsubscribe/list-unsubscribe/:token
+ */
+const listUnsubscribePage = (req, res) => {
+    return res.redirect(303, unsubscribeService.getListUnsubscribePageUrl(req.params.token));
+};
+
 module.exports = {
     verifyOtp,
     confirmUnsubscribe,
     initiateOptOut,
+    oneClickUnsubscribe,
+    listUnsubscribe,
+    listUnsubscribePage,
 };
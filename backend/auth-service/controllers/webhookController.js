@@ -0,0 +1,78 @@
+// backend/auth-service/controllers/webhookController.js
+const deliveryWebhookService = require("../services/deliveryWebhookService");
+const inboundSmsService = require("../services/inboundSmsService");
+const { twilioInboundSchema } = require("../models/webhookSchema");
+const { createSuccessResponse, createErrorResponse } = require("../lib/utils");
+const { createLogger } = require("../shared/utils/logger");
+
+const logger = createLogger("webhook-controller");
+
+// ============================================
+// Provider Delivery Webhooks
+// ============================================
+
+/**
+ * SendGrid Event Webhook
+ * POST /api/webhooks/sendgrid/events
+ */
+const sendgridEvents = async (req, res) => {
+    try {
+        deliveryWebhookService.verifySendgridSignature(
+            req.rawBody,
+            req.get("X-Twilio-Email-Event-Webhook-Signature"),
+            req.get("X-Twilio-Email-Event-Webhook-Timestamp")
+        );
+
+        const result = await deliveryWebhookService.processSendgridEvents(req.body);
+
+        return createSuccessResponse(res, result, "Events processed", 200);
+    } catch (error) {
+        logger.error("SendGrid webhook failed", { error: error.message });
+        return createErrorResponse(res, error, "sendgridEvents");
+    }
+};
+
+/**
+ * Twilio message status callback
+ * POST /api/webhooks/twilio/status
+ */
+const twilioStatus = async (req, res) => {
+    try {
+        // Twilio signs the public URL it called, which differs from ours behind a proxy unless configured
+        const url = process.env.TWILIO_STATUS_CALLBACK_URL || `${req.protocol}://${req.get("host")}${req.originalUrl}`;
+        deliveryWebhookService.verifyTwilioSignature(url, req.body, req.get("X-Twilio-Signature"));
+
+        const result = await deliveryWebhookService.processTwilioStatus(req.body);
+
+        return createSuccessResponse(res, result, "Status processed", 200);
+    } catch (error) {
+        logger.error("Twilio webhook failed", { error: error.message });
+        return createErrorResponse(res, error, "twilioStatus");
+    }
+};
+
+/**
+ * Twilio inbound message webhook (STOP/START/HELP keywords)
+ * POST /api/webhooks/twilio/inbound
+ */
+const twilioInbound = async (req, res) => {
+    try {
+        const url = process.env.TWILIO_INBOUND_WEBHOOK_URL || `${req.protocol}://${req.get("host")}${req.originalUrl}`;
+        deliveryWebhookService.verifyTwilioSignature(url, req.body, req.get("X-Twilio-Signature"));
+
+        const { From, Body } = twilioInboundSchema.parse(req.body);
+        const result = await inboundSmsService.handleInboundSms({ from: From, body: Body });
+
+        // Twilio sends the <Message> in the TwiML response as the reply
+        return res.type("text/xml").status(200).send(inboundSmsService.buildTwimlReply(result.reply));
+    } catch (error) {
+        logger.error("Twilio inbound webhook failed", { error: error.message });
+        return createErrorResponse(res, error, "twilioInbound");
+    }
+};
+
+module.exports = {
+    sendgridEvents,
+    twilioStatus,
+    twilioInbound,
+};
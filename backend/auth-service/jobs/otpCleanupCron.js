@@ -0,0 +1,50 @@
+// backend/auth-service/jobs/otpCleanupCron.js
+const cron = require("node-cron");
+const registrationOtpService = require("../services/registrationOtpService");
+const jobRunService = require("../services/jobRunService");
+const { createLogger } = require("../shared/utils/logger");
+
+const logger = createLogger("otp-cleanup-cron");
+
+const JOB_NAME = "otp-cleanup";
+
+/**
+ * Start the OTP cleanup cron job.
+ * Deletes pending registrations and OTP challenges past their expiry. Expired rows
+ * are already rejected when read, so this only keeps the tables small.
+ */
+const startOtpCleanupCron = () => {
+    const schedule = process.env.OTP_CLEANUP_CRON_SCHEDULE || "*/5 * * * *";
+
+    if (!cron.validate(schedule)) {
+        logger.error("Invalid cron schedule expression", { schedule });
+        return null;
+    }
+
+    const job = cron.schedule(schedule, async () => {
+        try {
+            const { acquired, result } = await jobRunService.runExclusive(
+                JOB_NAME,
+                () => registrationOtpService.cleanupExpired(),
+                (summary) => ({
+                    processedCount: summary.registrations + summary.challenges,
+                    sentCount: 0,
+                    failedCount: 0,
+                })
+            );
+            if (acquired) {
+                logger.info("OTP cleanup completed", result);
+            }
+        } catch (error) {
+            logger.error("OTP cleanup job failed", {
+                error: error.message,
+                stack: error.stack,
+            });
+        }
+    });
+
+    logger.info("OTP cleanup job scheduled", { schedule });
+    return job;
+};
+
+module.exports = { startOtpCleanupCron };
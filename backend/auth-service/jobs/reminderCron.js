@@ -1,14 +1,19 @@
 // backend/auth-service/jobs/reminderCron.js
 const cron = require("node-cron");
-const reminderService = require("../services/reminderService");
+const reminderQueueService = require("../services/reminderQueueService");
+const jobRunService = require("../services/jobRunService");
 const { createLogger } = require("../shared/utils/logger");
 
 const logger = createLogger("reminder-cron");
 
+const JOB_NAME = "reminder-enqueue";
+
 /**
  * Start the reminder cron job.
- * Runs on a configurable schedule to check for pending reminders.
- * Default: daily at 8:00 AM ('0 8 * * *')
+ * Runs on a configurable schedule and only enqueues due reminder stages;
+ * sending is done by the reminder worker (jobs/reminderWorker.js).
+ * Every instance schedules the job, but a Postgres advisory lock lets only one
+ * of them run each tick. Runs are recorded in job_runs.
  */
 const startReminderCron = () => {
     // Default: run every minute to keep scheduling precise (and avoid missing due reminders)
@@ -20,28 +25,27 @@ const startReminderCron = () => {
         return null;
     }
 
-    let isRunning = false;
-
     const job = cron.schedule(
         schedule,
         async () => {
-            if (isRunning) {
-                logger.warn("Reminder cron job skipped because previous run is still in progress");
-                return;
-            }
-
-            isRunning = true;
-            logger.info("Reminder cron job started", { schedule, timezone, now: new Date().toISOString() });
             try {
-                const result = await reminderService.processPendingReminders({ triggeredBy: "cron" });
-                logger.info("Reminder cron job completed", result);
+                const { acquired, result } = await jobRunService.runExclusive(
+                    JOB_NAME,
+                    (signal) => reminderQueueService.enqueueDueReminders(signal),
+                    (summary) => ({
+                        processedCount: summary.due,
+                        sentCount: 0, // Sending is recorded by reminder-worker runs
+                        failedCount: summary.failed,
+                    })
+                );
+                if (acquired) {
+                    logger.info("Reminder cron job completed", result);
+                }
             } catch (error) {
                 logger.error("Reminder cron job failed", {
                     error: error.message,
                     stack: error.stack,
                 });
-            } finally {
-                isRunning = false;
             }
         },
         {
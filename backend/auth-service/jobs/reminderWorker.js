@@ -0,0 +1,60 @@
+// backend/auth-service/jobs/reminderWorker.js
+const reminderQueueService = require("../services/reminderQueueService");
+const jobRunService = require("../services/jobRunService");
+const { createLogger } = require("../shared/utils/logger");
+
+const logger = createLogger("reminder-worker");
+
+const JOB_NAME = "reminder-worker";
+
+/**
+ * Start the reminder worker.
+ * Polls reminder_jobs and sends whatever is due. Every instance can run a worker;
+ * jobs are claimed with row-level locks so each send happens once.
+ * Only polls that did work or failed are recorded in job_runs.
+ * Poll interval: REMINDER_WORKER_POLL_MS (default 15 seconds)
+ */
+const startReminderWorker = () => {
+    const pollMs = parseInt(process.env.REMINDER_WORKER_POLL_MS, 10) || 15 * 1000;
+
+    let isRunning = false;
+
+    const timer = setInterval(async () => {
+        if (isRunning) {
+            return;
+        }
+
+        isRunning = true;
+        const startedAt = new Date();
+        try {
+            const summary = await reminderQueueService.processDueJobs();
+            if (summary.claimed > 0 || summary.released > 0) {
+                await jobRunService.recordRun(
+                    JOB_NAME,
+                    startedAt,
+                    {
+                        processedCount: summary.claimed,
+                        sentCount: summary.succeeded,
+                        failedCount: summary.retried + summary.dead,
+                    },
+                    summary
+                );
+            }
+        } catch (error) {
+            logger.error("Reminder worker run failed", {
+                error: error.message,
+                stack: error.stack,
+            });
+            await jobRunService.recordFailedRun(JOB_NAME, startedAt, error).catch((recordError) => {
+                logger.error("Failed to record reminder worker failure", { error: recordError.message });
+            });
+        } finally {
+            isRunning = false;
+        }
+    }, pollMs);
+
+    logger.info("Reminder worker started", { pollMs });
+    return timer;
+};
+
+module.exports = { startReminderWorker };
@@ -0,0 +1,36 @@
+// backend/auth-service/lib/consentDisclosures.js
+// Disclosure shown before a student confirms registration. Published versions are
+// never edited: change the wording by adding a new version and pointing
+// CURRENT_DISCLOSURE_VERSION at it, so consent records keep matching what was shown.
+
+const CONSENT_DISCLOSURES = {
+  "2026-10":
+    "By confirming, you agree to receive automated certification renewal reminders from Student Training Portal " +
+    "at the email address and/or mobile number above. Reminders are sent before your certification expires; " +
+    "consent is not a condition of registration. Msg & data rates may apply. Reply STOP to any text to stop SMS " +
+    "reminders or HELP for help, and use the unsubscribe link in any email to stop email reminders.",
+};
+
+const CURRENT_DISCLOSURE_VERSION = "2026-10";
+
+/**
+ * Disclosure text for a version
+ * @param {string} version - Disclosure version
+ * @returns {string|null} Text, or null for an unknown version
+ */
+const getDisclosure = (version) => CONSENT_DISCLOSURES[version] || null;
+
+/**
+ * The disclosure new registrations are shown
+ * @returns {Object} { version, text }
+ */
+const getCurrentDisclosure = () => ({
+  version: CURRENT_DISCLOSURE_VERSION,
+  text: CONSENT_DISCLOSURES[CURRENT_DISCLOSURE_VERSION],
+});
+
+module.exports = {
+  CURRENT_DISCLOSURE_VERSION,
+  getDisclosure,
+  getCurrentDisclosure,
+};
@@ -5,8 +5,12 @@ const ADMIN_FIELDS = {
     id: true,
     email: true,
     name: true,
+    phone: true,
     role: true,
+    classTypes: true,
     isActive: true,
+    isPending: true,
+    twoFactorEnabled: true,
     lastLoginAt: true,
     createdAt: true,
     updatedAt: true,
@@ -16,9 +20,13 @@ const ADMIN_FIELDS = {
     id: true,
     email: true,
     name: true,
+    phone: true,
     password: true,
     role: true,
+    classTypes: true,
     isActive: true,
+    isPending: true,
+    twoFactorEnabled: true,
     lastLoginAt: true,
     createdAt: true,
     updatedAt: true,
@@ -29,7 +37,21 @@ const ADMIN_FIELDS = {
     email: true,
     name: true,
     role: true,
+    classTypes: true,
     isActive: true,
+    isPending: true,
+    twoFactorEnabled: true,
+  },
+  // Two-factor state - only for enrollment and the second login step
+  twoFactor: {
+    id: true,
+    email: true,
+    twoFactorEnabled: true,
+    twoFactorSecret: true,
+    twoFactorLastStep: true,
+    twoFactorRecoveryCodes: true,
+    twoFactorFailedAttempts: true,
+    twoFactorLockedUntil: true,
   },
 };
 
@@ -67,7 +89,7 @@ const SESSION_FIELDS = {
 };
 
 // Allowed fields for admin profile updates
-const ALLOWED_ADMIN_UPDATE_FIELDS = ["email", "name", "password", "isActive"];
+const ALLOWED_ADMIN_UPDATE_FIELDS = ["email", "name", "phone", "password", "isActive"];
 
 // Allowed fields for session updates
 const ALLOWED_SESSION_UPDATE_FIELDS = [
@@ -78,17 +100,13 @@ const ALLOWED_SESSION_UPDATE_FIELDS = [
   "userAgent",
 ];
 
-// Role hierarchy for RBAC
-const ROLE_HIERARCHY = {
-  ADMIN: 2,
-  STAFF: 1,
-};
-
 // JWT token types
 const TOKEN_TYPES = {
   ACCESS: "access",
   REFRESH: "refresh",
   PASSWORD_RESET: "password_reset",
+  TWO_FACTOR_CHALLENGE: "two_factor_challenge",
+  ADMIN_INVITE: "admin_invite",
 };
 
 // Cookie names for tokens
@@ -123,6 +141,10 @@ const RATE_LIMITS = {
     max: 100,
     windowMs: 15 * 60 * 1000, // 15 minutes
   },
+  TEMPLATE_TEST_SEND: {
+    max: 10,
+    windowMs: 15 * 60 * 1000, // 15 minutes
+  },
 };
 
 // ============================================
@@ -182,16 +204,6 @@ const SIGNUP_FIELDS = {
   },
 };
 
-// Class type to reminder interval mapping (in days)
-const CLASS_REMINDER_INTERVALS = {
-  TYPE_1: 7,
-  TYPE_2: 7,
-  TYPE_3: 7,
-  TYPE_4: 7,
-  TYPE_5: 7,
-  TYPE_6: 7,
-};
-
 // Error message templates
 const ERROR_MESSAGES = {
   VALIDATION: {
@@ -271,6 +283,52 @@ const PASSWORD_RESET_CONFIG = {
   MAX_ATTEMPTS: 3,
 };
 
+// Admin invite configuration
+const INVITE_CONFIG = {
+  TOKEN_EXPIRY: 7 * 24 * 60 * 60 * 1000, // 7 days
+};
+
+// Two-factor authentication configuration
+const TWO_FACTOR_CONFIG = {
+  ISSUER: process.env.TWO_FACTOR_ISSUER || "Training Portal", // Shown in authenticator apps
+  CHALLENGE_EXPIRY: "5m", // Time between the password and code steps of a login
+  RECOVERY_CODE_COUNT: 10,
+  MAX_FAILED_ATTEMPTS: 5, // Wrong two-factor codes (sign-in or account settings) before codes are refused
+  LOCKOUT_MS: 15 * 60 * 1000, // 15 minutes
+};
+
+// Variables each kind of template (MessageTemplate.purpose) can use; templates referring
+// to anything else are rejected when saved. Reminder variables are built in
+// reminderService.buildReminderMessage, the others in systemMessageService.
+const TEMPLATE_VARIABLES = {
+  REMINDER: [
+    "classTypeName",
+    "studentName",
+    "studentEmail",
+    "studentPhone",
+    "scheduleLink",
+    "optOutLink",
+    "unsubscribeLink",
+    "listUnsubscribeLink",
+    "completedAt",
+    "expiresAt",
+  ],
+  VERIFICATION_CODE: ["code", "expiresInMinutes"],
+  REGISTRATION_CONFIRMATION: ["classTypeName", "studentName", "bookingLink"],
+};
+
+// Purposes of the system messages, which have one template per channel and language
+const SYSTEM_TEMPLATE_PURPOSES = [
+  "VERIFICATION_CODE",
+  "REGISTRATION_CONFIRMATION",
+];
+
+// MessageTemplate.stage of the template used for stages that have no template of their own
+const TEMPLATE_ALL_STAGES = 0;
+
+// MessageTemplate.classType of system messages
+const TEMPLATE_ALL_CLASSES = "*";
+
 module.exports = {
   // Field selections
   ADMIN_FIELDS,
@@ -280,16 +338,19 @@ module.exports = {
   // Allowed fields for updates
   ALLOWED_ADMIN_UPDATE_FIELDS,
   ALLOWED_SESSION_UPDATE_FIELDS,
-  // Role configuration
-  ROLE_HIERARCHY,
   // Token and session configurations
   TOKEN_TYPES,
   COOKIE_NAMES,
   SESSION_CONFIG,
   PASSWORD_RESET_CONFIG,
+  INVITE_CONFIG,
+  TWO_FACTOR_CONFIG,
   RATE_LIMITS,
   // Student domain
-  CLASS_REMINDER_INTERVALS,
+  TEMPLATE_VARIABLES,
+  SYSTEM_TEMPLATE_PURPOSES,
+  TEMPLATE_ALL_STAGES,
+  TEMPLATE_ALL_CLASSES,
   // Error and success messages
   ERROR_MESSAGES,
   SUCCESS_MESSAGES,
@@ -0,0 +1,54 @@
+// backend/auth-service/lib/locales.js
+// Languages students can receive messages in. English is the fallback: a message with
+// no wording in the student's language is sent in English.
+
+const DEFAULT_LOCALE = "en";
+
+// Locale code => name shown to admins (keep in step with frontend/src/i18n)
+const LOCALE_NAMES = {
+  en: "English",
+  es: "Español",
+};
+
+const SUPPORTED_LOCALES = Object.keys(LOCALE_NAMES);
+
+/**
+ * Check that a locale is one messages can be written in
+ * @param {string} locale - Locale code (e.g. "es")
+ * @returns {boolean}
+ */
+const isSupportedLocale = (locale) => SUPPORTED_LOCALES.includes(locale);
+
+/**
+ * Map a language tag to a supported locale ("es-MX" => "es"), or the default
+ * @param {string|null} value - Locale or BCP 47 language tag
+ * @returns {string} Supported locale
+ */
+const resolveLocale = (value) => {
+  const language = String(value || "")
+    .trim()
+    .toLowerCase()
+    .split(/[-_]/)[0];
+  return isSupportedLocale(language) ? language : DEFAULT_LOCALE;
+};
+
+/**
+ * Locales to look for a message in, best first: the student's, then English
+ * @param {string|null} locale - Student's locale
+ * @returns {Array<string>} e.g. ["es", "en"]
+ */
+const getLocaleFallbacks = (locale) => {
+  const resolved = resolveLocale(locale);
+  return resolved === DEFAULT_LOCALE
+    ? [DEFAULT_LOCALE]
+    : [resolved, DEFAULT_LOCALE];
+};
+
+module.exports = {
+  DEFAULT_LOCALE,
+  LOCALE_NAMES,
+  SUPPORTED_LOCALES,
+  isSupportedLocale,
+  resolveLocale,
+  getLocaleFallbacks,
+};
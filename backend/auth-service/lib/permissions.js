@@ -0,0 +1,93 @@
+// backend/auth-service/lib/permissions.js
+// Catalog of permissions admin routes are guarded by, and the built-in roles. Both are
+// synced into the roles/permissions tables on startup (see roleService.syncSystemRoles);
+// roles other than ADMIN can then be edited from User Management.
+
+const PERMISSIONS = {
+  "signups:read": "View registrations and statistics",
+  "signups:create": "Add students to a class",
+  "signups:update": "Edit registrations",
+  "signups:delete": "Delete registrations",
+  "students:delete": "Delete students and all their registrations",
+  "students:export": "Export everything held about a student",
+  "students:erase": "Erase a student's personal data",
+  "consent:read": "View and export consent history",
+  "reminders:read": "View reminder delivery details",
+  "reminders:send": "Send, resend and reset reminders",
+  "reminders:reschedule": "Reschedule reminders",
+  "jobs:read": "View the reminder queue and scheduler runs",
+  "jobs:retry": "Retry failed reminder jobs",
+  "templates:read": "View message templates",
+  "templates:write": "Edit and delete message templates",
+  "classes:read": "View the class catalog",
+  "classes:write": "Edit the class catalog",
+  "admins:manage": "Manage users and their roles",
+  "roles:manage": "Create and edit roles",
+};
+
+const PERMISSION_KEYS = Object.keys(PERMISSIONS);
+
+const SYSTEM_ROLES = [
+  {
+    key: "ADMIN",
+    name: "Administrator",
+    description: "Full access. Always has every permission.",
+    scopedToClasses: false,
+    permissions: PERMISSION_KEYS,
+  },
+  {
+    key: "STAFF",
+    name: "Staff",
+    description: "Day-to-day follow-up: read, resend and reschedule",
+    scopedToClasses: false,
+    permissions: [
+      "signups:read",
+      "consent:read",
+      "reminders:read",
+      "reminders:send",
+      "reminders:reschedule",
+      "jobs:read",
+      "templates:read",
+      "classes:read",
+    ],
+  },
+  {
+    key: "INSTRUCTOR",
+    name: "Instructor",
+    description: "Adds and views students for the classes they teach",
+    scopedToClasses: true,
+    permissions: ["signups:read", "signups:create", "reminders:read", "classes:read"],
+  },
+  {
+    key: "FRONT_DESK",
+    name: "Front desk",
+    description: "Views registrations and resends reminders",
+    scopedToClasses: false,
+    permissions: ["signups:read", "reminders:read", "reminders:send", "classes:read"],
+  },
+  {
+    key: "COMPLIANCE",
+    name: "Compliance",
+    description: "Read-only access plus consent and data exports",
+    scopedToClasses: false,
+    permissions: [
+      "signups:read",
+      "consent:read",
+      "students:export",
+      "reminders:read",
+      "jobs:read",
+      "templates:read",
+      "classes:read",
+    ],
+  },
+];
+
+// Role that can't be edited or left without members
+const SUPER_ROLE_KEY = "ADMIN";
+
+module.exports = {
+  PERMISSIONS,
+  PERMISSION_KEYS,
+  SYSTEM_ROLES,
+  SUPER_ROLE_KEY,
+};
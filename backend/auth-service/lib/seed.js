@@ -17,7 +17,6 @@ const TOTAL_SIGNUPS = 500;
 const BATCH_SIZE = 50;
 
 // Enums from schema
-const CLASS_TYPES = ['TYPE_1', 'TYPE_2', 'TYPE_3', 'TYPE_4', 'TYPE_5', 'TYPE_6'];
 const SIGNUP_STATUSES = ['PENDING', 'SENT', 'FAILED'];
 
 // Contact method distribution (percentages)
@@ -98,7 +97,7 @@ const generateReminderDate = (status) => {
 };
 
 /**
- * Generate reminderSentAt date for SENT status
+ * Generate sentAt date for SENT status
  */
 const generateSentDate = (reminderScheduledDate) => {
   // Sent 0-7 days after scheduled date
@@ -132,10 +131,10 @@ const generateNotes = () => {
 /**
  * Create a student and their signup
  */
-const createStudentWithSignup = async (db) => {
+const createStudentWithSignup = async (db, classTypes) => {
   const contactMethod = generateContactMethod();
   const status = generateStatus();
-  const classType = faker.helpers.arrayElement(CLASS_TYPES);
+  const classType = faker.helpers.arrayElement(classTypes);
   const reminderScheduledDate = generateReminderDate(status);
   const notes = generateNotes();
 
@@ -149,22 +148,34 @@ const createStudentWithSignup = async (db) => {
     },
   });
 
-  // Create signup
-  const signupData = {
-    studentId: student.id,
-    classType,
-    reminderScheduledDate,
+  // Certification expires on the generated date, one year after completion
+  const completedAt = new Date(reminderScheduledDate);
+  completedAt.setFullYear(completedAt.getFullYear() - 1);
+
+  // Single reminder stage on the expiry date
+  const reminderStage = {
+    stage: 1,
+    offsetDays: 0,
+    scheduledFor: reminderScheduledDate,
     status,
-    notes,
   };
 
-  // Add reminderSentAt if status is SENT
+  // Add sentAt if status is SENT
   if (status === 'SENT') {
-    signupData.reminderSentAt = generateSentDate(reminderScheduledDate);
+    reminderStage.sentAt = generateSentDate(reminderScheduledDate);
   }
 
+  // Create signup
   const signup = await db.signup.create({
-    data: signupData,
+    data: {
+      studentId: student.id,
+      classType,
+      status,
+      notes,
+      completedAt,
+      expiresAt: reminderScheduledDate,
+      reminderSchedules: { create: [reminderStage] },
+    },
   });
 
   return { student, signup };
@@ -193,6 +204,13 @@ const seedDatabase = async () => {
       logger.warn('To start fresh, run: npm run db:reset');
     }
 
+    // Signups reference the class catalog, so it must be seeded first
+    const classes = await db.classDefinition.findMany({ select: { key: true } });
+    const classTypes = classes.map((c) => c.key);
+    if (classTypes.length === 0) {
+      throw new Error('Class catalog is empty. Run: npm run db:seed:classes');
+    }
+
     // Create signups in batches
     let created = 0;
     const startTime = Date.now();
@@ -206,7 +224,7 @@ const seedDatabase = async () => {
       // Create signups in parallel within batch
       const promises = [];
       for (let i = 0; i < batchSize; i++) {
-        promises.push(createStudentWithSignup(db));
+        promises.push(createStudentWithSignup(db, classTypes));
       }
 
       await Promise.all(promises);
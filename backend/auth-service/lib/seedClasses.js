@@ -0,0 +1,69 @@
+// backend/auth-service/lib/seedClasses.js
+const path = require("path");
+
+// Load environment variables
+require("dotenv").config({
+    path: path.resolve(__dirname, "../../../.env"),
+});
+
+const { initializeDatabase, disconnectDatabase } = require("../config/database");
+const classDefinitionRepository = require("../repositories/classDefinitionRepository");
+const { createLogger } = require("../shared/utils/logger");
+
+const logger = createLogger("seed-classes");
+
+// Initial catalog - matches the class types that existed before the catalog was configurable
+const DEFAULT_CLASSES = [
+    { key: "TYPE_1", label: "Initial Firearms", renewalIntervalMonths: 4 },
+    { key: "TYPE_2", label: "Firearms Requalification", renewalIntervalMonths: 5 },
+    { key: "TYPE_3", label: "CPR/AED and/or First Aid", renewalIntervalMonths: 11 },
+    { key: "TYPE_4", label: "Handcuffing and/or Pepper Spray", renewalIntervalMonths: 11 },
+    { key: "TYPE_5", label: "CEW / Taser", renewalIntervalMonths: 11 },
+    { key: "TYPE_6", label: "Baton", renewalIntervalMonths: 11 },
+];
+
+const seedClasses = async () => {
+    try {
+        logger.info("Starting class catalog seeding...");
+
+        await initializeDatabase();
+
+        let upserted = 0;
+
+        for (const [index, classData] of DEFAULT_CLASSES.entries()) {
+            const existing = await classDefinitionRepository.findByKey(classData.key);
+            if (existing) {
+                // Never overwrite labels/intervals an admin has already edited
+                logger.info(`Class ${classData.key} already exists, skipping`);
+            } else {
+                await classDefinitionRepository.upsertByKey({
+                    ...classData,
+                    reminderOffsetDays: [30, 0],
+                    sortOrder: index + 1,
+                });
+                upserted++;
+            }
+        }
+
+        logger.info(`Class catalog seeding complete. ${upserted} classes created.`);
+    } catch (error) {
+        logger.error("Class catalog seeding failed", { error: error.message, stack: error.stack });
+        throw error;
+    } finally {
+        await disconnectDatabase();
+    }
+};
+
+if (require.main === module) {
+    seedClasses()
+        .then(() => {
+            logger.info("Class catalog seeding process completed");
+            process.exit(0);
+        })
+        .catch((error) => {
+            logger.error("Class catalog seeding process failed:", error);
+            process.exit(1);
+        });
+}
+
+module.exports = { seedClasses, DEFAULT_CLASSES };
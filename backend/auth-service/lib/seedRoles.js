@@ -0,0 +1,44 @@
+// backend/auth-service/lib/seedRoles.js
+// Syncs the permission catalog and built-in roles (the server also does this on startup).
+const path = require("path");
+
+// Load environment variables
+require("dotenv").config({
+    path: path.resolve(__dirname, "../../../.env"),
+});
+
+const { initializeDatabase, disconnectDatabase } = require("../config/database");
+const { syncSystemRoles } = require("../services/roleService");
+const { createLogger } = require("../shared/utils/logger");
+
+const logger = createLogger("seed-roles");
+
+const seedRoles = async () => {
+    try {
+        logger.info("Starting role seeding...");
+
+        await initializeDatabase();
+        const { permissions, rolesCreated } = await syncSystemRoles();
+
+        logger.info(`Role seeding complete. ${permissions} permissions synced, ${rolesCreated} roles created.`);
+    } catch (error) {
+        logger.error("Role seeding failed", { error: error.message, stack: error.stack });
+        throw error;
+    } finally {
+        await disconnectDatabase();
+    }
+};
+
+if (require.main === module) {
+    seedRoles()
+        .then(() => {
+            logger.info("Role seeding process completed");
+            process.exit(0);
+        })
+        .catch((error) => {
+            logger.error("Role seeding process failed:", error);
+            process.exit(1);
+        });
+}
+
+module.exports = { seedRoles };
@@ -8,31 +8,24 @@ require("dotenv").config({
 
 const { initializeDatabase, disconnectDatabase } = require("../config/database");
 const templateRepository = require("../repositories/templateRepository");
+const classDefinitionRepository = require("../repositories/classDefinitionRepository");
+const { SYSTEM_MESSAGE_DEFAULTS } = require("../templates/systemMessageTemplates");
+const { TEMPLATE_ALL_CLASSES } = require("./constants");
 const { createLogger } = require("../shared/utils/logger");
 
 const logger = createLogger("seed-templates");
 
-const CLASS_TYPE_LABELS = {
-    TYPE_1: "Initial Firearms",
-    TYPE_2: "Firearms Requalification",
-    TYPE_3: "CPR/AED and/or First Aid",
-    TYPE_4: "Handcuffing and/or Pepper Spray",
-    TYPE_5: "CEW / Taser",
-    TYPE_6: "Baton",
-};
-
-const CLASS_TYPES = ["TYPE_1", "TYPE_2", "TYPE_3", "TYPE_4", "TYPE_5", "TYPE_6"];
-
 const APP_URL = process.env.APP_BASE_URL || "https://yourapp.com";
 const BOOKING_LINK = process.env.BOOKING_LINK || APP_URL;
 
-const buildEmailTemplate = (classType) => {
-    const label = CLASS_TYPE_LABELS[classType];
-    return {
-        classType,
-        channel: "EMAIL",
-        subject: `Reminder: ${label} Training Renewal`,
-        body: `Hello,
+// Recorded on the template version each run creates
+const SEED_CHANGE = { changeNote: "Seeded default template" };
+
+// Reminder wording per language
+const REMINDER_TEXT = {
+    en: {
+        subject: (label) => `Reminder: ${label} Training Renewal`,
+        email: `Hello,
 
 This is a reminder that your {{classTypeName}} training certification is approaching its renewal period.
 
@@ -44,23 +37,66 @@ If you no longer wish to receive these reminders, you can opt out here:
 
 Thank you,
 Student Training Portal`,
+        sms: `Reminder: Your {{classTypeName}} certification is due for renewal. Schedule now: {{scheduleLink}}`,
+    },
+    es: {
+        subject: (label) => `Recordatorio: renovación de la capacitación ${label}`,
+        email: `Hola:
+
+Le recordamos que su certificación de capacitación {{classTypeName}} se acerca a su período de renovación.
+
+Programe su próxima sesión lo antes posible con el siguiente enlace:
+{{scheduleLink}}
+
+Si ya no desea recibir estos recordatorios, puede darse de baja aquí:
+{{optOutLink}}
+
+Gracias,
+Student Training Portal`,
+        sms: `Recordatorio: su certificación {{classTypeName}} debe renovarse. Programe su sesión: {{scheduleLink}}`,
+    },
+};
+
+const buildEmailTemplate = ({ key, label }, locale) => {
+    return {
+        classType: key,
+        channel: "EMAIL",
+        locale,
+        subject: REMINDER_TEXT[locale].subject(label),
+        body: REMINDER_TEXT[locale].email,
         scheduleLink: BOOKING_LINK,
         variables: { classTypeName: label, scheduleLink: BOOKING_LINK, optOutLink: `${APP_URL}/opt-out` },
     };
 };
 
-const buildSmsTemplate = (classType) => {
-    const label = CLASS_TYPE_LABELS[classType];
+const buildSmsTemplate = ({ key, label }, locale) => {
     return {
-        classType,
+        classType: key,
         channel: "SMS",
+        locale,
         subject: null,
-        body: `Reminder: Your {{classTypeName}} certification is due for renewal. Schedule now: {{scheduleLink}}`,
+        body: REMINDER_TEXT[locale].sms,
         scheduleLink: BOOKING_LINK,
         variables: { classTypeName: label, scheduleLink: BOOKING_LINK },
     };
 };
 
+// System messages (verification codes, confirmations) in every language they have wording for
+const buildSystemTemplates = () => {
+    return Object.entries(SYSTEM_MESSAGE_DEFAULTS).flatMap(([purpose, locales]) =>
+        Object.entries(locales).flatMap(([locale, channels]) =>
+            Object.entries(channels).map(([channel, content]) => ({
+                purpose,
+                classType: TEMPLATE_ALL_CLASSES,
+                channel,
+                locale,
+                subject: content.subject || null,
+                body: content.body,
+            }))
+        )
+    );
+};
+
 const seedTemplates = async () => {
     try {
         logger.info("Starting template seeding...");
@@ -69,13 +105,23 @@ const seedTemplates = async () => {
 
         let created = 0;
 
-        for (const classType of CLASS_TYPES) {
-            // Email template
-            await templateRepository.upsertTemplate(buildEmailTemplate(classType));
-            created++;
+        // Templates are seeded for every class in the catalog (run seedClasses first)
+        const classes = await classDefinitionRepository.findAll({ includeInactive: true });
+
+        for (const classDefinition of classes) {
+            for (const locale of Object.keys(REMINDER_TEXT)) {
+                // Email template
+                await templateRepository.upsertTemplate(buildEmailTemplate(classDefinition, locale), SEED_CHANGE);
+                created++;
+
+                // SMS template
+                await templateRepository.upsertTemplate(buildSmsTemplate(classDefinition, locale), SEED_CHANGE);
+                created++;
+            }
+        }
 
-            // SMS template
-            await templateRepository.upsertTemplate(buildSmsTemplate(classType));
+        for (const template of buildSystemTemplates()) {
+            await templateRepository.upsertTemplate(template, SEED_CHANGE);
             created++;
         }
 
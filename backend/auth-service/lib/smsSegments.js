@@ -0,0 +1,47 @@
+// backend/auth-service/lib/smsSegments.js
+// How many SMS segments a message is billed as. Messages that fit the GSM 03.38
+// alphabet use 7-bit encoding (160 characters, 153 per part when split); anything
+// else, such as emoji or curly quotes, switches the whole message to UCS-2
+// (70 characters, 67 per part).
+
+const GSM_BASIC =
+  "@£$¥èéùìòÇ\nØø\rÅåΔ_ΦΓΛΩΠΨΣΘΞÆæßÉ !\"#¤%&'()*+,-./0123456789:;<=>?" +
+  "¡ABCDEFGHIJKLMNOPQRSTUVWXYZÄÖÑÜ§¿abcdefghijklmnopqrstuvwxyzäöñüà";
+// Extension table characters take two septets (escape + character)
+const GSM_EXTENDED = "^{}\\[~]|€\f";
+
+const LIMITS = {
+  "GSM-7": { single: 160, multi: 153 },
+  "UCS-2": { single: 70, multi: 67 },
+};
+
+/**
+ * Count the segments a message will be sent as
+ * @param {string} text - Message body
+ * @returns {Object} { encoding, characters, segments, charactersPerSegment }
+ */
+const getSmsSegmentInfo = (text) => {
+  const message = text || "";
+  const chars = [...message];
+  const isGsm = chars.every((char) => GSM_BASIC.includes(char) || GSM_EXTENDED.includes(char));
+
+  const encoding = isGsm ? "GSM-7" : "UCS-2";
+  // GSM counts septets; UCS-2 counts UTF-16 code units, so emoji count as two
+  const characters = isGsm
+    ? chars.reduce((count, char) => count + (GSM_EXTENDED.includes(char) ? 2 : 1), 0)
+    : message.length;
+
+  const limit = LIMITS[encoding];
+  const segments = characters === 0 ? 0 : characters <= limit.single ? 1 : Math.ceil(characters / limit.multi);
+
+  return {
+    encoding,
+    characters,
+    segments,
+    charactersPerSegment: segments > 1 ? limit.multi : limit.single,
+  };
+};
+
+module.exports = {
+  getSmsSegmentInfo,
+};
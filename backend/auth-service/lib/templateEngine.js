@@ -0,0 +1,633 @@
+// backend/auth-service/lib/templateEngine.js
+// A small Handlebars/Liquid-style engine for admin-edited message templates.
+//
+//   {{studentName | default: "there"}}       output with filters
+//   {{expiresAt | date: "MMMM d, yyyy"}}     dates in the student's timezone and language
+//   {{#if studentPhone}}...{{else}}...{{/if}} conditionals ({{#unless}} too)
+//   {{#each items}}{{this}}{{/each}}          loops; {{@index}} is the position
+//   {{! a comment }}
+//
+// It is sandboxed: templates can only read their own variables (own properties, no
+// prototype access), never call functions, and output is capped in size.
+
+const MAX_OUTPUT_LENGTH = 100000;
+const MAX_LOOP_ITEMS = 1000;
+const DEFAULT_DATE_FORMAT = "MMMM d, yyyy";
+// Default date format of languages that don't write dates the English way
+const LOCALE_DATE_FORMATS = { es: "d 'de' MMMM 'de' yyyy" };
+
+const IDENTIFIER = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const FORBIDDEN_SEGMENTS = new Set(["__proto__", "constructor", "prototype"]);
+const BLOCK_TAGS = new Set(["if", "unless", "each"]);
+
+const MONTHS = [
+  "January",
+  "February",
+  "March",
+  "April",
+  "May",
+  "June",
+  "July",
+  "August",
+  "September",
+  "October",
+  "November",
+  "December",
+];
+
+/**
+ * Syntax error with the 1-based line and column of the offending tag
+ */
+const templateSyntaxError = (message, { line, column }) => {
+  const error = new Error(`${message} (line ${line}, column ${column})`);
+  error.name = "TemplateSyntaxError";
+  error.reason = message;
+  error.line = line;
+  error.column = column;
+  return error;
+};
+
+/**
+ * Map string offsets to line/column positions
+ * @param {string} source - Template source
+ * @returns {Function} offset => { line, column }
+ */
+const createLocator = (source) => {
+  const lineStarts = [0];
+  for (let i = 0; i < source.length; i++) {
+    if (source[i] === "\n") {
+      lineStarts.push(i + 1);
+    }
+  }
+  return (offset) => {
+    let line = lineStarts.length - 1;
+    while (lineStarts[line] > offset) {
+      line--;
+    }
+    return { line: line + 1, column: offset - lineStarts[line] + 1 };
+  };
+};
+
+/**
+ * Empty values: missing, null, blank text, false and empty lists
+ */
+const isEmpty = (value) =>
+  value === undefined ||
+  value === null ||
+  value === false ||
+  (typeof value === "string" && value.trim() === "") ||
+  (Array.isArray(value) && value.length === 0);
+
+/**
+ * Read a date from a Date, ISO string or timestamp
+ * @returns {Date|null}
+ */
+const toDate = (value) => {
+  if (value === null || value === undefined || value === "") {
+    return null;
+  }
+  const date = value instanceof Date ? value : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Month and weekday names of a date in a language other than English
+ * @returns {Object} { month, weekday }
+ */
+const getLocalizedNames = (date, timezone, locale) =>
+  new Intl.DateTimeFormat(locale, {
+    timeZone: timezone,
+    month: "long",
+    weekday: "long",
+  })
+    .formatToParts(date)
+    .reduce((acc, part) => ({ ...acc, [part.type]: part.value }), {});
+
+/**
+ * Format a date with date-fns style tokens (yyyy, MMMM, MMM, MM, M, dd, d, EEEE, EEE,
+ * HH, H, hh, h, mm, a). Text in single quotes is copied as is.
+ * @param {*} value - Date, ISO string or timestamp
+ * @param {string} format - Pattern
+ * @param {string} [timezone] - IANA timezone (UTC if not given)
+ * @param {string} [locale] - Language of month and weekday names (English if not given)
+ * @returns {string} Formatted date, or "" if the value isn't a date
+ */
+const formatDate = (value, format, timezone, locale) => {
+  const date = toDate(value);
+  if (!date) {
+    return "";
+  }
+
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone: timezone || "UTC",
+    year: "numeric",
+    month: "numeric",
+    day: "numeric",
+    weekday: "long",
+    hour: "numeric",
+    minute: "2-digit",
+    hourCycle: "h23",
+  })
+    .formatToParts(date)
+    .reduce((acc, part) => ({ ...acc, [part.type]: part.value }), {});
+
+  const month = Number(parts.month);
+  const hour = Number(parts.hour);
+  const hour12 = hour % 12 || 12;
+  const names =
+    locale && locale !== "en"
+      ? getLocalizedNames(date, timezone || "UTC", locale)
+      : { month: MONTHS[month - 1], weekday: parts.weekday };
+  const tokens = {
+    yyyy: parts.year,
+    yy: parts.year.slice(-2),
+    MMMM: names.month,
+    MMM: names.month.slice(0, 3),
+    MM: String(month).padStart(2, "0"),
+    M: String(month),
+    dd: parts.day.padStart(2, "0"),
+    d: String(Number(parts.day)),
+    EEEE: names.weekday,
+    EEE: names.weekday.slice(0, 3),
+    HH: String(hour).padStart(2, "0"),
+    H: String(hour),
+    hh: String(hour12).padStart(2, "0"),
+    h: String(hour12),
+    mm: parts.minute.padStart(2, "0"),
+    a: hour < 12 ? "AM" : "PM",
+  };
+
+  return String(format).replace(
+    /'([^']*)'|yyyy|yy|MMMM|MMM|MM|M|dd|d|EEEE|EEE|HH|H|hh|h|mm|a/g,
+    (match, literal) => (literal !== undefined ? literal : tokens[match]),
+  );
+};
+
+/**
+ * Text for an output tag. Objects render as nothing rather than "[object Object]".
+ */
+const toText = (value, options) => {
+  if (value === null || value === undefined || typeof value === "function") {
+    return "";
+  }
+  if (value instanceof Date) {
+    return formatDate(
+      value,
+      LOCALE_DATE_FORMATS[options.locale] || DEFAULT_DATE_FORMAT,
+      options.timezone,
+      options.locale,
+    );
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => toText(item, options)).join(", ");
+  }
+  if (typeof value === "object") {
+    return "";
+  }
+  return String(value);
+};
+
+// Filters: name => { argument: "required" | "optional" | "none", apply(value, arg, options) }
+const FILTERS = {
+  default: {
+    argument: "required",
+    apply: (value, fallback) => (isEmpty(value) ? fallback : value),
+  },
+  date: {
+    argument: "optional",
+    apply: (value, format, options) =>
+      formatDate(
+        value,
+        format || LOCALE_DATE_FORMATS[options.locale] || DEFAULT_DATE_FORMAT,
+        options.timezone,
+        options.locale,
+      ),
+  },
+  upper: {
+    argument: "none",
+    apply: (value) => toText(value, {}).toUpperCase(),
+  },
+  lower: {
+    argument: "none",
+    apply: (value) => toText(value, {}).toLowerCase(),
+  },
+  capitalize: {
+    argument: "none",
+    apply: (value) => {
+      const text = toText(value, {});
+      return text.charAt(0).toUpperCase() + text.slice(1);
+    },
+  },
+};
+
+/**
+ * Split on a separator, ignoring separators inside quotes
+ */
+const splitOutsideQuotes = (text, separator) => {
+  const parts = [];
+  let current = "";
+  let quote = null;
+  for (const char of text) {
+    if (quote) {
+      if (char === quote) {
+        quote = null;
+      }
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    }
+
+    if (!quote && char === separator) {
+      parts.push(current);
+      current = "";
+    } else {
+      current += char;
+    }
+  }
+  parts.push(current);
+  return parts;
+};
+
+/**
+ * Parse a variable reference: name, name.field, this, this.field or @index
+ * @returns {Object} { segments, scope: "root" | "item" | "index" }
+ */
+const parsePath = (text, position) => {
+  const path = text.trim();
+  if (path === "@index") {
+    return { scope: "index", segments: [], raw: path };
+  }
+
+  const segments = path.split(".");
+  if (!segments.every((segment) => IDENTIFIER.test(segment))) {
+    throw templateSyntaxError(
+      `"${path}" is not a valid variable name`,
+      position,
+    );
+  }
+  if (segments.some((segment) => FORBIDDEN_SEGMENTS.has(segment))) {
+    throw templateSyntaxError(
+      `"${path}" is not allowed in templates`,
+      position,
+    );
+  }
+  if (segments[0] === "this") {
+    return { scope: "item", segments: segments.slice(1), raw: path };
+  }
+  return { scope: "root", segments, raw: path };
+};
+
+/**
+ * Parse a filter argument: a quoted string or a number
+ */
+const parseLiteral = (text, position) => {
+  const value = text.trim();
+  const quoted = value.match(/^"([^"]*)"$/) || value.match(/^'([^']*)'$/);
+  if (quoted) {
+    return quoted[1];
+  }
+  if (/^-?\d+(\.\d+)?$/.test(value)) {
+    return Number(value);
+  }
+  throw templateSyntaxError(
+    `Filter argument ${value || "(empty)"} must be a quoted string or a number`,
+    position,
+  );
+};
+
+/**
+ * Parse `name` or `name: argument` after a pipe
+ */
+const parseFilter = (text, position) => {
+  const separator = text.indexOf(":");
+  const name = (separator === -1 ? text : text.slice(0, separator)).trim();
+  const filter = FILTERS[name];
+  if (!filter) {
+    throw templateSyntaxError(
+      `Unknown filter "${name}". Available filters: ${Object.keys(FILTERS).join(", ")}`,
+      position,
+    );
+  }
+
+  const hasArgument = separator !== -1;
+  if (filter.argument === "required" && !hasArgument) {
+    throw templateSyntaxError(
+      `The ${name} filter needs a value, e.g. ${name}: "..."`,
+      position,
+    );
+  }
+  if (filter.argument === "none" && hasArgument) {
+    throw templateSyntaxError(
+      `The ${name} filter doesn't take a value`,
+      position,
+    );
+  }
+  return {
+    name,
+    argument: hasArgument
+      ? parseLiteral(text.slice(separator + 1), position)
+      : undefined,
+  };
+};
+
+/**
+ * Parse the inside of an output tag: a variable followed by filters
+ */
+const parseExpression = (text, position) => {
+  const [path, ...filters] = splitOutsideQuotes(text, "|");
+  if (!path.trim()) {
+    throw templateSyntaxError("Empty {{ }} tag", position);
+  }
+  return {
+    path: parsePath(path, position),
+    filters: filters.map((filter) => parseFilter(filter, position)),
+  };
+};
+
+/**
+ * Parse a template into a tree. Throws a TemplateSyntaxError with the position of
+ * the first problem: unclosed tags, unbalanced blocks, bad names or unknown filters.
+ * @param {string} source - Template source
+ * @returns {Array<Object>} Nodes
+ */
+const parseTemplate = (source) => {
+  const locate = createLocator(source);
+  const root = { body: [] };
+  const stack = [];
+  let current = root.body;
+  let offset = 0;
+
+  while (offset < source.length) {
+    const open = source.indexOf("{{", offset);
+    if (open === -1) {
+      current.push({ type: "text", value: source.slice(offset) });
+      break;
+    }
+    if (open > offset) {
+      current.push({ type: "text", value: source.slice(offset, open) });
+    }
+
+    const position = locate(open);
+    const close = source.indexOf("}}", open + 2);
+    if (close === -1) {
+      throw templateSyntaxError(
+        "Unclosed tag: {{ has no matching }}",
+        position,
+      );
+    }
+    const tag = source.slice(open + 2, close).trim();
+    offset = close + 2;
+
+    if (tag.startsWith("!")) {
+      // {{! comment }} renders nothing
+    } else if (tag.startsWith("#")) {
+      const [, name, argument = ""] = tag.match(/^#(\S*)\s*(.*)$/);
+      if (!BLOCK_TAGS.has(name)) {
+        throw templateSyntaxError(
+          `Unknown block {{#${name}}}. Use #if, #unless or #each`,
+          position,
+        );
+      }
+      if (!argument.trim()) {
+        throw templateSyntaxError(
+          `{{#${name}}} needs a variable, e.g. {{#${name} studentPhone}}`,
+          position,
+        );
+      }
+      const node = {
+        type: name,
+        path: parsePath(argument, position),
+        body: [],
+        alternate: null,
+        position,
+      };
+      current.push(node);
+      stack.push(node);
+      current = node.body;
+    } else if (tag.startsWith("/")) {
+      const name = tag.slice(1).trim();
+      const node = stack.pop();
+      if (!node) {
+        throw templateSyntaxError(
+          `{{/${name}}} has no matching {{#${name}}}`,
+          position,
+        );
+      }
+      if (node.type !== name) {
+        throw templateSyntaxError(
+          `Expected {{/${node.type}}} to close {{#${node.type}}} from line ${node.position.line}, ` +
+            `column ${node.position.column}, but found {{/${name}}}`,
+          position,
+        );
+      }
+      const parent = stack[stack.length - 1];
+      current = parent ? parent.alternate || parent.body : root.body;
+    } else if (tag === "else") {
+      const node = stack[stack.length - 1];
+      if (!node) {
+        throw templateSyntaxError(
+          "{{else}} must be inside {{#if}}, {{#unless}} or {{#each}}",
+          position,
+        );
+      }
+      if (node.alternate) {
+        throw templateSyntaxError(
+          `{{#${node.type}}} already has an {{else}}`,
+          position,
+        );
+      }
+      node.alternate = [];
+      current = node.alternate;
+    } else {
+      current.push({
+        type: "output",
+        ...parseExpression(tag, position),
+        position,
+      });
+    }
+  }
+
+  const unclosed = stack.pop();
+  if (unclosed) {
+    throw templateSyntaxError(
+      `{{#${unclosed.type}}} is never closed with {{/${unclosed.type}}}`,
+      unclosed.position,
+    );
+  }
+  return root.body;
+};
+
+/**
+ * Look up a variable. Only own properties of plain objects and arrays are read.
+ */
+const resolvePath = (path, variables, loop) => {
+  if (path.scope === "index") {
+    return loop ? loop.index : undefined;
+  }
+
+  let value = path.scope === "item" ? loop?.item : variables;
+  for (const segment of path.segments) {
+    if (
+      value === null ||
+      typeof value !== "object" ||
+      !Object.prototype.hasOwnProperty.call(value, segment)
+    ) {
+      return undefined;
+    }
+    value = value[segment];
+  }
+  return typeof value === "function" ? undefined : value;
+};
+
+/**
+ * Append rendered text, stopping runaway output
+ */
+const write = (output, text) => {
+  output.length += text.length;
+  if (output.length > MAX_OUTPUT_LENGTH) {
+    throw new Error("Template output is too long");
+  }
+  output.chunks.push(text);
+};
+
+/**
+ * Render parsed nodes into output ({ chunks, length })
+ */
+const renderNodes = (nodes, variables, options, loop, output) => {
+  for (const node of nodes) {
+    if (node.type === "text") {
+      write(output, node.value);
+    } else if (node.type === "output") {
+      const value = node.filters.reduce(
+        (current, filter) =>
+          FILTERS[filter.name].apply(current, filter.argument, options),
+        resolvePath(node.path, variables, loop),
+      );
+      write(output, toText(value, options));
+    } else if (node.type === "if" || node.type === "unless") {
+      const truthy = !isEmpty(resolvePath(node.path, variables, loop));
+      const branch =
+        truthy === (node.type === "if") ? node.body : node.alternate;
+      if (branch) {
+        renderNodes(branch, variables, options, loop, output);
+      }
+    } else if (node.type === "each") {
+      const items = resolvePath(node.path, variables, loop);
+      if (Array.isArray(items) && items.length > 0) {
+        items.slice(0, MAX_LOOP_ITEMS).forEach((item, index) => {
+          renderNodes(node.body, variables, options, { item, index }, output);
+        });
+      } else if (node.alternate) {
+        renderNodes(node.alternate, variables, options, loop, output);
+      }
+    }
+  }
+};
+
+/**
+ * Render a template
+ * @param {string} source - Template source
+ * @param {Object} variables - Values the template can read
+ * @param {Object} [options] - { timezone, locale } for the date filter
+ * @returns {string} Rendered text
+ */
+const renderTemplate = (source, variables, options = {}) => {
+  const output = { chunks: [], length: 0 };
+  renderNodes(
+    parseTemplate(source || ""),
+    variables || {},
+    options,
+    null,
+    output,
+  );
+  return output.chunks.join("");
+};
+
+/**
+ * Closest known name, for "did you mean" hints
+ */
+const suggestName = (name, knownNames) => {
+  const distance = (a, b) => {
+    const row = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+      let previous = row[0];
+      row[0] = i;
+      for (let j = 1; j <= b.length; j++) {
+        const saved = row[j];
+        row[j] = Math.min(
+          row[j] + 1,
+          row[j - 1] + 1,
+          previous + (a[i - 1] === b[j - 1] ? 0 : 1),
+        );
+        previous = saved;
+      }
+    }
+    return row[b.length];
+  };
+
+  const [best] = knownNames
+    .map((known) => ({
+      known,
+      score: distance(name.toLowerCase(), known.toLowerCase()),
+    }))
+    .sort((a, b) => a.score - b.score);
+  return best && best.score <= 2 ? best.known : null;
+};
+
+/**
+ * Check a template before it is saved
+ * @param {string} source - Template source
+ * @param {Array<string>} knownVariables - Variable names the template may use
+ * @returns {Array<Object>} Problems [{ message, line, column }]; empty when valid
+ */
+const validateTemplate = (source, knownVariables) => {
+  let nodes;
+  try {
+    nodes = parseTemplate(source || "");
+  } catch (error) {
+    if (error.name !== "TemplateSyntaxError") {
+      throw error;
+    }
+    return [{ message: error.reason, line: error.line, column: error.column }];
+  }
+
+  const problems = [];
+  const checkPath = (path, position, inLoop) => {
+    if (path.scope !== "root" && !inLoop) {
+      problems.push({
+        message: `{{${path.raw}}} can only be used inside {{#each}}`,
+        ...position,
+      });
+    } else if (
+      path.scope === "root" &&
+      !knownVariables.includes(path.segments[0])
+    ) {
+      const suggestion = suggestName(path.segments[0], knownVariables);
+      problems.push({
+        message: `Unknown variable {{${path.raw}}}${suggestion ? `. Did you mean {{${suggestion}}}?` : ""}`,
+        ...position,
+      });
+    }
+  };
+  const walk = (list, inLoop) => {
+    list
+      .filter((node) => node.type !== "text")
+      .forEach((node) => {
+        checkPath(node.path, node.position, inLoop);
+        if (node.body) {
+          walk(node.body, inLoop || node.type === "each");
+        }
+        if (node.alternate) {
+          walk(node.alternate, inLoop);
+        }
+      });
+  };
+  walk(nodes, false);
+  return problems;
+};
+
+module.exports = {
+  parseTemplate,
+  renderTemplate,
+  validateTemplate,
+  formatDate,
+};
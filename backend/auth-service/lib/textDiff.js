@@ -0,0 +1,55 @@
+// backend/auth-service/lib/textDiff.js
+// Line-based diff for comparing template versions. Templates are a few dozen lines,
+// so a plain longest-common-subsequence table is fast enough.
+
+/**
+ * Diff two texts line by line
+ * @param {string|null} before - Old text
+ * @param {string|null} after - New text
+ * @returns {Array<Object>} [{ type: "unchanged" | "added" | "removed", text }] in reading order
+ */
+const diffLines = (before, after) => {
+  const a = before ? String(before).split("\n") : [];
+  const b = after ? String(after).split("\n") : [];
+
+  // lcs[i][j] = length of the longest common subsequence of a[i..] and b[j..]
+  const lcs = Array.from({ length: a.length + 1 }, () =>
+    new Array(b.length + 1).fill(0),
+  );
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] =
+        a[i] === b[j]
+          ? lcs[i + 1][j + 1] + 1
+          : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      lines.push({ type: "unchanged", text: a[i] });
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      lines.push({ type: "removed", text: a[i] });
+      i++;
+    } else {
+      lines.push({ type: "added", text: b[j] });
+      j++;
+    }
+  }
+  while (i < a.length) {
+    lines.push({ type: "removed", text: a[i++] });
+  }
+  while (j < b.length) {
+    lines.push({ type: "added", text: b[j++] });
+  }
+  return lines;
+};
+
+module.exports = {
+  diffLines,
+};
@@ -0,0 +1,151 @@
+// backend/auth-service/lib/timezones.js
+// Timezone helpers built on Intl (no tz database dependency).
+
+// Used when a student has no stored timezone and none can be inferred from their phone
+const DEFAULT_TIMEZONE = process.env.REMINDER_DEFAULT_TIMEZONE || "America/New_York";
+
+// North American area codes by timezone. States split across zones are listed under
+// the zone most of the area code falls in; unknown codes fall back to the default.
+const AREA_CODES_BY_TIMEZONE = {
+  "America/New_York": [
+    201, 202, 203, 207, 212, 215, 216, 220, 223, 227, 229, 231, 234, 239, 240, 248, 252, 260, 267, 269,
+    272, 276, 283, 301, 302, 304, 305, 313, 315, 317, 321, 324, 326, 330, 332, 336, 339, 347, 351, 352,
+    363, 380, 386, 401, 404, 407, 410, 412, 413, 419, 423, 434, 436, 440, 443, 445, 448, 463, 470, 472,
+    475, 478, 484, 502, 508, 513, 516, 517, 518, 540, 551, 561, 567, 570, 571, 574, 582, 585, 586, 603,
+    606, 607, 609, 610, 614, 616, 617, 631, 640, 645, 646, 656, 667, 678, 679, 680, 681, 689, 703, 704,
+    706, 716, 717, 718, 724, 727, 728, 732, 734, 740, 743, 754, 757, 762, 765, 770, 771, 772, 774, 781,
+    786, 802, 803, 804, 810, 812, 813, 814, 826, 828, 835, 838, 839, 843, 845, 848, 854, 856, 857, 859,
+    860, 862, 863, 864, 865, 878, 904, 906, 908, 910, 912, 914, 917, 919, 929, 930, 934, 937, 941, 943,
+    947, 948, 954, 959, 973, 978, 980, 984, 989,
+  ],
+  "America/Chicago": [
+    205, 210, 214, 217, 218, 219, 224, 225, 228, 251, 254, 256, 262, 270, 274, 281, 308, 309, 312, 314,
+    316, 318, 319, 320, 325, 327, 331, 334, 337, 346, 361, 364, 402, 405, 409, 414, 417, 430, 432, 447,
+    464, 469, 479, 501, 504, 507, 512, 515, 531, 534, 539, 557, 563, 572, 573, 580, 601, 605, 608, 612,
+    615, 618, 620, 629, 630, 636, 641, 651, 659, 660, 662, 682, 701, 708, 712, 713, 715, 726, 730, 731,
+    737, 763, 769, 773, 779, 785, 806, 815, 816, 817, 830, 832, 847, 850, 861, 870, 872, 901, 903, 913,
+    918, 920, 931, 936, 938, 940, 945, 952, 956, 972, 975, 979, 985,
+  ],
+  "America/Denver": [208, 303, 307, 385, 406, 435, 505, 575, 719, 720, 801, 915, 970, 983, 986],
+  "America/Phoenix": [480, 520, 602, 623, 928],
+  "America/Los_Angeles": [
+    206, 209, 213, 253, 279, 310, 323, 341, 350, 360, 408, 415, 424, 425, 442, 458, 503, 509, 510, 530,
+    541, 559, 562, 564, 619, 626, 628, 650, 657, 661, 669, 702, 707, 714, 725, 747, 760, 775, 805, 818,
+    820, 831, 840, 858, 909, 916, 925, 949, 951, 971,
+  ],
+  "America/Anchorage": [907],
+  "Pacific/Honolulu": [808],
+};
+
+const AREA_CODE_TIMEZONES = Object.entries(AREA_CODES_BY_TIMEZONE).reduce((acc, [timezone, codes]) => {
+  codes.forEach((code) => {
+    acc[code] = timezone;
+  });
+  return acc;
+}, {});
+
+/**
+ * Check that a string is an IANA timezone name Intl understands
+ * @param {string} timezone - e.g. "America/Chicago"
+ * @returns {boolean} True if valid
+ */
+const isValidTimezone = (timezone) => {
+  if (!timezone) return false;
+  try {
+    return Boolean(Intl.DateTimeFormat("en-US", { timeZone: timezone }).resolvedOptions().timeZone);
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Guess a timezone from a North American phone number's area code
+ * @param {string} phone - Phone number (E.164 or 10 digits)
+ * @returns {string|null} IANA timezone, or null if unknown
+ */
+const inferTimezoneFromPhone = (phone) => {
+  if (!phone) return null;
+  const digits = phone.replace(/\D/g, "");
+  let national;
+  if (digits.length === 11 && digits.startsWith("1")) {
+    national = digits.slice(1);
+  } else if (digits.length === 10) {
+    national = digits;
+  } else {
+    return null;
+  }
+  return AREA_CODE_TIMEZONES[Number(national.slice(0, 3))] || null;
+};
+
+/**
+ * Timezone to deliver a student's reminders in
+ * @param {Object} student - { timezone?, phone? }
+ * @returns {string} IANA timezone
+ */
+const resolveStudentTimezone = (student) => {
+  if (student?.timezone && isValidTimezone(student.timezone)) {
+    return student.timezone;
+  }
+  return inferTimezoneFromPhone(student?.phone) || DEFAULT_TIMEZONE;
+};
+
+/**
+ * Wall-clock parts of an instant in a timezone
+ * @param {Date} date - Instant
+ * @param {string} timezone - IANA timezone
+ * @returns {Object} { year, month, day, hour, minute } (month is 1-based)
+ */
+const getZonedParts = (date, timezone) => {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone: timezone,
+    year: "numeric",
+    month: "numeric",
+    day: "numeric",
+    hour: "numeric",
+    minute: "numeric",
+    hourCycle: "h23",
+  }).formatToParts(date);
+
+  return parts.reduce((acc, part) => {
+    if (part.type !== "literal") {
+      acc[part.type] = Number(part.value);
+    }
+    return acc;
+  }, {});
+};
+
+/**
+ * Offset of a timezone from UTC at a given instant, in milliseconds
+ * @param {Date} date - Instant
+ * @param {string} timezone - IANA timezone
+ * @returns {number} Local time minus UTC
+ */
+const getTimezoneOffset = (date, timezone) => {
+  const { year, month, day, hour, minute } = getZonedParts(date, timezone);
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute);
+  return asUtc - Math.floor(date.getTime() / 60000) * 60000;
+};
+
+/**
+ * The instant at which the local clock in a timezone reads hour:00 on the same local day as date
+ * @param {Date} date - Any instant on the wanted local day
+ * @param {number} hour - Local hour (0-23)
+ * @param {string} timezone - IANA timezone
+ * @returns {Date} Instant
+ */
+const atLocalHour = (date, hour, timezone) => {
+  const { year, month, day } = getZonedParts(date, timezone);
+  const guess = Date.UTC(year, month - 1, day, hour);
+  // Re-read the offset at the result so DST changes between date and the target hour are handled
+  const firstPass = guess - getTimezoneOffset(new Date(guess), timezone);
+  return new Date(guess - getTimezoneOffset(new Date(firstPass), timezone));
+};
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  isValidTimezone,
+  inferTimezoneFromPhone,
+  resolveStudentTimezone,
+  getZonedParts,
+  atLocalHour,
+};
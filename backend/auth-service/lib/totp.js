@@ -0,0 +1,165 @@
+// backend/auth-service/lib/totp.js
+// RFC 6238 time-based one-time passwords (the codes authenticator apps show), plus
+// encryption for the shared secret at rest. SHA-1, 6 digits, 30 second steps: the
+// defaults every authenticator app supports.
+const crypto = require("crypto");
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const SECRET_BYTES = 20;
+
+/**
+ * Encode bytes as RFC 4648 base32 without padding
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} Base32 string
+ */
+const base32Encode = (buffer) => {
+  const bits = [...buffer].map((byte) => byte.toString(2).padStart(8, "0")).join("");
+  let output = "";
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, "0"), 2)];
+  }
+  return output;
+};
+
+/**
+ * Decode an RFC 4648 base32 string (case, spaces and padding are ignored)
+ * @param {string} input - Base32 string
+ * @returns {Buffer} Decoded bytes
+ */
+const base32Decode = (input) => {
+  const bits = input
+    .toUpperCase()
+    .replace(/[\s=]/g, "")
+    .split("")
+    .map((char) => {
+      const value = BASE32_ALPHABET.indexOf(char);
+      if (value === -1) {
+        throw new Error("Invalid base32 character");
+      }
+      return value.toString(2).padStart(5, "0");
+    })
+    .join("");
+
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generate a new random shared secret
+ * @returns {string} Base32 secret
+ */
+const generateSecret = () => base32Encode(crypto.randomBytes(SECRET_BYTES));
+
+/**
+ * Time step for a moment in time
+ * @param {number} [timestamp] - Milliseconds since epoch
+ * @returns {number} Step number
+ */
+const getStep = (timestamp = Date.now()) => Math.floor(timestamp / 1000 / STEP_SECONDS);
+
+/**
+ * HOTP code for a time step (RFC 4226 dynamic truncation)
+ * @param {string} secret - Base32 secret
+ * @param {number} step - Time step
+ * @returns {string} Zero-padded code
+ */
+const generateCode = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac("sha1", base32Decode(secret)).update(counter).digest();
+
+  const offset = hmac[hmac.length - 1] % 16;
+  const binary =
+    (hmac[offset] % 128) * 2 ** 24 + hmac[offset + 1] * 2 ** 16 + hmac[offset + 2] * 2 ** 8 + hmac[offset + 3];
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, "0");
+};
+
+/**
+ * Check a code against the current step and one step either side (clock drift).
+ * Steps at or before lastStep are refused so a code can't be used twice.
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code the user entered
+ * @param {Object} [options] - { lastStep, timestamp }
+ * @returns {number|null} Matching step, or null
+ */
+const verifyCode = (secret, code, { lastStep = null, timestamp = Date.now() } = {}) => {
+  const normalized = String(code).replace(/\s/g, "");
+  if (!/^\d{6}$/.test(normalized)) {
+    return null;
+  }
+
+  const current = getStep(timestamp);
+  const steps = [current - 1, current, current + 1].filter((step) => lastStep === null || step > lastStep);
+  const match = steps.find((step) =>
+    crypto.timingSafeEqual(Buffer.from(generateCode(secret, step)), Buffer.from(normalized))
+  );
+  return match === undefined ? null : match;
+};
+
+/**
+ * otpauth:// URI that authenticator apps read from the enrollment QR code
+ * @param {string} secret - Base32 secret
+ * @param {string} accountName - Usually the admin's email
+ * @param {string} issuer - App name shown in the authenticator
+ * @returns {string} otpauth URI
+ */
+const buildOtpauthUrl = (secret, accountName, issuer) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+// Secrets are encrypted so a database dump alone can't generate codes
+const getEncryptionKey = () =>
+  crypto
+    .createHash("sha256")
+    .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_ACCESS_SECRET || "")
+    .digest();
+
+/**
+ * Encrypt a secret for storage (AES-256-GCM)
+ * @param {string} secret - Base32 secret
+ * @returns {string} iv.tag.ciphertext, base64url
+ */
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", getEncryptionKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(secret, "utf8"), cipher.final()]);
+  return [iv, cipher.getAuthTag(), ciphertext].map((part) => part.toString("base64url")).join(".");
+};
+
+/**
+ * Decrypt a stored secret
+ * @param {string} stored - Value from encryptSecret
+ * @returns {string} Base32 secret
+ */
+const decryptSecret = (stored) => {
+  const [iv, tag, ciphertext] = stored.split(".").map((part) => Buffer.from(part, "base64url"));
+  const decipher = crypto.createDecipheriv("aes-256-gcm", getEncryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString("utf8");
+};
+
+module.exports = {
+  generateSecret,
+  generateCode,
+  getStep,
+  verifyCode,
+  buildOtpauthUrl,
+  encryptSecret,
+  decryptSecret,
+  base32Encode,
+  base32Decode,
+};
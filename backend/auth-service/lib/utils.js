@@ -1,3 +1,4 @@
+const crypto = require("crypto");
 const bcrypt = require("bcryptjs");
 const jwt = require("jsonwebtoken");
 const { JWT_CONFIG } = require("./constants");
@@ -77,6 +78,29 @@ const comparePassword = async (password, hash) => {
   }
 };
 
+/**
+ * Hash a one-time code for storage (HMAC, so a leaked table can't be checked offline)
+ * @param {string} code - Plain code
+ * @returns {string} Hex digest
+ */
+const hashOtp = (code) => {
+  const secret = process.env.OTP_HASH_SECRET || process.env.JWT_ACCESS_SECRET;
+  return crypto.createHmac("sha256", secret).update(code.trim()).digest("hex");
+};
+
+/**
+ * Compare a submitted one-time code with its stored hash in constant time
+ * @param {string} code - Submitted code
+ * @param {string} hash - Stored hash
+ * @returns {boolean} True if the code matches
+ */
+const compareOtp = (code, hash) => {
+  if (!hash) return false;
+  const expected = Buffer.from(hash, "hex");
+  const received = Buffer.from(hashOtp(code), "hex");
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
 /**
  * Create standardized success response
  * @param {Object} res - Express response object
@@ -130,6 +154,8 @@ module.exports = {
   verifyToken,
   hashPassword,
   comparePassword,
+  hashOtp,
+  compareOtp,
   SALT_ROUNDS,
   AuthenticationError,
   transformError,
@@ -1,7 +1,8 @@
 // backend/auth-service/middleware/authMiddleware.js
 const jwt = require("jsonwebtoken");
 const adminService = require("../services/adminService");
-const { COOKIE_NAMES, ROLE_HIERARCHY } = require("../lib/constants");
+const { COOKIE_NAMES, ERROR_MESSAGES } = require("../lib/constants");
+const { PERMISSIONS } = require("../lib/permissions");
 const {
   AuthenticationError,
   transformError,
@@ -142,52 +143,83 @@ const authenticateAdmin = async (req, res, next) => {
 };
 
 /**
- * Role-based access control middleware factory
- * @param {string} minimumRole - Minimum required role
+ * Check an authenticated admin's role permissions (resolved by adminService.validateToken)
+ * @param {Object} admin - req.admin
+ * @param {string} permission - Permission key, e.g. "signups:delete"
+ * @returns {boolean}
  */
-const requireRole = (minimumRole) => {
+const hasPermission = (admin, permission) => {
+  return admin?.permissions?.includes(permission) ?? false;
+};
+
+/**
+ * Whether a class is within an admin's class scope (roles scoped to classes)
+ * @param {Object} admin - req.admin
+ * @param {string} classType - ClassDefinition.key
+ * @returns {boolean}
+ */
+const inClassScope = (admin, classType) => {
+  return !admin?.classScope || admin.classScope.includes(classType);
+};
+
+/**
+ * Permission-based access control middleware factory. Runs after authenticateAdmin.
+ * @param {string} permission - Permission key from lib/permissions.js
+ */
+const requirePermission = (permission) => {
+  if (!PERMISSIONS[permission]) {
+    throw new Error(`Unknown permission: ${permission}`);
+  }
+
   return (req, res, next) => {
-    try {
-      if (!req.admin) {
-        throw AuthenticationError("Authentication required", "AUTHENTICATION_REQUIRED");
-      }
-
-      const adminRole = req.admin.role;
-      const adminRoleLevel = ROLE_HIERARCHY[adminRole];
-      const requiredRoleLevel = ROLE_HIERARCHY[minimumRole];
-
-      if (!adminRoleLevel || adminRoleLevel < requiredRoleLevel) {
-        logger.warn("Insufficient permissions", {
-          adminId: req.admin.id,
-          adminRole,
-          requiredRole: minimumRole,
-        });
-
-        return res.status(403).json({
-          success: false,
-          error: {
-            code: "INSUFFICIENT_PERMISSIONS",
-            message: `${minimumRole} role or higher is required for this action`,
-          },
-        });
-      }
-
-      next();
-    } catch (error) {
-      const transformedError = transformError(error, "requireRole");
+    if (!req.admin) {
+      return res.status(401).json({
+        success: false,
+        error: {
+          code: "AUTHENTICATION_REQUIRED",
+          message: "Authentication required",
+        },
+      });
+    }
+
+    // When two-factor is required, accounts without it can only reach their own profile
+    // and the enrollment routes, which don't use requirePermission
+    if (req.admin.twoFactorSetupRequired) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: "TWO_FACTOR_SETUP_REQUIRED",
+          message: "Set up two-factor authentication to continue",
+        },
+      });
+    }
+
+    if (!hasPermission(req.admin, permission)) {
+      logger.warn("Permission denied", {
+        adminId: req.admin.id,
+        adminRole: req.admin.role,
+        permission,
+        url: req.originalUrl,
+      });
+
       return res.status(403).json({
         success: false,
         error: {
-          message: transformedError.message,
-          code: transformedError.code,
+          code: "INSUFFICIENT_PERMISSIONS",
+          message: ERROR_MESSAGES.AUTHORIZATION.INSUFFICIENT_PERMISSIONS,
         },
       });
     }
+
+    next();
   };
 };
 
-// Convenience role middleware
-const requireAdmin = requireRole("ADMIN");
+/**
+ * authenticateAdmin followed by requirePermission, for route definitions
+ * @param {string} permission - Permission key from lib/permissions.js
+ */
+const authorize = (permission) => [authenticateAdmin, requirePermission(permission)];
 
 /**
  * Middleware to validate refresh token
@@ -265,16 +297,17 @@ const combineMiddleware = (...middlewares) => {
 
 // Pre-configured middleware combinations
 const requireAuth = combineMiddleware(authenticateAdmin);
-const requireAuthAdmin = combineMiddleware(authenticateAdmin, requireAdmin);
 
 module.exports = {
   // Core authentication
   authenticateAdmin,
   validateRefreshToken,
 
-  // Role-based access control
-  requireRole,
-  requireAdmin,
+  // Permission-based access control
+  hasPermission,
+  inClassScope,
+  requirePermission,
+  authorize,
 
   // Utility functions
   extractToken,
@@ -287,5 +320,4 @@ module.exports = {
 
   // Pre-configured middleware
   requireAuth,
-  requireAuthAdmin,
 };
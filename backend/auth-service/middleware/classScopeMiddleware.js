@@ -0,0 +1,55 @@
+// backend/auth-service/middleware/classScopeMiddleware.js
+// Keeps admins whose role is scoped to classes (e.g. instructors) to the signups of the
+// classes they teach. Runs after authorize(); unscoped admins pass straight through.
+// Out-of-scope records are reported as not found so their existence isn't revealed.
+const signupRepository = require("../repositories/signupRepository");
+const { inClassScope } = require("./authMiddleware");
+const { createErrorResponse } = require("../lib/utils");
+const { AuthorizationError, NotFoundError } = require("../shared/utils/errors");
+
+/**
+ * Require :signupId to belong to a class in the admin's scope
+ */
+const requireSignupInScope = async (req, res, next) => {
+  if (!req.admin?.classScope) return next();
+
+  try {
+    const signup = await signupRepository.findById(req.params.signupId);
+    if (!signup || !inClassScope(req.admin, signup.classType)) {
+      throw NotFoundError("Signup not found", "SIGNUP_NOT_FOUND");
+    }
+    next();
+  } catch (error) {
+    return createErrorResponse(res, error, "requireSignupInScope");
+  }
+};
+
+/**
+ * Require every signup of :studentId to be in the admin's scope. Student routes act on
+ * all of a student's data, so one out-of-scope signup is enough to refuse.
+ */
+const requireStudentInScope = async (req, res, next) => {
+  if (!req.admin?.classScope) return next();
+
+  try {
+    const signups = await signupRepository.findByStudentId(req.params.studentId);
+    const inScope = signups.filter((signup) => inClassScope(req.admin, signup.classType));
+    if (inScope.length === 0) {
+      throw NotFoundError("Student not found", "STUDENT_NOT_FOUND");
+    }
+    if (inScope.length < signups.length) {
+      throw AuthorizationError(
+        "This student is also registered for classes outside the ones you teach.",
+        "CLASS_OUT_OF_SCOPE",
+      );
+    }
+    next();
+  } catch (error) {
+    return createErrorResponse(res, error, "requireStudentInScope");
+  }
+};
+
+module.exports = {
+  requireSignupInScope,
+  requireStudentInScope,
+};
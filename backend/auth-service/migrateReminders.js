@@ -1,70 +1,96 @@
 require("dotenv").config();
 const { PrismaClient } = require("./shared/lib/generated/client");
+const { createLogger } = require("./shared/utils/logger");
 
 // Need to match the client path from schema
 const prisma = new PrismaClient();
+const logger = createLogger("migrate-reminders");
 
-const CLASS_REMINDER_INTERVALS = {
-  TYPE_1: 4,
-  TYPE_2: 5,
-  TYPE_3: 11,
-  TYPE_4: 11,
-  TYPE_5: 11,
-  TYPE_6: 11,
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Build reminder_schedules rows from a signup's legacy reminder columns.
+ * The last legacy reminder went out in the expiry month, so it is treated as offset 0.
+ */
+const buildStagesFromLegacy = (signup) => {
+  if (signup.firstReminderDate || signup.secondReminderDate) {
+    // Dual reminder columns
+    const expiry = signup.secondReminderDate || signup.firstReminderDate;
+    const legacyStages = [
+      { date: signup.firstReminderDate, status: signup.firstReminderStatus, sentAt: signup.firstReminderSentAt },
+      { date: signup.secondReminderDate, status: signup.secondReminderStatus, sentAt: signup.secondReminderSentAt },
+    ].filter((legacy) => legacy.date);
+
+    return legacyStages.map((legacy, index) => ({
+      stage: index + 1,
+      offsetDays: Math.round((expiry.getTime() - legacy.date.getTime()) / DAY_MS),
+      scheduledFor: legacy.date,
+      status: legacy.status,
+      sentAt: legacy.sentAt,
+    }));
+  }
+
+  if (signup.reminderScheduledDate) {
+    // Original single reminder column
+    return [
+      {
+        stage: 1,
+        offsetDays: 0,
+        scheduledFor: signup.reminderScheduledDate,
+        status: signup.status,
+        sentAt: signup.reminderSentAt,
+      },
+    ];
+  }
+
+  return [];
 };
 
 async function migrate() {
-  console.log("Starting Reminder Migration...");
-  
+  logger.info("Starting reminder migration");
+
   try {
-    const signups = await prisma.signup.findMany();
-    console.log(`Found ${signups.length} signups to migrate.`);
-    
-    let updated = 0;
+    // Only signups that have no reminder stages yet
+    const signups = await prisma.signup.findMany({
+      where: { reminderSchedules: { none: {} } },
+    });
+    logger.info("Signups to migrate", { count: signups.length });
+
+    let migrated = 0;
     for (const signup of signups) {
-      if (!signup.reminderScheduledDate) {
-        continue; // Already migrated or no date
+      const stages = buildStagesFromLegacy(signup);
+      if (stages.length > 0) {
+        await prisma.reminderSchedule.createMany({
+          data: stages.map((stage) => ({ ...stage, signupId: signup.id })),
+        });
+        migrated++;
       }
-      
-      // The old reminderScheduledDate was the final reminder date (e.g. 11 months out).
-      // That becomes our secondReminderDate.
-      const secondDate = new Date(signup.reminderScheduledDate);
-      
-      // The firstReminderDate should be exactly 1 month BEFORE the second reminder
-      // Because second was (duration) months out, and first is (duration - 1) months out.
-      const firstDate = new Date(secondDate);
-      firstDate.setMonth(firstDate.getMonth() - 1);
-      
-      // Determine statuses based on overall legacy status
-      // If main status is "SENT", then both are historically sent.
-      // If "PENDING", then figure out if first reminder should already be sent. For safety, just set both to match the old status initially, or set both to PENDING and let cron handle it.
-      let firstStatus = signup.status;
-      let secondStatus = signup.status;
-      let firstSentAt = signup.reminderSentAt;
-      let secondSentAt = signup.reminderSentAt;
-      
-      // If the old one was SENT, both are SENT.
-      // If the old one was PENDING, but the first date is in the past, the cron will pick it up immediately.
-      
+    }
+
+    // Backfill expiry dates from the first stage (scheduledFor + offsetDays)
+    const undated = await prisma.signup.findMany({
+      where: { expiresAt: null, reminderSchedules: { some: {} } },
+      select: {
+        id: true,
+        createdAt: true,
+        reminderSchedules: { orderBy: { stage: "asc" }, take: 1 },
+      },
+    });
+
+    for (const signup of undated) {
+      const [firstStage] = signup.reminderSchedules;
       await prisma.signup.update({
         where: { id: signup.id },
         data: {
-          firstReminderDate: firstDate,
-          secondReminderDate: secondDate,
-          firstReminderStatus: firstStatus,
-          secondReminderStatus: secondStatus,
-          firstReminderSentAt: firstSentAt,
-          secondReminderSentAt: secondSentAt,
-          // nullify the old date so we know it's migrated
-          reminderScheduledDate: null,
-        }
+          completedAt: signup.createdAt,
+          expiresAt: new Date(firstStage.scheduledFor.getTime() + firstStage.offsetDays * DAY_MS),
+        },
       });
-      updated++;
     }
-    
-    console.log(`Migration Complete! Successfully updated ${updated} records.`);
+
+    logger.info("Reminder migration complete", { migrated, expiryBackfilled: undated.length });
   } catch (err) {
-    console.error("Migration failed:", err);
+    logger.error("Reminder migration failed", { error: err.message, stack: err.stack });
   } finally {
     await prisma.$disconnect();
   }
@@ -1,5 +1,6 @@
 // backend/auth-service/models/adminSchema.js
 const { z } = require("zod");
+const { PERMISSION_KEYS } = require("../lib/permissions");
 
 // ============================================
 // Base validation schemas
@@ -31,15 +32,38 @@ const nameSchema = z
   .max(100, "Name must be less than 100 characters")
   .trim();
 
+// E.164 phone number (admin's own number, for template test messages)
+const phoneSchema = z
+  .string()
+  .trim()
+  .regex(/^\+[1-9]\d{1,14}$/, "Enter the phone number in international format, e.g. +15555550123");
+
 // UUID validation (for admin IDs)
 const uuidSchema = z
   .string()
   .uuid("Invalid ID format")
   .transform((val) => val.toLowerCase());
 
-// Admin role enum
-const adminRoleSchema = z.enum(["ADMIN", "STAFF"], {
-  errorMap: () => ({ message: "Role must be ADMIN or STAFF" }),
+// Admin role key (Role.key) - existence is checked against the roles table
+const adminRoleSchema = z
+  .string()
+  .trim()
+  .toUpperCase()
+  .regex(/^[A-Z][A-Z0-9_]{1,39}$/, "Role must be 2-40 letters, digits or underscores");
+
+// Class types an admin teaches (ClassDefinition.key)
+const classTypesSchema = z
+  .array(
+    z
+      .string()
+      .trim()
+      .regex(/^[A-Z0-9_]{1,50}$/, "Invalid class type")
+  )
+  .max(100, "Too many class types");
+
+// Permission key from lib/permissions.js
+const permissionKeySchema = z.enum(PERMISSION_KEYS, {
+  errorMap: () => ({ message: "Unknown permission" }),
 });
 
 // Date schema
@@ -82,6 +106,7 @@ const createAdminSchema = z
     password: passwordSchema,
     name: nameSchema,
     role: adminRoleSchema.optional().default("STAFF"),
+    classTypes: classTypesSchema.optional().default([]),
   })
   .strict();
 
@@ -90,6 +115,7 @@ const updateAdminSchema = z
   .object({
     email: emailSchema.optional(),
     name: nameSchema.optional(),
+    phone: phoneSchema.optional(),
     isActive: z.boolean().optional(),
   })
   .strict()
@@ -101,9 +127,36 @@ const updateAdminSchema = z
 const updateAdminRoleSchema = z
   .object({
     role: adminRoleSchema,
+    classTypes: classTypesSchema.optional(),
   })
   .strict();
 
+// ============================================
+// Role schemas
+// ============================================
+
+const createRoleSchema = z
+  .object({
+    key: adminRoleSchema,
+    name: nameSchema,
+    description: z.string().trim().max(255, "Description must be less than 255 characters").optional(),
+    scopedToClasses: z.boolean().optional().default(false),
+    permissions: z.array(permissionKeySchema).default([]),
+  })
+  .strict();
+
+const updateRoleSchema = z
+  .object({
+    name: nameSchema.optional(),
+    description: z.string().trim().max(255, "Description must be less than 255 characters").nullable().optional(),
+    scopedToClasses: z.boolean().optional(),
+    permissions: z.array(permissionKeySchema).optional(),
+  })
+  .strict()
+  .refine((data) => Object.keys(data).length > 0, {
+    message: "At least one field must be provided for update",
+  });
+
 // Admin login schema
 const loginAdminSchema = z
   .object({
@@ -191,6 +244,76 @@ const createPasswordResetSchema = z.object({
   userAgent: z.string().optional(),
 });
 
+// ============================================
+// Admin invite schemas
+// ============================================
+
+// Like createAdminSchema, but the invitee chooses their own password
+const inviteAdminSchema = z
+  .object({
+    email: emailSchema,
+    name: nameSchema,
+    role: adminRoleSchema.optional().default("STAFF"),
+    classTypes: classTypesSchema.optional().default([]),
+  })
+  .strict();
+
+const acceptInviteSchema = z
+  .object({
+    token: z.string().min(1, "Invite token is required"),
+    newPassword: passwordSchema,
+    confirmPassword: z.string(),
+  })
+  .refine((data) => data.newPassword === data.confirmPassword, {
+    message: "Passwords do not match",
+    path: ["confirmPassword"],
+  });
+
+// ============================================
+// Two-factor authentication schemas
+// ============================================
+
+// Six-digit code from an authenticator app (spaces allowed, as apps display "123 456")
+const totpCodeSchema = z
+  .string()
+  .transform((code) => code.replace(/\s/g, ""))
+  .pipe(z.string().regex(/^\d{6}$/, "Enter the 6-digit code from your authenticator app"));
+
+// Confirm enrollment, or regenerate recovery codes
+const twoFactorCodeSchema = z
+  .object({
+    code: totpCodeSchema,
+  })
+  .strict();
+
+// Turning 2FA off needs the password and a current code
+const disableTwoFactorSchema = z
+  .object({
+    password: z.string().min(1, "Password is required"),
+    code: totpCodeSchema,
+  })
+  .strict();
+
+// Second login step - an authenticator code or a recovery code
+const twoFactorLoginSchema = z
+  .object({
+    challengeToken: z.string().min(1, "Login challenge is required"),
+    code: totpCodeSchema.optional(),
+    recoveryCode: z.string().trim().min(1).max(32).optional(),
+  })
+  .strict()
+  .refine((data) => !!data.code !== !!data.recoveryCode, {
+    message: "Enter either an authenticator code or a recovery code",
+    path: ["code"],
+  });
+
+// Organisation-wide security settings
+const securitySettingsSchema = z
+  .object({
+    requireTwoFactor: z.boolean(),
+  })
+  .strict();
+
 // ============================================
 // Utility validation functions
 // ============================================
@@ -248,8 +371,11 @@ module.exports = {
   emailSchema,
   passwordSchema,
   nameSchema,
+  phoneSchema,
   uuidSchema,
   adminRoleSchema,
+  classTypesSchema,
+  permissionKeySchema,
   dateSchema,
   sanitizedStringSchema,
 
@@ -261,6 +387,10 @@ module.exports = {
   changePasswordSchema,
   adminQuerySchema,
 
+  // Role schemas
+  createRoleSchema,
+  updateRoleSchema,
+
   // Session schemas
   createSessionSchema,
   updateSessionSchema,
@@ -270,6 +400,16 @@ module.exports = {
   passwordResetSchema,
   createPasswordResetSchema,
 
+  // Admin invite schemas
+  inviteAdminSchema,
+  acceptInviteSchema,
+
+  // Two-factor schemas
+  twoFactorCodeSchema,
+  disableTwoFactorSchema,
+  twoFactorLoginSchema,
+  securitySettingsSchema,
+
   // Utility validators
   validateEmail,
   validatePassword,
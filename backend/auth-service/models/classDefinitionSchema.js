@@ -0,0 +1,122 @@
+// backend/auth-service/models/classDefinitionSchema.js
+const { z } = require("zod");
+const { classTypeSchema } = require("./studentSchema");
+
+// ============================================
+// Class Definition (catalog) schemas
+// ============================================
+
+const MAX_REMINDER_STAGES = 10;
+
+// Shortest month, so a stage offset below interval * 28 days never lands before the registration date
+const MIN_DAYS_PER_MONTH = 28;
+
+// One reminder stage per entry: days before expiry (0 = expiry day, negative = overdue nudge)
+const reminderOffsetDaysSchema = z
+    .array(
+        z
+            .number()
+            .int()
+            .min(-365, "Overdue stages must be within 365 days of expiry")
+            .max(3650, "Offsets must be 3650 days or less")
+    )
+    .min(1, "At least one reminder stage is required")
+    .max(MAX_REMINDER_STAGES, `At most ${MAX_REMINDER_STAGES} reminder stages are supported`)
+    .refine((offsets) => new Set(offsets).size === offsets.length, {
+        message: "Reminder offsets must be unique",
+    });
+
+/**
+ * Check that every stage falls after the registration date
+ * @param {number[]} offsetDays - Stage offsets in days before expiry
+ * @param {number} renewalIntervalMonths - Renewal interval
+ * @returns {boolean} True if all stages fit inside the interval
+ */
+const offsetsFitInterval = (offsetDays, renewalIntervalMonths) =>
+    offsetDays.every((offset) => offset < renewalIntervalMonths * MIN_DAYS_PER_MONTH);
+
+// Local hour (0-23) for a class's own quiet hours; null falls back to the global policy
+const quietHourSchema = z
+    .number()
+    .int()
+    .min(0, "Quiet hours must be between 0 and 23")
+    .max(23, "Quiet hours must be between 0 and 23")
+    .nullable();
+
+/**
+ * Quiet hours are set as a pair: both hours, or neither
+ * @param {Object} data - { quietHoursStart?, quietHoursEnd? }
+ * @returns {boolean} True if the pair is complete
+ */
+const quietHoursPaired = (data) =>
+    (data.quietHoursStart === undefined) === (data.quietHoursEnd === undefined) &&
+    (data.quietHoursStart === null) === (data.quietHoursEnd === null);
+
+const renewalIntervalSchema = z
+    .number()
+    .int()
+    .min(1, "Renewal interval must be at least 1 month")
+    .max(120, "Renewal interval must be 120 months or less");
+
+// Create class definition schema
+const createClassDefinitionSchema = z
+    .object({
+        key: classTypeSchema,
+        label: z.string().trim().min(1, "Label is required").max(100, "Label must be less than 100 characters"),
+        description: z.string().trim().max(1000, "Description must be less than 1000 characters").nullish(),
+        renewalIntervalMonths: renewalIntervalSchema,
+        reminderOffsetDays: reminderOffsetDaysSchema.optional().default([30, 0]),
+        quietHoursStart: quietHourSchema.optional(),
+        quietHoursEnd: quietHourSchema.optional(),
+        isActive: z.boolean().optional().default(true),
+        sortOrder: z.number().int().min(0).optional().default(0),
+    })
+    .strict()
+    .refine((data) => offsetsFitInterval(data.reminderOffsetDays, data.renewalIntervalMonths), {
+        message: "Reminder offsets must be shorter than the renewal interval",
+        path: ["reminderOffsetDays"],
+    })
+    .refine(quietHoursPaired, {
+        message: "Set both quiet hours or neither",
+        path: ["quietHoursEnd"],
+    });
+
+// Update class definition schema (key is immutable once signups reference it)
+const updateClassDefinitionSchema = z
+    .object({
+        label: z.string().trim().min(1, "Label is required").max(100, "Label must be less than 100 characters").optional(),
+        description: z.string().trim().max(1000, "Description must be less than 1000 characters").nullish(),
+        renewalIntervalMonths: renewalIntervalSchema.optional(),
+        reminderOffsetDays: reminderOffsetDaysSchema.optional(),
+        quietHoursStart: quietHourSchema.optional(),
+        quietHoursEnd: quietHourSchema.optional(),
+        isActive: z.boolean().optional(),
+        sortOrder: z.number().int().min(0).optional(),
+    })
+    .strict()
+    .refine((data) => Object.keys(data).length > 0, {
+        message: "At least one field must be provided for update",
+    })
+    .refine(quietHoursPaired, {
+        message: "Set both quiet hours or neither",
+        path: ["quietHoursEnd"],
+    });
+
+// Catalog query schema
+const classQuerySchema = z
+    .object({
+        includeInactive: z
+            .enum(["true", "false"])
+            .transform((val) => val === "true")
+            .optional(),
+    })
+    .strict();
+
+module.exports = {
+    MAX_REMINDER_STAGES,
+    reminderOffsetDaysSchema,
+    offsetsFitInterval,
+    createClassDefinitionSchema,
+    updateClassDefinitionSchema,
+    classQuerySchema,
+};
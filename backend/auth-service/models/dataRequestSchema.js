@@ -0,0 +1,42 @@
+// backend/auth-service/models/dataRequestSchema.js
+const { z } = require("zod");
+
+// ============================================
+// Data Subject Request Schemas
+// ============================================
+
+// Self-service export - token from My Registrations verification
+const exportOwnDataSchema = z
+    .object({
+        token: z.string().min(1, "Verification token is required"),
+    })
+    .strict();
+
+// Self-service erase - the student has to confirm explicitly
+const eraseOwnDataSchema = z
+    .object({
+        token: z.string().min(1, "Verification token is required"),
+        confirm: z.literal(true, {
+            errorMap: () => ({ message: "Please confirm that you want your data erased" }),
+        }),
+    })
+    .strict();
+
+// Admin erase
+const adminEraseSchema = z
+    .object({
+        confirm: z.literal(true, {
+            errorMap: () => ({ message: "Please confirm the erasure" }),
+        }),
+    })
+    .strict();
+
+// ============================================
+// Exports
+// ============================================
+
+module.exports = {
+    exportOwnDataSchema,
+    eraseOwnDataSchema,
+    adminEraseSchema,
+};
@@ -0,0 +1,32 @@
+// backend/auth-service/models/jobRunSchema.js
+const { z } = require("zod");
+
+// ============================================
+// Scheduler history (job run) schemas
+// ============================================
+
+const jobRunStatusSchema = z.enum(["RUNNING", "SUCCEEDED", "FAILED"], {
+    errorMap: () => ({ message: "Invalid job run status" }),
+});
+
+const jobNameSchema = z
+    .string()
+    .trim()
+    .min(1, "Job name is required")
+    .max(100, "Job name must be less than 100 characters");
+
+// Job run query schema (admin scheduler history)
+const jobRunQuerySchema = z
+    .object({
+        jobName: jobNameSchema.optional(),
+        status: jobRunStatusSchema.optional(),
+        page: z.coerce.number().int().min(1).default(1),
+        limit: z.coerce.number().int().min(1).max(200).default(50),
+    })
+    .strict();
+
+module.exports = {
+    jobRunStatusSchema,
+    jobNameSchema,
+    jobRunQuerySchema,
+};
@@ -1,6 +1,13 @@
 // backend/auth-service/models/registrationOtpSchema.js
 const { z } = require("zod");
-const { emailSchema, phoneSchema, classTypeSchema } = require("./studentSchema");
+const {
+    emailSchema,
+    phoneSchema,
+    classTypeSchema,
+    completedAtSchema,
+    timezoneSchema,
+    localeSchema,
+} = require("./studentSchema");
 
 // OTP schema - 6 digit numeric string
 const otpSchema = z
@@ -21,6 +28,7 @@ const initiateRegistrationSchema = z
         phone: phoneSchema.nullish(),
         classType: classTypeSchema,
         verificationChannel: verificationChannelSchema,
+        locale: localeSchema.optional(), // Language the student is using the page in
     })
     .strict()
     .refine((data) => data.email || data.phone, {
@@ -55,6 +63,9 @@ const verifyOtpSchema = z
 const completeRegistrationSchema = z
     .object({
         verificationToken: z.string().min(1, "Verification token is required"),
+        disclosureVersion: z.string().min(1, "Please accept the registration terms").max(50),
+        completedAt: completedAtSchema.optional(),
+        timezone: timezoneSchema.optional(),
     })
     .strict();
 
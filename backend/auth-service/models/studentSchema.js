@@ -1,5 +1,7 @@
 // backend/auth-service/models/studentSchema.js
 const { z } = require("zod");
+const { isValidTimezone } = require("../lib/timezones");
+const { SUPPORTED_LOCALES } = require("../lib/locales");
 
 // ============================================
 // Base validation schemas
@@ -19,24 +21,59 @@ const phoneSchema = z
     .max(15, "Phone number must be less than 15 digits")
     .regex(/^\+?[1-9]\d{1,14}$/, "Invalid phone number format");
 
+// IANA timezone name (e.g. America/Chicago)
+const timezoneSchema = z
+    .string()
+    .trim()
+    .max(64, "Timezone must be less than 64 characters")
+    .refine(isValidTimezone, { message: "Invalid timezone" });
+
+// Language messages are sent in (e.g. "es")
+const localeSchema = z.enum(SUPPORTED_LOCALES, {
+    errorMap: () => ({ message: `Language must be one of: ${SUPPORTED_LOCALES.join(", ")}` }),
+});
+
 const uuidSchema = z
     .string()
     .uuid("Invalid ID format")
     .transform((val) => val.toLowerCase());
 
-// Class type enum
-const classTypeSchema = z.enum(
-    ["TYPE_1", "TYPE_2", "TYPE_3", "TYPE_4", "TYPE_5", "TYPE_6"],
-    {
-        errorMap: () => ({ message: "Invalid class type" }),
-    }
-);
+// Class type key (references ClassDefinition.key; existence is checked against the catalog)
+const classTypeSchema = z
+    .string({ errorMap: () => ({ message: "Invalid class type" }) })
+    .trim()
+    .min(1, "Class type is required")
+    .max(50, "Class type must be less than 50 characters")
+    .regex(/^[A-Z0-9_]+$/, "Invalid class type");
 
 // Signup status enum
 const signupStatusSchema = z.enum(["PENDING", "SENT", "FAILED"], {
     errorMap: () => ({ message: "Invalid signup status" }),
 });
 
+// Reminder stage status enum
+const reminderStageStatusSchema = z.enum(["PENDING", "QUEUED", "SENT", "FAILED", "SKIPPED"], {
+    errorMap: () => ({ message: "Invalid reminder stage status" }),
+});
+
+// Reminder stage number (1-based)
+const reminderStageSchema = z.coerce
+    .number({ invalid_type_error: "Reminder stage must be a number" })
+    .int("Reminder stage must be a whole number")
+    .min(1, "Reminder stage must be 1 or greater");
+
+// Class completion date - backfilled rosters are allowed, future dates are not
+const completedAtSchema = z.coerce
+    .date({ invalid_type_error: "Invalid completion date" })
+    .refine((date) => date.getTime() <= Date.now() + 24 * 60 * 60 * 1000, {
+        message: "Completion date cannot be in the future",
+    });
+
+// Reminder job status enum
+const reminderJobStatusSchema = z.enum(["QUEUED", "PROCESSING", "SUCCEEDED", "CANCELLED", "DEAD"], {
+    errorMap: () => ({ message: "Invalid reminder job status" }),
+});
+
 // Message channel enum
 const messageChannelSchema = z.enum(["EMAIL", "SMS"], {
     errorMap: () => ({ message: "Invalid message channel" }),
@@ -55,6 +92,8 @@ const createStudentSchema = z
         phone: phoneSchema.nullish(), // Accept null, undefined, or valid string
         name: z.string().min(1, "Name is required").max(255),
         reminderPreference: reminderPreferenceSchema.optional().default('BOTH'),
+        timezone: timezoneSchema.nullish(),
+        locale: localeSchema.optional(),
         optedOutEmail: z.boolean().optional().default(false),
         optedOutSms: z.boolean().optional().default(false),
     })
@@ -70,6 +109,8 @@ const updateStudentSchema = z
         phone: phoneSchema.optional(),
         name: z.string().max(255).optional(),
         reminderPreference: reminderPreferenceSchema.optional(),
+        timezone: timezoneSchema.nullable().optional(),
+        locale: localeSchema.optional(),
         optedOutEmail: z.boolean().optional(),
         optedOutSms: z.boolean().optional(),
     })
@@ -97,6 +138,9 @@ const createSignupSchema = z
         phone: phoneSchema.nullish(), // Accept null, undefined, or valid string
         name: z.string().min(1, "Name is required").max(255),
         classType: classTypeSchema,
+        completedAt: completedAtSchema.optional(),
+        timezone: timezoneSchema.optional(),
+        locale: localeSchema.optional(),
     })
     .strict()
     .refine((data) => data.email || data.phone, {
@@ -107,14 +151,9 @@ const createSignupSchema = z
 const updateSignupSchema = z
     .object({
         classType: classTypeSchema.optional(),
+        completedAt: completedAtSchema.optional(),
         reminderScheduledDate: z.coerce.date().optional(),
         reminderSentAt: z.coerce.date().nullable().optional(),
-        firstReminderDate: z.coerce.date().optional(),
-        secondReminderDate: z.coerce.date().optional(),
-        firstReminderSentAt: z.coerce.date().nullable().optional(),
-        secondReminderSentAt: z.coerce.date().nullable().optional(),
-        firstReminderStatus: signupStatusSchema.optional(),
-        secondReminderStatus: signupStatusSchema.optional(),
         status: signupStatusSchema.optional(),
         notes: z.string().max(1000, "Notes must be less than 1000 characters").optional(),
     })
@@ -135,12 +174,30 @@ const signupQuerySchema = z
         page: z.coerce.number().int().min(1).optional(),
         limit: z.coerce.number().int().min(1).optional(), // No max limit - allow fetching all
         sortBy: z
-            .enum(["createdAt", "reminderScheduledDate", "firstReminderDate", "secondReminderDate", "classType", "status"])
+            .enum(["createdAt", "completedAt", "expiresAt", "reminderScheduledDate", "classType", "status"])
             .default("createdAt"),
         sortOrder: z.enum(["asc", "desc"]).default("desc"),
     })
     .strict();
 
+// Reminder job query schema (admin queue view)
+const reminderJobQuerySchema = z
+    .object({
+        status: reminderJobStatusSchema.optional(),
+        signupId: uuidSchema.optional(),
+        page: z.coerce.number().int().min(1).default(1),
+        limit: z.coerce.number().int().min(1).max(200).default(50),
+    })
+    .strict();
+
+// Manual reminder send body - force resends a reminder that already went out
+const sendReminderSchema = z
+    .object({
+        stage: reminderStageSchema.optional(),
+        force: z.boolean().default(false),
+    })
+    .strict();
+
 // ============================================
 // Message Template schemas
 // ============================================
@@ -231,8 +288,14 @@ module.exports = {
     emailSchema,
     phoneSchema,
     uuidSchema,
+    timezoneSchema,
+    localeSchema,
     classTypeSchema,
     signupStatusSchema,
+    reminderStageStatusSchema,
+    reminderStageSchema,
+    reminderJobStatusSchema,
+    completedAtSchema,
     messageChannelSchema,
 
     // Student schemas
@@ -244,6 +307,8 @@ module.exports = {
     createSignupSchema,
     updateSignupSchema,
     signupQuerySchema,
+    reminderJobQuerySchema,
+    sendReminderSchema,
 
     // Template schemas
     createTemplateSchema,
@@ -11,6 +11,9 @@ const otpSchema = z
     .length(6, "OTP must be 6 digits")
     .regex(/^\d{6}$/, "OTP must be numeric");
 
+// What a code is for; a code issued for one purpose can't be used for the other
+const otpPurposeSchema = z.enum(["unsubscribe", "manage_registrations"]).default("unsubscribe");
+
 // Verify OTP schema - used when user submits email/phone + OTP
 const verifyOtpSchema = z
     .object({
@@ -19,6 +22,7 @@ const verifyOtpSchema = z
             .min(1, "Email or phone is required")
             .trim(),
         otp: otpSchema,
+        purpose: otpPurposeSchema,
     })
     .strict();
 
@@ -56,16 +60,36 @@ const initiateOptOutSchema = z
             .string()
             .min(1, "Email or phone is required")
             .trim(),
+        purpose: otpPurposeSchema,
     })
     .strict();
 
+// One-click unsubscribe schema - token from the signed link in a reminder
+const oneClickUnsubscribeSchema = z
+    .object({
+        token: z.string().min(1, "Unsubscribe link token is required").max(200),
+    })
+    .strict();
+
+// RFC 8058 one-click POST from a mail client: token from the List-Unsubscribe URL,
+// form body "List-Unsubscribe=One-Click"
+const listUnsubscribeSchema = z.object({
+    token: z.string().min(1, "Unsubscribe link token is required").max(200),
+    "List-Unsubscribe": z.literal("One-Click", {
+        errorMap: () => ({ message: "List-Unsubscribe=One-Click is required" }),
+    }),
+});
+
 // ============================================
 // Exports
 // ============================================
 
 module.exports = {
     otpSchema,
+    otpPurposeSchema,
     verifyOtpSchema,
     confirmUnsubscribeSchema,
     initiateOptOutSchema,
+    oneClickUnsubscribeSchema,
+    listUnsubscribeSchema,
 };
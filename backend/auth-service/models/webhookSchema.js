@@ -0,0 +1,50 @@
+// backend/auth-service/models/webhookSchema.js
+const { z } = require("zod");
+
+// ============================================
+// Provider delivery webhook schemas
+// ============================================
+
+// One SendGrid Event Webhook event; unknown fields are kept for the raw event history
+const sendgridEventSchema = z
+    .object({
+        event: z.string().min(1),
+        email: z.string().optional(),
+        timestamp: z.number(),
+        sg_event_id: z.string().optional(),
+        sg_message_id: z.string().optional(),
+        type: z.string().optional(),
+        reason: z.string().optional(),
+        status: z.string().optional(),
+    })
+    .passthrough();
+
+// SendGrid posts a JSON array of events
+const sendgridEventsSchema = z.array(sendgridEventSchema).max(5000, "Too many events in one request");
+
+// Twilio message status callback (form-encoded)
+const twilioStatusSchema = z
+    .object({
+        MessageSid: z.string().min(1, "MessageSid is required"),
+        MessageStatus: z.string().min(1, "MessageStatus is required"),
+        To: z.string().optional(),
+        ErrorCode: z.string().optional(),
+        ErrorMessage: z.string().optional(),
+    })
+    .passthrough();
+
+// Twilio inbound message webhook (form-encoded)
+const twilioInboundSchema = z
+    .object({
+        MessageSid: z.string().min(1, "MessageSid is required"),
+        From: z.string().min(1, "From is required"),
+        Body: z.string().default(""),
+    })
+    .passthrough();
+
+module.exports = {
+    sendgridEventSchema,
+    sendgridEventsSchema,
+    twilioStatusSchema,
+    twilioInboundSchema,
+};
@@ -0,0 +1,186 @@
+// backend/auth-service/repositories/adminInviteRepository.js
+const { getDatabase } = require("../config/database");
+const { transformError } = require("../shared/utils/errors");
+const { uuidSchema } = require("../models/adminSchema");
+const { ADMIN_FIELDS } = require("../lib/constants");
+const { createLogger } = require("../shared/utils/logger");
+
+const logger = createLogger("admin-invite-repository");
+let dbInstance = null;
+
+// Invite fields returned to the admin app; the token hash never leaves the service
+const INVITE_SELECT = {
+  id: true,
+  adminId: true,
+  email: true,
+  invitedBy: true,
+  expiresAt: true,
+  acceptedAt: true,
+  createdAt: true,
+  updatedAt: true,
+  admin: { select: ADMIN_FIELDS.minimal },
+};
+
+/**
+ * Get database instance (singleton pattern)
+ */
+const getDB = async () => {
+  if (!dbInstance) {
+    dbInstance = await getDatabase();
+  }
+  return dbInstance;
+};
+
+/**
+ * Create a pending admin and their invite together
+ * @param {Object} adminData - { email, name, role, classTypes, password } (password is a placeholder hash)
+ * @param {Object} inviteData - { tokenHash, invitedBy, expiresAt }
+ * @returns {Promise<Object>} Created invite with its admin
+ */
+const createInvite = async (adminData, inviteData) => {
+  try {
+    const db = await getDB();
+    const invite = await db.$transaction(async (tx) => {
+      const admin = await tx.admin.create({
+        data: { ...adminData, isActive: false, isPending: true },
+        select: { id: true, email: true },
+      });
+      return tx.adminInvite.create({
+        data: { ...inviteData, adminId: admin.id, email: admin.email },
+        select: INVITE_SELECT,
+      });
+    });
+
+    logger.info("Admin invite created", { inviteId: invite.id, adminId: invite.adminId });
+    return invite;
+  } catch (error) {
+    logger.error("Failed to create admin invite", { error: error.message });
+    throw transformError(error, "createInvite");
+  }
+};
+
+/**
+ * Find an invite by ID
+ * @param {string} inviteId - Invite ID
+ * @returns {Promise<Object|null>} Invite with tokenHash and admin, or null
+ */
+const findById = async (inviteId) => {
+  try {
+    const validId = uuidSchema.parse(inviteId);
+    const db = await getDB();
+    return await db.adminInvite.findUnique({
+      where: { id: validId },
+      select: { ...INVITE_SELECT, tokenHash: true },
+    });
+  } catch (error) {
+    logger.error("Failed to find admin invite", { error: error.message, inviteId });
+    throw transformError(error, "findById");
+  }
+};
+
+/**
+ * Invites that haven't been accepted, newest first (expired ones included)
+ * @returns {Promise<Array>} Invites with their admins
+ */
+const findPending = async () => {
+  try {
+    const db = await getDB();
+    return await db.adminInvite.findMany({
+      where: { acceptedAt: null },
+      select: INVITE_SELECT,
+      orderBy: { createdAt: "desc" },
+    });
+  } catch (error) {
+    logger.error("Failed to list admin invites", { error: error.message });
+    throw transformError(error, "findPending");
+  }
+};
+
+/**
+ * Replace an invite's link, e.g. when resending; the old link stops working
+ * @param {string} inviteId - Invite ID
+ * @param {Object} data - { tokenHash, invitedBy, expiresAt }
+ * @returns {Promise<Object>} Updated invite
+ */
+const renewInvite = async (inviteId, data) => {
+  try {
+    const validId = uuidSchema.parse(inviteId);
+    const db = await getDB();
+    const invite = await db.adminInvite.update({
+      where: { id: validId },
+      data,
+      select: INVITE_SELECT,
+    });
+
+    logger.info("Admin invite renewed", { inviteId: validId });
+    return invite;
+  } catch (error) {
+    logger.error("Failed to renew admin invite", { error: error.message, inviteId });
+    throw transformError(error, "renewInvite");
+  }
+};
+
+/**
+ * Accept an invite: set the admin's password and activate them. The invite is claimed
+ * with a conditional update so two submissions of the same link can't both succeed.
+ * @param {Object} invite - Invite from findById
+ * @param {string} hashedPassword - The invitee's chosen password, hashed
+ * @returns {Promise<boolean>} False if the invite was already accepted
+ */
+const acceptInvite = async (invite, hashedPassword) => {
+  try {
+    const db = await getDB();
+    const accepted = await db.$transaction(async (tx) => {
+      const { count } = await tx.adminInvite.updateMany({
+        where: { id: invite.id, tokenHash: invite.tokenHash, acceptedAt: null },
+        data: { acceptedAt: new Date() },
+      });
+      if (count === 0) {
+        return false;
+      }
+      await tx.admin.update({
+        where: { id: invite.adminId },
+        data: { password: hashedPassword, isActive: true, isPending: false },
+      });
+      return true;
+    });
+
+    if (accepted) {
+      logger.info("Admin invite accepted", { inviteId: invite.id, adminId: invite.adminId });
+    }
+    return accepted;
+  } catch (error) {
+    logger.error("Failed to accept admin invite", { error: error.message, inviteId: invite?.id });
+    throw transformError(error, "acceptInvite");
+  }
+};
+
+/**
+ * Revoke an invite by deleting its pending admin (the invite goes with it)
+ * @param {string} adminId - Pending admin ID
+ * @returns {Promise<boolean>} False if the admin has already accepted
+ */
+const deletePendingAdmin = async (adminId) => {
+  try {
+    const validId = uuidSchema.parse(adminId);
+    const db = await getDB();
+    const { count } = await db.admin.deleteMany({
+      where: { id: validId, isPending: true },
+    });
+
+    logger.info("Pending admin deleted", { adminId: validId, deleted: count });
+    return count > 0;
+  } catch (error) {
+    logger.error("Failed to delete pending admin", { error: error.message, adminId });
+    throw transformError(error, "deletePendingAdmin");
+  }
+};
+
+module.exports = {
+  createInvite,
+  findById,
+  findPending,
+  renewInvite,
+  acceptInvite,
+  deletePendingAdmin,
+};
@@ -6,6 +6,7 @@ const {
   uuidSchema,
   emailSchema,
   adminRoleSchema,
+  classTypesSchema,
 } = require("../models/adminSchema");
 const { ADMIN_FIELDS, ALLOWED_ADMIN_UPDATE_FIELDS } = require("../lib/constants");
 const { createLogger } = require("../shared/utils/logger");
@@ -31,7 +32,7 @@ const getDB = async () => {
 const createAdmin = async (adminData) => {
   try {
     const validatedAdminData = createAdminSchema.parse(adminData);
-    const { email, password, name, role } = validatedAdminData;
+    const { email, password, name, role, classTypes } = validatedAdminData;
 
     const db = await getDB();
     const newAdmin = await db.admin.create({
@@ -40,6 +41,7 @@ const createAdmin = async (adminData) => {
         password,
         name,
         role,
+        classTypes,
       },
       select: ADMIN_FIELDS.public,
     });
@@ -166,6 +168,148 @@ const updateLastLogin = async (adminId) => {
   }
 };
 
+/**
+ * Find an admin's two-factor state, including the encrypted secret and hashed recovery codes
+ * @param {string} adminId - Admin ID
+ * @returns {Promise<Object|null>} Two-factor fields or null
+ */
+const findTwoFactor = async (adminId) => {
+  try {
+    const validId = uuidSchema.parse(adminId);
+    const db = await getDB();
+
+    return await db.admin.findUnique({
+      where: { id: validId },
+      select: ADMIN_FIELDS.twoFactor,
+    });
+  } catch (error) {
+    logger.error("Failed to find two-factor state", { error: error.message, adminId });
+    throw transformError(error, "findTwoFactor");
+  }
+};
+
+/**
+ * Update an admin's two-factor fields
+ * @param {string} adminId - Admin ID
+ * @param {Object} data - Any of twoFactorEnabled, twoFactorEnabledAt, twoFactorSecret,
+ *   twoFactorLastStep, twoFactorRecoveryCodes, twoFactorFailedAttempts, twoFactorLockedUntil
+ * @returns {Promise<Object>} Updated admin object
+ */
+const updateTwoFactor = async (adminId, data) => {
+  try {
+    const validId = uuidSchema.parse(adminId);
+    const db = await getDB();
+
+    const allowed = [
+      "twoFactorEnabled",
+      "twoFactorEnabledAt",
+      "twoFactorSecret",
+      "twoFactorLastStep",
+      "twoFactorRecoveryCodes",
+      "twoFactorFailedAttempts",
+      "twoFactorLockedUntil",
+    ];
+    const updateData = Object.fromEntries(Object.entries(data).filter(([key]) => allowed.includes(key)));
+
+    const updatedAdmin = await db.admin.update({
+      where: { id: validId },
+      data: updateData,
+      select: ADMIN_FIELDS.public,
+    });
+
+    logger.info("Admin two-factor updated", { adminId: validId, fields: Object.keys(updateData) });
+    return updatedAdmin;
+  } catch (error) {
+    logger.error("Failed to update two-factor state", { error: error.message, adminId });
+    throw transformError(error, "updateTwoFactor");
+  }
+};
+
+/**
+ * Record the time step of an accepted code, unless that step (or a later one) was
+ * already used. Conditional, so two requests can't both use the same code.
+ * @param {string} adminId - Admin ID
+ * @param {number} step - TOTP time step
+ * @returns {Promise<boolean>} True if the step was recorded
+ */
+const recordTwoFactorStep = async (adminId, step) => {
+  try {
+    const validId = uuidSchema.parse(adminId);
+    const db = await getDB();
+
+    const result = await db.admin.updateMany({
+      where: {
+        id: validId,
+        OR: [{ twoFactorLastStep: null }, { twoFactorLastStep: { lt: step } }],
+      },
+      data: { twoFactorLastStep: step },
+    });
+
+    return result.count === 1;
+  } catch (error) {
+    logger.error("Failed to record two-factor step", { error: error.message, adminId });
+    throw transformError(error, "recordTwoFactorStep");
+  }
+};
+
+/**
+ * Count a wrong code at the second login step. The count starts over once it
+ * reaches maxAttempts, and the step is locked until lockedUntil.
+ * @param {string} adminId - Admin ID
+ * @param {number} maxAttempts - Wrong codes allowed before the lock
+ * @param {Date} lockedUntil - When a lock set now would end
+ * @returns {Promise<boolean>} True if this failure locked the step
+ */
+const recordTwoFactorFailure = async (adminId, maxAttempts, lockedUntil) => {
+  try {
+    const validId = uuidSchema.parse(adminId);
+    const db = await getDB();
+
+    const { twoFactorFailedAttempts } = await db.admin.update({
+      where: { id: validId },
+      data: { twoFactorFailedAttempts: { increment: 1 } },
+      select: { twoFactorFailedAttempts: true },
+    });
+    if (twoFactorFailedAttempts < maxAttempts) {
+      return false;
+    }
+
+    await db.admin.update({
+      where: { id: validId },
+      data: { twoFactorFailedAttempts: 0, twoFactorLockedUntil: lockedUntil },
+    });
+    return true;
+  } catch (error) {
+    logger.error("Failed to record two-factor failure", { error: error.message, adminId });
+    throw transformError(error, "recordTwoFactorFailure");
+  }
+};
+
+/**
+ * Use up a recovery code. The code is removed inside the database, so two sign-ins
+ * using different codes at once can't put back each other's spent code.
+ * @param {string} adminId - Admin ID
+ * @param {string} codeHash - Hash of the submitted code
+ * @returns {Promise<boolean>} True if the code was still unused
+ */
+const consumeRecoveryCode = async (adminId, codeHash) => {
+  try {
+    const validId = uuidSchema.parse(adminId);
+    const db = await getDB();
+
+    const count = await db.$executeRaw`
+      UPDATE "admins"
+      SET "twoFactorRecoveryCodes" = array_remove("twoFactorRecoveryCodes", ${codeHash}),
+          "updatedAt" = NOW()
+      WHERE "id" = ${validId}::uuid AND ${codeHash} = ANY("twoFactorRecoveryCodes")`;
+
+    return count === 1;
+  } catch (error) {
+    logger.error("Failed to use recovery code", { error: error.message, adminId });
+    throw transformError(error, "consumeRecoveryCode");
+  }
+};
+
 /**
  * Update admin details
  * @param {string} adminId - Admin ID
@@ -211,10 +355,11 @@ const updateAdmin = async (adminId, updateData) => {
 /**
  * Update admin role (ADMIN only)
  * @param {string} adminId - Admin ID
- * @param {string} newRole - New role
+ * @param {string} newRole - New role key
+ * @param {Array<string>} [classTypes] - Classes taught, for roles scoped to classes
  * @returns {Promise<Object>} Updated admin object
  */
-const updateAdminRole = async (adminId, newRole) => {
+const updateAdminRole = async (adminId, newRole, classTypes) => {
   try {
     const validId = uuidSchema.parse(adminId);
     const validRole = adminRoleSchema.parse(newRole);
@@ -224,6 +369,7 @@ const updateAdminRole = async (adminId, newRole) => {
       where: { id: validId },
       data: {
         role: validRole,
+        ...(classTypes && { classTypes: classTypesSchema.parse(classTypes) }),
         updatedAt: new Date(),
       },
       select: ADMIN_FIELDS.public,
@@ -391,24 +537,27 @@ const findAdmins = async (filters = {}, options = {}) => {
 };
 
 /**
- * Count admins by role
- * @returns {Promise<Object>} Count by role
+ * Count active admins by role
+ * @returns {Promise<Object>} Count per role key, plus total
  */
 const countByRole = async () => {
   try {
     const db = await getDB();
 
-    const [admins, staff, total] = await Promise.all([
-      db.admin.count({ where: { role: "ADMIN", isActive: true } }),
-      db.admin.count({ where: { role: "STAFF", isActive: true } }),
-      db.admin.count({ where: { isActive: true } }),
-    ]);
+    const groups = await db.admin.groupBy({
+      by: ["role"],
+      where: { isActive: true },
+      _count: { id: true },
+    });
 
-    return {
-      ADMIN: admins,
-      STAFF: staff,
-      total,
-    };
+    return groups.reduce(
+      (acc, group) => {
+        acc[group.role] = group._count.id;
+        acc.total += group._count.id;
+        return acc;
+      },
+      { ADMIN: 0, STAFF: 0, total: 0 }
+    );
   } catch (error) {
     logger.error("Failed to count admins by role", { error: error.message });
     throw transformError(error, "countByRole");
@@ -421,6 +570,11 @@ module.exports = {
   findById,
   findAdmin,
   updateLastLogin,
+  findTwoFactor,
+  updateTwoFactor,
+  recordTwoFactorStep,
+  recordTwoFactorFailure,
+  consumeRecoveryCode,
   updateAdmin,
   updateAdminRole,
   updatePassword,
@@ -0,0 +1,234 @@
+// backend/auth-service/repositories/classDefinitionRepository.js
+const { getDatabase } = require("../config/database");
+const { transformError } = require("../shared/utils/errors");
+const { uuidSchema, classTypeSchema } = require("../models/studentSchema");
+const {
+    createClassDefinitionSchema,
+    updateClassDefinitionSchema,
+} = require("../models/classDefinitionSchema");
+const { createLogger } = require("../shared/utils/logger");
+
+const logger = createLogger("class-definition-repository");
+let dbInstance = null;
+
+/**
+ * Get database instance (singleton pattern)
+ */
+const getDB = async () => {
+    if (!dbInstance) {
+        dbInstance = await getDatabase();
+    }
+    return dbInstance;
+};
+
+// Field selections
+const CLASS_FIELDS = {
+    public: {
+        id: true,
+        key: true,
+        label: true,
+        description: true,
+        isActive: true,
+        sortOrder: true,
+    },
+    admin: {
+        id: true,
+        key: true,
+        label: true,
+        description: true,
+        renewalIntervalMonths: true,
+        reminderOffsetDays: true,
+        quietHoursStart: true,
+        quietHoursEnd: true,
+        isActive: true,
+        sortOrder: true,
+        createdAt: true,
+        updatedAt: true,
+    },
+};
+
+const CATALOG_ORDER = [{ sortOrder: "asc" }, { label: "asc" }];
+
+/**
+ * Find all class definitions
+ * @param {Object} options - { includeInactive, fields }
+ * @returns {Promise<Array>} Class definitions in display order
+ */
+const findAll = async ({ includeInactive = false, fields = "admin" } = {}) => {
+    try {
+        const db = await getDB();
+        const classes = await db.classDefinition.findMany({
+            where: includeInactive ? {} : { isActive: true },
+            select: CLASS_FIELDS[fields] || CLASS_FIELDS.admin,
+            orderBy: CATALOG_ORDER,
+        });
+        return classes;
+    } catch (error) {
+        logger.error("Failed to find class definitions", { error: error.message });
+        throw transformError(error, "findAll");
+    }
+};
+
+/**
+ * Find class definition by ID
+ * @param {string} classId - Class definition ID
+ * @returns {Promise<Object|null>} Class definition or null
+ */
+const findById = async (classId) => {
+    try {
+        const validId = uuidSchema.parse(classId);
+        const db = await getDB();
+        return await db.classDefinition.findUnique({
+            where: { id: validId },
+            select: CLASS_FIELDS.admin,
+        });
+    } catch (error) {
+        logger.error("Failed to find class definition by ID", { error: error.message, classId });
+        throw transformError(error, "findById");
+    }
+};
+
+/**
+ * Find class definition by key
+ * @param {string} key - Class key (e.g. TYPE_1)
+ * @returns {Promise<Object|null>} Class definition or null
+ */
+const findByKey = async (key) => {
+    try {
+        const validKey = classTypeSchema.parse(key);
+        const db = await getDB();
+        return await db.classDefinition.findUnique({
+            where: { key: validKey },
+            select: CLASS_FIELDS.admin,
+        });
+    } catch (error) {
+        logger.error("Failed to find class definition by key", { error: error.message, key });
+        throw transformError(error, "findByKey");
+    }
+};
+
+/**
+ * Create a class definition
+ * @param {Object} classData - Class definition data
+ * @returns {Promise<Object>} Created class definition
+ */
+const createClassDefinition = async (classData) => {
+    try {
+        const validatedData = createClassDefinitionSchema.parse(classData);
+        const db = await getDB();
+
+        const created = await db.classDefinition.create({
+            data: validatedData,
+            select: CLASS_FIELDS.admin,
+        });
+
+        logger.info("Class definition created", { classId: created.id, key: created.key });
+        return created;
+    } catch (error) {
+        logger.error("Failed to create class definition", { error: error.message });
+        throw transformError(error, "createClassDefinition");
+    }
+};
+
+/**
+ * Update a class definition
+ * @param {string} classId - Class definition ID
+ * @param {Object} updateData - Fields to update
+ * @returns {Promise<Object>} Updated class definition
+ */
+const updateClassDefinition = async (classId, updateData) => {
+    try {
+        const validId = uuidSchema.parse(classId);
+        const validatedData = updateClassDefinitionSchema.parse(updateData);
+        const db = await getDB();
+
+        const updated = await db.classDefinition.update({
+            where: { id: validId },
+            data: validatedData,
+            select: CLASS_FIELDS.admin,
+        });
+
+        logger.info("Class definition updated", { classId: validId });
+        return updated;
+    } catch (error) {
+        logger.error("Failed to update class definition", { error: error.message, classId });
+        throw transformError(error, "updateClassDefinition");
+    }
+};
+
+/**
+ * Upsert a class definition by key (used by seed scripts)
+ * @param {Object} classData - Class definition data including key
+ * @returns {Promise<Object>} Created/updated class definition
+ */
+const upsertByKey = async (classData) => {
+    try {
+        const validatedData = createClassDefinitionSchema.parse(classData);
+        const { key, ...rest } = validatedData;
+        const db = await getDB();
+
+        return await db.classDefinition.upsert({
+            where: { key },
+            update: rest,
+            create: validatedData,
+            select: CLASS_FIELDS.admin,
+        });
+    } catch (error) {
+        logger.error("Failed to upsert class definition", { error: error.message, key: classData?.key });
+        throw transformError(error, "upsertByKey");
+    }
+};
+
+/**
+ * Delete a class definition
+ * @param {string} classId - Class definition ID
+ * @returns {Promise<Object>} Deletion result
+ */
+const deleteClassDefinition = async (classId) => {
+    try {
+        const validId = uuidSchema.parse(classId);
+        const db = await getDB();
+
+        const deleted = await db.classDefinition.delete({
+            where: { id: validId },
+            select: { id: true, key: true },
+        });
+
+        logger.info("Class definition deleted", { classId: validId, key: deleted.key });
+        return { success: true, deletedId: deleted.id };
+    } catch (error) {
+        logger.error("Failed to delete class definition", { error: error.message, classId });
+        throw transformError(error, "deleteClassDefinition");
+    }
+};
+
+/**
+ * Count records that reference a class key
+ * @param {string} key - Class key
+ * @returns {Promise<Object>} { signups, templates }
+ */
+const countReferences = async (key) => {
+    try {
+        const db = await getDB();
+        const [signups, templates] = await Promise.all([
+            db.signup.count({ where: { classType: key } }),
+            db.messageTemplate.count({ where: { classType: key } }),
+        ]);
+        return { signups, templates };
+    } catch (error) {
+        logger.error("Failed to count class references", { error: error.message, key });
+        throw transformError(error, "countReferences");
+    }
+};
+
+module.exports = {
+    findAll,
+    findById,
+    findByKey,
+    createClassDefinition,
+    updateClassDefinition,
+    upsertByKey,
+    deleteClassDefinition,
+    countReferences,
+    CLASS_FIELDS,
+};
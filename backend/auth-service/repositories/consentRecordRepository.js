@@ -0,0 +1,86 @@
+// backend/auth-service/repositories/consentRecordRepository.js
+const { getDatabase } = require("../config/database");
+const { transformError } = require("../shared/utils/errors");
+const { uuidSchema } = require("../models/studentSchema");
+const { createLogger } = require("../shared/utils/logger");
+
+const logger = createLogger("consent-record-repository");
+let dbInstance = null;
+
+/**
+ * Get database instance (singleton pattern)
+ */
+const getDB = async () => {
+    if (!dbInstance) {
+        dbInstance = await getDatabase();
+    }
+    return dbInstance;
+};
+
+// Field selections
+const CONSENT_RECORD_FIELDS = {
+    public: {
+        id: true,
+        studentId: true,
+        signupId: true,
+        channel: true,
+        granted: true,
+        source: true,
+        destination: true,
+        disclosureVersion: true,
+        disclosureText: true,
+        verifiedChannels: true,
+        keyword: true,
+        ipAddress: true,
+        userAgent: true,
+        createdAt: true,
+    },
+};
+
+/**
+ * Append records to the consent ledger
+ * @param {Array<Object>} records - [{ studentId?, signupId?, channel, granted, source, destination?, ... }]
+ * @returns {Promise<number>} Number of records written
+ */
+const createRecords = async (records) => {
+    if (records.length === 0) return 0;
+
+    try {
+        const db = await getDB();
+        const { count } = await db.consentRecord.createMany({ data: records });
+        return count;
+    } catch (error) {
+        logger.error("Failed to record consent", { error: error.message });
+        throw transformError(error, "createRecords");
+    }
+};
+
+/**
+ * Consent history for a student, oldest first. Records that were never linked to a
+ * student (e.g. a STOP from the number before it signed up) are matched on destination.
+ * @param {string} studentId - Student ID
+ * @param {Array<string>} [destinations] - The student's email and phone forms
+ * @returns {Promise<Array>} Consent records
+ */
+const findForStudent = async (studentId, destinations = []) => {
+    try {
+        const validId = uuidSchema.parse(studentId);
+        const db = await getDB();
+        return await db.consentRecord.findMany({
+            where: {
+                OR: [{ studentId: validId }, { studentId: null, destination: { in: destinations } }],
+            },
+            select: CONSENT_RECORD_FIELDS.public,
+            orderBy: { createdAt: "asc" },
+        });
+    } catch (error) {
+        logger.error("Failed to find consent records", { error: error.message, studentId });
+        throw transformError(error, "findForStudent");
+    }
+};
+
+module.exports = {
+    createRecords,
+    findForStudent,
+    CONSENT_RECORD_FIELDS,
+};
@@ -0,0 +1,205 @@
+// backend/auth-service/repositories/dataSubjectRepository.js
+// Reads and anonymizes everything held about one student across tables, for data
+// subject export and erase requests.
+const { getDatabase } = require("../config/database");
+const { transformError } = require("../shared/utils/errors");
+const { uuidSchema } = require("../models/studentSchema");
+const { createLogger } = require("../shared/utils/logger");
+
+const logger = createLogger("data-subject-repository");
+let dbInstance = null;
+
+/**
+ * Get database instance (singleton pattern)
+ */
+const getDB = async () => {
+    if (!dbInstance) {
+        dbInstance = await getDatabase();
+    }
+    return dbInstance;
+};
+
+// Field selections
+const DATA_SUBJECT_FIELDS = {
+    export: {
+        id: true,
+        name: true,
+        email: true,
+        phone: true,
+        reminderPreference: true,
+        timezone: true,
+        optedOutEmail: true,
+        optedOutSms: true,
+        emailInvalidAt: true,
+        emailInvalidReason: true,
+        phoneInvalidAt: true,
+        phoneInvalidReason: true,
+        erasedAt: true,
+        createdAt: true,
+        updatedAt: true,
+        signups: {
+            select: {
+                id: true,
+                classType: true,
+                status: true,
+                completedAt: true,
+                expiresAt: true,
+                optedOutEmail: true,
+                optedOutSms: true,
+                notes: true,
+                createdAt: true,
+                updatedAt: true,
+                reminderSchedules: {
+                    select: { stage: true, scheduledFor: true, status: true, sentAt: true },
+                    orderBy: { stage: "asc" },
+                },
+                deliveryLogs: {
+                    select: {
+                        id: true,
+                        channel: true,
+                        status: true,
+                        errorMessage: true,
+                        statusUpdatedAt: true,
+                        createdAt: true,
+                        events: {
+                            select: { eventType: true, recipient: true, occurredAt: true },
+                            orderBy: { occurredAt: "asc" },
+                        },
+                    },
+                    orderBy: { createdAt: "asc" },
+                },
+            },
+            orderBy: { createdAt: "asc" },
+        },
+        optOutEvents: {
+            select: {
+                id: true,
+                signupId: true,
+                channel: true,
+                optedOut: true,
+                source: true,
+                keyword: true,
+                destination: true,
+                createdAt: true,
+            },
+            orderBy: { createdAt: "asc" },
+        },
+    },
+};
+
+/**
+ * A student with their signups, reminder stages, delivery logs and opt-out events
+ * @param {string} studentId - Student ID
+ * @returns {Promise<Object|null>} Student tree or null
+ */
+const findStudentData = async (studentId) => {
+    try {
+        const validId = uuidSchema.parse(studentId);
+        const db = await getDB();
+        return await db.student.findUnique({
+            where: { id: validId },
+            select: DATA_SUBJECT_FIELDS.export,
+        });
+    } catch (error) {
+        logger.error("Failed to find student data", { error: error.message, studentId });
+        throw transformError(error, "findStudentData");
+    }
+};
+
+/**
+ * Anonymize a student in one transaction. Signups, reminder stages and delivery
+ * statuses stay so reporting totals don't change; contact details, free text and
+ * raw provider payloads go. Pending reminders are cancelled and a tombstone is written.
+ * @param {string} studentId - Student ID
+ * @param {Array<string>} destinations - The student's email and phone forms (for unlinked rows)
+ * @param {Object} tombstone - { requestedBy, adminId?, ipAddress? }
+ * @returns {Promise<Object>} Row counts per table
+ */
+const eraseStudent = async (studentId, destinations, tombstone) => {
+    try {
+        const validId = uuidSchema.parse(studentId);
+        const db = await getDB();
+        const ofStudent = { signup: { studentId: validId } };
+
+        return await db.$transaction(async (tx) => {
+            await tx.student.update({
+                where: { id: validId },
+                data: {
+                    name: null,
+                    email: null,
+                    phone: null,
+                    timezone: null,
+                    optedOutEmail: true,
+                    optedOutSms: true,
+                    emailInvalidAt: null,
+                    emailInvalidReason: null,
+                    phoneInvalidAt: null,
+                    phoneInvalidReason: null,
+                    erasedAt: new Date(),
+                },
+            });
+
+            const signups = await tx.signup.updateMany({
+                where: { studentId: validId },
+                data: { notes: null, optedOutEmail: true, optedOutSms: true },
+            });
+            const reminderJobs = await tx.reminderJob.updateMany({
+                where: { ...ofStudent, status: "QUEUED" },
+                data: { status: "CANCELLED", lastError: "Student data erased", completedAt: new Date() },
+            });
+            const reminderSends = await tx.reminderSend.updateMany({
+                where: ofStudent,
+                data: { errorMessage: null },
+            });
+            const deliveryLogs = await tx.deliveryLog.updateMany({
+                where: ofStudent,
+                data: { errorMessage: null },
+            });
+            const deliveryEvents = await tx.deliveryEvent.updateMany({
+                where: { deliveryLog: ofStudent },
+                data: { recipient: null, payload: { erased: true } },
+            });
+            const optOutEvents = await tx.optOutEvent.updateMany({
+                where: { OR: [{ studentId: validId }, { studentId: null, destination: { in: destinations } }] },
+                data: { destination: null },
+            });
+            const consentRecords = await tx.consentRecord.updateMany({
+                where: { OR: [{ studentId: validId }, { studentId: null, destination: { in: destinations } }] },
+                data: { destination: null, ipAddress: null, userAgent: null },
+            });
+            const otpChallenges = await tx.otpChallenge.deleteMany({
+                where: { destination: { in: destinations } },
+            });
+            const pendingRegistrations = await tx.pendingRegistration.deleteMany({
+                where: { OR: [{ email: { in: destinations } }, { phone: { in: destinations } }] },
+            });
+
+            const summary = {
+                signups: signups.count,
+                reminderJobsCancelled: reminderJobs.count,
+                reminderSends: reminderSends.count,
+                deliveryLogs: deliveryLogs.count,
+                deliveryEvents: deliveryEvents.count,
+                optOutEvents: optOutEvents.count,
+                consentRecords: consentRecords.count,
+                otpChallengesDeleted: otpChallenges.count,
+                pendingRegistrationsDeleted: pendingRegistrations.count,
+            };
+
+            await tx.dataErasure.create({
+                data: { studentId: validId, ...tombstone, summary },
+            });
+
+            return summary;
+        });
+    } catch (error) {
+        logger.error("Failed to erase student data", { error: error.message, studentId });
+        throw transformError(error, "eraseStudent");
+    }
+};
+
+module.exports = {
+    findStudentData,
+    eraseStudent,
+    DATA_SUBJECT_FIELDS,
+};
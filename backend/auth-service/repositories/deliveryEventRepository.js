@@ -0,0 +1,80 @@
+// backend/auth-service/repositories/deliveryEventRepository.js
+const { getDatabase } = require("../config/database");
+const { transformError } = require("../shared/utils/errors");
+const { createLogger } = require("../shared/utils/logger");
+
+const logger = createLogger("delivery-event-repository");
+let dbInstance = null;
+
+/**
+ * Get database instance (singleton pattern)
+ */
+const getDB = async () => {
+    if (!dbInstance) {
+        dbInstance = await getDatabase();
+    }
+    return dbInstance;
+};
+
+// Field selections
+const EVENT_FIELDS = {
+    public: {
+        id: true,
+        deliveryLogId: true,
+        provider: true,
+        channel: true,
+        providerMessageId: true,
+        providerEventId: true,
+        eventType: true,
+        recipient: true,
+        occurredAt: true,
+        createdAt: true,
+    },
+};
+
+/**
+ * Store a raw provider event. Providers retry webhooks, so an event that was
+ * already stored (same provider and event ID) is not stored again.
+ * @param {Object} eventData - { deliveryLogId?, provider, channel, providerMessageId, providerEventId, eventType, recipient?, payload, occurredAt }
+ * @returns {Promise<Object>} { created, event }
+ */
+const createEvent = async (eventData) => {
+    try {
+        const db = await getDB();
+
+        try {
+            const event = await db.deliveryEvent.create({
+                data: eventData,
+                select: EVENT_FIELDS.public,
+            });
+            return { created: true, event };
+        } catch (error) {
+            if (error.code !== "P2002") {
+                throw error;
+            }
+        }
+
+        const event = await db.deliveryEvent.findUnique({
+            where: {
+                provider_providerEventId: {
+                    provider: eventData.provider,
+                    providerEventId: eventData.providerEventId,
+                },
+            },
+            select: EVENT_FIELDS.public,
+        });
+        return { created: false, event };
+    } catch (error) {
+        logger.error("Failed to store delivery event", {
+            error: error.message,
+            provider: eventData.provider,
+            providerEventId: eventData.providerEventId,
+        });
+        throw transformError(error, "createEvent");
+    }
+};
+
+module.exports = {
+    createEvent,
+    EVENT_FIELDS,
+};
@@ -23,13 +23,40 @@ const DELIVERY_LOG_FIELDS = {
         providerMessageId: true,
         errorMessage: true,
         metadata: true,
+        statusUpdatedAt: true,
+        templateVersionId: true,
         createdAt: true,
     },
+    // Signup detail view: includes the provider's delivery events
+    withEvents: {
+        id: true,
+        signupId: true,
+        channel: true,
+        status: true,
+        providerMessageId: true,
+        errorMessage: true,
+        metadata: true,
+        statusUpdatedAt: true,
+        templateVersionId: true,
+        templateVersion: {
+            select: { version: true },
+        },
+        createdAt: true,
+        events: {
+            select: {
+                id: true,
+                provider: true,
+                eventType: true,
+                occurredAt: true,
+            },
+            orderBy: { occurredAt: "asc" },
+        },
+    },
 };
 
 /**
  * Create a new delivery log entry
- * @param {Object} logData - { signupId, channel, status, providerMessageId?, errorMessage?, metadata? }
+ * @param {Object} logData - { signupId, channel, status, providerMessageId?, errorMessage?, metadata?, templateVersionId? }
  * @returns {Promise<Object>} Created delivery log
  */
 const createDeliveryLog = async (logData) => {
@@ -58,7 +85,7 @@ const findBySignupId = async (signupId) => {
         const db = await getDB();
         const logs = await db.deliveryLog.findMany({
             where: { signupId: validId },
-            select: DELIVERY_LOG_FIELDS.public,
+            select: DELIVERY_LOG_FIELDS.withEvents,
             orderBy: { createdAt: "desc" },
         });
         return logs;
@@ -68,20 +95,51 @@ const findBySignupId = async (signupId) => {
     }
 };
 
+/**
+ * Find the delivery log for a provider message
+ * @param {string} providerMessageId - ID the provider returned when accepting the message
+ * @returns {Promise<Object|null>} Delivery log with { signup: { studentId } }, or null
+ */
+const findByProviderMessageId = async (providerMessageId) => {
+    try {
+        const db = await getDB();
+        const log = await db.deliveryLog.findFirst({
+            where: { providerMessageId },
+            select: {
+                ...DELIVERY_LOG_FIELDS.public,
+                signup: { select: { studentId: true } },
+            },
+            orderBy: { createdAt: "desc" },
+        });
+        return log;
+    } catch (error) {
+        logger.error("Failed to find delivery log by provider message ID", {
+            error: error.message,
+            providerMessageId,
+        });
+        throw transformError(error, "findByProviderMessageId");
+    }
+};
+
 /**
  * Update delivery log status
  * @param {string} logId - Delivery log ID
  * @param {string} status - New status
- * @param {Object} metadata - Additional metadata
+ * @param {Object} [updates] - { errorMessage?, metadata? } (omitted fields are kept)
  * @returns {Promise<Object>} Updated delivery log
  */
-const updateStatus = async (logId, status, metadata = {}) => {
+const updateStatus = async (logId, status, { errorMessage, metadata } = {}) => {
     try {
         const validId = uuidSchema.parse(logId);
         const db = await getDB();
         const log = await db.deliveryLog.update({
             where: { id: validId },
-            data: { status, metadata },
+            data: {
+                status,
+                statusUpdatedAt: new Date(),
+                ...(errorMessage !== undefined && { errorMessage }),
+                ...(metadata !== undefined && { metadata }),
+            },
             select: DELIVERY_LOG_FIELDS.public,
         });
         logger.info("Delivery log status updated", { logId: validId, status });
@@ -115,6 +173,7 @@ const deleteBySignupId = async (signupId) => {
 module.exports = {
     createDeliveryLog,
     findBySignupId,
+    findByProviderMessageId,
     updateStatus,
     deleteBySignupId,
     DELIVERY_LOG_FIELDS,
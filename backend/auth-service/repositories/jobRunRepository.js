@@ -0,0 +1,207 @@
+// backend/auth-service/repositories/jobRunRepository.js
+const { getDatabase } = require("../config/database");
+const { transformError } = require("../shared/utils/errors");
+const { uuidSchema } = require("../models/studentSchema");
+const { jobRunStatusSchema, jobNameSchema } = require("../models/jobRunSchema");
+const { createLogger } = require("../shared/utils/logger");
+
+const logger = createLogger("job-run-repository");
+let dbInstance = null;
+
+/**
+ * Get database instance (singleton pattern)
+ */
+const getDB = async () => {
+    if (!dbInstance) {
+        dbInstance = await getDatabase();
+    }
+    return dbInstance;
+};
+
+// Field selections
+const JOB_RUN_FIELDS = {
+    public: {
+        id: true,
+        jobName: true,
+        instanceId: true,
+        status: true,
+        startedAt: true,
+        finishedAt: true,
+        processedCount: true,
+        sentCount: true,
+        failedCount: true,
+        error: true,
+        summary: true,
+    },
+};
+
+// Extra time the lock's transaction stays open after fn is asked to stop
+const LOCK_STOP_GRACE_MS = 30 * 1000;
+
+/**
+ * Run fn while holding a Postgres advisory lock named lockName.
+ * Uses a transaction-scoped lock (pg_try_advisory_xact_lock) so it is released when
+ * the transaction ends, even if this instance crashes; the transaction only holds the
+ * lock - fn runs its own queries on other pooled connections.
+ * fn gets an AbortSignal that fires after timeoutMs and must stop at its next safe
+ * point; the transaction stays open LOCK_STOP_GRACE_MS longer so the lock still
+ * covers fn while it winds down.
+ * @param {string} lockName - Lock name (hashed to the advisory lock key)
+ * @param {Function} fn - Async function (signal) => result to run while holding the lock
+ * @param {number} timeoutMs - Longest fn may run before it is asked to stop
+ * @returns {Promise<Object>} { acquired: false } or { acquired: true, result }
+ */
+const withAdvisoryLock = async (lockName, fn, timeoutMs) => {
+    try {
+        const validName = jobNameSchema.parse(lockName);
+        const db = await getDB();
+
+        return await db.$transaction(
+            async (tx) => {
+                const [{ locked }] = await tx.$queryRaw`
+                    SELECT pg_try_advisory_xact_lock(hashtext(${validName})) AS locked`;
+                if (!locked) {
+                    return { acquired: false };
+                }
+
+                const controller = new AbortController();
+                const timer = setTimeout(() => {
+                    logger.warn("Advisory-locked job timed out, asking it to stop", { lockName, timeoutMs });
+                    controller.abort();
+                }, timeoutMs);
+                try {
+                    return { acquired: true, result: await fn(controller.signal) };
+                } finally {
+                    clearTimeout(timer);
+                }
+            },
+            { maxWait: 10 * 1000, timeout: timeoutMs + LOCK_STOP_GRACE_MS }
+        );
+    } catch (error) {
+        logger.error("Advisory-locked job failed", { error: error.message, lockName });
+        throw transformError(error, "withAdvisoryLock");
+    }
+};
+
+/**
+ * Record the start of a run
+ * @param {Object} runData - { jobName, instanceId }
+ * @returns {Promise<Object>} Created run
+ */
+const createRun = async ({ jobName, instanceId }) => {
+    try {
+        const db = await getDB();
+
+        return await db.jobRun.create({
+            data: { jobName: jobNameSchema.parse(jobName), instanceId },
+            select: JOB_RUN_FIELDS.public,
+        });
+    } catch (error) {
+        logger.error("Failed to create job run", { error: error.message, jobName });
+        throw transformError(error, "createRun");
+    }
+};
+
+/**
+ * Record the end of a run
+ * @param {string} runId - Run ID
+ * @param {Object} outcome - { status, processedCount, sentCount, failedCount, error?, summary? }
+ * @returns {Promise<Object>} Updated run
+ */
+const finishRun = async (runId, outcome) => {
+    try {
+        const validId = uuidSchema.parse(runId);
+        const db = await getDB();
+
+        return await db.jobRun.update({
+            where: { id: validId },
+            data: {
+                ...outcome,
+                status: jobRunStatusSchema.parse(outcome.status),
+                finishedAt: new Date(),
+            },
+            select: JOB_RUN_FIELDS.public,
+        });
+    } catch (error) {
+        logger.error("Failed to finish job run", { error: error.message, runId });
+        throw transformError(error, "finishRun");
+    }
+};
+
+/**
+ * Record a run that has already finished
+ * @param {Object} runData - { jobName, instanceId, startedAt, status, counts..., error?, summary? }
+ * @returns {Promise<Object>} Created run
+ */
+const createFinishedRun = async (runData) => {
+    try {
+        const db = await getDB();
+
+        return await db.jobRun.create({
+            data: {
+                ...runData,
+                jobName: jobNameSchema.parse(runData.jobName),
+                status: jobRunStatusSchema.parse(runData.status),
+                finishedAt: new Date(),
+            },
+            select: JOB_RUN_FIELDS.public,
+        });
+    } catch (error) {
+        logger.error("Failed to record job run", { error: error.message, jobName: runData.jobName });
+        throw transformError(error, "createFinishedRun");
+    }
+};
+
+/**
+ * List runs, newest first
+ * @param {Object} filters - { jobName?, status? }
+ * @param {Object} options - { page, limit }
+ * @returns {Promise<Object>} { runs, pagination }
+ */
+const findRuns = async (filters = {}, options = {}) => {
+    try {
+        const db = await getDB();
+        const { page = 1, limit = 50 } = options;
+
+        const whereConditions = {};
+        if (filters.jobName) {
+            whereConditions.jobName = jobNameSchema.parse(filters.jobName);
+        }
+        if (filters.status) {
+            whereConditions.status = jobRunStatusSchema.parse(filters.status);
+        }
+
+        const [runs, totalCount] = await Promise.all([
+            db.jobRun.findMany({
+                where: whereConditions,
+                select: JOB_RUN_FIELDS.public,
+                orderBy: { startedAt: "desc" },
+                skip: (page - 1) * limit,
+                take: limit,
+            }),
+            db.jobRun.count({ where: whereConditions }),
+        ]);
+
+        return {
+            runs,
+            pagination: {
+                page,
+                limit,
+                totalCount,
+                totalPages: Math.ceil(totalCount / limit),
+            },
+        };
+    } catch (error) {
+        logger.error("Failed to find job runs", { error: error.message });
+        throw transformError(error, "findRuns");
+    }
+};
+
+module.exports = {
+    withAdvisoryLock,
+    createRun,
+    finishRun,
+    createFinishedRun,
+    findRuns,
+    JOB_RUN_FIELDS,
+};
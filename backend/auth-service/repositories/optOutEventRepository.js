@@ -0,0 +1,77 @@
+// backend/auth-service/repositories/optOutEventRepository.js
+const { getDatabase } = require("../config/database");
+const { transformError } = require("../shared/utils/errors");
+const { uuidSchema } = require("../models/studentSchema");
+const { createLogger } = require("../shared/utils/logger");
+
+const logger = createLogger("opt-out-event-repository");
+let dbInstance = null;
+
+/**
+ * Get database instance (singleton pattern)
+ */
+const getDB = async () => {
+    if (!dbInstance) {
+        dbInstance = await getDatabase();
+    }
+    return dbInstance;
+};
+
+// Field selections
+const OPT_OUT_EVENT_FIELDS = {
+    public: {
+        id: true,
+        studentId: true,
+        signupId: true,
+        channel: true,
+        optedOut: true,
+        source: true,
+        keyword: true,
+        destination: true,
+        createdAt: true,
+    },
+};
+
+/**
+ * Append opt-out changes to the audit trail
+ * @param {Array<Object>} events - [{ studentId?, signupId?, channel, optedOut, source, keyword?, destination? }]
+ * @returns {Promise<number>} Number of events recorded
+ */
+const createEvents = async (events) => {
+    if (events.length === 0) return 0;
+
+    try {
+        const db = await getDB();
+        const { count } = await db.optOutEvent.createMany({ data: events });
+        return count;
+    } catch (error) {
+        logger.error("Failed to record opt-out events", { error: error.message });
+        throw transformError(error, "createEvents");
+    }
+};
+
+/**
+ * Audit trail for a student, newest first
+ * @param {string} studentId - Student ID
+ * @returns {Promise<Array>} Opt-out events
+ */
+const findByStudentId = async (studentId) => {
+    try {
+        const validId = uuidSchema.parse(studentId);
+        const db = await getDB();
+        return await db.optOutEvent.findMany({
+            where: { studentId: validId },
+            select: OPT_OUT_EVENT_FIELDS.public,
+            orderBy: { createdAt: "desc" },
+        });
+    } catch (error) {
+        logger.error("Failed to find opt-out events", { error: error.message, studentId });
+        throw transformError(error, "findByStudentId");
+    }
+};
+
+module.exports = {
+    createEvents,
+    findByStudentId,
+    OPT_OUT_EVENT_FIELDS,
+};
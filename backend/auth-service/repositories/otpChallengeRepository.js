@@ -0,0 +1,161 @@
+// backend/auth-service/repositories/otpChallengeRepository.js
+const { getDatabase } = require("../config/database");
+const { transformError } = require("../shared/utils/errors");
+const { uuidSchema } = require("../models/studentSchema");
+const { createLogger } = require("../shared/utils/logger");
+
+const logger = createLogger("otp-challenge-repository");
+let dbInstance = null;
+
+/**
+ * Get database instance (singleton pattern)
+ */
+const getDB = async () => {
+    if (!dbInstance) {
+        dbInstance = await getDatabase();
+    }
+    return dbInstance;
+};
+
+// Field selections
+const OTP_CHALLENGE_FIELDS = {
+    public: {
+        id: true,
+        purpose: true,
+        destination: true,
+        channel: true,
+        pendingRegistrationId: true,
+        codeHash: true,
+        attempts: true,
+        maxAttempts: true,
+        resendCount: true,
+        lastResentAt: true,
+        expiresAt: true,
+        consumedAt: true,
+        createdAt: true,
+    },
+};
+
+/**
+ * Create a challenge
+ * @param {Object} challengeData - { purpose, destination, channel, codeHash, attempts?, maxAttempts, expiresAt }
+ * @returns {Promise<Object>} Created challenge
+ */
+const createChallenge = async (challengeData) => {
+    try {
+        const db = await getDB();
+        return await db.otpChallenge.create({
+            data: challengeData,
+            select: OTP_CHALLENGE_FIELDS.public,
+        });
+    } catch (error) {
+        logger.error("Failed to create OTP challenge", { error: error.message, purpose: challengeData?.purpose });
+        throw transformError(error, "createChallenge");
+    }
+};
+
+/**
+ * Latest unexpired, unconsumed challenge for a purpose and destination
+ * @param {string} purpose - SIGNUP | UNSUBSCRIBE | MANAGE_REGISTRATIONS
+ * @param {string} destination - Normalized email or phone
+ * @returns {Promise<Object|null>} Challenge or null
+ */
+const findActive = async (purpose, destination) => {
+    try {
+        const db = await getDB();
+        return await db.otpChallenge.findFirst({
+            where: { purpose, destination, consumedAt: null, expiresAt: { gt: new Date() } },
+            select: OTP_CHALLENGE_FIELDS.public,
+            orderBy: { createdAt: "desc" },
+        });
+    } catch (error) {
+        logger.error("Failed to find OTP challenge", { error: error.message, purpose });
+        throw transformError(error, "findActive");
+    }
+};
+
+/**
+ * Count one verification attempt. The increment happens in the database so
+ * concurrent guesses can't share a count.
+ * @param {string} id - Challenge ID
+ * @returns {Promise<Object>} Challenge with the new attempt count
+ */
+const recordAttempt = async (id) => {
+    try {
+        const validId = uuidSchema.parse(id);
+        const db = await getDB();
+        return await db.otpChallenge.update({
+            where: { id: validId },
+            data: { attempts: { increment: 1 } },
+            select: OTP_CHALLENGE_FIELDS.public,
+        });
+    } catch (error) {
+        logger.error("Failed to record OTP attempt", { error: error.message, challengeId: id });
+        throw transformError(error, "recordAttempt");
+    }
+};
+
+/**
+ * Mark a challenge as used. Guarded on consumedAt so only one of two concurrent
+ * correct submissions wins.
+ * @param {string} id - Challenge ID
+ * @returns {Promise<boolean>} True if this call consumed the challenge
+ */
+const consumeChallenge = async (id) => {
+    try {
+        const validId = uuidSchema.parse(id);
+        const db = await getDB();
+        const { count } = await db.otpChallenge.updateMany({
+            where: { id: validId, consumedAt: null },
+            data: { consumedAt: new Date() },
+        });
+        return count === 1;
+    } catch (error) {
+        logger.error("Failed to consume OTP challenge", { error: error.message, challengeId: id });
+        throw transformError(error, "consumeChallenge");
+    }
+};
+
+/**
+ * Delete every challenge for a purpose and destination
+ * @param {string} purpose - SIGNUP | UNSUBSCRIBE | MANAGE_REGISTRATIONS
+ * @param {string} destination - Normalized email or phone
+ * @returns {Promise<number>} Number of challenges deleted
+ */
+const deleteByDestination = async (purpose, destination) => {
+    try {
+        const db = await getDB();
+        const { count } = await db.otpChallenge.deleteMany({ where: { purpose, destination } });
+        return count;
+    } catch (error) {
+        logger.error("Failed to delete OTP challenges", { error: error.message, purpose });
+        throw transformError(error, "deleteByDestination");
+    }
+};
+
+/**
+ * Delete challenges past their expiry
+ * @returns {Promise<Object>} { deletedCount }
+ */
+const cleanupExpired = async () => {
+    try {
+        const db = await getDB();
+        const { count } = await db.otpChallenge.deleteMany({
+            where: { expiresAt: { lt: new Date() } },
+        });
+        return { deletedCount: count };
+    } catch (error) {
+        logger.error("Failed to clean up expired OTP challenges", { error: error.message });
+        throw transformError(error, "cleanupExpired");
+    }
+};
+
+module.exports = {
+    createChallenge,
+    findActive,
+    recordAttempt,
+    consumeChallenge,
+    deleteByDestination,
+    cleanupExpired,
+    OTP_CHALLENGE_FIELDS,
+};
@@ -193,6 +193,32 @@ const markAsUsed = async (resetId) => {
   }
 };
 
+/**
+ * Use up a password reset if nobody has yet. Only one of several requests racing
+ * with the same link gets true.
+ * @param {string} resetId - Password reset ID
+ * @returns {Promise<boolean>} True if this call marked it used
+ */
+const claimReset = async (resetId) => {
+  try {
+    const validResetId = uuidSchema.parse(resetId);
+    const db = await getDB();
+
+    const result = await db.passwordReset.updateMany({
+      where: { id: validResetId, isUsed: false },
+      data: {
+        isUsed: true,
+        usedAt: new Date(),
+      },
+    });
+
+    return result.count === 1;
+  } catch (error) {
+    logger.error("Failed to claim password reset", { error: error.message, resetId });
+    throw transformError(error, "claimReset");
+  }
+};
+
 /**
  * Increment reset attempts
  * @param {string} resetId - Password reset ID
@@ -294,6 +320,7 @@ module.exports = {
   findByToken,
   findActiveByAdminId,
   markAsUsed,
+  claimReset,
   incrementAttempts,
   cleanupExpired,
   getResetStats,
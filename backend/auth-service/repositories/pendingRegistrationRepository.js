@@ -0,0 +1,156 @@
+// backend/auth-service/repositories/pendingRegistrationRepository.js
+const { getDatabase } = require("../config/database");
+const { transformError } = require("../shared/utils/errors");
+const { uuidSchema } = require("../models/studentSchema");
+const { createLogger } = require("../shared/utils/logger");
+
+const logger = createLogger("pending-registration-repository");
+let dbInstance = null;
+
+/**
+ * Get database instance (singleton pattern)
+ */
+const getDB = async () => {
+    if (!dbInstance) {
+        dbInstance = await getDatabase();
+    }
+    return dbInstance;
+};
+
+// Field selections
+const PENDING_REGISTRATION_FIELDS = {
+    withChallenge: {
+        id: true,
+        name: true,
+        email: true,
+        phone: true,
+        classType: true,
+        locale: true,
+        bothRequired: true,
+        verifiedChannels: true,
+        expiresAt: true,
+        createdAt: true,
+        challenge: {
+            select: {
+                id: true,
+                channel: true,
+                destination: true,
+                codeHash: true,
+                attempts: true,
+                maxAttempts: true,
+                resendCount: true,
+                lastResentAt: true,
+                expiresAt: true,
+                consumedAt: true,
+            },
+        },
+    },
+};
+
+/**
+ * Store a pending registration together with its first OTP challenge
+ * @param {Object} registration - { id, name, email, phone, classType, locale, bothRequired, expiresAt }
+ * @param {Object} challenge - { purpose, destination, channel, codeHash, maxAttempts, expiresAt }
+ * @returns {Promise<Object>} Pending registration with its challenge
+ */
+const createPendingRegistration = async (registration, challenge) => {
+    try {
+        const db = await getDB();
+        return await db.pendingRegistration.create({
+            data: {
+                ...registration,
+                challenge: { create: challenge },
+            },
+            select: PENDING_REGISTRATION_FIELDS.withChallenge,
+        });
+    } catch (error) {
+        logger.error("Failed to create pending registration", { error: error.message });
+        throw transformError(error, "createPendingRegistration");
+    }
+};
+
+/**
+ * Find a pending registration by its registration token
+ * @param {string} id - Registration token
+ * @returns {Promise<Object|null>} Pending registration with its challenge, or null
+ */
+const findById = async (id) => {
+    try {
+        const validId = uuidSchema.parse(id);
+        const db = await getDB();
+        return await db.pendingRegistration.findUnique({
+            where: { id: validId },
+            select: PENDING_REGISTRATION_FIELDS.withChallenge,
+        });
+    } catch (error) {
+        logger.error("Failed to find pending registration", { error: error.message });
+        throw transformError(error, "findById");
+    }
+};
+
+/**
+ * Update a pending registration and its challenge in one write
+ * @param {string} id - Registration token
+ * @param {Object} data - Registration fields (e.g. verifiedChannels)
+ * @param {Object} [challengeData] - Challenge fields (e.g. a new code for the next channel)
+ * @returns {Promise<Object>} Updated pending registration with its challenge
+ */
+const updatePendingRegistration = async (id, data, challengeData = null) => {
+    try {
+        const validId = uuidSchema.parse(id);
+        const db = await getDB();
+        return await db.pendingRegistration.update({
+            where: { id: validId },
+            data: {
+                ...data,
+                ...(challengeData && { challenge: { update: challengeData } }),
+            },
+            select: PENDING_REGISTRATION_FIELDS.withChallenge,
+        });
+    } catch (error) {
+        logger.error("Failed to update pending registration", { error: error.message });
+        throw transformError(error, "updatePendingRegistration");
+    }
+};
+
+/**
+ * Delete a pending registration (its challenge cascades); missing rows are ignored
+ * @param {string} id - Registration token
+ * @returns {Promise<void>}
+ */
+const deletePendingRegistration = async (id) => {
+    try {
+        const validId = uuidSchema.parse(id);
+        const db = await getDB();
+        await db.pendingRegistration.deleteMany({ where: { id: validId } });
+    } catch (error) {
+        logger.error("Failed to delete pending registration", { error: error.message });
+        throw transformError(error, "deletePendingRegistration");
+    }
+};
+
+/**
+ * Delete pending registrations past their expiry
+ * @returns {Promise<Object>} { deletedCount }
+ */
+const cleanupExpired = async () => {
+    try {
+        const db = await getDB();
+        const { count } = await db.pendingRegistration.deleteMany({
+            where: { expiresAt: { lt: new Date() } },
+        });
+        return { deletedCount: count };
+    } catch (error) {
+        logger.error("Failed to clean up expired pending registrations", { error: error.message });
+        throw transformError(error, "cleanupExpired");
+    }
+};
+
+module.exports = {
+    createPendingRegistration,
+    findById,
+    updatePendingRegistration,
+    deletePendingRegistration,
+    cleanupExpired,
+    PENDING_REGISTRATION_FIELDS,
+};
@@ -0,0 +1,446 @@
+// backend/auth-service/repositories/reminderJobRepository.js
+const { getDatabase } = require("../config/database");
+const { transformError } = require("../shared/utils/errors");
+const {
+    uuidSchema,
+    reminderStageSchema,
+    reminderJobStatusSchema,
+    messageChannelSchema,
+} = require("../models/studentSchema");
+const { createLogger } = require("../shared/utils/logger");
+
+const logger = createLogger("reminder-job-repository");
+let dbInstance = null;
+
+/**
+ * Get database instance (singleton pattern)
+ */
+const getDB = async () => {
+    if (!dbInstance) {
+        dbInstance = await getDatabase();
+    }
+    return dbInstance;
+};
+
+// Field selections
+const JOB_FIELDS = {
+    public: {
+        id: true,
+        signupId: true,
+        stage: true,
+        channel: true,
+        status: true,
+        attempts: true,
+        maxAttempts: true,
+        runAt: true,
+        lockedAt: true,
+        lockedBy: true,
+        lastError: true,
+        completedAt: true,
+        createdAt: true,
+        updatedAt: true,
+    },
+};
+
+/**
+ * Enqueue one job per channel for a due stage and mark the stage QUEUED.
+ * The stage is claimed with a PENDING -> QUEUED guard, so when several instances
+ * enqueue the same stage only the first one creates jobs.
+ * A runAt in the future (quiet hours) is also stored on the stage as deferredUntil.
+ * @param {Object} params - { signupId, stage, channels, maxAttempts?, runAt? }
+ * @returns {Promise<Array|null>} Created jobs, or null if the stage was no longer PENDING
+ */
+const enqueueStageJobs = async ({ signupId, stage, channels, maxAttempts, runAt }) => {
+    try {
+        const validId = uuidSchema.parse(signupId);
+        const validStage = reminderStageSchema.parse(stage);
+        const validChannels = channels.map((channel) => messageChannelSchema.parse(channel));
+        const db = await getDB();
+
+        const deferredUntil = runAt && runAt > new Date() ? runAt : null;
+
+        const jobs = await db.$transaction(async (tx) => {
+            const { count } = await tx.reminderSchedule.updateMany({
+                where: { signupId: validId, stage: validStage, status: "PENDING" },
+                data: { status: "QUEUED", deferredUntil },
+            });
+            if (count === 0) {
+                return null;
+            }
+
+            return Promise.all(
+                validChannels.map((channel) =>
+                    tx.reminderJob.create({
+                        data: {
+                            signupId: validId,
+                            stage: validStage,
+                            channel,
+                            ...(maxAttempts && { maxAttempts }),
+                            ...(runAt && { runAt }),
+                        },
+                        select: JOB_FIELDS.public,
+                    })
+                )
+            );
+        });
+
+        if (jobs) {
+            logger.info("Reminder stage enqueued", {
+                signupId: validId,
+                stage: validStage,
+                channels: validChannels,
+                deferredUntil,
+            });
+        }
+        return jobs;
+    } catch (error) {
+        logger.error("Failed to enqueue reminder stage", { error: error.message, signupId, stage });
+        throw transformError(error, "enqueueStageJobs");
+    }
+};
+
+/**
+ * Claim due jobs for a worker.
+ * FOR UPDATE SKIP LOCKED lets several instances poll the same table without
+ * handing the same job to two workers. Claiming counts as an attempt.
+ * @param {string} workerId - Identifier of the claiming worker
+ * @param {number} limit - Maximum number of jobs to claim
+ * @returns {Promise<Array>} Claimed jobs
+ */
+const claimDueJobs = async (workerId, limit) => {
+    try {
+        const db = await getDB();
+
+        const jobs = await db.$queryRaw`
+            UPDATE "reminder_jobs"
+            SET "status" = 'PROCESSING',
+                "attempts" = "attempts" + 1,
+                "lockedAt" = NOW(),
+                "lockedBy" = ${workerId},
+                "updatedAt" = NOW()
+            WHERE "id" IN (
+                SELECT "id" FROM "reminder_jobs"
+                WHERE "status" = 'QUEUED' AND "runAt" <= NOW()
+                ORDER BY "runAt" ASC
+                LIMIT ${limit}
+                FOR UPDATE SKIP LOCKED
+            )
+            RETURNING "id", "signupId", "stage", "channel", "attempts", "maxAttempts"`;
+
+        if (jobs.length > 0) {
+            logger.info("Reminder jobs claimed", { workerId, count: jobs.length });
+        }
+        return jobs;
+    } catch (error) {
+        logger.error("Failed to claim reminder jobs", { error: error.message, workerId });
+        throw transformError(error, "claimDueJobs");
+    }
+};
+
+/**
+ * Release jobs whose worker died mid-send (lock older than staleBefore).
+ * Jobs that have used up their attempts go to DEAD, the rest back to QUEUED.
+ * @param {Date} staleBefore - Locks taken before this are considered abandoned
+ * @returns {Promise<Array>} Released jobs { id, signupId, stage, status }
+ */
+const releaseStaleJobs = async (staleBefore) => {
+    try {
+        const db = await getDB();
+
+        const released = await db.$queryRaw`
+            UPDATE "reminder_jobs"
+            SET "status" = CASE
+                    WHEN "attempts" >= "maxAttempts" THEN 'DEAD'::"ReminderJobStatus"
+                    ELSE 'QUEUED'::"ReminderJobStatus"
+                END,
+                "lockedAt" = NULL,
+                "lockedBy" = NULL,
+                "lastError" = 'Worker lock expired before the send finished',
+                "updatedAt" = NOW()
+            WHERE "status" = 'PROCESSING' AND "lockedAt" < ${staleBefore}
+            RETURNING "id", "signupId", "stage", "status"`;
+
+        if (released.length > 0) {
+            logger.warn("Stale reminder jobs released", { count: released.length });
+        }
+        return released;
+    } catch (error) {
+        logger.error("Failed to release stale reminder jobs", { error: error.message });
+        throw transformError(error, "releaseStaleJobs");
+    }
+};
+
+/**
+ * Move a claimed job to a final state
+ * @param {string} jobId - Job ID
+ * @param {string} status - SUCCEEDED | CANCELLED | DEAD
+ * @param {string|null} [lastError] - Error or cancellation reason
+ * @returns {Promise<Object>} Updated job
+ */
+const completeJob = async (jobId, status, lastError = null) => {
+    try {
+        const validId = uuidSchema.parse(jobId);
+        const validStatus = reminderJobStatusSchema.parse(status);
+        const db = await getDB();
+
+        return await db.reminderJob.update({
+            where: { id: validId },
+            data: {
+                status: validStatus,
+                lastError,
+                lockedAt: null,
+                lockedBy: null,
+                completedAt: new Date(),
+            },
+            select: JOB_FIELDS.public,
+        });
+    } catch (error) {
+        logger.error("Failed to complete reminder job", { error: error.message, jobId });
+        throw transformError(error, "completeJob");
+    }
+};
+
+/**
+ * Put a failed job back in the queue for a later attempt
+ * @param {string} jobId - Job ID
+ * @param {Date} runAt - When to try again
+ * @param {string} lastError - Failure reason
+ * @returns {Promise<Object>} Updated job
+ */
+const retryJobAt = async (jobId, runAt, lastError) => {
+    try {
+        const validId = uuidSchema.parse(jobId);
+        const db = await getDB();
+
+        return await db.reminderJob.update({
+            where: { id: validId },
+            data: {
+                status: "QUEUED",
+                runAt,
+                lastError,
+                lockedAt: null,
+                lockedBy: null,
+            },
+            select: JOB_FIELDS.public,
+        });
+    } catch (error) {
+        logger.error("Failed to schedule reminder job retry", { error: error.message, jobId });
+        throw transformError(error, "retryJobAt");
+    }
+};
+
+/**
+ * Put a claimed job back until the end of quiet hours.
+ * Deferral is not a failed attempt, so the attempt taken by the claim is given back.
+ * @param {string} jobId - Job ID
+ * @param {Date} runAt - When the job may run
+ * @returns {Promise<Object>} Updated job
+ */
+const deferJob = async (jobId, runAt) => {
+    try {
+        const validId = uuidSchema.parse(jobId);
+        const db = await getDB();
+
+        return await db.reminderJob.update({
+            where: { id: validId },
+            data: {
+                status: "QUEUED",
+                runAt,
+                attempts: { decrement: 1 },
+                lockedAt: null,
+                lockedBy: null,
+            },
+            select: JOB_FIELDS.public,
+        });
+    } catch (error) {
+        logger.error("Failed to defer reminder job", { error: error.message, jobId });
+        throw transformError(error, "deferJob");
+    }
+};
+
+/**
+ * Find all jobs for a stage of a signup
+ * @param {string} signupId - Signup ID
+ * @param {number} stage - Stage number
+ * @returns {Promise<Array>} Jobs
+ */
+const findStageJobs = async (signupId, stage) => {
+    try {
+        const validId = uuidSchema.parse(signupId);
+        const validStage = reminderStageSchema.parse(stage);
+        const db = await getDB();
+
+        return await db.reminderJob.findMany({
+            where: { signupId: validId, stage: validStage },
+            select: JOB_FIELDS.public,
+            orderBy: { createdAt: "asc" },
+        });
+    } catch (error) {
+        logger.error("Failed to find stage jobs", { error: error.message, signupId, stage });
+        throw transformError(error, "findStageJobs");
+    }
+};
+
+/**
+ * Cancel jobs of a signup that have not been claimed yet
+ * @param {string} signupId - Signup ID
+ * @param {number} [stage] - Only cancel jobs for this stage
+ * @param {string} reason - Stored in lastError
+ * @returns {Promise<number>} Number of jobs cancelled
+ */
+const cancelQueuedJobs = async (signupId, stage, reason) => {
+    try {
+        const validId = uuidSchema.parse(signupId);
+        const db = await getDB();
+
+        const { count } = await db.reminderJob.updateMany({
+            where: {
+                signupId: validId,
+                status: "QUEUED",
+                ...(stage && { stage: reminderStageSchema.parse(stage) }),
+            },
+            data: { status: "CANCELLED", lastError: reason, completedAt: new Date() },
+        });
+
+        if (count > 0) {
+            logger.info("Queued reminder jobs cancelled", { signupId: validId, stage, count });
+        }
+        return count;
+    } catch (error) {
+        logger.error("Failed to cancel reminder jobs", { error: error.message, signupId });
+        throw transformError(error, "cancelQueuedJobs");
+    }
+};
+
+/**
+ * List jobs with filters and pagination (admin)
+ * @param {Object} filters - { status?, signupId? }
+ * @param {Object} options - { page, limit }
+ * @returns {Promise<Object>} { jobs, pagination }
+ */
+const findJobs = async (filters = {}, options = {}) => {
+    try {
+        const db = await getDB();
+        const { page = 1, limit = 50 } = options;
+
+        const whereConditions = {};
+        if (filters.status) {
+            whereConditions.status = reminderJobStatusSchema.parse(filters.status);
+        }
+        if (filters.signupId) {
+            whereConditions.signupId = uuidSchema.parse(filters.signupId);
+        }
+
+        const [jobs, totalCount] = await Promise.all([
+            db.reminderJob.findMany({
+                where: whereConditions,
+                select: JOB_FIELDS.public,
+                orderBy: { updatedAt: "desc" },
+                skip: (page - 1) * limit,
+                take: limit,
+            }),
+            db.reminderJob.count({ where: whereConditions }),
+        ]);
+
+        return {
+            jobs,
+            pagination: {
+                page,
+                limit,
+                totalCount,
+                totalPages: Math.ceil(totalCount / limit),
+            },
+        };
+    } catch (error) {
+        logger.error("Failed to find reminder jobs", { error: error.message });
+        throw transformError(error, "findJobs");
+    }
+};
+
+/**
+ * Find a job by ID
+ * @param {string} jobId - Job ID
+ * @returns {Promise<Object|null>} Job or null
+ */
+const findById = async (jobId) => {
+    try {
+        const validId = uuidSchema.parse(jobId);
+        const db = await getDB();
+
+        return await db.reminderJob.findUnique({
+            where: { id: validId },
+            select: JOB_FIELDS.public,
+        });
+    } catch (error) {
+        logger.error("Failed to find reminder job", { error: error.message, jobId });
+        throw transformError(error, "findById");
+    }
+};
+
+/**
+ * Give a dead job a fresh set of attempts
+ * @param {string} jobId - Job ID
+ * @returns {Promise<Object>} Requeued job
+ */
+const requeueJob = async (jobId) => {
+    try {
+        const validId = uuidSchema.parse(jobId);
+        const db = await getDB();
+
+        const job = await db.reminderJob.update({
+            where: { id: validId },
+            data: {
+                status: "QUEUED",
+                attempts: 0,
+                runAt: new Date(),
+                completedAt: null,
+            },
+            select: JOB_FIELDS.public,
+        });
+
+        logger.info("Reminder job requeued", { jobId: validId });
+        return job;
+    } catch (error) {
+        logger.error("Failed to requeue reminder job", { error: error.message, jobId });
+        throw transformError(error, "requeueJob");
+    }
+};
+
+/**
+ * Count jobs per status (admin dashboard)
+ * @returns {Promise<Object>} { QUEUED, PROCESSING, SUCCEEDED, CANCELLED, DEAD }
+ */
+const countByStatus = async () => {
+    try {
+        const db = await getDB();
+
+        const groups = await db.reminderJob.groupBy({
+            by: ["status"],
+            _count: { id: true },
+        });
+
+        return reminderJobStatusSchema.options.reduce((acc, status) => {
+            acc[status] = groups.find((group) => group.status === status)?._count.id || 0;
+            return acc;
+        }, {});
+    } catch (error) {
+        logger.error("Failed to count reminder jobs", { error: error.message });
+        throw transformError(error, "countByStatus");
+    }
+};
+
+module.exports = {
+    enqueueStageJobs,
+    claimDueJobs,
+    releaseStaleJobs,
+    completeJob,
+    retryJobAt,
+    deferJob,
+    findStageJobs,
+    cancelQueuedJobs,
+    findJobs,
+    findById,
+    requeueJob,
+    countByStatus,
+    JOB_FIELDS,
+};
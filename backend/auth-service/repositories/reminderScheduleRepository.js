@@ -0,0 +1,290 @@
+// backend/auth-service/repositories/reminderScheduleRepository.js
+const { getDatabase } = require("../config/database");
+const { transformError } = require("../shared/utils/errors");
+const { uuidSchema, reminderStageSchema, reminderStageStatusSchema } = require("../models/studentSchema");
+const { createLogger } = require("../shared/utils/logger");
+
+const logger = createLogger("reminder-schedule-repository");
+let dbInstance = null;
+
+/**
+ * Get database instance (singleton pattern)
+ */
+const getDB = async () => {
+    if (!dbInstance) {
+        dbInstance = await getDatabase();
+    }
+    return dbInstance;
+};
+
+// Field selections
+const STAGE_FIELDS = {
+    public: {
+        id: true,
+        signupId: true,
+        stage: true,
+        offsetDays: true,
+        scheduledFor: true,
+        deferredUntil: true,
+        status: true,
+        sentAt: true,
+    },
+};
+
+/**
+ * Find all stages of a signup
+ * @param {string} signupId - Signup ID
+ * @returns {Promise<Array>} Stages in send order
+ */
+const findBySignupId = async (signupId) => {
+    try {
+        const validId = uuidSchema.parse(signupId);
+        const db = await getDB();
+
+        return await db.reminderSchedule.findMany({
+            where: { signupId: validId },
+            select: STAGE_FIELDS.public,
+            orderBy: { stage: "asc" },
+        });
+    } catch (error) {
+        logger.error("Failed to find reminder stages", { error: error.message, signupId });
+        throw transformError(error, "findBySignupId");
+    }
+};
+
+/**
+ * Find a single stage of a signup
+ * @param {string} signupId - Signup ID
+ * @param {number} stage - Stage number (1-based)
+ * @returns {Promise<Object|null>} Stage or null
+ */
+const findStage = async (signupId, stage) => {
+    try {
+        const validId = uuidSchema.parse(signupId);
+        const validStage = reminderStageSchema.parse(stage);
+        const db = await getDB();
+
+        return await db.reminderSchedule.findUnique({
+            where: { signupId_stage: { signupId: validId, stage: validStage } },
+            select: STAGE_FIELDS.public,
+        });
+    } catch (error) {
+        logger.error("Failed to find reminder stage", { error: error.message, signupId, stage });
+        throw transformError(error, "findStage");
+    }
+};
+
+/**
+ * Find pending stages that are due
+ * @param {Date} beforeDate - Find stages scheduled at or before this date
+ * @returns {Promise<Array>} Due stages, oldest first
+ */
+const findDueStages = async (beforeDate = new Date()) => {
+    try {
+        const db = await getDB();
+
+        const stages = await db.reminderSchedule.findMany({
+            where: {
+                status: "PENDING",
+                scheduledFor: { lte: beforeDate },
+            },
+            select: STAGE_FIELDS.public,
+            orderBy: [{ scheduledFor: "asc" }, { stage: "asc" }],
+        });
+
+        logger.info("Found due reminder stages", { count: stages.length });
+        return stages;
+    } catch (error) {
+        logger.error("Failed to find due reminder stages", { error: error.message });
+        throw transformError(error, "findDueStages");
+    }
+};
+
+/**
+ * Update the status of a stage (stamps sentAt when SENT)
+ * @param {string} signupId - Signup ID
+ * @param {number} stage - Stage number
+ * @param {string} status - PENDING | SENT | FAILED | SKIPPED
+ * @returns {Promise<Object>} Updated stage
+ */
+const updateStageStatus = async (signupId, stage, status) => {
+    try {
+        const validId = uuidSchema.parse(signupId);
+        const validStage = reminderStageSchema.parse(stage);
+        const validStatus = reminderStageStatusSchema.parse(status);
+        const db = await getDB();
+
+        const updated = await db.reminderSchedule.update({
+            where: { signupId_stage: { signupId: validId, stage: validStage } },
+            data: {
+                status: validStatus,
+                ...(validStatus === "SENT" && { sentAt: new Date() }),
+            },
+            select: STAGE_FIELDS.public,
+        });
+
+        logger.info("Reminder stage status updated", { signupId: validId, stage: validStage, status: validStatus });
+        return updated;
+    } catch (error) {
+        logger.error("Failed to update reminder stage status", { error: error.message, signupId, stage });
+        throw transformError(error, "updateStageStatus");
+    }
+};
+
+/**
+ * Record the outcome of a QUEUED stage once all of its channel jobs have finished.
+ * Stages that were rescheduled or reset while their jobs ran are left alone.
+ * @param {string} signupId - Signup ID
+ * @param {number} stage - Stage number
+ * @param {string} status - SENT | FAILED
+ * @returns {Promise<boolean>} Whether the stage was still QUEUED
+ */
+const settleQueuedStage = async (signupId, stage, status) => {
+    try {
+        const validId = uuidSchema.parse(signupId);
+        const validStage = reminderStageSchema.parse(stage);
+        const validStatus = reminderStageStatusSchema.parse(status);
+        const db = await getDB();
+
+        const { count } = await db.reminderSchedule.updateMany({
+            where: { signupId: validId, stage: validStage, status: "QUEUED" },
+            data: {
+                status: validStatus,
+                ...(validStatus === "SENT" && { sentAt: new Date() }),
+            },
+        });
+
+        if (count > 0) {
+            logger.info("Queued reminder stage settled", { signupId: validId, stage: validStage, status: validStatus });
+        }
+        return count > 0;
+    } catch (error) {
+        logger.error("Failed to settle reminder stage", { error: error.message, signupId, stage });
+        throw transformError(error, "settleQueuedStage");
+    }
+};
+
+/**
+ * Move a stage to a new date and set it back to PENDING
+ * @param {string} signupId - Signup ID
+ * @param {number} stage - Stage number
+ * @param {Date} scheduledFor - New scheduled date
+ * @returns {Promise<Object>} Updated stage
+ */
+const rescheduleStage = async (signupId, stage, scheduledFor) => {
+    try {
+        const validId = uuidSchema.parse(signupId);
+        const validStage = reminderStageSchema.parse(stage);
+        const db = await getDB();
+
+        const updated = await db.reminderSchedule.update({
+            where: { signupId_stage: { signupId: validId, stage: validStage } },
+            data: {
+                scheduledFor,
+                deferredUntil: null,
+                status: "PENDING",
+                sentAt: null,
+            },
+            select: STAGE_FIELDS.public,
+        });
+
+        logger.info("Reminder stage rescheduled", { signupId: validId, stage: validStage, scheduledFor });
+        return updated;
+    } catch (error) {
+        logger.error("Failed to reschedule reminder stage", { error: error.message, signupId, stage });
+        throw transformError(error, "rescheduleStage");
+    }
+};
+
+/**
+ * Record that quiet hours pushed a stage's send back
+ * @param {string} signupId - Signup ID
+ * @param {number} stage - Stage number
+ * @param {Date} deferredUntil - When the send is now due
+ * @returns {Promise<Object>} Updated stage
+ */
+const deferStage = async (signupId, stage, deferredUntil) => {
+    try {
+        const validId = uuidSchema.parse(signupId);
+        const validStage = reminderStageSchema.parse(stage);
+        const db = await getDB();
+
+        const updated = await db.reminderSchedule.update({
+            where: { signupId_stage: { signupId: validId, stage: validStage } },
+            data: { deferredUntil },
+            select: STAGE_FIELDS.public,
+        });
+
+        logger.info("Reminder stage deferred", { signupId: validId, stage: validStage, deferredUntil });
+        return updated;
+    } catch (error) {
+        logger.error("Failed to defer reminder stage", { error: error.message, signupId, stage });
+        throw transformError(error, "deferStage");
+    }
+};
+
+/**
+ * Mark earlier pending stages of a signup as SKIPPED
+ * @param {string} signupId - Signup ID
+ * @param {number} beforeStage - Stages numbered below this are skipped
+ * @returns {Promise<number>} Number of stages skipped
+ */
+const skipPendingStagesBefore = async (signupId, beforeStage) => {
+    try {
+        const validId = uuidSchema.parse(signupId);
+        const db = await getDB();
+
+        const { count } = await db.reminderSchedule.updateMany({
+            where: {
+                signupId: validId,
+                status: "PENDING",
+                stage: { lt: beforeStage },
+            },
+            data: { status: "SKIPPED" },
+        });
+
+        if (count > 0) {
+            logger.info("Superseded reminder stages skipped", { signupId: validId, beforeStage, count });
+        }
+        return count;
+    } catch (error) {
+        logger.error("Failed to skip reminder stages", { error: error.message, signupId });
+        throw transformError(error, "skipPendingStagesBefore");
+    }
+};
+
+/**
+ * Reset every stage of a signup back to PENDING
+ * @param {string} signupId - Signup ID
+ * @returns {Promise<number>} Number of stages reset
+ */
+const resetStages = async (signupId) => {
+    try {
+        const validId = uuidSchema.parse(signupId);
+        const db = await getDB();
+
+        const { count } = await db.reminderSchedule.updateMany({
+            where: { signupId: validId },
+            data: { status: "PENDING", sentAt: null, deferredUntil: null },
+        });
+
+        logger.info("Reminder stages reset", { signupId: validId, count });
+        return count;
+    } catch (error) {
+        logger.error("Failed to reset reminder stages", { error: error.message, signupId });
+        throw transformError(error, "resetStages");
+    }
+};
+
+module.exports = {
+    findBySignupId,
+    findStage,
+    findDueStages,
+    updateStageStatus,
+    settleQueuedStage,
+    rescheduleStage,
+    deferStage,
+    skipPendingStagesBefore,
+    resetStages,
+    STAGE_FIELDS,
+};
@@ -0,0 +1,155 @@
+// backend/auth-service/repositories/reminderSendRepository.js
+const { getDatabase } = require("../config/database");
+const { transformError } = require("../shared/utils/errors");
+const { uuidSchema } = require("../models/studentSchema");
+const { createLogger } = require("../shared/utils/logger");
+
+const logger = createLogger("reminder-send-repository");
+let dbInstance = null;
+
+/**
+ * Get database instance (singleton pattern)
+ */
+const getDB = async () => {
+    if (!dbInstance) {
+        dbInstance = await getDatabase();
+    }
+    return dbInstance;
+};
+
+// Field selections
+const SEND_FIELDS = {
+    public: {
+        id: true,
+        idempotencyKey: true,
+        signupId: true,
+        stage: true,
+        channel: true,
+        scheduledFor: true,
+        status: true,
+        attempts: true,
+        forced: true,
+        providerMessageId: true,
+        errorMessage: true,
+        createdAt: true,
+        updatedAt: true,
+    },
+};
+
+/**
+ * Claim the right to send under an idempotency key.
+ * The first caller inserts the row (the unique key makes concurrent inserts fail).
+ * Later callers get the existing row back, unless it FAILED, was RESET or its sender
+ * stalled mid-send, in which case they take it over. A forced claim always takes it over.
+ * @param {Object} sendData - { idempotencyKey, signupId, stage, channel, scheduledFor }
+ * @param {Object} options - { force, staleBefore }
+ * @returns {Promise<Object>} { claimed, send }
+ */
+const claimSend = async (sendData, { force = false, staleBefore }) => {
+    try {
+        const db = await getDB();
+
+        try {
+            const send = await db.reminderSend.create({
+                data: { ...sendData, forced: force },
+                select: SEND_FIELDS.public,
+            });
+            return { claimed: true, send };
+        } catch (error) {
+            if (error.code !== "P2002") {
+                throw error;
+            }
+        }
+
+        const { count } = await db.reminderSend.updateMany({
+            where: {
+                idempotencyKey: sendData.idempotencyKey,
+                ...(!force && {
+                    OR: [
+                        { status: { in: ["FAILED", "RESET"] } },
+                        { status: "SENDING", updatedAt: { lt: staleBefore } },
+                    ],
+                }),
+            },
+            data: {
+                status: "SENDING",
+                attempts: { increment: 1 },
+                forced: force,
+                providerMessageId: null,
+                errorMessage: null,
+            },
+        });
+
+        const send = await db.reminderSend.findUnique({
+            where: { idempotencyKey: sendData.idempotencyKey },
+            select: SEND_FIELDS.public,
+        });
+
+        if (count === 0) {
+            logger.info("Duplicate reminder send suppressed", {
+                idempotencyKey: sendData.idempotencyKey,
+                status: send.status,
+            });
+        }
+        return { claimed: count > 0, send };
+    } catch (error) {
+        logger.error("Failed to claim reminder send", {
+            error: error.message,
+            idempotencyKey: sendData.idempotencyKey,
+        });
+        throw transformError(error, "claimSend");
+    }
+};
+
+/**
+ * Record the provider outcome of a claimed send
+ * @param {string} sendId - Send ID
+ * @param {Object} outcome - { status: SENT | FAILED, providerMessageId?, errorMessage? }
+ * @returns {Promise<Object>} Updated send
+ */
+const completeSend = async (sendId, { status, providerMessageId = null, errorMessage = null }) => {
+    try {
+        const validId = uuidSchema.parse(sendId);
+        const db = await getDB();
+
+        return await db.reminderSend.update({
+            where: { id: validId },
+            data: { status, providerMessageId, errorMessage },
+            select: SEND_FIELDS.public,
+        });
+    } catch (error) {
+        logger.error("Failed to complete reminder send", { error: error.message, sendId });
+        throw transformError(error, "completeSend");
+    }
+};
+
+/**
+ * Re-arm every ledger row of a signup (used when reminders are reset).
+ * The rows are kept so the send history survives; the next send claims them again.
+ * @param {string} signupId - Signup ID
+ * @returns {Promise<number>} Number of rows re-armed
+ */
+const resetBySignupId = async (signupId) => {
+    try {
+        const validId = uuidSchema.parse(signupId);
+        const db = await getDB();
+
+        const { count } = await db.reminderSend.updateMany({
+            where: { signupId: validId },
+            data: { status: "RESET" },
+        });
+
+        logger.info("Reminder sends re-armed", { signupId: validId, count });
+        return count;
+    } catch (error) {
+        logger.error("Failed to re-arm reminder sends", { error: error.message, signupId });
+        throw transformError(error, "resetBySignupId");
+    }
+};
+
+module.exports = {
+    claimSend,
+    completeSend,
+    resetBySignupId,
+    SEND_FIELDS,
+};
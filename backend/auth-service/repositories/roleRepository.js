@@ -0,0 +1,221 @@
+// backend/auth-service/repositories/roleRepository.js
+const { getDatabase } = require("../config/database");
+const { transformError } = require("../shared/utils/errors");
+const { uuidSchema, adminRoleSchema } = require("../models/adminSchema");
+const { createLogger } = require("../shared/utils/logger");
+
+const logger = createLogger("role-repository");
+let dbInstance = null;
+
+/**
+ * Get database instance (singleton pattern)
+ */
+const getDB = async () => {
+  if (!dbInstance) {
+    dbInstance = await getDatabase();
+  }
+  return dbInstance;
+};
+
+// Field selections
+const ROLE_FIELDS = {
+  public: {
+    id: true,
+    key: true,
+    name: true,
+    description: true,
+    isSystem: true,
+    scopedToClasses: true,
+    createdAt: true,
+    updatedAt: true,
+    permissions: {
+      select: { key: true },
+      orderBy: { key: "asc" },
+    },
+  },
+};
+
+/**
+ * Flatten the permissions relation to a list of keys
+ */
+const formatRole = (role) => role && { ...role, permissions: role.permissions.map((permission) => permission.key) };
+
+/**
+ * Find all roles
+ * @returns {Promise<Array>} Roles with permission keys, system roles first
+ */
+const findAll = async () => {
+  try {
+    const db = await getDB();
+    const roles = await db.role.findMany({
+      select: ROLE_FIELDS.public,
+      orderBy: [{ isSystem: "desc" }, { name: "asc" }],
+    });
+    return roles.map(formatRole);
+  } catch (error) {
+    logger.error("Failed to find roles", { error: error.message });
+    throw transformError(error, "findAll");
+  }
+};
+
+/**
+ * Find role by ID
+ * @param {string} roleId - Role ID
+ * @returns {Promise<Object|null>} Role or null
+ */
+const findById = async (roleId) => {
+  try {
+    const validId = uuidSchema.parse(roleId);
+    const db = await getDB();
+    const role = await db.role.findUnique({
+      where: { id: validId },
+      select: ROLE_FIELDS.public,
+    });
+    return formatRole(role);
+  } catch (error) {
+    logger.error("Failed to find role", { error: error.message, roleId });
+    throw transformError(error, "findById");
+  }
+};
+
+/**
+ * Find role by key
+ * @param {string} key - Role key (Admin.role)
+ * @returns {Promise<Object|null>} Role or null
+ */
+const findByKey = async (key) => {
+  try {
+    const validKey = adminRoleSchema.parse(key);
+    const db = await getDB();
+    const role = await db.role.findUnique({
+      where: { key: validKey },
+      select: ROLE_FIELDS.public,
+    });
+    return formatRole(role);
+  } catch (error) {
+    logger.error("Failed to find role by key", { error: error.message, key });
+    throw transformError(error, "findByKey");
+  }
+};
+
+/**
+ * Create a role
+ * @param {Object} roleData - { key, name, description?, isSystem?, scopedToClasses?, permissions: [keys] }
+ * @returns {Promise<Object>} Created role
+ */
+const createRole = async ({ permissions = [], ...roleData }) => {
+  try {
+    const db = await getDB();
+    const role = await db.role.create({
+      data: {
+        ...roleData,
+        permissions: { connect: permissions.map((key) => ({ key })) },
+      },
+      select: ROLE_FIELDS.public,
+    });
+
+    logger.info("Role created", { roleId: role.id, key: role.key });
+    return formatRole(role);
+  } catch (error) {
+    logger.error("Failed to create role", { error: error.message, key: roleData.key });
+    throw transformError(error, "createRole");
+  }
+};
+
+/**
+ * Update a role; permissions, when given, replace the current set
+ * @param {string} roleId - Role ID
+ * @param {Object} updateData - { name?, description?, scopedToClasses?, permissions? }
+ * @returns {Promise<Object>} Updated role
+ */
+const updateRole = async (roleId, { permissions, ...updateData }) => {
+  try {
+    const validId = uuidSchema.parse(roleId);
+    const db = await getDB();
+    const role = await db.role.update({
+      where: { id: validId },
+      data: {
+        ...updateData,
+        ...(permissions && { permissions: { set: permissions.map((key) => ({ key })) } }),
+      },
+      select: ROLE_FIELDS.public,
+    });
+
+    logger.info("Role updated", { roleId: validId });
+    return formatRole(role);
+  } catch (error) {
+    logger.error("Failed to update role", { error: error.message, roleId });
+    throw transformError(error, "updateRole");
+  }
+};
+
+/**
+ * Delete a role
+ * @param {string} roleId - Role ID
+ * @returns {Promise<Object>} Deleted role ID
+ */
+const deleteRole = async (roleId) => {
+  try {
+    const validId = uuidSchema.parse(roleId);
+    const db = await getDB();
+    await db.role.delete({ where: { id: validId } });
+
+    logger.info("Role deleted", { roleId: validId });
+    return { deletedId: validId };
+  } catch (error) {
+    logger.error("Failed to delete role", { error: error.message, roleId });
+    throw transformError(error, "deleteRole");
+  }
+};
+
+/**
+ * Create or refresh permission catalog entries
+ * @param {Object} catalog - { [key]: description }
+ * @returns {Promise<number>} Number of permissions synced
+ */
+const upsertPermissions = async (catalog) => {
+  try {
+    const db = await getDB();
+    const entries = Object.entries(catalog);
+    await db.$transaction(
+      entries.map(([key, description]) =>
+        db.permission.upsert({
+          where: { key },
+          create: { key, description },
+          update: { description },
+        })
+      )
+    );
+    return entries.length;
+  } catch (error) {
+    logger.error("Failed to sync permissions", { error: error.message });
+    throw transformError(error, "upsertPermissions");
+  }
+};
+
+/**
+ * Count admins holding a role
+ * @param {string} key - Role key
+ * @returns {Promise<number>} Admin count
+ */
+const countAdmins = async (key) => {
+  try {
+    const db = await getDB();
+    return await db.admin.count({ where: { role: key } });
+  } catch (error) {
+    logger.error("Failed to count role members", { error: error.message, key });
+    throw transformError(error, "countAdmins");
+  }
+};
+
+module.exports = {
+  findAll,
+  findById,
+  findByKey,
+  createRole,
+  updateRole,
+  deleteRole,
+  upsertPermissions,
+  countAdmins,
+  ROLE_FIELDS,
+};
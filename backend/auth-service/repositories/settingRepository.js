@@ -0,0 +1,61 @@
+// backend/auth-service/repositories/settingRepository.js
+const { getDatabase } = require("../config/database");
+const { transformError } = require("../shared/utils/errors");
+const { createLogger } = require("../shared/utils/logger");
+
+const logger = createLogger("setting-repository");
+let dbInstance = null;
+
+/**
+ * Get database instance (singleton pattern)
+ */
+const getDB = async () => {
+  if (!dbInstance) {
+    dbInstance = await getDatabase();
+  }
+  return dbInstance;
+};
+
+/**
+ * Find a setting by key
+ * @param {string} key - Setting key
+ * @returns {Promise<Object|null>} { key, value, updatedBy, updatedAt } or null
+ */
+const findByKey = async (key) => {
+  try {
+    const db = await getDB();
+    return await db.appSetting.findUnique({ where: { key } });
+  } catch (error) {
+    logger.error("Failed to find setting", { error: error.message, key });
+    throw transformError(error, "findByKey");
+  }
+};
+
+/**
+ * Create or replace a setting
+ * @param {string} key - Setting key
+ * @param {Object} value - JSON value
+ * @param {string} [adminId] - Admin making the change
+ * @returns {Promise<Object>} Saved setting
+ */
+const upsertSetting = async (key, value, adminId = null) => {
+  try {
+    const db = await getDB();
+    const setting = await db.appSetting.upsert({
+      where: { key },
+      create: { key, value, updatedBy: adminId },
+      update: { value, updatedBy: adminId },
+    });
+
+    logger.info("Setting saved", { key, adminId });
+    return setting;
+  } catch (error) {
+    logger.error("Failed to save setting", { error: error.message, key });
+    throw transformError(error, "upsertSetting");
+  }
+};
+
+module.exports = {
+  findByKey,
+  upsertSetting,
+};
@@ -7,6 +7,7 @@ const {
     signupStatusSchema,
     updateSignupSchema,
 } = require("../models/studentSchema");
+const { STAGE_FIELDS } = require("./reminderScheduleRepository");
 const { createLogger } = require("../shared/utils/logger");
 
 const logger = createLogger("signup-repository");
@@ -22,19 +23,21 @@ const getDB = async () => {
     return dbInstance;
 };
 
+// Reminder stages are always returned in send order
+const REMINDER_SCHEDULES_SELECT = {
+    select: STAGE_FIELDS.public,
+    orderBy: { stage: "asc" },
+};
+
 // Field selections
 const SIGNUP_FIELDS = {
     public: {
         id: true,
         studentId: true,
         classType: true,
+        completedAt: true,
+        expiresAt: true,
         reminderScheduledDate: true,
-        firstReminderDate: true,
-        secondReminderDate: true,
-        firstReminderStatus: true,
-        secondReminderStatus: true,
-        firstReminderSentAt: true,
-        secondReminderSentAt: true,
         reminderSentAt: true,
         status: true,
         optedOutEmail: true,
@@ -42,18 +45,15 @@ const SIGNUP_FIELDS = {
         notes: true,
         createdAt: true,
         updatedAt: true,
+        reminderSchedules: REMINDER_SCHEDULES_SELECT,
     },
     withStudent: {
         id: true,
         studentId: true,
         classType: true,
+        completedAt: true,
+        expiresAt: true,
         reminderScheduledDate: true,
-        firstReminderDate: true,
-        secondReminderDate: true,
-        firstReminderStatus: true,
-        secondReminderStatus: true,
-        firstReminderSentAt: true,
-        secondReminderSentAt: true,
         reminderSentAt: true,
         status: true,
         optedOutEmail: true,
@@ -61,43 +61,57 @@ const SIGNUP_FIELDS = {
         notes: true,
         createdAt: true,
         updatedAt: true,
+        reminderSchedules: REMINDER_SCHEDULES_SELECT,
         student: {
             select: {
                 id: true,
                 name: true,
                 email: true,
                 phone: true,
+                reminderPreference: true,
+                timezone: true,
+                locale: true,
                 optedOutEmail: true,
                 optedOutSms: true,
+                emailInvalidAt: true,
+                emailInvalidReason: true,
+                phoneInvalidAt: true,
+                phoneInvalidReason: true,
+                erasedAt: true,
             },
         },
     },
     minimal: {
         id: true,
         classType: true,
+        completedAt: true,
+        expiresAt: true,
         reminderScheduledDate: true,
-        firstReminderDate: true,
-        secondReminderDate: true,
-        firstReminderStatus: true,
-        secondReminderStatus: true,
         status: true,
         optedOutEmail: true,
         optedOutSms: true,
         createdAt: true,
+        reminderSchedules: REMINDER_SCHEDULES_SELECT,
     },
 };
 
 /**
- * Create a new signup
+ * Create a new signup together with its reminder stages
  * @param {Object} signupData - Signup data
+ * @param {Array<Object>} [reminderStages] - [{ stage, offsetDays, scheduledFor }]
  * @returns {Promise<Object>} Created signup
  */
-const createSignup = async (signupData) => {
+const createSignup = async (signupData, reminderStages = []) => {
     try {
         const db = await getDB();
 
         const newSignup = await db.signup.create({
-            data: signupData,
+            data: {
+                ...signupData,
+                ...(reminderStages.length > 0 && {
+                    reminderSchedules: { create: reminderStages },
+                }),
+            },
             select: SIGNUP_FIELDS.public,
         });
 
@@ -155,47 +169,14 @@ const findByStudentId = async (studentId) => {
     }
 };
 
-/**
- * Find pending reminders (due to be sent)
- * @param {Date} beforeDate - Find reminders scheduled before this date
- * @returns {Promise<Array>} Array of signups with pending reminders
- */
-const findPendingReminders = async (beforeDate = new Date()) => {
-    try {
-        const db = await getDB();
-
-        const signups = await db.signup.findMany({
-            where: {
-                OR: [
-                    {
-                        firstReminderStatus: "PENDING",
-                        firstReminderDate: { lte: beforeDate },
-                    },
-                    {
-                        secondReminderStatus: "PENDING",
-                        secondReminderDate: { lte: beforeDate },
-                    }
-                ]
-            },
-            select: SIGNUP_FIELDS.withStudent,
-            orderBy: [{ firstReminderDate: "asc" }, { secondReminderDate: "asc" }],
-        });
-
-        logger.info("Found pending reminders", { count: signups.length });
-        return signups;
-    } catch (error) {
-        logger.error("Failed to find pending reminders", { error: error.message });
-        throw transformError(error, "findPendingReminders");
-    }
-};
-
 /**
  * Update signup
  * @param {string} signupId - Signup ID
  * @param {Object} updateData - Update data
+ * @param {Object} [schedule] - Re-derived { expiresAt, reminderStages }; replaces all existing stages
  * @returns {Promise<Object>} Updated signup
  */
-const updateSignup = async (signupId, updateData) => {
+const updateSignup = async (signupId, updateData, schedule = null) => {
     try {
         const validId = uuidSchema.parse(signupId);
         const validatedData = updateSignupSchema.parse(updateData);
@@ -205,6 +186,13 @@ const updateSignup = async (signupId, updateData) => {
             where: { id: validId },
             data: {
                 ...validatedData,
+                ...(schedule && {
+                    expiresAt: schedule.expiresAt,
+                    reminderSchedules: {
+                        deleteMany: {},
+                        create: schedule.reminderStages,
+                    },
+                }),
                 updatedAt: new Date(),
             },
             select: SIGNUP_FIELDS.public,
@@ -219,37 +207,23 @@ const updateSignup = async (signupId, updateData) => {
 };
 
 /**
- * Update reminder status
+ * Update the signup-level reminder status (manual sends; per-stage status lives in reminder_schedules)
  * @param {string} signupId - Signup ID
  * @param {string} status - New status ('SENT' or 'FAILED')
  * @returns {Promise<Object>} Updated signup
  */
-const updateReminderStatus = async (signupId, status, reminderLevel = 1) => {
+const updateReminderStatus = async (signupId, status) => {
     try {
         const validId = uuidSchema.parse(signupId);
         const validStatus = signupStatusSchema.parse(status);
         const db = await getDB();
 
         const updateData = {
+            status: validStatus,
             updatedAt: new Date(),
         };
-
-        if (reminderLevel === 1) {
-            updateData.firstReminderStatus = validStatus;
-            if (validStatus === "SENT") {
-                updateData.firstReminderSentAt = new Date();
-            }
-        } else if (reminderLevel === 2) {
-            updateData.secondReminderStatus = validStatus;
-            if (validStatus === "SENT") {
-                updateData.secondReminderSentAt = new Date();
-            }
-        } else {
-            // Legacy fallback
-            updateData.status = validStatus;
-            if (validStatus === "SENT") {
-                updateData.reminderSentAt = new Date();
-            }
+        if (validStatus === "SENT") {
+            updateData.reminderSentAt = new Date();
         }
 
         const updatedSignup = await db.signup.update({
@@ -299,6 +273,11 @@ const findSignups = async (filters = {}, options = {}) => {
         }
 
         // Search by student email or phone
+        // Class scope (instructors) - combined with any classType filter above
+        if (filters.classTypes) {
+            whereConditions.AND = [{ classType: { in: filters.classTypes } }];
+        }
+
         if (filters.search) {
             whereConditions.student = {
                 OR: [
@@ -369,20 +348,23 @@ const deleteSignup = async (signupId) => {
 
 /**
  * Get signup statistics
+ * @param {Array<string>|null} [classTypes] - Limit to these classes
  * @returns {Promise<Object>} Signup stats
  */
-const getSignupStats = async () => {
+const getSignupStats = async (classTypes = null) => {
     try {
         const db = await getDB();
+        const scope = classTypes ? { classType: { in: classTypes } } : {};
 
         const [totalSignups, pendingSignups, sentSignups, failedSignups, signupsByClass] =
             await Promise.all([
-                db.signup.count(),
-                db.signup.count({ where: { status: "PENDING" } }),
-                db.signup.count({ where: { status: "SENT" } }),
-                db.signup.count({ where: { status: "FAILED" } }),
+                db.signup.count({ where: scope }),
+                db.signup.count({ where: { ...scope, status: "PENDING" } }),
+                db.signup.count({ where: { ...scope, status: "SENT" } }),
+                db.signup.count({ where: { ...scope, status: "FAILED" } }),
                 db.signup.groupBy({
                     by: ["classType"],
+                    where: scope,
                     _count: {
                         id: true,
                     },
@@ -447,7 +429,6 @@ module.exports = {
     createSignup,
     findById,
     findByStudentId,
-    findPendingReminders,
     updateSignup,
     updateReminderStatus,
     updateSignupOptOutBatch,
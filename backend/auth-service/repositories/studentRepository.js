@@ -31,9 +31,15 @@ const STUDENT_FIELDS = {
         phone: true,
         name: true,
         reminderPreference: true,
+        timezone: true,
+        locale: true,
         optedOutEmail: true,
         optedOutSms: true,
-        optOutOtp: true,
+        emailInvalidAt: true,
+        emailInvalidReason: true,
+        phoneInvalidAt: true,
+        phoneInvalidReason: true,
+        erasedAt: true,
         createdAt: true,
         updatedAt: true,
     },
@@ -43,14 +49,16 @@ const STUDENT_FIELDS = {
         phone: true,
         name: true,
         reminderPreference: true,
+        timezone: true,
+        locale: true,
     },
-    // For OTP verification - includes OTP field
-    withOtp: {
+    // For the unsubscribe and My Registrations pages
+    withPreferences: {
         id: true,
         email: true,
         phone: true,
         name: true,
-        optOutOtp: true,
+        locale: true,
         optedOutEmail: true,
         optedOutSms: true,
     },
@@ -123,6 +131,34 @@ const findByPhone = async (phone) => {
     }
 };
 
+/**
+ * Find student by a phone number in any of the formats phones are stored in.
+ * Inbound SMS always arrive in E.164 (+15555550100); signups may have saved
+ * 15555550100 or 5555550100.
+ * @param {string} phone - Phone number
+ * @returns {Promise<Object|null>} Student object or null
+ */
+const findByPhoneNumber = async (phone) => {
+    try {
+        const digits = phone.replace(/\D/g, "");
+        const variants = [phone, digits, `+${digits}`];
+        if (digits.length === 11 && digits.startsWith("1")) {
+            variants.push(digits.slice(1));
+        }
+        const db = await getDB();
+
+        const student = await db.student.findFirst({
+            where: { phone: { in: variants } },
+            select: STUDENT_FIELDS.public,
+        });
+
+        return student;
+    } catch (error) {
+        logger.error("Failed to find student by phone number", { error: error.message });
+        throw transformError(error, "findByPhoneNumber");
+    }
+};
+
 /**
  * Find student by ID
  * @param {string} studentId - Student ID
@@ -305,67 +341,80 @@ const findStudents = async (filters = {}, options = {}) => {
     }
 };
 
+// Columns holding the invalid-contact flag for each channel
+const INVALID_CONTACT_FIELDS = {
+    EMAIL: { at: "emailInvalidAt", reason: "emailInvalidReason" },
+    SMS: { at: "phoneInvalidAt", reason: "phoneInvalidReason" },
+};
+
 /**
- * Update opt-out OTP for a student
+ * Flag a student's email or phone as undeliverable (hard bounce, carrier rejection)
  * @param {string} studentId - Student ID
- * @param {string} otp - OTP code to set
+ * @param {string} channel - EMAIL or SMS
+ * @param {string} reason - Provider's reason, shown to staff
  * @returns {Promise<Object>} Updated student
  */
-const updateOptOutOtp = async (studentId, otp) => {
+const markContactInvalid = async (studentId, channel, reason) => {
     try {
         const validId = uuidSchema.parse(studentId);
+        const fields = INVALID_CONTACT_FIELDS[channel];
         const db = await getDB();
 
         const updatedStudent = await db.student.update({
             where: { id: validId },
             data: {
-                optOutOtp: otp,
-                updatedAt: new Date(),
+                [fields.at]: new Date(),
+                [fields.reason]: reason ? reason.slice(0, 500) : null,
             },
-            select: STUDENT_FIELDS.minimal,
+            select: STUDENT_FIELDS.public,
         });
 
-        logger.info("Student opt-out OTP updated", { studentId: validId });
+        logger.warn("Student contact flagged invalid", { studentId: validId, channel, reason });
         return updatedStudent;
     } catch (error) {
-        logger.error("Failed to update opt-out OTP", { error: error.message, studentId });
-        throw transformError(error, "updateOptOutOtp");
+        logger.error("Failed to flag student contact", { error: error.message, studentId, channel });
+        throw transformError(error, "markContactInvalid");
     }
 };
 
 /**
- * Clear opt-out OTP for a student (after successful unsubscription)
+ * Clear invalid-contact flags, e.g. after the student proves the contact works again
  * @param {string} studentId - Student ID
+ * @param {Array<string>} channels - Channels to clear (EMAIL, SMS)
  * @returns {Promise<Object>} Updated student
  */
-const clearOptOutOtp = async (studentId) => {
+const clearContactInvalid = async (studentId, channels) => {
     try {
         const validId = uuidSchema.parse(studentId);
         const db = await getDB();
 
+        const data = channels.reduce((acc, channel) => {
+            const fields = INVALID_CONTACT_FIELDS[channel];
+            acc[fields.at] = null;
+            acc[fields.reason] = null;
+            return acc;
+        }, {});
+
         const updatedStudent = await db.student.update({
             where: { id: validId },
-            data: {
-                optOutOtp: null,
-                updatedAt: new Date(),
-            },
-            select: STUDENT_FIELDS.minimal,
+            data,
+            select: STUDENT_FIELDS.public,
         });
 
-        logger.info("Student opt-out OTP cleared", { studentId: validId });
+        logger.info("Student contact flags cleared", { studentId: validId, channels });
         return updatedStudent;
     } catch (error) {
-        logger.error("Failed to clear opt-out OTP", { error: error.message, studentId });
-        throw transformError(error, "clearOptOutOtp");
+        logger.error("Failed to clear student contact flags", { error: error.message, studentId });
+        throw transformError(error, "clearContactInvalid");
     }
 };
 
 /**
- * Find student by email or phone with OTP field
+ * Find student by the email or phone they entered on the unsubscribe pages
  * @param {string} destination - Email or phone
  * @returns {Promise<Object|null>} Student object or null
  */
-const findByDestinationWithOtp = async (destination) => {
+const findByDestination = async (destination) => {
     try {
         const db = await getDB();
         const trimmedDest = destination.trim();
@@ -377,20 +426,20 @@ const findByDestinationWithOtp = async (destination) => {
         if (isEmail) {
             student = await db.student.findUnique({
                 where: { email: trimmedDest.toLowerCase() },
-                select: STUDENT_FIELDS.withOtp,
+                select: STUDENT_FIELDS.withPreferences,
             });
         } else {
             // Try phone lookup
             student = await db.student.findUnique({
                 where: { phone: trimmedDest },
-                select: STUDENT_FIELDS.withOtp,
+                select: STUDENT_FIELDS.withPreferences,
             });
         }
 
         return student;
     } catch (error) {
         logger.error("Failed to find student by destination", { error: error.message });
-        throw transformError(error, "findByDestinationWithOtp");
+        throw transformError(error, "findByDestination");
     }
 };
 
@@ -419,13 +468,14 @@ module.exports = {
     createStudent,
     findByEmail,
     findByPhone,
+    findByPhoneNumber,
     findById,
     checkExists,
     updateStudent,
     updateOptOutStatus,
-    updateOptOutOtp,
-    clearOptOutOtp,
-    findByDestinationWithOtp,
+    markContactInvalid,
+    clearContactInvalid,
+    findByDestination,
     findStudents,
     deleteStudent,
     STUDENT_FIELDS,
@@ -3,6 +3,8 @@ const { getDatabase } = require("../config/database");
 const { transformError } = require("../shared/utils/errors");
 const { uuidSchema } = require("../models/studentSchema");
 const { createLogger } = require("../shared/utils/logger");
+const { TEMPLATE_ALL_STAGES } = require("../lib/constants");
+const { DEFAULT_LOCALE, getLocaleFallbacks } = require("../lib/locales");
 
 const logger = createLogger("template-repository");
 let dbInstance = null;
@@ -17,35 +19,119 @@ const getDB = async () => {
 const TEMPLATE_FIELDS = {
     public: {
         id: true,
+        purpose: true,
         classType: true,
         channel: true,
+        stage: true,
+        locale: true,
         subject: true,
         body: true,
         scheduleLink: true,
         variables: true,
+        currentVersion: true,
+        currentVersionId: true,
         updatedAt: true,
     },
 };
 
+const VERSION_FIELDS = {
+    // History list: who changed what and when, without the content
+    summary: {
+        id: true,
+        templateId: true,
+        version: true,
+        changeNote: true,
+        authorId: true,
+        authorName: true,
+        restoredFromVersion: true,
+        createdAt: true,
+    },
+    full: {
+        id: true,
+        templateId: true,
+        version: true,
+        subject: true,
+        body: true,
+        scheduleLink: true,
+        variables: true,
+        changeNote: true,
+        authorId: true,
+        authorName: true,
+        restoredFromVersion: true,
+        createdAt: true,
+    },
+};
+
 /**
- * Find template by class type and channel
- * @param {string} classType - Class type enum
- * @param {string} channel - Channel (EMAIL or SMS)
+ * Fill in the defaults of a template key: a reminder template for all stages, in English
+ * @param {Object} key - { purpose?, classType, channel, stage?, locale? }
+ * @returns {Object} { purpose, classType, channel, stage, locale }
+ */
+const toTemplateKey = ({ purpose, classType, channel, stage, locale }) => ({
+    purpose: purpose || "REMINDER",
+    classType,
+    channel,
+    stage: stage ?? TEMPLATE_ALL_STAGES,
+    locale: locale || DEFAULT_LOCALE,
+});
+
+/**
+ * Find the template saved under a key
+ * @param {Object} key - { purpose?, classType, channel, stage?, locale? }
  * @returns {Promise<Object|null>} Template or null
  */
-const findByClassTypeAndChannel = async (classType, channel) => {
+const findByKey = async (key) => {
+    const where = toTemplateKey(key);
     try {
         const db = await getDB();
         const template = await db.messageTemplate.findUnique({
-            where: {
-                classType_channel: { classType, channel },
-            },
+            where: { purpose_classType_channel_stage_locale: where },
             select: TEMPLATE_FIELDS.public,
         });
         return template;
     } catch (error) {
-        logger.error("Failed to find template", { error: error.message, classType, channel });
-        throw transformError(error, "findByClassTypeAndChannel");
+        logger.error("Failed to find template", { error: error.message, ...where });
+        throw transformError(error, "findByKey");
+    }
+};
+
+/**
+ * Find the template a message is sent with. The student's language comes first, then
+ * English; within a language, the stage's own template comes before the all-stages one.
+ * @param {Object} key - { purpose?, classType, channel, stage, locale } (stage null for ad-hoc sends)
+ * @returns {Promise<Object|null>} Template or null
+ */
+const findForMessage = async ({ purpose = "REMINDER", classType, channel, stage, locale }) => {
+    try {
+        const db = await getDB();
+        const stages = [stage ?? TEMPLATE_ALL_STAGES, TEMPLATE_ALL_STAGES];
+        const locales = getLocaleFallbacks(locale);
+        const templates = await db.messageTemplate.findMany({
+            where: { purpose, classType, channel, stage: { in: stages }, locale: { in: locales } },
+            select: TEMPLATE_FIELDS.public,
+        });
+
+        for (const candidateLocale of locales) {
+            for (const candidateStage of stages) {
+                const template = templates.find(
+                    (t) => t.locale === candidateLocale && t.stage === candidateStage
+                );
+                if (template) {
+                    return template;
+                }
+            }
+        }
+        return null;
+    } catch (error) {
+        logger.error("Failed to find template for message", {
+            error: error.message,
+            purpose,
+            classType,
+            channel,
+            stage,
+            locale,
+        });
+        throw transformError(error, "findForMessage");
     }
 };
 
@@ -58,7 +144,7 @@ const findAllTemplates = async () => {
         const db = await getDB();
         const templates = await db.messageTemplate.findMany({
             select: TEMPLATE_FIELDS.public,
-            orderBy: [{ classType: "asc" }, { channel: "asc" }],
+            orderBy: [{ purpose: "asc" }, { classType: "asc" }, { channel: "asc" }, { stage: "asc" }, { locale: "asc" }],
         });
         return templates;
     } catch (error) {
@@ -68,27 +154,53 @@ const findAllTemplates = async () => {
 };
 
 /**
- * Create or update a template (upsert)
+ * Create or update a template (upsert) and record the saved content as a new version.
+ * The version number is taken from the template row inside the transaction, so two
+ * concurrent saves get different numbers.
  * @param {Object} data - Template data
+ * @param {Object} [change] - { authorId, authorName, changeNote, restoredFromVersion }
  * @returns {Promise<Object>} Created/updated template
  */
-const upsertTemplate = async (data) => {
+const upsertTemplate = async (data, change = {}) => {
     try {
         const db = await getDB();
-        const template = await db.messageTemplate.upsert({
-            where: {
-                classType_channel: { classType: data.classType, channel: data.channel },
-            },
-            update: {
-                subject: data.subject,
-                body: data.body,
-                scheduleLink: data.scheduleLink,
-                variables: data.variables,
-            },
-            create: data,
-            select: TEMPLATE_FIELDS.public,
+        const key = toTemplateKey(data);
+        const content = {
+            subject: data.subject,
+            body: data.body,
+            scheduleLink: data.scheduleLink,
+            variables: data.variables ?? undefined,
+        };
+
+        const template = await db.$transaction(async (tx) => {
+            const saved = await tx.messageTemplate.upsert({
+                where: { purpose_classType_channel_stage_locale: key },
+                update: { ...content, currentVersion: { increment: 1 } },
+                create: { ...content, ...key, currentVersion: 1 },
+                select: { id: true, currentVersion: true },
+            });
+
+            const version = await tx.messageTemplateVersion.create({
+                data: {
+                    ...content,
+                    templateId: saved.id,
+                    version: saved.currentVersion,
+                    changeNote: change.changeNote || null,
+                    authorId: change.authorId || null,
+                    authorName: change.authorName || null,
+                    restoredFromVersion: change.restoredFromVersion ?? null,
+                },
+                select: { id: true },
+            });
+
+            return tx.messageTemplate.update({
+                where: { id: saved.id },
+                data: { currentVersionId: version.id },
+                select: TEMPLATE_FIELDS.public,
+            });
         });
-        logger.info("Template upserted", { classType: data.classType, channel: data.channel });
+
+        logger.info("Template upserted", { ...key, version: template.currentVersion });
         return template;
     } catch (error) {
         logger.error("Failed to upsert template", { error: error.message });
@@ -96,6 +208,50 @@ const upsertTemplate = async (data) => {
     }
 };
 
+/**
+ * List a template's versions, newest first
+ * @param {string} templateId - Template ID
+ * @returns {Promise<Array>} Version summaries
+ */
+const findVersions = async (templateId) => {
+    try {
+        const validId = uuidSchema.parse(templateId);
+        const db = await getDB();
+        const versions = await db.messageTemplateVersion.findMany({
+            where: { templateId: validId },
+            select: VERSION_FIELDS.summary,
+            orderBy: { version: "desc" },
+        });
+        return versions;
+    } catch (error) {
+        logger.error("Failed to find template versions", { error: error.message, templateId });
+        throw transformError(error, "findVersions");
+    }
+};
+
+/**
+ * Find one version of a template, with its content
+ * @param {string} templateId - Template ID
+ * @param {number} version - Version number
+ * @returns {Promise<Object|null>} Version or null
+ */
+const findVersion = async (templateId, version) => {
+    try {
+        const validId = uuidSchema.parse(templateId);
+        const db = await getDB();
+        const templateVersion = await db.messageTemplateVersion.findUnique({
+            where: {
+                templateId_version: { templateId: validId, version },
+            },
+            select: VERSION_FIELDS.full,
+        });
+        return templateVersion;
+    } catch (error) {
+        logger.error("Failed to find template version", { error: error.message, templateId, version });
+        throw transformError(error, "findVersion");
+    }
+};
+
 /**
  * Delete a template
  * @param {string} templateId - Template ID
@@ -117,10 +273,34 @@ const deleteTemplate = async (templateId) => {
     }
 };
 
+/**
+ * Delete all templates for a class type
+ * @param {string} classType - Class key
+ * @returns {Promise<Object>} Deleted count
+ */
+const deleteByClassType = async (classType) => {
+    try {
+        const db = await getDB();
+        const result = await db.messageTemplate.deleteMany({
+            where: { classType },
+        });
+        logger.info("Templates deleted for class type", { classType, count: result.count });
+        return { success: true, deletedCount: result.count };
+    } catch (error) {
+        logger.error("Failed to delete templates for class type", { error: error.message, classType });
+        throw transformError(error, "deleteByClassType");
+    }
+};
+
 module.exports = {
-    findByClassTypeAndChannel,
+    findByKey,
+    findForMessage,
     findAllTemplates,
     upsertTemplate,
+    findVersions,
+    findVersion,
     deleteTemplate,
+    deleteByClassType,
     TEMPLATE_FIELDS,
+    VERSION_FIELDS,
 };
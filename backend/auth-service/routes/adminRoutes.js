@@ -1,11 +1,29 @@
 const express = require("express");
+const rateLimit = require("express-rate-limit");
 const router = express.Router();
 const adminController = require("../controllers/adminController");
 const {
   authenticateAdmin,
-  requireAdmin,
+  authorize,
   validateRefreshToken,
 } = require("../middleware/authMiddleware");
+const { RATE_LIMITS } = require("../lib/constants");
+
+// Password reset emails and attempts, limited per IP and per endpoint
+const passwordResetLimiter = () =>
+  rateLimit({
+    windowMs: RATE_LIMITS.PASSWORD_RESET.windowMs,
+    max: RATE_LIMITS.PASSWORD_RESET.max,
+    message: {
+      success: false,
+      error: {
+        message: "Too many password reset attempts. Please try again later.",
+        code: "RATE_LIMIT_EXCEEDED",
+      },
+    },
+    standardHeaders: true,
+    legacyHeaders: false,
+  });
 
 // ============================================
 // Public Routes (No Authentication)
@@ -14,9 +32,20 @@ const {
 // Login
 router.post("/login", adminController.login);
 
+// Second login step for accounts with two-factor on
+router.post("/login/2fa", adminController.loginTwoFactor);
+
 // Refresh token
 router.post("/refresh", validateRefreshToken, adminController.refresh);
 
+// Password reset
+router.post("/forgot-password", passwordResetLimiter(), adminController.forgotPassword);
+router.post("/reset-password", passwordResetLimiter(), adminController.resetPassword);
+
+// Accepting an invite (links are signed, so there's nothing to guess)
+router.get("/invite", adminController.getInvite);
+router.post("/accept-invite", adminController.acceptInvite);
+
 // ============================================
 // Protected Routes (Authentication Required)
 // ============================================
@@ -34,51 +63,76 @@ router.put("/me", authenticateAdmin, adminController.updateProfile);
 // Change password
 router.post("/change-password", authenticateAdmin, adminController.changePassword);
 
+// Two-factor authentication (reachable before enrollment when it's required)
+router.get("/2fa", authenticateAdmin, adminController.getTwoFactorStatus);
+router.post("/2fa/setup", authenticateAdmin, adminController.setupTwoFactor);
+router.post("/2fa/enable", authenticateAdmin, adminController.enableTwoFactor);
+router.post("/2fa/disable", authenticateAdmin, adminController.disableTwoFactor);
+router.post("/2fa/recovery-codes", authenticateAdmin, adminController.regenerateRecoveryCodes);
+
 // Session management
 router.get("/sessions", authenticateAdmin, adminController.getSessions);
 router.delete("/sessions/:sessionId", authenticateAdmin, adminController.revokeSession);
 
 // ============================================
-// Admin Management Routes (ADMIN Only)
+// Admin Management Routes (admins:manage)
 // ============================================
 
 // Get admin statistics (before :adminId to avoid conflict)
-router.get("/manage/stats", authenticateAdmin, requireAdmin, adminController.getStats);
+router.get("/manage/stats", authorize("admins:manage"), adminController.getStats);
+
+// Invites (before :adminId to avoid conflict)
+router.post("/manage/invite", authorize("admins:manage"), adminController.inviteAdmin);
+router.get("/manage/invites", authorize("admins:manage"), adminController.getInvites);
+router.post(
+  "/manage/invites/:inviteId/resend",
+  authorize("admins:manage"),
+  adminController.resendInvite
+);
+router.delete("/manage/invites/:inviteId", authorize("admins:manage"), adminController.revokeInvite);
+
+// Security settings (before :adminId to avoid conflict)
+router.get("/manage/security", authorize("admins:manage"), adminController.getSecuritySettings);
+router.put("/manage/security", authorize("admins:manage"), adminController.updateSecuritySettings);
 
 // List all admins
-router.get("/manage", authenticateAdmin, requireAdmin, adminController.getAllAdmins);
+router.get("/manage", authorize("admins:manage"), adminController.getAllAdmins);
 
 // Create new admin
-router.post("/manage", authenticateAdmin, requireAdmin, adminController.createAdmin);
+router.post("/manage", authorize("admins:manage"), adminController.createAdmin);
 
 // Get admin by ID
-router.get("/manage/:adminId", authenticateAdmin, requireAdmin, adminController.getAdminById);
+router.get("/manage/:adminId", authorize("admins:manage"), adminController.getAdminById);
 
 // Update admin
-router.put("/manage/:adminId", authenticateAdmin, requireAdmin, adminController.updateAdmin);
+router.put("/manage/:adminId", authorize("admins:manage"), adminController.updateAdmin);
 
 // Change admin role
 router.put(
   "/manage/:adminId/role",
-  authenticateAdmin,
-  requireAdmin,
+  authorize("admins:manage"),
   adminController.changeRole
 );
 
 // Deactivate admin
 router.delete(
   "/manage/:adminId",
-  authenticateAdmin,
-  requireAdmin,
+  authorize("admins:manage"),
   adminController.deactivateAdmin
 );
 
 // Activate admin
 router.put(
   "/manage/:adminId/activate",
-  authenticateAdmin,
-  requireAdmin,
+  authorize("admins:manage"),
   adminController.activateAdmin
 );
 
+// Reset an admin's two-factor (lost device)
+router.delete(
+  "/manage/:adminId/2fa",
+  authorize("admins:manage"),
+  adminController.resetTwoFactor
+);
+
 module.exports = router;
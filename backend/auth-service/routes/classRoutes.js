@@ -0,0 +1,20 @@
+// backend/auth-service/routes/classRoutes.js
+const express = require("express");
+const router = express.Router();
+const classController = require("../controllers/classController");
+const { authorize } = require("../middleware/authMiddleware");
+
+// ============================================
+// Class Catalog Management Routes
+// ============================================
+
+// Read routes - any authenticated user (admin or staff)
+router.get("/", authorize("classes:read"), classController.getAllClasses);
+router.get("/:classId", authorize("classes:read"), classController.getClassById);
+
+// Write routes - admin only
+router.post("/", authorize("classes:write"), classController.createClass);
+router.patch("/:classId", authorize("classes:write"), classController.updateClass);
+router.delete("/:classId", authorize("classes:write"), classController.deleteClass);
+
+module.exports = router;
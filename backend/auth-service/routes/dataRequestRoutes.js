@@ -0,0 +1,19 @@
+// backend/auth-service/routes/dataRequestRoutes.js
+const express = require("express");
+const router = express.Router();
+const dataRequestController = require("../controllers/dataRequestController");
+
+// ============================================
+// Public Data Subject Request Routes (No Authentication)
+// The verification token from My Registrations proves who is asking
+// ============================================
+
+// Download everything held about the verified student
+// POST /api/students/data/export
+router.post("/export", dataRequestController.exportOwnData);
+
+// Anonymize the verified student's personal data
+// POST /api/students/data/erase
+router.post("/erase", dataRequestController.eraseOwnData);
+
+module.exports = router;
@@ -0,0 +1,14 @@
+// backend/auth-service/routes/jobRoutes.js
+const express = require("express");
+const router = express.Router();
+const jobController = require("../controllers/jobController");
+const { authorize } = require("../middleware/authMiddleware");
+
+// ============================================
+// Background Job Routes
+// ============================================
+
+// Scheduler history - any authenticated user (admin or staff)
+router.get("/runs", authorize("jobs:read"), jobController.getRuns);
+
+module.exports = router;
@@ -2,23 +2,29 @@
 const express = require("express");
 const router = express.Router();
 const reminderController = require("../controllers/reminderController");
-// const { authenticateAdmin } = require("../middleware/authMiddleware");
+const { authorize } = require("../middleware/authMiddleware");
+const { requireSignupInScope } = require("../middleware/classScopeMiddleware");
 
 // ============================================
 // Admin Reminder Management Routes
-// NOTE: Authentication temporarily disabled for development/testing
+// Every route requires an authenticated admin with the named permission (lib/permissions.js).
+// The job queue isn't filtered by class scope, so don't grant jobs:* to scoped roles.
 // ============================================
 
+// Reminder queue (dead-letter inspection and retry)
+router.get("/jobs", authorize("jobs:read"), reminderController.getJobs);
+router.post("/jobs/:jobId/retry", authorize("jobs:retry"), reminderController.retryJob);
+
 // Manual send reminder
-router.post("/:signupId/send", reminderController.sendReminder);
+router.post("/:signupId/send", authorize("reminders:send"), requireSignupInScope, reminderController.sendReminder);
 
 // Reschedule reminder
-router.patch("/:signupId/reschedule", reminderController.rescheduleReminder);
+router.patch("/:signupId/reschedule", authorize("reminders:reschedule"), requireSignupInScope, reminderController.rescheduleReminder);
 
 // Reset reminder to PENDING
-router.post("/:signupId/reset", reminderController.resetReminder);
+router.post("/:signupId/reset", authorize("reminders:send"), requireSignupInScope, reminderController.resetReminder);
 
 // Get delivery details/logs
-router.get("/:signupId/delivery", reminderController.getDeliveryDetails);
+router.get("/:signupId/delivery", authorize("reminders:read"), requireSignupInScope, reminderController.getDeliveryDetails);
 
 module.exports = router;
@@ -0,0 +1,18 @@
+// backend/auth-service/routes/roleRoutes.js
+const express = require("express");
+const router = express.Router();
+const roleController = require("../controllers/roleController");
+const { authorize } = require("../middleware/authMiddleware");
+
+// ============================================
+// Role Management Routes
+// ============================================
+
+// Listing roles is needed to assign them to users
+router.get("/", authorize("admins:manage"), roleController.getRoles);
+
+router.post("/", authorize("roles:manage"), roleController.createRole);
+router.put("/:roleId", authorize("roles:manage"), roleController.updateRole);
+router.delete("/:roleId", authorize("roles:manage"), roleController.deleteRole);
+
+module.exports = router;
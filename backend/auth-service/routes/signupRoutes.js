@@ -2,30 +2,42 @@
 const express = require("express");
 const router = express.Router();
 const signupController = require("../controllers/signupController");
-const { authenticateAdmin, requireSuperAdmin } = require("../middleware/authMiddleware");
+const dataRequestController = require("../controllers/dataRequestController");
+const { authorize } = require("../middleware/authMiddleware");
+const { requireSignupInScope, requireStudentInScope } = require("../middleware/classScopeMiddleware");
 
 // ============================================
 // Admin Signup Management Routes
-// NOTE: Authentication temporarily disabled for development/testing
-// TODO: Re-enable authentication when admin login UI is implemented
+// Every route requires an authenticated admin with the named permission (lib/permissions.js).
+// Admins scoped to classes only reach signups and students in their classes.
 // ============================================
 
 // Get signup statistics (before :signupId to avoid conflict)
-router.get("/stats", signupController.getStats); // authenticateAdmin removed temporarily
+router.get("/stats", authorize("signups:read"), signupController.getStats);
 
 // List all signups with filters/pagination
-router.get("/", signupController.getAllSignups); // authenticateAdmin removed temporarily
+router.get("/", authorize("signups:read"), signupController.getAllSignups);
+
+// Add a student to a class
+router.post("/", authorize("signups:create"), signupController.createSignup);
+
+// Student consent history for compliance requests (before :signupId to avoid conflict)
+router.get("/student/:studentId/consent", authorize("consent:read"), requireStudentInScope, signupController.getConsentHistory);
+
+// Data subject requests: export everything about a student, or anonymize it
+router.get("/student/:studentId/export", authorize("students:export"), requireStudentInScope, dataRequestController.exportStudentData);
+router.post("/student/:studentId/erase", authorize("students:erase"), requireStudentInScope, dataRequestController.eraseStudentData);
 
 // Delete student and all their registrations (before :signupId to avoid conflict)
-router.delete("/student/:studentId", signupController.deleteStudent); // authenticateAdmin removed temporarily
+router.delete("/student/:studentId", authorize("students:delete"), requireStudentInScope, signupController.deleteStudent);
 
 // Get specific signup by ID
-router.get("/:signupId", signupController.getSignupById); // authenticateAdmin removed temporarily
+router.get("/:signupId", authorize("signups:read"), requireSignupInScope, signupController.getSignupById);
 
 // Update signup
-router.patch("/:signupId", signupController.updateSignup); // authenticateAdmin removed temporarily
+router.patch("/:signupId", authorize("signups:update"), requireSignupInScope, signupController.updateSignup);
 
-// Delete signup (Admin only for safety)
-router.delete("/:signupId", signupController.deleteSignup); // authenticateAdmin and requireAdmin removed temporarily
+// Delete signup
+router.delete("/:signupId", authorize("signups:delete"), requireSignupInScope, signupController.deleteSignup);
 
 module.exports = router;
@@ -2,11 +2,18 @@
 const express = require("express");
 const router = express.Router();
 const studentController = require("../controllers/studentController");
+const classController = require("../controllers/classController");
 
 // ============================================
 // Public Student Routes (No Authentication)
 // ============================================
 
+// Class catalog (labels for the registration page and QR links)
+router.get("/classes", classController.getPublicCatalog);
+
+// Consent disclosure shown before a registration is confirmed
+router.get("/consent-disclosure", studentController.getConsentDisclosure);
+
 // Direct signup (used by class registration page and admin add-student)
 router.post("/signup", studentController.createSignup);
 
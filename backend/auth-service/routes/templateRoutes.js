@@ -1,19 +1,50 @@
 // backend/auth-service/routes/templateRoutes.js
 const express = require("express");
+const rateLimit = require("express-rate-limit");
 const router = express.Router();
 const templateController = require("../controllers/templateController");
-const { authenticateAdmin, requireAdmin } = require("../middleware/authMiddleware");
+const { authorize } = require("../middleware/authMiddleware");
+const { RATE_LIMITS } = require("../lib/constants");
+
+// Test messages are real emails and texts, so they are limited per IP
+const testSendLimiter = rateLimit({
+    windowMs: RATE_LIMITS.TEMPLATE_TEST_SEND.windowMs,
+    max: RATE_LIMITS.TEMPLATE_TEST_SEND.max,
+    message: {
+        success: false,
+        error: {
+            message: "Too many test messages. Please try again later.",
+            code: "RATE_LIMIT_EXCEEDED",
+        },
+    },
+    standardHeaders: true,
+    legacyHeaders: false,
+});
 
 // ============================================
 // Template Management Routes
 // ============================================
+// :classType is a class key for reminders, or VERIFICATION_CODE / REGISTRATION_CONFIRMATION
+// for the system messages; ?stage= and ?locale= pick the reminder stage and language
 
 // Read routes - any authenticated user (admin or staff)
-router.get("/", authenticateAdmin, templateController.getAllTemplates);
-router.get("/:classType/:channel", authenticateAdmin, templateController.getTemplate);
+router.get("/", authorize("templates:read"), templateController.getAllTemplates);
+router.get("/:classType/:channel", authorize("templates:read"), templateController.getTemplate);
+router.get("/:classType/:channel/versions", authorize("templates:read"), templateController.getVersions);
+router.get("/:classType/:channel/versions/diff", authorize("templates:read"), templateController.diffVersions);
+router.get("/:classType/:channel/versions/:version", authorize("templates:read"), templateController.getVersion);
+
+// Preview renders like a real reminder; test-send sends it to the editing admin
+router.post("/preview", authorize("templates:read"), templateController.previewTemplate);
+router.post("/test-send", authorize("templates:write"), testSendLimiter, templateController.testSendTemplate);
 
 // Write routes - admin only
-router.put("/:classType/:channel", authenticateAdmin, requireAdmin, templateController.upsertTemplate);
-router.delete("/:templateId", authenticateAdmin, requireAdmin, templateController.deleteTemplate);
+router.put("/:classType/:channel", authorize("templates:write"), templateController.upsertTemplate);
+router.post(
+    "/:classType/:channel/versions/:version/restore",
+    authorize("templates:write"),
+    templateController.restoreVersion
+);
+router.delete("/:templateId", authorize("templates:write"), templateController.deleteTemplate);
 
 module.exports = router;
@@ -35,4 +35,15 @@ router.post("/verify", otpVerifyLimiter, unsubscribeController.verifyOtp);
 // POST /api/students/unsubscribe/confirm
 router.post("/confirm", unsubscribeController.confirmUnsubscribe);
 
+// One-click unsubscribe from a signed reminder link (no code needed)
+// POST /api/students/unsubscribe/one-click
+router.post("/one-click", otpVerifyLimiter, unsubscribeController.oneClickUnsubscribe);
+
+// RFC 8058 List-Unsubscribe target from reminder email headers. Mail providers post
+// from shared addresses, so only the general API limiter applies here.
+// POST /api/students/unsubscribe/list-unsubscribe/:token
+router.post("/list-unsubscribe/:token", unsubscribeController.listUnsubscribe);
+// GET redirects to the unsubscribe page; RFC 8058 doesn't allow a GET to unsubscribe
+router.get("/list-unsubscribe/:token", unsubscribeController.listUnsubscribePage);
+
 module.exports = router;
@@ -0,0 +1,22 @@
+// backend/auth-service/routes/webhookRoutes.js
+const express = require("express");
+const router = express.Router();
+const webhookController = require("../controllers/webhookController");
+
+// ============================================
+// Provider Webhooks (No Authentication - requests are signed)
+// ============================================
+
+// SendGrid Event Webhook (delivered, bounce, dropped, ...)
+// POST /api/webhooks/sendgrid/events
+router.post("/sendgrid/events", webhookController.sendgridEvents);
+
+// Twilio message status callback (delivered, undelivered, failed, ...)
+// POST /api/webhooks/twilio/status
+router.post("/twilio/status", webhookController.twilioStatus);
+
+// Twilio inbound messages - STOP/START/HELP keywords
+// POST /api/webhooks/twilio/inbound
+router.post("/twilio/inbound", webhookController.twilioInbound);
+
+module.exports = router;
@@ -30,11 +30,20 @@ const studentRoutes = require("./routes/studentRoutes");
 const signupRoutes = require("./routes/signupRoutes");
 const reminderRoutes = require("./routes/reminderRoutes");
 const templateRoutes = require("./routes/templateRoutes");
+const classRoutes = require("./routes/classRoutes");
 const unsubscribeRoutes = require("./routes/unsubscribeRoutes");
 const registrationOtpRoutes = require("./routes/registrationOtpRoutes");
+const jobRoutes = require("./routes/jobRoutes");
+const webhookRoutes = require("./routes/webhookRoutes");
+const dataRequestRoutes = require("./routes/dataRequestRoutes");
+const roleRoutes = require("./routes/roleRoutes");
 
 // Cron jobs
 const { startReminderCron } = require("./jobs/reminderCron");
+const { startReminderWorker } = require("./jobs/reminderWorker");
+const { startOtpCleanupCron } = require("./jobs/otpCleanupCron");
+const { syncSystemRoles } = require("./services/roleService");
+const { describeProviders } = require("./services/providers");
 
 // Admin repository and utils for auto-creation
 const adminRepository = require("./repositories/adminRepository");
@@ -118,8 +127,9 @@ app.use(compression());
 const generalLimiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 100,
-  // Skip rate limiting for health checks (Render pings every 5 seconds)
-  skip: (req) => req.path === "/health" || req.path === "/",
+  // Skip rate limiting for health checks (Render pings every 5 seconds) and provider
+  // webhooks (SendGrid and Twilio post from a few IPs in bursts)
+  skip: (req) => req.path === "/health" || req.path === "/" || req.path.startsWith("/api/webhooks/"),
   message: {
     success: false,
     error: {
@@ -184,10 +194,18 @@ app.use("/api/admin/refresh", authLimiter);
 // Body Parsing Middleware
 // =============================================
 
+// Webhook signatures are computed over the body exactly as sent
+const keepRawWebhookBody = (req, res, buf) => {
+  if (req.originalUrl.startsWith("/api/webhooks/")) {
+    req.rawBody = buf;
+  }
+};
+
 app.use(
   express.json({
     limit: "10mb",
     strict: true,
+    verify: keepRawWebhookBody,
   })
 );
 
@@ -195,6 +213,7 @@ app.use(
   express.urlencoded({
     extended: true,
     limit: "10mb",
+    verify: keepRawWebhookBody,
   })
 );
 
@@ -220,6 +239,7 @@ app.get("/", (req, res) => {
       apiBase: "/api",
       endpoints: {
         student: [
+          "GET /api/students/classes (Public)",
           "POST /api/students/signup (Public)",
           "GET /api/students/signup/:signupId (Public)",
           "GET /api/students/:studentId/signups (Public)",
@@ -234,23 +254,49 @@ app.get("/", (req, res) => {
         ],
         auth: [
           "POST /api/admin/login",
+          "POST /api/admin/login/2fa",
           "POST /api/admin/logout",
           "POST /api/admin/refresh",
           "POST /api/admin/logout-all",
+          "POST /api/admin/forgot-password",
+          "POST /api/admin/reset-password",
+          "GET /api/admin/invite?token=",
+          "POST /api/admin/accept-invite",
         ],
         profile: [
           "GET /api/admin/me",
           "PUT /api/admin/me",
           "POST /api/admin/change-password",
         ],
+        twoFactor: [
+          "GET /api/admin/2fa",
+          "POST /api/admin/2fa/setup",
+          "POST /api/admin/2fa/enable",
+          "POST /api/admin/2fa/disable",
+          "POST /api/admin/2fa/recovery-codes",
+        ],
         sessions: ["GET /api/admin/sessions", "DELETE /api/admin/sessions/:id"],
         management: [
           "GET /api/admin/manage (Admin)",
           "POST /api/admin/manage (Admin)",
+          "POST /api/admin/manage/invite (Admin)",
+          "GET /api/admin/manage/invites (Admin)",
+          "POST /api/admin/manage/invites/:id/resend (Admin)",
+          "DELETE /api/admin/manage/invites/:id (Admin)",
           "GET /api/admin/manage/:id (Admin)",
           "PUT /api/admin/manage/:id (Admin)",
           "PUT /api/admin/manage/:id/role (Admin)",
           "DELETE /api/admin/manage/:id (Admin)",
+          "DELETE /api/admin/manage/:id/2fa (Admin)",
+          "GET /api/admin/manage/security (Admin)",
+          "PUT /api/admin/manage/security (Admin)",
+        ],
+        classes: [
+          "GET /api/admin/classes",
+          "GET /api/admin/classes/:classId",
+          "POST /api/admin/classes (Admin)",
+          "PATCH /api/admin/classes/:classId (Admin)",
+          "DELETE /api/admin/classes/:classId (Admin)",
         ],
       },
     },
@@ -305,9 +351,14 @@ app.use("/api/admin", adminRoutes);
 app.use("/api/students", studentRoutes); // Public student routes
 app.use("/api/students/signup", registrationOtpRoutes); // Public registration with OTP verification
 app.use("/api/students/unsubscribe", unsubscribeRoutes); // Public unsubscribe routes with OTP verification
-app.use("/api/admin/signups", signupRoutes); // Admin signup management routes (auth temporarily disabled)
+app.use("/api/students/data", dataRequestRoutes); // Public data export/erase with a verification token
+app.use("/api/admin/signups", signupRoutes); // Admin signup management routes
 app.use("/api/admin/reminders", reminderRoutes); // Admin reminder management routes
 app.use("/api/admin/templates", templateRoutes); // Template management routes
+app.use("/api/admin/classes", classRoutes); // Class catalog management routes
+app.use("/api/admin/jobs", jobRoutes); // Background job history routes
+app.use("/api/admin/roles", roleRoutes); // Role and permission management routes
+app.use("/api/webhooks", webhookRoutes); // Signed provider delivery webhooks
 
 // Error logging middleware
 app.use(errorLoggingMiddleware(logger));
@@ -338,10 +389,15 @@ const startServer = async () => {
     await initializeDatabase();
     logger.info("Database connection established successfully");
 
+    // Make sure the permission catalog and built-in roles exist before serving admin routes
+    await syncSystemRoles();
 
-
-    // Start reminder cron job
+    // Start reminder cron job (enqueues due stages) and the worker that sends them
     startReminderCron();
+    startReminderWorker();
+
+    // Remove expired pending registrations and OTP challenges
+    startOtpCleanupCron();
 
     // Start server
     const server = app.listen(port, () => {
@@ -350,6 +406,7 @@ const startServer = async () => {
         environment: process.env.NODE_ENV || "development",
         apiBase: `http://localhost:${port}/api/admin`,
         health: `http://localhost:${port}/health`,
+        messagingProviders: describeProviders(),
       });
 
       // Log available routes in development
@@ -357,23 +414,42 @@ const startServer = async () => {
         logger.debug("Available API Routes:", {
           auth: [
             "POST /api/admin/login",
+            "POST /api/admin/login/2fa",
             "POST /api/admin/logout",
             "POST /api/admin/refresh",
             "POST /api/admin/logout-all",
+            "POST /api/admin/forgot-password",
+            "POST /api/admin/reset-password",
+            "GET /api/admin/invite?token=",
+            "POST /api/admin/accept-invite",
           ],
           profile: [
             "GET /api/admin/me",
             "PUT /api/admin/me",
             "POST /api/admin/change-password",
           ],
+          twoFactor: [
+            "GET /api/admin/2fa",
+            "POST /api/admin/2fa/setup",
+            "POST /api/admin/2fa/enable",
+            "POST /api/admin/2fa/disable",
+            "POST /api/admin/2fa/recovery-codes",
+          ],
           sessions: ["GET /api/admin/sessions", "DELETE /api/admin/sessions/:id"],
           management: [
             "GET /api/admin/manage",
             "POST /api/admin/manage",
+            "POST /api/admin/manage/invite",
+            "GET /api/admin/manage/invites",
+            "POST /api/admin/manage/invites/:id/resend",
+            "DELETE /api/admin/manage/invites/:id",
             "GET /api/admin/manage/:id",
             "PUT /api/admin/manage/:id",
             "PUT /api/admin/manage/:id/role",
             "DELETE /api/admin/manage/:id",
+            "DELETE /api/admin/manage/:id/2fa",
+            "GET /api/admin/manage/security",
+            "PUT /api/admin/manage/security",
           ],
         });
       }
@@ -448,5 +524,7 @@ process.on("unhandledRejection", (reason, promise) => {
 // Export logger for use in other modules
 module.exports = { app, logger };
 
-// Start the server
-startServer();
+// Start the server (not when the app is required by tests)
+if (require.main === module) {
+  startServer();
+}
@@ -0,0 +1,295 @@
+// backend/auth-service/services/adminInviteService.js
+// Admin invites: instead of choosing a password for a new colleague, an admin invites
+// them by email. The invitee is a pending (inactive) admin until they set their own
+// password from a single-use signed link.
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const adminService = require("./adminService");
+const adminRepository = require("../repositories/adminRepository");
+const adminInviteRepository = require("../repositories/adminInviteRepository");
+const emailService = require("./emailService");
+const { hashPassword, verifyToken } = require("../lib/utils");
+const { inviteAdminSchema, acceptInviteSchema } = require("../models/adminSchema");
+const {
+  generateAdminInviteEmailHtml,
+  generateAdminInviteEmailText,
+} = require("../templates/adminInviteTemplates");
+const { ValidationError, ConflictError, NotFoundError, transformError } = require("../shared/utils/errors");
+const { JWT_CONFIG, TOKEN_TYPES, INVITE_CONFIG } = require("../lib/constants");
+const { createLogger } = require("../shared/utils/logger");
+
+const logger = createLogger("admin-invite-service");
+
+const INVALID_INVITE_MESSAGE = "This invite link is invalid or has expired. Ask an administrator to send a new one.";
+
+/**
+ * Only a hash of the invite token is stored, so a database read can't produce a link
+ * @param {string} token - Signed invite token
+ * @returns {string} Hex SHA-256 of the token
+ */
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+/**
+ * Sign a new invite token. Each call gives a different token, so resending
+ * replaces the stored hash and the previous link stops working.
+ * @param {string} inviteId - Invite ID
+ * @returns {Object} { token, tokenHash, expiresAt }
+ */
+const signInviteToken = (inviteId) => {
+  const token = jwt.sign({ inviteId, type: TOKEN_TYPES.ADMIN_INVITE }, JWT_CONFIG.accessTokenSecret, {
+    expiresIn: Math.floor(INVITE_CONFIG.TOKEN_EXPIRY / 1000),
+    jwtid: crypto.randomUUID(),
+  });
+  return {
+    token,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + INVITE_CONFIG.TOKEN_EXPIRY),
+  };
+};
+
+/**
+ * Build the accept invite page link sent to the invitee
+ * @param {string} token - Signed invite token
+ * @returns {string} URL of the accept invite page
+ */
+const buildInviteLink = (token) => {
+  const appUrl = process.env.APP_BASE_URL || "https://yourapp.com";
+  return `${appUrl}/accept-invite?token=${token}`;
+};
+
+/**
+ * Email an invite link
+ * @param {Object} invite - Invite with its admin
+ * @param {string} token - Signed invite token
+ * @param {Object} inviter - Admin sending the invite ({ name })
+ * @param {string} roleName - Display name of the invitee's role
+ * @returns {Promise<boolean>} Whether the email was sent
+ */
+const sendInviteEmail = async (invite, token, inviter, roleName) => {
+  const templateData = {
+    name: invite.admin.name,
+    inviterName: inviter.name || "An administrator",
+    roleName,
+    inviteLink: buildInviteLink(token),
+    expiresInDays: Math.round(INVITE_CONFIG.TOKEN_EXPIRY / (24 * 60 * 60 * 1000)),
+  };
+  const result = await emailService.sendEmail({
+    to: invite.email,
+    subject: "You're invited to the Training Portal",
+    body: generateAdminInviteEmailText(templateData),
+    html: generateAdminInviteEmailHtml(templateData),
+  });
+  if (!result.success) {
+    logger.error("Admin invite email not sent", { inviteId: invite.id, error: result.error });
+  }
+  return result.success;
+};
+
+/**
+ * Invite fields for the admin app, with an expired flag
+ */
+const toInviteResponse = (invite) => ({
+  id: invite.id,
+  email: invite.email,
+  name: invite.admin?.name,
+  role: invite.admin?.role,
+  classTypes: invite.admin?.classTypes || [],
+  invitedBy: invite.invitedBy,
+  expiresAt: invite.expiresAt,
+  isExpired: new Date(invite.expiresAt) < new Date(),
+  createdAt: invite.createdAt,
+  updatedAt: invite.updatedAt,
+});
+
+/**
+ * Check an invite token and load its invite. Throws for anything that isn't a live
+ * link: bad signature, expired, replaced by a resend, accepted or revoked.
+ * @param {string} token - Signed invite token
+ * @returns {Promise<Object>} Invite with tokenHash and admin
+ */
+const readInvite = async (token) => {
+  let decoded;
+  try {
+    decoded = verifyToken(token, JWT_CONFIG.accessTokenSecret);
+  } catch {
+    decoded = null;
+  }
+  if (decoded?.type !== TOKEN_TYPES.ADMIN_INVITE) {
+    throw ValidationError(INVALID_INVITE_MESSAGE, "INVALID_INVITE");
+  }
+
+  const invite = await adminInviteRepository.findById(decoded.inviteId);
+  if (
+    !invite ||
+    invite.tokenHash !== hashToken(token) ||
+    invite.acceptedAt ||
+    new Date(invite.expiresAt) < new Date() ||
+    !invite.admin?.isPending
+  ) {
+    throw ValidationError(INVALID_INVITE_MESSAGE, "INVALID_INVITE");
+  }
+  return invite;
+};
+
+/**
+ * Invite a new admin. Creates a pending admin with the chosen role and emails them a link
+ * to set their own password.
+ * @param {Object} data - { email, name, role, classTypes }
+ * @param {Object} inviter - Admin sending the invite ({ id, name })
+ * @returns {Promise<Object>} { invite, emailSent, message }
+ */
+const inviteAdmin = async (data, inviter) => {
+  try {
+    const validatedData = inviteAdminSchema.parse(data);
+
+    const existing = await adminRepository.findByEmail(validatedData.email);
+    if (existing?.isPending) {
+      throw ConflictError("This email already has a pending invite. Resend it instead.", "INVITE_EXISTS");
+    }
+    if (existing) {
+      throw ConflictError("Email already registered", "EMAIL_EXISTS");
+    }
+
+    const role = await adminService.validateRoleAssignment(validatedData.role, validatedData.classTypes);
+
+    // The pending admin can't sign in, but the column needs a value until they choose one
+    const placeholderPassword = await hashPassword(crypto.randomBytes(32).toString("base64url"));
+
+    const inviteId = crypto.randomUUID();
+    const { token, tokenHash, expiresAt } = signInviteToken(inviteId);
+    const invite = await adminInviteRepository.createInvite(
+      { ...validatedData, password: placeholderPassword },
+      { id: inviteId, tokenHash, expiresAt, invitedBy: inviter.id }
+    );
+
+    const emailSent = await sendInviteEmail(invite, token, inviter, role.name);
+
+    logger.info("Admin invited", { inviteId, invitedBy: inviter.id, role: validatedData.role });
+    return {
+      invite: toInviteResponse(invite),
+      emailSent,
+      message: emailSent
+        ? `Invite sent to ${invite.email}`
+        : "Invite created, but the email could not be sent. Use Resend to try again.",
+    };
+  } catch (error) {
+    logger.error("Invite admin failed", { error: error.message });
+    throw transformError(error, "inviteAdmin");
+  }
+};
+
+/**
+ * Invites that haven't been accepted yet
+ * @returns {Promise<Object>} { invites }
+ */
+const listInvites = async () => {
+  try {
+    const invites = await adminInviteRepository.findPending();
+    return { invites: invites.map(toInviteResponse) };
+  } catch (error) {
+    logger.error("List invites failed", { error: error.message });
+    throw transformError(error, "listInvites");
+  }
+};
+
+/**
+ * Send a fresh link for a pending invite, restarting its expiry. The old link stops working.
+ * @param {string} inviteId - Invite ID
+ * @param {Object} inviter - Admin resending ({ id, name })
+ * @returns {Promise<Object>} { invite, emailSent, message }
+ */
+const resendInvite = async (inviteId, inviter) => {
+  try {
+    const existing = await adminInviteRepository.findById(inviteId);
+    if (!existing || existing.acceptedAt) {
+      throw NotFoundError("Invite not found", "INVITE_NOT_FOUND");
+    }
+
+    const role = await adminService.validateRoleAssignment(existing.admin.role, existing.admin.classTypes);
+    const { token, tokenHash, expiresAt } = signInviteToken(existing.id);
+    const invite = await adminInviteRepository.renewInvite(existing.id, {
+      tokenHash,
+      expiresAt,
+      invitedBy: inviter.id,
+    });
+
+    const emailSent = await sendInviteEmail(invite, token, inviter, role.name);
+
+    logger.info("Admin invite resent", { inviteId, resentBy: inviter.id });
+    return {
+      invite: toInviteResponse(invite),
+      emailSent,
+      message: emailSent ? `Invite resent to ${invite.email}` : "The invite email could not be sent",
+    };
+  } catch (error) {
+    logger.error("Resend invite failed", { error: error.message, inviteId });
+    throw transformError(error, "resendInvite");
+  }
+};
+
+/**
+ * Revoke a pending invite. The pending admin is deleted, so the email can be invited again.
+ * @param {string} inviteId - Invite ID
+ * @returns {Promise<Object>} { message }
+ */
+const revokeInvite = async (inviteId) => {
+  try {
+    const invite = await adminInviteRepository.findById(inviteId);
+    if (!invite || invite.acceptedAt || !(await adminInviteRepository.deletePendingAdmin(invite.adminId))) {
+      throw NotFoundError("Invite not found", "INVITE_NOT_FOUND");
+    }
+
+    logger.info("Admin invite revoked", { inviteId, adminId: invite.adminId });
+    return { message: "Invite revoked" };
+  } catch (error) {
+    logger.error("Revoke invite failed", { error: error.message, inviteId });
+    throw transformError(error, "revokeInvite");
+  }
+};
+
+/**
+ * Who an invite link is for, so the accept page can greet them
+ * @param {string} token - Signed invite token
+ * @returns {Promise<Object>} { email, name, expiresAt }
+ */
+const getInvite = async (token) => {
+  try {
+    const invite = await readInvite(typeof token === "string" ? token : "");
+    return { email: invite.email, name: invite.admin.name, expiresAt: invite.expiresAt };
+  } catch (error) {
+    logger.warn("Invite lookup failed", { error: error.message });
+    throw transformError(error, "getInvite");
+  }
+};
+
+/**
+ * Accept an invite: the invitee sets their password and their account becomes active
+ * @param {Object} data - { token, newPassword, confirmPassword }
+ * @returns {Promise<Object>} { message }
+ */
+const acceptInvite = async (data) => {
+  try {
+    const invite = await readInvite(typeof data?.token === "string" ? data.token : "");
+    const { newPassword } = acceptInviteSchema.parse(data);
+
+    const hashedPassword = await hashPassword(newPassword);
+    if (!(await adminInviteRepository.acceptInvite(invite, hashedPassword))) {
+      throw ValidationError(INVALID_INVITE_MESSAGE, "INVALID_INVITE");
+    }
+
+    logger.info("Admin invite accepted", { inviteId: invite.id, adminId: invite.adminId });
+    return { message: "Your account is ready. Sign in with your new password." };
+  } catch (error) {
+    logger.error("Accept invite failed", { error: error.message });
+    throw transformError(error, "acceptInvite");
+  }
+};
+
+module.exports = {
+  inviteAdmin,
+  listInvites,
+  resendInvite,
+  revokeInvite,
+  getInvite,
+  acceptInvite,
+};
@@ -1,5 +1,9 @@
 const adminRepository = require("../repositories/adminRepository");
 const sessionRepository = require("../repositories/adminSessionRepository");
+const roleService = require("./roleService");
+const twoFactorService = require("./twoFactorService");
+const settingService = require("./settingService");
+const classService = require("./classService");
 const {
   hashPassword,
   generateTokens,
@@ -12,6 +16,7 @@ const {
   updateAdminSchema,
   passwordSchema,
   changePasswordSchema,
+  twoFactorLoginSchema,
 } = require("../models/adminSchema");
 const {
   ValidationError,
@@ -25,6 +30,79 @@ const { createLogger } = require("../shared/utils/logger");
 
 const logger = createLogger("admin-service");
 
+/**
+ * Attach the admin's permissions and class scope (null = all classes), and whether they
+ * still have to set up two-factor before they can do anything else
+ * @param {Object} admin - Admin record
+ * @returns {Promise<Object>} Admin with permissions, classScope and twoFactorSetupRequired
+ */
+const withAccess = async (admin) => {
+  const [{ permissions, classScope }, { requireTwoFactor }] = await Promise.all([
+    roleService.resolveAccess(admin),
+    settingService.getSecuritySettings(),
+  ]);
+  return {
+    ...admin,
+    permissions,
+    classScope,
+    twoFactorSetupRequired: requireTwoFactor && !admin.twoFactorEnabled,
+  };
+};
+
+/**
+ * Check a role assignment: the role must exist and assigned classes must be in the catalog
+ * @param {string} role - Role key
+ * @param {Array<string>} [classTypes] - Classes taught
+ * @returns {Promise<Object>} The role
+ */
+const validateRoleAssignment = async (role, classTypes = []) => {
+  const roleRecord = await roleService.requireRole(role);
+  for (const classType of classTypes) {
+    await classService.requireClass(classType);
+  }
+  return roleRecord;
+};
+
+/**
+ * Create a session for an admin whose credentials have been checked
+ * @param {Object} admin - Admin record without password
+ * @param {Object} requestMetadata - Request metadata (IP, user agent)
+ * @returns {Promise<Object>} Login result with admin data and tokens
+ */
+const startSession = async (admin, requestMetadata) => {
+  // Generate tokens
+  const tokenPayload = {
+    adminId: admin.id,
+    email: admin.email,
+    role: admin.role,
+  };
+
+  const { accessToken, refreshToken } = generateTokens(tokenPayload);
+
+  // Create session
+  const sessionData = {
+    adminId: admin.id,
+    token: accessToken,
+    refreshToken,
+    expiresAt: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000), // 7 days
+    ipAddress: requestMetadata.ipAddress,
+    userAgent: requestMetadata.userAgent,
+  };
+
+  await sessionRepository.createSession(sessionData);
+
+  // Update last login
+  await adminRepository.updateLastLogin(admin.id);
+
+  logger.info("Admin login successful", { adminId: admin.id, email: admin.email });
+
+  return {
+    admin: await withAccess(admin),
+    tokens: { accessToken, refreshToken },
+    message: SUCCESS_MESSAGES.ADMIN.LOGIN,
+  };
+};
+
 /**
  * Login admin
  * @param {Object} loginData - Login credentials
@@ -46,6 +124,11 @@ const loginAdmin = async (loginData, requestMetadata = {}) => {
       throw AuthenticationError("Invalid credentials", "INVALID_CREDENTIALS");
     }
 
+    // Invited admins sign in once they've set a password from their invite
+    if (admin.isPending) {
+      throw AuthenticationError("Accept your invitation to set a password first", "INVITE_PENDING");
+    }
+
     // Check if admin is active
     if (!admin.isActive) {
       console.error(`[LOGIN FAIL] Admin account is deactivated: ${validatedData.email}`);
@@ -62,47 +145,57 @@ const loginAdmin = async (loginData, requestMetadata = {}) => {
       throw AuthenticationError("Invalid credentials", "INVALID_CREDENTIALS");
     }
 
-    // Generate tokens
-    const tokenPayload = {
-      adminId: admin.id,
-      email: admin.email,
-      role: admin.role,
-    };
-
-    console.log(`[LOGIN SUCCESS] Generating tokens for: ${validatedData.email}`);
-    const { accessToken, refreshToken } = generateTokens(tokenPayload);
-
-    // Create session
-    const sessionData = {
-      adminId: admin.id,
-      token: accessToken,
-      refreshToken,
-      expiresAt: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000), // 7 days
-      ipAddress: requestMetadata.ipAddress,
-      userAgent: requestMetadata.userAgent,
-    };
-
-    await sessionRepository.createSession(sessionData);
-
-    // Update last login
-    await adminRepository.updateLastLogin(admin.id);
+    // Two-factor accounts get a challenge instead of a session; completeTwoFactorLogin
+    // finishes the login once they enter a code
+    if (admin.twoFactorEnabled) {
+      logger.info("Admin password accepted, awaiting two-factor code", { adminId: admin.id });
+      return {
+        twoFactorRequired: true,
+        challengeToken: twoFactorService.createLoginChallenge(admin.id),
+        message: "Enter the code from your authenticator app",
+      };
+    }
 
     // Remove password from response
     const { password, ...adminWithoutPassword } = admin;
 
-    logger.info("Admin login successful", { adminId: admin.id, email: admin.email });
-
-    return {
-      admin: adminWithoutPassword,
-      tokens: { accessToken, refreshToken },
-      message: SUCCESS_MESSAGES.ADMIN.LOGIN,
-    };
+    console.log(`[LOGIN SUCCESS] Generating tokens for: ${validatedData.email}`);
+    return await startSession(adminWithoutPassword, requestMetadata);
   } catch (error) {
     logger.error("Admin login failed", { error: error.message, email: loginData?.email });
     throw transformError(error, "loginAdmin");
   }
 };
 
+/**
+ * Finish a login for an admin with two-factor on
+ * @param {Object} data - { challengeToken, code } or { challengeToken, recoveryCode }
+ * @param {Object} requestMetadata - Request metadata (IP, user agent)
+ * @returns {Promise<Object>} Login result with admin data and tokens
+ */
+const completeTwoFactorLogin = async (data, requestMetadata = {}) => {
+  try {
+    const { challengeToken, code, recoveryCode } = twoFactorLoginSchema.parse(data);
+    const adminId = twoFactorService.readLoginChallenge(challengeToken);
+
+    const admin = await adminRepository.findById(adminId);
+    if (!admin || !admin.isActive) {
+      throw AuthenticationError("Account is deactivated", "ACCOUNT_DEACTIVATED");
+    }
+
+    const { usedRecoveryCode, recoveryCodesRemaining } = await twoFactorService.verifyLogin(adminId, {
+      code,
+      recoveryCode,
+    });
+
+    const result = await startSession(admin, requestMetadata);
+    return usedRecoveryCode ? { ...result, recoveryCodesRemaining } : result;
+  } catch (error) {
+    logger.error("Two-factor login failed", { error: error.message });
+    throw transformError(error, "completeTwoFactorLogin");
+  }
+};
+
 /**
  * Refresh access token using refresh token
  * @param {string} refreshToken - Refresh token
@@ -224,7 +317,7 @@ const validateToken = async (token) => {
     }
 
     return {
-      admin,
+      admin: await withAccess(admin),
       session: {
         id: session.id,
         expiresAt: session.expiresAt,
@@ -319,7 +412,7 @@ const getProfile = async (adminId) => {
     if (!admin) {
       throw NotFoundError("Admin not found", "ADMIN_NOT_FOUND");
     }
-    return { admin };
+    return { admin: await withAccess(admin) };
   } catch (error) {
     logger.error("Get profile failed", { error: error.message, adminId });
     throw transformError(error, "getProfile");
@@ -386,6 +479,8 @@ const createAdmin = async (adminData) => {
       throw ConflictError("Email already registered", "EMAIL_EXISTS");
     }
 
+    await validateRoleAssignment(validatedData.role, validatedData.classTypes);
+
     // Hash password
     const hashedPassword = await hashPassword(validatedData.password);
 
@@ -473,13 +568,15 @@ const updateAdminById = async (adminId, updateData) => {
 /**
  * Change admin role (ADMIN only)
  * @param {string} adminId - Admin ID
- * @param {string} newRole - New role
+ * @param {string} newRole - New role key
+ * @param {Array<string>} [classTypes] - Classes taught, for roles scoped to classes
  * @returns {Promise<Object>} Updated admin
  */
-const changeAdminRole = async (adminId, newRole) => {
+const changeAdminRole = async (adminId, newRole, classTypes) => {
   try {
-    const updatedAdmin = await adminRepository.updateAdminRole(adminId, newRole);
-    logger.info("Admin role changed", { adminId, newRole });
+    await validateRoleAssignment(newRole, classTypes);
+    const updatedAdmin = await adminRepository.updateAdminRole(adminId, newRole, classTypes);
+    logger.info("Admin role changed", { adminId, newRole, classTypes });
     return {
       admin: updatedAdmin,
       message: `Admin role changed to ${newRole}`,
@@ -514,6 +611,12 @@ const deactivateAdmin = async (adminId) => {
  */
 const activateAdmin = async (adminId) => {
   try {
+    // A pending admin has no password of their own yet; they're activated by accepting
+    const admin = await adminRepository.findById(adminId);
+    if (admin?.isPending) {
+      throw ValidationError("This user hasn't accepted their invitation yet", "INVITE_PENDING");
+    }
+
     const updatedAdmin = await adminRepository.activateAdmin(adminId);
     logger.info("Admin activated", { adminId });
     return { admin: updatedAdmin, message: SUCCESS_MESSAGES.ADMIN.ACTIVATED };
@@ -540,6 +643,7 @@ const getAdminStats = async () => {
 module.exports = {
   // Authentication
   loginAdmin,
+  completeTwoFactorLogin,
   refreshAccessToken,
   logoutAdmin,
   logoutAllDevices,
@@ -561,4 +665,5 @@ module.exports = {
   deactivateAdmin,
   activateAdmin,
   getAdminStats,
+  validateRoleAssignment,
 };
@@ -0,0 +1,246 @@
+// backend/auth-service/services/classService.js
+const classDefinitionRepository = require("../repositories/classDefinitionRepository");
+const templateRepository = require("../repositories/templateRepository");
+const { offsetsFitInterval } = require("../models/classDefinitionSchema");
+const {
+    ValidationError,
+    ConflictError,
+    NotFoundError,
+    transformError,
+} = require("../shared/utils/errors");
+const { createLogger } = require("../shared/utils/logger");
+
+const logger = createLogger("class-service");
+
+// Reminder offsets for a class that has none configured: 30 days before expiry and on the day
+const DEFAULT_REMINDER_OFFSETS = [30, 0];
+
+/**
+ * A class's reminder stages. Each offset is a number of days before expiry (negative =
+ * overdue nudge). Stages are numbered in send order, so the largest offset is stage 1.
+ * @param {Object} classDefinition - { reminderOffsetDays }
+ * @returns {Array<Object>} [{ stage, offsetDays }]
+ */
+const getReminderStages = (classDefinition) => {
+    const offsets = classDefinition?.reminderOffsetDays?.length
+        ? classDefinition.reminderOffsetDays
+        : DEFAULT_REMINDER_OFFSETS;
+    return [...offsets].sort((a, b) => b - a).map((offsetDays, index) => ({ stage: index + 1, offsetDays }));
+};
+
+/**
+ * Get the class catalog for admin management
+ * @param {Object} options - { includeInactive }
+ * @returns {Promise<Object>} { classes }
+ */
+const getCatalog = async ({ includeInactive = true } = {}) => {
+    try {
+        const classes = await classDefinitionRepository.findAll({ includeInactive });
+        return { classes, count: classes.length };
+    } catch (error) {
+        logger.error("Get class catalog failed", { error: error.message });
+        throw transformError(error, "getCatalog");
+    }
+};
+
+/**
+ * Get the public class catalog (labels only).
+ * Inactive classes are included so existing registrations still resolve their label;
+ * selectors should only offer classes where isActive is true.
+ * @returns {Promise<Object>} { classes }
+ */
+const getPublicCatalog = async () => {
+    try {
+        const classes = await classDefinitionRepository.findAll({ includeInactive: true, fields: "public" });
+        return { classes };
+    } catch (error) {
+        logger.error("Get public class catalog failed", { error: error.message });
+        throw transformError(error, "getPublicCatalog");
+    }
+};
+
+/**
+ * Get a class definition by ID
+ * @param {string} classId - Class definition ID
+ * @returns {Promise<Object>} { classDefinition }
+ */
+const getClassById = async (classId) => {
+    try {
+        const classDefinition = await classDefinitionRepository.findById(classId);
+        if (!classDefinition) {
+            throw NotFoundError("Class not found", "CLASS_NOT_FOUND");
+        }
+        return { classDefinition };
+    } catch (error) {
+        logger.error("Get class failed", { error: error.message, classId });
+        throw transformError(error, "getClassById");
+    }
+};
+
+/**
+ * Resolve a class key to an active class definition.
+ * Used wherever a new signup is created for a class.
+ * @param {string} key - Class key
+ * @returns {Promise<Object>} Class definition
+ */
+const requireActiveClass = async (key) => {
+    try {
+        const classDefinition = await classDefinitionRepository.findByKey(key);
+        if (!classDefinition || !classDefinition.isActive) {
+            throw ValidationError(
+                "This training class is not available for registration.",
+                "INVALID_CLASS_TYPE"
+            );
+        }
+        return classDefinition;
+    } catch (error) {
+        logger.error("Resolve active class failed", { error: error.message, key });
+        throw transformError(error, "requireActiveClass");
+    }
+};
+
+/**
+ * Resolve a class key to its class definition, active or not.
+ * Used when re-deriving dates for an existing signup.
+ * @param {string} key - Class key
+ * @returns {Promise<Object>} Class definition
+ */
+const requireClass = async (key) => {
+    try {
+        const classDefinition = await classDefinitionRepository.findByKey(key);
+        if (!classDefinition) {
+            throw NotFoundError("Class not found", "CLASS_NOT_FOUND");
+        }
+        return classDefinition;
+    } catch (error) {
+        logger.error("Resolve class failed", { error: error.message, key });
+        throw transformError(error, "requireClass");
+    }
+};
+
+/**
+ * Look up a class definition for delivery settings (quiet hours).
+ * Never throws - reminders still go out with the global policy if the lookup fails.
+ * @param {string} key - Class key
+ * @returns {Promise<Object|null>} Class definition or null
+ */
+const findClass = async (key) => {
+    try {
+        return await classDefinitionRepository.findByKey(key);
+    } catch (error) {
+        logger.warn("Class lookup failed, using defaults", { error: error.message, key });
+        return null;
+    }
+};
+
+/**
+ * Get the human-readable label for a class key (falls back to the key itself)
+ * @param {string} key - Class key
+ * @returns {Promise<string>} Label
+ */
+const getClassLabel = async (key) => {
+    try {
+        const classDefinition = await classDefinitionRepository.findByKey(key);
+        return classDefinition?.label || key;
+    } catch (error) {
+        logger.warn("Class label lookup failed, using key", { error: error.message, key });
+        return key;
+    }
+};
+
+/**
+ * Create a class definition
+ * @param {Object} classData - Class definition data
+ * @returns {Promise<Object>} { classDefinition, message }
+ */
+const createClass = async (classData) => {
+    try {
+        const existing = classData?.key ? await classDefinitionRepository.findByKey(classData.key) : null;
+        if (existing) {
+            throw ConflictError(`A class with key ${classData.key} already exists`, "CLASS_KEY_EXISTS");
+        }
+
+        const classDefinition = await classDefinitionRepository.createClassDefinition(classData);
+
+        logger.info("Class created", { classId: classDefinition.id, key: classDefinition.key });
+        return { classDefinition, message: "Class created successfully" };
+    } catch (error) {
+        logger.error("Create class failed", { error: error.message });
+        throw transformError(error, "createClass");
+    }
+};
+
+/**
+ * Update a class definition
+ * @param {string} classId - Class definition ID
+ * @param {Object} updateData - Fields to update
+ * @returns {Promise<Object>} { classDefinition, message }
+ */
+const updateClass = async (classId, updateData) => {
+    try {
+        const { classDefinition: existing } = await getClassById(classId);
+
+        const renewalIntervalMonths = updateData.renewalIntervalMonths ?? existing.renewalIntervalMonths;
+        const reminderOffsetDays = updateData.reminderOffsetDays ?? existing.reminderOffsetDays;
+        if (Array.isArray(reminderOffsetDays) && !offsetsFitInterval(reminderOffsetDays, renewalIntervalMonths)) {
+            throw ValidationError(
+                "Reminder offsets must be shorter than the renewal interval",
+                "INVALID_REMINDER_OFFSETS"
+            );
+        }
+
+        const classDefinition = await classDefinitionRepository.updateClassDefinition(classId, updateData);
+
+        logger.info("Class updated", { classId, key: classDefinition.key });
+        return { classDefinition, message: "Class updated successfully" };
+    } catch (error) {
+        logger.error("Update class failed", { error: error.message, classId });
+        throw transformError(error, "updateClass");
+    }
+};
+
+/**
+ * Delete a class definition. Classes that still have registrations cannot be
+ * deleted and should be deactivated instead; their templates are removed with them.
+ * @param {string} classId - Class definition ID
+ * @returns {Promise<Object>} Deletion result
+ */
+const deleteClass = async (classId) => {
+    try {
+        const { classDefinition } = await getClassById(classId);
+
+        const references = await classDefinitionRepository.countReferences(classDefinition.key);
+        if (references.signups > 0) {
+            throw ConflictError(
+                `This class has ${references.signups} registration(s). Deactivate it instead of deleting.`,
+                "CLASS_IN_USE"
+            );
+        }
+
+        if (references.templates > 0) {
+            await templateRepository.deleteByClassType(classDefinition.key);
+        }
+
+        const result = await classDefinitionRepository.deleteClassDefinition(classId);
+
+        logger.info("Class deleted", { classId, key: classDefinition.key });
+        return { ...result, message: "Class deleted successfully" };
+    } catch (error) {
+        logger.error("Delete class failed", { error: error.message, classId });
+        throw transformError(error, "deleteClass");
+    }
+};
+
+module.exports = {
+    getCatalog,
+    getPublicCatalog,
+    getClassById,
+    requireActiveClass,
+    requireClass,
+    findClass,
+    getClassLabel,
+    getReminderStages,
+    createClass,
+    updateClass,
+    deleteClass,
+};
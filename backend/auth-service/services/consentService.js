@@ -0,0 +1,136 @@
+// backend/auth-service/services/consentService.js
+// Consent ledger: proof of what each student agreed to and when. Opt-in is written at
+// registration here; opt-outs and opt-ins after that are written by optOutService.
+const studentRepository = require("../repositories/studentRepository");
+const consentRecordRepository = require("../repositories/consentRecordRepository");
+const { getDisclosure } = require("../lib/consentDisclosures");
+const { ValidationError, NotFoundError, transformError } = require("../shared/utils/errors");
+const { createLogger } = require("../shared/utils/logger");
+
+const logger = createLogger("consent-service");
+
+// Registration verification channel -> message channel
+const VERIFIED_CHANNELS = {
+    email: "EMAIL",
+    phone: "SMS",
+};
+
+/**
+ * Disclosure text for the version the student was shown
+ * @param {string} version - Disclosure version sent with the registration
+ * @returns {string} Disclosure text
+ * @throws {ValidationError} INVALID_DISCLOSURE_VERSION
+ */
+const requireDisclosure = (version) => {
+    const text = getDisclosure(version);
+    if (!text) {
+        throw ValidationError(
+            "The registration terms have changed. Please reload the page and try again.",
+            "INVALID_DISCLOSURE_VERSION"
+        );
+    }
+    return text;
+};
+
+/**
+ * Record the opt-in given when a registration is completed, one record per contact
+ * @param {Object} params
+ * @param {Object} params.student - Student the signup belongs to
+ * @param {Object} params.signup - Created signup
+ * @param {string|null} params.email - Email given at registration
+ * @param {string|null} params.phone - Phone given at registration
+ * @param {Array<string>} params.verifiedChannels - Channels verified by OTP (email | phone)
+ * @param {string} params.disclosureVersion - Disclosure the student accepted
+ * @param {Object} [params.requestMetadata] - { ipAddress, userAgent }
+ * @returns {Promise<number>} Number of records written
+ */
+const recordRegistrationConsent = async ({
+    student,
+    signup,
+    email,
+    phone,
+    verifiedChannels,
+    disclosureVersion,
+    requestMetadata = {},
+}) => {
+    try {
+        const base = {
+            studentId: student.id,
+            signupId: signup.id,
+            granted: true,
+            source: "REGISTRATION",
+            disclosureVersion,
+            disclosureText: requireDisclosure(disclosureVersion),
+            verifiedChannels: verifiedChannels.map((channel) => VERIFIED_CHANNELS[channel]).filter(Boolean),
+            ipAddress: requestMetadata.ipAddress || null,
+            userAgent: requestMetadata.userAgent || null,
+        };
+
+        const records = [
+            ...(email ? [{ ...base, channel: "EMAIL", destination: email }] : []),
+            ...(phone ? [{ ...base, channel: "SMS", destination: phone }] : []),
+        ];
+
+        return await consentRecordRepository.createRecords(records);
+    } catch (error) {
+        logger.error("Record registration consent failed", { error: error.message, studentId: student?.id });
+        throw transformError(error, "recordRegistrationConsent");
+    }
+};
+
+/**
+ * Forms a student's contacts may have been recorded under before they were linked
+ * @param {Object} student - Student
+ * @returns {Array<string>} Destinations
+ */
+const getDestinations = (student) => {
+    const destinations = [];
+    if (student.email) {
+        destinations.push(student.email, student.email.toLowerCase());
+    }
+    if (student.phone) {
+        const digits = student.phone.replace(/\D/g, "");
+        destinations.push(student.phone, digits, digits.length === 10 ? `+1${digits}` : `+${digits}`);
+    }
+    return [...new Set(destinations)];
+};
+
+/**
+ * Full consent history for a student, for answering a compliance request (admin)
+ * @param {string} studentId - Student ID
+ * @returns {Promise<Object>} { student, records, exportedAt }
+ */
+const getConsentHistory = async (studentId) => {
+    try {
+        const student = await studentRepository.findById(studentId);
+        if (!student) {
+            throw NotFoundError("Student not found", "STUDENT_NOT_FOUND");
+        }
+
+        const records = await consentRecordRepository.findForStudent(studentId, getDestinations(student));
+
+        return {
+            student: {
+                id: student.id,
+                name: student.name,
+                email: student.email,
+                phone: student.phone,
+                optedOutEmail: student.optedOutEmail,
+                optedOutSms: student.optedOutSms,
+                createdAt: student.createdAt,
+            },
+            records,
+            exportedAt: new Date().toISOString(),
+        };
+    } catch (error) {
+        logger.error("Get consent history failed", { error: error.message, studentId });
+        throw transformError(error, "getConsentHistory");
+    }
+};
+
+module.exports = {
+    requireDisclosure,
+    getDestinations,
+    recordRegistrationConsent,
+    getConsentHistory,
+};
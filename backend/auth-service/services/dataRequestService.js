@@ -0,0 +1,139 @@
+// backend/auth-service/services/dataRequestService.js
+// Data subject requests: export everything held about a student, or erase it. Students
+// reach this from My Registrations after OTP verification, staff from the admin app.
+const dataSubjectRepository = require("../repositories/dataSubjectRepository");
+const consentRecordRepository = require("../repositories/consentRecordRepository");
+const { getDestinations } = require("./consentService");
+const { readVerificationToken } = require("./unsubscribeService");
+const { exportOwnDataSchema, eraseOwnDataSchema, adminEraseSchema } = require("../models/dataRequestSchema");
+const { NotFoundError, ConflictError, transformError } = require("../shared/utils/errors");
+const { createLogger } = require("../shared/utils/logger");
+
+const logger = createLogger("data-request-service");
+
+// Only the My Registrations code unlocks the student's own data; unsubscribe codes don't
+const DATA_REQUEST_PURPOSES = ["manage_registrations"];
+
+/**
+ * Everything held about a student as one bundle
+ * @param {string} studentId - Student ID
+ * @returns {Promise<Object>} { exportedAt, student, signups, deliveryLogs, optOutEvents, consentRecords }
+ */
+const exportStudentData = async (studentId) => {
+    try {
+        const data = await dataSubjectRepository.findStudentData(studentId);
+        if (!data) {
+            throw NotFoundError("Student not found", "STUDENT_NOT_FOUND");
+        }
+
+        const { signups, optOutEvents, ...student } = data;
+        const consentRecords = await consentRecordRepository.findForStudent(studentId, getDestinations(student));
+
+        logger.info("Student data exported", { studentId });
+
+        return {
+            exportedAt: new Date().toISOString(),
+            student,
+            signups: signups.map(({ deliveryLogs, ...signup }) => signup),
+            deliveryLogs: signups.flatMap((signup) =>
+                signup.deliveryLogs.map((log) => ({ signupId: signup.id, classType: signup.classType, ...log }))
+            ),
+            optOutEvents,
+            consentRecords,
+        };
+    } catch (error) {
+        logger.error("Export student data failed", { error: error.message, studentId });
+        throw transformError(error, "exportStudentData");
+    }
+};
+
+/**
+ * Anonymize a student's personal data and leave a tombstone
+ * @param {string} studentId - Student ID
+ * @param {Object} request - { requestedBy: STUDENT | ADMIN, adminId?, ipAddress? }
+ * @returns {Promise<Object>} { erasedAt, summary }
+ */
+const eraseStudentData = async (studentId, { requestedBy, adminId = null, ipAddress = null }) => {
+    try {
+        const data = await dataSubjectRepository.findStudentData(studentId);
+        if (!data) {
+            throw NotFoundError("Student not found", "STUDENT_NOT_FOUND");
+        }
+        if (data.erasedAt) {
+            throw ConflictError("This student's data has already been erased.", "ALREADY_ERASED");
+        }
+
+        const summary = await dataSubjectRepository.eraseStudent(studentId, getDestinations(data), {
+            requestedBy,
+            adminId,
+            ipAddress,
+        });
+
+        logger.info("Student data erased", { studentId, requestedBy, adminId, summary });
+        return { erasedAt: new Date().toISOString(), summary };
+    } catch (error) {
+        logger.error("Erase student data failed", { error: error.message, studentId });
+        throw transformError(error, "eraseStudentData");
+    }
+};
+
+/**
+ * Self-service export for a verified student
+ * @param {Object} data - { token }
+ * @returns {Promise<Object>} Export bundle
+ */
+const exportOwnData = async (data) => {
+    try {
+        const { token } = exportOwnDataSchema.parse(data);
+        const { studentId } = readVerificationToken(token, DATA_REQUEST_PURPOSES);
+        return await exportStudentData(studentId);
+    } catch (error) {
+        logger.error("Self-service export failed", { error: error.message });
+        throw transformError(error, "exportOwnData");
+    }
+};
+
+/**
+ * Self-service erase for a verified student
+ * @param {Object} data - { token, confirm: true }
+ * @param {Object} [requestMetadata] - { ipAddress }
+ * @returns {Promise<Object>} { erasedAt, summary }
+ */
+const eraseOwnData = async (data, requestMetadata = {}) => {
+    try {
+        const { token } = eraseOwnDataSchema.parse(data);
+        const { studentId } = readVerificationToken(token, DATA_REQUEST_PURPOSES);
+        return await eraseStudentData(studentId, {
+            requestedBy: "STUDENT",
+            ipAddress: requestMetadata.ipAddress || null,
+        });
+    } catch (error) {
+        logger.error("Self-service erase failed", { error: error.message });
+        throw transformError(error, "eraseOwnData");
+    }
+};
+
+/**
+ * Admin erase
+ * @param {string} studentId - Student ID
+ * @param {Object} data - { confirm: true }
+ * @param {Object} admin - { adminId, ipAddress }
+ * @returns {Promise<Object>} { erasedAt, summary }
+ */
+const adminEraseStudentData = async (studentId, data, { adminId = null, ipAddress = null } = {}) => {
+    try {
+        adminEraseSchema.parse(data);
+        return await eraseStudentData(studentId, { requestedBy: "ADMIN", adminId, ipAddress });
+    } catch (error) {
+        logger.error("Admin erase failed", { error: error.message, studentId });
+        throw transformError(error, "adminEraseStudentData");
+    }
+};
+
+module.exports = {
+    exportStudentData,
+    eraseStudentData,
+    exportOwnData,
+    eraseOwnData,
+    adminEraseStudentData,
+};
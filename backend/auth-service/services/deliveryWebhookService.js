@@ -0,0 +1,240 @@
+// backend/auth-service/services/deliveryWebhookService.js
+const crypto = require("crypto");
+const deliveryLogRepository = require("../repositories/deliveryLogRepository");
+const deliveryEventRepository = require("../repositories/deliveryEventRepository");
+const studentRepository = require("../repositories/studentRepository");
+const { sendgridEventsSchema, twilioStatusSchema } = require("../models/webhookSchema");
+const { AuthenticationError, transformError } = require("../shared/utils/errors");
+const { createLogger } = require("../shared/utils/logger");
+
+const logger = createLogger("delivery-webhook-service");
+
+// Events can arrive out of order, so a log only ever moves to a higher rank
+const STATUS_RANK = {
+    SENT: 0,
+    DELIVERED: 1,
+    FAILED: 2,
+    BOUNCED: 2,
+};
+
+// SendGrid event name -> delivery log status (other events are only recorded)
+const SENDGRID_STATUSES = {
+    delivered: "DELIVERED",
+    bounce: "BOUNCED",
+    dropped: "FAILED",
+};
+
+// Drop reasons that mean the address itself is bad, not just this message
+const SENDGRID_INVALID_DROP_REASONS = ["Bounced Address", "Invalid"];
+
+// Twilio MessageStatus -> delivery log status (queued, sending, sent are only recorded)
+const TWILIO_STATUSES = {
+    delivered: "DELIVERED",
+    undelivered: "BOUNCED",
+    failed: "FAILED",
+};
+
+// Twilio error codes meaning the number cannot receive SMS at all
+// 21211 invalid number, 21614 not a mobile number, 30005 unknown handset, 30006 landline/unreachable carrier
+const TWILIO_INVALID_NUMBER_CODES = ["21211", "21614", "30005", "30006"];
+
+/**
+ * Verify a SendGrid Event Webhook signature (ECDSA over timestamp + raw body)
+ * @param {Buffer} rawBody - Request body exactly as received
+ * @param {string} signature - X-Twilio-Email-Event-Webhook-Signature header
+ * @param {string} timestamp - X-Twilio-Email-Event-Webhook-Timestamp header
+ * @throws {AuthenticationError} If the key is not configured or the signature does not match
+ */
+const verifySendgridSignature = (rawBody, signature, timestamp) => {
+    const publicKey = process.env.SENDGRID_WEBHOOK_PUBLIC_KEY;
+    if (!publicKey) {
+        throw AuthenticationError("SendGrid webhook verification key not configured", "WEBHOOK_NOT_CONFIGURED");
+    }
+    if (!rawBody || !signature || !timestamp) {
+        throw AuthenticationError("Missing webhook signature", "INVALID_WEBHOOK_SIGNATURE");
+    }
+
+    let valid;
+    try {
+        const key = crypto.createPublicKey({ key: Buffer.from(publicKey, "base64"), format: "der", type: "spki" });
+        valid = crypto.verify(
+            "sha256",
+            Buffer.concat([Buffer.from(timestamp), rawBody]),
+            key,
+            Buffer.from(signature, "base64")
+        );
+    } catch (error) {
+        logger.warn("SendGrid signature check errored", { error: error.message });
+        valid = false;
+    }
+
+    if (!valid) {
+        throw AuthenticationError("Invalid webhook signature", "INVALID_WEBHOOK_SIGNATURE");
+    }
+};
+
+/**
+ * Verify a Twilio request signature (HMAC-SHA1 of the URL plus sorted form params)
+ * @param {string} url - Full URL Twilio posted to
+ * @param {Object} params - Form parameters
+ * @param {string} signature - X-Twilio-Signature header
+ * @throws {AuthenticationError} If the auth token is not configured or the signature does not match
+ */
+const verifyTwilioSignature = (url, params, signature) => {
+    const authToken = process.env.TWILIO_AUTH_TOKEN;
+    if (!authToken) {
+        throw AuthenticationError("Twilio auth token not configured", "WEBHOOK_NOT_CONFIGURED");
+    }
+    if (!signature) {
+        throw AuthenticationError("Missing webhook signature", "INVALID_WEBHOOK_SIGNATURE");
+    }
+
+    const data = Object.keys(params)
+        .sort()
+        .reduce((acc, key) => acc + key + params[key], url);
+    const expected = crypto.createHmac("sha1", authToken).update(Buffer.from(data, "utf8")).digest();
+    const received = Buffer.from(signature, "base64");
+
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+        throw AuthenticationError("Invalid webhook signature", "INVALID_WEBHOOK_SIGNATURE");
+    }
+};
+
+/**
+ * Record one provider event, move its delivery log forward and flag dead contacts
+ * @param {Object} event - { provider, channel, providerMessageId, providerEventId, eventType, recipient, payload, occurredAt, status?, errorMessage?, invalidReason? }
+ * @returns {Promise<string>} PROCESSED | DUPLICATE | UNMATCHED
+ */
+const handleEvent = async ({ status, errorMessage, invalidReason, ...eventData }) => {
+    const log = await deliveryLogRepository.findByProviderMessageId(eventData.providerMessageId);
+
+    const { created } = await deliveryEventRepository.createEvent({
+        ...eventData,
+        deliveryLogId: log?.id || null,
+    });
+    if (!created) {
+        return "DUPLICATE";
+    }
+
+    if (log && status && STATUS_RANK[status] > STATUS_RANK[log.status]) {
+        await deliveryLogRepository.updateStatus(log.id, status, status === "DELIVERED" ? {} : { errorMessage });
+    }
+
+    if (invalidReason) {
+        // OTP and confirmation messages have no delivery log, so fall back to the address
+        let studentId = log?.signup?.studentId;
+        if (!studentId && eventData.channel === "EMAIL" && eventData.recipient) {
+            studentId = (await studentRepository.findByEmail(eventData.recipient))?.id;
+        }
+        if (studentId) {
+            await studentRepository.markContactInvalid(studentId, eventData.channel, invalidReason);
+        }
+    }
+
+    return log ? "PROCESSED" : "UNMATCHED";
+};
+
+/**
+ * Tally handleEvent outcomes
+ * @param {Array<string>} outcomes - handleEvent results
+ * @returns {Object} { received, processed, duplicates, unmatched }
+ */
+const summarize = (outcomes) => ({
+    received: outcomes.length,
+    processed: outcomes.filter((o) => o === "PROCESSED").length,
+    duplicates: outcomes.filter((o) => o === "DUPLICATE").length,
+    unmatched: outcomes.filter((o) => o === "UNMATCHED").length,
+});
+
+/**
+ * Process a batch from the SendGrid Event Webhook
+ * @param {Array<Object>} events - Parsed request body
+ * @returns {Promise<Object>} { received, processed, duplicates, unmatched }
+ */
+const processSendgridEvents = async (events) => {
+    try {
+        const validEvents = sendgridEventsSchema.parse(events);
+        const outcomes = [];
+
+        for (const event of validEvents) {
+            // sg_message_id is the X-Message-Id we stored, plus a ".filter..." suffix
+            const providerMessageId = event.sg_message_id?.split(".")[0];
+            if (!providerMessageId) {
+                outcomes.push("UNMATCHED");
+            } else {
+                const hardBounce = event.event === "bounce" && event.type !== "blocked";
+                const invalidDrop = event.event === "dropped" && SENDGRID_INVALID_DROP_REASONS.includes(event.reason);
+
+                outcomes.push(
+                    await handleEvent({
+                        provider: "sendgrid",
+                        channel: "EMAIL",
+                        providerMessageId,
+                        providerEventId: event.sg_event_id || `${event.sg_message_id}:${event.event}:${event.timestamp}`,
+                        eventType: event.event,
+                        recipient: event.email || null,
+                        payload: event,
+                        occurredAt: new Date(event.timestamp * 1000),
+                        status: SENDGRID_STATUSES[event.event],
+                        errorMessage: event.reason || null,
+                        invalidReason: hardBounce || invalidDrop ? event.reason || event.event : null,
+                    })
+                );
+            }
+        }
+
+        const summary = summarize(outcomes);
+        logger.info("SendGrid events processed", summary);
+        return summary;
+    } catch (error) {
+        logger.error("Failed to process SendGrid events", { error: error.message });
+        throw transformError(error, "processSendgridEvents");
+    }
+};
+
+/**
+ * Process a Twilio message status callback
+ * @param {Object} params - Form parameters
+ * @returns {Promise<Object>} { received, processed, duplicates, unmatched }
+ */
+const processTwilioStatus = async (params) => {
+    try {
+        const callback = twilioStatusSchema.parse(params);
+        const status = TWILIO_STATUSES[callback.MessageStatus];
+        const errorMessage = callback.ErrorCode
+            ? `Twilio error ${callback.ErrorCode}${callback.ErrorMessage ? `: ${callback.ErrorMessage}` : ""}`
+            : null;
+
+        const outcome = await handleEvent({
+            provider: "twilio",
+            channel: "SMS",
+            providerMessageId: callback.MessageSid,
+            // Twilio sends each status once per message, without an event ID
+            providerEventId: `${callback.MessageSid}:${callback.MessageStatus}`,
+            eventType: callback.MessageStatus,
+            recipient: callback.To || null,
+            payload: callback,
+            occurredAt: new Date(),
+            status,
+            errorMessage,
+            invalidReason:
+                status && status !== "DELIVERED" && TWILIO_INVALID_NUMBER_CODES.includes(callback.ErrorCode)
+                    ? errorMessage
+                    : null,
+        });
+
+        const summary = summarize([outcome]);
+        logger.info("Twilio status processed", { messageSid: callback.MessageSid, status: callback.MessageStatus, outcome });
+        return summary;
+    } catch (error) {
+        logger.error("Failed to process Twilio status", { error: error.message });
+        throw transformError(error, "processTwilioStatus");
+    }
+};
+
+module.exports = {
+    verifySendgridSignature,
+    verifyTwilioSignature,
+    processSendgridEvents,
+    processTwilioStatus,
+};
@@ -0,0 +1,81 @@
+// backend/auth-service/services/deliveryWindowService.js
+const { getZonedParts, atLocalHour, resolveStudentTimezone } = require("../lib/timezones");
+
+/**
+ * Parse an hour (0-23) from an environment variable
+ * @param {string} value - Raw value
+ * @param {number} fallback - Used when the value is missing or out of range
+ * @returns {number} Hour
+ */
+const parseHour = (value, fallback) => {
+    const hour = parseInt(value, 10);
+    return Number.isInteger(hour) && hour >= 0 && hour <= 23 ? hour : fallback;
+};
+
+// Global quiet hours in the student's local time: no reminders from START until END
+const QUIET_HOURS_START = parseHour(process.env.REMINDER_QUIET_HOURS_START, 21); // 9pm
+const QUIET_HOURS_END = parseHour(process.env.REMINDER_QUIET_HOURS_END, 8); // 8am
+
+/**
+ * Quiet hours that apply to a class (its own policy, or the global one)
+ * @param {Object} [classDefinition] - { quietHoursStart?, quietHoursEnd? }
+ * @returns {Object} { start, end } local hours; start === end means no quiet hours
+ */
+const getQuietHours = (classDefinition) => {
+    if (Number.isInteger(classDefinition?.quietHoursStart) && Number.isInteger(classDefinition?.quietHoursEnd)) {
+        return { start: classDefinition.quietHoursStart, end: classDefinition.quietHoursEnd };
+    }
+    return { start: QUIET_HOURS_START, end: QUIET_HOURS_END };
+};
+
+/**
+ * Check whether a local hour falls in quiet hours (the window may wrap past midnight)
+ * @param {number} hour - Local hour (0-23)
+ * @param {Object} quietHours - { start, end }
+ * @returns {boolean} True if sending is not allowed
+ */
+const isQuietHour = (hour, { start, end }) => {
+    if (start === end) return false;
+    return start < end ? hour >= start && hour < end : hour >= start || hour < end;
+};
+
+/**
+ * Earliest time at or after date when a reminder may be sent in a timezone
+ * @param {Date} date - Intended send time
+ * @param {string} timezone - IANA timezone
+ * @param {Object} quietHours - { start, end }
+ * @returns {Date} date itself if allowed, otherwise the end of the quiet period
+ */
+const getNextSendTime = (date, timezone, quietHours) => {
+    const { hour } = getZonedParts(date, timezone);
+    if (!isQuietHour(hour, quietHours)) {
+        return date;
+    }
+
+    // Late-evening side of a window that wraps midnight ends tomorrow morning
+    const endsTomorrow = quietHours.start > quietHours.end && hour >= quietHours.start;
+    const endDay = endsTomorrow ? new Date(date.getTime() + 24 * 60 * 60 * 1000) : date;
+    return atLocalHour(endDay, quietHours.end, timezone);
+};
+
+/**
+ * When a reminder for a student may go out
+ * @param {Object} student - { timezone?, phone? }
+ * @param {Object} [classDefinition] - Class with optional quiet hours
+ * @param {Date} [now] - Intended send time
+ * @returns {Object} { sendAt, timezone, deferred }
+ */
+const getStudentSendTime = (student, classDefinition, now = new Date()) => {
+    const timezone = resolveStudentTimezone(student);
+    const sendAt = getNextSendTime(now, timezone, getQuietHours(classDefinition));
+    return { sendAt, timezone, deferred: sendAt.getTime() > now.getTime() };
+};
+
+module.exports = {
+    QUIET_HOURS_START,
+    QUIET_HOURS_END,
+    getQuietHours,
+    isQuietHour,
+    getNextSendTime,
+    getStudentSendTime,
+};
@@ -0,0 +1,95 @@
+// backend/auth-service/services/inboundSmsService.js
+const studentRepository = require("../repositories/studentRepository");
+const optOutService = require("./optOutService");
+const { transformError } = require("../shared/utils/errors");
+const { createLogger } = require("../shared/utils/logger");
+
+const logger = createLogger("inbound-sms-service");
+
+// Carrier-standard keywords, matched on the first word of the reply
+const KEYWORDS = {
+    STOP: ["STOP", "STOPALL", "UNSUBSCRIBE", "CANCEL", "END", "QUIT"],
+    START: ["START", "UNSTOP"],
+    HELP: ["HELP", "INFO"],
+};
+
+const REPLIES = {
+    STOP: "You have been unsubscribed from Training Portal SMS reminders and will receive no further messages. Reply START to resubscribe.",
+    START: "You have been resubscribed to Training Portal SMS reminders. Reply HELP for help, STOP to unsubscribe.",
+};
+
+const getHelpText = () =>
+    process.env.SMS_HELP_TEXT ||
+    "Training Portal: certification renewal reminders. Reply STOP to unsubscribe, START to resubscribe. Msg & data rates may apply.";
+
+/**
+ * Work out which keyword an inbound message is
+ * @param {string} body - Message text
+ * @returns {Object|null} { action: STOP|START|HELP, keyword } or null for anything else
+ */
+const parseKeyword = (body) => {
+    const keyword = (body || "").trim().split(/\s+/)[0].toUpperCase().replace(/[^A-Z]/g, "");
+    const action = Object.keys(KEYWORDS).find((key) => KEYWORDS[key].includes(keyword));
+    return action ? { action, keyword } : null;
+};
+
+/**
+ * Handle an inbound SMS: STOP and START change the sender's SMS opt-out through the
+ * same path as the unsubscribe page, HELP gets a canned help text
+ * @param {Object} message - { from, body }
+ * @returns {Promise<Object>} { action, reply } (both null when the message is not a keyword)
+ */
+const handleInboundSms = async ({ from, body }) => {
+    try {
+        const parsed = parseKeyword(body);
+        if (!parsed) {
+            logger.info("Inbound SMS ignored (not a keyword)", { from: `***${from.slice(-4)}` });
+            return { action: null, reply: null };
+        }
+
+        const { action, keyword } = parsed;
+        if (action === "HELP") {
+            return { action, reply: getHelpText() };
+        }
+
+        const optedOut = action === "STOP";
+        const student = await studentRepository.findByPhoneNumber(from);
+        if (student) {
+            await optOutService.applyOptOut({
+                studentId: student.id,
+                optedOutSms: optedOut,
+                source: "SMS",
+                keyword,
+                destination: from,
+                context: { verifiedChannels: ["SMS"] },
+            });
+        } else {
+            await optOutService.recordUnknownSmsOptOut({ optedOut, keyword, destination: from });
+        }
+
+        logger.info("SMS keyword handled", { action, keyword, studentId: student?.id || null });
+        return { action, reply: REPLIES[action] };
+    } catch (error) {
+        logger.error("Handle inbound SMS failed", { error: error.message });
+        throw transformError(error, "handleInboundSms");
+    }
+};
+
+/**
+ * TwiML response for a Twilio inbound-message webhook
+ * @param {string|null} reply - Text to send back, or null for no reply
+ * @returns {string} XML
+ */
+const buildTwimlReply = (reply) => {
+    if (!reply) {
+        return '<?xml version="1.0" encoding="UTF-8"?><Response></Response>';
+    }
+    const escaped = reply.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+    return `<?xml version="1.0" encoding="UTF-8"?><Response><Message>${escaped}</Message></Response>`;
+};
+
+module.exports = {
+    parseKeyword,
+    handleInboundSms,
+    buildTwimlReply,
+};
@@ -0,0 +1,125 @@
+// backend/auth-service/services/jobRunService.js
+const os = require("os");
+const jobRunRepository = require("../repositories/jobRunRepository");
+const { transformError } = require("../shared/utils/errors");
+const { createLogger } = require("../shared/utils/logger");
+
+const logger = createLogger("job-run-service");
+
+// Identifies this process in job_runs.instanceId and reminder_jobs.lockedBy
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+
+// Longest a locked run may hold its advisory lock
+const DEFAULT_LOCK_TIMEOUT_MS = 5 * 60 * 1000; // 5 minutes
+
+/**
+ * Run a job and record it in job_runs (RUNNING first, so a crashed run stays visible)
+ * @param {string} jobName - Job name
+ * @param {Function} fn - Async job body, called with signal
+ * @param {Function} toCounts - Maps the job result to { processedCount, sentCount, failedCount }
+ * @param {AbortSignal} [signal] - Fires when the job should stop early
+ * @returns {Promise<*>} Job result (errors are recorded, then rethrown)
+ */
+const trackRun = async (jobName, fn, toCounts, signal) => {
+    const run = await jobRunRepository.createRun({ jobName, instanceId: INSTANCE_ID });
+
+    try {
+        const result = await fn(signal);
+        await jobRunRepository.finishRun(run.id, {
+            status: "SUCCEEDED",
+            ...toCounts(result),
+            summary: result,
+        });
+        return result;
+    } catch (error) {
+        await jobRunRepository.finishRun(run.id, {
+            status: "FAILED",
+            error: error.message,
+        });
+        throw error;
+    }
+};
+
+/**
+ * Run a job on at most one instance at a time.
+ * Instances that cannot take the advisory lock skip the run without recording it.
+ * fn is passed an AbortSignal that fires after timeoutMs; it should stop at its
+ * next safe point so the run ends while the lock is still held.
+ * @param {string} jobName - Job name (also the lock name)
+ * @param {Function} fn - Async job body, called with signal
+ * @param {Function} toCounts - Maps the job result to { processedCount, sentCount, failedCount }
+ * @param {Object} [options] - { timeoutMs }
+ * @returns {Promise<Object>} { acquired, result? }
+ */
+const runExclusive = async (jobName, fn, toCounts, { timeoutMs = DEFAULT_LOCK_TIMEOUT_MS } = {}) => {
+    const outcome = await jobRunRepository.withAdvisoryLock(
+        jobName,
+        (signal) => trackRun(jobName, fn, toCounts, signal),
+        timeoutMs
+    );
+
+    if (!outcome.acquired) {
+        logger.debug("Job skipped, another instance holds the lock", { jobName, instanceId: INSTANCE_ID });
+    }
+    return outcome;
+};
+
+/**
+ * Record a run after the fact (for frequent jobs that only log runs that did work)
+ * @param {string} jobName - Job name
+ * @param {Date} startedAt - When the run started
+ * @param {Object} counts - { processedCount, sentCount, failedCount }
+ * @param {Object} summary - Full job result
+ * @returns {Promise<Object>} Created run
+ */
+const recordRun = async (jobName, startedAt, counts, summary) => {
+    return jobRunRepository.createFinishedRun({
+        jobName,
+        instanceId: INSTANCE_ID,
+        startedAt,
+        status: "SUCCEEDED",
+        ...counts,
+        summary,
+    });
+};
+
+/**
+ * Record a failed run after the fact
+ * @param {string} jobName - Job name
+ * @param {Date} startedAt - When the run started
+ * @param {Error} error - What went wrong
+ * @returns {Promise<Object>} Created run
+ */
+const recordFailedRun = async (jobName, startedAt, error) => {
+    return jobRunRepository.createFinishedRun({
+        jobName,
+        instanceId: INSTANCE_ID,
+        startedAt,
+        status: "FAILED",
+        error: error.message,
+    });
+};
+
+/**
+ * Get scheduler history (admin)
+ * @param {Object} filters - { jobName?, status? }
+ * @param {Object} options - { page, limit }
+ * @returns {Promise<Object>} { runs, pagination }
+ */
+const getRuns = async (filters = {}, options = {}) => {
+    try {
+        return await jobRunRepository.findRuns(filters, options);
+    } catch (error) {
+        logger.error("Get job runs failed", { error: error.message });
+        throw transformError(error, "getRuns");
+    }
+};
+
+module.exports = {
+    INSTANCE_ID,
+    trackRun,
+    runExclusive,
+    recordRun,
+    recordFailedRun,
+    getRuns,
+};
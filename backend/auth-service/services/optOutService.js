@@ -0,0 +1,173 @@
+// backend/auth-service/services/optOutService.js
+// The one place opt-out preferences change, so the unsubscribe page, the student
+// opt-out endpoint and SMS keywords behave the same and all land in the audit trail
+// and the consent ledger.
+const studentRepository = require("../repositories/studentRepository");
+const signupRepository = require("../repositories/signupRepository");
+const optOutEventRepository = require("../repositories/optOutEventRepository");
+const consentRecordRepository = require("../repositories/consentRecordRepository");
+const { ValidationError, NotFoundError, transformError } = require("../shared/utils/errors");
+const { createLogger } = require("../shared/utils/logger");
+
+const logger = createLogger("opt-out-service");
+
+// Preference flag -> channel it controls
+const CHANNEL_FLAGS = {
+    optedOutEmail: "EMAIL",
+    optedOutSms: "SMS",
+};
+
+/**
+ * Audit events for the flags in requested that differ from current
+ * @param {Object} current - Record holding the flags now
+ * @param {Object} requested - { optedOutEmail?, optedOutSms? }
+ * @param {Object} base - Fields shared by every event (studentId, signupId, source, ...)
+ * @returns {Array<Object>} Events
+ */
+const diffEvents = (current, requested, base) => {
+    return Object.entries(CHANNEL_FLAGS)
+        .filter(([flag]) => requested[flag] !== undefined && requested[flag] !== current[flag])
+        .map(([flag, channel]) => ({ ...base, channel, optedOut: requested[flag] }));
+};
+
+/**
+ * Consent ledger entries for audit events
+ * @param {Array<Object>} events - Events from diffEvents
+ * @param {Object} student - Student the events belong to
+ * @param {Object} context - { ipAddress?, userAgent?, verifiedChannels? }
+ * @returns {Array<Object>} Consent records
+ */
+const toConsentRecords = (events, student, context) => {
+    return events.map((event) => ({
+        studentId: event.studentId,
+        signupId: event.signupId || null,
+        channel: event.channel,
+        granted: !event.optedOut,
+        source: event.source,
+        destination: event.destination || (event.channel === "EMAIL" ? student.email : student.phone) || null,
+        keyword: event.keyword,
+        verifiedChannels: context.verifiedChannels || [],
+        ipAddress: context.ipAddress || null,
+        userAgent: context.userAgent || null,
+    }));
+};
+
+/**
+ * Change a student's opt-out preferences and record what changed
+ * @param {Object} params
+ * @param {string} params.studentId - Student ID
+ * @param {boolean} [params.optedOutEmail] - Student-wide email opt-out
+ * @param {boolean} [params.optedOutSms] - Student-wide SMS opt-out
+ * @param {Array<Object>} [params.signupPreferences] - [{ signupId, optedOutEmail, optedOutSms }]
+ * @param {string} params.source - WEB | LINK | LIST_UNSUBSCRIBE | PORTAL | SMS
+ * @param {string} [params.keyword] - SMS keyword that triggered the change
+ * @param {string} [params.destination] - Phone number the keyword came from
+ * @param {Object} [params.context] - { ipAddress, userAgent, verifiedChannels } for the consent ledger
+ * @returns {Promise<Object>} { student, changes }
+ */
+const applyOptOut = async ({
+    studentId,
+    optedOutEmail,
+    optedOutSms,
+    signupPreferences = [],
+    source,
+    keyword = null,
+    destination = null,
+    context = {},
+}) => {
+    try {
+        const student = await studentRepository.findById(studentId);
+        if (!student) {
+            throw NotFoundError("Student not found", "STUDENT_NOT_FOUND");
+        }
+
+        const base = { studentId, source, keyword, destination };
+        const events = [];
+
+        if (signupPreferences.length > 0) {
+            // Verify all signups belong to this student
+            const studentSignups = await signupRepository.findByStudentId(studentId);
+            const signupsById = new Map(studentSignups.map((s) => [s.id, s]));
+
+            for (const pref of signupPreferences) {
+                const signup = signupsById.get(pref.signupId);
+                if (!signup) {
+                    throw ValidationError("Invalid signup ID in preferences.", "INVALID_SIGNUP_ID");
+                }
+                events.push(...diffEvents(signup, pref, { ...base, signupId: signup.id }));
+            }
+
+            await signupRepository.updateSignupOptOutBatch(signupPreferences);
+        }
+
+        let updatedStudent = student;
+        const studentPrefs = { optedOutEmail, optedOutSms };
+        if (optedOutEmail !== undefined || optedOutSms !== undefined) {
+            events.push(...diffEvents(student, studentPrefs, base));
+            updatedStudent = await studentRepository.updateOptOutStatus(studentId, studentPrefs);
+        }
+
+        // An SMS keyword is always written to the ledger, even when it changes nothing
+        const consentEvents = [...events];
+        if (keyword && optedOutSms !== undefined && !events.some((event) => event.channel === "SMS")) {
+            consentEvents.push({ ...base, channel: "SMS", optedOut: optedOutSms });
+        }
+
+        await optOutEventRepository.createEvents(events);
+        await consentRecordRepository.createRecords(toConsentRecords(consentEvents, student, context));
+
+        logger.info("Opt-out preferences applied", { studentId, source, changes: events.length });
+        return { student: updatedStudent, changes: events.length };
+    } catch (error) {
+        logger.error("Apply opt-out failed", { error: error.message, studentId, source });
+        throw transformError(error, "applyOptOut");
+    }
+};
+
+/**
+ * Record an SMS keyword from a number that belongs to no student, so the
+ * request is on file if the number signs up later
+ * @param {Object} params - { optedOut, keyword, destination }
+ * @returns {Promise<void>}
+ */
+const recordUnknownSmsOptOut = async ({ optedOut, keyword, destination }) => {
+    try {
+        await optOutEventRepository.createEvents([
+            { studentId: null, channel: "SMS", optedOut, source: "SMS", keyword, destination },
+        ]);
+        await consentRecordRepository.createRecords([
+            {
+                studentId: null,
+                channel: "SMS",
+                granted: !optedOut,
+                source: "SMS",
+                destination,
+                keyword,
+                verifiedChannels: ["SMS"],
+            },
+        ]);
+    } catch (error) {
+        logger.error("Record unknown SMS opt-out failed", { error: error.message });
+        throw transformError(error, "recordUnknownSmsOptOut");
+    }
+};
+
+/**
+ * Opt-out audit trail for a student (admin)
+ * @param {string} studentId - Student ID
+ * @returns {Promise<Array>} Events, newest first
+ */
+const getOptOutHistory = async (studentId) => {
+    try {
+        return await optOutEventRepository.findByStudentId(studentId);
+    } catch (error) {
+        logger.error("Get opt-out history failed", { error: error.message, studentId });
+        throw transformError(error, "getOptOutHistory");
+    }
+};
+
+module.exports = {
+    applyOptOut,
+    recordUnknownSmsOptOut,
+    getOptOutHistory,
+};
@@ -0,0 +1,111 @@
+// backend/auth-service/services/otpChallengeService.js
+const crypto = require("crypto");
+const otpChallengeRepository = require("../repositories/otpChallengeRepository");
+const { hashOtp, compareOtp } = require("../lib/utils");
+const { ValidationError, transformError } = require("../shared/utils/errors");
+const { createLogger } = require("../shared/utils/logger");
+
+const logger = createLogger("otp-challenge-service");
+
+const MAX_ATTEMPTS = 5;
+
+/**
+ * Generate a 6-digit numeric OTP from the CSPRNG
+ * @returns {string} 6-digit OTP
+ */
+const generateOtp = () => {
+    return crypto.randomInt(0, 1000000).toString().padStart(6, "0");
+};
+
+/**
+ * How long a code stays valid (OTP_TTL_MINUTES, default 10)
+ * @returns {number} Milliseconds
+ */
+const getOtpTtlMs = () => (Number(process.env.OTP_TTL_MINUTES) || 10) * 60 * 1000;
+
+/**
+ * Issue a code for a purpose and destination. It replaces any earlier code for the
+ * same pair but keeps its attempt count, so requesting new codes doesn't reset the limit.
+ * @param {Object} params - { purpose, destination, channel }
+ * @returns {Promise<Object>} { code, expiresAt } - the plain code, to be sent and then discarded
+ */
+const issueChallenge = async ({ purpose, destination, channel }) => {
+    try {
+        const key = destination.trim().toLowerCase();
+        const previous = await otpChallengeRepository.findActive(purpose, key);
+
+        if (previous && previous.attempts >= previous.maxAttempts) {
+            throw ValidationError("Too many attempts. Please try again later.", "TOO_MANY_ATTEMPTS");
+        }
+
+        const code = generateOtp();
+        const expiresAt = new Date(Date.now() + getOtpTtlMs());
+
+        await otpChallengeRepository.deleteByDestination(purpose, key);
+        await otpChallengeRepository.createChallenge({
+            purpose,
+            destination: key,
+            channel,
+            codeHash: hashOtp(code),
+            attempts: previous?.attempts || 0,
+            maxAttempts: MAX_ATTEMPTS,
+            expiresAt,
+        });
+
+        return { code, expiresAt };
+    } catch (error) {
+        logger.error("Issue OTP challenge failed", { error: error.message, purpose });
+        throw transformError(error, "issueChallenge");
+    }
+};
+
+/**
+ * Check a submitted code and use it up. Attempts are counted before comparing, and a
+ * code only works for the purpose it was issued for.
+ * @param {Object} params - { purpose, destination, code }
+ * @returns {Promise<Object>} The consumed challenge
+ * @throws {ValidationError} OTP_EXPIRED, TOO_MANY_ATTEMPTS or INVALID_OTP
+ */
+const verifyChallenge = async ({ purpose, destination, code }) => {
+    try {
+        const key = destination.trim().toLowerCase();
+        const challenge = await otpChallengeRepository.findActive(purpose, key);
+
+        if (!challenge) {
+            throw ValidationError("Verification code has expired or was not requested. Please request a new code.", "OTP_EXPIRED");
+        }
+
+        if (challenge.attempts >= challenge.maxAttempts) {
+            throw ValidationError("Too many verification attempts. Please try again later.", "TOO_MANY_ATTEMPTS");
+        }
+
+        const { attempts } = await otpChallengeRepository.recordAttempt(challenge.id);
+        if (attempts > challenge.maxAttempts) {
+            throw ValidationError("Too many verification attempts. Please try again later.", "TOO_MANY_ATTEMPTS");
+        }
+
+        if (!compareOtp(code, challenge.codeHash)) {
+            const remaining = challenge.maxAttempts - attempts;
+            logger.warn("OTP verification failed - OTP mismatch", { purpose, remainingAttempts: remaining });
+            throw ValidationError(`Invalid verification code. ${remaining} attempts remaining.`, "INVALID_OTP");
+        }
+
+        // A second request with the same code loses here
+        const consumed = await otpChallengeRepository.consumeChallenge(challenge.id);
+        if (!consumed) {
+            throw ValidationError("Verification code has already been used. Please request a new code.", "OTP_EXPIRED");
+        }
+
+        return challenge;
+    } catch (error) {
+        logger.error("Verify OTP challenge failed", { error: error.message, purpose });
+        throw transformError(error, "verifyChallenge");
+    }
+};
+
+module.exports = {
+    generateOtp,
+    getOtpTtlMs,
+    issueChallenge,
+    verifyChallenge,
+};
@@ -0,0 +1,139 @@
+// backend/auth-service/services/passwordResetService.js
+// Self-service admin password reset: "Forgot password?" emails a single-use link, and
+// the reset page swaps the password and signs the admin out everywhere.
+const crypto = require("crypto");
+const adminRepository = require("../repositories/adminRepository");
+const passwordResetRepository = require("../repositories/passwordResetRepository");
+const sessionRepository = require("../repositories/adminSessionRepository");
+const emailService = require("./emailService");
+const { hashPassword } = require("../lib/utils");
+const { passwordResetRequestSchema, passwordResetSchema } = require("../models/adminSchema");
+const {
+  generatePasswordResetEmailHtml,
+  generatePasswordResetEmailText,
+} = require("../templates/passwordResetTemplates");
+const { ValidationError, transformError } = require("../shared/utils/errors");
+const { PASSWORD_RESET_CONFIG } = require("../lib/constants");
+const { createLogger } = require("../shared/utils/logger");
+
+const logger = createLogger("password-reset-service");
+
+// Same answer whether or not the email belongs to an admin, so the form can't be used
+// to find out who has an account
+const RESET_REQUESTED_MESSAGE = "If that email belongs to an active account, a reset link is on its way.";
+
+const INVALID_LINK_MESSAGE = "This reset link is invalid or has expired. Please request a new one.";
+
+/**
+ * Only a hash of the reset token is stored; the token itself is only ever in the email
+ * @param {string} token - Token from the reset link
+ * @returns {string} Hex SHA-256 of the token
+ */
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+/**
+ * Build the reset page link sent to the admin
+ * @param {string} token - Reset token
+ * @returns {string} URL of the reset password page
+ */
+const buildResetLink = (token) => {
+  const appUrl = process.env.APP_BASE_URL || "https://yourapp.com";
+  return `${appUrl}/reset-password?token=${token}`;
+};
+
+/**
+ * Email a password reset link to an active admin. Always resolves with the same
+ * message; unknown and inactive accounts are only logged.
+ * @param {Object} data - { email }
+ * @param {Object} requestMetadata - { ipAddress, userAgent }
+ * @returns {Promise<Object>} { message }
+ */
+const requestPasswordReset = async (data, requestMetadata = {}) => {
+  try {
+    const { email } = passwordResetRequestSchema.parse(data);
+
+    const admin = await adminRepository.findByEmail(email);
+    if (!admin || !admin.isActive) {
+      logger.warn("Password reset requested for unknown or inactive account", {
+        ip: requestMetadata.ipAddress,
+      });
+      return { message: RESET_REQUESTED_MESSAGE };
+    }
+
+    const token = crypto.randomBytes(32).toString("base64url");
+    const expiresInMinutes = PASSWORD_RESET_CONFIG.TOKEN_EXPIRY / 60000;
+
+    // Replaces any earlier link for this admin
+    await passwordResetRepository.createPasswordReset({
+      adminId: admin.id,
+      email: admin.email,
+      token: hashToken(token),
+      expiresAt: new Date(Date.now() + PASSWORD_RESET_CONFIG.TOKEN_EXPIRY),
+      ipAddress: requestMetadata.ipAddress,
+      userAgent: requestMetadata.userAgent,
+    });
+
+    const resetLink = buildResetLink(token);
+    const result = await emailService.sendEmail({
+      to: admin.email,
+      subject: "Reset your password - Training Portal",
+      body: generatePasswordResetEmailText({ name: admin.name, resetLink, expiresInMinutes }),
+      html: generatePasswordResetEmailHtml({ name: admin.name, resetLink, expiresInMinutes }),
+    });
+    if (!result.success) {
+      logger.error("Password reset email not sent", { adminId: admin.id, error: result.error });
+    }
+
+    logger.info("Password reset requested", { adminId: admin.id, ip: requestMetadata.ipAddress });
+    return { message: RESET_REQUESTED_MESSAGE };
+  } catch (error) {
+    logger.error("Password reset request failed", { error: error.message });
+    throw transformError(error, "requestPasswordReset");
+  }
+};
+
+/**
+ * Set a new password from a reset link. The link is used up, and every session the
+ * admin has is invalidated so a stolen session can't outlive the reset.
+ * @param {Object} data - { token, newPassword, confirmPassword }
+ * @returns {Promise<Object>} { message }
+ */
+const resetPassword = async (data) => {
+  try {
+    const token = typeof data?.token === "string" ? data.token : "";
+    const reset = token ? await passwordResetRepository.findByToken(hashToken(token)) : null;
+    if (!reset || !reset.admin?.isActive) {
+      throw ValidationError(INVALID_LINK_MESSAGE, "INVALID_RESET_TOKEN");
+    }
+
+    // A link only survives a few rejected passwords
+    const parsed = passwordResetSchema.safeParse(data);
+    if (!parsed.success) {
+      const { attempts } = await passwordResetRepository.incrementAttempts(reset.id);
+      if (attempts >= PASSWORD_RESET_CONFIG.MAX_ATTEMPTS) {
+        await passwordResetRepository.markAsUsed(reset.id);
+      }
+      throw parsed.error;
+    }
+
+    // Use the link up before changing anything, so two requests with it can't both succeed
+    if (!(await passwordResetRepository.claimReset(reset.id))) {
+      throw ValidationError(INVALID_LINK_MESSAGE, "INVALID_RESET_TOKEN");
+    }
+
+    const hashedPassword = await hashPassword(parsed.data.newPassword);
+    await adminRepository.updatePassword(reset.adminId, hashedPassword);
+    await sessionRepository.invalidateAllSessions(reset.adminId);
+
+    logger.info("Admin password reset", { adminId: reset.adminId });
+    return { message: "Your password has been reset. Please sign in with your new password." };
+  } catch (error) {
+    logger.error("Password reset failed", { error: error.message });
+    throw transformError(error, "resetPassword");
+  }
+};
+
+module.exports = {
+  requestPasswordReset,
+  resetPassword,
+};
@@ -0,0 +1,90 @@
+// backend/auth-service/services/providers/index.js
+// Messaging provider registry. An adapter is an object with:
+//   name                           - key used in EMAIL_PROVIDER / SMS_PROVIDER
+//   channels                       - channels it can deliver ("EMAIL", "SMS")
+//   isAvailable()                  - true when its credentials are present
+//   send(message, channel)         - resolves { success, messageId?, error? }, never throws
+//   verifyConfiguration()          - resolves { configured, error? }
+const sendgridProvider = require("./sendgridProvider");
+const smtpProvider = require("./smtpProvider");
+const twilioProvider = require("./twilioProvider");
+const outboxProvider = require("./outboxProvider");
+
+const providers = new Map();
+
+// Production default per channel when no provider is configured explicitly
+const DEFAULT_PROVIDERS = {
+    EMAIL: "sendgrid",
+    SMS: "twilio",
+};
+
+const CONFIG_KEYS = {
+    EMAIL: "EMAIL_PROVIDER",
+    SMS: "SMS_PROVIDER",
+};
+
+/**
+ * Register an adapter (replaces any adapter with the same name)
+ * @param {Object} provider - Adapter implementing the interface above
+ */
+const registerProvider = (provider) => {
+    if (!provider?.name || typeof provider.send !== "function" || !Array.isArray(provider.channels)) {
+        throw new Error("Messaging provider must have a name, channels and a send function");
+    }
+    providers.set(provider.name, provider);
+};
+
+[sendgridProvider, smtpProvider, twilioProvider, outboxProvider].forEach(registerProvider);
+
+/**
+ * Name of the adapter configured for a channel.
+ * EMAIL_PROVIDER / SMS_PROVIDER win; otherwise the production default is used when its
+ * credentials are present, and outside production everything falls back to the outbox.
+ * @param {string} channel - EMAIL or SMS
+ * @returns {string} Provider name
+ */
+const getProviderName = (channel) => {
+    const configured = process.env[CONFIG_KEYS[channel]];
+    if (configured) {
+        return configured.trim().toLowerCase();
+    }
+
+    const fallback = DEFAULT_PROVIDERS[channel];
+    if (process.env.NODE_ENV !== "production" && !providers.get(fallback)?.isAvailable()) {
+        return outboxProvider.name;
+    }
+    return fallback;
+};
+
+/**
+ * Adapter that delivers a channel
+ * @param {string} channel - EMAIL or SMS
+ * @returns {Object} Adapter
+ */
+const getProvider = (channel) => {
+    const name = getProviderName(channel);
+    const provider = providers.get(name);
+
+    if (!provider || !provider.channels.includes(channel)) {
+        throw new Error(`Unknown ${channel} provider "${name}" (check ${CONFIG_KEYS[channel]})`);
+    }
+    return provider;
+};
+
+/**
+ * Providers in use for every channel, for startup logging and health checks
+ * @returns {Object} { EMAIL: name, SMS: name }
+ */
+const describeProviders = () => {
+    return Object.keys(CONFIG_KEYS).reduce((acc, channel) => {
+        acc[channel] = getProviderName(channel);
+        return acc;
+    }, {});
+};
+
+module.exports = {
+    registerProvider,
+    getProvider,
+    getProviderName,
+    describeProviders,
+};
@@ -0,0 +1,67 @@
+// backend/auth-service/services/providers/outboxProvider.js
+// Local transport for dev and CI: messages are written to disk instead of being delivered.
+const crypto = require("crypto");
+const fs = require("fs/promises");
+const path = require("path");
+const { createLogger } = require("../../shared/utils/logger");
+
+const logger = createLogger("outbox-provider");
+
+// Resolved per call so OUTBOX_DIR from .env is picked up after startup
+const getOutboxDir = () => path.resolve(process.env.OUTBOX_DIR || path.join(__dirname, "../../outbox"));
+
+/**
+ * Write a message to the outbox directory as one JSON file
+ * @param {Object} message - { to, subject?, body, html?, headers? }
+ * @param {string} channel - EMAIL or SMS
+ * @returns {Promise<Object>} - { success, messageId, file, error? }
+ */
+const send = async (message, channel) => {
+    const messageId = `outbox-${crypto.randomUUID()}`;
+    const createdAt = new Date();
+    // Timestamp prefix keeps a directory listing in send order
+    const outboxDir = getOutboxDir();
+    const file = path.join(outboxDir, `${createdAt.getTime()}-${channel.toLowerCase()}-${messageId}.json`);
+
+    try {
+        await fs.mkdir(outboxDir, { recursive: true });
+        await fs.writeFile(
+            file,
+            JSON.stringify({ messageId, channel, createdAt: createdAt.toISOString(), ...message }, null, 2)
+        );
+
+        logger.info(`[outbox] ${channel} to ${message.to}${message.subject ? ` - ${message.subject}` : ""}`, {
+            messageId,
+            file,
+        });
+
+        return { success: true, messageId, file };
+    } catch (error) {
+        logger.error("Failed to write outbox message", { channel, to: message.to, error: error.message });
+        return { success: false, error: error.message };
+    }
+};
+
+/**
+ * Verify the outbox directory is writable
+ * @returns {Promise<Object>} - { configured, directory, error? }
+ */
+const verifyConfiguration = async () => {
+    const directory = getOutboxDir();
+    try {
+        await fs.mkdir(directory, { recursive: true });
+        await fs.access(directory, fs.constants.W_OK);
+        return { configured: true, directory };
+    } catch (error) {
+        return { configured: false, directory, error: error.message };
+    }
+};
+
+module.exports = {
+    name: "outbox",
+    channels: ["EMAIL", "SMS"],
+    isAvailable: () => true,
+    send,
+    verifyConfiguration,
+    getOutboxDir,
+};
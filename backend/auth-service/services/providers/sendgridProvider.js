@@ -0,0 +1,101 @@
+// backend/auth-service/services/providers/sendgridProvider.js
+const sgMail = require("@sendgrid/mail");
+const { createLogger } = require("../../shared/utils/logger");
+
+const logger = createLogger("sendgrid-provider");
+
+let isInitialized = false;
+
+/**
+ * Initialize SendGrid with API key
+ */
+const initializeSendGrid = () => {
+    if (isInitialized) return true;
+
+    const apiKey = process.env.SENDGRID_API_KEY;
+    if (!apiKey) {
+        logger.warn("SENDGRID_API_KEY not set. Email sending will be disabled.");
+        return false;
+    }
+
+    sgMail.setApiKey(apiKey);
+    isInitialized = true;
+    logger.info("SendGrid initialized successfully");
+    return true;
+};
+
+/**
+ * Send an email via SendGrid
+ * @param {Object} message - { to, subject, body, html, headers? }
+ * @returns {Promise<Object>} - { success, messageId, statusCode, error? }
+ */
+const send = async ({ to, subject, body, html, headers }) => {
+    try {
+        if (!initializeSendGrid()) {
+            return { success: false, error: "SendGrid not configured" };
+        }
+
+        const fromEmail = process.env.SENDGRID_FROM_EMAIL;
+        const fromName = process.env.SENDGRID_FROM_NAME || "Student Training Portal";
+
+        if (!fromEmail) {
+            logger.warn("SENDGRID_FROM_EMAIL not set, skipping email send");
+            return { success: false, error: "SendGrid from email not configured" };
+        }
+
+        const [response] = await sgMail.send({
+            to,
+            from: {
+                email: fromEmail,
+                name: fromName,
+            },
+            subject,
+            text: body,
+            html,
+            headers,
+        });
+
+        return {
+            success: true,
+            messageId: response.headers["x-message-id"],
+            statusCode: response.statusCode,
+        };
+    } catch (error) {
+        // Extract detailed error from SendGrid response
+        const errorMessage = error.response?.body?.errors?.[0]?.message || error.message;
+
+        logger.error("SendGrid request failed", {
+            to,
+            subject,
+            error: errorMessage,
+            statusCode: error.response?.statusCode || error.code,
+            fromEmail: process.env.SENDGRID_FROM_EMAIL || "NOT SET",
+        });
+
+        return { success: false, error: errorMessage };
+    }
+};
+
+/**
+ * Verify SendGrid configuration
+ * @returns {Promise<Object>} - { configured, error? }
+ */
+const verifyConfiguration = async () => {
+    if (!process.env.SENDGRID_API_KEY) {
+        return { configured: false, error: "SENDGRID_API_KEY not set" };
+    }
+
+    if (!process.env.SENDGRID_FROM_EMAIL) {
+        return { configured: false, error: "SENDGRID_FROM_EMAIL not set" };
+    }
+
+    return { configured: true };
+};
+
+module.exports = {
+    name: "sendgrid",
+    channels: ["EMAIL"],
+    isAvailable: () => Boolean(process.env.SENDGRID_API_KEY),
+    send,
+    verifyConfiguration,
+};
@@ -0,0 +1,111 @@
+// backend/auth-service/services/providers/smtpProvider.js
+const nodemailer = require("nodemailer");
+const { createLogger } = require("../../shared/utils/logger");
+
+const logger = createLogger("smtp-provider");
+
+let transporter = null;
+
+/**
+ * Create the SMTP transport (lazy initialization)
+ * @returns {Object|null} Nodemailer transport or null if not configured
+ */
+const getTransporter = () => {
+    if (transporter) return transporter;
+
+    const host = process.env.SMTP_HOST;
+    if (!host) {
+        logger.warn("SMTP_HOST not set. SMTP email sending will be disabled.");
+        return null;
+    }
+
+    const port = parseInt(process.env.SMTP_PORT, 10) || 587;
+    transporter = nodemailer.createTransport({
+        host,
+        port,
+        // Port 465 is implicit TLS; other ports upgrade with STARTTLS
+        secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === "true" : port === 465,
+        ...(process.env.SMTP_USER && {
+            auth: {
+                user: process.env.SMTP_USER,
+                pass: process.env.SMTP_PASS,
+            },
+        }),
+    });
+    logger.info("SMTP transport initialized", { host, port });
+    return transporter;
+};
+
+/**
+ * Send an email over SMTP
+ * @param {Object} message - { to, subject, body, html, headers? }
+ * @returns {Promise<Object>} - { success, messageId, error? }
+ */
+const send = async ({ to, subject, body, html, headers }) => {
+    try {
+        const transport = getTransporter();
+        if (!transport) {
+            return { success: false, error: "SMTP not configured" };
+        }
+
+        const fromEmail = process.env.SMTP_FROM_EMAIL;
+        const fromName = process.env.SMTP_FROM_NAME || "Student Training Portal";
+
+        if (!fromEmail) {
+            logger.warn("SMTP_FROM_EMAIL not set, skipping email send");
+            return { success: false, error: "SMTP from email not configured" };
+        }
+
+        const info = await transport.sendMail({
+            from: { name: fromName, address: fromEmail },
+            to,
+            subject,
+            text: body,
+            html,
+            headers,
+        });
+
+        return {
+            success: true,
+            messageId: info.messageId,
+        };
+    } catch (error) {
+        logger.error("SMTP send failed", {
+            to,
+            subject,
+            error: error.message,
+            code: error.responseCode || error.code,
+        });
+
+        return { success: false, error: error.message };
+    }
+};
+
+/**
+ * Verify SMTP configuration by opening a connection to the server
+ * @returns {Promise<Object>} - { configured, host?, error? }
+ */
+const verifyConfiguration = async () => {
+    if (!process.env.SMTP_HOST) {
+        return { configured: false, error: "SMTP_HOST not set" };
+    }
+
+    if (!process.env.SMTP_FROM_EMAIL) {
+        return { configured: false, error: "SMTP_FROM_EMAIL not set" };
+    }
+
+    try {
+        await getTransporter().verify();
+        return { configured: true, host: process.env.SMTP_HOST };
+    } catch (error) {
+        return { configured: false, error: error.message };
+    }
+};
+
+module.exports = {
+    name: "smtp",
+    channels: ["EMAIL"],
+    isAvailable: () => Boolean(process.env.SMTP_HOST),
+    send,
+    verifyConfiguration,
+};
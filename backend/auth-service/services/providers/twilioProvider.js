@@ -0,0 +1,129 @@
+// backend/auth-service/services/providers/twilioProvider.js
+const { createLogger } = require("../../shared/utils/logger");
+
+const logger = createLogger("twilio-provider");
+
+let twilioClient = null;
+
+/**
+ * Initialize Twilio client (lazy initialization)
+ * @returns {Object|null} Twilio client or null if not configured
+ */
+const getClient = () => {
+    if (twilioClient) return twilioClient;
+
+    const accountSid = process.env.TWILIO_ACCOUNT_SID;
+    const authToken = process.env.TWILIO_AUTH_TOKEN;
+
+    if (!accountSid || !authToken) {
+        logger.warn("TWILIO_ACCOUNT_SID or TWILIO_AUTH_TOKEN not set. SMS sending will be disabled.");
+        return null;
+    }
+
+    try {
+        const twilio = require("twilio");
+        twilioClient = twilio(accountSid, authToken);
+        logger.info("Twilio client initialized successfully");
+        return twilioClient;
+    } catch (error) {
+        logger.error("Failed to initialize Twilio client", { error: error.message });
+        return null;
+    }
+};
+
+const getFromNumber = () => process.env.TWILIO_PHONE_NUMBER || process.env.TWILIO_FROM_NUMBER;
+
+/**
+ * Send an SMS via Twilio
+ * @param {Object} message - { to, body } with to in E.164 format
+ * @returns {Promise<Object>} - { success, messageId, status, error?, code? }
+ */
+const send = async ({ to, body }) => {
+    try {
+        const client = getClient();
+        if (!client) {
+            return { success: false, error: "Twilio client not configured" };
+        }
+
+        const fromNumber = getFromNumber();
+        if (!fromNumber) {
+            logger.warn("TWILIO_PHONE_NUMBER / TWILIO_FROM_NUMBER not set, skipping SMS send");
+            return { success: false, error: "Twilio phone number not configured" };
+        }
+
+        const message = await client.messages.create({
+            body,
+            from: fromNumber,
+            to,
+            // Delivery status is reported to the webhook when a public URL is configured
+            ...(process.env.TWILIO_STATUS_CALLBACK_URL && { statusCallback: process.env.TWILIO_STATUS_CALLBACK_URL }),
+        });
+
+        return {
+            success: true,
+            messageId: message.sid,
+            status: message.status,
+        };
+    } catch (error) {
+        // Extract Twilio-specific error details
+        logger.error("Twilio request failed", {
+            to,
+            error: error.message,
+            code: error.code,
+        });
+
+        return {
+            success: false,
+            error: error.message || "Unknown error",
+            code: error.code,
+        };
+    }
+};
+
+/**
+ * Verify Twilio configuration
+ * @returns {Promise<Object>} - { configured, accountSid?, phoneNumber?, error? }
+ */
+const verifyConfiguration = async () => {
+    const accountSid = process.env.TWILIO_ACCOUNT_SID;
+    const phoneNumber = getFromNumber();
+
+    if (!accountSid) {
+        return { configured: false, error: "TWILIO_ACCOUNT_SID not set" };
+    }
+
+    if (!process.env.TWILIO_AUTH_TOKEN) {
+        return { configured: false, error: "TWILIO_AUTH_TOKEN not set" };
+    }
+
+    if (!phoneNumber) {
+        return { configured: false, error: "TWILIO_PHONE_NUMBER or TWILIO_FROM_NUMBER not set" };
+    }
+
+    // Try to verify the account
+    try {
+        const client = getClient();
+        if (!client) {
+            return { configured: false, error: "Failed to initialize Twilio client" };
+        }
+
+        // Make a lightweight API call to verify credentials
+        await client.api.accounts(accountSid).fetch();
+
+        return {
+            configured: true,
+            accountSid: `${accountSid.slice(0, 8)}...`,
+            phoneNumber,
+        };
+    } catch (error) {
+        return { configured: false, error: error.message };
+    }
+};
+
+module.exports = {
+    name: "twilio",
+    channels: ["SMS"],
+    isAvailable: () => Boolean(process.env.TWILIO_ACCOUNT_SID && process.env.TWILIO_AUTH_TOKEN),
+    send,
+    verifyConfiguration,
+};
@@ -3,25 +3,22 @@ const crypto = require("crypto");
 const jwt = require("jsonwebtoken");
 const studentRepository = require("../repositories/studentRepository");
 const signupRepository = require("../repositories/signupRepository");
-const emailService = require("./emailService");
-const smsService = require("./smsService");
-const { generateOtp } = require("./unsubscribeService");
-const { calculateReminderDate } = require("./studentService");
-const { CLASS_TYPE_LABELS } = require("./reminderService");
+const pendingRegistrationRepository = require("../repositories/pendingRegistrationRepository");
+const otpChallengeRepository = require("../repositories/otpChallengeRepository");
+const { sendSystemMessage } = require("./systemMessageService");
+const { generateOtp, getOtpTtlMs } = require("./otpChallengeService");
+const { calculateExpiresAt, buildReminderSchedule } = require("./studentService");
+const classService = require("./classService");
+const consentService = require("./consentService");
+const { inferTimezoneFromPhone, resolveStudentTimezone } = require("../lib/timezones");
+const { hashOtp, compareOtp } = require("../lib/utils");
 const {
     initiateRegistrationSchema,
     verifyOtpSchema,
     completeRegistrationSchema,
     resendOtpSchema,
 } = require("../models/registrationOtpSchema");
-const {
-    generateRegistrationOtpEmailHtml,
-    generateRegistrationOtpEmailText,
-} = require("../templates/registrationOtpTemplates");
-const {
-    generateRegistrationConfirmationHtml,
-    generateRegistrationConfirmationText,
-} = require("../templates/registrationConfirmationTemplates");
+const { resolveLocale } = require("../lib/locales");
 const {
     ValidationError,
     ConflictError,
@@ -33,25 +30,13 @@ const { createLogger } = require("../shared/utils/logger");
 const logger = createLogger("registration-otp-service");
 
 // Configuration
-const OTP_EXPIRY_MS = 10 * 60 * 1000; // 10 minutes
 const MAX_VERIFICATION_ATTEMPTS = 5;
 const RESEND_COOLDOWN_MS = 60 * 1000; // 1 minute
 const MAX_RESENDS = 3;
 const VERIFICATION_TOKEN_EXPIRY = "5m";
 
-// In-memory storage for pending registrations
-const pendingRegistrations = new Map();
-
-// Cleanup interval (run every 60 seconds)
-setInterval(() => {
-    const now = Date.now();
-    for (const [token, data] of pendingRegistrations) {
-        if (now - data.createdAt > OTP_EXPIRY_MS) {
-            pendingRegistrations.delete(token);
-            logger.debug("Cleaned up expired registration", { token: token.substring(0, 8) });
-        }
-    }
-}, 60 * 1000);
+// Pending registrations and their codes live in the database (pending_registrations,
+// otp_challenges) so every instance sees them; jobs/otpCleanupCron.js removes expired rows.
 
 /**
  * Generate a unique registration token
@@ -80,44 +65,38 @@ const maskDestination = (destination, channel) => {
 };
 
 /**
- * Send OTP via the selected channel
+ * Send OTP via the selected channel, in the student's language
  * @param {string} destination - Email or phone
  * @param {string} channel - "email" or "phone"
  * @param {string} otp - 6-digit OTP
+ * @param {string} locale - Language the student registered in
  * @returns {Promise<Object>} Send result
  */
-const sendOtp = async (destination, channel, otp) => {
-    const expiresInMinutes = Math.floor(OTP_EXPIRY_MS / 60000);
-
-    if (channel === "email") {
-        const html = generateRegistrationOtpEmailHtml({ otp, expiresInMinutes });
-        const text = generateRegistrationOtpEmailText({ otp, expiresInMinutes });
-
-        return await emailService.sendEmail({
-            to: destination,
-            subject: "Verify Your Registration - Training Portal",
-            body: text,
-            html,
-        });
-    } else {
-        const body = `Your Training Portal verification code is: ${otp}\n\nThis code expires in ${expiresInMinutes} minutes. Do not share this code.`;
-
-        return await smsService.sendSms({
-            to: destination,
-            body,
-        });
-    }
+const sendOtp = async (destination, channel, otp, locale) => {
+    const expiresInMinutes = Math.floor(getOtpTtlMs() / 60000);
+
+    return await sendSystemMessage(
+        "VERIFICATION_CODE",
+        channel === "email" ? "EMAIL" : "SMS",
+        destination,
+        locale,
+        { code: otp, expiresInMinutes }
+    );
 };
 
 /**
  * Initiate registration - validate data, send OTP
- * @param {Object} data - { email?, phone?, classType, verificationChannel }
+ * @param {Object} data - { email?, phone?, classType, verificationChannel, locale? }
  * @returns {Promise<Object>} Registration token and expiry info
  */
 const initiateRegistration = async (data) => {
     try {
         const validatedData = initiateRegistrationSchema.parse(data);
         const { name, email, phone, classType, verificationChannel } = validatedData;
+        const locale = resolveLocale(validatedData.locale);
+
+        // Reject unknown or retired classes before sending any OTP
+        await classService.requireActiveClass(classType);
 
         const destination = verificationChannel === "email" ? email : phone;
 
@@ -127,33 +106,38 @@ const initiateRegistration = async (data) => {
         // Generate registration token and OTP
         const registrationToken = generateRegistrationToken();
         const otp = generateOtp();
-        const now = Date.now();
-        const expiresAt = new Date(now + OTP_EXPIRY_MS);
+        const expiresAt = new Date(Date.now() + getOtpTtlMs());
 
         // Determine if both channels need verification
         const bothRequired = !!(email && phone);
 
-        // Store pending registration
-        pendingRegistrations.set(registrationToken, {
-            name: name || null,
-            email: email || null,
-            phone: phone || null,
-            classType,
-            verificationChannel,
-            otp,
-            createdAt: now,
-            attempts: 0,
-            resendCount: 0,
-            lastResendAt: null,
-            bothRequired,
-            verifiedChannels: [],
-        });
+        // Store pending registration (only the OTP hash is kept)
+        await pendingRegistrationRepository.createPendingRegistration(
+            {
+                id: registrationToken,
+                name: name || null,
+                email: email || null,
+                phone: phone || null,
+                classType,
+                locale,
+                bothRequired,
+                expiresAt,
+            },
+            {
+                purpose: "SIGNUP",
+                destination: destination.toLowerCase(),
+                channel: verificationChannel,
+                codeHash: hashOtp(otp),
+                maxAttempts: MAX_VERIFICATION_ATTEMPTS,
+                expiresAt,
+            }
+        );
 
         // Send OTP
-        const sendResult = await sendOtp(destination, verificationChannel, otp);
+        const sendResult = await sendOtp(destination, verificationChannel, otp, locale);
 
         if (!sendResult.success) {
-            pendingRegistrations.delete(registrationToken);
+            await pendingRegistrationRepository.deletePendingRegistration(registrationToken);
             logger.error("OTP send failed", {
                 channel: verificationChannel,
                 error: sendResult.error,
@@ -193,9 +177,11 @@ const verifyRegistrationOtp = async (data) => {
         const { registrationToken, otp } = validatedData;
 
         // Get pending registration
-        const registration = pendingRegistrations.get(registrationToken);
+        const registration = await pendingRegistrationRepository.findById(registrationToken);
+        const challenge = registration?.challenge;
 
-        if (!registration) {
+        // A consumed challenge means both channels are already verified
+        if (!challenge || challenge.consumedAt) {
             throw NotFoundError(
                 "Registration session not found or expired. Please start over.",
                 "TOKEN_NOT_FOUND"
@@ -203,30 +189,29 @@ const verifyRegistrationOtp = async (data) => {
         }
 
         // Check if expired
-        if (Date.now() - registration.createdAt > OTP_EXPIRY_MS) {
-            pendingRegistrations.delete(registrationToken);
+        if (registration.expiresAt <= new Date()) {
+            await pendingRegistrationRepository.deletePendingRegistration(registrationToken);
             throw ValidationError(
                 "Verification code has expired. Please start over.",
                 "OTP_EXPIRED"
             );
         }
 
-        // Check if too many attempts
-        if (registration.attempts >= MAX_VERIFICATION_ATTEMPTS) {
-            pendingRegistrations.delete(registrationToken);
+        // Increment attempts before comparing (timing attack prevention); the
+        // increment is atomic, so parallel guesses can't exceed the limit
+        const { attempts, maxAttempts } = await otpChallengeRepository.recordAttempt(challenge.id);
+
+        if (attempts > maxAttempts) {
+            await pendingRegistrationRepository.deletePendingRegistration(registrationToken);
             throw ValidationError(
                 "Too many failed attempts. Please start over.",
                 "TOO_MANY_ATTEMPTS"
             );
         }
 
-        // Increment attempts before comparing (timing attack prevention)
-        registration.attempts++;
-        pendingRegistrations.set(registrationToken, registration);
-
         // Compare OTP
-        if (registration.otp !== otp.trim()) {
-            const remaining = MAX_VERIFICATION_ATTEMPTS - registration.attempts;
+        if (!compareOtp(otp, challenge.codeHash)) {
+            const remaining = maxAttempts - attempts;
             logger.warn("OTP verification failed", {
                 token: registrationToken.substring(0, 8),
                 remainingAttempts: remaining,
@@ -238,22 +223,21 @@ const verifyRegistrationOtp = async (data) => {
         }
 
         // Track verified channel
-        registration.verifiedChannels = registration.verifiedChannels || [];
-        registration.verifiedChannels.push(registration.verificationChannel);
+        const verifiedChannels = [...registration.verifiedChannels, challenge.channel];
 
         logger.info("Registration OTP verified for channel", {
             token: registrationToken.substring(0, 8),
-            channel: registration.verificationChannel,
+            channel: challenge.channel,
         });
 
         // Check if both channels need verification and second still pending
-        if (registration.bothRequired && registration.verifiedChannels.length < 2) {
-            const nextChannel = registration.verificationChannel === "email" ? "phone" : "email";
+        if (registration.bothRequired && verifiedChannels.length < 2) {
+            const nextChannel = challenge.channel === "email" ? "phone" : "email";
             const nextDestination = nextChannel === "email" ? registration.email : registration.phone;
 
             // Generate new OTP for next channel
             const newOtp = generateOtp();
-            const sendResult = await sendOtp(nextDestination, nextChannel, newOtp);
+            const sendResult = await sendOtp(nextDestination, nextChannel, newOtp, registration.locale);
 
             if (!sendResult.success) {
                 throw ValidationError(
@@ -263,24 +247,35 @@ const verifyRegistrationOtp = async (data) => {
             }
 
             // Update registration for next channel
-            registration.otp = newOtp;
-            registration.verificationChannel = nextChannel;
-            registration.attempts = 0;
-            registration.resendCount = 0;
-            registration.lastResendAt = null;
-            pendingRegistrations.set(registrationToken, registration);
-
-            const expiresAt = new Date(registration.createdAt + OTP_EXPIRY_MS);
+            await pendingRegistrationRepository.updatePendingRegistration(
+                registrationToken,
+                { verifiedChannels },
+                {
+                    channel: nextChannel,
+                    destination: nextDestination.toLowerCase(),
+                    codeHash: hashOtp(newOtp),
+                    attempts: 0,
+                    resendCount: 0,
+                    lastResentAt: null,
+                }
+            );
 
             return {
                 verified: false,
-                channelVerified: registration.verifiedChannels[0],
+                channelVerified: verifiedChannels[0],
                 nextChannel,
                 maskedDestination: maskDestination(nextDestination, nextChannel),
-                expiresAt: expiresAt.toISOString(),
+                expiresAt: registration.expiresAt.toISOString(),
             };
         }
 
+        // Consume the challenge so the code can't mint a second verification token
+        await pendingRegistrationRepository.updatePendingRegistration(
+            registrationToken,
+            { verifiedChannels },
+            { consumedAt: new Date() }
+        );
+
         // All channels verified - generate verification token (JWT)
         const verificationToken = jwt.sign(
             {
@@ -289,6 +284,8 @@ const verifyRegistrationOtp = async (data) => {
                 email: registration.email,
                 phone: registration.phone,
                 classType: registration.classType,
+                locale: registration.locale,
+                verifiedChannels,
                 purpose: "registration_complete",
             },
             process.env.JWT_ACCESS_SECRET,
@@ -311,13 +308,14 @@ const verifyRegistrationOtp = async (data) => {
 
 /**
  * Complete registration after OTP verification
- * @param {Object} data - { verificationToken }
+ * @param {Object} data - { verificationToken, disclosureVersion, completedAt?, timezone? }
+ * @param {Object} [requestMetadata] - { ipAddress, userAgent } for the consent ledger
  * @returns {Promise<Object>} Created signup and student
  */
-const completeRegistration = async (data) => {
+const completeRegistration = async (data, requestMetadata = {}) => {
     try {
         const validatedData = completeRegistrationSchema.parse(data);
-        const { verificationToken } = validatedData;
+        const { verificationToken, disclosureVersion, completedAt = new Date(), timezone } = validatedData;
 
         // Verify JWT token
         let decoded;
@@ -341,10 +339,16 @@ const completeRegistration = async (data) => {
             throw ValidationError("Invalid token purpose", "INVALID_TOKEN");
         }
 
-        const { registrationToken, name, email, phone, classType } = decoded;
+        const { registrationToken, name, email, phone, classType, verifiedChannels = [] } = decoded;
+        const locale = resolveLocale(decoded.locale);
+
+        // Reject an unknown disclosure before anything is created
+        consentService.requireDisclosure(disclosureVersion);
 
         // Clean up pending registration
-        pendingRegistrations.delete(registrationToken);
+        await pendingRegistrationRepository.deletePendingRegistration(registrationToken);
+
+        const classDefinition = await classService.requireActiveClass(classType);
 
         // Check if student already exists (returning student signing up for another class)
         let student = await studentRepository.checkExists(email, phone);
@@ -355,6 +359,8 @@ const completeRegistration = async (data) => {
                 name,
                 email,
                 phone,
+                timezone: timezone || inferTimezoneFromPhone(phone),
+                locale,
                 optedOutEmail: false,
                 optedOutSms: false,
             });
@@ -369,25 +375,39 @@ const completeRegistration = async (data) => {
                     "DUPLICATE_SIGNUP"
                 );
             }
-            // Update name if provided and student doesn't have one yet
-            if (name && !student.name) {
-                student = await studentRepository.updateStudent(student.id, { name });
+            // Fill in name and timezone if provided and the student doesn't have them yet;
+            // the language they registered in this time replaces the earlier one
+            const detailsToUpdate = {
+                ...(name && !student.name && { name }),
+                ...(timezone && !student.timezone && { timezone }),
+                ...(locale !== student.locale && { locale }),
+            };
+            if (Object.keys(detailsToUpdate).length > 0) {
+                student = await studentRepository.updateStudent(student.id, detailsToUpdate);
+            }
+            // The OTP just reached these contacts, so earlier bounces no longer apply
+            const revalidated = [
+                ...(email && student.emailInvalidAt ? ["EMAIL"] : []),
+                ...(phone && student.phoneInvalidAt ? ["SMS"] : []),
+            ];
+            if (revalidated.length > 0) {
+                student = await studentRepository.clearContactInvalid(student.id, revalidated);
             }
             logger.info("Existing student signing up for new class", { studentId: student.id });
         }
 
-        // Calculate reminder date and create signup
-        const { firstReminderDate, secondReminderDate } = calculateReminderDate(classType);
-
-        const signup = await signupRepository.createSignup({
-            studentId: student.id,
-            classType,
-            firstReminderDate,
-            secondReminderDate,
-            firstReminderStatus: "PENDING",
-            secondReminderStatus: "PENDING",
-            status: "PENDING",
-        });
+        // Create signup with its reminder stages (derived from expiry)
+        const expiresAt = calculateExpiresAt(classDefinition, completedAt);
+        const signup = await signupRepository.createSignup(
+            {
+                studentId: student.id,
+                classType,
+                status: "PENDING",
+                completedAt,
+                expiresAt,
+            },
+            buildReminderSchedule(classDefinition, expiresAt, resolveStudentTimezone(student))
+        );
 
         logger.info("Signup created via OTP verification", {
             signupId: signup.id,
@@ -395,20 +415,25 @@ const completeRegistration = async (data) => {
             classType,
         });
 
+        await consentService.recordRegistrationConsent({
+            student,
+            signup,
+            email,
+            phone,
+            verifiedChannels,
+            disclosureVersion,
+            requestMetadata,
+        });
+
         // Send confirmation email with booking link
         const bookingLink = process.env.BOOKING_LINK || "https://bookeo.com/lpginc";
-        const classTypeName = CLASS_TYPE_LABELS[classType] || classType;
+        const classTypeName = classDefinition.label;
+
+        const confirmationVariables = { classTypeName, studentName: student.name || "", bookingLink };
 
         if (email) {
             try {
-                const html = generateRegistrationConfirmationHtml({ classTypeName, bookingLink });
-                const text = generateRegistrationConfirmationText({ classTypeName, bookingLink });
-                await emailService.sendEmail({
-                    to: email,
-                    subject: `Registration Confirmed - ${classTypeName}`,
-                    body: text,
-                    html,
-                });
+                await sendSystemMessage("REGISTRATION_CONFIRMATION", "EMAIL", email, locale, confirmationVariables);
                 logger.info("Confirmation email sent", { email, classType });
             } catch (emailError) {
                 // Don't fail registration if confirmation email fails
@@ -418,10 +443,7 @@ const completeRegistration = async (data) => {
 
         if (phone) {
             try {
-                await smsService.sendSms({
-                    to: phone,
-                    body: `Registration confirmed for ${classTypeName}! Book your training session: ${bookingLink}`,
-                });
+                await sendSystemMessage("REGISTRATION_CONFIRMATION", "SMS", phone, locale, confirmationVariables);
                 logger.info("Confirmation SMS sent", { classType });
             } catch (smsError) {
                 logger.error("Failed to send confirmation SMS", { error: smsError.message });
@@ -450,9 +472,10 @@ const resendOtp = async (data) => {
         const { registrationToken } = validatedData;
 
         // Get pending registration
-        const registration = pendingRegistrations.get(registrationToken);
+        const registration = await pendingRegistrationRepository.findById(registrationToken);
+        const challenge = registration?.challenge;
 
-        if (!registration) {
+        if (!challenge || challenge.consumedAt) {
             throw NotFoundError(
                 "Registration session not found or expired. Please start over.",
                 "TOKEN_NOT_FOUND"
@@ -460,8 +483,8 @@ const resendOtp = async (data) => {
         }
 
         // Check if expired
-        if (Date.now() - registration.createdAt > OTP_EXPIRY_MS) {
-            pendingRegistrations.delete(registrationToken);
+        if (registration.expiresAt <= new Date()) {
+            await pendingRegistrationRepository.deletePendingRegistration(registrationToken);
             throw ValidationError(
                 "Registration session expired. Please start over.",
                 "SESSION_EXPIRED"
@@ -469,7 +492,7 @@ const resendOtp = async (data) => {
         }
 
         // Check resend limit
-        if (registration.resendCount >= MAX_RESENDS) {
+        if (challenge.resendCount >= MAX_RESENDS) {
             throw ValidationError(
                 "Maximum resend limit reached. Please start over.",
                 "MAX_RESENDS"
@@ -478,11 +501,11 @@ const resendOtp = async (data) => {
 
         // Check cooldown
         if (
-            registration.lastResendAt &&
-            Date.now() - registration.lastResendAt < RESEND_COOLDOWN_MS
+            challenge.lastResentAt &&
+            Date.now() - challenge.lastResentAt.getTime() < RESEND_COOLDOWN_MS
         ) {
             const waitTime = Math.ceil(
-                (RESEND_COOLDOWN_MS - (Date.now() - registration.lastResendAt)) / 1000
+                (RESEND_COOLDOWN_MS - (Date.now() - challenge.lastResentAt.getTime())) / 1000
             );
             throw ValidationError(
                 `Please wait ${waitTime} seconds before requesting another code.`,
@@ -493,15 +516,16 @@ const resendOtp = async (data) => {
         // Generate new OTP
         const newOtp = generateOtp();
         const destination =
-            registration.verificationChannel === "email"
+            challenge.channel === "email"
                 ? registration.email
                 : registration.phone;
 
         // Send new OTP
         const sendResult = await sendOtp(
             destination,
-            registration.verificationChannel,
-            newOtp
+            challenge.channel,
+            newOtp,
+            registration.locale
         );
 
         if (!sendResult.success) {
@@ -512,22 +536,25 @@ const resendOtp = async (data) => {
         }
 
         // Update registration
-        registration.otp = newOtp;
-        registration.resendCount++;
-        registration.lastResendAt = Date.now();
-        registration.attempts = 0; // Reset attempts on resend
-        pendingRegistrations.set(registrationToken, registration);
-
-        const expiresAt = new Date(registration.createdAt + OTP_EXPIRY_MS);
+        const updated = await pendingRegistrationRepository.updatePendingRegistration(
+            registrationToken,
+            {},
+            {
+                codeHash: hashOtp(newOtp),
+                resendCount: { increment: 1 },
+                lastResentAt: new Date(),
+                attempts: 0, // Reset attempts on resend
+            }
+        );
 
         logger.info("OTP resent", {
             token: registrationToken.substring(0, 8),
-            resendCount: registration.resendCount,
+            resendCount: updated.challenge.resendCount,
         });
 
         return {
-            expiresAt: expiresAt.toISOString(),
-            remainingResends: MAX_RESENDS - registration.resendCount,
+            expiresAt: registration.expiresAt.toISOString(),
+            remainingResends: MAX_RESENDS - updated.challenge.resendCount,
         };
     } catch (error) {
         logger.error("Resend OTP failed", { error: error.message });
@@ -535,11 +562,30 @@ const resendOtp = async (data) => {
     }
 };
 
+/**
+ * Delete expired pending registrations and OTP challenges (run by jobs/otpCleanupCron.js)
+ * @returns {Promise<Object>} { registrations, challenges } deleted counts
+ */
+const cleanupExpired = async () => {
+    try {
+        // Registrations first; their challenges cascade, the rest are unsubscribe and My Registrations codes
+        const registrations = await pendingRegistrationRepository.cleanupExpired();
+        const challenges = await otpChallengeRepository.cleanupExpired();
+
+        return {
+            registrations: registrations.deletedCount,
+            challenges: challenges.deletedCount,
+        };
+    } catch (error) {
+        logger.error("OTP cleanup failed", { error: error.message });
+        throw transformError(error, "cleanupExpired");
+    }
+};
+
 module.exports = {
     initiateRegistration,
     verifyRegistrationOtp,
     completeRegistration,
     resendOtp,
-    // Export for testing
-    pendingRegistrations,
+    cleanupExpired,
 };
@@ -0,0 +1,296 @@
+// backend/auth-service/services/reminderQueueService.js
+const reminderJobRepository = require("../repositories/reminderJobRepository");
+const reminderScheduleRepository = require("../repositories/reminderScheduleRepository");
+const signupRepository = require("../repositories/signupRepository");
+const reminderService = require("./reminderService");
+const classService = require("./classService");
+const { getStudentSendTime } = require("./deliveryWindowService");
+const { INSTANCE_ID } = require("./jobRunService");
+const { NotFoundError, ValidationError, transformError } = require("../shared/utils/errors");
+const { createLogger } = require("../shared/utils/logger");
+
+const logger = createLogger("reminder-queue-service");
+
+// Configuration
+const MAX_ATTEMPTS = parseInt(process.env.REMINDER_JOB_MAX_ATTEMPTS, 10) || 5;
+const BACKOFF_BASE_MS = parseInt(process.env.REMINDER_JOB_BACKOFF_MS, 10) || 60 * 1000; // 1 minute
+const BACKOFF_MAX_MS = 6 * 60 * 60 * 1000; // 6 hours
+const LOCK_TIMEOUT_MS = 10 * 60 * 1000; // 10 minutes
+const CLAIM_BATCH_SIZE = 25;
+
+/**
+ * Delay before the next attempt: base * 2^(attempts - 1), capped
+ * @param {number} attempts - Attempts made so far (including the one that just failed)
+ * @returns {number} Delay in milliseconds
+ */
+const getBackoffDelay = (attempts) => {
+    return Math.min(BACKOFF_BASE_MS * 2 ** (attempts - 1), BACKOFF_MAX_MS);
+};
+
+/**
+ * Mark a QUEUED stage SENT or FAILED once none of its jobs are still in flight.
+ * A stage counts as sent if any channel got through.
+ * @param {string} signupId - Signup ID
+ * @param {number} stage - Stage number
+ * @returns {Promise<string|null>} Final stage status, or null while jobs are pending
+ */
+const settleStage = async (signupId, stage) => {
+    const jobs = await reminderJobRepository.findStageJobs(signupId, stage);
+    if (jobs.some((job) => job.status === "QUEUED" || job.status === "PROCESSING")) {
+        return null;
+    }
+
+    const status = jobs.some((job) => job.status === "SUCCEEDED") ? "SENT" : "FAILED";
+    await reminderScheduleRepository.settleQueuedStage(signupId, stage, status);
+    return status;
+};
+
+/**
+ * Turn every due reminder stage into channel jobs.
+ * When several stages of one signup are due at once (e.g. after downtime), only the
+ * latest is enqueued and the earlier ones are marked SKIPPED.
+ * Stages that come due during the student's quiet hours are enqueued to run when
+ * quiet hours end, and the stage records deferredUntil.
+ * When signal fires the loop stops; stages not reached stay PENDING for the next run.
+ * @param {AbortSignal} [signal] - Stop signal from the advisory lock timeout
+ * @returns {Promise<Object>} { due, stages, jobs, deferred, skipped, failed, stopped }
+ */
+const enqueueDueReminders = async (signal) => {
+    try {
+        const dueStages = await reminderScheduleRepository.findDueStages(new Date());
+
+        const latestBySignup = new Map();
+        for (const dueStage of dueStages) {
+            const current = latestBySignup.get(dueStage.signupId);
+            if (!current || dueStage.stage > current.stage) {
+                latestBySignup.set(dueStage.signupId, dueStage);
+            }
+        }
+
+        let stages = 0;
+        let jobs = 0;
+        let deferred = 0;
+        let skipped = 0;
+        let failed = 0;
+        let stopped = false;
+        const classDefinitions = new Map();
+
+        for (const dueStage of latestBySignup.values()) {
+            if (signal?.aborted) {
+                stopped = true;
+                logger.warn("Reminder enqueue stopped before all due stages were handled", { stages, failed });
+                break;
+            }
+            try {
+                skipped += await reminderScheduleRepository.skipPendingStagesBefore(dueStage.signupId, dueStage.stage);
+
+                const signup = await signupRepository.findById(dueStage.signupId, true);
+                const channels = reminderService.getEligibleChannels(signup);
+                if (channels.length === 0) {
+                    await reminderScheduleRepository.updateStageStatus(dueStage.signupId, dueStage.stage, "FAILED");
+                    logger.warn("No channels available for reminder", {
+                        signupId: dueStage.signupId,
+                        stage: dueStage.stage,
+                    });
+                    failed++;
+                } else {
+                    if (!classDefinitions.has(signup.classType)) {
+                        classDefinitions.set(signup.classType, await classService.findClass(signup.classType));
+                    }
+                    const sendTime = getStudentSendTime(signup.student, classDefinitions.get(signup.classType));
+
+                    const created = await reminderJobRepository.enqueueStageJobs({
+                        signupId: dueStage.signupId,
+                        stage: dueStage.stage,
+                        channels,
+                        maxAttempts: MAX_ATTEMPTS,
+                        runAt: sendTime.sendAt,
+                    });
+                    if (created) {
+                        stages++;
+                        jobs += created.length;
+                        if (sendTime.deferred) {
+                            deferred++;
+                            logger.info("Reminder deferred until quiet hours end", {
+                                signupId: dueStage.signupId,
+                                stage: dueStage.stage,
+                                timezone: sendTime.timezone,
+                                deferredUntil: sendTime.sendAt,
+                            });
+                        }
+                    }
+                }
+            } catch (error) {
+                failed++;
+                logger.error("Failed to enqueue individual reminder", {
+                    signupId: dueStage.signupId,
+                    stage: dueStage.stage,
+                    error: error.message,
+                });
+            }
+        }
+
+        const summary = { due: latestBySignup.size, stages, jobs, deferred, skipped, failed, stopped };
+        if (dueStages.length > 0) {
+            logger.info("Due reminders enqueued", summary);
+        }
+        return summary;
+    } catch (error) {
+        logger.error("Failed to enqueue due reminders", { error: error.message });
+        throw transformError(error, "enqueueDueReminders");
+    }
+};
+
+/**
+ * Run a single claimed job and record the outcome
+ * @param {Object} job - Claimed job
+ * @returns {Promise<string>} SUCCEEDED | CANCELLED | DEFERRED | RETRY | DEAD
+ */
+const runJob = async (job) => {
+    let result;
+    try {
+        result = await reminderService.sendQueuedReminder(job);
+    } catch (error) {
+        result = { success: false, error: error.message };
+    }
+
+    // A retry that came due in quiet hours waits without using up an attempt
+    if (result.deferUntil) {
+        await reminderJobRepository.deferJob(job.id, result.deferUntil);
+        await reminderScheduleRepository.deferStage(job.signupId, job.stage, result.deferUntil);
+        return "DEFERRED";
+    }
+
+    let outcome;
+    if (result.success) {
+        await reminderJobRepository.completeJob(job.id, "SUCCEEDED");
+        outcome = "SUCCEEDED";
+    } else if (result.skipped) {
+        await reminderJobRepository.completeJob(job.id, "CANCELLED", result.error);
+        outcome = "CANCELLED";
+    } else if (job.attempts >= job.maxAttempts) {
+        await reminderJobRepository.completeJob(job.id, "DEAD", result.error || "Unknown error");
+        logger.error("Reminder job moved to dead letter", {
+            jobId: job.id,
+            signupId: job.signupId,
+            stage: job.stage,
+            channel: job.channel,
+            attempts: job.attempts,
+            error: result.error,
+        });
+        outcome = "DEAD";
+    } else {
+        const runAt = new Date(Date.now() + getBackoffDelay(job.attempts));
+        await reminderJobRepository.retryJobAt(job.id, runAt, result.error || "Unknown error");
+        logger.warn("Reminder job failed, retry scheduled", {
+            jobId: job.id,
+            channel: job.channel,
+            attempts: job.attempts,
+            runAt,
+            error: result.error,
+        });
+        return "RETRY";
+    }
+
+    await settleStage(job.signupId, job.stage);
+    return outcome;
+};
+
+/**
+ * Claim and run due jobs until the queue is drained (or maxJobs is reached).
+ * Safe to run on several instances at once - claiming uses SKIP LOCKED.
+ * @param {Object} [options] - { maxJobs }
+ * @returns {Promise<Object>} { claimed, succeeded, retried, deferred, dead, cancelled, released }
+ */
+const processDueJobs = async ({ maxJobs = 500 } = {}) => {
+    try {
+        const summary = { claimed: 0, succeeded: 0, retried: 0, deferred: 0, dead: 0, cancelled: 0, released: 0 };
+
+        // Recover jobs left PROCESSING by a worker that crashed mid-send
+        const released = await reminderJobRepository.releaseStaleJobs(new Date(Date.now() - LOCK_TIMEOUT_MS));
+        summary.released = released.length;
+        for (const job of released.filter((j) => j.status === "DEAD")) {
+            await settleStage(job.signupId, job.stage);
+        }
+
+        while (summary.claimed < maxJobs) {
+            const jobs = await reminderJobRepository.claimDueJobs(
+                INSTANCE_ID,
+                Math.min(CLAIM_BATCH_SIZE, maxJobs - summary.claimed)
+            );
+            if (jobs.length === 0) break;
+
+            summary.claimed += jobs.length;
+            for (const job of jobs) {
+                const outcome = await runJob(job);
+                if (outcome === "SUCCEEDED") summary.succeeded++;
+                else if (outcome === "CANCELLED") summary.cancelled++;
+                else if (outcome === "DEFERRED") summary.deferred++;
+                else if (outcome === "DEAD") summary.dead++;
+                else summary.retried++;
+            }
+        }
+
+        if (summary.claimed > 0 || summary.released > 0) {
+            logger.info("Reminder jobs processed", { workerId: INSTANCE_ID, ...summary });
+        }
+        return summary;
+    } catch (error) {
+        logger.error("Failed to process reminder jobs", { error: error.message });
+        throw transformError(error, "processDueJobs");
+    }
+};
+
+/**
+ * List reminder jobs (admin)
+ * @param {Object} filters - { status?, signupId? }
+ * @param {Object} options - { page, limit }
+ * @returns {Promise<Object>} { jobs, pagination, counts }
+ */
+const getJobs = async (filters = {}, options = {}) => {
+    try {
+        const [result, counts] = await Promise.all([
+            reminderJobRepository.findJobs(filters, options),
+            reminderJobRepository.countByStatus(),
+        ]);
+        return { ...result, counts };
+    } catch (error) {
+        logger.error("Get reminder jobs failed", { error: error.message });
+        throw transformError(error, "getJobs");
+    }
+};
+
+/**
+ * Put a dead job back in the queue with a fresh set of attempts (admin)
+ * @param {string} jobId - Job ID
+ * @returns {Promise<Object>} { job, message }
+ */
+const retryDeadJob = async (jobId) => {
+    try {
+        const existing = await reminderJobRepository.findById(jobId);
+        if (!existing) {
+            throw NotFoundError("Reminder job not found", "JOB_NOT_FOUND");
+        }
+        if (existing.status !== "DEAD") {
+            throw ValidationError("Only dead jobs can be retried", "JOB_NOT_DEAD");
+        }
+
+        // The stage was settled when the job died; reopen it so the retry can settle it again
+        await reminderScheduleRepository.updateStageStatus(existing.signupId, existing.stage, "QUEUED");
+        const job = await reminderJobRepository.requeueJob(jobId);
+
+        logger.info("Dead reminder job requeued", { jobId });
+        return { job, message: "Reminder job requeued" };
+    } catch (error) {
+        logger.error("Retry reminder job failed", { error: error.message, jobId });
+        throw transformError(error, "retryDeadJob");
+    }
+};
+
+module.exports = {
+    enqueueDueReminders,
+    processDueJobs,
+    getJobs,
+    retryDeadJob,
+    getBackoffDelay,
+};
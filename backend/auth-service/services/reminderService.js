@@ -1,212 +1,403 @@
 // backend/auth-service/services/reminderService.js
 const signupRepository = require("../repositories/signupRepository");
-const studentRepository = require("../repositories/studentRepository");
+const reminderScheduleRepository = require("../repositories/reminderScheduleRepository");
+const reminderJobRepository = require("../repositories/reminderJobRepository");
 const deliveryLogRepository = require("../repositories/deliveryLogRepository");
+const reminderSendRepository = require("../repositories/reminderSendRepository");
 const templateRepository = require("../repositories/templateRepository");
+const classService = require("./classService");
 const emailService = require("./emailService");
 const smsService = require("./smsService");
-const { generateOtp } = require("./unsubscribeService");
+const { getStudentSendTime } = require("./deliveryWindowService");
+const { buildUnsubscribeLink, buildListUnsubscribeLink } = require("./unsubscribeService");
+const { getOptOutHistory } = require("./optOutService");
 const { generateReminderEmailHtml, generateReminderEmailText } = require("../templates/emailTemplates");
+const { renderTemplate } = require("../lib/templateEngine");
+const { resolveStudentTimezone } = require("../lib/timezones");
+const { resolveLocale } = require("../lib/locales");
 const { NotFoundError, transformError } = require("../shared/utils/errors");
 const { createLogger } = require("../shared/utils/logger");
 
 const logger = createLogger("reminder-service");
 
-// Class type to human-readable name mapping
-const CLASS_TYPE_LABELS = {
-    TYPE_1: "Initial Firearms",
-    TYPE_2: "Firearms Requalification",
-    TYPE_3: "CPR/AED and/or First Aid",
-    TYPE_4: "Handcuffing and/or Pepper Spray",
-    TYPE_5: "CEW / Taser",
-    TYPE_6: "Baton",
+// A send still marked SENDING after this long is assumed abandoned and may be taken over
+const STALE_SEND_MS = 10 * 60 * 1000; // 10 minutes
+
+/**
+ * Idempotency key for one channel of a reminder.
+ * Rescheduling a stage changes its date, and so its key.
+ * @param {string} signupId - Signup ID
+ * @param {number|null} stage - Stage number (null for ad-hoc sends)
+ * @param {string} channel - EMAIL or SMS
+ * @param {Date|string} scheduledFor - Scheduled date (only the day is used)
+ * @returns {string} signupId:stage:channel:YYYY-MM-DD
+ */
+const buildIdempotencyKey = (signupId, stage, channel, scheduledFor) => {
+    const scheduledDate = new Date(scheduledFor).toISOString().slice(0, 10);
+    return `${signupId}:${stage ?? "adhoc"}:${channel}:${scheduledDate}`;
 };
 
 /**
- * Interpolate template variables
- * @param {string} template - Template string with {{variable}} placeholders
- * @param {Object} variables - Key-value pairs for interpolation
- * @returns {string} Interpolated string
+ * Turn a ledger row that was not claimed into a provider-style result
+ * @param {Object} send - Existing reminder_sends row
+ * @returns {Object} { success, duplicate, inProgress?, messageId?, sentAt?, error? }
  */
-const interpolateTemplate = (template, variables) => {
-    let result = template;
-    for (const [key, value] of Object.entries(variables)) {
-        result = result.replace(new RegExp(`{{${key}}}`, "g"), value || "");
+const toDuplicateResult = (send) => {
+    if (send.status === "SENT") {
+        return { success: true, duplicate: true, messageId: send.providerMessageId, sentAt: send.updatedAt };
     }
-    return result;
+    return {
+        success: false,
+        duplicate: true,
+        inProgress: send.status === "SENDING",
+        error: send.status === "SENDING" ? "Reminder is already being sent" : send.errorMessage,
+    };
+};
+
+/**
+ * Render a saved template's subject and body.
+ * Templates are validated when saved, but one saved before that may not parse; it is
+ * logged and the built-in default message is sent instead.
+ * @param {Object|null} template - Saved template
+ * @param {Object} variables - Template variables
+ * @param {string} timezone - Student's timezone, for the date filter
+ * @param {string} locale - Student's language, for month and weekday names
+ * @returns {Object|null} { subject, body }, or null to use the default message
+ */
+const renderSavedTemplate = (template, variables, timezone, locale) => {
+    if (!template) {
+        return null;
+    }
+    try {
+        return {
+            subject: renderTemplate(template.subject || "", variables, { timezone, locale }),
+            body: renderTemplate(template.body, variables, { timezone, locale }),
+        };
+    } catch (error) {
+        logger.warn("Template could not be rendered, using the default message", {
+            error: error.message,
+            templateId: template.id,
+            version: template.currentVersion,
+        });
+        return null;
+    }
+};
+
+// Built-in reminder wording, per locale, for classes without a saved template
+const DEFAULT_MESSAGES = {
+    en: {
+        subject: (classTypeName) => `Reminder: ${classTypeName} Training Renewal`,
+        email: (classTypeName, link) =>
+            `Hello,\n\nThis is a reminder that your ${classTypeName} training certification is approaching its renewal period.\n\nPlease schedule your next session at your earliest convenience.\n\nVisit: ${link}\n\nIf you no longer wish to receive these reminders, you can update your preferences on our website.\n\nThank you,\nStudent Training Portal`,
+        sms: (classTypeName, link) =>
+            `Reminder: Your ${classTypeName} certification is due for renewal. Visit ${link} to schedule.`,
+        unsubscribe: "Unsubscribe",
+    },
+    es: {
+        subject: (classTypeName) => `Recordatorio: renovación de la capacitación ${classTypeName}`,
+        email: (classTypeName, link) =>
+            `Hola:\n\nLe recordamos que su certificación de capacitación ${classTypeName} se acerca a su período de renovación.\n\nPrograme su próxima sesión lo antes posible.\n\nVisite: ${link}\n\nSi ya no desea recibir estos recordatorios, puede actualizar sus preferencias en nuestro sitio web.\n\nGracias,\nStudent Training Portal`,
+        sms: (classTypeName, link) =>
+            `Recordatorio: su certificación ${classTypeName} debe renovarse. Visite ${link} para programar su sesión.`,
+        unsubscribe: "Darse de baja",
+    },
 };
 
 /**
  * Build a default message when no template exists
  * @param {string} classTypeName - Human-readable class name
  * @param {string} channel - EMAIL or SMS
+ * @param {string} [scheduleLink] - Booking link
+ * @param {string} [locale] - Student's language
  * @returns {Object} { subject?, body }
  */
-const buildDefaultMessage = (classTypeName, channel, scheduleLink) => {
+const buildDefaultMessage = (classTypeName, channel, scheduleLink, locale) => {
     const link = scheduleLink || process.env.BOOKING_LINK || process.env.APP_BASE_URL || "https://yourapp.com";
+    const messages = DEFAULT_MESSAGES[resolveLocale(locale)];
 
     if (channel === "EMAIL") {
         return {
-            subject: `Reminder: ${classTypeName} Training Renewal`,
-            body: `Hello,\n\nThis is a reminder that your ${classTypeName} training certification is approaching its renewal period.\n\nPlease schedule your next session at your earliest convenience.\n\nVisit: ${link}\n\nIf you no longer wish to receive these reminders, you can update your preferences on our website.\n\nThank you,\nStudent Training Portal`,
+            subject: messages.subject(classTypeName),
+            body: messages.email(classTypeName, link),
         };
     }
 
     return {
-        body: `Reminder: Your ${classTypeName} certification is due for renewal. Visit ${link} to schedule.`,
+        body: messages.sms(classTypeName, link),
     };
 };
 
 /**
- * Send reminder for a single signup (both EMAIL and SMS)
- * @param {string} signupId - The signup ID
- * @returns {Promise<Object>} - { emailResult, smsResult, overallStatus }
+ * Work out which channels a signup can be reminded on right now
+ * @param {Object} signup - Signup with student
+ * @returns {Array<string>} Subset of ["EMAIL", "SMS"]
  */
-const sendReminder = async (signupId, options = {}) => {
-    const { triggeredBy = "manual", reminderLevel = null } = options;
+const getEligibleChannels = (signup) => {
+    const student = signup.student;
+
+    // Get reminder preference (defaults to BOTH if not set)
+    const preference = student.reminderPreference || 'BOTH';
+    const channels = [];
+    if ((preference === 'EMAIL' || preference === 'BOTH') && student.email && !student.emailInvalidAt && !student.optedOutEmail && !signup.optedOutEmail) {
+        channels.push("EMAIL");
+    }
+    if ((preference === 'SMS' || preference === 'BOTH') && student.phone && !student.phoneInvalidAt && !student.optedOutSms && !signup.optedOutSms) {
+        channels.push("SMS");
+    }
+    return channels;
+};
 
-    try {
-        // 1. Fetch signup with student data
-        const signup = await signupRepository.findById(signupId, true);
-        if (!signup) {
-            throw NotFoundError("Signup not found", "SIGNUP_NOT_FOUND");
-        }
+/**
+ * Render the reminder for one channel, exactly as it will be sent.
+ * The stage's own template is used if it has one, then the class's all-stages template,
+ * first in the student's language and then in English, then the built-in default message.
+ * Template previews use this too, passing the unsaved template being edited.
+ * @param {Object} signup - Signup with student
+ * @param {string} channel - EMAIL or SMS
+ * @param {Object} [options] - { stage, template, locale, preview } (template is rendered instead of
+ *   the saved one; locale overrides the student's language; preview puts placeholder unsubscribe
+ *   links in place of signed ones)
+ * @returns {Promise<Object>} { to, subject?, body, html?, headers?, templateVersionId, isDefault }
+ */
+const buildReminderMessage = async (signup, channel, options = {}) => {
+    const student = signup.student;
+    const classTypeName = await classService.getClassLabel(signup.classType);
+    const appUrl = process.env.APP_BASE_URL || "https://yourapp.com";
+
+    const studentName = student.name || null;
+    const requestedLocale = resolveLocale(options.locale || student.locale);
+
+    // Signed one-click link that unsubscribes from this channel (a placeholder in previews)
+    const linkOptions = { preview: Boolean(options.preview) };
+    const unsubscribeLink = buildUnsubscribeLink(student.id, channel, linkOptions);
+    // RFC 8058 one-click URL for this signup, sent in the List-Unsubscribe header of emails
+    const listUnsubscribeLink =
+        channel === "EMAIL" ? buildListUnsubscribeLink(student.id, signup.id, linkOptions) : "";
+
+    // Use BOOKING_LINK from env for schedule links (falls back to appUrl)
+    const bookingLink = process.env.BOOKING_LINK || appUrl;
+
+    const baseTemplateVariables = {
+        classTypeName,
+        studentName: studentName || '',
+        optOutLink: unsubscribeLink,
+        unsubscribeLink,
+        listUnsubscribeLink,
+        studentEmail: student.email || "",
+        studentPhone: student.phone || "",
+        completedAt: signup.completedAt || null,
+        expiresAt: signup.expiresAt || null,
+    };
 
-        const student = signup.student;
-        const classTypeName = CLASS_TYPE_LABELS[signup.classType] || signup.classType;
-        const appUrl = process.env.APP_BASE_URL || "https://yourapp.com";
+    const template =
+        options.template !== undefined
+            ? options.template
+            : await templateRepository.findForMessage({
+                  classType: signup.classType,
+                  channel,
+                  stage: options.stage ?? null,
+                  locale: requestedLocale,
+              });
+
+    // Use BOOKING_LINK from env if set; otherwise fall back to template scheduleLink or appUrl
+    const scheduleLink = process.env.BOOKING_LINK || template?.scheduleLink || bookingLink;
+    const templateVariables = { ...baseTemplateVariables, scheduleLink };
+    // An English template sent to a student without one in their language is framed in English too
+    const templateLocale = resolveLocale(template?.locale || requestedLocale);
+    const rendered = renderSavedTemplate(template, templateVariables, resolveStudentTimezone(student), templateLocale);
+    const locale = rendered ? templateLocale : requestedLocale;
+
+    // Recorded on the delivery log so a sent message can be traced to the exact wording
+    const templateVersionId = rendered ? template.currentVersionId || null : null;
 
-        const studentName = student.name || null;
+    if (channel === "EMAIL") {
+        let subject, body, html;
+        if (rendered) {
+            ({ subject, body } = rendered);
+            html = generateReminderEmailHtml({
+                studentName,
+                classTypeName,
+                scheduleLink,
+                optOutLink: templateVariables.optOutLink,
+                templateBody: body,
+                locale,
+            });
+        } else {
+            const defaultMsg = buildDefaultMessage(classTypeName, "EMAIL", scheduleLink, locale);
+            subject = defaultMsg.subject;
+            body = generateReminderEmailText({
+                studentName,
+                classTypeName,
+                scheduleLink,
+                optOutLink: templateVariables.optOutLink,
+                locale,
+            });
+            html = generateReminderEmailHtml({
+                studentName,
+                classTypeName,
+                scheduleLink,
+                optOutLink: templateVariables.optOutLink,
+                locale,
+            });
+        }
 
-        // Generate and store OTP for unsubscribe verification
-        const otpCode = generateOtp();
-        await studentRepository.updateOptOutOtp(student.id, otpCode);
-        logger.debug("Generated unsubscribe OTP for student", { studentId: student.id });
+        return {
+            to: student.email,
+            subject,
+            body,
+            html,
+            headers: {
+                "List-Unsubscribe": `<${listUnsubscribeLink}>`,
+                "List-Unsubscribe-Post": "List-Unsubscribe=One-Click",
+            },
+            templateVersionId,
+            isDefault: !rendered,
+        };
+    }
 
-        // Build unsubscribe link with pre-filled destination
-        const unsubscribeLink = `${appUrl}/unsubscribe?${student.email ? 'email=' + encodeURIComponent(student.email) : 'phone=' + encodeURIComponent(student.phone)}`;
+    let body;
+    if (rendered) {
+        body = rendered.body;
+    } else {
+        const defaultMsg = buildDefaultMessage(classTypeName, "SMS", scheduleLink, locale);
+        body = defaultMsg.body;
+    }
 
-        // Use BOOKING_LINK from env for schedule links (falls back to appUrl)
-        const bookingLink = process.env.BOOKING_LINK || appUrl;
+    // Append unsubscribe link to SMS (replying STOP also works)
+    body += `\n\n${DEFAULT_MESSAGES[locale].unsubscribe}: ${unsubscribeLink}`;
 
-        const baseTemplateVariables = {
-            classTypeName,
-            studentName: studentName || '',
-            optOutLink: unsubscribeLink,
-            unsubscribeLink,
-            otpCode,
-            studentEmail: student.email || "",
-            studentPhone: student.phone || "",
-        };
+    return { to: student.phone, body, templateVersionId, isDefault: !rendered };
+};
 
-        let emailResult = null;
-        let smsResult = null;
+/**
+ * Render the reminder for one channel and hand it to the provider
+ * @param {Object} signup - Signup with student
+ * @param {string} channel - EMAIL or SMS
+ * @param {number|null} stage - Reminder stage (null for ad-hoc sends)
+ * @returns {Promise<Object>} Provider result { success, messageId?, error?, templateVersionId }
+ */
+const renderAndSend = async (signup, channel, stage) => {
+    const message = await buildReminderMessage(signup, channel, { stage });
 
-        // Get reminder preference (defaults to BOTH if not set)
-        const preference = student.reminderPreference || 'BOTH';
-        const shouldSendEmail = (preference === 'EMAIL' || preference === 'BOTH') && student.email && !student.optedOutEmail && !signup.optedOutEmail;
-        const shouldSendSms = (preference === 'SMS' || preference === 'BOTH') && student.phone && !student.optedOutSms && !signup.optedOutSms;
+    let result;
+    if (channel === "EMAIL") {
+        result = await emailService.sendEmail({
+            to: message.to,
+            subject: message.subject,
+            body: message.body,
+            html: message.html,
+            headers: message.headers,
+        });
+    } else {
+        result = await smsService.sendSms({
+            to: message.to,
+            body: message.body,
+        });
+    }
 
-        const dateKey = reminderLevel === 2 ? 'secondReminderDate' : 'firstReminderDate';
-        const logMetadata = {
-            triggeredBy,
-            reminderLevel,
-            scheduledAt: signup[dateKey] ? signup[dateKey].toISOString() : null,
-        };
+    return { ...result, templateVersionId: message.templateVersionId };
+};
 
-        // 2. Send email if preference allows and student has email
-        if (shouldSendEmail) {
-            const emailTemplate = await templateRepository.findByClassTypeAndChannel(signup.classType, "EMAIL");
-
-            // Use BOOKING_LINK from env if set; otherwise fall back to template scheduleLink or appUrl
-            const emailScheduleLink = process.env.BOOKING_LINK || emailTemplate?.scheduleLink || bookingLink;
-            const templateVariables = { ...baseTemplateVariables, scheduleLink: emailScheduleLink };
-
-            let subject, body, html;
-            if (emailTemplate) {
-                subject = interpolateTemplate(emailTemplate.subject || "", templateVariables);
-                body = interpolateTemplate(emailTemplate.body, templateVariables);
-                html = generateReminderEmailHtml({
-                    studentName,
-                    classTypeName,
-                    scheduleLink: emailScheduleLink,
-                    optOutLink: templateVariables.optOutLink,
-                    otpCode,
-                    templateBody: body,
-                });
-            } else {
-                const defaultMsg = buildDefaultMessage(classTypeName, "EMAIL", emailScheduleLink);
-                subject = defaultMsg.subject;
-                body = generateReminderEmailText({
-                    studentName,
-                    classTypeName,
-                    scheduleLink: emailScheduleLink,
-                    optOutLink: templateVariables.optOutLink,
-                    otpCode,
-                });
-                html = generateReminderEmailHtml({
-                    studentName,
-                    classTypeName,
-                    scheduleLink: emailScheduleLink,
-                    optOutLink: templateVariables.optOutLink,
-                    otpCode,
-                });
-            }
-
-            emailResult = await emailService.sendEmail({
-                to: student.email,
-                subject,
-                body,
-                html,
-            });
+/**
+ * Send one channel of a reminder at most once per idempotency key.
+ * A repeated attempt gets the original result back instead of sending again,
+ * unless it is forced.
+ * @param {Object} signup - Signup with student
+ * @param {string} channel - EMAIL or SMS
+ * @param {Object} context - { stage, scheduledFor, force, logMetadata }
+ * @returns {Promise<Object>} Provider result { success, messageId?, error?, duplicate? }
+ */
+const deliverChannel = async (signup, channel, { stage, scheduledFor, force = false, logMetadata }) => {
+    const idempotencyKey = buildIdempotencyKey(signup.id, stage, channel, scheduledFor);
+    const { claimed, send } = await reminderSendRepository.claimSend(
+        { idempotencyKey, signupId: signup.id, stage, channel, scheduledFor: new Date(scheduledFor) },
+        { force, staleBefore: new Date(Date.now() - STALE_SEND_MS) }
+    );
+    if (!claimed) {
+        return toDuplicateResult(send);
+    }
 
-            // Log delivery
-            await deliveryLogRepository.createDeliveryLog({
-                signupId,
-                channel: "EMAIL",
-                status: emailResult.success ? "SENT" : "FAILED",
-                providerMessageId: emailResult.messageId || null,
-                errorMessage: emailResult.error || null,
-                metadata: logMetadata,
-            });
-        }
+    let result;
+    try {
+        result = await renderAndSend(signup, channel, stage);
+    } catch (error) {
+        result = { success: false, error: error.message };
+    }
 
-        // 3. Send SMS if preference allows and student has phone
-        if (shouldSendSms) {
-            const smsTemplate = await templateRepository.findByClassTypeAndChannel(signup.classType, "SMS");
+    await reminderSendRepository.completeSend(send.id, {
+        status: result.success ? "SENT" : "FAILED",
+        providerMessageId: result.messageId || null,
+        errorMessage: result.error || null,
+    });
+
+    // Log delivery
+    await deliveryLogRepository.createDeliveryLog({
+        signupId: signup.id,
+        channel,
+        status: result.success ? "SENT" : "FAILED",
+        providerMessageId: result.messageId || null,
+        errorMessage: result.error || null,
+        metadata: { ...logMetadata, idempotencyKey, forced: force, provider: result.provider || null },
+        templateVersionId: result.templateVersionId || null,
+    });
 
-            // Use BOOKING_LINK from env if set; otherwise fall back to template scheduleLink or appUrl
-            const smsScheduleLink = process.env.BOOKING_LINK || smsTemplate?.scheduleLink || bookingLink;
-            const templateVariables = { ...baseTemplateVariables, scheduleLink: smsScheduleLink };
+    return result;
+};
 
-            let body;
-            if (smsTemplate) {
-                body = interpolateTemplate(smsTemplate.body, templateVariables);
-            } else {
-                const defaultMsg = buildDefaultMessage(classTypeName, "SMS", smsScheduleLink);
-                body = defaultMsg.body;
-            }
+/**
+ * The stage a manual send stands in for: the latest stage that is already due.
+ * Returns null when no stage is due yet, which makes the send ad-hoc.
+ * @param {Array<Object>} reminderSchedules - Stages in send order
+ * @returns {Object|null} Reminder stage
+ */
+const findCurrentStage = (reminderSchedules) => {
+    const now = new Date();
+    const dueStages = reminderSchedules.filter((s) => new Date(s.scheduledFor) <= now);
+    return dueStages.length > 0 ? dueStages[dueStages.length - 1] : null;
+};
 
-            // Append unsubscribe info with OTP to SMS
-            body += `\n\nUnsubscribe code: ${otpCode}\nUnsubscribe: ${unsubscribeLink}`;
+/**
+ * Send reminder for a single signup right away (both EMAIL and SMS).
+ * Channels already sent for the same stage and date are not sent again unless forced.
+ * @param {string} signupId - The signup ID
+ * @param {Object} [options] - { triggeredBy, stage, force } (stage defaults to the latest due stage)
+ * @returns {Promise<Object>} - { emailResult, smsResult, overallStatus, duplicate }
+ */
+const sendReminder = async (signupId, options = {}) => {
+    const { triggeredBy = "manual", stage = null, force = false } = options;
 
-            smsResult = await smsService.sendSms({
-                to: student.phone,
-                body,
-            });
+    try {
+        // 1. Fetch signup with student data
+        const signup = await signupRepository.findById(signupId, true);
+        if (!signup) {
+            throw NotFoundError("Signup not found", "SIGNUP_NOT_FOUND");
+        }
 
-            // Log delivery
-            await deliveryLogRepository.createDeliveryLog({
-                signupId,
-                channel: "SMS",
-                status: smsResult.success ? "SENT" : "FAILED",
-                providerMessageId: smsResult.messageId || null,
-                errorMessage: smsResult.error || null,
-                metadata: logMetadata,
-            });
+        const reminderStage = stage
+            ? signup.reminderSchedules.find((s) => s.stage === stage)
+            : findCurrentStage(signup.reminderSchedules);
+        if (stage && !reminderStage) {
+            throw NotFoundError(`Reminder stage ${stage} not found`, "REMINDER_STAGE_NOT_FOUND");
         }
 
-        // 4. Determine overall status
+        const sendContext = {
+            stage: reminderStage ? reminderStage.stage : null,
+            scheduledFor: reminderStage ? reminderStage.scheduledFor : new Date(),
+            force,
+            logMetadata: {
+                triggeredBy,
+                stage: reminderStage ? reminderStage.stage : null,
+                offsetDays: reminderStage ? reminderStage.offsetDays : null,
+                scheduledAt: reminderStage ? new Date(reminderStage.scheduledFor).toISOString() : null,
+            },
+        };
+
+        // 2. Send on every channel the student can receive
+        const channels = getEligibleChannels(signup);
+        const emailResult = channels.includes("EMAIL") ? await deliverChannel(signup, "EMAIL", sendContext) : null;
+        const smsResult = channels.includes("SMS") ? await deliverChannel(signup, "SMS", sendContext) : null;
+
+        // 3. Determine overall status
         const emailSuccess = emailResult?.success || false;
         const smsSuccess = smsResult?.success || false;
         const noChannelsAttempted = !emailResult && !smsResult;
@@ -221,21 +412,30 @@ const sendReminder = async (signupId, options = {}) => {
             overallStatus = "FAILED";
         }
 
-        // 5. Update signup status
-        if (reminderLevel) {
-            await signupRepository.updateReminderStatus(signupId, overallStatus, reminderLevel);
+        // Nothing new was sent - return the original result and leave the status alone
+        const duplicate = !noChannelsAttempted && [emailResult, smsResult].every((result) => !result || result.duplicate);
+        if (duplicate) {
+            logger.info("Reminder already sent, not sending again", { signupId, stage: sendContext.stage });
+            return { emailResult, smsResult, overallStatus, duplicate };
+        }
+
+        // 4. Update stage status (or the signup-level status for ad-hoc sends)
+        if (reminderStage) {
+            await reminderScheduleRepository.updateStageStatus(signupId, reminderStage.stage, overallStatus);
         } else {
             await signupRepository.updateReminderStatus(signupId, overallStatus);
         }
 
         logger.info("Reminder processed", {
             signupId,
+            stage: sendContext.stage,
+            forced: force,
             overallStatus,
             emailSent: emailSuccess,
             smsSent: smsSuccess,
         });
 
-        return { emailResult, smsResult, overallStatus };
+        return { emailResult, smsResult, overallStatus, duplicate };
     } catch (error) {
         logger.error("Failed to send reminder", { signupId, error: error.message });
         throw transformError(error, "sendReminder");
@@ -243,98 +443,84 @@ const sendReminder = async (signupId, options = {}) => {
 };
 
 /**
- * Process all pending reminders whose scheduled date has arrived
- * @returns {Promise<Object>} - { processed, sent, failed }
+ * Deliver one queued stage + channel job (called by the reminder worker).
+ * Opt-outs and reschedules made after the job was enqueued are honoured by
+ * reporting the job as skipped instead of sending; a job that runs during the
+ * student's quiet hours reports when it may run instead.
+ * @param {Object} job - { id, signupId, stage, channel, attempts }
+ * @returns {Promise<Object>} { success, skipped?, deferUntil?, duplicate?, error?, messageId? }
  */
-const processPendingReminders = async () => {
-    try {
-        const pendingSignups = await signupRepository.findPendingReminders(new Date());
-
-        logger.info("Processing pending reminders", { count: pendingSignups.length });
-
-        const now = new Date();
-
-        for (const signup of pendingSignups) {
-            try {
-                let results = [];
-                // Check First Reminder
-                if (signup.firstReminderStatus === "PENDING" && signup.firstReminderDate && signup.firstReminderDate <= now) {
-                    const r = await sendReminder(signup.id, { triggeredBy: "cron", reminderLevel: 1 });
-                    results.push(r.overallStatus);
-                }
-                // Check Second Reminder
-                if (signup.secondReminderStatus === "PENDING" && signup.secondReminderDate && signup.secondReminderDate <= now) {
-                    const r = await sendReminder(signup.id, { triggeredBy: "cron", reminderLevel: 2 });
-                    results.push(r.overallStatus);
-                }
-
-                for (const status of results) {
-                    if (status === "SENT") sent++;
-                    else failed++;
-                }
-            } catch (error) {
-                failed++;
-                logger.error("Failed to process individual reminder", {
-                    signupId: signup.id,
-                    error: error.message,
-                });
-            }
-        }
+const sendQueuedReminder = async (job) => {
+    const signup = await signupRepository.findById(job.signupId, true);
+    if (!signup) {
+        return { success: false, skipped: true, error: "Signup no longer exists" };
+    }
 
-        const summary = { processed: pendingSignups.length, sent, failed };
-        logger.info("Pending reminders processing complete", summary);
-        return summary;
-    } catch (error) {
-        logger.error("Failed to process pending reminders", { error: error.message });
-        throw transformError(error, "processPendingReminders");
+    const reminderStage = signup.reminderSchedules.find((s) => s.stage === job.stage);
+    if (!reminderStage || reminderStage.status !== "QUEUED") {
+        return { success: false, skipped: true, error: "Reminder stage is no longer queued" };
     }
+
+    if (!getEligibleChannels(signup).includes(job.channel)) {
+        return { success: false, skipped: true, error: `${job.channel} reminders are no longer enabled for this student` };
+    }
+
+    // Retries (or a changed timezone) can land in quiet hours
+    const classDefinition = await classService.findClass(signup.classType);
+    const { sendAt, deferred } = getStudentSendTime(signup.student, classDefinition);
+    if (deferred) {
+        return { success: false, deferUntil: sendAt };
+    }
+
+    return deliverChannel(signup, job.channel, {
+        stage: job.stage,
+        scheduledFor: reminderStage.scheduledFor,
+        logMetadata: {
+            triggeredBy: "queue",
+            stage: job.stage,
+            offsetDays: reminderStage.offsetDays,
+            scheduledAt: new Date(reminderStage.scheduledFor).toISOString(),
+            jobId: job.id,
+            attempt: job.attempts,
+        },
+    });
 };
 
 /**
- * Reschedule a reminder
+ * Reschedule a reminder stage
  * @param {string} signupId - Signup ID
- * @param {number} reminderLevel - 1 for first reminder, 2 for second reminder
+ * @param {number} stage - Stage number (1-based)
  * @param {Date|string} newDate - New scheduled date
  * @returns {Promise<Object>} Updated signup
  */
-const rescheduleReminder = async (signupId, reminderLevel, newDate) => {
+const rescheduleReminder = async (signupId, stage, newDate) => {
     try {
         const signup = await signupRepository.findById(signupId);
         if (!signup) {
             throw NotFoundError("Signup not found", "SIGNUP_NOT_FOUND");
         }
 
-        const scheduledDate = new Date(newDate);
-
-        const updateData = {};
-        if (Number(reminderLevel) === 1) {
-            updateData.firstReminderDate = scheduledDate;
-            updateData.firstReminderSentAt = null;
-            updateData.firstReminderStatus = "PENDING";
-        } else {
-            updateData.secondReminderDate = scheduledDate;
-            updateData.secondReminderSentAt = null;
-            updateData.secondReminderStatus = "PENDING";
+        const reminderStage = await reminderScheduleRepository.findStage(signupId, stage);
+        if (!reminderStage) {
+            throw NotFoundError(`Reminder stage ${stage} not found`, "REMINDER_STAGE_NOT_FOUND");
         }
 
-        const updatedSignup = await signupRepository.updateSignup(signupId, updateData);
+        const scheduledDate = new Date(newDate);
+        await reminderJobRepository.cancelQueuedJobs(signupId, reminderStage.stage, "Reminder stage rescheduled");
+        await reminderScheduleRepository.rescheduleStage(signupId, reminderStage.stage, scheduledDate);
 
-        logger.info("Reminder rescheduled", { signupId, reminderLevel, newDate: scheduledDate });
+        logger.info("Reminder rescheduled", { signupId, stage: reminderStage.stage, newDate: scheduledDate });
 
-        // If the new scheduled date is now or in the past, send immediately
-        let sendResult = null;
-        if (scheduledDate <= new Date()) {
-            logger.info("Rescheduled reminder is due now (or in the past); sending immediately", {
-                signupId,
-                scheduledDate,
-            });
-            sendResult = await sendReminder(signupId, { triggeredBy: "reschedule", reminderLevel: Number(reminderLevel) });
-        }
+        // A date that is now or in the past is picked up by the next enqueue run
+        const isDue = scheduledDate <= new Date();
+
+        const updatedSignup = await signupRepository.findById(signupId);
 
         return {
             signup: updatedSignup,
-            message: `Reminder ${reminderLevel} rescheduled successfully`,
-            sendResult,
+            message: isDue
+                ? `Reminder ${reminderStage.stage} rescheduled and queued for sending`
+                : `Reminder ${reminderStage.stage} rescheduled successfully`,
         };
     } catch (error) {
         logger.error("Failed to reschedule reminder", { signupId, error: error.message });
@@ -343,7 +529,7 @@ const rescheduleReminder = async (signupId, reminderLevel, newDate) => {
 };
 
 /**
- * Reset a reminder back to PENDING
+ * Reset every reminder stage back to PENDING
  * @param {string} signupId - Signup ID
  * @returns {Promise<Object>} Updated signup
  */
@@ -354,17 +540,16 @@ const resetReminder = async (signupId) => {
             throw NotFoundError("Signup not found", "SIGNUP_NOT_FOUND");
         }
 
-        // Delete existing delivery logs
+        // Delete existing delivery logs and re-arm the send ledger, so every stage can be sent again
         await deliveryLogRepository.deleteBySignupId(signupId);
+        await reminderSendRepository.resetBySignupId(signupId);
 
-        // Reset signup status
+        // Reset stage and signup status
+        await reminderJobRepository.cancelQueuedJobs(signupId, null, "Reminder reset");
+        await reminderScheduleRepository.resetStages(signupId);
         const updatedSignup = await signupRepository.updateSignup(signupId, {
             status: "PENDING",
             reminderSentAt: null,
-            firstReminderStatus: "PENDING",
-            firstReminderSentAt: null,
-            secondReminderStatus: "PENDING",
-            secondReminderSentAt: null,
         });
 
         logger.info("Reminder reset to PENDING", { signupId });
@@ -378,7 +563,7 @@ const resetReminder = async (signupId) => {
 /**
  * Get delivery details for a signup
  * @param {string} signupId - Signup ID
- * @returns {Promise<Object>} Signup with delivery logs
+ * @returns {Promise<Object>} Signup with delivery logs and opt-out history
  */
 const getDeliveryDetails = async (signupId) => {
     try {
@@ -387,9 +572,15 @@ const getDeliveryDetails = async (signupId) => {
             throw NotFoundError("Signup not found", "SIGNUP_NOT_FOUND");
         }
 
-        const deliveryLogs = await deliveryLogRepository.findBySignupId(signupId);
+        const [deliveryLogs, optOutHistory] = await Promise.all([
+            deliveryLogRepository.findBySignupId(signupId),
+            getOptOutHistory(signup.studentId),
+        ]);
+
+        // Student-wide changes plus the ones made for this registration
+        const optOutEvents = optOutHistory.filter((event) => !event.signupId || event.signupId === signupId);
 
-        return { signup, deliveryLogs };
+        return { signup, deliveryLogs, optOutEvents };
     } catch (error) {
         logger.error("Failed to get delivery details", { signupId, error: error.message });
         throw transformError(error, "getDeliveryDetails");
@@ -397,10 +588,11 @@ const getDeliveryDetails = async (signupId) => {
 };
 
 module.exports = {
+    getEligibleChannels,
+    buildReminderMessage,
     sendReminder,
-    processPendingReminders,
+    sendQueuedReminder,
     rescheduleReminder,
     resetReminder,
     getDeliveryDetails,
-    CLASS_TYPE_LABELS,
 };
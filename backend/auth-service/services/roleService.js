@@ -0,0 +1,210 @@
+// backend/auth-service/services/roleService.js
+const roleRepository = require("../repositories/roleRepository");
+const adminRepository = require("../repositories/adminRepository");
+const { createRoleSchema, updateRoleSchema } = require("../models/adminSchema");
+const { PERMISSIONS, PERMISSION_KEYS, SYSTEM_ROLES, SUPER_ROLE_KEY } = require("../lib/permissions");
+const {
+  ValidationError,
+  ConflictError,
+  NotFoundError,
+  transformError,
+} = require("../shared/utils/errors");
+const { createLogger } = require("../shared/utils/logger");
+
+const logger = createLogger("role-service");
+
+// Resolved role access is read on every admin request; cache it briefly and drop the
+// cache whenever a role changes on this instance
+const ACCESS_CACHE_TTL_MS = 60 * 1000;
+const accessCache = new Map();
+
+const clearAccessCache = () => accessCache.clear();
+
+/**
+ * Sync the permission catalog and built-in roles into the database. Missing built-in
+ * roles are created with their default permissions; ADMIN is reset to every permission.
+ * Safe to run on every startup.
+ * @returns {Promise<Object>} { permissions, rolesCreated }
+ */
+const syncSystemRoles = async () => {
+  try {
+    const permissions = await roleRepository.upsertPermissions(PERMISSIONS);
+    let rolesCreated = 0;
+
+    for (const systemRole of SYSTEM_ROLES) {
+      const existing = await roleRepository.findByKey(systemRole.key);
+      if (!existing) {
+        await roleRepository.createRole({ ...systemRole, isSystem: true });
+        rolesCreated++;
+      } else if (systemRole.key === SUPER_ROLE_KEY) {
+        await roleRepository.updateRole(existing.id, { permissions: PERMISSION_KEYS });
+      }
+    }
+
+    clearAccessCache();
+    logger.info("System roles synced", { permissions, rolesCreated });
+    return { permissions, rolesCreated };
+  } catch (error) {
+    logger.error("Sync system roles failed", { error: error.message });
+    throw transformError(error, "syncSystemRoles");
+  }
+};
+
+/**
+ * Permissions and class scope for an admin
+ * @param {Object} admin - Admin with role and classTypes
+ * @returns {Promise<Object>} { permissions: [keys], classScope: [classTypes] | null }
+ */
+const resolveAccess = async (admin) => {
+  try {
+    let access = accessCache.get(admin.role);
+    if (!access || access.expiresAt < Date.now()) {
+      const role = await roleRepository.findByKey(admin.role);
+      if (!role) {
+        logger.warn("Admin has an unknown role", { adminId: admin.id, role: admin.role });
+      }
+      access = {
+        permissions: role?.permissions || [],
+        scopedToClasses: role?.scopedToClasses || false,
+        expiresAt: Date.now() + ACCESS_CACHE_TTL_MS,
+      };
+      accessCache.set(admin.role, access);
+    }
+
+    return {
+      permissions: access.permissions,
+      // null = every class; a scoped admin with no classes assigned sees nothing
+      classScope: access.scopedToClasses ? admin.classTypes || [] : null,
+    };
+  } catch (error) {
+    logger.error("Resolve access failed", { error: error.message, adminId: admin?.id });
+    throw transformError(error, "resolveAccess");
+  }
+};
+
+/**
+ * Role that an admin is being assigned; must exist
+ * @param {string} key - Role key
+ * @returns {Promise<Object>} Role
+ */
+const requireRole = async (key) => {
+  try {
+    const role = await roleRepository.findByKey(key);
+    if (!role) {
+      throw ValidationError(`Role ${key} does not exist`, "INVALID_ROLE");
+    }
+    return role;
+  } catch (error) {
+    throw transformError(error, "requireRole");
+  }
+};
+
+/**
+ * All roles with member counts, plus the permission catalog for the role editor
+ * @returns {Promise<Object>} { roles, permissions: [{ key, description }] }
+ */
+const getRoles = async () => {
+  try {
+    const [roles, counts] = await Promise.all([roleRepository.findAll(), adminRepository.countByRole()]);
+
+    return {
+      roles: roles.map((role) => ({ ...role, adminCount: counts[role.key] || 0 })),
+      permissions: Object.entries(PERMISSIONS).map(([key, description]) => ({ key, description })),
+    };
+  } catch (error) {
+    logger.error("Get roles failed", { error: error.message });
+    throw transformError(error, "getRoles");
+  }
+};
+
+/**
+ * Create a custom role
+ * @param {Object} roleData - { key, name, description?, scopedToClasses?, permissions }
+ * @returns {Promise<Object>} { role, message }
+ */
+const createRole = async (roleData) => {
+  try {
+    const validatedData = createRoleSchema.parse(roleData);
+
+    const existing = await roleRepository.findByKey(validatedData.key);
+    if (existing) {
+      throw ConflictError(`Role ${validatedData.key} already exists`, "ROLE_EXISTS");
+    }
+
+    const role = await roleRepository.createRole({ ...validatedData, isSystem: false });
+    clearAccessCache();
+
+    return { role, message: "Role created successfully" };
+  } catch (error) {
+    logger.error("Create role failed", { error: error.message });
+    throw transformError(error, "createRole");
+  }
+};
+
+/**
+ * Update a role's name, scope or permissions. The ADMIN role is locked.
+ * @param {string} roleId - Role ID
+ * @param {Object} updateData - { name?, description?, scopedToClasses?, permissions? }
+ * @returns {Promise<Object>} { role, message }
+ */
+const updateRole = async (roleId, updateData) => {
+  try {
+    const validatedData = updateRoleSchema.parse(updateData);
+
+    const role = await roleRepository.findById(roleId);
+    if (!role) {
+      throw NotFoundError("Role not found", "ROLE_NOT_FOUND");
+    }
+    if (role.key === SUPER_ROLE_KEY) {
+      throw ValidationError("The Administrator role can't be edited", "ROLE_LOCKED");
+    }
+
+    const updatedRole = await roleRepository.updateRole(roleId, validatedData);
+    clearAccessCache();
+
+    return { role: updatedRole, message: "Role updated successfully" };
+  } catch (error) {
+    logger.error("Update role failed", { error: error.message, roleId });
+    throw transformError(error, "updateRole");
+  }
+};
+
+/**
+ * Delete a custom role that nobody holds
+ * @param {string} roleId - Role ID
+ * @returns {Promise<Object>} { message }
+ */
+const deleteRole = async (roleId) => {
+  try {
+    const role = await roleRepository.findById(roleId);
+    if (!role) {
+      throw NotFoundError("Role not found", "ROLE_NOT_FOUND");
+    }
+    if (role.isSystem) {
+      throw ValidationError("Built-in roles can't be deleted", "ROLE_LOCKED");
+    }
+
+    const members = await roleRepository.countAdmins(role.key);
+    if (members > 0) {
+      throw ConflictError(`${members} user(s) still have this role. Reassign them first.`, "ROLE_IN_USE");
+    }
+
+    await roleRepository.deleteRole(roleId);
+    clearAccessCache();
+
+    return { message: "Role deleted successfully" };
+  } catch (error) {
+    logger.error("Delete role failed", { error: error.message, roleId });
+    throw transformError(error, "deleteRole");
+  }
+};
+
+module.exports = {
+  syncSystemRoles,
+  resolveAccess,
+  requireRole,
+  getRoles,
+  createRole,
+  updateRole,
+  deleteRole,
+};
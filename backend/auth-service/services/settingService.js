@@ -0,0 +1,62 @@
+// backend/auth-service/services/settingService.js
+const settingRepository = require("../repositories/settingRepository");
+const { securitySettingsSchema } = require("../models/adminSchema");
+const { transformError } = require("../shared/utils/errors");
+const { createLogger } = require("../shared/utils/logger");
+
+const logger = createLogger("setting-service");
+
+const SECURITY_KEY = "security";
+const DEFAULT_SECURITY_SETTINGS = { requireTwoFactor: false };
+
+// Security settings are read on every admin request; cache them briefly and drop the
+// cache whenever they change on this instance
+const CACHE_TTL_MS = 60 * 1000;
+let securityCache = null;
+
+/**
+ * Organisation-wide security settings
+ * @returns {Promise<Object>} { requireTwoFactor }
+ */
+const getSecuritySettings = async () => {
+  try {
+    if (!securityCache || securityCache.expiresAt < Date.now()) {
+      const setting = await settingRepository.findByKey(SECURITY_KEY);
+      securityCache = {
+        settings: { ...DEFAULT_SECURITY_SETTINGS, ...(setting?.value || {}) },
+        expiresAt: Date.now() + CACHE_TTL_MS,
+      };
+    }
+    return securityCache.settings;
+  } catch (error) {
+    logger.error("Get security settings failed", { error: error.message });
+    throw transformError(error, "getSecuritySettings");
+  }
+};
+
+/**
+ * Change the security settings
+ * @param {Object} data - { requireTwoFactor }
+ * @param {string} adminId - Admin making the change
+ * @returns {Promise<Object>} { settings, message }
+ */
+const updateSecuritySettings = async (data, adminId) => {
+  try {
+    const validatedData = securitySettingsSchema.parse(data);
+    const settings = { ...(await getSecuritySettings()), ...validatedData };
+
+    await settingRepository.upsertSetting(SECURITY_KEY, settings, adminId);
+    securityCache = null;
+
+    logger.info("Security settings updated", { adminId, settings });
+    return { settings, message: "Security settings updated" };
+  } catch (error) {
+    logger.error("Update security settings failed", { error: error.message, adminId });
+    throw transformError(error, "updateSecuritySettings");
+  }
+};
+
+module.exports = {
+  getSecuritySettings,
+  updateSecuritySettings,
+};
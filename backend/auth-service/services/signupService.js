@@ -1,6 +1,10 @@
 // backend/auth-service/services/signupService.js
 const signupRepository = require("../repositories/signupRepository");
 const studentRepository = require("../repositories/studentRepository");
+const reminderJobRepository = require("../repositories/reminderJobRepository");
+const classService = require("./classService");
+const { calculateExpiresAt, buildReminderSchedule } = require("./studentService");
+const { resolveStudentTimezone } = require("../lib/timezones");
 const { transformError, NotFoundError } = require("../shared/utils/errors");
 const { createLogger } = require("../shared/utils/logger");
 
@@ -24,11 +28,12 @@ const getAllSignups = async (filters = {}, options = {}) => {
 
 /**
  * Get signup statistics (admin)
+ * @param {Array<string>|null} [classTypes] - Limit to these classes (scoped admins)
  * @returns {Promise<Object>} Signup stats
  */
-const getSignupStats = async () => {
+const getSignupStats = async (classTypes = null) => {
     try {
-        const stats = await signupRepository.getSignupStats();
+        const stats = await signupRepository.getSignupStats(classTypes);
         return { stats };
     } catch (error) {
         logger.error("Get signup stats failed", { error: error.message });
@@ -45,14 +50,37 @@ const getSignupStats = async () => {
 const updateSignup = async (signupId, updateData) => {
     try {
         // Check if signup exists
-        const existingSignup = await signupRepository.findById(signupId);
+        const existingSignup = await signupRepository.findById(signupId, true);
         if (!existingSignup) {
             throw NotFoundError("Signup not found", "SIGNUP_NOT_FOUND");
         }
 
-        const updatedSignup = await signupRepository.updateSignup(signupId, updateData);
+        // A new completion date or class moves the expiry, so rebuild the reminder stages
+        let schedule = null;
+        if (updateData.completedAt !== undefined || updateData.classType !== undefined) {
+            const classDefinition = await classService.requireClass(
+                updateData.classType ?? existingSignup.classType
+            );
+            const completedAt = new Date(
+                updateData.completedAt ?? existingSignup.completedAt ?? existingSignup.createdAt
+            );
+            const expiresAt = calculateExpiresAt(classDefinition, completedAt);
+            schedule = {
+                expiresAt,
+                reminderStages: buildReminderSchedule(
+                    classDefinition,
+                    expiresAt,
+                    resolveStudentTimezone(existingSignup.student)
+                ),
+            };
+        }
+
+        if (schedule) {
+            await reminderJobRepository.cancelQueuedJobs(signupId, null, "Reminder schedule rebuilt");
+        }
+        const updatedSignup = await signupRepository.updateSignup(signupId, updateData, schedule);
 
-        logger.info("Signup updated by admin", { signupId });
+        logger.info("Signup updated by admin", { signupId, rescheduled: !!schedule });
         return {
             signup: updatedSignup,
             message: "Signup updated successfully",
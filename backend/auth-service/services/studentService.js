@@ -1,6 +1,15 @@
 // backend/auth-service/services/studentService.js
 const studentRepository = require("../repositories/studentRepository");
 const signupRepository = require("../repositories/signupRepository");
+const classService = require("./classService");
+const optOutService = require("./optOutService");
+const { getQuietHours } = require("./deliveryWindowService");
+const {
+    DEFAULT_TIMEZONE,
+    atLocalHour,
+    inferTimezoneFromPhone,
+    resolveStudentTimezone,
+} = require("../lib/timezones");
 const {
     createSignupSchema,
 } = require("../models/studentSchema");
@@ -14,49 +23,49 @@ const { createLogger } = require("../shared/utils/logger");
 
 const logger = createLogger("student-service");
 
-// Class type to reminder interval mapping (in months after signup)
-const CLASS_REMINDER_INTERVALS = {
-    TYPE_1: 4,   // Initial Firearms - 4 months
-    TYPE_2: 5,   // Firearms Requalification - 5 months
-    TYPE_3: 11,  // CPR/AED & First Aid - 11 months
-    TYPE_4: 11,  // Handcuffing / Pepper Spray - 11 months
-    TYPE_5: 11,  // CEW / Taser - 11 months
-    TYPE_6: 11,  // Baton - 11 months
+/**
+ * Calculate when a certification expires
+ * @param {Object} classDefinition - { renewalIntervalMonths }
+ * @param {Date} [completedAt] - Date the student completed the class
+ * @returns {Date} Expiry date
+ */
+const calculateExpiresAt = (classDefinition, completedAt = new Date()) => {
+    const expiresAt = new Date(completedAt);
+    expiresAt.setMonth(expiresAt.getMonth() + classDefinition.renewalIntervalMonths);
+    return expiresAt;
 };
 
 /**
- * Calculate reminder scheduled dates based on class type
- * @param {string} classType - Class type
- * @returns {Object} { firstReminderDate, secondReminderDate }
+ * Build the reminder stages for a signup from its class definition and expiry date
+ * (see classService.getReminderStages for the stage numbering).
+ * @param {Object} classDefinition - { reminderOffsetDays, quietHoursStart?, quietHoursEnd? }
+ * @param {Date} expiresAt - Certification expiry date
+ * @param {string} [timezone] - Student's IANA timezone
+ * @returns {Array<Object>} [{ stage, offsetDays, scheduledFor }]
  */
-const calculateReminderDate = (classType) => {
-    const finalMonth = CLASS_REMINDER_INTERVALS[classType] || 11;
-    
-    // First Reminder: 1st day of the 2nd-to-last month
-    const firstDate = new Date();
-    firstDate.setMonth(firstDate.getMonth() + finalMonth - 1);
-    firstDate.setDate(1);
-    firstDate.setHours(8, 0, 0, 0); // Trigger in morning
-
-    // Second Reminder: 1st day of the last month
-    const secondDate = new Date();
-    secondDate.setMonth(secondDate.getMonth() + finalMonth);
-    secondDate.setDate(1);
-    secondDate.setHours(8, 0, 0, 0);
-
-    return { firstReminderDate: firstDate, secondReminderDate: secondDate };
+const buildReminderSchedule = (classDefinition, expiresAt, timezone = DEFAULT_TIMEZONE) => {
+    // Trigger in the student's morning, when quiet hours end (8am if the class has none)
+    const quietHours = getQuietHours(classDefinition);
+    const sendHour = quietHours.start === quietHours.end ? 8 : quietHours.end;
+
+    return classService.getReminderStages(classDefinition).map(({ stage, offsetDays }) => {
+        const stageDate = new Date(expiresAt);
+        stageDate.setDate(stageDate.getDate() - offsetDays);
+        return { stage, offsetDays, scheduledFor: atLocalHour(stageDate, sendHour, timezone) };
+    });
 };
 
 /**
  * Create a new signup (public student-facing API)
- * @param {Object} signupData - Signup data { email?, phone?, classType }
+ * @param {Object} signupData - Signup data { email?, phone?, classType, completedAt?, locale? }
  * @returns {Promise<Object>} Created signup with student info
  */
 const createSignup = async (signupData) => {
     try {
         // Validate input
         const validatedData = createSignupSchema.parse(signupData);
-        const { email, phone, classType, name } = validatedData;
+        const { email, phone, classType, name, completedAt = new Date(), timezone, locale } = validatedData;
+        const classDefinition = await classService.requireActiveClass(classType);
 
         // Check if student already exists
         let student = await studentRepository.checkExists(email, phone);
@@ -67,6 +76,8 @@ const createSignup = async (signupData) => {
                 email,
                 phone,
                 ...(name && { name }),
+                timezone: timezone || inferTimezoneFromPhone(phone),
+                ...(locale && { locale }),
                 optedOutEmail: false,
                 optedOutSms: false,
             });
@@ -98,19 +109,18 @@ const createSignup = async (signupData) => {
             );
         }
 
-        // Calculate reminder scheduled date
-        const { firstReminderDate, secondReminderDate } = calculateReminderDate(classType);
-
-        // Create signup record
-        const signup = await signupRepository.createSignup({
-            studentId: student.id,
-            classType,
-            firstReminderDate,
-            secondReminderDate,
-            firstReminderStatus: "PENDING",
-            secondReminderStatus: "PENDING",
-            status: "PENDING",
-        });
+        // Create signup record with its reminder stages (derived from expiry)
+        const expiresAt = calculateExpiresAt(classDefinition, completedAt);
+        const signup = await signupRepository.createSignup(
+            {
+                studentId: student.id,
+                classType,
+                status: "PENDING",
+                completedAt,
+                expiresAt,
+            },
+            buildReminderSchedule(classDefinition, expiresAt, resolveStudentTimezone(student))
+        );
 
         logger.info("Signup created successfully", {
             signupId: signup.id,
@@ -179,17 +189,18 @@ const getStudentSignups = async (studentId) => {
  * Update opt-out preference for a student
  * @param {string} studentId - Student ID
  * @param {Object} optOutData - Opt-out preferences
+ * @param {Object} [requestMetadata] - { ipAddress, userAgent } for the consent ledger
  * @returns {Promise<Object>} Updated student
  */
-const updateOptOutPreference = async (studentId, optOutData) => {
+const updateOptOutPreference = async (studentId, optOutData, requestMetadata = {}) => {
     try {
-        const student = await studentRepository.findById(studentId);
-
-        if (!student) {
-            throw NotFoundError("Student not found", "STUDENT_NOT_FOUND");
-        }
-
-        const updatedStudent = await studentRepository.updateOptOutStatus(studentId, optOutData);
+        const { student: updatedStudent } = await optOutService.applyOptOut({
+            studentId,
+            optedOutEmail: optOutData.optedOutEmail,
+            optedOutSms: optOutData.optedOutSms,
+            source: "PORTAL",
+            context: requestMetadata,
+        });
 
         logger.info("Opt-out preference updated", { studentId, ...optOutData });
 
@@ -208,6 +219,6 @@ module.exports = {
     getSignupById,
     getStudentSignups,
     updateOptOutPreference,
-    calculateReminderDate,
-    CLASS_REMINDER_INTERVALS,
+    calculateExpiresAt,
+    buildReminderSchedule,
 };
@@ -0,0 +1,119 @@
+// backend/auth-service/services/systemMessageService.js
+// Messages sent outside the reminder schedule: verification codes and registration
+// confirmations. Their wording lives in the template store like reminders, with one
+// template per channel and language (classType "*"). Without a saved template the
+// built-in wording in templates/systemMessageTemplates.js is used. Either way the
+// student's language is tried first, then English.
+const templateRepository = require("../repositories/templateRepository");
+const emailService = require("./emailService");
+const smsService = require("./smsService");
+const { renderTemplate } = require("../lib/templateEngine");
+const { getLocaleFallbacks, resolveLocale, DEFAULT_LOCALE } = require("../lib/locales");
+const { getSystemMessageDefault } = require("../templates/systemMessageTemplates");
+const { generateMessageEmailHtml } = require("../templates/emailTemplates");
+const { TEMPLATE_ALL_CLASSES } = require("../lib/constants");
+const { createLogger } = require("../shared/utils/logger");
+
+const logger = createLogger("system-message-service");
+
+/**
+ * Render a template's subject and body.
+ * A saved template that doesn't parse is logged and the built-in wording is used instead.
+ * @param {Object} template - { subject, body }
+ * @param {Object} variables - Template variables
+ * @returns {Object|null} { subject, body }, or null if it could not be rendered
+ */
+const tryRender = (template, variables) => {
+    try {
+        return {
+            subject: renderTemplate(template.subject || "", variables),
+            body: renderTemplate(template.body, variables),
+        };
+    } catch (error) {
+        logger.warn("System message template could not be rendered, using the built-in wording", {
+            error: error.message,
+            templateId: template.id,
+            version: template.currentVersion,
+        });
+        return null;
+    }
+};
+
+/**
+ * Render the built-in wording, in the first of the locales that has it
+ * @returns {Object} { subject, body, locale }
+ */
+const renderDefault = (purpose, channel, locale, variables) => {
+    const locales = getLocaleFallbacks(locale);
+    const messageLocale = locales.find((l) => getSystemMessageDefault(purpose, channel, l)) || DEFAULT_LOCALE;
+    const rendered = tryRender(getSystemMessageDefault(purpose, channel, messageLocale), variables);
+    return { ...rendered, locale: messageLocale };
+};
+
+/**
+ * Render a system message, exactly as it will be sent
+ * @param {string} purpose - VERIFICATION_CODE or REGISTRATION_CONFIRMATION
+ * @param {string} channel - EMAIL or SMS
+ * @param {string|null} locale - Student's language
+ * @param {Object} variables - Template variables (see TEMPLATE_VARIABLES in lib/constants.js)
+ * @param {Object} [options] - { template } rendered instead of the saved one (template previews)
+ * @returns {Promise<Object>} { subject?, body, html?, locale, templateVersionId, isDefault }
+ */
+const buildSystemMessage = async (purpose, channel, locale, variables, options = {}) => {
+    const template =
+        options.template !== undefined
+            ? options.template
+            : await templateRepository.findForMessage({
+                  purpose,
+                  classType: TEMPLATE_ALL_CLASSES,
+                  channel,
+                  stage: null,
+                  locale,
+              });
+
+    const saved = template ? tryRender(template, variables) : null;
+    const rendered = saved
+        ? { ...saved, locale: template.locale || resolveLocale(locale) }
+        : renderDefault(purpose, channel, locale, variables);
+    const templateVersionId = saved ? template.currentVersionId || null : null;
+
+    if (channel === "EMAIL") {
+        return {
+            subject: rendered.subject,
+            body: rendered.body,
+            html: generateMessageEmailHtml({ title: rendered.subject, body: rendered.body, locale: rendered.locale }),
+            locale: rendered.locale,
+            templateVersionId,
+            isDefault: !saved,
+        };
+    }
+    return { body: rendered.body, locale: rendered.locale, templateVersionId, isDefault: !saved };
+};
+
+/**
+ * Render a system message and hand it to the provider
+ * @param {string} purpose - VERIFICATION_CODE or REGISTRATION_CONFIRMATION
+ * @param {string} channel - EMAIL or SMS
+ * @param {string} to - Email address or phone number
+ * @param {string|null} locale - Student's language
+ * @param {Object} variables - Template variables
+ * @returns {Promise<Object>} Provider result { success, messageId?, error? }
+ */
+const sendSystemMessage = async (purpose, channel, to, locale, variables) => {
+    const message = await buildSystemMessage(purpose, channel, locale, variables);
+
+    if (channel === "EMAIL") {
+        return emailService.sendEmail({
+            to,
+            subject: message.subject,
+            body: message.body,
+            html: message.html,
+        });
+    }
+    return smsService.sendSms({ to, body: message.body });
+};
+
+module.exports = {
+    buildSystemMessage,
+    sendSystemMessage,
+};
@@ -0,0 +1,453 @@
+// backend/auth-service/services/templateService.js
+// Message template saving: templates are validated before they are saved, and every
+// save is kept as a numbered version, so past wording can be listed, compared and restored.
+// A template is identified by its key: { purpose, classType, channel, stage, locale }, where
+// stage 0 is the template for reminder stages that have none of their own. System messages
+// (verification codes, registration confirmations) use classType "*" and stage 0.
+// Editors can preview a template as a student would receive it and send it to themselves.
+const crypto = require("crypto");
+const templateRepository = require("../repositories/templateRepository");
+const signupRepository = require("../repositories/signupRepository");
+const classService = require("./classService");
+const emailService = require("./emailService");
+const smsService = require("./smsService");
+const { buildReminderMessage } = require("./reminderService");
+const { buildSystemMessage } = require("./systemMessageService");
+const { getOtpTtlMs } = require("./otpChallengeService");
+const { hasPermission, inClassScope } = require("../middleware/authMiddleware");
+const { diffLines } = require("../lib/textDiff");
+const { validateTemplate } = require("../lib/templateEngine");
+const { getSmsSegmentInfo } = require("../lib/smsSegments");
+const { TEMPLATE_VARIABLES } = require("../lib/constants");
+const {
+    ValidationError,
+    NotFoundError,
+    AuthorizationError,
+    transformError,
+} = require("../shared/utils/errors");
+const { createLogger } = require("../shared/utils/logger");
+
+const logger = createLogger("template-service");
+
+const MAX_CHANGE_NOTE_LENGTH = 500;
+
+// Fields compared by diffVersions, in display order
+const DIFF_FIELDS = ["subject", "body", "scheduleLink"];
+
+// Template fields written in the template language, with their labels for error messages
+const TEMPLATE_SOURCE_FIELDS = { subject: "Subject", body: "Body" };
+
+// Made-up student for previews that don't use a real registration
+const SAMPLE_STUDENT = {
+    name: "Alex Sample",
+    email: "alex.sample@example.com",
+    phone: "+15555550123",
+    timezone: null,
+};
+const SAMPLE_EXPIRES_IN_DAYS = 30;
+const SAMPLE_CODE = "123456";
+
+/**
+ * Validate an optional change note
+ * @param {*} changeNote - Note from the request body
+ * @returns {string|null} Trimmed note, or null when empty
+ */
+const normalizeChangeNote = (changeNote) => {
+    if (changeNote === undefined || changeNote === null) {
+        return null;
+    }
+    if (typeof changeNote !== "string") {
+        throw ValidationError("Change note must be text", "INVALID_CHANGE_NOTE");
+    }
+    const trimmed = changeNote.trim();
+    if (trimmed.length > MAX_CHANGE_NOTE_LENGTH) {
+        throw ValidationError(
+            `Change note must be ${MAX_CHANGE_NOTE_LENGTH} characters or fewer`,
+            "INVALID_CHANGE_NOTE"
+        );
+    }
+    return trimmed || null;
+};
+
+/**
+ * Parse a version number from a route parameter or query string
+ * @param {*} value - Raw value
+ * @returns {number} Version number
+ */
+const parseVersionNumber = (value) => {
+    const version = Number(value);
+    if (!Number.isInteger(version) || version < 1) {
+        throw ValidationError(`Invalid version: ${value}`, "INVALID_VERSION");
+    }
+    return version;
+};
+
+/**
+ * Check the subject and body for syntax errors and unknown variables before saving.
+ * The error's metadata lists every problem with its field, line and column.
+ * @param {Object} templateData - { purpose?, subject, body } (purpose decides the variables; reminder by default)
+ */
+const validateTemplateContent = (templateData) => {
+    const variables = TEMPLATE_VARIABLES[templateData.purpose || "REMINDER"];
+    const errors = Object.keys(TEMPLATE_SOURCE_FIELDS).flatMap((field) =>
+        validateTemplate(templateData[field] || "", variables).map((problem) => ({ field, ...problem }))
+    );
+    if (errors.length === 0) {
+        return;
+    }
+
+    const [first] = errors;
+    const more = errors.length > 1 ? ` (and ${errors.length - 1} more)` : "";
+    throw ValidationError(
+        `${TEMPLATE_SOURCE_FIELDS[first.field]} line ${first.line}, column ${first.column}: ${first.message}${more}`,
+        "INVALID_TEMPLATE",
+        { errors }
+    );
+};
+
+/**
+ * Load a saved template; templates still on the built-in default have no history
+ * @param {Object} key - { purpose, classType, channel, stage, locale }
+ */
+const requireTemplate = async (key) => {
+    const template = await templateRepository.findByKey(key);
+    if (!template) {
+        throw NotFoundError("No saved template for this message, channel and language", "TEMPLATE_NOT_FOUND");
+    }
+    return template;
+};
+
+/**
+ * Load one version of a template
+ */
+const requireVersion = async (template, version) => {
+    const templateVersion = await templateRepository.findVersion(template.id, version);
+    if (!templateVersion) {
+        throw NotFoundError(`Version ${version} not found`, "TEMPLATE_VERSION_NOT_FOUND");
+    }
+    return templateVersion;
+};
+
+/**
+ * Save a template as a new version
+ * @param {Object} templateData - { purpose, classType, channel, stage, locale, subject, body, scheduleLink, variables }
+ * @param {Object} author - Admin saving it ({ id, name })
+ * @param {string} [changeNote] - What changed
+ * @returns {Promise<Object>} { template }
+ */
+const saveTemplate = async (templateData, author, changeNote) => {
+    try {
+        const template = await templateRepository.upsertTemplate(templateData, {
+            authorId: author?.id,
+            authorName: author?.name,
+            changeNote: normalizeChangeNote(changeNote),
+        });
+        return { template };
+    } catch (error) {
+        logger.error("Save template failed", { error: error.message });
+        throw transformError(error, "saveTemplate");
+    }
+};
+
+/**
+ * A template's version history, newest first
+ * @param {Object} key - { purpose, classType, channel, stage, locale }
+ * @returns {Promise<Object>} { template, versions }
+ */
+const listVersions = async (key) => {
+    try {
+        const template = await requireTemplate(key);
+        const versions = await templateRepository.findVersions(template.id);
+        return { template, versions };
+    } catch (error) {
+        logger.error("List template versions failed", { error: error.message, ...key });
+        throw transformError(error, "listVersions");
+    }
+};
+
+/**
+ * One version of a template, with its content
+ * @param {Object} key - { purpose, classType, channel, stage, locale }
+ * @param {number|string} version - Version number
+ * @returns {Promise<Object>} { version }
+ */
+const getVersion = async (key, version) => {
+    try {
+        const template = await requireTemplate(key);
+        const templateVersion = await requireVersion(template, parseVersionNumber(version));
+        return { version: templateVersion };
+    } catch (error) {
+        logger.error("Get template version failed", { error: error.message, ...key, version });
+        throw transformError(error, "getVersion");
+    }
+};
+
+/**
+ * Compare two versions of a template line by line
+ * @param {Object} key - { purpose, classType, channel, stage, locale }
+ * @param {number|string} from - Older version number
+ * @param {number|string} to - Newer version number
+ * @returns {Promise<Object>} { from, to, fields: [{ field, changed, lines }] }
+ */
+const diffVersions = async (key, from, to) => {
+    try {
+        const fromNumber = parseVersionNumber(from);
+        const toNumber = parseVersionNumber(to);
+        const template = await requireTemplate(key);
+        const [fromVersion, toVersion] = await Promise.all([
+            requireVersion(template, fromNumber),
+            requireVersion(template, toNumber),
+        ]);
+
+        const fields = DIFF_FIELDS.map((field) => {
+            const lines = diffLines(fromVersion[field], toVersion[field]);
+            return {
+                field,
+                changed: lines.some((line) => line.type !== "unchanged"),
+                lines,
+            };
+        });
+
+        return { from: fromVersion, to: toVersion, fields };
+    } catch (error) {
+        logger.error("Diff template versions failed", { error: error.message, ...key, from, to });
+        throw transformError(error, "diffVersions");
+    }
+};
+
+/**
+ * Restore an older version. The old content is saved as a new version, so the
+ * restore itself shows up in the history and can be undone the same way.
+ * @param {Object} key - { purpose, classType, channel, stage, locale }
+ * @param {number|string} version - Version number to restore
+ * @param {Object} author - Admin restoring it ({ id, name })
+ * @param {string} [changeNote] - Why; defaults to "Restored version N"
+ * @returns {Promise<Object>} { template, message }
+ */
+const restoreVersion = async (key, version, author, changeNote) => {
+    try {
+        const versionNumber = parseVersionNumber(version);
+        const note = normalizeChangeNote(changeNote);
+        const template = await requireTemplate(key);
+        if (versionNumber === template.currentVersion) {
+            throw ValidationError(`Version ${versionNumber} is already the current version`, "VERSION_ALREADY_CURRENT");
+        }
+        const templateVersion = await requireVersion(template, versionNumber);
+        // Versions saved before templates were validated may not render; don't make them current
+        validateTemplateContent(templateVersion);
+
+        const restored = await templateRepository.upsertTemplate(
+            {
+                ...key,
+                subject: templateVersion.subject,
+                body: templateVersion.body,
+                scheduleLink: templateVersion.scheduleLink,
+                variables: templateVersion.variables,
+            },
+            {
+                authorId: author?.id,
+                authorName: author?.name,
+                changeNote: note || `Restored version ${versionNumber}`,
+                restoredFromVersion: versionNumber,
+            }
+        );
+
+        logger.info("Template version restored", {
+            ...key,
+            restoredFromVersion: versionNumber,
+            version: restored.currentVersion,
+            adminId: author?.id,
+        });
+        return {
+            template: restored,
+            message: `Version ${versionNumber} restored as version ${restored.currentVersion}`,
+        };
+    } catch (error) {
+        logger.error("Restore template version failed", { error: error.message, ...key, version });
+        throw transformError(error, "restoreVersion");
+    }
+};
+
+/**
+ * A made-up registration expiring in 30 days, for previews
+ * @param {string} classType - Class key
+ * @param {string} locale - Language of the template being previewed
+ * @returns {Promise<Object>} Signup with student
+ */
+const buildSampleSignup = async (classType, locale) => {
+    const classDefinition = await classService.findClass(classType);
+    const expiresAt = new Date(Date.now() + SAMPLE_EXPIRES_IN_DAYS * 24 * 60 * 60 * 1000);
+    const completedAt = new Date(expiresAt);
+    completedAt.setMonth(completedAt.getMonth() - (classDefinition?.renewalIntervalMonths || 12));
+
+    return {
+        id: crypto.randomUUID(),
+        classType,
+        completedAt,
+        expiresAt,
+        student: { id: crypto.randomUUID(), ...SAMPLE_STUDENT, locale },
+    };
+};
+
+/**
+ * A real registration to preview with. Needs signups:read, and scoped admins only
+ * see their own classes' registrations.
+ * @param {string} signupId - Signup ID
+ * @param {string} classType - Class of the template being previewed
+ * @param {Object} admin - req.admin
+ * @returns {Promise<Object>} Signup with student
+ */
+const loadPreviewSignup = async (signupId, classType, admin) => {
+    if (!hasPermission(admin, "signups:read")) {
+        throw AuthorizationError("You don't have permission to view registrations", "INSUFFICIENT_PERMISSIONS");
+    }
+    const signup = await signupRepository.findById(signupId, true);
+    if (!signup || !inClassScope(admin, signup.classType)) {
+        throw NotFoundError("Signup not found", "SIGNUP_NOT_FOUND");
+    }
+    if (signup.classType !== classType) {
+        throw ValidationError("That registration is for a different class", "SIGNUP_CLASS_MISMATCH");
+    }
+    return signup;
+};
+
+/**
+ * Made-up values for previewing a system message
+ * @param {string} purpose - VERIFICATION_CODE or REGISTRATION_CONFIRMATION
+ * @returns {Object} Template variables
+ */
+const buildSampleSystemVariables = (purpose) => {
+    if (purpose === "VERIFICATION_CODE") {
+        return { code: SAMPLE_CODE, expiresInMinutes: Math.floor(getOtpTtlMs() / 60000) };
+    }
+    return {
+        classTypeName: "Sample Training",
+        studentName: SAMPLE_STUDENT.name,
+        bookingLink: process.env.BOOKING_LINK || process.env.APP_BASE_URL || "https://yourapp.com",
+    };
+};
+
+/**
+ * Render a template through the same code path as a real message, with placeholder
+ * unsubscribe links so a preview of a real registration can't unsubscribe the student
+ * @param {Object} data - { purpose, classType, channel, stage, locale, subject?, body?, scheduleLink?, signupId? };
+ *   without a body the template the message is sent with (or the built-in default) is used
+ * @param {Object} admin - req.admin
+ * @returns {Promise<Object>} { message, sample }
+ */
+const renderPreview = async (data, admin) => {
+    let template;
+    if (data.body !== undefined) {
+        validateTemplateContent(data);
+        template = {
+            subject: data.subject || "",
+            body: data.body,
+            scheduleLink: data.scheduleLink || null,
+            currentVersionId: null,
+        };
+    }
+
+    if (data.purpose !== "REMINDER") {
+        const message = await buildSystemMessage(
+            data.purpose,
+            data.channel,
+            data.locale,
+            buildSampleSystemVariables(data.purpose),
+            { template: template && { ...template, locale: data.locale } }
+        );
+        return { message, sample: true };
+    }
+
+    const signup = data.signupId
+        ? await loadPreviewSignup(data.signupId, data.classType, admin)
+        : await buildSampleSignup(data.classType, data.locale);
+
+    const message = await buildReminderMessage(signup, data.channel, {
+        stage: data.stage,
+        template: template && { ...template, locale: data.locale },
+        locale: data.locale,
+        preview: true,
+    });
+    return { message, sample: !data.signupId };
+};
+
+/**
+ * Preview a template as a student would receive it
+ * @param {Object} data - See renderPreview
+ * @param {Object} admin - req.admin
+ * @returns {Promise<Object>} { preview: { channel, to, subject, body, html, sms, isDefault, sample } }
+ */
+const previewTemplate = async (data, admin) => {
+    try {
+        const { message, sample } = await renderPreview(data, admin);
+        return {
+            preview: {
+                channel: data.channel,
+                to: message.to || null,
+                subject: message.subject ?? null,
+                body: message.body,
+                html: message.html ?? null,
+                sms: data.channel === "SMS" ? getSmsSegmentInfo(message.body) : null,
+                isDefault: message.isDefault,
+                sample,
+            },
+        };
+    } catch (error) {
+        logger.error("Template preview failed", { error: error.message, classType: data.classType });
+        throw transformError(error, "previewTemplate");
+    }
+};
+
+/**
+ * Send a preview to the editing admin: their email, or for SMS the phone on their profile
+ * @param {Object} data - See renderPreview
+ * @param {Object} admin - req.admin
+ * @returns {Promise<Object>} { sent, to, message }
+ */
+const sendTestMessage = async (data, admin) => {
+    try {
+        const to = data.channel === "EMAIL" ? admin.email : admin.phone;
+        if (!to) {
+            throw ValidationError("Add your phone number to send yourself a test text", "ADMIN_PHONE_REQUIRED");
+        }
+
+        const { message } = await renderPreview(data, admin);
+        const result =
+            data.channel === "EMAIL"
+                ? await emailService.sendEmail({
+                      to,
+                      subject: `[Test] ${message.subject}`,
+                      body: message.body,
+                      html: message.html,
+                  })
+                : await smsService.sendSms({ to, body: `[Test] ${message.body}` });
+
+        if (!result.success) {
+            logger.error("Template test message not sent", { error: result.error, channel: data.channel });
+            return { sent: false, to, message: `The test message could not be sent: ${result.error}` };
+        }
+
+        logger.info("Template test message sent", {
+            purpose: data.purpose,
+            classType: data.classType,
+            channel: data.channel,
+            locale: data.locale,
+            adminId: admin.id,
+        });
+        return { sent: true, to, message: `Test message sent to ${to}` };
+    } catch (error) {
+        logger.error("Template test send failed", { error: error.message, classType: data.classType });
+        throw transformError(error, "sendTestMessage");
+    }
+};
+
+module.exports = {
+    validateTemplateContent,
+    saveTemplate,
+    listVersions,
+    getVersion,
+    diffVersions,
+    restoreVersion,
+    previewTemplate,
+    sendTestMessage,
+};
@@ -0,0 +1,369 @@
+// backend/auth-service/services/twoFactorService.js
+// TOTP two-factor authentication for admin accounts: enrollment, recovery codes and the
+// second login step. Whether every account must enroll is a security setting.
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const adminRepository = require("../repositories/adminRepository");
+const settingService = require("./settingService");
+const totp = require("../lib/totp");
+const { comparePassword, verifyToken, hashOtp, compareOtp } = require("../lib/utils");
+const { twoFactorCodeSchema, disableTwoFactorSchema } = require("../models/adminSchema");
+const {
+  ValidationError,
+  AuthenticationError,
+  ConflictError,
+  NotFoundError,
+  transformError,
+} = require("../shared/utils/errors");
+const { JWT_CONFIG, TOKEN_TYPES, TWO_FACTOR_CONFIG } = require("../lib/constants");
+const { createLogger } = require("../shared/utils/logger");
+
+const logger = createLogger("two-factor-service");
+
+const CLEARED_TWO_FACTOR = {
+  twoFactorEnabled: false,
+  twoFactorEnabledAt: null,
+  twoFactorSecret: null,
+  twoFactorLastStep: null,
+  twoFactorRecoveryCodes: [],
+  twoFactorFailedAttempts: 0,
+  twoFactorLockedUntil: null,
+};
+
+/**
+ * Recovery codes are compared case-insensitively and without separators
+ * @param {string} code - Code as typed
+ * @returns {string} Normalized code
+ */
+const normalizeRecoveryCode = (code) => code.toLowerCase().replace(/[^a-z0-9]/g, "");
+
+/**
+ * Generate a fresh set of recovery codes
+ * @returns {Object} { codes: ["abcd-efgh", ...], hashes }
+ */
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: TWO_FACTOR_CONFIG.RECOVERY_CODE_COUNT }, () => {
+    const raw = totp.base32Encode(crypto.randomBytes(5)).toLowerCase();
+    return `${raw.slice(0, 4)}-${raw.slice(4)}`;
+  });
+  return { codes, hashes: codes.map((code) => hashOtp(normalizeRecoveryCode(code))) };
+};
+
+/**
+ * Two-factor state for an admin; throws if the admin is gone
+ */
+const requireState = async (adminId) => {
+  const state = await adminRepository.findTwoFactor(adminId);
+  if (!state) {
+    throw NotFoundError("Admin not found", "ADMIN_NOT_FOUND");
+  }
+  return state;
+};
+
+/**
+ * Check an authenticator code against the admin's secret and use up its time step
+ * @param {Object} state - From adminRepository.findTwoFactor
+ * @param {string} code - Six-digit code
+ * @returns {Promise<boolean>} True if the code is valid and unused
+ */
+const checkCode = async (state, code) => {
+  if (!state.twoFactorSecret) {
+    return false;
+  }
+  const step = totp.verifyCode(totp.decryptSecret(state.twoFactorSecret), code, {
+    lastStep: state.twoFactorLastStep,
+  });
+  return step !== null && adminRepository.recordTwoFactorStep(state.id, step);
+};
+
+/**
+ * Two-factor status for the signed-in admin
+ * @param {string} adminId - Admin ID
+ * @returns {Promise<Object>} { enabled, enrollmentPending, recoveryCodesRemaining, required }
+ */
+const getStatus = async (adminId) => {
+  try {
+    const state = await requireState(adminId);
+    const { requireTwoFactor } = await settingService.getSecuritySettings();
+
+    return {
+      enabled: state.twoFactorEnabled,
+      enrollmentPending: !state.twoFactorEnabled && !!state.twoFactorSecret,
+      recoveryCodesRemaining: state.twoFactorRecoveryCodes.length,
+      required: requireTwoFactor,
+    };
+  } catch (error) {
+    logger.error("Get two-factor status failed", { error: error.message, adminId });
+    throw transformError(error, "getStatus");
+  }
+};
+
+/**
+ * Start enrollment: store a new secret and return it for the QR code. Starting again
+ * replaces an unconfirmed secret.
+ * @param {string} adminId - Admin ID
+ * @returns {Promise<Object>} { secret, otpauthUrl }
+ */
+const beginSetup = async (adminId) => {
+  try {
+    const state = await requireState(adminId);
+    if (state.twoFactorEnabled) {
+      throw ConflictError("Two-factor authentication is already on", "TWO_FACTOR_ALREADY_ENABLED");
+    }
+
+    const secret = totp.generateSecret();
+    await adminRepository.updateTwoFactor(adminId, {
+      twoFactorSecret: totp.encryptSecret(secret),
+      twoFactorLastStep: null,
+    });
+
+    logger.info("Two-factor enrollment started", { adminId });
+    return {
+      secret,
+      otpauthUrl: totp.buildOtpauthUrl(secret, state.email, TWO_FACTOR_CONFIG.ISSUER),
+    };
+  } catch (error) {
+    logger.error("Two-factor setup failed", { error: error.message, adminId });
+    throw transformError(error, "beginSetup");
+  }
+};
+
+/**
+ * Finish enrollment with a code from the authenticator app
+ * @param {string} adminId - Admin ID
+ * @param {Object} data - { code }
+ * @returns {Promise<Object>} { recoveryCodes, message } - codes are only shown this once
+ */
+const enable = async (adminId, data) => {
+  try {
+    const { code } = twoFactorCodeSchema.parse(data);
+    const state = await requireState(adminId);
+
+    if (state.twoFactorEnabled) {
+      throw ConflictError("Two-factor authentication is already on", "TWO_FACTOR_ALREADY_ENABLED");
+    }
+    if (!state.twoFactorSecret) {
+      throw ValidationError("Start two-factor setup first", "TWO_FACTOR_SETUP_NOT_STARTED");
+    }
+    if (!(await checkCode(state, code))) {
+      throw ValidationError("That code didn't match. Check your device's time and try again.", "INVALID_TWO_FACTOR_CODE");
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    await adminRepository.updateTwoFactor(adminId, {
+      twoFactorEnabled: true,
+      twoFactorEnabledAt: new Date(),
+      twoFactorRecoveryCodes: hashes,
+    });
+
+    logger.info("Two-factor enabled", { adminId });
+    return { recoveryCodes: codes, message: "Two-factor authentication is on" };
+  } catch (error) {
+    logger.error("Enable two-factor failed", { error: error.message, adminId });
+    throw transformError(error, "enable");
+  }
+};
+
+const lockedError = () =>
+  AuthenticationError(
+    "Too many wrong codes. Please wait a few minutes and try again.",
+    "TWO_FACTOR_LOCKED"
+  );
+
+/**
+ * Count a wrong code, then reject it (as locked if this was one too many)
+ * @param {string} adminId - Admin ID
+ * @param {Object} error - Error for the wrong code
+ */
+const rejectCode = async (adminId, error) => {
+  const lockedUntil = new Date(Date.now() + TWO_FACTOR_CONFIG.LOCKOUT_MS);
+  if (await adminRepository.recordTwoFactorFailure(adminId, TWO_FACTOR_CONFIG.MAX_FAILED_ATTEMPTS, lockedUntil)) {
+    logger.warn("Two-factor locked after too many wrong codes", { adminId, lockedUntil });
+    throw lockedError();
+  }
+  throw error;
+};
+
+/**
+ * Check a current authenticator code for a signed-in admin. Wrong codes count
+ * towards the same lock as the second login step.
+ * @param {string} adminId - Admin ID
+ * @param {Object} state - From adminRepository.findTwoFactor
+ * @param {string} code - Six-digit code
+ */
+const requireCode = async (adminId, state, code) => {
+  if (state.twoFactorLockedUntil && state.twoFactorLockedUntil > new Date()) {
+    throw lockedError();
+  }
+  if (!(await checkCode(state, code))) {
+    await rejectCode(adminId, AuthenticationError("That code didn't match", "INVALID_TWO_FACTOR_CODE"));
+  }
+};
+
+/**
+ * Turn two-factor off. Needs the password and a current code, and isn't allowed
+ * while two-factor is required for every account.
+ * @param {string} adminId - Admin ID
+ * @param {Object} data - { password, code }
+ * @returns {Promise<Object>} { message }
+ */
+const disable = async (adminId, data) => {
+  try {
+    const { password, code } = disableTwoFactorSchema.parse(data);
+
+    const { requireTwoFactor } = await settingService.getSecuritySettings();
+    if (requireTwoFactor) {
+      throw ValidationError("Two-factor authentication is required for every account", "TWO_FACTOR_REQUIRED");
+    }
+
+    const admin = await adminRepository.findById(adminId, true);
+    if (!admin || !(await comparePassword(password, admin.password))) {
+      throw AuthenticationError("Password is incorrect", "INVALID_CURRENT_PASSWORD");
+    }
+
+    const state = await requireState(adminId);
+    if (!state.twoFactorEnabled) {
+      throw ValidationError("Two-factor authentication is not on", "TWO_FACTOR_NOT_ENABLED");
+    }
+    await requireCode(adminId, state, code);
+
+    await adminRepository.updateTwoFactor(adminId, CLEARED_TWO_FACTOR);
+
+    logger.info("Two-factor disabled", { adminId });
+    return { message: "Two-factor authentication is off" };
+  } catch (error) {
+    logger.error("Disable two-factor failed", { error: error.message, adminId });
+    throw transformError(error, "disable");
+  }
+};
+
+/**
+ * Replace the recovery codes; the old ones stop working
+ * @param {string} adminId - Admin ID
+ * @param {Object} data - { code }
+ * @returns {Promise<Object>} { recoveryCodes, message }
+ */
+const regenerateRecoveryCodes = async (adminId, data) => {
+  try {
+    const { code } = twoFactorCodeSchema.parse(data);
+    const state = await requireState(adminId);
+    if (!state.twoFactorEnabled) {
+      throw ValidationError("Two-factor authentication is not on", "TWO_FACTOR_NOT_ENABLED");
+    }
+    await requireCode(adminId, state, code);
+
+    const { codes, hashes } = generateRecoveryCodes();
+    await adminRepository.updateTwoFactor(adminId, { twoFactorRecoveryCodes: hashes });
+
+    logger.info("Recovery codes regenerated", { adminId });
+    return { recoveryCodes: codes, message: "New recovery codes generated" };
+  } catch (error) {
+    logger.error("Regenerate recovery codes failed", { error: error.message, adminId });
+    throw transformError(error, "regenerateRecoveryCodes");
+  }
+};
+
+/**
+ * Short-lived token proving the password step of a login passed
+ * @param {string} adminId - Admin ID
+ * @returns {string} Signed challenge token
+ */
+const createLoginChallenge = (adminId) =>
+  jwt.sign({ adminId, type: TOKEN_TYPES.TWO_FACTOR_CHALLENGE }, JWT_CONFIG.accessTokenSecret, {
+    expiresIn: TWO_FACTOR_CONFIG.CHALLENGE_EXPIRY,
+  });
+
+/**
+ * Read a login challenge token
+ * @param {string} challengeToken - From createLoginChallenge
+ * @returns {string} Admin ID
+ */
+const readLoginChallenge = (challengeToken) => {
+  let decoded;
+  try {
+    decoded = verifyToken(challengeToken, JWT_CONFIG.accessTokenSecret);
+  } catch {
+    decoded = null;
+  }
+  if (decoded?.type !== TOKEN_TYPES.TWO_FACTOR_CHALLENGE) {
+    throw AuthenticationError("Your sign-in has expired. Please sign in again.", "INVALID_TWO_FACTOR_CHALLENGE");
+  }
+  return decoded.adminId;
+};
+
+/**
+ * Second login step: an authenticator code, or a recovery code which is then used up.
+ * After TWO_FACTOR_CONFIG.MAX_FAILED_ATTEMPTS wrong codes the step is locked for
+ * LOCKOUT_MS, whichever login challenge they came from.
+ * @param {string} adminId - Admin ID from the login challenge
+ * @param {Object} credentials - { code } or { recoveryCode }
+ * @returns {Promise<Object>} { usedRecoveryCode, recoveryCodesRemaining }
+ */
+const verifyLogin = async (adminId, { code, recoveryCode }) => {
+  try {
+    const state = await requireState(adminId);
+    if (!state.twoFactorEnabled) {
+      throw AuthenticationError("Two-factor authentication is not set up", "TWO_FACTOR_NOT_ENABLED");
+    }
+    if (state.twoFactorLockedUntil && state.twoFactorLockedUntil > new Date()) {
+      throw lockedError();
+    }
+
+    let result;
+    if (code) {
+      if (!(await checkCode(state, code))) {
+        await rejectCode(adminId, AuthenticationError("That code didn't match", "INVALID_TWO_FACTOR_CODE"));
+      }
+      result = { usedRecoveryCode: false, recoveryCodesRemaining: state.twoFactorRecoveryCodes.length };
+    } else {
+      const normalized = normalizeRecoveryCode(recoveryCode);
+      const match = state.twoFactorRecoveryCodes.find((hash) => compareOtp(normalized, hash));
+      if (!match || !(await adminRepository.consumeRecoveryCode(adminId, match))) {
+        await rejectCode(adminId, AuthenticationError("That recovery code isn't valid", "INVALID_RECOVERY_CODE"));
+      }
+
+      const remaining = state.twoFactorRecoveryCodes.length - 1;
+      logger.warn("Recovery code used to sign in", { adminId, remaining });
+      result = { usedRecoveryCode: true, recoveryCodesRemaining: remaining };
+    }
+
+    if (state.twoFactorFailedAttempts > 0 || state.twoFactorLockedUntil) {
+      await adminRepository.updateTwoFactor(adminId, { twoFactorFailedAttempts: 0, twoFactorLockedUntil: null });
+    }
+    return result;
+  } catch (error) {
+    logger.error("Two-factor login failed", { error: error.message, adminId });
+    throw transformError(error, "verifyLogin");
+  }
+};
+
+/**
+ * Clear another admin's two-factor, e.g. after they lose their phone. If two-factor is
+ * required they'll be asked to enroll again at their next sign-in.
+ * @param {string} adminId - Admin whose two-factor is reset
+ * @returns {Promise<Object>} { message }
+ */
+const resetForAdmin = async (adminId) => {
+  try {
+    await requireState(adminId);
+    await adminRepository.updateTwoFactor(adminId, CLEARED_TWO_FACTOR);
+
+    logger.info("Two-factor reset by an administrator", { adminId });
+    return { message: "Two-factor authentication reset" };
+  } catch (error) {
+    logger.error("Reset two-factor failed", { error: error.message, adminId });
+    throw transformError(error, "resetForAdmin");
+  }
+};
+
+module.exports = {
+  getStatus,
+  beginSetup,
+  enable,
+  disable,
+  regenerateRecoveryCodes,
+  createLoginChallenge,
+  readLoginChallenge,
+  verifyLogin,
+  resetForAdmin,
+};
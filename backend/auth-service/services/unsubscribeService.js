@@ -1,14 +1,18 @@
 // backend/auth-service/services/unsubscribeService.js
+const crypto = require("crypto");
 const jwt = require("jsonwebtoken");
 const studentRepository = require("../repositories/studentRepository");
 const signupRepository = require("../repositories/signupRepository");
-const emailService = require("./emailService");
-const smsService = require("./smsService");
-const { verifyOtpSchema, confirmUnsubscribeSchema, initiateOptOutSchema } = require("../models/unsubscribeSchema");
+const optOutService = require("./optOutService");
+const otpChallengeService = require("./otpChallengeService");
+const { sendSystemMessage } = require("./systemMessageService");
 const {
-    generateRegistrationOtpEmailHtml,
-    generateRegistrationOtpEmailText,
-} = require("../templates/registrationOtpTemplates");
+    verifyOtpSchema,
+    confirmUnsubscribeSchema,
+    initiateOptOutSchema,
+    oneClickUnsubscribeSchema,
+    listUnsubscribeSchema,
+} = require("../models/unsubscribeSchema");
 const {
     ValidationError,
     AuthenticationError,
@@ -22,143 +26,278 @@ const logger = createLogger("unsubscribe-service");
 // Verification token expiry (5 minutes)
 const VERIFICATION_TOKEN_EXPIRY = "5m";
 
-// In-memory rate limiting for OTP verification attempts
-const verificationAttempts = new Map();
-const MAX_ATTEMPTS = 5;
-const ATTEMPT_WINDOW = 15 * 60 * 1000; // 15 minutes
+// API purpose -> OtpChallenge purpose
+const OTP_PURPOSES = {
+    unsubscribe: "UNSUBSCRIBE",
+    manage_registrations: "MANAGE_REGISTRATIONS",
+};
+
+// Signed unsubscribe links: student UUID (16 bytes) + channel (1) + expiry in unix seconds (4),
+// optionally followed by a signup UUID (16, flagged in the channel byte), then a truncated
+// HMAC (16), base64url-encoded so the link stays short enough for SMS
+const LINK_CHANNELS = ["EMAIL", "SMS"];
+const LINK_PAYLOAD_BYTES = 21;
+const LINK_SIGNUP_BYTES = 16;
+const LINK_SIGNUP_FLAG = 0x80;
+const LINK_SIGNATURE_BYTES = 16;
+// Stands in for the token in template previews; it never reads as a valid link
+const PREVIEW_LINK_TOKEN = "preview";
+
+const getLinkSecret = () => process.env.UNSUBSCRIBE_LINK_SECRET || process.env.JWT_ACCESS_SECRET;
+const getLinkTtlDays = () => Number(process.env.UNSUBSCRIBE_LINK_TTL_DAYS) || 90;
+
+const signLinkPayload = (payload) =>
+    crypto.createHmac("sha256", getLinkSecret()).update(payload).digest().subarray(0, LINK_SIGNATURE_BYTES);
+
+const uuidToBytes = (uuid) => Buffer.from(uuid.replace(/-/g, ""), "hex");
+
+const bytesToUuid = (bytes) => {
+    const hex = bytes.toString("hex");
+    return [hex.slice(0, 8), hex.slice(8, 12), hex.slice(12, 16), hex.slice(16, 20), hex.slice(20)].join("-");
+};
 
 /**
- * Generate a 6-digit numeric OTP
- * @returns {string} 6-digit OTP
+ * Create the token for a one-click unsubscribe link
+ * @param {string} studentId - Student ID
+ * @param {string} channel - EMAIL or SMS (the channel the link unsubscribes from)
+ * @param {string} [signupId] - Limit the opt-out to this signup instead of the whole student
+ * @returns {string} base64url token
  */
-const generateOtp = () => {
-    return Math.floor(100000 + Math.random() * 900000).toString();
+const createUnsubscribeToken = (studentId, channel, signupId = null) => {
+    const payload = Buffer.alloc(LINK_PAYLOAD_BYTES + (signupId ? LINK_SIGNUP_BYTES : 0));
+    uuidToBytes(studentId).copy(payload, 0);
+    payload.writeUInt8(LINK_CHANNELS.indexOf(channel) + (signupId ? LINK_SIGNUP_FLAG : 0), 16);
+    payload.writeUInt32BE(Math.floor(Date.now() / 1000) + getLinkTtlDays() * 24 * 60 * 60, 17);
+    if (signupId) {
+        uuidToBytes(signupId).copy(payload, LINK_PAYLOAD_BYTES);
+    }
+
+    return Buffer.concat([payload, signLinkPayload(payload)]).toString("base64url");
 };
 
 /**
- * Get verification attempts for a destination
- * @param {string} destination - Email or phone
- * @returns {Object} Attempts info
+ * Check a one-click unsubscribe token
+ * @param {string} token - base64url token from the link
+ * @returns {Object} { studentId, channel, signupId } (signupId is null for student-wide links)
+ * @throws {AuthenticationError} INVALID_LINK or LINK_EXPIRED
  */
-const getAttempts = (destination) => {
-    const key = destination.toLowerCase();
-    const now = Date.now();
-    const record = verificationAttempts.get(key);
+const readUnsubscribeToken = (token) => {
+    const raw = Buffer.from(token, "base64url");
+    const payloadBytes = raw.length - LINK_SIGNATURE_BYTES;
+    if (payloadBytes !== LINK_PAYLOAD_BYTES && payloadBytes !== LINK_PAYLOAD_BYTES + LINK_SIGNUP_BYTES) {
+        throw AuthenticationError("This unsubscribe link is not valid.", "INVALID_LINK");
+    }
+
+    const payload = raw.subarray(0, payloadBytes);
+    if (!crypto.timingSafeEqual(signLinkPayload(payload), raw.subarray(payloadBytes))) {
+        throw AuthenticationError("This unsubscribe link is not valid.", "INVALID_LINK");
+    }
 
-    if (!record || now - record.firstAttempt > ATTEMPT_WINDOW) {
-        return { count: 0, blocked: false };
+    const channelByte = payload.readUInt8(16);
+    const hasSignup = channelByte >= LINK_SIGNUP_FLAG;
+    const channel = LINK_CHANNELS[channelByte % LINK_SIGNUP_FLAG];
+    if (!channel || hasSignup !== (payloadBytes > LINK_PAYLOAD_BYTES)) {
+        throw AuthenticationError("This unsubscribe link is not valid.", "INVALID_LINK");
+    }
+    if (payload.readUInt32BE(17) * 1000 < Date.now()) {
+        throw AuthenticationError(
+            "This unsubscribe link has expired. Please use the link in a more recent reminder.",
+            "LINK_EXPIRED"
+        );
     }
 
     return {
-        count: record.count,
-        blocked: record.count >= MAX_ATTEMPTS,
-        remainingAttempts: Math.max(0, MAX_ATTEMPTS - record.count),
+        studentId: bytesToUuid(payload.subarray(0, 16)),
+        channel,
+        signupId: hasSignup ? bytesToUuid(payload.subarray(LINK_PAYLOAD_BYTES)) : null,
     };
 };
 
 /**
- * Increment verification attempts
- * @param {string} destination - Email or phone
+ * Build the one-click unsubscribe link included in reminders
+ * @param {string} studentId - Student ID
+ * @param {string} channel - EMAIL or SMS
+ * @param {Object} [options] - { preview }: link to the page with a placeholder that unsubscribes no one
+ * @returns {string} URL of the unsubscribe page
+ */
+const buildUnsubscribeLink = (studentId, channel, { preview = false } = {}) => {
+    const appUrl = process.env.APP_BASE_URL || "https://yourapp.com";
+    const token = preview ? PREVIEW_LINK_TOKEN : createUnsubscribeToken(studentId, channel);
+    return `${appUrl}/unsubscribe?token=${token}`;
+};
+
+/**
+ * Build the RFC 8058 List-Unsubscribe URL for a reminder email. Mail clients POST
+ * to it directly, so it points at the API (API_BASE_URL, falling back to APP_BASE_URL
+ * when the API is served under the same origin).
+ * @param {string} studentId - Student ID
+ * @param {string} [signupId] - Signup the reminder is about
+ * @param {Object} [options] - { preview }: as for buildUnsubscribeLink
+ * @returns {string} URL of the list-unsubscribe endpoint
+ */
+const buildListUnsubscribeLink = (studentId, signupId = null, { preview = false } = {}) => {
+    const apiUrl = process.env.API_BASE_URL || process.env.APP_BASE_URL || "https://yourapp.com";
+    const token = preview ? PREVIEW_LINK_TOKEN : createUnsubscribeToken(studentId, "EMAIL", signupId);
+    return `${apiUrl}/api/students/unsubscribe/list-unsubscribe/${token}`;
+};
+
+/**
+ * Where a browser that opens the List-Unsubscribe URL is sent. RFC 8058 doesn't
+ * allow a GET to unsubscribe, so it lands on the unsubscribe page to confirm.
+ * @param {string} token - Token from the List-Unsubscribe URL
+ * @returns {string} URL of the unsubscribe page
+ */
+const getListUnsubscribePageUrl = (token) => {
+    const appUrl = process.env.APP_BASE_URL || "https://yourapp.com";
+    return `${appUrl}/unsubscribe?token=${encodeURIComponent(token)}`;
+};
+
+/**
+ * Opt out through a signed link. Signup-scoped links opt out of that signup only;
+ * if the signup is gone the opt-out falls back to the whole student.
+ * @param {Object} link - { studentId, channel, signupId } from readUnsubscribeToken
+ * @param {string} source - LINK | LIST_UNSUBSCRIBE
+ * @param {Object} requestMetadata - { ipAddress, userAgent }
+ * @returns {Promise<Object>} { student, scope } where scope is "signup" or "student"
  */
-const incrementAttempts = (destination) => {
-    const key = destination.toLowerCase();
-    const now = Date.now();
-    const record = verificationAttempts.get(key);
-
-    if (!record || now - record.firstAttempt > ATTEMPT_WINDOW) {
-        verificationAttempts.set(key, { count: 1, firstAttempt: now });
-    } else {
-        record.count++;
-        verificationAttempts.set(key, record);
+const applyLinkOptOut = async ({ studentId, channel, signupId }, source, requestMetadata) => {
+    const flag = channel === "EMAIL" ? "optedOutEmail" : "optedOutSms";
+    // The link was delivered to this channel, so holding it shows control of it
+    const context = { ...requestMetadata, verifiedChannels: [channel] };
+
+    if (signupId) {
+        try {
+            const { student } = await optOutService.applyOptOut({
+                studentId,
+                signupPreferences: [{ signupId, [flag]: true }],
+                source,
+                context,
+            });
+            return { student, scope: "signup" };
+        } catch (error) {
+            if (error.code !== "INVALID_SIGNUP_ID") {
+                throw error;
+            }
+            logger.warn("Unsubscribe link signup no longer exists, opting out student-wide", { studentId });
+        }
     }
+
+    const { student } = await optOutService.applyOptOut({ studentId, [flag]: true, source, context });
+    return { student, scope: "student" };
 };
 
 /**
- * Clear verification attempts (after successful verification)
- * @param {string} destination - Email or phone
+ * Short-lived token that lets the unsubscribe pages change preferences.
+ * It carries the purpose its code was issued for, so a token from one flow
+ * can't be used by the other.
+ * @param {Object} student - Verified student
+ * @param {string} destination - Contact the student proved they own
+ * @param {string} purpose - unsubscribe | manage_registrations
+ * @returns {string} JWT
+ */
+const signVerificationToken = (student, destination, purpose) =>
+    jwt.sign(
+        {
+            studentId: student.id,
+            destination,
+            purpose,
+        },
+        process.env.JWT_ACCESS_SECRET,
+        { expiresIn: VERIFICATION_TOKEN_EXPIRY }
+    );
+
+/**
+ * Check a token from signVerificationToken
+ * @param {string} token - JWT
+ * @param {Array<string>} purposes - Purposes the caller accepts
+ * @returns {Object} { studentId, destination, purpose }
+ * @throws {AuthenticationError} TOKEN_EXPIRED or INVALID_TOKEN
  */
-const clearAttempts = (destination) => {
-    const key = destination.toLowerCase();
-    verificationAttempts.delete(key);
+const readVerificationToken = (token, purposes) => {
+    let decoded;
+    try {
+        decoded = jwt.verify(token, process.env.JWT_ACCESS_SECRET);
+    } catch (error) {
+        if (error.name === "TokenExpiredError") {
+            throw AuthenticationError(
+                "Verification session expired. Please verify your identity again.",
+                "TOKEN_EXPIRED"
+            );
+        }
+        throw AuthenticationError(
+            "Invalid verification token. Please verify your identity again.",
+            "INVALID_TOKEN"
+        );
+    }
+
+    if (!purposes.includes(decoded.purpose)) {
+        throw AuthenticationError("Invalid token purpose", "INVALID_TOKEN");
+    }
+
+    return decoded;
 };
 
+/**
+ * Signups as shown on the My Registrations page
+ * @param {Array} signups - Signups with reminder schedules
+ * @returns {Array} Serialized signups
+ */
+const toRegistrationList = (signups) =>
+    signups.map((s) => ({
+        id: s.id,
+        classType: s.classType,
+        completedAt: s.completedAt,
+        expiresAt: s.expiresAt,
+        reminderSchedules: s.reminderSchedules.map((stage) => ({
+            stage: stage.stage,
+            scheduledFor: stage.scheduledFor,
+            status: stage.status,
+        })),
+        status: s.status,
+        optedOutEmail: s.optedOutEmail,
+        optedOutSms: s.optedOutSms,
+        createdAt: s.createdAt,
+    }));
+
 /**
  * Verify OTP and return a verification token
- * @param {Object} data - { destination, otp }
- * @returns {Promise<Object>} Verification result with token
+ * @param {Object} data - { destination, otp, purpose }
+ * @returns {Promise<Object>} Verification result with token (and registrations for manage_registrations)
  */
 const verifyOtp = async (data) => {
     try {
         const validatedData = verifyOtpSchema.parse(data);
-        const { destination, otp } = validatedData;
-
-        // Check if blocked due to too many attempts
-        const attempts = getAttempts(destination);
-        if (attempts.blocked) {
-            throw ValidationError(
-                "Too many verification attempts. Please try again later.",
-                "TOO_MANY_ATTEMPTS"
-            );
-        }
+        const { destination, otp, purpose } = validatedData;
 
         // Find student by email or phone
-        const student = await studentRepository.findByDestinationWithOtp(destination);
-
-        // Always increment attempts first (to prevent timing attacks)
-        incrementAttempts(destination);
-
-        // Generic error message to prevent enumeration
-        const genericError = "Invalid verification code. Please check and try again.";
+        const student = await studentRepository.findByDestination(destination);
 
         if (!student) {
             logger.warn("OTP verification failed - student not found", { destination });
-            throw ValidationError(genericError, "INVALID_OTP");
-        }
-
-        if (!student.optOutOtp) {
-            logger.warn("OTP verification failed - no OTP set", { studentId: student.id });
-            throw ValidationError(genericError, "INVALID_OTP");
-        }
-
-        // Compare OTP (case-insensitive, trim whitespace)
-        if (student.optOutOtp.trim() !== otp.trim()) {
-            const remaining = MAX_ATTEMPTS - getAttempts(destination).count;
-            logger.warn("OTP verification failed - OTP mismatch", {
-                studentId: student.id,
-                remainingAttempts: remaining,
-            });
-            throw ValidationError(
-                `Invalid verification code. ${remaining} attempts remaining.`,
-                "INVALID_OTP"
-            );
+            throw ValidationError("Invalid verification code. Please check and try again.", "INVALID_OTP");
         }
 
-        // OTP is valid - clear attempts
-        clearAttempts(destination);
+        // Counts the attempt, checks the hash and uses the code up
+        await otpChallengeService.verifyChallenge({
+            purpose: OTP_PURPOSES[purpose],
+            destination,
+            code: otp,
+        });
 
         // Generate verification token (short-lived)
-        const verificationToken = jwt.sign(
-            {
-                studentId: student.id,
-                destination,
-                purpose: "unsubscribe",
-            },
-            process.env.JWT_ACCESS_SECRET,
-            { expiresIn: VERIFICATION_TOKEN_EXPIRY }
-        );
+        const verificationToken = signVerificationToken(student, destination, purpose);
 
-        logger.info("OTP verified successfully", { studentId: student.id });
+        logger.info("OTP verified successfully", { studentId: student.id, purpose });
 
         return {
             verified: true,
             token: verificationToken,
-            student: {
-                id: student.id,
-                email: student.email,
-                phone: student.phone,
-                optedOutEmail: student.optedOutEmail,
-                optedOutSms: student.optedOutSms,
-            },
+            optedOutEmail: student.optedOutEmail,
+            optedOutSms: student.optedOutSms,
+            // Registrations are only shown once the student has proved who they are
+            ...(purpose === "manage_registrations" && {
+                signups: toRegistrationList(await signupRepository.findByStudentId(student.id)),
+            }),
             message: "Verification successful. Please confirm your preferences.",
         };
     } catch (error) {
@@ -171,76 +310,29 @@ const verifyOtp = async (data) => {
  * Confirm unsubscribe after OTP verification
  * Supports both global (legacy) and per-signup preferences
  * @param {Object} data - { token, optedOutEmail?, optedOutSms?, signupPreferences? }
+ * @param {Object} [requestMetadata] - { ipAddress, userAgent } for the consent ledger
  * @returns {Promise<Object>} Confirmation result
  */
-const confirmUnsubscribe = async (data) => {
+const confirmUnsubscribe = async (data, requestMetadata = {}) => {
     try {
         const validatedData = confirmUnsubscribeSchema.parse(data);
         const { token, optedOutEmail, optedOutSms, signupPreferences } = validatedData;
 
-        // Verify the token
-        let decoded;
-        try {
-            decoded = jwt.verify(token, process.env.JWT_ACCESS_SECRET);
-        } catch (error) {
-            if (error.name === "TokenExpiredError") {
-                throw AuthenticationError(
-                    "Verification session expired. Please verify your identity again.",
-                    "TOKEN_EXPIRED"
-                );
-            }
-            throw AuthenticationError(
-                "Invalid verification token. Please verify your identity again.",
-                "INVALID_TOKEN"
-            );
-        }
-
-        // Check token purpose
-        if (decoded.purpose !== "unsubscribe") {
-            throw AuthenticationError("Invalid token purpose", "INVALID_TOKEN");
-        }
-
+        const decoded = readVerificationToken(token, ["unsubscribe", "manage_registrations"]);
         const studentId = decoded.studentId;
 
-        // Verify student exists
-        const student = await studentRepository.findById(studentId);
-        if (!student) {
-            throw NotFoundError("Student not found", "STUDENT_NOT_FOUND");
-        }
-
-        // Per-signup preferences (new flow)
-        if (signupPreferences && signupPreferences.length > 0) {
-            // Verify all signups belong to this student
-            const studentSignups = await signupRepository.findByStudentId(studentId);
-            const studentSignupIds = new Set(studentSignups.map((s) => s.id));
-
-            for (const pref of signupPreferences) {
-                if (!studentSignupIds.has(pref.signupId)) {
-                    throw ValidationError(
-                        "Invalid signup ID in preferences.",
-                        "INVALID_SIGNUP_ID"
-                    );
-                }
-            }
-
-            await signupRepository.updateSignupOptOutBatch(signupPreferences);
-
-            logger.info("Per-signup preferences updated", {
-                studentId,
-                signupCount: signupPreferences.length,
-            });
-        }
-
-        // Global preferences (legacy flow - also update student-level)
-        if (optedOutEmail !== undefined || optedOutSms !== undefined) {
-            const updateData = {};
-            if (optedOutEmail !== undefined) updateData.optedOutEmail = optedOutEmail;
-            if (optedOutSms !== undefined) updateData.optedOutSms = optedOutSms;
-            await studentRepository.updateOptOutStatus(studentId, updateData);
-        }
-
-        // Clear the OTP
-        await studentRepository.clearOptOutOtp(studentId);
+        // Same path as SMS keywords and the student opt-out endpoint (recorded in the audit trail)
+        await optOutService.applyOptOut({
+            studentId,
+            optedOutEmail,
+            optedOutSms,
+            signupPreferences,
+            source: "WEB",
+            context: {
+                ...requestMetadata,
+                verifiedChannels: [decoded.destination?.includes("@") ? "EMAIL" : "SMS"],
+            },
+        });
 
         logger.info("Unsubscribe confirmed", { studentId });
 
@@ -255,26 +347,17 @@ const confirmUnsubscribe = async (data) => {
 };
 
 /**
- * Initiate opt-out flow - find student, generate OTP, send it, return registrations
- * @param {Object} data - { destination }
- * @returns {Promise<Object>} Student info, registrations, and OTP delivery status
+ * Initiate opt-out flow - find student, issue a code for the requested purpose and send it
+ * @param {Object} data - { destination, purpose }
+ * @returns {Promise<Object>} Masked destination, channel and code expiry
  */
 const initiateOptOut = async (data) => {
     try {
         const validatedData = initiateOptOutSchema.parse(data);
-        const { destination } = validatedData;
-
-        // Check rate limiting
-        const attempts = getAttempts(destination);
-        if (attempts.blocked) {
-            throw ValidationError(
-                "Too many attempts. Please try again later.",
-                "TOO_MANY_ATTEMPTS"
-            );
-        }
+        const { destination, purpose } = validatedData;
 
         // Find student
-        const student = await studentRepository.findByDestinationWithOtp(destination);
+        const student = await studentRepository.findByDestination(destination);
 
         if (!student) {
             throw NotFoundError(
@@ -283,34 +366,22 @@ const initiateOptOut = async (data) => {
             );
         }
 
-        // Get student's registrations
-        const signups = await signupRepository.findByStudentId(student.id);
-
-        // Generate and store OTP
-        const otp = generateOtp();
-        await studentRepository.updateOptOutOtp(student.id, otp);
-
-        // Determine channel and send OTP
+        // Determine channel and issue a code (replaces any earlier code for this purpose)
         const isEmail = destination.includes("@");
-        const expiresInMinutes = 10;
-
-        let sendResult;
-        if (isEmail) {
-            const html = generateRegistrationOtpEmailHtml({ otp, expiresInMinutes });
-            const text = generateRegistrationOtpEmailText({ otp, expiresInMinutes });
-            sendResult = await emailService.sendEmail({
-                to: destination,
-                subject: "Verify Your Identity - Training Portal",
-                body: text,
-                html,
-            });
-        } else {
-            const body = `Your Training Portal verification code is: ${otp}\n\nThis code expires in ${expiresInMinutes} minutes. Do not share this code.`;
-            sendResult = await smsService.sendSms({
-                to: destination,
-                body,
-            });
-        }
+        const { code: otp, expiresAt } = await otpChallengeService.issueChallenge({
+            purpose: OTP_PURPOSES[purpose],
+            destination,
+            channel: isEmail ? "email" : "phone",
+        });
+        const expiresInMinutes = Math.round((expiresAt.getTime() - Date.now()) / 60000);
+
+        const sendResult = await sendSystemMessage(
+            "VERIFICATION_CODE",
+            isEmail ? "EMAIL" : "SMS",
+            destination,
+            student.locale,
+            { code: otp, expiresInMinutes }
+        );
 
         if (!sendResult.success) {
             throw ValidationError(
@@ -322,6 +393,7 @@ const initiateOptOut = async (data) => {
         logger.info("Opt-out OTP sent", {
             studentId: student.id,
             channel: isEmail ? "email" : "phone",
+            purpose,
         });
 
         return {
@@ -329,20 +401,7 @@ const initiateOptOut = async (data) => {
                 ? `${destination.charAt(0)}***@${destination.split("@")[1]}`
                 : `***-***-${destination.slice(-4)}`,
             channel: isEmail ? "email" : "phone",
-            signups: signups.map((s) => ({
-                id: s.id,
-                classType: s.classType,
-                reminderScheduledDate: s.reminderScheduledDate,
-                status: s.status,
-                optedOutEmail: s.optedOutEmail,
-                optedOutSms: s.optedOutSms,
-                createdAt: s.createdAt,
-            })),
-            student: {
-                id: student.id,
-                optedOutEmail: student.optedOutEmail,
-                optedOutSms: student.optedOutSms,
-            },
+            expiresAt: expiresAt.toISOString(),
         };
     } catch (error) {
         logger.error("Initiate opt-out failed", { error: error.message });
@@ -350,9 +409,74 @@ const initiateOptOut = async (data) => {
     }
 };
 
+/**
+ * One-click unsubscribe from a signed reminder link - no code needed. Opts the
+ * student out of the channel the link was sent on. Holding the link only proves
+ * control of that channel, so no verification token is returned; other changes
+ * need a code, and the student's contact details aren't returned either.
+ * @param {Object} data - { token }
+ * @param {Object} [requestMetadata] - { ipAddress, userAgent } for the consent ledger
+ * @returns {Promise<Object>} { channel, scope, optedOutEmail, optedOutSms, message }
+ */
+const oneClickUnsubscribe = async (data, requestMetadata = {}) => {
+    try {
+        const { token } = oneClickUnsubscribeSchema.parse(data);
+        const link = readUnsubscribeToken(token);
+        const { studentId, channel } = link;
+
+        const { student, scope } = await applyLinkOptOut(link, "LINK", requestMetadata);
+
+        logger.info("One-click unsubscribe applied", { studentId, channel, scope });
+
+        return {
+            channel,
+            scope,
+            optedOutEmail: student.optedOutEmail,
+            optedOutSms: student.optedOutSms,
+            message:
+                scope === "signup"
+                    ? `You have been unsubscribed from ${channel === "EMAIL" ? "email" : "SMS"} reminders for this registration.`
+                    : `You have been unsubscribed from ${channel === "EMAIL" ? "email" : "SMS"} reminders.`,
+        };
+    } catch (error) {
+        logger.error("One-click unsubscribe failed", { error: error.message });
+        throw transformError(error, "oneClickUnsubscribe");
+    }
+};
+
+/**
+ * RFC 8058 one-click unsubscribe posted by a mail client from the List-Unsubscribe
+ * header. No OTP: the signed token is the proof, and the change is logged like any other.
+ * @param {Object} data - { token, "List-Unsubscribe": "One-Click" }
+ * @param {Object} [requestMetadata] - { ipAddress, userAgent } for the consent ledger
+ * @returns {Promise<Object>} { channel, scope }
+ */
+const listUnsubscribe = async (data, requestMetadata = {}) => {
+    try {
+        const { token } = listUnsubscribeSchema.parse(data);
+        const link = readUnsubscribeToken(token);
+        if (link.channel !== "EMAIL") {
+            throw AuthenticationError("This unsubscribe link is not valid.", "INVALID_LINK");
+        }
+
+        const { scope } = await applyLinkOptOut(link, "LIST_UNSUBSCRIBE", requestMetadata);
+
+        logger.info("List-Unsubscribe one-click applied", { studentId: link.studentId, scope });
+        return { channel: link.channel, scope };
+    } catch (error) {
+        logger.error("List-Unsubscribe one-click failed", { error: error.message });
+        throw transformError(error, "listUnsubscribe");
+    }
+};
+
 module.exports = {
-    generateOtp,
+    buildUnsubscribeLink,
+    buildListUnsubscribeLink,
+    getListUnsubscribePageUrl,
+    readVerificationToken,
     verifyOtp,
     confirmUnsubscribe,
     initiateOptOut,
+    oneClickUnsubscribe,
+    listUnsubscribe,
 };
@@ -1,18 +1,18 @@
-// backend/auth-service/templates/registrationOtpTemplates.js
+// backend/auth-service/templates/adminInviteTemplates.js
 
 /**
- * Generate a styled HTML email template for registration OTP
- * @param {Object} options - { otp, expiresInMinutes }
+ * Generate a styled HTML email template for an admin invite
+ * @param {Object} options - { name, inviterName, roleName, inviteLink, expiresInDays }
  * @returns {string} HTML email content
  */
-const generateRegistrationOtpEmailHtml = ({ otp, expiresInMinutes }) => {
+const generateAdminInviteEmailHtml = ({ name, inviterName, roleName, inviteLink, expiresInDays }) => {
     return `
 <!DOCTYPE html>
 <html lang="en">
 <head>
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>Verify Your Registration</title>
+    <title>You&#39;re Invited</title>
 </head>
 <body style="margin: 0; padding: 0; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif; background-color: #f4f4f5;">
     <table role="presentation" style="width: 100%; border-collapse: collapse;">
@@ -23,28 +23,23 @@ const generateRegistrationOtpEmailHtml = ({ otp, expiresInMinutes }) => {
                     <tr>
                         <td style="padding: 32px 32px 24px 32px; text-align: center;">
                             <div style="width: 64px; height: 64px; background-color: #3b82f6; border-radius: 50%; margin: 0 auto 16px auto; display: flex; align-items: center; justify-content: center;">
-                                <span style="font-size: 28px; color: #ffffff; line-height: 64px;">&#128274;</span>
+                                <span style="font-size: 28px; color: #ffffff; line-height: 64px;">&#9993;</span>
                             </div>
                             <h1 style="margin: 0; font-size: 24px; font-weight: 600; color: #18181b;">
-                                Verify Your Email
+                                You&#39;re Invited
                             </h1>
                             <p style="margin: 8px 0 0 0; font-size: 14px; color: #71717a;">
-                                Complete your registration for Training Portal
+                                Hi ${name}, ${inviterName} has invited you to the Training Portal as <strong style="color: #18181b;">${roleName}</strong>.
                             </p>
                         </td>
                     </tr>
 
-                    <!-- OTP Code -->
+                    <!-- Accept Button -->
                     <tr>
-                        <td style="padding: 0 32px 24px 32px;">
-                            <div style="background-color: #f4f4f5; border-radius: 8px; padding: 24px; text-align: center;">
-                                <p style="margin: 0 0 8px 0; font-size: 13px; color: #71717a; text-transform: uppercase; letter-spacing: 1px;">
-                                    Your verification code
-                                </p>
-                                <p style="margin: 0; font-size: 36px; font-weight: 700; color: #18181b; letter-spacing: 8px; font-family: 'Courier New', monospace;">
-                                    ${otp}
-                                </p>
-                            </div>
+                        <td style="padding: 0 32px 24px 32px; text-align: center;">
+                            <a href="${inviteLink}" style="display: inline-block; background-color: #3b82f6; color: #ffffff; text-decoration: none; font-size: 15px; font-weight: 600; padding: 12px 28px; border-radius: 8px;">
+                                Accept Invite &amp; Set Password
+                            </a>
                         </td>
                     </tr>
 
@@ -52,7 +47,7 @@ const generateRegistrationOtpEmailHtml = ({ otp, expiresInMinutes }) => {
                     <tr>
                         <td style="padding: 0 32px 24px 32px; text-align: center;">
                             <p style="margin: 0; font-size: 14px; color: #71717a;">
-                                This code will expire in <strong style="color: #18181b;">${expiresInMinutes} minutes</strong>
+                                This link will expire in <strong style="color: #18181b;">${expiresInDays} days</strong> and can only be used once.
                             </p>
                         </td>
                     </tr>
@@ -62,7 +57,7 @@ const generateRegistrationOtpEmailHtml = ({ otp, expiresInMinutes }) => {
                         <td style="padding: 0 32px 32px 32px;">
                             <div style="background-color: #fef3c7; border-radius: 8px; padding: 16px; border-left: 4px solid #f59e0b;">
                                 <p style="margin: 0; font-size: 13px; color: #92400e;">
-                                    <strong>Security tip:</strong> Never share this code with anyone. Our team will never ask for your verification code.
+                                    <strong>Security tip:</strong> Choose a password you don't use anywhere else. We'll never ask for it by email.
                                 </p>
                             </div>
                         </td>
@@ -72,7 +67,7 @@ const generateRegistrationOtpEmailHtml = ({ otp, expiresInMinutes }) => {
                     <tr>
                         <td style="padding: 24px 32px; border-top: 1px solid #e4e4e7; text-align: center;">
                             <p style="margin: 0; font-size: 12px; color: #a1a1aa;">
-                                If you didn't request this code, you can safely ignore this email.
+                                If you weren't expecting this invite, you can safely ignore this email.
                             </p>
                             <p style="margin: 12px 0 0 0; font-size: 13px; color: #71717a;">
                                 Student Training Portal
@@ -89,26 +84,28 @@ const generateRegistrationOtpEmailHtml = ({ otp, expiresInMinutes }) => {
 };
 
 /**
- * Generate plain text email for registration OTP
- * @param {Object} options - { otp, expiresInMinutes }
+ * Generate plain text email for an admin invite
+ * @param {Object} options - { name, inviterName, roleName, inviteLink, expiresInDays }
  * @returns {string} Plain text email content
  */
-const generateRegistrationOtpEmailText = ({ otp, expiresInMinutes }) => {
-    return `Verify Your Registration - Training Portal
+const generateAdminInviteEmailText = ({ name, inviterName, roleName, inviteLink, expiresInDays }) => {
+    return `You're Invited - Training Portal
+
+Hi ${name},
 
-Your verification code is: ${otp}
+${inviterName} has invited you to the Training Portal as ${roleName}. Set your password here:
 
-This code will expire in ${expiresInMinutes} minutes.
+${inviteLink}
 
-SECURITY TIP: Never share this code with anyone. Our team will never ask for your verification code.
+This link will expire in ${expiresInDays} days and can only be used once.
 
-If you didn't request this code, you can safely ignore this email.
+If you weren't expecting this invite, you can safely ignore this email.
 
 ---
 Student Training Portal`;
 };
 
 module.exports = {
-    generateRegistrationOtpEmailHtml,
-    generateRegistrationOtpEmailText,
+    generateAdminInviteEmailHtml,
+    generateAdminInviteEmailText,
 };
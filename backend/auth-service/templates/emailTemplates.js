@@ -14,25 +14,59 @@ const textToHtml = (text) => {
         .join('\n');
 };
 
+// Wording around the reminder, per locale (lib/locales.js)
+const REMINDER_EMAIL_STRINGS = {
+    en: {
+        title: 'Training Reminder',
+        greeting: (name) => `Hello, ${name || 'there'}!`,
+        intro: 'This is a friendly reminder about your upcoming training.',
+        trainingType: 'Training Type',
+        renewal: 'Your certification is approaching its renewal period. Please schedule your next session at your earliest convenience.',
+        schedule: 'Schedule Training',
+        unsubscribePrompt: "Don't want these reminders by email?",
+        unsubscribeLink: 'Unsubscribe with one click',
+        unsubscribeText: 'Unsubscribe from email reminders',
+    },
+    es: {
+        title: 'Recordatorio de capacitación',
+        greeting: (name) => (name ? `¡Hola, ${name}!` : '¡Hola!'),
+        intro: 'Le recordamos que tiene una capacitación próxima.',
+        trainingType: 'Tipo de capacitación',
+        renewal: 'Su certificación se acerca a su período de renovación. Programe su próxima sesión lo antes posible.',
+        schedule: 'Programar capacitación',
+        unsubscribePrompt: '¿No desea recibir estos recordatorios por correo?',
+        unsubscribeLink: 'Darse de baja con un clic',
+        unsubscribeText: 'Darse de baja de los recordatorios por correo',
+    },
+};
+
+/**
+ * Reminder email wording for a locale, falling back to English
+ * @param {string} [locale] - Locale code
+ * @returns {Object} Strings
+ */
+const getReminderStrings = (locale) => REMINDER_EMAIL_STRINGS[locale] || REMINDER_EMAIL_STRINGS.en;
+
 /**
  * Generate a styled HTML email template
- * @param {Object} options - { studentName, classTypeName, scheduleLink, optOutLink, otpCode, templateBody }
+ * @param {Object} options - { studentName, classTypeName, scheduleLink, optOutLink, templateBody, locale }
  * @returns {string} HTML email content
  */
-const generateReminderEmailHtml = ({ studentName, classTypeName, scheduleLink, optOutLink, otpCode, templateBody }) => {
-    const displayName = studentName || 'there';
+const generateReminderEmailHtml = ({ studentName, classTypeName, scheduleLink, optOutLink, templateBody, locale }) => {
+    const strings = getReminderStrings(locale);
+    const lang = REMINDER_EMAIL_STRINGS[locale] ? locale : 'en';
 
     // Use template body if provided, otherwise use default content
     const bodyContent = templateBody
         ? textToHtml(templateBody)
         : `<p style="margin: 0 0 24px 0; font-size: 15px; color: #71717a; line-height: 1.5;">
-                                            This is a friendly reminder about your upcoming training.
+                                            ${strings.intro}
                                         </p>
 
                                         <!-- Training Info Box -->
                                         <div style="background-color: #f4f4f5; border-radius: 8px; padding: 16px; margin-bottom: 24px;">
                                             <p style="margin: 0 0 4px 0; font-size: 12px; color: #71717a; text-transform: uppercase; letter-spacing: 0.5px;">
-                                                Training Type
+                                                ${strings.trainingType}
                                             </p>
                                             <p style="margin: 0; font-size: 16px; font-weight: 600; color: #18181b;">
                                                 ${classTypeName}
@@ -40,21 +74,21 @@ const generateReminderEmailHtml = ({ studentName, classTypeName, scheduleLink, o
                                         </div>
 
                                         <p style="margin: 0 0 24px 0; font-size: 15px; color: #52525b; line-height: 1.6;">
-                                            Your certification is approaching its renewal period. Please schedule your next session at your earliest convenience.
+                                            ${strings.renewal}
                                         </p>
 
                                         <!-- CTA Button -->
                                         <a href="${scheduleLink}" style="display: inline-block; background-color: #3b82f6; color: #ffffff; text-decoration: none; font-size: 15px; font-weight: 500; padding: 12px 24px; border-radius: 8px;">
-                                            Schedule Training
+                                            ${strings.schedule}
                                         </a>`;
 
     return `
 <!DOCTYPE html>
-<html lang="en">
+<html lang="${lang}">
 <head>
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>Training Reminder</title>
+    <title>${strings.title}</title>
 </head>
 <body style="margin: 0; padding: 0; background-color: #f4f4f5; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif;">
     <table role="presentation" style="width: 100%; border-collapse: collapse;">
@@ -78,7 +112,7 @@ const generateReminderEmailHtml = ({ studentName, classTypeName, scheduleLink, o
                                 <tr>
                                     <td style="padding: 32px;">
                                         <h1 style="margin: 0 0 8px 0; font-size: 24px; font-weight: 600; color: #18181b;">
-                                            Hello, ${displayName}!
+                                            ${strings.greeting(studentName)}
                                         </h1>
                                         ${bodyContent}
                                     </td>
@@ -92,13 +126,10 @@ const generateReminderEmailHtml = ({ studentName, classTypeName, scheduleLink, o
                         <td style="padding: 24px 0;">
                             <div style="background-color: #fafafa; border-radius: 8px; padding: 16px; text-align: center; border: 1px solid #e4e4e7;">
                                 <p style="margin: 0 0 8px 0; font-size: 12px; color: #71717a;">
-                                    To unsubscribe from reminders, use this code:
-                                </p>
-                                <p style="margin: 0 0 12px 0; font-size: 24px; font-weight: 700; color: #18181b; letter-spacing: 4px;">
-                                    ${otpCode || '------'}
+                                    ${strings.unsubscribePrompt}
                                 </p>
                                 <a href="${optOutLink}" style="display: inline-block; color: #3b82f6; font-size: 13px; text-decoration: underline;">
-                                    Click here to unsubscribe
+                                    ${strings.unsubscribeLink}
                                 </a>
                             </div>
                         </td>
@@ -123,31 +154,89 @@ const generateReminderEmailHtml = ({ studentName, classTypeName, scheduleLink, o
 
 /**
  * Generate plain text email for fallback
- * @param {Object} options - { studentName, classTypeName, scheduleLink, optOutLink, otpCode }
+ * @param {Object} options - { studentName, classTypeName, scheduleLink, optOutLink, locale }
  * @returns {string} Plain text email content
  */
-const generateReminderEmailText = ({ studentName, classTypeName, scheduleLink, optOutLink, otpCode }) => {
-    const displayName = studentName || 'there';
+const generateReminderEmailText = ({ studentName, classTypeName, scheduleLink, optOutLink, locale }) => {
+    const strings = getReminderStrings(locale);
 
-    return `Hello, ${displayName}!
+    return `${strings.greeting(studentName)}
 
-This is a friendly reminder about your upcoming training.
+${strings.intro}
 
-Training Type: ${classTypeName}
+${strings.trainingType}: ${classTypeName}
 
-Your certification is approaching its renewal period. Please schedule your next session at your earliest convenience.
+${strings.renewal}
 
-Schedule Training: ${scheduleLink}
+${strings.schedule}: ${scheduleLink}
 
 ---
 Student Training Portal
 
-To unsubscribe from reminders:
-Your unsubscribe code: ${otpCode || '------'}
-Click here: ${optOutLink}`;
+${strings.unsubscribeText}: ${optOutLink}`;
+};
+
+/**
+ * Generate a simple styled HTML email around plain text, for messages whose wording
+ * comes from a template (verification codes, registration confirmations)
+ * @param {Object} options - { title, body, locale }
+ * @returns {string} HTML email content
+ */
+const generateMessageEmailHtml = ({ title, body, locale = 'en' }) => {
+    return `
+<!DOCTYPE html>
+<html lang="${locale}">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${title}</title>
+</head>
+<body style="margin: 0; padding: 0; background-color: #f4f4f5; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif;">
+    <table role="presentation" style="width: 100%; border-collapse: collapse;">
+        <tr>
+            <td align="center" style="padding: 40px 20px;">
+                <table role="presentation" style="max-width: 480px; width: 100%; border-collapse: collapse;">
+                    <!-- Logo/Header -->
+                    <tr>
+                        <td align="center" style="padding-bottom: 24px;">
+                            <div style="width: 48px; height: 48px; background-color: #3b82f6; border-radius: 12px; display: inline-block; text-align: center; line-height: 48px;">
+                                <span style="color: white; font-size: 24px; font-weight: bold;">T</span>
+                            </div>
+                        </td>
+                    </tr>
+
+                    <!-- Main Card -->
+                    <tr>
+                        <td style="background-color: #ffffff; border-radius: 12px; box-shadow: 0 1px 3px rgba(0,0,0,0.1);">
+                            <table role="presentation" style="width: 100%; border-collapse: collapse;">
+                                <tr>
+                                    <td style="padding: 32px;">
+                                        ${textToHtml(body)}
+                                    </td>
+                                </tr>
+                            </table>
+                        </td>
+                    </tr>
+
+                    <!-- Footer -->
+                    <tr>
+                        <td style="padding: 24px 0; text-align: center;">
+                            <p style="margin: 0; font-size: 13px; color: #a1a1aa;">
+                                Student Training Portal
+                            </p>
+                        </td>
+                    </tr>
+                </table>
+            </td>
+        </tr>
+    </table>
+</body>
+</html>
+    `.trim();
 };
 
 module.exports = {
     generateReminderEmailHtml,
     generateReminderEmailText,
+    generateMessageEmailHtml,
 };
@@ -0,0 +1,111 @@
+// backend/auth-service/templates/passwordResetTemplates.js
+
+/**
+ * Generate a styled HTML email template for an admin password reset
+ * @param {Object} options - { name, resetLink, expiresInMinutes }
+ * @returns {string} HTML email content
+ */
+const generatePasswordResetEmailHtml = ({ name, resetLink, expiresInMinutes }) => {
+    return `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Reset Your Password</title>
+</head>
+<body style="margin: 0; padding: 0; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif; background-color: #f4f4f5;">
+    <table role="presentation" style="width: 100%; border-collapse: collapse;">
+        <tr>
+            <td style="padding: 40px 20px;">
+                <table role="presentation" style="max-width: 480px; margin: 0 auto; background-color: #ffffff; border-radius: 12px; box-shadow: 0 4px 6px rgba(0, 0, 0, 0.05);">
+                    <!-- Header -->
+                    <tr>
+                        <td style="padding: 32px 32px 24px 32px; text-align: center;">
+                            <div style="width: 64px; height: 64px; background-color: #3b82f6; border-radius: 50%; margin: 0 auto 16px auto; display: flex; align-items: center; justify-content: center;">
+                                <span style="font-size: 28px; color: #ffffff; line-height: 64px;">&#128273;</span>
+                            </div>
+                            <h1 style="margin: 0; font-size: 24px; font-weight: 600; color: #18181b;">
+                                Reset Your Password
+                            </h1>
+                            <p style="margin: 8px 0 0 0; font-size: 14px; color: #71717a;">
+                                Hi ${name}, we received a request to reset your Training Portal password.
+                            </p>
+                        </td>
+                    </tr>
+
+                    <!-- Reset Button -->
+                    <tr>
+                        <td style="padding: 0 32px 24px 32px; text-align: center;">
+                            <a href="${resetLink}" style="display: inline-block; background-color: #3b82f6; color: #ffffff; text-decoration: none; font-size: 15px; font-weight: 600; padding: 12px 28px; border-radius: 8px;">
+                                Choose a New Password
+                            </a>
+                        </td>
+                    </tr>
+
+                    <!-- Expiry Notice -->
+                    <tr>
+                        <td style="padding: 0 32px 24px 32px; text-align: center;">
+                            <p style="margin: 0; font-size: 14px; color: #71717a;">
+                                This link will expire in <strong style="color: #18181b;">${expiresInMinutes} minutes</strong> and can only be used once.
+                            </p>
+                        </td>
+                    </tr>
+
+                    <!-- Security Notice -->
+                    <tr>
+                        <td style="padding: 0 32px 32px 32px;">
+                            <div style="background-color: #fef3c7; border-radius: 8px; padding: 16px; border-left: 4px solid #f59e0b;">
+                                <p style="margin: 0; font-size: 13px; color: #92400e;">
+                                    <strong>Security tip:</strong> Resetting your password signs you out on every device.
+                                </p>
+                            </div>
+                        </td>
+                    </tr>
+
+                    <!-- Footer -->
+                    <tr>
+                        <td style="padding: 24px 32px; border-top: 1px solid #e4e4e7; text-align: center;">
+                            <p style="margin: 0; font-size: 12px; color: #a1a1aa;">
+                                If you didn't ask to reset your password, you can safely ignore this email.
+                            </p>
+                            <p style="margin: 12px 0 0 0; font-size: 13px; color: #71717a;">
+                                Student Training Portal
+                            </p>
+                        </td>
+                    </tr>
+                </table>
+            </td>
+        </tr>
+    </table>
+</body>
+</html>
+    `.trim();
+};
+
+/**
+ * Generate plain text email for an admin password reset
+ * @param {Object} options - { name, resetLink, expiresInMinutes }
+ * @returns {string} Plain text email content
+ */
+const generatePasswordResetEmailText = ({ name, resetLink, expiresInMinutes }) => {
+    return `Reset Your Password - Training Portal
+
+Hi ${name},
+
+We received a request to reset your Training Portal password. Choose a new one here:
+
+${resetLink}
+
+This link will expire in ${expiresInMinutes} minutes and can only be used once. Resetting your password signs you out on every device.
+
+If you didn't ask to reset your password, you can safely ignore this email.
+
+---
+Student Training Portal`;
+};
+
+module.exports = {
+    generatePasswordResetEmailHtml,
+    generatePasswordResetEmailText,
+};
@@ -0,0 +1,92 @@
+// backend/auth-service/templates/systemMessageTemplates.js
+// Built-in wording of the system messages, per locale, written in the template language
+// (lib/templateEngine.js). Used when no template is saved, and seeded by lib/seedTemplates.js.
+
+const SYSTEM_MESSAGE_DEFAULTS = {
+    VERIFICATION_CODE: {
+        en: {
+            EMAIL: {
+                subject: "Your verification code - Training Portal",
+                body: `Your verification code is: {{code}}
+
+This code will expire in {{expiresInMinutes}} minutes.
+
+Security tip: Never share this code with anyone. Our team will never ask for your verification code.
+
+If you didn't request this code, you can safely ignore this email.`,
+            },
+            SMS: {
+                body: `Your Training Portal verification code is: {{code}}
+
+This code expires in {{expiresInMinutes}} minutes. Do not share this code.`,
+            },
+        },
+        es: {
+            EMAIL: {
+                subject: "Su código de verificación - Training Portal",
+                body: `Su código de verificación es: {{code}}
+
+Este código vence en {{expiresInMinutes}} minutos.
+
+Consejo de seguridad: nunca comparta este código con nadie. Nuestro equipo nunca le pedirá su código de verificación.
+
+Si no solicitó este código, puede ignorar este correo.`,
+            },
+            SMS: {
+                body: `Su código de verificación de Training Portal es: {{code}}
+
+Este código vence en {{expiresInMinutes}} minutos. No comparta este código.`,
+            },
+        },
+    },
+    REGISTRATION_CONFIRMATION: {
+        en: {
+            EMAIL: {
+                subject: "Registration Confirmed - {{classTypeName}}",
+                body: `Registration Confirmed!
+
+You have successfully registered for the following training:
+{{classTypeName}}
+
+Please use the link below to book your training session. You will also receive a reminder before your scheduled date.
+
+Book Your Training Session: {{bookingLink}}`,
+            },
+            SMS: {
+                body: "Registration confirmed for {{classTypeName}}! Book your training session: {{bookingLink}}",
+            },
+        },
+        es: {
+            EMAIL: {
+                subject: "Inscripción confirmada - {{classTypeName}}",
+                body: `¡Inscripción confirmada!
+
+Se inscribió correctamente en la siguiente capacitación:
+{{classTypeName}}
+
+Use el enlace a continuación para reservar su sesión de capacitación. También recibirá un recordatorio antes de la fecha programada.
+
+Reserve su sesión de capacitación: {{bookingLink}}`,
+            },
+            SMS: {
+                body: "¡Inscripción confirmada para {{classTypeName}}! Reserve su sesión de capacitación: {{bookingLink}}",
+            },
+        },
+    },
+};
+
+/**
+ * Built-in wording of a system message in a locale
+ * @param {string} purpose - VERIFICATION_CODE or REGISTRATION_CONFIRMATION
+ * @param {string} channel - EMAIL or SMS
+ * @param {string} locale - Locale code
+ * @returns {Object|null} { subject?, body }, or null when there is none in that locale
+ */
+const getSystemMessageDefault = (purpose, channel, locale) => {
+    return SYSTEM_MESSAGE_DEFAULTS[purpose]?.[locale]?.[channel] || null;
+};
+
+module.exports = {
+    SYSTEM_MESSAGE_DEFAULTS,
+    getSystemMessageDefault,
+};
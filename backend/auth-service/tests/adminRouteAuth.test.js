@@ -0,0 +1,188 @@
+// backend/auth-service/tests/adminRouteAuth.test.js
+// Every mounted /api/admin route must turn away requests without a token (401),
+// and every route behind a permission must turn away an admin without it (403).
+const express = require('express');
+const request = require('supertest');
+
+// No database or rate limits here: requests that get past the auth checks are not
+// expected to succeed, only to not be 401/403
+jest.mock('../config/database', () => ({
+  initializeDatabase: jest.fn(),
+  getDatabase: jest.fn().mockRejectedValue(new Error('No database in tests')),
+  disconnectDatabase: jest.fn(),
+  healthCheck: jest.fn(),
+}));
+jest.mock('express-rate-limit', () => () => (req, res, next) => next());
+
+// Record what server.js mounts, since Express 5 layers don't keep their mount path
+const mounts = [];
+const originalUse = express.application.use;
+jest.spyOn(express.application, 'use').mockImplementation(function use(
+  ...args
+) {
+  if (
+    typeof args[0] === 'string' &&
+    typeof args[1] === 'function' &&
+    Array.isArray(args[1].stack)
+  ) {
+    mounts.push({ prefix: args[0], router: args[1] });
+  }
+  return originalUse.apply(this, args);
+});
+
+const adminService = require('../services/adminService');
+const { PERMISSIONS } = require('../lib/permissions');
+const { app } = require('../server');
+
+// Routes used before signing in
+const PUBLIC_ROUTES = [
+  'POST /api/admin/login',
+  'POST /api/admin/login/2fa',
+  'POST /api/admin/refresh',
+  'POST /api/admin/forgot-password',
+  'POST /api/admin/reset-password',
+  'GET /api/admin/invite',
+  'POST /api/admin/accept-invite',
+];
+
+// Routes every signed-in admin can use on their own account
+const SELF_SERVICE_ROUTES = [
+  'POST /api/admin/logout',
+  'POST /api/admin/logout-all',
+  'GET /api/admin/me',
+  'PUT /api/admin/me',
+  'POST /api/admin/change-password',
+  'GET /api/admin/2fa',
+  'POST /api/admin/2fa/setup',
+  'POST /api/admin/2fa/enable',
+  'POST /api/admin/2fa/disable',
+  'POST /api/admin/2fa/recovery-codes',
+  'GET /api/admin/sessions',
+  'DELETE /api/admin/sessions/:sessionId',
+];
+
+// Routes that expose or change a student's personal data, and the one permission each needs
+const STUDENT_DATA_ROUTES = [
+  ['GET /api/admin/signups/student/:studentId/consent', 'consent:read'],
+  ['GET /api/admin/signups/student/:studentId/export', 'students:export'],
+  ['POST /api/admin/signups/student/:studentId/erase', 'students:erase'],
+];
+
+const SAMPLE_ID = '00000000-0000-4000-8000-000000000000';
+
+const listAdminRoutes = () =>
+  mounts
+    .filter(({ prefix }) => prefix.startsWith('/api/admin'))
+    .flatMap(({ prefix, router }) =>
+      router.stack
+        .filter((layer) => layer.route)
+        .flatMap(({ route }) =>
+          Object.keys(route.methods).map((method) => ({
+            method,
+            path: `${prefix}${route.path === '/' ? '' : route.path}`,
+          }))
+        )
+    )
+    .map((route) => ({
+      ...route,
+      name: `${route.method.toUpperCase()} ${route.path}`,
+    }));
+
+const send = ({ method, path }) =>
+  request(app)[method](path.replace(/:\w+/g, SAMPLE_ID));
+
+const toRoute = (name) => {
+  const [method, path] = name.split(' ');
+  return { method: method.toLowerCase(), path };
+};
+
+// A signed-in admin whose role grants exactly these permissions
+const signInWith = (permissions) =>
+  jest.spyOn(adminService, 'validateToken').mockResolvedValue({
+    admin: {
+      id: SAMPLE_ID,
+      role: 'TEST',
+      permissions,
+      twoFactorSetupRequired: false,
+    },
+    session: { id: SAMPLE_ID },
+  });
+
+const adminRoutes = listAdminRoutes();
+const protectedRoutes = adminRoutes.filter(
+  (route) => !PUBLIC_ROUTES.includes(route.name)
+);
+const permissionRoutes = protectedRoutes.filter(
+  (route) => !SELF_SERVICE_ROUTES.includes(route.name)
+);
+
+describe('admin route authentication', () => {
+  beforeEach(() => {
+    signInWith([]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('finds the admin routes', () => {
+    const names = adminRoutes.map((route) => route.name);
+
+    expect(permissionRoutes.length).toBeGreaterThan(0);
+    expect(names).toEqual(expect.arrayContaining(PUBLIC_ROUTES));
+    expect(names).toEqual(expect.arrayContaining(SELF_SERVICE_ROUTES));
+  });
+
+  it.each(protectedRoutes.map((route) => [route.name, route]))(
+    '%s requires a token',
+    async (name, route) => {
+      const response = await send(route);
+
+      expect(response.status).toBe(401);
+      expect(adminService.validateToken).not.toHaveBeenCalled();
+    }
+  );
+
+  it.each(permissionRoutes.map((route) => [route.name, route]))(
+    '%s requires a permission',
+    async (name, route) => {
+      const response = await send(route).set(
+        'Authorization',
+        'Bearer test-token'
+      );
+
+      expect(response.status).toBe(403);
+      expect(response.body.error.code).toBe('INSUFFICIENT_PERMISSIONS');
+    }
+  );
+});
+
+describe('student data routes', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('are mounted', () => {
+    expect(adminRoutes.map((route) => route.name)).toEqual(
+      expect.arrayContaining(STUDENT_DATA_ROUTES.map(([name]) => name))
+    );
+  });
+
+  it.each(STUDENT_DATA_ROUTES)('%s needs %s', async (name, permission) => {
+    signInWith(Object.keys(PERMISSIONS).filter((key) => key !== permission));
+    const withoutIt = await send(toRoute(name)).set(
+      'Authorization',
+      'Bearer test-token'
+    );
+
+    expect(withoutIt.status).toBe(403);
+
+    signInWith([permission]);
+    const withIt = await send(toRoute(name)).set(
+      'Authorization',
+      'Bearer test-token'
+    );
+
+    expect([401, 403]).not.toContain(withIt.status);
+  });
+});
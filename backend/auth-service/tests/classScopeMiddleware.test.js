@@ -0,0 +1,75 @@
+// backend/auth-service/tests/classScopeMiddleware.test.js
+jest.mock('../config/database', () => ({
+  getDatabase: jest.fn().mockRejectedValue(new Error('No database in tests')),
+}));
+
+const signupRepository = require('../repositories/signupRepository');
+const { requireStudentInScope } = require('../middleware/classScopeMiddleware');
+
+const STUDENT_ID = '00000000-0000-4000-8000-000000000000';
+
+// Run the middleware for an instructor who teaches CPR only
+const runForInstructor = async (classTypes) => {
+  jest
+    .spyOn(signupRepository, 'findByStudentId')
+    .mockResolvedValue(classTypes.map((classType) => ({ classType })));
+  const req = {
+    admin: { id: 'instructor', classScope: ['CPR'] },
+    params: { studentId: STUDENT_ID },
+  };
+  const res = {
+    status: jest.fn().mockReturnThis(),
+    json: jest.fn().mockReturnThis(),
+  };
+  const next = jest.fn();
+
+  await requireStudentInScope(req, res, next);
+  return { res, next };
+};
+
+describe('requireStudentInScope', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('lets unscoped admins through without a lookup', async () => {
+    const spy = jest.spyOn(signupRepository, 'findByStudentId');
+    const next = jest.fn();
+
+    await requireStudentInScope(
+      { admin: { classScope: null }, params: { studentId: STUDENT_ID } },
+      {},
+      next
+    );
+
+    expect(next).toHaveBeenCalled();
+    expect(spy).not.toHaveBeenCalled();
+  });
+
+  it('allows a student whose signups are all in scope', async () => {
+    const { next } = await runForInstructor(['CPR', 'CPR']);
+
+    expect(next).toHaveBeenCalled();
+  });
+
+  it('refuses a student with a signup outside the scope', async () => {
+    const { res, next } = await runForInstructor(['CPR', 'FIRST_AID']);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(403);
+  });
+
+  it('reports a student with no signups in scope as not found', async () => {
+    const { res, next } = await runForInstructor(['FIRST_AID']);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(404);
+  });
+
+  it('reports a student with no signups as not found', async () => {
+    const { res, next } = await runForInstructor([]);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(404);
+  });
+});
@@ -0,0 +1,80 @@
+// backend/auth-service/tests/passwordResetService.test.js
+const ADMIN_ID = '00000000-0000-4000-8000-000000000000';
+const RESET_ID = '00000000-0000-4000-8000-000000000001';
+
+// One password_resets row. Reads see it as it was when they ran, and updateMany
+// only matches while the row is still unused, as in Postgres.
+const mockReset = {};
+const mockDb = {
+  passwordReset: {
+    findFirst: jest.fn(async () =>
+      mockReset.isUsed ? null : { ...mockReset }
+    ),
+    updateMany: jest.fn(async ({ where, data }) => {
+      await new Promise((resolve) => {
+        setImmediate(resolve);
+      });
+      if (mockReset.id !== where.id || mockReset.isUsed !== where.isUsed) {
+        return { count: 0 };
+      }
+      Object.assign(mockReset, data);
+      return { count: 1 };
+    }),
+  },
+};
+
+jest.mock('../config/database', () => ({
+  getDatabase: jest.fn(async () => mockDb),
+}));
+
+const adminRepository = require('../repositories/adminRepository');
+const sessionRepository = require('../repositories/adminSessionRepository');
+const passwordResetService = require('../services/passwordResetService');
+
+const TOKEN = 'a'.repeat(64);
+
+const resetWith = (newPassword) =>
+  passwordResetService.resetPassword({
+    token: TOKEN,
+    newPassword,
+    confirmPassword: newPassword,
+  });
+
+describe('passwordResetService.resetPassword', () => {
+  beforeEach(() => {
+    Object.assign(mockReset, {
+      id: RESET_ID,
+      adminId: ADMIN_ID,
+      isUsed: false,
+      usedAt: null,
+      attempts: 0,
+      expiresAt: new Date(Date.now() + 60000),
+      admin: { id: ADMIN_ID, isActive: true },
+    });
+    jest.spyOn(adminRepository, 'updatePassword').mockResolvedValue({});
+    jest
+      .spyOn(sessionRepository, 'invalidateAllSessions')
+      .mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('lets only one of two requests with the same link set a password', async () => {
+    const results = await Promise.allSettled([
+      resetWith('First-Password-1'),
+      resetWith('Second-Password-2'),
+    ]);
+
+    expect(results.map((result) => result.status).sort()).toEqual([
+      'fulfilled',
+      'rejected',
+    ]);
+    expect(
+      results.find((result) => result.status === 'rejected').reason.code
+    ).toBe('INVALID_RESET_TOKEN');
+    expect(adminRepository.updatePassword).toHaveBeenCalledTimes(1);
+    expect(mockReset.isUsed).toBe(true);
+  });
+});
@@ -0,0 +1,84 @@
+// backend/auth-service/tests/templatePreview.test.js
+process.env.UNSUBSCRIBE_LINK_SECRET = 'test-link-secret';
+
+jest.mock('../config/database', () => ({
+  getDatabase: jest.fn().mockRejectedValue(new Error('No database in tests')),
+}));
+
+const signupRepository = require('../repositories/signupRepository');
+const templateRepository = require('../repositories/templateRepository');
+const classService = require('../services/classService');
+const templateService = require('../services/templateService');
+const { buildUnsubscribeLink } = require('../services/unsubscribeService');
+
+const SIGNUP = {
+  id: '00000000-0000-4000-8000-000000000001',
+  classType: 'CPR',
+  completedAt: new Date('2025-01-01'),
+  expiresAt: new Date('2027-01-01'),
+  student: {
+    id: '00000000-0000-4000-8000-000000000002',
+    name: 'Real Student',
+    email: 'real.student@example.com',
+    phone: '+15555550100',
+    locale: 'en',
+  },
+};
+const ADMIN = { id: 'editor', permissions: ['signups:read'], classScope: null };
+
+// Every unsubscribe token in a rendered message, from page links and List-Unsubscribe URLs
+const findTokens = (text) =>
+  [...text.matchAll(/(?:token=|list-unsubscribe\/)([\w-]+)/g)].map(
+    ([, token]) => token
+  );
+
+const preview = (data) =>
+  templateService.previewTemplate(
+    {
+      purpose: 'REMINDER',
+      classType: 'CPR',
+      stage: 0,
+      locale: 'en',
+      signupId: SIGNUP.id,
+      ...data,
+    },
+    ADMIN
+  );
+
+describe('template preview of a real registration', () => {
+  beforeEach(() => {
+    jest.spyOn(signupRepository, 'findById').mockResolvedValue(SIGNUP);
+    jest.spyOn(templateRepository, 'findForMessage').mockResolvedValue(null);
+    jest.spyOn(classService, 'getClassLabel').mockResolvedValue('CPR');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it.each(['EMAIL', 'SMS'])(
+    'puts no signed unsubscribe link in the %s default message',
+    async (channel) => {
+      const { preview: message } = await preview({ channel });
+      const tokens = findTokens(`${message.body} ${message.html || ''}`);
+
+      expect(tokens.length).toBeGreaterThan(0);
+      expect(tokens.every((token) => token === 'preview')).toBe(true);
+    }
+  );
+
+  it('puts no signed unsubscribe link in an edited template', async () => {
+    const { preview: message } = await preview({
+      channel: 'EMAIL',
+      subject: 'Renew {{classTypeName}}',
+      body: 'Stop these: {{unsubscribeLink}} or {{optOutLink}}',
+    });
+    const tokens = findTokens(`${message.body} ${message.html}`);
+
+    expect(tokens.length).toBeGreaterThan(0);
+    expect(tokens.every((token) => token === 'preview')).toBe(true);
+    expect(message.body).not.toContain(
+      buildUnsubscribeLink(SIGNUP.student.id, 'EMAIL')
+    );
+  });
+});
@@ -0,0 +1,121 @@
+// backend/auth-service/tests/twoFactorService.test.js
+process.env.OTP_HASH_SECRET = 'test-otp-secret';
+
+const ADMIN_ID = '00000000-0000-4000-8000-000000000000';
+
+// One admin row. $executeRaw applies the recovery-code UPDATE the way Postgres
+// would: array_remove on the stored array, only if the hash is still in it.
+const row = {};
+const mockDb = {
+  admin: {
+    findUnique: jest.fn(async () => ({
+      ...row,
+      twoFactorRecoveryCodes: [...row.twoFactorRecoveryCodes],
+    })),
+    update: jest.fn(async ({ data }) => {
+      Object.entries(data).forEach(([key, value]) => {
+        row[key] = value?.increment ? row[key] + value.increment : value;
+      });
+      return { ...row };
+    }),
+  },
+  $executeRaw: jest.fn(async (strings, codeHash) => {
+    await new Promise((resolve) => {
+      setImmediate(resolve);
+    });
+    if (!row.twoFactorRecoveryCodes.includes(codeHash)) {
+      return 0;
+    }
+    row.twoFactorRecoveryCodes = row.twoFactorRecoveryCodes.filter(
+      (hash) => hash !== codeHash
+    );
+    return 1;
+  }),
+};
+
+jest.mock('../config/database', () => ({
+  getDatabase: jest.fn(async () => mockDb),
+}));
+
+const { hashOtp } = require('../lib/utils');
+const twoFactorService = require('../services/twoFactorService');
+
+const CODES = ['aaaa-1111', 'bbbb-2222', 'cccc-3333'];
+const hashCode = (code) => hashOtp(code.replace(/-/g, ''));
+
+describe('twoFactorService.verifyLogin with recovery codes', () => {
+  beforeEach(() => {
+    Object.assign(row, {
+      id: ADMIN_ID,
+      twoFactorEnabled: true,
+      twoFactorRecoveryCodes: CODES.map(hashCode),
+      twoFactorFailedAttempts: 0,
+      twoFactorLockedUntil: null,
+    });
+  });
+
+  it('uses up both codes when two sign-ins use different codes at once', async () => {
+    const results = await Promise.all([
+      twoFactorService.verifyLogin(ADMIN_ID, { recoveryCode: CODES[0] }),
+      twoFactorService.verifyLogin(ADMIN_ID, { recoveryCode: CODES[1] }),
+    ]);
+
+    expect(results.every((result) => result.usedRecoveryCode)).toBe(true);
+    expect(row.twoFactorRecoveryCodes).toEqual([hashCode(CODES[2])]);
+  });
+
+  it('accepts a code only once when two sign-ins use the same code at once', async () => {
+    const results = await Promise.allSettled([
+      twoFactorService.verifyLogin(ADMIN_ID, { recoveryCode: CODES[0] }),
+      twoFactorService.verifyLogin(ADMIN_ID, { recoveryCode: CODES[0] }),
+    ]);
+
+    expect(results.map((result) => result.status).sort()).toEqual([
+      'fulfilled',
+      'rejected',
+    ]);
+    expect(row.twoFactorRecoveryCodes).toEqual(CODES.slice(1).map(hashCode));
+  });
+});
+
+describe('twoFactorService.regenerateRecoveryCodes', () => {
+  beforeEach(() => {
+    Object.assign(row, {
+      id: ADMIN_ID,
+      twoFactorEnabled: true,
+      twoFactorSecret: null,
+      twoFactorRecoveryCodes: CODES.map(hashCode),
+      twoFactorFailedAttempts: 0,
+      twoFactorLockedUntil: null,
+    });
+  });
+
+  it('counts a wrong code towards the lock', async () => {
+    await expect(
+      twoFactorService.regenerateRecoveryCodes(ADMIN_ID, { code: '000000' })
+    ).rejects.toMatchObject({ code: 'INVALID_TWO_FACTOR_CODE' });
+
+    expect(row.twoFactorFailedAttempts).toBe(1);
+  });
+
+  it('locks after too many wrong codes', async () => {
+    row.twoFactorFailedAttempts = 4;
+
+    await expect(
+      twoFactorService.regenerateRecoveryCodes(ADMIN_ID, { code: '000000' })
+    ).rejects.toMatchObject({ code: 'TWO_FACTOR_LOCKED' });
+
+    expect(row.twoFactorLockedUntil).toBeInstanceOf(Date);
+  });
+
+  it('refuses codes while locked without checking them', async () => {
+    row.twoFactorLockedUntil = new Date(Date.now() + 60000);
+
+    await expect(
+      twoFactorService.regenerateRecoveryCodes(ADMIN_ID, { code: '000000' })
+    ).rejects.toMatchObject({ code: 'TWO_FACTOR_LOCKED' });
+
+    expect(row.twoFactorFailedAttempts).toBe(0);
+    expect(row.twoFactorRecoveryCodes).toEqual(CODES.map(hashCode));
+  });
+});
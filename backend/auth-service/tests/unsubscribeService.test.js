@@ -0,0 +1,51 @@
+// backend/auth-service/tests/unsubscribeService.test.js
+process.env.UNSUBSCRIBE_LINK_SECRET = 'test-link-secret';
+
+jest.mock('../config/database', () => ({
+  getDatabase: jest.fn().mockRejectedValue(new Error('No database in tests')),
+}));
+
+const optOutService = require('../services/optOutService');
+const unsubscribeService = require('../services/unsubscribeService');
+
+const STUDENT = {
+  id: '00000000-0000-4000-8000-000000000002',
+  email: 'real.student@example.com',
+  phone: '+15555550100',
+  optedOutEmail: true,
+  optedOutSms: false,
+};
+
+// The token from a reminder's unsubscribe page link
+const linkToken = (channel) =>
+  new URL(
+    unsubscribeService.buildUnsubscribeLink(STUDENT.id, channel)
+  ).searchParams.get('token');
+
+describe('unsubscribeService.oneClickUnsubscribe', () => {
+  beforeEach(() => {
+    jest
+      .spyOn(optOutService, 'applyOptOut')
+      .mockResolvedValue({ student: STUDENT });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('returns the opt-out state without contact details', async () => {
+    const result = await unsubscribeService.oneClickUnsubscribe({
+      token: linkToken('EMAIL'),
+    });
+
+    expect(result).toEqual({
+      channel: 'EMAIL',
+      scope: 'student',
+      optedOutEmail: true,
+      optedOutSms: false,
+      message: expect.any(String),
+    });
+    expect(JSON.stringify(result)).not.toContain(STUDENT.email);
+    expect(JSON.stringify(result)).not.toContain(STUDENT.phone);
+  });
+});
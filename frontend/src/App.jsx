@@ -4,6 +4,9 @@ import { Toaster } from 'react-hot-toast';
 import StudentSignup from '@pages/StudentSignup';
 import AdminDashboard from '@pages/AdminDashboard';
 import AdminLogin from '@pages/AdminLogin';
+import ForgotPassword from '@pages/ForgotPassword';
+import ResetPassword from '@pages/ResetPassword';
+import AcceptInvite from '@pages/AcceptInvite';
 import TemplateManager from '@pages/TemplateManager';
 import OptOutConfirmation from '@pages/OptOutConfirmation';
 import UnsubscribeFlow from '@pages/UnsubscribeFlow';
@@ -11,18 +14,27 @@ import MyRegistrations from '@pages/MyRegistrations';
 import ClassRegistration from '@pages/ClassRegistration';
 import QRGenerator from '@pages/QRGenerator';
 import UserManagement from '@pages/UserManagement';
+import ClassManagement from '@pages/ClassManagement';
+import AccountSecurity from '@pages/AccountSecurity';
 import NotFound from '@pages/NotFound';
 import ProtectedRoute from '@components/auth/ProtectedRoute';
 import useAuthStore from '@store/authStore';
+import useClassStore from '@store/classStore';
 
 function App() {
   const checkAuth = useAuthStore((state) => state.checkAuth);
+  const fetchClasses = useClassStore((state) => state.fetchClasses);
 
   // Check authentication status on app load
   useEffect(() => {
     checkAuth();
   }, [checkAuth]);
 
+  // Load the class catalog used for labels and class pickers
+  useEffect(() => {
+    fetchClasses();
+  }, [fetchClasses]);
+
   return (
     <>
       <Toaster
@@ -58,6 +70,9 @@ function App() {
         <Route path="/unsubscribe" element={<UnsubscribeFlow />} />
         <Route path="/my-registrations" element={<MyRegistrations />} />
         <Route path="/login" element={<AdminLogin />} />
+        <Route path="/forgot-password" element={<ForgotPassword />} />
+        <Route path="/reset-password" element={<ResetPassword />} />
+        <Route path="/accept-invite" element={<AcceptInvite />} />
 
         {/* Protected Admin Routes */}
         <Route
@@ -92,6 +107,22 @@ function App() {
             </ProtectedRoute>
           }
         />
+        <Route
+          path="/admin/classes"
+          element={
+            <ProtectedRoute>
+              <ClassManagement />
+            </ProtectedRoute>
+          }
+        />
+        <Route
+          path="/admin/security"
+          element={
+            <ProtectedRoute>
+              <AccountSecurity />
+            </ProtectedRoute>
+          }
+        />
 
         {/* Default - Student Registration */}
         <Route path="/" element={<ClassRegistration />} />
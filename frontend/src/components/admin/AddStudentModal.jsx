@@ -2,16 +2,27 @@ import { useState } from 'react';
 import { X } from 'lucide-react';
 import Button from '@components/shared/Button';
 import PhoneInput from '@components/shared/PhoneInput';
-import { CLASS_TYPES, CLASS_TYPE_LABELS } from '@utils/constants';
-import { createSignup } from '@services/studentService';
+import useClassStore from '@store/classStore';
+import useAuthStore from '@store/authStore';
+import { createSignup } from '@services/adminService';
+import { formatDate } from '@utils/formatters';
+import { DEFAULT_LOCALE, LOCALE_NAMES } from '@/i18n';
 import toast from 'react-hot-toast';
 
+const today = () => formatDate(new Date(), 'yyyy-MM-dd');
+
 const AddStudentModal = ({ isOpen, onClose, onSuccess }) => {
     const [name, setName] = useState('');
     const [email, setEmail] = useState('');
     const [phone, setPhone] = useState('');
     const [classType, setClassType] = useState('');
+    const [completedAt, setCompletedAt] = useState(today);
+    const [locale, setLocale] = useState(DEFAULT_LOCALE);
     const [isSubmitting, setIsSubmitting] = useState(false);
+    const classes = useClassStore((state) => state.classes);
+    // Instructors can only add students to the classes they teach
+    const classScope = useAuthStore((state) => state.admin?.classScope);
+    const activeClasses = classes.filter((c) => c.isActive && (!classScope || classScope.includes(c.key)));
 
     const handleSubmit = async (e) => {
         e.preventDefault();
@@ -31,11 +42,18 @@ const AddStudentModal = ({ isOpen, onClose, onSuccess }) => {
             return;
         }
 
+        if (!completedAt || completedAt > today()) {
+            toast.error('Please enter a completion date that is not in the future');
+            return;
+        }
+
         setIsSubmitting(true);
         try {
             const signupData = {
                 classType,
+                completedAt,
                 name: name.trim(),
+                locale,
                 ...(email && { email }),
                 ...(phone && { phone }),
             };
@@ -48,6 +66,8 @@ const AddStudentModal = ({ isOpen, onClose, onSuccess }) => {
             setEmail('');
             setPhone('');
             setClassType('');
+            setCompletedAt(today());
+            setLocale(DEFAULT_LOCALE);
 
             onSuccess?.();
             onClose();
@@ -138,12 +158,55 @@ const AddStudentModal = ({ isOpen, onClose, onSuccess }) => {
                             required
                         >
                             <option value="">Select training type</option>
-                            {Object.entries(CLASS_TYPE_LABELS).map(([key, label]) => (
-                                <option key={key} value={key}>
-                                    {label}
+                            {activeClasses.map((c) => (
+                                <option key={c.key} value={c.key}>
+                                    {c.label}
+                                </option>
+                            ))}
+                        </select>
+                    </div>
+
+                    {/* Completion Date */}
+                    <div className="space-y-2">
+                        <label htmlFor="completedAt" className="text-sm font-medium text-foreground">
+                            Completion Date *
+                        </label>
+                        <input
+                            id="completedAt"
+                            type="date"
+                            value={completedAt}
+                            max={today()}
+                            onChange={(e) => setCompletedAt(e.target.value)}
+                            className="w-full rounded-lg border border-input bg-background px-3 py-2 text-foreground focus:border-primary focus:outline-none focus:ring-2 focus:ring-primary/20"
+                            disabled={isSubmitting}
+                            required
+                        />
+                        <p className="text-xs text-muted-foreground">
+                            Expiry and reminders are calculated from this date.
+                        </p>
+                    </div>
+
+                    {/* Language */}
+                    <div className="space-y-2">
+                        <label htmlFor="locale" className="text-sm font-medium text-foreground">
+                            Language
+                        </label>
+                        <select
+                            id="locale"
+                            value={locale}
+                            onChange={(e) => setLocale(e.target.value)}
+                            className="w-full rounded-lg border border-input bg-background px-3 py-2 text-foreground focus:border-primary focus:outline-none focus:ring-2 focus:ring-primary/20"
+                            disabled={isSubmitting}
+                        >
+                            {Object.entries(LOCALE_NAMES).map(([code, localeName]) => (
+                                <option key={code} value={code}>
+                                    {localeName}
                                 </option>
                             ))}
                         </select>
+                        <p className="text-xs text-muted-foreground">
+                            Reminders are sent in this language.
+                        </p>
                     </div>
 
                     <p className="text-xs text-muted-foreground">
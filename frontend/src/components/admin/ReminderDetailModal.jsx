@@ -3,24 +3,56 @@ import Modal, { ModalFooter } from '@components/shared/Modal';
 import Button from '@components/shared/Button';
 import Badge from '@components/shared/Badge';
 import Input from '@components/shared/Input';
-import { formatDate, formatEmail, formatPhone, getClassTypeLabel, getStatusColor } from '@utils/formatters';
-import { Mail, Phone, Send, RotateCcw, Calendar, Trash2, UserX } from 'lucide-react';
+import {
+  formatDate,
+  formatEmail,
+  formatPhone,
+  formatStageOffset,
+  formatTimezone,
+  getNextReminderStage,
+  getDaysUntilExpiry,
+  formatDaysUntilExpiry,
+  getStatusColor,
+} from '@utils/formatters';
+import { OPT_OUT_SOURCE_LABELS } from '@utils/constants';
+import { useClassLabel } from '@store/classStore';
+import { exportConsentHistoryToCSV, exportStudentDataBundle } from '@utils/csvExport';
+import { Mail, Phone, Clock, Send, RotateCcw, Calendar, Trash2, UserX, Download, Eraser } from 'lucide-react';
 import useReminderStore from '@store/reminderStore';
-import { deleteSignup, deleteStudent } from '@services/adminService';
+import useAuthStore from '@store/authStore';
+import {
+  updateSignup,
+  deleteSignup,
+  deleteStudent,
+  getConsentHistory,
+  exportStudentData,
+  eraseStudentData,
+} from '@services/adminService';
 import toast from 'react-hot-toast';
 
 const ReminderDetailModal = ({ isOpen, onClose, signup, onRefresh }) => {
   const [deliveryLogs, setDeliveryLogs] = useState([]);
+  const [optOutEvents, setOptOutEvents] = useState([]);
   const [isLoadingLogs, setIsLoadingLogs] = useState(false);
   const [isRescheduling, setIsRescheduling] = useState(false);
-  const [selectedReminderLevel, setSelectedReminderLevel] = useState(1);
+  const [selectedStage, setSelectedStage] = useState(1);
   const [newDate, setNewDate] = useState('');
+  const [isEditingCompletion, setIsEditingCompletion] = useState(false);
+  const [completionDate, setCompletionDate] = useState('');
+  const [isSavingCompletion, setIsSavingCompletion] = useState(false);
   const [confirmReset, setConfirmReset] = useState(false);
+  const [confirmResend, setConfirmResend] = useState(false);
   const [confirmDeleteSignup, setConfirmDeleteSignup] = useState(false);
   const [confirmDeleteStudent, setConfirmDeleteStudent] = useState(false);
   const [isDeleting, setIsDeleting] = useState(false);
+  const [isExportingConsent, setIsExportingConsent] = useState(false);
+  const [isExportingData, setIsExportingData] = useState(false);
+  const [confirmErase, setConfirmErase] = useState(false);
+  const [isErasing, setIsErasing] = useState(false);
 
   const { sendReminderAsync, rescheduleReminderAsync, resetReminderAsync, fetchDeliveryDetails, sendingReminders } = useReminderStore();
+  const getClassTypeLabel = useClassLabel();
+  const { can } = useAuthStore();
 
   const isSending = signup ? sendingReminders.includes(signup.id) : false;
 
@@ -31,8 +63,11 @@ const ReminderDetailModal = ({ isOpen, onClose, signup, onRefresh }) => {
       setConfirmReset(false);
       setConfirmDeleteSignup(false);
       setConfirmDeleteStudent(false);
-      setSelectedReminderLevel(1);
+      setConfirmErase(false);
+      setSelectedStage(getNextReminderStage(signup)?.stage || 1);
       setNewDate('');
+      setIsEditingCompletion(false);
+      setCompletionDate(signup.completedAt ? formatDate(signup.completedAt, 'yyyy-MM-dd') : '');
     }
   }, [isOpen, signup?.id]);
 
@@ -42,16 +77,23 @@ const ReminderDetailModal = ({ isOpen, onClose, signup, onRefresh }) => {
     try {
       const details = await fetchDeliveryDetails(signup.id);
       setDeliveryLogs(details?.deliveryLogs || []);
+      setOptOutEvents(details?.optOutEvents || []);
     } catch {
       setDeliveryLogs([]);
+      setOptOutEvents([]);
     } finally {
       setIsLoadingLogs(false);
     }
   };
 
-  const handleSendReminder = async () => {
+  const handleSendReminder = async (force = false) => {
     try {
-      const response = await sendReminderAsync(signup.id);
+      const response = await sendReminderAsync(signup.id, { force });
+      setConfirmResend(false);
+      if (response?.data?.duplicate) {
+        setConfirmResend(true);
+        return;
+      }
       if (response?.data?.overallStatus === 'FAILED') {
         toast.error('Failed to send reminder. Student may have opted out or lacks contact info.');
       } else {
@@ -70,7 +112,7 @@ const ReminderDetailModal = ({ isOpen, onClose, signup, onRefresh }) => {
       return;
     }
     try {
-      await rescheduleReminderAsync(signup.id, selectedReminderLevel, newDate);
+      await rescheduleReminderAsync(signup.id, selectedStage, newDate);
       toast.success('Reminder rescheduled successfully');
       setIsRescheduling(false);
       setNewDate('');
@@ -80,6 +122,24 @@ const ReminderDetailModal = ({ isOpen, onClose, signup, onRefresh }) => {
     }
   };
 
+  const handleSaveCompletion = async () => {
+    if (!completionDate) {
+      toast.error('Please select a completion date');
+      return;
+    }
+    setIsSavingCompletion(true);
+    try {
+      await updateSignup(signup.id, { completedAt: completionDate });
+      toast.success('Completion date updated and reminders rescheduled');
+      setIsEditingCompletion(false);
+      onRefresh?.();
+    } catch (error) {
+      toast.error(`Failed to update completion date: ${error.message}`);
+    } finally {
+      setIsSavingCompletion(false);
+    }
+  };
+
   const handleReset = async () => {
     try {
       await resetReminderAsync(signup.id);
@@ -122,9 +182,52 @@ const ReminderDetailModal = ({ isOpen, onClose, signup, onRefresh }) => {
     }
   };
 
+  const handleExportConsent = async () => {
+    setIsExportingConsent(true);
+    try {
+      const result = await getConsentHistory(signup.student?.id);
+      exportConsentHistoryToCSV(result.data);
+      toast.success(`Exported ${result.data.records.length} consent records`);
+    } catch (error) {
+      toast.error(`Failed to export consent history: ${error.message}`);
+    } finally {
+      setIsExportingConsent(false);
+    }
+  };
+
+  const handleExportData = async () => {
+    setIsExportingData(true);
+    try {
+      const result = await exportStudentData(signup.student?.id);
+      exportStudentDataBundle(result.data, 'json');
+      toast.success('Student data exported');
+    } catch (error) {
+      toast.error(`Failed to export student data: ${error.message}`);
+    } finally {
+      setIsExportingData(false);
+    }
+  };
+
+  const handleEraseStudent = async () => {
+    setIsErasing(true);
+    try {
+      await eraseStudentData(signup.student?.id);
+      toast.success('Student data erased');
+      setConfirmErase(false);
+      onRefresh?.();
+      onClose();
+    } catch (error) {
+      toast.error(`Failed to erase: ${error.message}`);
+    } finally {
+      setIsErasing(false);
+    }
+  };
+
   if (!signup) return null;
 
   const student = signup.student;
+  const reminderStages = signup.reminderSchedules || [];
+  const daysUntilExpiry = getDaysUntilExpiry(signup.expiresAt);
 
   return (
     <Modal isOpen={isOpen} onClose={onClose} title="Reminder Details" size="lg">
@@ -133,11 +236,19 @@ const ReminderDetailModal = ({ isOpen, onClose, signup, onRefresh }) => {
         <div className="rounded-md border p-4">
           <h3 className="mb-2 text-sm font-semibold text-muted-foreground uppercase">Student Contact</h3>
           <div className="space-y-1.5">
+            {student?.erasedAt && (
+              <div className="flex items-center gap-2 text-sm text-muted-foreground">
+                <Eraser className="h-4 w-4" />
+                <span>Personal data erased {formatDate(student.erasedAt, 'MMM dd, yyyy')}</span>
+                <Badge variant="outline">Erased</Badge>
+              </div>
+            )}
             {student?.email && (
               <div className="flex items-center gap-2 text-sm">
                 <Mail className="h-4 w-4 text-muted-foreground" />
                 <span className={(student.optedOutEmail || signup.optedOutEmail) ? "line-through text-muted-foreground/50" : ""}>{student.email}</span>
                 {(student.optedOutEmail || signup.optedOutEmail) && <Badge variant="warning">Opted Out</Badge>}
+                {student.emailInvalidAt && <Badge variant="error" title={student.emailInvalidReason || undefined}>Bounced</Badge>}
               </div>
             )}
             {student?.phone && (
@@ -145,8 +256,13 @@ const ReminderDetailModal = ({ isOpen, onClose, signup, onRefresh }) => {
                 <Phone className="h-4 w-4 text-muted-foreground" />
                 <span className={(student.optedOutSms || signup.optedOutSms) ? "line-through text-muted-foreground/50" : ""}>{formatPhone(student.phone)}</span>
                 {(student.optedOutSms || signup.optedOutSms) && <Badge variant="warning">Opted Out</Badge>}
+                {student.phoneInvalidAt && <Badge variant="error" title={student.phoneInvalidReason || undefined}>Undeliverable</Badge>}
               </div>
             )}
+            <div className="flex items-center gap-2 text-sm">
+              <Clock className="h-4 w-4 text-muted-foreground" />
+              <span>{formatTimezone(student?.timezone)}</span>
+            </div>
           </div>
         </div>
 
@@ -162,27 +278,72 @@ const ReminderDetailModal = ({ isOpen, onClose, signup, onRefresh }) => {
               <span className="text-muted-foreground">Signup Date:</span>
               <p className="font-medium">{formatDate(signup.createdAt, 'MMM dd, yyyy')}</p>
             </div>
-            <div className="col-span-2 grid grid-cols-1 sm:grid-cols-2 gap-3 mt-2 pt-2 border-t border-border/50">
-              <div>
-                <span className="text-muted-foreground text-[10px] font-semibold uppercase">1st Reminder</span>
-                <div className="mt-1 space-y-1">
-                  <div className="flex items-center justify-between pr-2">
-                    <p className="font-medium whitespace-nowrap">{formatDate(signup.firstReminderDate, 'MMM dd, yyyy')}</p>
-                    <Badge className={getStatusColor(signup.firstReminderStatus)}>{signup.firstReminderStatus}</Badge>
-                  </div>
-                  {signup.firstReminderSentAt && <p className="text-xs text-green-600">Sent: {formatDate(signup.firstReminderSentAt, 'MMM dd, yyyy hh:mm a')}</p>}
+            <div>
+              <span className="text-muted-foreground">Completed:</span>
+              <p className="font-medium">
+                {formatDate(signup.completedAt, 'MMM dd, yyyy')}
+                {!isEditingCompletion && (
+                  <button
+                    type="button"
+                    onClick={() => setIsEditingCompletion(true)}
+                    className="ml-2 text-xs font-normal text-primary hover:underline"
+                  >
+                    Change
+                  </button>
+                )}
+              </p>
+            </div>
+            <div>
+              <span className="text-muted-foreground">Expires:</span>
+              <p className="font-medium">{formatDate(signup.expiresAt, 'MMM dd, yyyy')}</p>
+              {daysUntilExpiry !== null && (
+                <p className={daysUntilExpiry < 0 ? 'text-xs text-destructive' : 'text-xs text-muted-foreground'}>
+                  {formatDaysUntilExpiry(daysUntilExpiry)}
+                </p>
+              )}
+            </div>
+            {isEditingCompletion && (
+              <div className="col-span-2 flex items-end gap-2">
+                <div className="flex-1">
+                  <Input
+                    type="date"
+                    value={completionDate}
+                    max={formatDate(new Date(), 'yyyy-MM-dd')}
+                    onChange={(e) => setCompletionDate(e.target.value)}
+                    label="Completion Date (reminders are recalculated)"
+                  />
                 </div>
+                <Button size="sm" onClick={handleSaveCompletion} disabled={isSavingCompletion}>
+                  {isSavingCompletion ? 'Saving...' : 'Save'}
+                </Button>
+                <Button variant="ghost" size="sm" onClick={() => setIsEditingCompletion(false)}>Cancel</Button>
               </div>
-              <div className="border-t sm:border-t-0 sm:border-l pt-3 sm:pt-0 sm:pl-3">
-                <span className="text-muted-foreground text-[10px] font-semibold uppercase">2nd Reminder</span>
-                <div className="mt-1 space-y-1">
-                  <div className="flex items-center justify-between pr-2">
-                    <p className="font-medium whitespace-nowrap">{formatDate(signup.secondReminderDate, 'MMM dd, yyyy')}</p>
-                    <Badge className={getStatusColor(signup.secondReminderStatus)}>{signup.secondReminderStatus}</Badge>
-                  </div>
-                  {signup.secondReminderSentAt && <p className="text-xs text-green-600">Sent: {formatDate(signup.secondReminderSentAt, 'MMM dd, yyyy hh:mm a')}</p>}
+            )}
+            <div className="col-span-2 mt-2 pt-2 border-t border-border/50">
+              <span className="text-muted-foreground text-[10px] font-semibold uppercase">Reminder Schedule</span>
+              {reminderStages.length === 0 ? (
+                <p className="mt-1 text-sm text-muted-foreground">No reminder stages scheduled</p>
+              ) : (
+                <div className="mt-1 divide-y divide-border/50">
+                  {reminderStages.map((stage) => (
+                    <div key={stage.id} className="flex items-center justify-between gap-3 py-1.5">
+                      <div>
+                        <p className="font-medium whitespace-nowrap">
+                          {stage.stage}. {formatDate(stage.scheduledFor, 'MMM dd, yyyy')}
+                        </p>
+                        <p className="text-xs text-muted-foreground">{formatStageOffset(stage.offsetDays)}</p>
+                        {stage.deferredUntil && (
+                          <p className="text-xs text-blue-600">
+                            Held for quiet hours until {formatDate(stage.deferredUntil, 'MMM dd, yyyy hh:mm a')}
+                          </p>
+                        )}
+                        {stage.sentAt && <p className="text-xs text-green-600">Sent: {formatDate(stage.sentAt, 'MMM dd, yyyy hh:mm a')}</p>}
+                      </div>
+                      <Badge className={getStatusColor(stage.status)}>{stage.status}</Badge>
+                    </div>
+                  ))}
                 </div>
-              </div>
+              )}
             </div>
             <div className="col-span-2 mt-2 pt-2 border-t border-border/50">
               <span className="text-muted-foreground mr-2">Overall Status:</span>
@@ -209,6 +370,17 @@ const ReminderDetailModal = ({ isOpen, onClose, signup, onRefresh }) => {
                       <Phone className="h-3.5 w-3.5 text-muted-foreground" />
                     )}
                     <span className="font-medium">{log.channel}</span>
+                    {log.metadata?.forced && (
+                      <span className="text-xs text-muted-foreground">(forced resend)</span>
+                    )}
+                    {log.templateVersion && (
+                      <span className="text-xs text-muted-foreground">template v{log.templateVersion.version}</span>
+                    )}
+                    {log.events?.length > 0 && (
+                      <span className="text-xs text-muted-foreground" title={log.errorMessage || undefined}>
+                        {log.events.map((event) => event.eventType).join(' → ')}
+                      </span>
+                    )}
                   </div>
                   <div className="flex items-center gap-3">
                     <Badge className={log.status === 'SENT' || log.status === 'DELIVERED' ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-800'}>
@@ -224,13 +396,52 @@ const ReminderDetailModal = ({ isOpen, onClose, signup, onRefresh }) => {
           )}
         </div>
 
+        {/* Opt-out History */}
+        {optOutEvents.length > 0 && (
+          <div className="rounded-md border p-4">
+            <h3 className="mb-2 text-sm font-semibold text-muted-foreground uppercase">Opt-out History</h3>
+            <div className="space-y-1.5">
+              {optOutEvents.map((event) => (
+                <div key={event.id} className="flex items-center justify-between text-sm">
+                  <div className="flex items-center gap-2">
+                    {event.channel === 'EMAIL' ? (
+                      <Mail className="h-3.5 w-3.5 text-muted-foreground" />
+                    ) : (
+                      <Phone className="h-3.5 w-3.5 text-muted-foreground" />
+                    )}
+                    <span>{event.optedOut ? 'Opted out' : 'Opted back in'}</span>
+                    <span className="text-xs text-muted-foreground">
+                      {OPT_OUT_SOURCE_LABELS[event.source] || event.source}
+                      {event.keyword && ` (${event.keyword})`}
+                      {event.signupId && ' - this registration'}
+                    </span>
+                  </div>
+                  <span className="text-xs text-muted-foreground">
+                    {formatDate(event.createdAt, 'MMM dd, yyyy hh:mm a')}
+                  </span>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
         {/* Reschedule Section */}
         {isRescheduling && (
           <div className="rounded-md border border-blue-200 bg-blue-50 p-4">
             <h3 className="mb-2 text-sm font-semibold">Reschedule Reminder</h3>
-            <div className="mb-4 flex items-center gap-4">
-               <label className="flex items-center gap-1.5 text-sm cursor-pointer"><input type="radio" value={1} checked={selectedReminderLevel === 1} onChange={() => setSelectedReminderLevel(1)} className="cursor-pointer" /> 1st Reminder</label>
-               <label className="flex items-center gap-1.5 text-sm cursor-pointer"><input type="radio" value={2} checked={selectedReminderLevel === 2} onChange={() => setSelectedReminderLevel(2)} className="cursor-pointer" /> 2nd Reminder</label>
+            <div className="mb-4 flex flex-wrap items-center gap-4">
+              {reminderStages.map((stage) => (
+                <label key={stage.id} className="flex items-center gap-1.5 text-sm cursor-pointer">
+                  <input
+                    type="radio"
+                    value={stage.stage}
+                    checked={selectedStage === stage.stage}
+                    onChange={() => setSelectedStage(stage.stage)}
+                    className="cursor-pointer"
+                  />
+                  Stage {stage.stage}
+                </label>
+              ))}
             </div>
             <div className="flex items-end gap-2">
               <div className="flex-1">
@@ -247,6 +458,17 @@ const ReminderDetailModal = ({ isOpen, onClose, signup, onRefresh }) => {
           </div>
         )}
 
+        {/* Resend Confirmation */}
+        {confirmResend && (
+          <div className="rounded-md border border-orange-200 bg-orange-50 p-4">
+            <p className="mb-2 text-sm">This reminder was already sent. Send it again anyway? The resend is recorded in the delivery log.</p>
+            <div className="flex gap-2">
+              <Button size="sm" onClick={() => handleSendReminder(true)} disabled={isSending}>Yes, Send Again</Button>
+              <Button variant="ghost" size="sm" onClick={() => setConfirmResend(false)}>Cancel</Button>
+            </div>
+          </div>
+        )}
+
         {/* Reset Confirmation */}
         {confirmReset && (
           <div className="rounded-md border border-orange-200 bg-orange-50 p-4">
@@ -287,11 +509,28 @@ const ReminderDetailModal = ({ isOpen, onClose, signup, onRefresh }) => {
             </div>
           </div>
         )}
+
+        {/* Erase Student Confirmation */}
+        {confirmErase && (
+          <div className="rounded-md border border-red-300 bg-red-50 p-4">
+            <p className="mb-2 text-sm font-medium text-red-800">Erase this student&apos;s personal data?</p>
+            <p className="mb-3 text-sm text-red-700">
+              Name, email, phone, notes and provider payloads for ({student?.email || student?.phone}) will be anonymized
+              and all pending reminders cancelled. Registrations are kept for reporting and a tombstone is logged. This cannot be undone.
+            </p>
+            <div className="flex gap-2">
+              <Button size="sm" variant="destructive" onClick={handleEraseStudent} disabled={isErasing}>
+                {isErasing ? 'Erasing...' : 'Yes, Erase Data'}
+              </Button>
+              <Button variant="ghost" size="sm" onClick={() => setConfirmErase(false)}>Cancel</Button>
+            </div>
+          </div>
+        )}
       </div>
 
       <ModalFooter>
         {(signup.status === 'PENDING' || signup.status === 'FAILED') && (
-          <Button onClick={handleSendReminder} disabled={isSending}>
+          <Button onClick={() => handleSendReminder()} disabled={isSending}>
             {isSending ? (
               <span className="flex items-center gap-1">
                 <svg className="h-4 w-4 animate-spin" viewBox="0 0 24 24">
@@ -308,7 +547,7 @@ const ReminderDetailModal = ({ isOpen, onClose, signup, onRefresh }) => {
             )}
           </Button>
         )}
-        {!isRescheduling && (
+        {!isRescheduling && reminderStages.length > 0 && (
           <Button variant="outline" onClick={() => setIsRescheduling(true)}>
             <Calendar className="mr-1 h-4 w-4" />
             Reschedule
@@ -320,13 +559,31 @@ const ReminderDetailModal = ({ isOpen, onClose, signup, onRefresh }) => {
             Reset
           </Button>
         )}
-        {!confirmDeleteSignup && !confirmDeleteStudent && (
+        {can('consent:read') && signup?.student?.id && (
+          <Button variant="outline" onClick={handleExportConsent} disabled={isExportingConsent}>
+            <Download className="mr-1 h-4 w-4" />
+            {isExportingConsent ? 'Exporting...' : 'Consent History'}
+          </Button>
+        )}
+        {can('students:export') && signup?.student?.id && (
+          <Button variant="outline" onClick={handleExportData} disabled={isExportingData}>
+            <Download className="mr-1 h-4 w-4" />
+            {isExportingData ? 'Exporting...' : 'Export Data'}
+          </Button>
+        )}
+        {can('signups:delete') && !confirmDeleteSignup && !confirmDeleteStudent && !confirmErase && (
           <Button variant="outline" onClick={() => setConfirmDeleteSignup(true)} className="text-destructive border-destructive/50 hover:bg-destructive/10">
             <Trash2 className="mr-1 h-4 w-4" />
             Delete Registration
           </Button>
         )}
-        {!confirmDeleteStudent && !confirmDeleteSignup && signup?.student?.id && (
+        {can('students:erase') && !confirmDeleteStudent && !confirmDeleteSignup && !confirmErase && signup?.student?.id && !student?.erasedAt && (
+          <Button variant="outline" onClick={() => setConfirmErase(true)} className="text-destructive border-destructive/50 hover:bg-destructive/10">
+            <Eraser className="mr-1 h-4 w-4" />
+            Erase Student
+          </Button>
+        )}
+        {can('students:delete') && !confirmDeleteStudent && !confirmDeleteSignup && !confirmErase && signup?.student?.id && (
           <Button variant="outline" onClick={() => setConfirmDeleteStudent(true)} className="text-destructive border-destructive/50 hover:bg-destructive/10">
             <UserX className="mr-1 h-4 w-4" />
             Delete Student
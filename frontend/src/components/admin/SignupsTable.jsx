@@ -8,10 +8,62 @@ import {
 } from '@components/shared/Table';
 import Badge from '@components/shared/Badge';
 import Button from '@components/shared/Button';
-import { formatDate, formatEmail, formatPhone, getClassTypeLabel } from '@utils/formatters';
+import {
+  formatDate,
+  formatEmail,
+  formatPhone,
+  getNextReminderStage,
+  getDaysUntilExpiry,
+  formatDaysUntilExpiry,
+} from '@utils/formatters';
 import { getStatusColor } from '@utils/formatters';
 import { ArrowUpDown, Mail, Phone, Send, MoreHorizontal } from 'lucide-react';
 import clsx from 'clsx';
+import { useClassLabel } from '@store/classStore';
+
+// Next pending stage plus how many of the signup's stages have gone out
+const NextReminder = ({ signup }) => {
+  const stages = signup.reminderSchedules || [];
+  const nextStage = getNextReminderStage(signup);
+  const sentCount = stages.filter((stage) => stage.status === 'SENT').length;
+
+  return (
+    <div className="flex flex-col items-start gap-1">
+      <span className="text-sm font-medium whitespace-nowrap">
+        {nextStage ? formatDate(nextStage.scheduledFor, 'MMM dd, yyyy') : 'Complete'}
+      </span>
+      <span className="text-[10px] text-muted-foreground whitespace-nowrap">
+        {sentCount}/{stages.length} sent
+        {nextStage && ` · stage ${nextStage.stage}`}
+      </span>
+    </div>
+  );
+};
+
+// Expiry date with a days-left countdown, coloured as expiry approaches
+const ExpiryCountdown = ({ signup }) => {
+  const days = getDaysUntilExpiry(signup.expiresAt);
+
+  if (days === null) {
+    return <span className="text-sm text-muted-foreground">-</span>;
+  }
+
+  return (
+    <div className="flex flex-col items-start gap-1">
+      <span
+        className={clsx(
+          'text-sm font-medium whitespace-nowrap',
+          days < 0 ? 'text-destructive' : days <= 30 ? 'text-yellow-700' : 'text-foreground'
+        )}
+      >
+        {formatDaysUntilExpiry(days)}
+      </span>
+      <span className="text-[10px] text-muted-foreground whitespace-nowrap">
+        {formatDate(signup.expiresAt, 'MMM dd, yyyy')}
+      </span>
+    </div>
+  );
+};
 
 const SignupsTable = ({
   signups,
@@ -24,6 +76,8 @@ const SignupsTable = ({
   onViewDetails,
   sendingReminders = [],
 }) => {
+  const getClassTypeLabel = useClassLabel();
+
   const handleSort = (field) => {
     onSort(field);
   };
@@ -98,6 +152,7 @@ const SignupsTable = ({
                     <Mail className="h-4 w-4 shrink-0" />
                     <span className={clsx("truncate", signup.student.optedOutEmail || signup.optedOutEmail ? "line-through text-muted-foreground/50" : "")}>{formatEmail(signup.student.email)}</span>
                     {(signup.student.optedOutEmail || signup.optedOutEmail) && <Badge variant="warning" className="text-[9px] px-1 py-0 h-4 min-h-[16px] leading-[14px] shrink-0">Opted Out</Badge>}
+                    {signup.student.emailInvalidAt && <Badge variant="error" className="text-[9px] px-1 py-0 h-4 min-h-[16px] leading-[14px] shrink-0" title={signup.student.emailInvalidReason || undefined}>Bounced</Badge>}
                   </div>
                 )}
                 {signup.student?.phone && (
@@ -105,26 +160,25 @@ const SignupsTable = ({
                     <Phone className="h-4 w-4 shrink-0" />
                     <span className={clsx("truncate", signup.student.optedOutSms || signup.optedOutSms ? "line-through text-muted-foreground/50" : "")}>{formatPhone(signup.student.phone)}</span>
                     {(signup.student.optedOutSms || signup.optedOutSms) && <Badge variant="warning" className="text-[9px] px-1 py-0 h-4 min-h-[16px] leading-[14px] shrink-0">Opted Out</Badge>}
+                    {signup.student.phoneInvalidAt && <Badge variant="error" className="text-[9px] px-1 py-0 h-4 min-h-[16px] leading-[14px] shrink-0" title={signup.student.phoneInvalidReason || undefined}>Undeliverable</Badge>}
                   </div>
                 )}
               </div>
 
               {/* Reminders Info */}
-              <div className="grid grid-cols-2 gap-3 text-sm mt-2">
+              <div className="grid grid-cols-2 gap-2 text-sm mt-2">
                 <div>
-                  <span className="text-xs text-muted-foreground block mb-0.5">1st Reminder</span>
-                  <div className="font-medium whitespace-nowrap">{formatDate(signup.firstReminderDate, 'MMM dd, yyyy')}</div>
-                  <Badge className={clsx("text-[10px] px-1 py-0 font-normal mt-0.5", getStatusColor(signup.firstReminderStatus))}>{signup.firstReminderStatus}</Badge>
+                  <span className="text-xs text-muted-foreground block mb-0.5">Expiry</span>
+                  <ExpiryCountdown signup={signup} />
                 </div>
                 <div>
-                   <span className="text-xs text-muted-foreground block mb-0.5">2nd Reminder</span>
-                   <div className="font-medium whitespace-nowrap">{formatDate(signup.secondReminderDate, 'MMM dd, yyyy')}</div>
-                   <Badge className={clsx("text-[10px] px-1 py-0 font-normal mt-0.5", getStatusColor(signup.secondReminderStatus))}>{signup.secondReminderStatus}</Badge>
+                  <span className="text-xs text-muted-foreground block mb-0.5">Next Reminder</span>
+                  <NextReminder signup={signup} />
                 </div>
               </div>
 
               <div className="text-xs text-muted-foreground pt-1">
-                 Registered: {formatDate(signup.createdAt, 'MMM dd, yyyy')}
+                 Completed: {formatDate(signup.completedAt, 'MMM dd, yyyy')} · Registered: {formatDate(signup.createdAt, 'MMM dd, yyyy')}
               </div>
 
               {/* Actions */}
@@ -191,10 +245,10 @@ const SignupsTable = ({
               <SortButton field="status">Status</SortButton>
             </TableHead>
             <TableHead>
-              <SortButton field="firstReminderDate">1st Reminder</SortButton>
+              <SortButton field="expiresAt">Expiry</SortButton>
             </TableHead>
             <TableHead>
-              <SortButton field="secondReminderDate">2nd Reminder</SortButton>
+              <SortButton field="nextReminderDate">Next Reminder</SortButton>
             </TableHead>
             <TableHead>
               <SortButton field="createdAt">Signup Date</SortButton>
@@ -229,6 +283,7 @@ const SignupsTable = ({
                           <Mail className="h-3 w-3" />
                           <span className={clsx(signup.student.optedOutEmail || signup.optedOutEmail ? "line-through text-muted-foreground/50" : "")}>{formatEmail(signup.student.email)}</span>
                           {(signup.student.optedOutEmail || signup.optedOutEmail) && <Badge variant="warning" className="text-[9px] px-1 py-0 h-4 min-h-[16px] leading-[14px]">Opted Out</Badge>}
+                          {signup.student.emailInvalidAt && <Badge variant="error" className="text-[9px] px-1 py-0 h-4 min-h-[16px] leading-[14px]" title={signup.student.emailInvalidReason || undefined}>Bounced</Badge>}
                         </div>
                       )}
                       {signup.student?.phone && (
@@ -236,6 +291,7 @@ const SignupsTable = ({
                           <Phone className="h-3 w-3" />
                           <span className={clsx(signup.student.optedOutSms || signup.optedOutSms ? "line-through text-muted-foreground/50" : "")}>{formatPhone(signup.student.phone)}</span>
                           {(signup.student.optedOutSms || signup.optedOutSms) && <Badge variant="warning" className="text-[9px] px-1 py-0 h-4 min-h-[16px] leading-[14px]">Opted Out</Badge>}
+                          {signup.student.phoneInvalidAt && <Badge variant="error" className="text-[9px] px-1 py-0 h-4 min-h-[16px] leading-[14px]" title={signup.student.phoneInvalidReason || undefined}>Undeliverable</Badge>}
                         </div>
                       )}
                     </div>
@@ -248,16 +304,10 @@ const SignupsTable = ({
                   <Badge className={getStatusColor(signup.status)}>{signup.status}</Badge>
                 </TableCell>
                 <TableCell>
-                  <div className="flex flex-col items-start gap-1">
-                    <span className="text-sm whitespace-nowrap">{formatDate(signup.firstReminderDate, 'MMM dd, yyyy')}</span>
-                    <Badge className={clsx("text-[10px] px-1 py-0 font-normal", getStatusColor(signup.firstReminderStatus))}>{signup.firstReminderStatus}</Badge>
-                  </div>
+                  <ExpiryCountdown signup={signup} />
                 </TableCell>
                 <TableCell>
-                  <div className="flex flex-col items-start gap-1">
-                    <span className="text-sm whitespace-nowrap">{formatDate(signup.secondReminderDate, 'MMM dd, yyyy')}</span>
-                    <Badge className={clsx("text-[10px] px-1 py-0 font-normal", getStatusColor(signup.secondReminderStatus))}>{signup.secondReminderStatus}</Badge>
-                  </div>
+                  <NextReminder signup={signup} />
                 </TableCell>
                 <TableCell className="text-sm text-muted-foreground">
                   {formatDate(signup.createdAt, 'MMM dd, yyyy')}
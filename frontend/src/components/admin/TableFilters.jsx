@@ -4,14 +4,17 @@ import Button from '@components/shared/Button';
 import Input from '@components/shared/Input';
 import Badge from '@components/shared/Badge';
 import { Filter, X } from 'lucide-react';
-import { CLASS_TYPE_LABELS, SIGNUP_STATUS_LABELS } from '@utils/constants';
+import { SIGNUP_STATUS_LABELS } from '@utils/constants';
+import useClassStore from '@store/classStore';
 
 const TableFilters = ({ filters, onFilterChange, onClearFilters, activeFiltersCount }) => {
   const [showFilters, setShowFilters] = useState(false);
+  const classes = useClassStore((state) => state.classes);
 
+  // Inactive classes stay filterable so older registrations can still be found
   const classTypeOptions = [
     { value: '', label: 'All Training Types' },
-    ...Object.entries(CLASS_TYPE_LABELS).map(([value, label]) => ({ value, label })),
+    ...classes.map((c) => ({ value: c.key, label: c.isActive ? c.label : `${c.label} (inactive)` })),
   ];
 
   const statusOptions = [
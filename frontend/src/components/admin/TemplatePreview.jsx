@@ -0,0 +1,219 @@
+import { useState, useEffect, useMemo } from 'react';
+import { Eye, Send } from 'lucide-react';
+import Button from '@components/shared/Button';
+import Spinner from '@components/shared/Spinner';
+import PhoneInput from '@components/shared/PhoneInput';
+import useAuthStore from '@store/authStore';
+import useAdminStore from '@store/adminStore';
+import { previewTemplate, sendTestTemplate } from '@services/templateService';
+import { updateProfile } from '@services/authService';
+import toast from 'react-hot-toast';
+
+// Wait for a pause in typing before rendering
+const PREVIEW_DELAY_MS = 400;
+
+/**
+ * Live preview of the template being edited, rendered by the server exactly as a
+ * reminder would be, with a button to send it to yourself.
+ * Template errors from the preview are reported through onTemplateErrors.
+ * System messages (isSystemMessage) are always previewed with sample values.
+ */
+const TemplatePreview = ({ classType, channel, stage, locale, isSystemMessage, subject, body, onTemplateErrors }) => {
+  const { admin, can, refreshAdmin } = useAuthStore();
+  const { allSignups, fetchAllSignups } = useAdminStore();
+  const canPickSignup = can('signups:read') && !isSystemMessage;
+
+  const [signupId, setSignupId] = useState('');
+  const [preview, setPreview] = useState(null);
+  const [previewError, setPreviewError] = useState(null);
+  const [isRendering, setIsRendering] = useState(false);
+  const [isSending, setIsSending] = useState(false);
+  const [phone, setPhone] = useState('');
+  const [isAskingPhone, setIsAskingPhone] = useState(false);
+
+  useEffect(() => {
+    if (canPickSignup && allSignups.length === 0) {
+      fetchAllSignups();
+    }
+  }, [canPickSignup, allSignups.length, fetchAllSignups]);
+
+  const request = useMemo(
+    () => ({
+      classType,
+      channel,
+      stage,
+      locale,
+      subject: channel === 'EMAIL' ? subject : undefined,
+      body,
+      signupId: signupId || undefined,
+    }),
+    [classType, channel, stage, locale, subject, body, signupId]
+  );
+
+  useEffect(() => {
+    let isCurrent = true;
+    setIsRendering(true);
+    const timer = setTimeout(async () => {
+      try {
+        const result = await previewTemplate(request);
+        if (!isCurrent) return;
+        setPreview(result);
+        setPreviewError(null);
+        onTemplateErrors([]);
+      } catch (err) {
+        if (!isCurrent) return;
+        if (err.code === 'INVALID_TEMPLATE') {
+          onTemplateErrors(err.data?.error?.metadata?.errors || []);
+          setPreviewError('Fix the template errors to update the preview');
+        } else {
+          setPreviewError(err.message || 'Failed to render preview');
+        }
+      } finally {
+        if (isCurrent) setIsRendering(false);
+      }
+    }, PREVIEW_DELAY_MS);
+
+    return () => {
+      isCurrent = false;
+      clearTimeout(timer);
+    };
+  }, [request, onTemplateErrors]);
+
+  const signupOptions = allSignups.filter((signup) => signup.classType === classType);
+
+  const sendTest = async () => {
+    setIsSending(true);
+    try {
+      const response = await sendTestTemplate(request);
+      if (response.data?.sent) {
+        toast.success(response.message || 'Test message sent');
+      } else {
+        toast.error(response.message || 'The test message could not be sent');
+      }
+    } catch (err) {
+      if (err.code === 'ADMIN_PHONE_REQUIRED') {
+        setIsAskingPhone(true);
+      } else {
+        toast.error(err.message || 'Failed to send test message');
+      }
+    } finally {
+      setIsSending(false);
+    }
+  };
+
+  const handleSendTest = () => {
+    if (channel === 'SMS' && !admin?.phone) {
+      setIsAskingPhone(true);
+      return;
+    }
+    sendTest();
+  };
+
+  // Save the phone number to the admin's profile, then send the test text to it
+  const handleSavePhone = async () => {
+    setIsSending(true);
+    try {
+      await updateProfile({ phone });
+      await refreshAdmin();
+      setIsAskingPhone(false);
+    } catch (err) {
+      toast.error(err.message || 'Failed to save phone number');
+      setIsSending(false);
+      return;
+    }
+    await sendTest();
+  };
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center justify-between gap-2">
+        <span className="flex items-center gap-1 text-xs font-medium text-muted-foreground">
+          <Eye className="h-3 w-3" />
+          Preview
+          {isRendering && <Spinner size="sm" />}
+        </span>
+        <Button size="sm" variant="outline" onClick={handleSendTest} disabled={isSending}>
+          <Send className="mr-1 h-3 w-3" />
+          {isSending ? 'Sending...' : 'Send test to me'}
+        </Button>
+      </div>
+
+      {canPickSignup && (
+        <div>
+          <label className="text-xs font-medium text-muted-foreground">Preview as</label>
+          <select
+            value={signupId}
+            onChange={(e) => setSignupId(e.target.value)}
+            className="mt-1 w-full rounded-lg border border-input bg-background px-3 py-2 text-sm text-foreground"
+          >
+            <option value="">Sample student</option>
+            {signupOptions.map((signup) => (
+              <option key={signup.id} value={signup.id}>
+                {signup.student?.name || 'Unknown'}
+                {signup.student?.email ? ` (${signup.student.email})` : ''}
+              </option>
+            ))}
+          </select>
+        </div>
+      )}
+
+      {isAskingPhone && (
+        <div className="space-y-2 rounded-lg border border-border p-3">
+          <p className="text-xs text-muted-foreground">
+            Add your mobile number to your profile to receive test texts.
+          </p>
+          <PhoneInput value={phone} onChange={setPhone} />
+          <div className="flex justify-end gap-2">
+            <Button size="sm" variant="ghost" onClick={() => setIsAskingPhone(false)} disabled={isSending}>
+              Cancel
+            </Button>
+            <Button size="sm" onClick={handleSavePhone} disabled={isSending || !phone}>
+              Save and send
+            </Button>
+          </div>
+        </div>
+      )}
+
+      {previewError && <p className="text-xs text-destructive">{previewError}</p>}
+
+      {preview && (
+        <div className={`space-y-2 ${previewError ? 'opacity-50' : ''}`}>
+          {preview.to && (
+            <p className="text-xs text-muted-foreground">
+              To: <span className="text-foreground">{preview.to}</span>
+              {preview.isDefault && ' · built-in default message'}
+            </p>
+          )}
+          {channel === 'EMAIL' ? (
+            <>
+              <p className="text-sm">
+                <span className="text-xs text-muted-foreground">Subject: </span>
+                <span className="text-foreground">{preview.subject}</span>
+              </p>
+              {/* Rendered HTML is shown without scripts, forms or same-origin access */}
+              <iframe
+                title="Email preview"
+                sandbox=""
+                srcDoc={preview.html || ''}
+                className="h-96 w-full rounded border border-border bg-white"
+              />
+            </>
+          ) : (
+            <>
+              <pre className="whitespace-pre-wrap rounded bg-muted p-3 text-xs text-foreground">{preview.body}</pre>
+              {preview.sms && (
+                <p className="text-xs text-muted-foreground">
+                  {preview.sms.characters} characters · {preview.sms.segments}{' '}
+                  {preview.sms.segments === 1 ? 'segment' : 'segments'} ({preview.sms.encoding},{' '}
+                  {preview.sms.charactersPerSegment} per segment)
+                </p>
+              )}
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TemplatePreview;
@@ -2,7 +2,7 @@ import { Navigate, useLocation } from 'react-router-dom';
 import useAuthStore from '@store/authStore';
 
 const ProtectedRoute = ({ children }) => {
-    const { isAuthenticated, isLoading } = useAuthStore();
+    const { admin, isAuthenticated, isLoading } = useAuthStore();
     const location = useLocation();
 
     // Show loading state while checking authentication
@@ -22,6 +22,11 @@ const ProtectedRoute = ({ children }) => {
         return <Navigate to="/login" state={{ from: location }} replace />;
     }
 
+    // Two-factor is required and this account hasn't set it up yet
+    if (admin?.twoFactorSetupRequired && location.pathname !== '/admin/security') {
+        return <Navigate to="/admin/security" replace />;
+    }
+
     return children;
 };
 
@@ -0,0 +1,32 @@
+import clsx from 'clsx';
+import { Globe } from 'lucide-react';
+import useTranslation from '@hooks/useTranslation';
+import { LOCALE_NAMES } from '@/i18n';
+
+/**
+ * Language picker for the student pages. The choice is remembered on this device
+ * and sent with the registration so reminders arrive in the same language.
+ */
+const LanguageSwitcher = ({ className }) => {
+  const { t, locale, setLocale } = useTranslation();
+
+  return (
+    <label className={clsx('inline-flex items-center gap-1.5 text-sm text-muted-foreground', className)}>
+      <Globe className="h-4 w-4" />
+      <span className="sr-only">{t('common.language')}</span>
+      <select
+        value={locale}
+        onChange={(e) => setLocale(e.target.value)}
+        className="rounded-md border border-input bg-background px-2 py-1 text-sm text-foreground focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-ring"
+      >
+        {Object.entries(LOCALE_NAMES).map(([code, name]) => (
+          <option key={code} value={code}>
+            {name}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+};
+
+export default LanguageSwitcher;
@@ -1,20 +1,29 @@
-import { Card, CardContent } from '@components/shared/Card';
-import { CLASS_TYPE_LABELS, CLASS_TYPES } from '@utils/constants';
+import useClassStore from '@store/classStore';
 import clsx from 'clsx';
 import { CheckCircle2 } from 'lucide-react';
+import useTranslation from '@hooks/useTranslation';
 
 const ClassTypeSelector = ({ selectedClassType, onSelect, disabled = false }) => {
-  const classTypeOptions = Object.entries(CLASS_TYPE_LABELS).map(([value, label]) => ({
-    value,
-    label,
-  }));
+  const classes = useClassStore((state) => state.classes);
+  const isLoading = useClassStore((state) => state.isLoading);
+  const { t } = useTranslation();
+
+  const classTypeOptions = classes
+    .filter((c) => c.isActive)
+    .map((c) => ({
+      value: c.key,
+      label: c.label,
+      description: c.description,
+    }));
 
   return (
     <div className="space-y-3">
-      <h2 className="text-lg font-semibold text-foreground">Select Training Type</h2>
-      <p className="text-sm text-muted-foreground">
-        Choose the training you want to register for
-      </p>
+      <h2 className="text-lg font-semibold text-foreground">{t('classSelector.title')}</h2>
+      <p className="text-sm text-muted-foreground">{t('classSelector.subtitle')}</p>
+
+      {!isLoading && classTypeOptions.length === 0 && (
+        <p className="text-sm text-muted-foreground">{t('classSelector.noClasses')}</p>
+      )}
 
       <div className="grid grid-cols-1 gap-3 sm:grid-cols-2">
         {classTypeOptions.map((option) => {
@@ -38,6 +47,9 @@ const ClassTypeSelector = ({ selectedClassType, onSelect, disabled = false }) =>
               <div className="flex items-start justify-between">
                 <div className="flex-1">
                   <p className="font-medium text-foreground">{option.label}</p>
+                  {option.description && (
+                    <p className="mt-1 text-xs text-muted-foreground">{option.description}</p>
+                  )}
                 </div>
                 {isSelected && (
                   <CheckCircle2 className="ml-2 h-5 w-5 flex-shrink-0 text-primary" />
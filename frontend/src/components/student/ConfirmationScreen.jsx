@@ -1,54 +1,64 @@
 import Button from '@components/shared/Button';
 import { Card, CardContent } from '@components/shared/Card';
 import Alert, { AlertDescription } from '@components/shared/Alert';
-import { CLASS_TYPE_LABELS } from '@utils/constants';
-import { formatPhone } from '@utils/formatters';
+import { useClassLabel } from '@store/classStore';
+import { formatDate, formatPhone } from '@utils/formatters';
 import { CheckCircle2 } from 'lucide-react';
+import useTranslation from '@hooks/useTranslation';
+
+const ConfirmationScreen = ({ classType, formData, onConfirm, onEdit, isSubmitting, error, disclosure }) => {
+  const getClassTypeLabel = useClassLabel();
+  const { t, locale } = useTranslation();
 
-const ConfirmationScreen = ({ classType, formData, onConfirm, onEdit, isSubmitting, error }) => {
   return (
     <div className="space-y-6">
       <div className="text-center">
         <div className="mx-auto mb-4 flex h-16 w-16 items-center justify-center rounded-full bg-primary/10">
           <CheckCircle2 className="h-8 w-8 text-primary" />
         </div>
-        <h2 className="text-2xl font-bold text-foreground">Confirm Your Signup</h2>
-        <p className="mt-2 text-sm text-muted-foreground">
-          Please review your information before submitting
-        </p>
+        <h2 className="text-2xl font-bold text-foreground">{t('confirmation.title')}</h2>
+        <p className="mt-2 text-sm text-muted-foreground">{t('confirmation.subtitle')}</p>
       </div>
 
       <Card>
         <CardContent className="space-y-4 pt-6">
           {/* Training Type */}
           <div>
-            <p className="text-sm font-medium text-muted-foreground">Training Type</p>
+            <p className="text-sm font-medium text-muted-foreground">{t('common.trainingType')}</p>
             <p className="mt-1 text-lg font-semibold text-foreground">
-              {CLASS_TYPE_LABELS[classType]}
+              {getClassTypeLabel(classType)}
             </p>
           </div>
 
           {/* Name */}
           {formData.name && (
             <div className="border-t pt-4">
-              <p className="text-sm font-medium text-muted-foreground">Name</p>
+              <p className="text-sm font-medium text-muted-foreground">{t('common.name')}</p>
               <p className="mt-1 font-medium text-foreground">{formData.name}</p>
             </div>
           )}
 
+          {/* Completion Date */}
+          <div className="border-t pt-4">
+            <p className="text-sm font-medium text-muted-foreground">{t('confirmation.classCompleted')}</p>
+            <p className="mt-1 font-medium text-foreground">
+              {formData.completedAt ? formatDate(formData.completedAt, undefined, locale) : t('confirmation.today')}
+            </p>
+          </div>
+
           {/* Contact Information */}
           <div className="border-t pt-4">
-            <p className="text-sm font-medium text-muted-foreground">Contact Information</p>
+            <p className="text-sm font-medium text-muted-foreground">{t('confirmation.contactInformation')}</p>
             <div className="mt-2 space-y-2">
               {formData.email && (
                 <div className="flex items-center justify-between">
-                  <span className="text-sm text-muted-foreground">Email</span>
+                  <span className="text-sm text-muted-foreground">{t('common.email')}</span>
                   <span className="font-medium text-foreground">{formData.email}</span>
                 </div>
               )}
               {formData.phone && (
                 <div className="flex items-center justify-between">
-                  <span className="text-sm text-muted-foreground">Phone</span>
+                  <span className="text-sm text-muted-foreground">{t('common.phone')}</span>
                   <span className="font-medium text-foreground">
                     {formatPhone(formData.phone)}
                   </span>
@@ -59,15 +69,13 @@ const ConfirmationScreen = ({ classType, formData, onConfirm, onEdit, isSubmitti
 
           {/* Reminder Info */}
           <div className="border-t pt-4">
-            <p className="text-sm font-medium text-muted-foreground">Reminder</p>
+            <p className="text-sm font-medium text-muted-foreground">{t('confirmation.reminder')}</p>
             <p className="mt-1 text-sm text-foreground">
-              You will receive a reminder 7 days before your scheduled training session via{' '}
               {formData.email && formData.phone
-                ? 'email and SMS'
+                ? t('confirmation.reminderViaBoth')
                 : formData.email
-                  ? 'email'
-                  : 'SMS'}
-              .
+                  ? t('confirmation.reminderViaEmail')
+                  : t('confirmation.reminderViaSms')}
             </p>
           </div>
         </CardContent>
@@ -87,9 +95,9 @@ const ConfirmationScreen = ({ classType, formData, onConfirm, onEdit, isSubmitti
           className="flex-1"
           size="lg"
           loading={isSubmitting}
-          disabled={isSubmitting}
+          disabled={isSubmitting || !disclosure}
         >
-          Confirm & Submit
+          {t('confirmation.submit')}
         </Button>
         <Button
           onClick={onEdit}
@@ -98,14 +106,13 @@ const ConfirmationScreen = ({ classType, formData, onConfirm, onEdit, isSubmitti
           size="lg"
           disabled={isSubmitting}
         >
-          Edit Information
+          {t('confirmation.edit')}
         </Button>
       </div>
 
-      {/* Privacy Note */}
+      {/* Consent Disclosure (the version shown is recorded with the registration) */}
       <p className="text-center text-xs text-muted-foreground">
-        Your information will be used only for sending training reminders. You can opt out at any
-        time.
+        {disclosure ? disclosure.text : t('confirmation.disclosureFallback')}
       </p>
     </div>
   );
@@ -2,6 +2,7 @@ import { useState, useEffect, useRef } from 'react';
 import { ArrowLeft, RefreshCw } from 'lucide-react';
 import Button from '@components/shared/Button';
 import Alert, { AlertDescription } from '@components/shared/Alert';
+import useTranslation from '@hooks/useTranslation';
 
 /**
  * OTP verification step component with 6-digit input
@@ -22,6 +23,7 @@ const OtpVerificationStep = ({
   const [timeLeft, setTimeLeft] = useState(0);
   const [canResend, setCanResend] = useState(false);
   const inputRefs = useRef([]);
+  const { t } = useTranslation();
 
   // Calculate time left until expiry
   useEffect(() => {
@@ -125,11 +127,11 @@ const OtpVerificationStep = ({
         <div className="flex items-center justify-center gap-3 text-sm">
           <span className="flex items-center gap-1 text-green-600">
             <svg className="h-4 w-4" viewBox="0 0 20 20" fill="currentColor"><path fillRule="evenodd" d="M16.707 5.293a1 1 0 010 1.414l-8 8a1 1 0 01-1.414 0l-4-4a1 1 0 011.414-1.414L8 12.586l7.293-7.293a1 1 0 011.414 0z" clipRule="evenodd" /></svg>
-            {verifiedChannels[0] === 'email' ? 'Email' : 'Phone'} verified
+            {verifiedChannels[0] === 'email' ? t('otp.emailVerified') : t('otp.phoneVerified')}
           </span>
           <span className="text-muted-foreground">|</span>
           <span className="text-primary font-medium">
-            Now verify {verificationChannel === 'email' ? 'Email' : 'Phone'}
+            {verificationChannel === 'email' ? t('otp.nowVerifyEmail') : t('otp.nowVerifyPhone')}
           </span>
         </div>
       )}
@@ -137,14 +139,14 @@ const OtpVerificationStep = ({
       {/* Header */}
       <div className="text-center">
         <h2 className="text-xl font-semibold text-foreground">
-          {verifiedChannels.length > 0 ? 'Verify Second Contact' : 'Enter Verification Code'}
+          {verifiedChannels.length > 0 ? t('otp.titleSecond') : t('otp.title')}
         </h2>
         <p className="mt-2 text-sm text-muted-foreground">
-          We sent a 6-digit code to{' '}
+          {t('otp.codeSentTo')}{' '}
           <span className="font-medium text-foreground">{maskedDestination}</span>
         </p>
         <p className="text-xs text-muted-foreground mt-1">
-          via {verificationChannel === 'email' ? 'Email' : 'SMS'}
+          {verificationChannel === 'email' ? t('otp.viaEmail') : t('otp.viaSms')}
         </p>
       </div>
 
@@ -176,11 +178,11 @@ const OtpVerificationStep = ({
       <div className="text-center">
         {isExpired ? (
           <p className="text-sm text-destructive font-medium">
-            Code expired. Please request a new one.
+            {t('otp.expired')}
           </p>
         ) : (
           <p className="text-sm text-muted-foreground">
-            Code expires in{' '}
+            {t('otp.expiresIn')}{' '}
             <span className={`font-medium ${timeLeft < 60 ? 'text-destructive' : 'text-foreground'}`}>
               {formatTime(timeLeft)}
             </span>
@@ -203,13 +205,13 @@ const OtpVerificationStep = ({
         loading={isVerifying}
         disabled={!isOtpComplete || isVerifying || isExpired}
       >
-        Verify Code
+        {t('otp.verify')}
       </Button>
 
       {/* Resend Section */}
       <div className="text-center">
         <p className="text-sm text-muted-foreground">
-          Didn't receive the code?{' '}
+          {t('otp.didNotReceive')}{' '}
           <button
             onClick={handleResend}
             disabled={!canResend || isResending || isExpired}
@@ -221,7 +223,7 @@ const OtpVerificationStep = ({
             `}
           >
             <RefreshCw className={`h-3 w-3 ${isResending ? 'animate-spin' : ''}`} />
-            {isResending ? 'Sending...' : 'Resend'}
+            {isResending ? t('otp.sending') : t('otp.resend')}
           </button>
         </p>
       </div>
@@ -234,7 +236,7 @@ const OtpVerificationStep = ({
         disabled={isVerifying}
       >
         <ArrowLeft className="h-4 w-4 mr-2" />
-        Back to Edit Information
+        {t('otp.backToEdit')}
       </Button>
     </div>
   );
@@ -1,11 +1,12 @@
 import { useState, useEffect } from 'react';
 import { X } from 'lucide-react';
 import Button from '@components/shared/Button';
-import { CLASS_TYPE_LABELS } from '@utils/constants';
+import { useClassLabel } from '@store/classStore';
 import { createSignup } from '@services/studentService';
 import toast from 'react-hot-toast';
 
 const RegistrationModal = ({ isOpen, classType, onClose, onSuccess }) => {
+    const getClassTypeLabel = useClassLabel();
     const [name, setName] = useState('');
     const [email, setEmail] = useState('');
     const [phone, setPhone] = useState('');
@@ -95,7 +96,7 @@ const RegistrationModal = ({ isOpen, classType, onClose, onSuccess }) => {
                     <div>
                         <h2 className="text-xl font-bold text-foreground">Register for Training</h2>
                         <p className="mt-1 text-sm text-muted-foreground">
-                            {CLASS_TYPE_LABELS[classType]}
+                            {getClassTypeLabel(classType)}
                         </p>
                     </div>
                     <button
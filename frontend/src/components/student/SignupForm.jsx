@@ -1,10 +1,14 @@
 import { useState, useEffect } from 'react';
 import Input from '@components/shared/Input';
+import Select from '@components/shared/Select';
 import PhoneInput from '@components/shared/PhoneInput';
 import Button from '@components/shared/Button';
 import Alert, { AlertDescription } from '@components/shared/Alert';
-import { CLASS_TYPE_LABELS } from '@utils/constants';
+import { useClassLabel } from '@store/classStore';
 import Badge from '@components/shared/Badge';
+import { formatDate } from '@utils/formatters';
+import { TIMEZONE_OPTIONS } from '@utils/constants';
+import useTranslation from '@hooks/useTranslation';
 
 const SignupForm = ({
   classType,
@@ -15,6 +19,8 @@ const SignupForm = ({
   onBack,
   isSubmitting,
 }) => {
+  const getClassTypeLabel = useClassLabel();
+  const { t } = useTranslation();
   const [contactMethod, setContactMethod] = useState('email'); // 'email' | 'phone' | 'both'
 
   // Clear hidden fields when contact method changes
@@ -35,9 +41,9 @@ const SignupForm = ({
     <form onSubmit={handleSubmit} className="space-y-6">
       {/* Training Type Display */}
       <div className="rounded-lg bg-accent p-4">
-        <p className="text-sm font-medium text-muted-foreground">Selected Training</p>
+        <p className="text-sm font-medium text-muted-foreground">{t('signupForm.selectedTraining')}</p>
         <div className="mt-1 flex items-center gap-2">
-          <p className="text-lg font-semibold text-foreground">{CLASS_TYPE_LABELS[classType]}</p>
+          <p className="text-lg font-semibold text-foreground">{getClassTypeLabel(classType)}</p>
           <Badge variant="outline" className="text-xs">
             {classType}
           </Badge>
@@ -48,7 +54,7 @@ const SignupForm = ({
           className="mt-2 text-sm text-primary hover:underline"
           disabled={isSubmitting}
         >
-          Change training type
+          {t('signupForm.changeTraining')}
         </button>
       </div>
 
@@ -56,8 +62,8 @@ const SignupForm = ({
       <Input
         type="text"
         name="name"
-        label="Your Name"
-        placeholder="John Doe"
+        label={t('signupForm.name')}
+        placeholder={t('signupForm.namePlaceholder')}
         value={formData.name}
         onChange={(e) => onFormChange('name', e.target.value)}
         error={errors.name}
@@ -66,10 +72,37 @@ const SignupForm = ({
         autoComplete="name"
       />
 
+      {/* Completion Date */}
+      <Input
+        type="date"
+        name="completedAt"
+        label={t('signupForm.completedAt')}
+        value={formData.completedAt || ''}
+        max={formatDate(new Date(), 'yyyy-MM-dd')}
+        onChange={(e) => onFormChange('completedAt', e.target.value)}
+        error={errors.completedAt}
+        helperText={t('signupForm.completedAtHelp')}
+        disabled={isSubmitting}
+      />
+
+      {/* Timezone */}
+      <Select
+        name="timezone"
+        label={t('signupForm.timezone')}
+        value={formData.timezone || ''}
+        options={[
+          { value: '', label: t('signupForm.timezoneUnsure') },
+          ...TIMEZONE_OPTIONS.map((option) => ({ ...option, label: t(`timezones.${option.label}`) })),
+        ]}
+        onChange={(e) => onFormChange('timezone', e.target.value)}
+        helperText={t('signupForm.timezoneHelp')}
+        disabled={isSubmitting}
+      />
+
       {/* Contact Method Toggle */}
       <div className="space-y-3">
         <label className="block text-sm font-medium text-foreground">
-          Preferred Contact Method <span className="text-destructive">*</span>
+          {t('signupForm.contactMethod')} <span className="text-destructive">*</span>
         </label>
         <div className="flex gap-2">
           <Button
@@ -80,7 +113,7 @@ const SignupForm = ({
             disabled={isSubmitting}
             className="flex-1"
           >
-            Email
+            {t('signupForm.email')}
           </Button>
           <Button
             type="button"
@@ -90,7 +123,7 @@ const SignupForm = ({
             disabled={isSubmitting}
             className="flex-1"
           >
-            Phone
+            {t('signupForm.phone')}
           </Button>
           <Button
             type="button"
@@ -100,7 +133,7 @@ const SignupForm = ({
             disabled={isSubmitting}
             className="flex-1"
           >
-            Both
+            {t('signupForm.both')}
           </Button>
         </div>
       </div>
@@ -110,8 +143,8 @@ const SignupForm = ({
         <Input
           type="email"
           name="email"
-          label="Email Address"
-          placeholder="your.email@example.com"
+          label={t('signupForm.emailAddress')}
+          placeholder={t('signupForm.emailPlaceholder')}
           value={formData.email}
           onChange={(e) => onFormChange('email', e.target.value)}
           error={errors.email}
@@ -125,7 +158,7 @@ const SignupForm = ({
       {/* Phone Input */}
       {(contactMethod === 'phone' || contactMethod === 'both') && (
         <PhoneInput
-          label="Phone Number"
+          label={t('signupForm.phoneNumber')}
           value={formData.phone}
           onChange={(e) => onFormChange('phone', e.target.value)}
           error={errors.phone}
@@ -144,13 +177,13 @@ const SignupForm = ({
       {/* Info Alert */}
       <Alert variant="info">
         <AlertDescription>
-          You will receive a reminder 7 days before your scheduled training session.
+          {t('signupForm.remindersInfo')}
         </AlertDescription>
       </Alert>
 
       {/* Submit Button */}
       <Button type="submit" className="w-full" size="lg" loading={isSubmitting} disabled={isSubmitting}>
-        Continue to Confirmation
+        {t('signupForm.continue')}
       </Button>
     </form>
   );
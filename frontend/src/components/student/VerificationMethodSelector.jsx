@@ -1,6 +1,7 @@
 import { Mail, Phone } from 'lucide-react';
 import Button from '@components/shared/Button';
 import { Card, CardContent } from '@components/shared/Card';
+import useTranslation from '@hooks/useTranslation';
 
 /**
  * Component for selecting verification method when both email and phone are provided
@@ -14,6 +15,8 @@ const VerificationMethodSelector = ({
   onBack,
   isLoading,
 }) => {
+  const { t } = useTranslation();
+
   // Mask email for display (e.g., "u***@example.com")
   const maskEmail = (email) => {
     if (!email) return '';
@@ -31,10 +34,8 @@ const VerificationMethodSelector = ({
   return (
     <div className="space-y-6">
       <div className="text-center">
-        <h2 className="text-xl font-semibold text-foreground">Verify Your Contact</h2>
-        <p className="mt-2 text-sm text-muted-foreground">
-          Choose how you'd like to receive your verification code
-        </p>
+        <h2 className="text-xl font-semibold text-foreground">{t('verificationMethod.title')}</h2>
+        <p className="mt-2 text-sm text-muted-foreground">{t('verificationMethod.subtitle')}</p>
       </div>
 
       <div className="space-y-3">
@@ -61,7 +62,7 @@ const VerificationMethodSelector = ({
                 />
               </div>
               <div className="flex-1">
-                <p className="font-medium text-foreground">Email</p>
+                <p className="font-medium text-foreground">{t('common.email')}</p>
                 <p className="text-sm text-muted-foreground">{maskEmail(email)}</p>
               </div>
               <div
@@ -104,7 +105,7 @@ const VerificationMethodSelector = ({
                 />
               </div>
               <div className="flex-1">
-                <p className="font-medium text-foreground">SMS</p>
+                <p className="font-medium text-foreground">{t('common.sms')}</p>
                 <p className="text-sm text-muted-foreground">{maskPhone(phone)}</p>
               </div>
               <div
@@ -134,7 +135,7 @@ const VerificationMethodSelector = ({
           loading={isLoading}
           disabled={!selectedChannel || isLoading}
         >
-          Send Verification Code
+          {t('verificationMethod.send')}
         </Button>
         <Button
           onClick={onBack}
@@ -143,7 +144,7 @@ const VerificationMethodSelector = ({
           size="lg"
           disabled={isLoading}
         >
-          Back
+          {t('common.back')}
         </Button>
       </div>
     </div>
@@ -0,0 +1,16 @@
+import { useCallback } from 'react';
+import useLocaleStore from '@store/localeStore';
+import { translate } from '@/i18n';
+
+/**
+ * Translate in the student's chosen language. Components re-render when it changes.
+ * @returns {Object} { t(key, values), locale, setLocale }
+ */
+const useTranslation = () => {
+  const locale = useLocaleStore((state) => state.locale);
+  const setLocale = useLocaleStore((state) => state.setLocale);
+  const t = useCallback((key, values) => translate(locale, key, values), [locale]);
+  return { t, locale, setLocale };
+};
+
+export default useTranslation;
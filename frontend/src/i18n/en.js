@@ -0,0 +1,267 @@
+// English wording of the student pages. Every key here should also be in es.js;
+// a key missing from another language falls back to this text.
+export default {
+  common: {
+    back: 'Back',
+    cancel: 'Cancel',
+    confirm: 'Confirm',
+    email: 'Email',
+    language: 'Language',
+    name: 'Name',
+    needHelp: 'Need help? Contact your training administrator',
+    phone: 'Phone',
+    sms: 'SMS',
+    trainingType: 'Training Type',
+  },
+
+  timezones: {
+    Eastern: 'Eastern',
+    Central: 'Central',
+    Mountain: 'Mountain',
+    Arizona: 'Arizona',
+    Pacific: 'Pacific',
+    Alaska: 'Alaska',
+    Hawaii: 'Hawaii',
+  },
+
+  classRegistration: {
+    title: 'Training Registration',
+    subtitle: 'Select a training class to register',
+    admin: 'Admin',
+    register: 'Register',
+    noClasses: 'No training classes are open for registration right now.',
+    manage: 'View / Manage My Registrations',
+  },
+
+  signup: {
+    title: 'Training Registration',
+    subtitle: 'Register for your upcoming training session',
+    successToast: 'Registration successful! You will receive a reminder before your training.',
+    alreadyRegistered:
+      'This email or phone number is already registered. Please use a different contact method.',
+    alreadyRegisteredShort: 'This email or phone number is already registered.',
+    submitFailed: 'Failed to submit registration. Please try again.',
+    sendCodeFailed: 'Failed to send verification code. Please try again.',
+    completeFailed: 'Failed to complete registration. Please try again.',
+    resendFailed: 'Failed to resend code. Please try again.',
+  },
+
+  classSelector: {
+    title: 'Select Training Type',
+    subtitle: 'Choose the training you want to register for',
+    noClasses: 'No training classes are open for registration.',
+  },
+
+  signupForm: {
+    selectedTraining: 'Selected Training',
+    changeTraining: 'Change training type',
+    name: 'Your Name',
+    namePlaceholder: 'John Doe',
+    completedAt: 'Class Completion Date',
+    completedAtHelp: 'Leave blank if you completed the class today.',
+    timezone: 'Your Timezone',
+    timezoneUnsure: 'Not sure (use my phone number)',
+    timezoneHelp: 'Reminders are only sent during the day in your timezone.',
+    contactMethod: 'Preferred Contact Method',
+    email: 'Email',
+    phone: 'Phone',
+    both: 'Both',
+    emailAddress: 'Email Address',
+    emailPlaceholder: 'your.email@example.com',
+    phoneNumber: 'Phone Number',
+    remindersInfo: 'You will receive reminders before your certification expires.',
+    continue: 'Continue to Confirmation',
+  },
+
+  validation: {
+    classTypeRequired: 'Please select a training type',
+    nameRequired: 'Name is required',
+    contactRequired: 'Please provide either email or phone number',
+    emailOrPhoneRequired: 'Email or Phone is required',
+    invalidEmail: 'Please enter a valid email address',
+    invalidPhone: 'Please enter a valid phone number',
+    completedAtFuture: 'Completion date cannot be in the future',
+  },
+
+  confirmation: {
+    title: 'Confirm Your Signup',
+    subtitle: 'Please review your information before submitting',
+    classCompleted: 'Class Completed',
+    today: 'Today',
+    contactInformation: 'Contact Information',
+    reminder: 'Reminder',
+    reminderViaBoth: 'You will receive reminders before your certification expires via email and SMS.',
+    reminderViaEmail: 'You will receive reminders before your certification expires via email.',
+    reminderViaSms: 'You will receive reminders before your certification expires via SMS.',
+    submit: 'Confirm & Submit',
+    edit: 'Edit Information',
+    disclosureFallback:
+      'Your information will be used only for sending training reminders. You can opt out at any time.',
+  },
+
+  verificationMethod: {
+    title: 'Verify Your Contact',
+    subtitle: "Choose how you'd like to receive your verification code",
+    send: 'Send Verification Code',
+  },
+
+  otp: {
+    title: 'Enter Verification Code',
+    titleSecond: 'Verify Second Contact',
+    emailVerified: 'Email verified',
+    phoneVerified: 'Phone verified',
+    nowVerifyEmail: 'Now verify Email',
+    nowVerifyPhone: 'Now verify Phone',
+    codeSentTo: 'We sent a 6-digit code to',
+    viaEmail: 'via Email',
+    viaSms: 'via SMS',
+    expired: 'Code expired. Please request a new one.',
+    expiresIn: 'Code expires in',
+    verify: 'Verify Code',
+    didNotReceive: "Didn't receive the code?",
+    sending: 'Sending...',
+    resend: 'Resend',
+    backToEdit: 'Back to Edit Information',
+  },
+
+  success: {
+    title: 'Signup Successful!',
+    subtitle: 'Your training registration has been confirmed',
+    reminderScheduled: 'Reminder Scheduled',
+    confirmationSent: 'A confirmation has been sent to your provided contact information.',
+    whatsNext: "What's Next?",
+    nextReminder: "You'll receive a reminder 7 days before your training",
+    nextCheck: 'Make sure to check your email/phone for updates',
+    nextOptOut: 'You can opt out of reminders at any time',
+    backHome: 'Back to Home',
+    registerAnother: 'Register for Another Training',
+  },
+
+  preferences: {
+    emailTitle: 'Email Notifications',
+    smsTitle: 'SMS Notifications',
+    save: 'Save Preferences',
+  },
+
+  optOut: {
+    title: 'Notification Preferences',
+    subtitle: 'Manage how you receive training reminders',
+    saved: 'Your notification preferences have been updated successfully.',
+    loadFailed: 'Failed to load your preferences',
+    saveFailed: 'Failed to update preferences',
+    noEmail: 'No email provided',
+    noPhone: 'No phone provided',
+    emailHelp: 'Receive training reminders via email',
+    smsHelp: 'Receive training reminders via text message',
+    info: 'You can change these preferences at any time. Opting out will stop all training reminders for the selected channel.',
+  },
+
+  unsubscribe: {
+    unsubscribe: 'Unsubscribe',
+    subtitle: 'Manage your training reminder notifications',
+    titleContact: 'Verify Your Identity',
+    titleConfirm: 'Update Preferences',
+    titleDone: 'All Done!',
+    linkHelp: 'Stop receiving training reminders on the channel this link was sent to.',
+    linkInvalid: 'This unsubscribe link is not valid. Please verify your email or phone instead.',
+    destinationLabel: 'Email or Phone Number',
+    destinationPlaceholder: 'Enter your email or phone',
+    destinationHelp: 'Enter the email or phone number you used when signing up for reminders.',
+    destinationRequired: 'Please enter your email or phone number',
+    sendFailed: 'Failed to send a verification code. Please check your details.',
+    codeSentTo: 'Enter the 6-digit code we sent to',
+    codeIncomplete: 'Please enter all 6 digits of your verification code',
+    codeInvalid: 'Invalid verification code. Please try again.',
+    saveFailed: 'Failed to update preferences. Please try again.',
+    verified: 'Your identity has been verified. Select your preferences below.',
+    noEmail: 'No email on file',
+    noPhone: 'No phone on file',
+    toggleHelp: 'Toggle OFF (gray) to unsubscribe from that notification type.',
+    unsubscribed: 'Unsubscribed',
+    updated: 'Preferences Updated',
+    updatedMessage: 'Your notification preferences have been successfully updated.',
+    noMoreEmail: 'You will no longer receive email reminders.',
+    noMoreSms: 'You will no longer receive SMS reminders.',
+    noMoreEmailForSignup: 'You will no longer receive email reminders for this registration.',
+    noMoreSmsForSignup: 'You will no longer receive SMS reminders for this registration.',
+    currentSettings: 'Your current settings:',
+    emailReminders: 'Email reminders:',
+    smsReminders: 'SMS reminders:',
+    enabled: 'Enabled',
+    disabled: 'Disabled',
+    manageOther: 'Manage Other Preferences',
+    updateAnytime: 'You can update these preferences anytime using the link in your reminder emails.',
+    confirmTitle: 'Confirm Changes',
+    confirmDescription: 'Are you sure you want to update your notification preferences?',
+    aboutTo: 'You are about to:',
+    disableEmail: 'Disable email reminders',
+    disableSms: 'Disable SMS reminders',
+    keepEmail: 'Keep email reminders enabled',
+    keepSms: 'Keep SMS reminders enabled',
+    disableAllWarning:
+      'You are disabling all reminders. You may miss important training renewal notices.',
+  },
+
+  myRegistrations: {
+    title: 'My Registrations',
+    titlePreferences: 'Manage Preferences',
+    subtitle: 'View your training registrations and manage notification preferences',
+    lookUpBy: 'Look up by',
+    emailHelp: 'Enter the email you used when signing up for training reminders.',
+    phoneHelp: 'Enter the phone number you used when signing up for training reminders.',
+    lookUp: 'Look Up My Registrations',
+    lookupFailed: 'Failed to find your registrations. Please check your details.',
+    codeSentTo: 'A verification code has been sent to',
+    codeHelp:
+      'Enter the code below to see your registrations and manage your notification preferences.',
+    verified: 'Your identity has been verified. Manage preferences per registration below.',
+    none: 'No registrations found.',
+    expires: 'Expires {date}',
+    reminderStage: 'Reminder {stage}: {date}',
+    status: {
+      PENDING: 'Pending',
+      SENT: 'Sent',
+      FAILED: 'Failed',
+    },
+    toggleHelp: 'Toggle OFF (gray) to stop receiving that notification type for a specific registration.',
+    yourData: 'Your Data',
+    yourDataHelp:
+      'Download a copy of your profile, registrations, reminder history and consent records, or erase your personal details.',
+    erase: 'Erase My Data',
+    exportFailed: 'Failed to export your data. Please verify again and retry.',
+    eraseFailed: 'Failed to erase your data. Please verify again and retry.',
+    updatedSettings: 'Your updated settings:',
+    on: 'On',
+    off: 'Off',
+    allDisabled: {
+      one: 'You have disabled all reminders for {count} registration. You may miss important training renewal notices.',
+      other:
+        'You have disabled all reminders for {count} registrations. You may miss important training renewal notices.',
+    },
+    lookUpAnother: 'Look Up Another Account',
+    erasedTitle: 'Data Erased',
+    erasedMessage:
+      'Your name and contact details have been removed and you will not receive any more reminders.',
+    done: 'Done',
+    changes: 'Changes:',
+    noChanges: 'No changes detected.',
+    disableEmail: 'Disable email',
+    enableEmail: 'Enable email',
+    disableSms: 'Disable SMS',
+    enableSms: 'Enable SMS',
+    disableAllWarning:
+      'You are disabling all reminders for all registrations. You may miss important training renewal notices.',
+    eraseTitle: 'Erase Your Data',
+    eraseDescription: 'This cannot be undone.',
+    eraseWarning:
+      'Your name, email, phone number and notes will be permanently removed and all reminders will stop. Your training records are kept without your details for statistics only.',
+    eraseDownloadFirst: 'You may want to download a copy of your data first.',
+  },
+
+  notFound: {
+    title: 'Page Not Found',
+    message: "The page you're looking for doesn't exist or has been moved.",
+    goBack: 'Go Back',
+    goHome: 'Go Home',
+  },
+};
@@ -0,0 +1,271 @@
+// Spanish wording of the student pages (keys as in en.js)
+export default {
+  common: {
+    back: 'Atrás',
+    cancel: 'Cancelar',
+    confirm: 'Confirmar',
+    email: 'Correo electrónico',
+    language: 'Idioma',
+    name: 'Nombre',
+    needHelp: '¿Necesita ayuda? Comuníquese con el administrador de su capacitación',
+    phone: 'Teléfono',
+    sms: 'SMS',
+    trainingType: 'Tipo de capacitación',
+  },
+
+  timezones: {
+    Eastern: 'Este',
+    Central: 'Centro',
+    Mountain: 'Montaña',
+    Arizona: 'Arizona',
+    Pacific: 'Pacífico',
+    Alaska: 'Alaska',
+    Hawaii: 'Hawái',
+  },
+
+  classRegistration: {
+    title: 'Inscripción a capacitaciones',
+    subtitle: 'Seleccione una capacitación para inscribirse',
+    admin: 'Administración',
+    register: 'Inscribirse',
+    noClasses: 'En este momento no hay capacitaciones abiertas para inscripción.',
+    manage: 'Ver / administrar mis inscripciones',
+  },
+
+  signup: {
+    title: 'Inscripción a capacitaciones',
+    subtitle: 'Inscríbase en su próxima sesión de capacitación',
+    successToast: '¡Inscripción completada! Recibirá un recordatorio antes de su capacitación.',
+    alreadyRegistered:
+      'Este correo electrónico o número de teléfono ya está registrado. Use otro medio de contacto.',
+    alreadyRegisteredShort: 'Este correo electrónico o número de teléfono ya está registrado.',
+    submitFailed: 'No se pudo enviar la inscripción. Inténtelo de nuevo.',
+    sendCodeFailed: 'No se pudo enviar el código de verificación. Inténtelo de nuevo.',
+    completeFailed: 'No se pudo completar la inscripción. Inténtelo de nuevo.',
+    resendFailed: 'No se pudo reenviar el código. Inténtelo de nuevo.',
+  },
+
+  classSelector: {
+    title: 'Seleccione el tipo de capacitación',
+    subtitle: 'Elija la capacitación en la que desea inscribirse',
+    noClasses: 'No hay capacitaciones abiertas para inscripción.',
+  },
+
+  signupForm: {
+    selectedTraining: 'Capacitación seleccionada',
+    changeTraining: 'Cambiar tipo de capacitación',
+    name: 'Su nombre',
+    namePlaceholder: 'Juan Pérez',
+    completedAt: 'Fecha en que completó la clase',
+    completedAtHelp: 'Déjelo en blanco si completó la clase hoy.',
+    timezone: 'Su zona horaria',
+    timezoneUnsure: 'No estoy seguro (usar mi número de teléfono)',
+    timezoneHelp: 'Los recordatorios solo se envían durante el día en su zona horaria.',
+    contactMethod: 'Método de contacto preferido',
+    email: 'Correo electrónico',
+    phone: 'Teléfono',
+    both: 'Ambos',
+    emailAddress: 'Correo electrónico',
+    emailPlaceholder: 'su.correo@ejemplo.com',
+    phoneNumber: 'Número de teléfono',
+    remindersInfo: 'Recibirá recordatorios antes de que venza su certificación.',
+    continue: 'Continuar a la confirmación',
+  },
+
+  validation: {
+    classTypeRequired: 'Seleccione un tipo de capacitación',
+    nameRequired: 'El nombre es obligatorio',
+    contactRequired: 'Indique un correo electrónico o un número de teléfono',
+    emailOrPhoneRequired: 'El correo electrónico o el teléfono es obligatorio',
+    invalidEmail: 'Introduzca un correo electrónico válido',
+    invalidPhone: 'Introduzca un número de teléfono válido',
+    completedAtFuture: 'La fecha en que completó la clase no puede ser futura',
+  },
+
+  confirmation: {
+    title: 'Confirme su inscripción',
+    subtitle: 'Revise sus datos antes de enviarlos',
+    classCompleted: 'Clase completada',
+    today: 'Hoy',
+    contactInformation: 'Datos de contacto',
+    reminder: 'Recordatorio',
+    reminderViaBoth:
+      'Recibirá recordatorios por correo electrónico y SMS antes de que venza su certificación.',
+    reminderViaEmail: 'Recibirá recordatorios por correo electrónico antes de que venza su certificación.',
+    reminderViaSms: 'Recibirá recordatorios por SMS antes de que venza su certificación.',
+    submit: 'Confirmar y enviar',
+    edit: 'Editar datos',
+    disclosureFallback:
+      'Sus datos solo se usarán para enviarle recordatorios de capacitación. Puede darse de baja en cualquier momento.',
+  },
+
+  verificationMethod: {
+    title: 'Verifique su contacto',
+    subtitle: 'Elija cómo desea recibir su código de verificación',
+    send: 'Enviar código de verificación',
+  },
+
+  otp: {
+    title: 'Introduzca el código de verificación',
+    titleSecond: 'Verifique el segundo contacto',
+    emailVerified: 'Correo electrónico verificado',
+    phoneVerified: 'Teléfono verificado',
+    nowVerifyEmail: 'Ahora verifique el correo electrónico',
+    nowVerifyPhone: 'Ahora verifique el teléfono',
+    codeSentTo: 'Enviamos un código de 6 dígitos a',
+    viaEmail: 'por correo electrónico',
+    viaSms: 'por SMS',
+    expired: 'El código venció. Solicite uno nuevo.',
+    expiresIn: 'El código vence en',
+    verify: 'Verificar código',
+    didNotReceive: '¿No recibió el código?',
+    sending: 'Enviando...',
+    resend: 'Reenviar',
+    backToEdit: 'Volver a editar los datos',
+  },
+
+  success: {
+    title: '¡Inscripción completada!',
+    subtitle: 'Su inscripción a la capacitación ha sido confirmada',
+    reminderScheduled: 'Recordatorio programado',
+    confirmationSent: 'Enviamos una confirmación a los datos de contacto que indicó.',
+    whatsNext: '¿Qué sigue?',
+    nextReminder: 'Recibirá un recordatorio 7 días antes de su capacitación',
+    nextCheck: 'Revise su correo electrónico o teléfono para ver novedades',
+    nextOptOut: 'Puede darse de baja de los recordatorios en cualquier momento',
+    backHome: 'Volver al inicio',
+    registerAnother: 'Inscribirse en otra capacitación',
+  },
+
+  preferences: {
+    emailTitle: 'Notificaciones por correo electrónico',
+    smsTitle: 'Notificaciones por SMS',
+    save: 'Guardar preferencias',
+  },
+
+  optOut: {
+    title: 'Preferencias de notificación',
+    subtitle: 'Administre cómo recibe los recordatorios de capacitación',
+    saved: 'Sus preferencias de notificación se actualizaron correctamente.',
+    loadFailed: 'No se pudieron cargar sus preferencias',
+    saveFailed: 'No se pudieron actualizar las preferencias',
+    noEmail: 'No indicó correo electrónico',
+    noPhone: 'No indicó teléfono',
+    emailHelp: 'Reciba recordatorios de capacitación por correo electrónico',
+    smsHelp: 'Reciba recordatorios de capacitación por mensaje de texto',
+    info: 'Puede cambiar estas preferencias en cualquier momento. Al darse de baja dejará de recibir todos los recordatorios por el medio seleccionado.',
+  },
+
+  unsubscribe: {
+    unsubscribe: 'Darse de baja',
+    subtitle: 'Administre sus notificaciones de recordatorios de capacitación',
+    titleContact: 'Verifique su identidad',
+    titleConfirm: 'Actualizar preferencias',
+    titleDone: '¡Listo!',
+    linkHelp: 'Deje de recibir recordatorios de capacitación por el medio al que se envió este enlace.',
+    linkInvalid:
+      'Este enlace para darse de baja no es válido. Verifique su correo electrónico o teléfono.',
+    destinationLabel: 'Correo electrónico o número de teléfono',
+    destinationPlaceholder: 'Introduzca su correo electrónico o teléfono',
+    destinationHelp:
+      'Introduzca el correo electrónico o el número de teléfono que usó al inscribirse para recibir recordatorios.',
+    destinationRequired: 'Introduzca su correo electrónico o número de teléfono',
+    sendFailed: 'No se pudo enviar un código de verificación. Revise sus datos.',
+    codeSentTo: 'Introduzca el código de 6 dígitos que enviamos a',
+    codeIncomplete: 'Introduzca los 6 dígitos de su código de verificación',
+    codeInvalid: 'Código de verificación no válido. Inténtelo de nuevo.',
+    saveFailed: 'No se pudieron actualizar las preferencias. Inténtelo de nuevo.',
+    verified: 'Su identidad ha sido verificada. Seleccione sus preferencias a continuación.',
+    noEmail: 'No hay correo electrónico registrado',
+    noPhone: 'No hay teléfono registrado',
+    toggleHelp: 'Desactive (gris) para darse de baja de ese tipo de notificación.',
+    unsubscribed: 'Baja completada',
+    updated: 'Preferencias actualizadas',
+    updatedMessage: 'Sus preferencias de notificación se actualizaron correctamente.',
+    noMoreEmail: 'Ya no recibirá recordatorios por correo electrónico.',
+    noMoreSms: 'Ya no recibirá recordatorios por SMS.',
+    noMoreEmailForSignup: 'Ya no recibirá recordatorios por correo electrónico para esta inscripción.',
+    noMoreSmsForSignup: 'Ya no recibirá recordatorios por SMS para esta inscripción.',
+    currentSettings: 'Su configuración actual:',
+    emailReminders: 'Recordatorios por correo electrónico:',
+    smsReminders: 'Recordatorios por SMS:',
+    enabled: 'Activados',
+    disabled: 'Desactivados',
+    manageOther: 'Administrar otras preferencias',
+    updateAnytime:
+      'Puede actualizar estas preferencias en cualquier momento con el enlace de sus correos de recordatorio.',
+    confirmTitle: 'Confirmar cambios',
+    confirmDescription: '¿Seguro que desea actualizar sus preferencias de notificación?',
+    aboutTo: 'Está a punto de:',
+    disableEmail: 'Desactivar los recordatorios por correo electrónico',
+    disableSms: 'Desactivar los recordatorios por SMS',
+    keepEmail: 'Mantener activados los recordatorios por correo electrónico',
+    keepSms: 'Mantener activados los recordatorios por SMS',
+    disableAllWarning:
+      'Está desactivando todos los recordatorios. Podría perder avisos importantes de renovación de su capacitación.',
+  },
+
+  myRegistrations: {
+    title: 'Mis inscripciones',
+    titlePreferences: 'Administrar preferencias',
+    subtitle: 'Vea sus inscripciones a capacitaciones y administre sus preferencias de notificación',
+    lookUpBy: 'Buscar por',
+    emailHelp: 'Introduzca el correo electrónico que usó al inscribirse para recibir recordatorios.',
+    phoneHelp: 'Introduzca el número de teléfono que usó al inscribirse para recibir recordatorios.',
+    lookUp: 'Buscar mis inscripciones',
+    lookupFailed: 'No se encontraron sus inscripciones. Revise sus datos.',
+    codeSentTo: 'Enviamos un código de verificación a',
+    codeHelp:
+      'Introduzca el código para ver sus inscripciones y administrar sus preferencias de notificación.',
+    verified: 'Su identidad ha sido verificada. Administre las preferencias de cada inscripción a continuación.',
+    none: 'No se encontraron inscripciones.',
+    expires: 'Vence el {date}',
+    reminderStage: 'Recordatorio {stage}: {date}',
+    status: {
+      PENDING: 'Pendiente',
+      SENT: 'Enviado',
+      FAILED: 'Fallido',
+    },
+    toggleHelp:
+      'Desactive (gris) para dejar de recibir ese tipo de notificación para una inscripción concreta.',
+    yourData: 'Sus datos',
+    yourDataHelp:
+      'Descargue una copia de su perfil, inscripciones, historial de recordatorios y registros de consentimiento, o borre sus datos personales.',
+    erase: 'Borrar mis datos',
+    exportFailed: 'No se pudieron exportar sus datos. Vuelva a verificarse e inténtelo de nuevo.',
+    eraseFailed: 'No se pudieron borrar sus datos. Vuelva a verificarse e inténtelo de nuevo.',
+    updatedSettings: 'Su configuración actualizada:',
+    on: 'Activado',
+    off: 'Desactivado',
+    allDisabled: {
+      one: 'Desactivó todos los recordatorios de {count} inscripción. Podría perder avisos importantes de renovación de su capacitación.',
+      other:
+        'Desactivó todos los recordatorios de {count} inscripciones. Podría perder avisos importantes de renovación de su capacitación.',
+    },
+    lookUpAnother: 'Buscar otra cuenta',
+    erasedTitle: 'Datos borrados',
+    erasedMessage:
+      'Se eliminaron su nombre y sus datos de contacto, y no recibirá más recordatorios.',
+    done: 'Listo',
+    changes: 'Cambios:',
+    noChanges: 'No se detectaron cambios.',
+    disableEmail: 'Desactivar correo electrónico',
+    enableEmail: 'Activar correo electrónico',
+    disableSms: 'Desactivar SMS',
+    enableSms: 'Activar SMS',
+    disableAllWarning:
+      'Está desactivando todos los recordatorios de todas sus inscripciones. Podría perder avisos importantes de renovación de su capacitación.',
+    eraseTitle: 'Borrar sus datos',
+    eraseDescription: 'Esta acción no se puede deshacer.',
+    eraseWarning:
+      'Su nombre, correo electrónico, número de teléfono y notas se eliminarán de forma permanente y se detendrán todos los recordatorios. Sus registros de capacitación se conservan sin sus datos, solo con fines estadísticos.',
+    eraseDownloadFirst: 'Quizás desee descargar primero una copia de sus datos.',
+  },
+
+  notFound: {
+    title: 'Página no encontrada',
+    message: 'La página que busca no existe o se ha movido.',
+    goBack: 'Volver',
+    goHome: 'Ir al inicio',
+  },
+};
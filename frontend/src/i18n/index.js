@@ -0,0 +1,43 @@
+import en from './en';
+import es from './es';
+
+// Languages of the student pages and of the messages students receive
+// (keep in step with backend lib/locales.js)
+export const LOCALE_NAMES = {
+  en: 'English',
+  es: 'Español',
+};
+
+export const DEFAULT_LOCALE = 'en';
+
+const MESSAGES = { en, es };
+
+/**
+ * Map a language tag to a supported locale ('es-MX' -> 'es'), or the default
+ * @param {string} value - Locale or BCP 47 language tag
+ * @returns {string} Supported locale
+ */
+export const resolveLocale = (value) => {
+  const language = String(value || '').toLowerCase().split(/[-_]/)[0];
+  return MESSAGES[language] ? language : DEFAULT_LOCALE;
+};
+
+const lookup = (messages, key) => key.split('.').reduce((node, part) => node?.[part], messages);
+
+/**
+ * Translate a message key such as 'signup.title'.
+ * Missing keys fall back to English, then to the key itself. {name} placeholders are
+ * replaced from values; messages with { one, other } forms are picked by values.count.
+ * @param {string} locale - Locale code
+ * @param {string} key - Dotted message key
+ * @param {Object} [values] - Placeholder values
+ * @returns {string} Translated text
+ */
+export const translate = (locale, key, values = {}) => {
+  let message = lookup(MESSAGES[locale], key) ?? lookup(MESSAGES[DEFAULT_LOCALE], key) ?? key;
+  if (typeof message === 'object') {
+    const form = new Intl.PluralRules(locale).select(values.count ?? 0);
+    message = message[form] ?? message.other;
+  }
+  return message.replace(/\{(\w+)\}/g, (match, name) => (values[name] ?? match).toString());
+};
@@ -0,0 +1,180 @@
+import { useState, useEffect } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import { Card, CardContent, CardHeader, CardTitle } from '@components/shared/Card';
+import Button from '@components/shared/Button';
+import { getInvite, acceptInvite } from '@services/authService';
+import toast from 'react-hot-toast';
+import { ArrowLeft, Lock, Eye, EyeOff } from 'lucide-react';
+import Spinner from '@components/shared/Spinner';
+import logo from '@/assets/logo.png';
+
+const inputClassName =
+    'w-full rounded-lg border border-input bg-background py-2.5 pl-10 pr-12 text-foreground placeholder-muted-foreground transition focus:border-primary focus:outline-none focus:ring-2 focus:ring-primary/20';
+
+const AcceptInvite = () => {
+    const [searchParams] = useSearchParams();
+    const token = searchParams.get('token') || '';
+    const [newPassword, setNewPassword] = useState('');
+    const [confirmPassword, setConfirmPassword] = useState('');
+    const [showPassword, setShowPassword] = useState(false);
+    const [isSubmitting, setIsSubmitting] = useState(false);
+    // { email, name } once the link checks out
+    const [invite, setInvite] = useState(null);
+    const [isLoading, setIsLoading] = useState(!!token);
+    const [inviteError, setInviteError] = useState(null);
+
+    const navigate = useNavigate();
+
+    useEffect(() => {
+        if (!token) {
+            return;
+        }
+        getInvite(token)
+            .then((response) => setInvite(response.data || response))
+            .catch((err) => setInviteError(err.message || 'This invite link is invalid or has expired.'))
+            .finally(() => setIsLoading(false));
+    }, [token]);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+
+        if (!newPassword || !confirmPassword) {
+            toast.error('Please enter and confirm your new password');
+            return;
+        }
+
+        if (newPassword !== confirmPassword) {
+            toast.error('Passwords do not match');
+            return;
+        }
+
+        setIsSubmitting(true);
+
+        try {
+            const response = await acceptInvite(token, newPassword, confirmPassword);
+            toast.success(response?.message || 'Your account is ready');
+            navigate('/login', { replace: true });
+        } catch (err) {
+            toast.error(err.message || 'Could not accept the invite. Please try again.');
+        } finally {
+            setIsSubmitting(false);
+        }
+    };
+
+    return (
+        <div className="flex min-h-screen items-center justify-center bg-background p-4">
+            <div className="w-full max-w-md space-y-6">
+                <div className="flex items-center justify-start">
+                    <Button
+                        variant="ghost"
+                        size="sm"
+                        onClick={() => navigate('/login')}
+                        className="gap-2"
+                    >
+                        <ArrowLeft className="h-4 w-4" />
+                        Back to sign in
+                    </Button>
+                </div>
+
+                {/* Logo/Header */}
+                <div className="text-center">
+                    <div className="mx-auto mb-4 flex h-20 w-20 items-center justify-center rounded-xl bg-transparent">
+                        <img src={logo} alt="Class Reminder" className="h-16 w-16 object-contain" />
+                    </div>
+                    <h1 className="text-2xl font-bold text-foreground">Welcome to the Admin Portal</h1>
+                    <p className="mt-1 text-sm text-muted-foreground">
+                        Choose a password to finish setting up your account
+                    </p>
+                </div>
+
+                <Card>
+                    <CardHeader className="pb-4">
+                        <CardTitle className="text-center text-lg">Accept your invite</CardTitle>
+                    </CardHeader>
+                    <CardContent>
+                        {isLoading ? (
+                            <div className="flex justify-center py-8">
+                                <Spinner size="lg" />
+                            </div>
+                        ) : !token || inviteError ? (
+                            <div className="space-y-4 text-center">
+                                <p className="text-sm text-muted-foreground">
+                                    {inviteError ||
+                                        'This invite link is incomplete. Please open the link from your email again.'}
+                                </p>
+                                <p className="text-sm text-muted-foreground">
+                                    Ask the administrator who invited you to send a new invite.
+                                </p>
+                            </div>
+                        ) : (
+                            <form onSubmit={handleSubmit} className="space-y-4">
+                                <div className="rounded-lg bg-muted p-3 text-sm">
+                                    <p className="font-medium text-foreground">{invite?.name}</p>
+                                    <p className="text-muted-foreground">{invite?.email}</p>
+                                </div>
+
+                                <div className="space-y-2">
+                                    <label htmlFor="new-password" className="text-sm font-medium text-foreground">
+                                        Password
+                                    </label>
+                                    <div className="relative">
+                                        <div className="pointer-events-none absolute inset-y-0 left-0 flex items-center pl-3">
+                                            <Lock className="h-4 w-4 text-muted-foreground" />
+                                        </div>
+                                        <input
+                                            id="new-password"
+                                            type={showPassword ? 'text' : 'password'}
+                                            value={newPassword}
+                                            onChange={(e) => setNewPassword(e.target.value)}
+                                            placeholder="••••••••"
+                                            className={inputClassName}
+                                            autoComplete="new-password"
+                                            disabled={isSubmitting}
+                                        />
+                                        <button
+                                            type="button"
+                                            onClick={() => setShowPassword(!showPassword)}
+                                            className="absolute inset-y-0 right-0 flex items-center pr-3 text-muted-foreground hover:text-foreground"
+                                        >
+                                            {showPassword ? <EyeOff className="h-4 w-4" /> : <Eye className="h-4 w-4" />}
+                                        </button>
+                                    </div>
+                                    <p className="text-xs text-muted-foreground">
+                                        Min 8 chars, upper, lower, number, special
+                                    </p>
+                                </div>
+
+                                <div className="space-y-2">
+                                    <label htmlFor="confirm-password" className="text-sm font-medium text-foreground">
+                                        Confirm Password
+                                    </label>
+                                    <div className="relative">
+                                        <div className="pointer-events-none absolute inset-y-0 left-0 flex items-center pl-3">
+                                            <Lock className="h-4 w-4 text-muted-foreground" />
+                                        </div>
+                                        <input
+                                            id="confirm-password"
+                                            type={showPassword ? 'text' : 'password'}
+                                            value={confirmPassword}
+                                            onChange={(e) => setConfirmPassword(e.target.value)}
+                                            placeholder="••••••••"
+                                            className={inputClassName}
+                                            autoComplete="new-password"
+                                            disabled={isSubmitting}
+                                        />
+                                    </div>
+                                </div>
+
+                                <Button type="submit" className="w-full" disabled={isSubmitting}>
+                                    {isSubmitting ? 'Setting up...' : 'Set Password'}
+                                </Button>
+                            </form>
+                        )}
+                    </CardContent>
+                </Card>
+            </div>
+        </div>
+    );
+};
+
+export default AcceptInvite;
@@ -0,0 +1,362 @@
+import { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { QRCodeSVG } from 'qrcode.react';
+import useAuthStore from '@store/authStore';
+import * as authService from '@services/authService';
+import { Card, CardContent, CardHeader, CardTitle, CardDescription } from '@components/shared/Card';
+import Button from '@components/shared/Button';
+import Badge from '@components/shared/Badge';
+import Spinner from '@components/shared/Spinner';
+import Alert, { AlertDescription } from '@components/shared/Alert';
+import { ArrowLeft, LogOut, ShieldCheck, Copy, Download, KeyRound } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+const inputClassName =
+  'w-full rounded-lg border border-input bg-background px-3 py-2 text-foreground placeholder-muted-foreground focus:border-primary focus:outline-none focus:ring-2 focus:ring-primary/20';
+
+const AccountSecurity = () => {
+  const navigate = useNavigate();
+  const { admin, logout, refreshAdmin } = useAuthStore();
+
+  const [status, setStatus] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [loadError, setLoadError] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  // Enrollment in progress: { secret, otpauthUrl }
+  const [setup, setSetup] = useState(null);
+  const [code, setCode] = useState('');
+  const [disablePassword, setDisablePassword] = useState('');
+  // Recovery codes are only shown once, right after they're generated
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+
+  useEffect(() => {
+    fetchStatus();
+  }, []);
+
+  const fetchStatus = async () => {
+    setIsLoading(true);
+    setLoadError(null);
+    try {
+      const response = await authService.getTwoFactorStatus();
+      setStatus(response.data || response);
+    } catch (error) {
+      setLoadError(error.message || 'Failed to load two-factor status');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleStartSetup = async () => {
+    setIsSubmitting(true);
+    try {
+      const response = await authService.setupTwoFactor();
+      setSetup(response.data || response);
+      setCode('');
+    } catch (error) {
+      toast.error(error.message || 'Failed to start two-factor setup');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleEnable = async (e) => {
+    e.preventDefault();
+    if (!code.trim()) {
+      toast.error('Enter the 6-digit code from your authenticator app');
+      return;
+    }
+
+    setIsSubmitting(true);
+    try {
+      const response = await authService.enableTwoFactor(code.trim());
+      setRecoveryCodes((response.data || response).recoveryCodes);
+      setSetup(null);
+      setCode('');
+      toast.success(response.message || 'Two-factor authentication is on');
+      await Promise.all([fetchStatus(), refreshAdmin()]);
+    } catch (error) {
+      toast.error(error.message || 'Failed to turn on two-factor authentication');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleRegenerate = async (e) => {
+    e.preventDefault();
+    if (!code.trim()) {
+      toast.error('Enter a code from your authenticator app');
+      return;
+    }
+
+    setIsSubmitting(true);
+    try {
+      const response = await authService.regenerateRecoveryCodes(code.trim());
+      setRecoveryCodes((response.data || response).recoveryCodes);
+      setCode('');
+      toast.success(response.message || 'New recovery codes generated');
+      fetchStatus();
+    } catch (error) {
+      toast.error(error.message || 'Failed to generate recovery codes');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleDisable = async (e) => {
+    e.preventDefault();
+    if (!disablePassword || !code.trim()) {
+      toast.error('Enter your password and a code from your authenticator app');
+      return;
+    }
+
+    setIsSubmitting(true);
+    try {
+      const response = await authService.disableTwoFactor(disablePassword, code.trim());
+      setDisablePassword('');
+      setCode('');
+      setRecoveryCodes(null);
+      toast.success(response.message || 'Two-factor authentication is off');
+      await Promise.all([fetchStatus(), refreshAdmin()]);
+    } catch (error) {
+      toast.error(error.message || 'Failed to turn off two-factor authentication');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleCopyCodes = async () => {
+    try {
+      await navigator.clipboard.writeText(recoveryCodes.join('\n'));
+      toast.success('Recovery codes copied');
+    } catch (err) {
+      console.error('Failed to copy recovery codes:', err);
+    }
+  };
+
+  const handleDownloadCodes = () => {
+    const blob = new Blob([`Recovery codes for ${admin?.email}\n\n${recoveryCodes.join('\n')}\n`], {
+      type: 'text/plain',
+    });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = 'recovery-codes.txt';
+    link.click();
+    URL.revokeObjectURL(link.href);
+  };
+
+  const setupRequired = admin?.twoFactorSetupRequired;
+
+  return (
+    <div className="min-h-screen bg-background p-4 sm:p-6 lg:p-8">
+      <div className="mx-auto max-w-3xl space-y-6">
+        {/* Header */}
+        <div className="flex flex-col gap-4 sm:flex-row sm:items-center sm:justify-between">
+          <div className="flex items-start sm:items-center gap-3">
+            {!setupRequired && (
+              <Button variant="ghost" size="sm" onClick={() => navigate('/admin')} className="mt-1 sm:mt-0">
+                <ArrowLeft className="h-4 w-4" />
+              </Button>
+            )}
+            <div>
+              <h1 className="text-2xl sm:text-3xl font-bold tracking-tight text-foreground">
+                Account Security
+              </h1>
+              <p className="mt-1 text-sm text-muted-foreground">
+                Two-factor authentication for {admin?.email}
+              </p>
+            </div>
+          </div>
+          {setupRequired && (
+            <Button
+              variant="outline"
+              onClick={async () => {
+                await logout();
+                navigate('/login');
+              }}
+            >
+              <LogOut className="mr-2 h-4 w-4" />
+              Logout
+            </Button>
+          )}
+        </div>
+
+        {setupRequired && (
+          <Alert variant="warning">
+            <AlertDescription>
+              Your organisation requires two-factor authentication. Set it up below to continue using the admin
+              portal.
+            </AlertDescription>
+          </Alert>
+        )}
+
+        {loadError && (
+          <Alert variant="destructive">
+            <AlertDescription>{loadError}</AlertDescription>
+          </Alert>
+        )}
+
+        {/* Recovery codes, shown once */}
+        {recoveryCodes && (
+          <Card>
+            <CardHeader>
+              <CardTitle className="flex items-center gap-2">
+                <KeyRound className="h-5 w-5" />
+                Save your recovery codes
+              </CardTitle>
+              <CardDescription>
+                Each code signs you in once if you lose your phone. They won&apos;t be shown again.
+              </CardDescription>
+            </CardHeader>
+            <CardContent className="space-y-4">
+              <div className="grid grid-cols-2 gap-2 rounded-lg bg-muted p-4 font-mono text-sm">
+                {recoveryCodes.map((recoveryCode) => (
+                  <span key={recoveryCode}>{recoveryCode}</span>
+                ))}
+              </div>
+              <div className="flex flex-wrap gap-2">
+                <Button variant="outline" onClick={handleCopyCodes}>
+                  <Copy className="mr-2 h-4 w-4" />
+                  Copy
+                </Button>
+                <Button variant="outline" onClick={handleDownloadCodes}>
+                  <Download className="mr-2 h-4 w-4" />
+                  Download
+                </Button>
+                <Button onClick={() => setRecoveryCodes(null)}>I&apos;ve saved them</Button>
+              </div>
+            </CardContent>
+          </Card>
+        )}
+
+        {isLoading && !status ? (
+          <div className="flex justify-center py-12">
+            <Spinner size="lg" />
+          </div>
+        ) : status && (
+          <Card>
+            <CardHeader>
+              <CardTitle className="flex items-center gap-2">
+                <ShieldCheck className="h-5 w-5" />
+                Two-factor authentication
+                <Badge variant={status.enabled ? 'success' : 'outline'}>{status.enabled ? 'On' : 'Off'}</Badge>
+              </CardTitle>
+              <CardDescription>
+                Sign-in asks for a code from an authenticator app (Google Authenticator, 1Password, Authy...) after
+                your password.
+              </CardDescription>
+            </CardHeader>
+            <CardContent className="space-y-6">
+              {/* Not enrolled */}
+              {!status.enabled && !setup && (
+                <Button onClick={handleStartSetup} disabled={isSubmitting}>
+                  {isSubmitting ? 'Starting...' : 'Set Up Two-Factor'}
+                </Button>
+              )}
+
+              {/* Enrollment */}
+              {!status.enabled && setup && (
+                <form onSubmit={handleEnable} className="space-y-4">
+                  <p className="text-sm text-muted-foreground">
+                    1. Scan this QR code with your authenticator app.
+                  </p>
+                  <div className="flex justify-center rounded-lg bg-white p-4">
+                    <QRCodeSVG value={setup.otpauthUrl} size={192} level="M" includeMargin />
+                  </div>
+                  <p className="text-xs text-muted-foreground">
+                    Can&apos;t scan it? Enter this key instead:{' '}
+                    <code className="break-all rounded bg-muted px-1 py-0.5 font-mono">{setup.secret}</code>
+                  </p>
+                  <div className="space-y-2">
+                    <label htmlFor="enable-code" className="text-sm text-muted-foreground">
+                      2. Enter the 6-digit code it shows.
+                    </label>
+                    <input
+                      id="enable-code"
+                      type="text"
+                      inputMode="numeric"
+                      autoComplete="one-time-code"
+                      value={code}
+                      onChange={(e) => setCode(e.target.value)}
+                      placeholder="123456"
+                      className={inputClassName}
+                      disabled={isSubmitting}
+                    />
+                  </div>
+                  <div className="flex gap-2">
+                    <Button type="submit" disabled={isSubmitting}>
+                      {isSubmitting ? 'Verifying...' : 'Turn On'}
+                    </Button>
+                    <Button type="button" variant="outline" onClick={() => setSetup(null)} disabled={isSubmitting}>
+                      Cancel
+                    </Button>
+                  </div>
+                </form>
+              )}
+
+              {/* Enrolled */}
+              {status.enabled && (
+                <>
+                  <p className="text-sm text-muted-foreground">
+                    {status.recoveryCodesRemaining} recovery code{status.recoveryCodesRemaining === 1 ? '' : 's'}{' '}
+                    left.
+                  </p>
+
+                  <div className="space-y-2">
+                    <label htmlFor="current-code" className="text-sm font-medium text-foreground">
+                      Authenticator code
+                    </label>
+                    <input
+                      id="current-code"
+                      type="text"
+                      inputMode="numeric"
+                      autoComplete="one-time-code"
+                      value={code}
+                      onChange={(e) => setCode(e.target.value)}
+                      placeholder="123456"
+                      className={inputClassName}
+                      disabled={isSubmitting}
+                    />
+                    <p className="text-xs text-muted-foreground">Needed to generate new recovery codes or turn two-factor off.</p>
+                  </div>
+
+                  <form onSubmit={handleRegenerate}>
+                    <Button type="submit" variant="outline" disabled={isSubmitting}>
+                      Generate New Recovery Codes
+                    </Button>
+                  </form>
+
+                  {status.required ? (
+                    <p className="text-xs text-muted-foreground">
+                      Two-factor is required for every account, so it can&apos;t be turned off.
+                    </p>
+                  ) : (
+                    <form onSubmit={handleDisable} className="space-y-2 border-t border-border pt-4">
+                      <label htmlFor="disable-password" className="text-sm font-medium text-foreground">
+                        Password
+                      </label>
+                      <input
+                        id="disable-password"
+                        type="password"
+                        autoComplete="current-password"
+                        value={disablePassword}
+                        onChange={(e) => setDisablePassword(e.target.value)}
+                        className={inputClassName}
+                        disabled={isSubmitting}
+                      />
+                      <Button type="submit" variant="destructive" disabled={isSubmitting}>
+                        Turn Off Two-Factor
+                      </Button>
+                    </form>
+                  )}
+                </>
+              )}
+            </CardContent>
+          </Card>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AccountSecurity;
@@ -13,7 +13,7 @@ import ReminderDetailModal from '@components/admin/ReminderDetailModal';
 import AddStudentModal from '@components/admin/AddStudentModal';
 import Spinner from '@components/shared/Spinner';
 import Alert, { AlertDescription } from '@components/shared/Alert';
-import { Download, RefreshCw, Users, Clock, LogOut, UserPlus, FileText, ShieldCheck } from 'lucide-react';
+import { Download, RefreshCw, Users, Clock, LogOut, UserPlus, FileText, ShieldCheck, GraduationCap, Lock } from 'lucide-react';
 import { exportSignupsToCSV, generateExportFilename } from '@utils/csvExport';
 import toast from 'react-hot-toast';
 
@@ -47,7 +47,7 @@ const AdminDashboard = () => {
   } = useAdminStore();
 
   const { sendReminderAsync, sendingReminders } = useReminderStore();
-  const { logout, admin } = useAuthStore();
+  const { logout, admin, can } = useAuthStore();
   const navigate = useNavigate();
 
   // Modal state
@@ -82,7 +82,9 @@ const AdminDashboard = () => {
   const handleSendReminder = async (signupId) => {
     try {
       const response = await sendReminderAsync(signupId);
-      if (response?.data?.overallStatus === 'FAILED') {
+      if (response?.data?.duplicate) {
+        toast('This reminder was already sent. Open the details to send it again.');
+      } else if (response?.data?.overallStatus === 'FAILED') {
         toast.error('Failed to send reminder. Student may have opted out or lacks contact info.');
       } else {
         toast.success('Reminder sent successfully');
@@ -123,22 +125,34 @@ const AdminDashboard = () => {
                 {admin.name || admin.email}
               </span>
             )}
-            <Button onClick={() => setIsAddStudentModalOpen(true)} className="flex-1 sm:flex-none">
-              <UserPlus className="mr-2 h-4 w-4" />
-              Add Student
-            </Button>
-            {admin?.role === 'ADMIN' && (
+            {can('signups:create') && (
+              <Button onClick={() => setIsAddStudentModalOpen(true)} className="flex-1 sm:flex-none">
+                <UserPlus className="mr-2 h-4 w-4" />
+                Add Student
+              </Button>
+            )}
+            {can('admins:manage') && (
               <Button variant="outline" onClick={() => navigate('/admin/users')} className="flex-1 sm:flex-none">
                 <ShieldCheck className="mr-2 h-4 w-4" />
                 Users
               </Button>
             )}
-            {admin?.role === 'ADMIN' && (
+            {can('templates:read') && (
               <Button variant="outline" onClick={() => navigate('/admin/templates')} className="flex-1 sm:flex-none">
                 <FileText className="mr-2 h-4 w-4" />
                 Templates
               </Button>
             )}
+            {can('classes:write') && (
+              <Button variant="outline" onClick={() => navigate('/admin/classes')} className="flex-1 sm:flex-none">
+                <GraduationCap className="mr-2 h-4 w-4" />
+                Classes
+              </Button>
+            )}
+            <Button variant="outline" onClick={() => navigate('/admin/security')} className="flex-1 sm:flex-none">
+              <Lock className="mr-2 h-4 w-4" />
+              Security
+            </Button>
             <Button variant="outline" onClick={handleRefresh} disabled={isLoading} className="flex-1 sm:flex-none">
               <RefreshCw className={`mr-2 h-4 w-4 ${isLoading ? 'animate-spin' : ''}`} />
               Refresh
@@ -4,7 +4,7 @@ import { Card, CardContent, CardHeader, CardTitle } from '@components/shared/Car
 import Button from '@components/shared/Button';
 import useAuthStore from '@store/authStore';
 import toast from 'react-hot-toast';
-import { ArrowLeft, Lock, Mail, Eye, EyeOff } from 'lucide-react';
+import { ArrowLeft, Lock, Mail, Eye, EyeOff, ShieldCheck, KeyRound } from 'lucide-react';
 import logo from '@/assets/logo.png';
 
 const AdminLogin = () => {
@@ -12,8 +12,12 @@ const AdminLogin = () => {
     const [password, setPassword] = useState('');
     const [showPassword, setShowPassword] = useState(false);
     const [isSubmitting, setIsSubmitting] = useState(false);
+    // Second step for accounts with two-factor on
+    const [challengeToken, setChallengeToken] = useState(null);
+    const [code, setCode] = useState('');
+    const [useRecoveryCode, setUseRecoveryCode] = useState(false);
 
-    const { login, error, clearError } = useAuthStore();
+    const { login, completeTwoFactorLogin, error, clearError } = useAuthStore();
     const navigate = useNavigate();
     const location = useLocation();
 
@@ -30,7 +34,11 @@ const AdminLogin = () => {
         setIsSubmitting(true);
 
         try {
-            await login(email, password);
+            const result = await login(email, password);
+            if (result.twoFactorRequired) {
+                setChallengeToken(result.challengeToken);
+                return;
+            }
             toast.success('Login successful!');
             navigate(from, { replace: true });
         } catch (err) {
@@ -40,6 +48,49 @@ const AdminLogin = () => {
         }
     };
 
+    const handleStartOver = () => {
+        setChallengeToken(null);
+        setCode('');
+        setUseRecoveryCode(false);
+        setPassword('');
+        clearError();
+    };
+
+    const handleVerify = async (e) => {
+        e.preventDefault();
+
+        if (!code.trim()) {
+            toast.error(useRecoveryCode ? 'Please enter a recovery code' : 'Please enter the 6-digit code');
+            return;
+        }
+
+        setIsSubmitting(true);
+
+        try {
+            const result = await completeTwoFactorLogin(
+                challengeToken,
+                useRecoveryCode ? { recoveryCode: code.trim() } : { code: code.trim() }
+            );
+            if (result.recoveryCodesRemaining !== undefined) {
+                toast(`Recovery code used. ${result.recoveryCodesRemaining} left - you can generate new ones under Security.`, {
+                    duration: 8000,
+                });
+            } else {
+                toast.success('Login successful!');
+            }
+            navigate(from, { replace: true });
+        } catch (err) {
+            // The challenge only lasts a few minutes, and too many wrong codes lock it;
+            // either way start over from the password step
+            if (err.code === 'INVALID_TWO_FACTOR_CHALLENGE' || err.code === 'TWO_FACTOR_LOCKED') {
+                handleStartOver();
+            }
+            toast.error(err.message || 'Verification failed. Please try again.');
+        } finally {
+            setIsSubmitting(false);
+        }
+    };
+
     return (
         <div className="flex min-h-screen items-center justify-center bg-background p-4">
             <div className="w-full max-w-md space-y-6">
@@ -69,95 +120,167 @@ const AdminLogin = () => {
                 {/* Login Card */}
                 <Card>
                     <CardHeader className="pb-4">
-                        <CardTitle className="text-center text-lg">Sign in to your account</CardTitle>
+                        <CardTitle className="text-center text-lg">
+                            {challengeToken ? 'Two-factor verification' : 'Sign in to your account'}
+                        </CardTitle>
                     </CardHeader>
                     <CardContent>
-                        <form onSubmit={handleSubmit} className="space-y-4">
-                            {/* Email Input */}
-                            <div className="space-y-2">
-                                <label htmlFor="email" className="text-sm font-medium text-foreground">
-                                    Email Address
-                                </label>
-                                <div className="relative">
-                                    <div className="pointer-events-none absolute inset-y-0 left-0 flex items-center pl-3">
-                                        <Mail className="h-4 w-4 text-muted-foreground" />
+                        {challengeToken ? (
+                            <form onSubmit={handleVerify} className="space-y-4">
+                                <p className="text-center text-sm text-muted-foreground">
+                                    {useRecoveryCode
+                                        ? 'Enter one of the recovery codes you saved when you set up two-factor.'
+                                        : 'Enter the 6-digit code from your authenticator app.'}
+                                </p>
+
+                                <div className="space-y-2">
+                                    <label htmlFor="two-factor-code" className="text-sm font-medium text-foreground">
+                                        {useRecoveryCode ? 'Recovery Code' : 'Authentication Code'}
+                                    </label>
+                                    <div className="relative">
+                                        <div className="pointer-events-none absolute inset-y-0 left-0 flex items-center pl-3">
+                                            {useRecoveryCode ? (
+                                                <KeyRound className="h-4 w-4 text-muted-foreground" />
+                                            ) : (
+                                                <ShieldCheck className="h-4 w-4 text-muted-foreground" />
+                                            )}
+                                        </div>
+                                        <input
+                                            id="two-factor-code"
+                                            type="text"
+                                            value={code}
+                                            onChange={(e) => setCode(e.target.value)}
+                                            placeholder={useRecoveryCode ? 'xxxx-xxxx' : '123456'}
+                                            className="w-full rounded-lg border border-input bg-background py-2.5 pl-10 pr-4 text-foreground placeholder-muted-foreground transition focus:border-primary focus:outline-none focus:ring-2 focus:ring-primary/20"
+                                            inputMode={useRecoveryCode ? 'text' : 'numeric'}
+                                            autoComplete="one-time-code"
+                                            autoFocus
+                                            disabled={isSubmitting}
+                                        />
                                     </div>
-                                    <input
-                                        id="email"
-                                        type="email"
-                                        value={email}
-                                        onChange={(e) => setEmail(e.target.value)}
-                                        placeholder="admin@example.com"
-                                        className="w-full rounded-lg border border-input bg-background py-2.5 pl-10 pr-4 text-foreground placeholder-muted-foreground transition focus:border-primary focus:outline-none focus:ring-2 focus:ring-primary/20"
-                                        autoComplete="email"
-                                        disabled={isSubmitting}
-                                    />
                                 </div>
-                            </div>
-
-                            {/* Password Input */}
-                            <div className="space-y-2">
-                                <label htmlFor="password" className="text-sm font-medium text-foreground">
-                                    Password
-                                </label>
-                                <div className="relative">
-                                    <div className="pointer-events-none absolute inset-y-0 left-0 flex items-center pl-3">
-                                        <Lock className="h-4 w-4 text-muted-foreground" />
-                                    </div>
-                                    <input
-                                        id="password"
-                                        type={showPassword ? 'text' : 'password'}
-                                        value={password}
-                                        onChange={(e) => setPassword(e.target.value)}
-                                        placeholder="••••••••"
-                                        className="w-full rounded-lg border border-input bg-background py-2.5 pl-10 pr-12 text-foreground placeholder-muted-foreground transition focus:border-primary focus:outline-none focus:ring-2 focus:ring-primary/20"
-                                        autoComplete="current-password"
-                                        disabled={isSubmitting}
-                                    />
+
+                                <Button type="submit" className="w-full" disabled={isSubmitting}>
+                                    {isSubmitting ? 'Verifying...' : 'Verify'}
+                                </Button>
+
+                                <div className="flex items-center justify-between text-xs">
+                                    <button
+                                        type="button"
+                                        onClick={() => {
+                                            setUseRecoveryCode(!useRecoveryCode);
+                                            setCode('');
+                                        }}
+                                        className="font-medium text-primary hover:underline"
+                                    >
+                                        {useRecoveryCode ? 'Use an authenticator code' : 'Use a recovery code'}
+                                    </button>
                                     <button
                                         type="button"
-                                        onClick={() => setShowPassword(!showPassword)}
-                                        className="absolute inset-y-0 right-0 flex items-center pr-3 text-muted-foreground hover:text-foreground"
+                                        onClick={handleStartOver}
+                                        className="text-muted-foreground hover:text-foreground"
                                     >
-                                        {showPassword ? <EyeOff className="h-4 w-4" /> : <Eye className="h-4 w-4" />}
+                                        Start over
                                     </button>
                                 </div>
-                            </div>
+                            </form>
+                        ) : (
+                            <form onSubmit={handleSubmit} className="space-y-4">
+                                {/* Email Input */}
+                                <div className="space-y-2">
+                                    <label htmlFor="email" className="text-sm font-medium text-foreground">
+                                        Email Address
+                                    </label>
+                                    <div className="relative">
+                                        <div className="pointer-events-none absolute inset-y-0 left-0 flex items-center pl-3">
+                                            <Mail className="h-4 w-4 text-muted-foreground" />
+                                        </div>
+                                        <input
+                                            id="email"
+                                            type="email"
+                                            value={email}
+                                            onChange={(e) => setEmail(e.target.value)}
+                                            placeholder="admin@example.com"
+                                            className="w-full rounded-lg border border-input bg-background py-2.5 pl-10 pr-4 text-foreground placeholder-muted-foreground transition focus:border-primary focus:outline-none focus:ring-2 focus:ring-primary/20"
+                                            autoComplete="email"
+                                            disabled={isSubmitting}
+                                        />
+                                    </div>
+                                </div>
 
-                            {/* Error Message */}
-                            {error && (
-                                <div className="rounded-lg bg-destructive/10 p-3 text-sm text-destructive">
-                                    {error}
+                                {/* Password Input */}
+                                <div className="space-y-2">
+                                    <div className="flex items-center justify-between">
+                                        <label htmlFor="password" className="text-sm font-medium text-foreground">
+                                            Password
+                                        </label>
+                                        <button
+                                            type="button"
+                                            onClick={() => navigate('/forgot-password')}
+                                            className="text-xs font-medium text-primary hover:underline"
+                                        >
+                                            Forgot password?
+                                        </button>
+                                    </div>
+                                    <div className="relative">
+                                        <div className="pointer-events-none absolute inset-y-0 left-0 flex items-center pl-3">
+                                            <Lock className="h-4 w-4 text-muted-foreground" />
+                                        </div>
+                                        <input
+                                            id="password"
+                                            type={showPassword ? 'text' : 'password'}
+                                            value={password}
+                                            onChange={(e) => setPassword(e.target.value)}
+                                            placeholder="••••••••"
+                                            className="w-full rounded-lg border border-input bg-background py-2.5 pl-10 pr-12 text-foreground placeholder-muted-foreground transition focus:border-primary focus:outline-none focus:ring-2 focus:ring-primary/20"
+                                            autoComplete="current-password"
+                                            disabled={isSubmitting}
+                                        />
+                                        <button
+                                            type="button"
+                                            onClick={() => setShowPassword(!showPassword)}
+                                            className="absolute inset-y-0 right-0 flex items-center pr-3 text-muted-foreground hover:text-foreground"
+                                        >
+                                            {showPassword ? <EyeOff className="h-4 w-4" /> : <Eye className="h-4 w-4" />}
+                                        </button>
+                                    </div>
                                 </div>
-                            )}
-
-                            {/* Submit Button */}
-                            <Button type="submit" className="w-full" disabled={isSubmitting}>
-                                {isSubmitting ? (
-                                    <span className="flex items-center justify-center gap-2">
-                                        <svg className="h-4 w-4 animate-spin" viewBox="0 0 24 24">
-                                            <circle
-                                                className="opacity-25"
-                                                cx="12"
-                                                cy="12"
-                                                r="10"
-                                                stroke="currentColor"
-                                                strokeWidth="4"
-                                                fill="none"
-                                            />
-                                            <path
-                                                className="opacity-75"
-                                                fill="currentColor"
-                                                d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4z"
-                                            />
-                                        </svg>
-                                        Signing in...
-                                    </span>
-                                ) : (
-                                    'Sign In'
+
+                                {/* Error Message */}
+                                {error && (
+                                    <div className="rounded-lg bg-destructive/10 p-3 text-sm text-destructive">
+                                        {error}
+                                    </div>
                                 )}
-                            </Button>
-                        </form>
+
+                                {/* Submit Button */}
+                                <Button type="submit" className="w-full" disabled={isSubmitting}>
+                                    {isSubmitting ? (
+                                        <span className="flex items-center justify-center gap-2">
+                                            <svg className="h-4 w-4 animate-spin" viewBox="0 0 24 24">
+                                                <circle
+                                                    className="opacity-25"
+                                                    cx="12"
+                                                    cy="12"
+                                                    r="10"
+                                                    stroke="currentColor"
+                                                    strokeWidth="4"
+                                                    fill="none"
+                                                />
+                                                <path
+                                                    className="opacity-75"
+                                                    fill="currentColor"
+                                                    d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4z"
+                                                />
+                                            </svg>
+                                            Signing in...
+                                        </span>
+                                    ) : (
+                                        'Sign In'
+                                    )}
+                                </Button>
+                            </form>
+                        )}
                     </CardContent>
                 </Card>
 
@@ -0,0 +1,538 @@
+import { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import useAuthStore from '@store/authStore';
+import useClassStore from '@store/classStore';
+import { Card, CardContent, CardHeader, CardTitle } from '@components/shared/Card';
+import Button from '@components/shared/Button';
+import Badge from '@components/shared/Badge';
+import Modal, { ModalFooter } from '@components/shared/Modal';
+import Spinner from '@components/shared/Spinner';
+import Alert, { AlertDescription } from '@components/shared/Alert';
+import { getAllClasses, createClass, updateClass, deleteClass } from '@services/classService';
+import { formatStageOffset } from '@utils/formatters';
+import { ArrowLeft, Plus, Pencil, Power, Trash2, RefreshCw } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+const EMPTY_FORM = {
+  key: '',
+  label: '',
+  description: '',
+  renewalIntervalMonths: 12,
+  reminderOffsetDays: '30, 0',
+  quietHoursStart: '', // blank = global quiet hours
+  quietHoursEnd: '',
+  isActive: true,
+  sortOrder: 0,
+};
+
+const inputClassName =
+  'w-full rounded-lg border border-input bg-background px-3 py-2 text-foreground placeholder-muted-foreground focus:border-primary focus:outline-none focus:ring-2 focus:ring-primary/20';
+
+// "30, 7, -7" -> [30, 7, -7]
+const parseOffsets = (value) =>
+  value
+    .split(',')
+    .map((part) => part.trim())
+    .filter(Boolean)
+    .map(Number);
+
+const formatOffsets = (offsets = []) =>
+  [...offsets].sort((a, b) => b - a).map(formatStageOffset).join(', ');
+
+// 21 -> "9pm"
+const formatHour = (hour) => `${hour % 12 || 12}${hour < 12 ? 'am' : 'pm'}`;
+
+// '' -> null, '21' -> 21, anything else -> NaN
+const parseHour = (value) => {
+  if (value === '' || value === null) return null;
+  const hour = Number(value);
+  return Number.isInteger(hour) && hour >= 0 && hour <= 23 ? hour : NaN;
+};
+
+const ClassManagement = () => {
+  const navigate = useNavigate();
+  const { admin, can } = useAuthStore();
+
+  const [classes, setClasses] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [loadError, setLoadError] = useState(null);
+
+  // Add / edit modal (editTarget is null when adding)
+  const [isFormOpen, setIsFormOpen] = useState(false);
+  const [editTarget, setEditTarget] = useState(null);
+  const [formData, setFormData] = useState(EMPTY_FORM);
+  const [isSaving, setIsSaving] = useState(false);
+
+  // Delete confirmation
+  const [deleteTarget, setDeleteTarget] = useState(null);
+  const [isDeleting, setIsDeleting] = useState(false);
+
+  // Redirect if the role can't edit the class catalog
+  useEffect(() => {
+    if (admin && !can('classes:write')) {
+      navigate('/admin');
+    }
+  }, [admin, can, navigate]);
+
+  useEffect(() => {
+    fetchClasses();
+  }, []);
+
+  const fetchClasses = async () => {
+    setIsLoading(true);
+    setLoadError(null);
+    try {
+      const result = await getAllClasses();
+      setClasses(result);
+    } catch (error) {
+      setLoadError(error.message || 'Failed to load classes');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  // Refresh this page and the shared catalog used by selectors and labels
+  const refreshAll = () => {
+    fetchClasses();
+    useClassStore.getState().fetchClasses({ force: true });
+  };
+
+  const openAddModal = () => {
+    setEditTarget(null);
+    setFormData({ ...EMPTY_FORM, sortOrder: classes.length + 1 });
+    setIsFormOpen(true);
+  };
+
+  const openEditModal = (classDefinition) => {
+    setEditTarget(classDefinition);
+    setFormData({
+      key: classDefinition.key,
+      label: classDefinition.label,
+      description: classDefinition.description || '',
+      renewalIntervalMonths: classDefinition.renewalIntervalMonths,
+      reminderOffsetDays: classDefinition.reminderOffsetDays.join(', '),
+      quietHoursStart: classDefinition.quietHoursStart ?? '',
+      quietHoursEnd: classDefinition.quietHoursEnd ?? '',
+      isActive: classDefinition.isActive,
+      sortOrder: classDefinition.sortOrder,
+    });
+    setIsFormOpen(true);
+  };
+
+  const closeFormModal = () => {
+    setIsFormOpen(false);
+    setEditTarget(null);
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    if (!formData.label.trim() || (!editTarget && !formData.key.trim())) {
+      toast.error('Key and name are required');
+      return;
+    }
+
+    const reminderOffsetDays = parseOffsets(formData.reminderOffsetDays);
+    if (reminderOffsetDays.length === 0 || reminderOffsetDays.some((offset) => !Number.isInteger(offset))) {
+      toast.error('Reminder stages must be a comma-separated list of days, e.g. 60, 30, 7, -7');
+      return;
+    }
+
+    const quietHoursStart = parseHour(formData.quietHoursStart);
+    const quietHoursEnd = parseHour(formData.quietHoursEnd);
+    if (Number.isNaN(quietHoursStart) || Number.isNaN(quietHoursEnd) || (quietHoursStart === null) !== (quietHoursEnd === null)) {
+      toast.error('Quiet hours need both a start and an end hour between 0 and 23, or neither');
+      return;
+    }
+
+    const payload = {
+      label: formData.label.trim(),
+      description: formData.description.trim() || null,
+      renewalIntervalMonths: Number(formData.renewalIntervalMonths),
+      reminderOffsetDays,
+      quietHoursStart,
+      quietHoursEnd,
+      isActive: formData.isActive,
+      sortOrder: Number(formData.sortOrder),
+    };
+
+    setIsSaving(true);
+    try {
+      if (editTarget) {
+        await updateClass(editTarget.id, payload);
+        toast.success('Class updated successfully');
+      } else {
+        await createClass({ ...payload, key: formData.key.trim() });
+        toast.success('Class created successfully');
+      }
+      closeFormModal();
+      refreshAll();
+    } catch (error) {
+      toast.error(error.message || 'Failed to save class');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleToggleActive = async (classDefinition) => {
+    try {
+      await updateClass(classDefinition.id, { isActive: !classDefinition.isActive });
+      toast.success(classDefinition.isActive ? 'Class deactivated' : 'Class activated');
+      refreshAll();
+    } catch (error) {
+      toast.error(error.message || 'Failed to update class');
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!deleteTarget) return;
+    setIsDeleting(true);
+    try {
+      await deleteClass(deleteTarget.id);
+      toast.success('Class deleted');
+      setDeleteTarget(null);
+      refreshAll();
+    } catch (error) {
+      toast.error(error.message || 'Failed to delete class');
+    } finally {
+      setIsDeleting(false);
+    }
+  };
+
+  if (admin && !can('classes:write')) {
+    return null;
+  }
+
+  return (
+    <div className="min-h-screen bg-background p-4 sm:p-6 lg:p-8">
+      <div className="mx-auto max-w-5xl space-y-6">
+        {/* Header */}
+        <div className="flex flex-col gap-4 sm:flex-row sm:items-center sm:justify-between">
+          <div className="flex items-start sm:items-center gap-3">
+            <Button variant="ghost" size="sm" onClick={() => navigate('/admin')} className="mt-1 sm:mt-0">
+              <ArrowLeft className="h-4 w-4" />
+            </Button>
+            <div>
+              <h1 className="text-2xl sm:text-3xl font-bold tracking-tight text-foreground">
+                Class Management
+              </h1>
+              <p className="mt-1 text-sm text-muted-foreground">
+                Manage training classes and their reminder schedules
+              </p>
+            </div>
+          </div>
+          <div className="flex items-center gap-2 w-full sm:w-auto">
+            <Button variant="outline" onClick={fetchClasses} disabled={isLoading} className="flex-1 sm:flex-none">
+              <RefreshCw className={`mr-2 h-4 w-4 ${isLoading ? 'animate-spin' : ''}`} />
+              Refresh
+            </Button>
+            <Button onClick={openAddModal} className="flex-1 sm:flex-none">
+              <Plus className="mr-2 h-4 w-4" />
+              Add Class
+            </Button>
+          </div>
+        </div>
+
+        {/* Error */}
+        {loadError && (
+          <Alert variant="destructive">
+            <AlertDescription>{loadError}</AlertDescription>
+          </Alert>
+        )}
+
+        {/* Classes Table */}
+        <Card>
+          <CardHeader>
+            <CardTitle className="text-base">
+              All Classes ({classes.length})
+            </CardTitle>
+          </CardHeader>
+          <CardContent>
+            {isLoading ? (
+              <div className="flex justify-center py-12">
+                <Spinner size="lg" />
+              </div>
+            ) : classes.length === 0 ? (
+              <p className="py-8 text-center text-muted-foreground">No classes configured yet</p>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="border-b text-left">
+                      <th className="pb-3 pr-4 font-medium text-muted-foreground">Class</th>
+                      <th className="pb-3 pr-4 font-medium text-muted-foreground">Renewal</th>
+                      <th className="pb-3 pr-4 font-medium text-muted-foreground">Reminders</th>
+                      <th className="pb-3 pr-4 font-medium text-muted-foreground">Status</th>
+                      <th className="pb-3 font-medium text-muted-foreground">Actions</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {classes.map((classDefinition) => (
+                      <tr key={classDefinition.id} className="border-b last:border-0">
+                        <td className="py-3 pr-4">
+                          <div className="font-medium text-foreground">{classDefinition.label}</div>
+                          <div className="text-xs text-muted-foreground">{classDefinition.key}</div>
+                        </td>
+                        <td className="py-3 pr-4 text-muted-foreground">
+                          {classDefinition.renewalIntervalMonths} months
+                        </td>
+                        <td className="py-3 pr-4 text-muted-foreground">
+                          {formatOffsets(classDefinition.reminderOffsetDays)}
+                          {classDefinition.quietHoursStart !== null && classDefinition.quietHoursEnd !== null && (
+                            <div className="text-xs">
+                              Quiet {formatHour(classDefinition.quietHoursStart)}–{formatHour(classDefinition.quietHoursEnd)}
+                            </div>
+                          )}
+                        </td>
+                        <td className="py-3 pr-4">
+                          <Badge variant={classDefinition.isActive ? 'success' : 'error'}>
+                            {classDefinition.isActive ? 'Active' : 'Inactive'}
+                          </Badge>
+                        </td>
+                        <td className="py-3">
+                          <div className="flex gap-1">
+                            <Button
+                              variant="ghost"
+                              size="sm"
+                              onClick={() => openEditModal(classDefinition)}
+                              title="Edit class"
+                            >
+                              <Pencil className="h-4 w-4" />
+                            </Button>
+                            <Button
+                              variant="ghost"
+                              size="sm"
+                              onClick={() => handleToggleActive(classDefinition)}
+                              className={classDefinition.isActive ? 'text-muted-foreground' : 'text-success hover:text-success'}
+                              title={classDefinition.isActive ? 'Deactivate class' : 'Activate class'}
+                            >
+                              <Power className="h-4 w-4" />
+                            </Button>
+                            <Button
+                              variant="ghost"
+                              size="sm"
+                              onClick={() => setDeleteTarget(classDefinition)}
+                              className="text-destructive hover:text-destructive"
+                              title="Delete class"
+                            >
+                              <Trash2 className="h-4 w-4" />
+                            </Button>
+                          </div>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </CardContent>
+        </Card>
+      </div>
+
+      {/* Add / Edit Class Modal */}
+      <Modal
+        isOpen={isFormOpen}
+        onClose={closeFormModal}
+        title={editTarget ? 'Edit Class' : 'Add Class'}
+        description={editTarget ? `Update ${editTarget.key}` : 'Add a new training class to the catalog'}
+      >
+        <form onSubmit={handleSave} className="space-y-4">
+          <div className="space-y-2">
+            <label htmlFor="class-key" className="text-sm font-medium text-foreground">
+              Key *
+            </label>
+            <input
+              id="class-key"
+              type="text"
+              value={formData.key}
+              onChange={(e) =>
+                setFormData({ ...formData, key: e.target.value.toUpperCase().replace(/[^A-Z0-9_]/g, '_') })
+              }
+              placeholder="FIRST_AID"
+              className={inputClassName}
+              disabled={isSaving || !!editTarget}
+              required
+            />
+            <p className="text-xs text-muted-foreground">
+              Used in signup links and QR codes. Cannot be changed later.
+            </p>
+          </div>
+
+          <div className="space-y-2">
+            <label htmlFor="class-label" className="text-sm font-medium text-foreground">
+              Name *
+            </label>
+            <input
+              id="class-label"
+              type="text"
+              value={formData.label}
+              onChange={(e) => setFormData({ ...formData, label: e.target.value })}
+              placeholder="First Aid Certification"
+              className={inputClassName}
+              disabled={isSaving}
+              required
+            />
+          </div>
+
+          <div className="space-y-2">
+            <label htmlFor="class-description" className="text-sm font-medium text-foreground">
+              Description
+            </label>
+            <textarea
+              id="class-description"
+              rows={2}
+              value={formData.description}
+              onChange={(e) => setFormData({ ...formData, description: e.target.value })}
+              className={inputClassName}
+              disabled={isSaving}
+            />
+          </div>
+
+          <div className="grid grid-cols-2 gap-4">
+            <div className="space-y-2">
+              <label htmlFor="class-interval" className="text-sm font-medium text-foreground">
+                Renewal interval (months) *
+              </label>
+              <input
+                id="class-interval"
+                type="number"
+                min={1}
+                max={120}
+                value={formData.renewalIntervalMonths}
+                onChange={(e) => setFormData({ ...formData, renewalIntervalMonths: e.target.value })}
+                className={inputClassName}
+                disabled={isSaving}
+                required
+              />
+            </div>
+
+            <div className="space-y-2">
+              <label htmlFor="class-offsets" className="text-sm font-medium text-foreground">
+                Reminder stages (days) *
+              </label>
+              <input
+                id="class-offsets"
+                type="text"
+                value={formData.reminderOffsetDays}
+                onChange={(e) => setFormData({ ...formData, reminderOffsetDays: e.target.value })}
+                placeholder="60, 30, 7, -7"
+                className={inputClassName}
+                disabled={isSaving}
+                required
+              />
+            </div>
+          </div>
+          <p className="text-xs text-muted-foreground">
+            One reminder per entry, in days before expiry (0 = expiry day, negative = overdue nudge).
+            Changes apply to new registrations.
+          </p>
+
+          <div className="grid grid-cols-2 gap-4">
+            <div className="space-y-2">
+              <label htmlFor="class-quiet-start" className="text-sm font-medium text-foreground">
+                Quiet hours start (0-23)
+              </label>
+              <input
+                id="class-quiet-start"
+                type="number"
+                min={0}
+                max={23}
+                value={formData.quietHoursStart}
+                onChange={(e) => setFormData({ ...formData, quietHoursStart: e.target.value })}
+                placeholder="21"
+                className={inputClassName}
+                disabled={isSaving}
+              />
+            </div>
+
+            <div className="space-y-2">
+              <label htmlFor="class-quiet-end" className="text-sm font-medium text-foreground">
+                Quiet hours end (0-23)
+              </label>
+              <input
+                id="class-quiet-end"
+                type="number"
+                min={0}
+                max={23}
+                value={formData.quietHoursEnd}
+                onChange={(e) => setFormData({ ...formData, quietHoursEnd: e.target.value })}
+                placeholder="8"
+                className={inputClassName}
+                disabled={isSaving}
+              />
+            </div>
+          </div>
+          <p className="text-xs text-muted-foreground">
+            No reminders are sent between these hours in the student&apos;s timezone; they wait until quiet hours end.
+            Leave both blank to use the default quiet hours.
+          </p>
+
+          <div className="grid grid-cols-2 gap-4">
+            <div className="space-y-2">
+              <label htmlFor="class-sort" className="text-sm font-medium text-foreground">
+                Display order
+              </label>
+              <input
+                id="class-sort"
+                type="number"
+                min={0}
+                value={formData.sortOrder}
+                onChange={(e) => setFormData({ ...formData, sortOrder: e.target.value })}
+                className={inputClassName}
+                disabled={isSaving}
+              />
+            </div>
+
+            <label className="flex items-center gap-2 pt-7 text-sm font-medium text-foreground">
+              <input
+                type="checkbox"
+                checked={formData.isActive}
+                onChange={(e) => setFormData({ ...formData, isActive: e.target.checked })}
+                disabled={isSaving}
+              />
+              Open for registration
+            </label>
+          </div>
+
+          <ModalFooter>
+            <Button type="button" variant="outline" onClick={closeFormModal} disabled={isSaving}>
+              Cancel
+            </Button>
+            <Button type="submit" disabled={isSaving}>
+              {isSaving ? 'Saving...' : editTarget ? 'Save Changes' : 'Create Class'}
+            </Button>
+          </ModalFooter>
+        </form>
+      </Modal>
+
+      {/* Delete Confirmation */}
+      <Modal
+        isOpen={!!deleteTarget}
+        onClose={() => setDeleteTarget(null)}
+        title="Delete Class"
+        size="sm"
+      >
+        {deleteTarget && (
+          <div className="space-y-4">
+            <p className="text-sm text-muted-foreground">
+              Are you sure you want to delete <strong>{deleteTarget.label}</strong> ({deleteTarget.key})?
+            </p>
+            <p className="text-sm text-red-700 bg-red-50 rounded-md p-3">
+              Its message templates will be removed. Classes that already have registrations cannot be
+              deleted; deactivate them instead.
+            </p>
+            <ModalFooter>
+              <Button variant="outline" onClick={() => setDeleteTarget(null)} disabled={isDeleting}>
+                Cancel
+              </Button>
+              <Button variant="destructive" onClick={handleDelete} disabled={isDeleting}>
+                {isDeleting ? 'Deleting...' : 'Delete'}
+              </Button>
+            </ModalFooter>
+          </div>
+        )}
+      </Modal>
+    </div>
+  );
+};
+
+export default ClassManagement;
@@ -1,11 +1,17 @@
 import { useNavigate } from 'react-router-dom';
 import { Card, CardContent, CardHeader, CardTitle } from '@components/shared/Card';
 import Button from '@components/shared/Button';
-import { CLASS_TYPE_LABELS } from '@utils/constants';
+import LanguageSwitcher from '@components/shared/LanguageSwitcher';
+import useTranslation from '@hooks/useTranslation';
+import useClassStore from '@store/classStore';
 import { ClipboardList, LogIn } from 'lucide-react';
 
 const ClassRegistration = () => {
     const navigate = useNavigate();
+    const { t } = useTranslation();
+    const classes = useClassStore((state) => state.classes);
+    const hasLoaded = useClassStore((state) => state.hasLoaded);
+    const activeClasses = classes.filter((c) => c.isActive);
 
     const handleRegisterClick = (classType) => {
         navigate(`/signup/${classType}`);
@@ -19,45 +25,59 @@ const ClassRegistration = () => {
                 <div className="flex items-start justify-between">
                     <div>
                         <h1 className="text-3xl font-bold tracking-tight text-foreground">
-                            Training Registration
+                            {t('classRegistration.title')}
                         </h1>
                         <p className="mt-1 text-sm text-muted-foreground">
-                            Select a training class to register
+                            {t('classRegistration.subtitle')}
                         </p>
                     </div>
-                    <Button
-                        variant="ghost"
-                        size="sm"
-                        onClick={() => navigate('/login')}
-                        className="gap-1.5 text-muted-foreground hover:text-foreground"
-                    >
-                        <LogIn className="h-4 w-4" />
-                        Admin
-                    </Button>
+                    <div className="flex items-center gap-2">
+                        <LanguageSwitcher />
+                        <Button
+                            variant="ghost"
+                            size="sm"
+                            onClick={() => navigate('/login')}
+                            className="gap-1.5 text-muted-foreground hover:text-foreground"
+                        >
+                            <LogIn className="h-4 w-4" />
+                            {t('classRegistration.admin')}
+                        </Button>
+                    </div>
                 </div>
 
                 {/* Class Grid */}
                 <div className="grid gap-4 sm:grid-cols-2 lg:grid-cols-3">
-                    {Object.entries(CLASS_TYPE_LABELS).map(([classType, label]) => (
+                    {activeClasses.map((classDefinition) => (
                         <Card
-                            key={classType}
+                            key={classDefinition.key}
                             className="transition-shadow hover:shadow-md"
                         >
                             <CardHeader>
-                                <CardTitle className="text-base">{label}</CardTitle>
+                                <CardTitle className="text-base">{classDefinition.label}</CardTitle>
+                                {classDefinition.description && (
+                                    <p className="text-sm text-muted-foreground">
+                                        {classDefinition.description}
+                                    </p>
+                                )}
                             </CardHeader>
                             <CardContent>
                                 <Button
                                     className="w-full"
-                                    onClick={() => handleRegisterClick(classType)}
+                                    onClick={() => handleRegisterClick(classDefinition.key)}
                                 >
-                                    Register
+                                    {t('classRegistration.register')}
                                 </Button>
                             </CardContent>
                         </Card>
                     ))}
                 </div>
 
+                {hasLoaded && activeClasses.length === 0 && (
+                    <p className="text-center text-sm text-muted-foreground">
+                        {t('classRegistration.noClasses')}
+                    </p>
+                )}
+
                 {/* Manage Registrations */}
                 <div className="text-center">
                     <Button
@@ -67,14 +87,14 @@ const ClassRegistration = () => {
                         className="gap-2"
                     >
                         <ClipboardList className="h-5 w-5" />
-                        View / Manage My Registrations
+                        {t('classRegistration.manage')}
                     </Button>
                 </div>
 
                 {/* Footer */}
                 <div className="text-center">
                     <p className="text-sm text-muted-foreground">
-                        Need help? Contact your training administrator
+                        {t('common.needHelp')}
                     </p>
                 </div>
             </div>
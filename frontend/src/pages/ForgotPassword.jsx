@@ -0,0 +1,116 @@
+import { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Card, CardContent, CardHeader, CardTitle } from '@components/shared/Card';
+import Button from '@components/shared/Button';
+import { forgotPassword } from '@services/authService';
+import toast from 'react-hot-toast';
+import { ArrowLeft, Mail, CheckCircle } from 'lucide-react';
+import logo from '@/assets/logo.png';
+
+const ForgotPassword = () => {
+    const [email, setEmail] = useState('');
+    const [isSubmitting, setIsSubmitting] = useState(false);
+    const [isSent, setIsSent] = useState(false);
+    const navigate = useNavigate();
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+
+        if (!email) {
+            toast.error('Please enter your email address');
+            return;
+        }
+
+        setIsSubmitting(true);
+
+        try {
+            await forgotPassword(email);
+            setIsSent(true);
+        } catch (err) {
+            toast.error(err.message || 'Could not send the reset link. Please try again.');
+        } finally {
+            setIsSubmitting(false);
+        }
+    };
+
+    return (
+        <div className="flex min-h-screen items-center justify-center bg-background p-4">
+            <div className="w-full max-w-md space-y-6">
+                <div className="flex items-center justify-start">
+                    <Button
+                        variant="ghost"
+                        size="sm"
+                        onClick={() => navigate('/login')}
+                        className="gap-2"
+                    >
+                        <ArrowLeft className="h-4 w-4" />
+                        Back to sign in
+                    </Button>
+                </div>
+
+                {/* Logo/Header */}
+                <div className="text-center">
+                    <div className="mx-auto mb-4 flex h-20 w-20 items-center justify-center rounded-xl bg-transparent">
+                        <img src={logo} alt="Class Reminder" className="h-16 w-16 object-contain" />
+                    </div>
+                    <h1 className="text-2xl font-bold text-foreground">Forgot your password?</h1>
+                    <p className="mt-1 text-sm text-muted-foreground">
+                        We&apos;ll email you a link to choose a new one
+                    </p>
+                </div>
+
+                <Card>
+                    <CardHeader className="pb-4">
+                        <CardTitle className="text-center text-lg">
+                            {isSent ? 'Check your email' : 'Reset your password'}
+                        </CardTitle>
+                    </CardHeader>
+                    <CardContent>
+                        {isSent ? (
+                            <div className="space-y-4 text-center">
+                                <CheckCircle className="mx-auto h-10 w-10 text-green-600" />
+                                <p className="text-sm text-muted-foreground">
+                                    If <strong className="text-foreground">{email}</strong> belongs to an active
+                                    account, a reset link is on its way. The link expires in an hour and can only be
+                                    used once.
+                                </p>
+                                <Button variant="outline" className="w-full" onClick={() => navigate('/login')}>
+                                    Back to sign in
+                                </Button>
+                            </div>
+                        ) : (
+                            <form onSubmit={handleSubmit} className="space-y-4">
+                                <div className="space-y-2">
+                                    <label htmlFor="email" className="text-sm font-medium text-foreground">
+                                        Email Address
+                                    </label>
+                                    <div className="relative">
+                                        <div className="pointer-events-none absolute inset-y-0 left-0 flex items-center pl-3">
+                                            <Mail className="h-4 w-4 text-muted-foreground" />
+                                        </div>
+                                        <input
+                                            id="email"
+                                            type="email"
+                                            value={email}
+                                            onChange={(e) => setEmail(e.target.value)}
+                                            placeholder="admin@example.com"
+                                            className="w-full rounded-lg border border-input bg-background py-2.5 pl-10 pr-4 text-foreground placeholder-muted-foreground transition focus:border-primary focus:outline-none focus:ring-2 focus:ring-primary/20"
+                                            autoComplete="email"
+                                            disabled={isSubmitting}
+                                        />
+                                    </div>
+                                </div>
+
+                                <Button type="submit" className="w-full" disabled={isSubmitting}>
+                                    {isSubmitting ? 'Sending...' : 'Send Reset Link'}
+                                </Button>
+                            </form>
+                        )}
+                    </CardContent>
+                </Card>
+            </div>
+        </div>
+    );
+};
+
+export default ForgotPassword;
@@ -6,9 +6,13 @@ import PhoneInput from '@components/shared/PhoneInput';
 import Alert, { AlertDescription } from '@components/shared/Alert';
 import Modal, { ModalFooter } from '@components/shared/Modal';
 import Badge from '@components/shared/Badge';
+import LanguageSwitcher from '@components/shared/LanguageSwitcher';
+import useTranslation from '@hooks/useTranslation';
 import { initiateOptOut, verifyOtp, confirmUnsubscribe } from '@services/unsubscribeService';
-import { CLASS_TYPE_LABELS } from '@utils/constants';
+import { exportMyData, eraseMyData } from '@services/studentService';
+import { useClassLabel } from '@store/classStore';
 import { formatDate } from '@utils/formatters';
+import { exportStudentDataBundle } from '@utils/csvExport';
 import {
   ClipboardList,
   Mail,
@@ -18,6 +22,9 @@ import {
   Shield,
   Calendar,
   BookOpen,
+  ShieldCheck,
+  Download,
+  Trash2,
 } from 'lucide-react';
 
 const STEPS = {
@@ -25,9 +32,12 @@ const STEPS = {
   OTP: 2,
   PREFERENCES: 3,
   SUCCESS: 4,
+  ERASED: 5,
 };
 
 const MyRegistrations = () => {
+  const getClassTypeLabel = useClassLabel();
+  const { t, locale } = useTranslation();
   const [step, setStep] = useState(STEPS.CONTACT);
   const [contactMethod, setContactMethod] = useState('email'); // 'email' | 'phone'
   const [destination, setDestination] = useState('');
@@ -40,6 +50,8 @@ const MyRegistrations = () => {
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [showConfirmModal, setShowConfirmModal] = useState(false);
+  const [showEraseModal, setShowEraseModal] = useState(false);
+  const [exporting, setExporting] = useState(null); // 'json' | 'csv' | null
 
   // Focus first OTP input when step changes to OTP
   useEffect(() => {
@@ -52,7 +64,7 @@ const MyRegistrations = () => {
   const handleDestinationSubmit = async (e) => {
     e.preventDefault();
     if (!destination.trim()) {
-      setError('Please enter your email or phone number');
+      setError(t('unsubscribe.destinationRequired'));
       return;
     }
 
@@ -60,24 +72,11 @@ const MyRegistrations = () => {
     setError(null);
 
     try {
-      const response = await initiateOptOut(destination);
-      const responseSignups = response.data.signups || [];
-      setSignups(responseSignups);
+      const response = await initiateOptOut(destination, 'manage_registrations');
       setMaskedDestination(response.data.maskedDestination);
-
-      // Initialize per-signup preferences from current values
-      const prefs = {};
-      responseSignups.forEach((s) => {
-        prefs[s.id] = {
-          optedOutEmail: s.optedOutEmail ?? false,
-          optedOutSms: s.optedOutSms ?? false,
-        };
-      });
-      setSignupPrefs(prefs);
-
       setStep(STEPS.OTP);
     } catch (err) {
-      setError(err.message || 'Failed to find your registrations. Please check your details.');
+      setError(err.message || t('myRegistrations.lookupFailed'));
     } finally {
       setLoading(false);
     }
@@ -120,7 +119,7 @@ const MyRegistrations = () => {
     const otpValue = otp.join('');
 
     if (otpValue.length !== 6) {
-      setError('Please enter all 6 digits of your verification code');
+      setError(t('unsubscribe.codeIncomplete'));
       return;
     }
 
@@ -128,11 +127,25 @@ const MyRegistrations = () => {
     setError(null);
 
     try {
-      const response = await verifyOtp(destination, otpValue);
+      // Registrations are only returned once the code is verified
+      const response = await verifyOtp(destination, otpValue, 'manage_registrations');
+      const responseSignups = response.data.signups || [];
       setVerificationToken(response.data.token);
+      setSignups(responseSignups);
+
+      // Initialize per-signup preferences from current values
+      const prefs = {};
+      responseSignups.forEach((s) => {
+        prefs[s.id] = {
+          optedOutEmail: s.optedOutEmail ?? false,
+          optedOutSms: s.optedOutSms ?? false,
+        };
+      });
+      setSignupPrefs(prefs);
+
       setStep(STEPS.PREFERENCES);
     } catch (err) {
-      setError(err.message || 'Invalid verification code. Please try again.');
+      setError(err.message || t('unsubscribe.codeInvalid'));
     } finally {
       setLoading(false);
     }
@@ -168,13 +181,54 @@ const MyRegistrations = () => {
       setShowConfirmModal(false);
       setStep(STEPS.SUCCESS);
     } catch (err) {
-      setError(err.message || 'Failed to update preferences. Please try again.');
+      setError(err.message || t('unsubscribe.saveFailed'));
       setShowConfirmModal(false);
     } finally {
       setLoading(false);
     }
   };
 
+  const handleExportData = async (format) => {
+    setExporting(format);
+    setError(null);
+
+    try {
+      const response = await exportMyData(verificationToken);
+      exportStudentDataBundle(response.data, format);
+    } catch (err) {
+      setError(err.message || t('myRegistrations.exportFailed'));
+    } finally {
+      setExporting(null);
+    }
+  };
+
+  const handleEraseData = async () => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      await eraseMyData(verificationToken);
+      setShowEraseModal(false);
+      setStep(STEPS.ERASED);
+    } catch (err) {
+      setError(err.message || t('myRegistrations.eraseFailed'));
+      setShowEraseModal(false);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const resetLookup = () => {
+    setStep(STEPS.CONTACT);
+    setContactMethod('email');
+    setDestination('');
+    setOtp(['', '', '', '', '', '']);
+    setVerificationToken(null);
+    setSignups([]);
+    setSignupPrefs({});
+    setError(null);
+  };
+
   const getStatusBadgeVariant = (status) => {
     switch (status) {
       case 'PENDING': return 'warning';
@@ -184,45 +238,6 @@ const MyRegistrations = () => {
     }
   };
 
-  const renderRegistrationsList = () => (
-    <div className="space-y-3">
-      <p className="text-sm font-medium text-foreground">Your Registrations</p>
-      {signups.length === 0 ? (
-        <div className="rounded-lg border border-dashed p-4 text-center">
-          <p className="text-sm text-muted-foreground">No registrations found.</p>
-        </div>
-      ) : (
-        signups.map((signup) => (
-          <div key={signup.id} className="flex flex-col sm:flex-row sm:items-start justify-between gap-3 sm:gap-0 rounded-lg border p-3">
-            <div className="flex items-start gap-3">
-              <div className="rounded-md bg-primary/10 p-2 shrink-0">
-                <BookOpen className="h-4 w-4 text-primary" />
-              </div>
-              <div>
-                <p className="text-sm font-medium text-foreground">
-                  {CLASS_TYPE_LABELS[signup.classType] || signup.classType}
-                </p>
-                <div className="mt-1 flex flex-col gap-1 text-xs text-muted-foreground">
-                  <div className="flex items-center gap-1">
-                    <Calendar className="h-3 w-3 shrink-0" />
-                    <span>1st Reminder: {formatDate(signup.firstReminderDate)}</span>
-                  </div>
-                  <div className="flex items-center gap-1">
-                    <Calendar className="h-3 w-3 shrink-0" />
-                    <span>2nd Reminder: {formatDate(signup.secondReminderDate)}</span>
-                  </div>
-                </div>
-              </div>
-            </div>
-            <Badge variant={getStatusBadgeVariant(signup.status)} className="self-start sm:self-auto ml-11 sm:ml-0">
-              {signup.status}
-            </Badge>
-          </div>
-        ))
-      )}
-    </div>
-  );
-
   const ToggleSwitch = ({ enabled, onToggle }) => (
     <button
       onClick={onToggle}
@@ -243,7 +258,7 @@ const MyRegistrations = () => {
       {/* Contact Method Toggle */}
       <div className="space-y-3">
         <label className="block text-sm font-medium text-foreground">
-          Look up by
+          {t('myRegistrations.lookUpBy')}
         </label>
         <div className="flex gap-2">
           <Button
@@ -253,7 +268,7 @@ const MyRegistrations = () => {
             onClick={() => { setContactMethod('email'); setDestination(''); }}
             className="flex-1"
           >
-            <Mail className="h-4 w-4 mr-1" /> Email
+            <Mail className="h-4 w-4 mr-1" /> {t('common.email')}
           </Button>
           <Button
             type="button"
@@ -262,7 +277,7 @@ const MyRegistrations = () => {
             onClick={() => { setContactMethod('phone'); setDestination(''); }}
             className="flex-1"
           >
-            <Phone className="h-4 w-4 mr-1" /> Phone
+            <Phone className="h-4 w-4 mr-1" /> {t('common.phone')}
           </Button>
         </div>
       </div>
@@ -271,8 +286,8 @@ const MyRegistrations = () => {
         <Input
           type="email"
           name="destination"
-          label="Email Address"
-          placeholder="your.email@example.com"
+          label={t('signupForm.emailAddress')}
+          placeholder={t('signupForm.emailPlaceholder')}
           value={destination}
           onChange={(e) => setDestination(e.target.value)}
           autoComplete="email"
@@ -280,40 +295,33 @@ const MyRegistrations = () => {
         />
       ) : (
         <PhoneInput
-          label="Phone Number"
+          label={t('signupForm.phoneNumber')}
           value={destination}
           onChange={(e) => setDestination(e.target.value)}
         />
       )}
 
       <p className="text-xs text-muted-foreground">
-        Enter the {contactMethod} you used when signing up for training reminders.
+        {contactMethod === 'email' ? t('myRegistrations.emailHelp') : t('myRegistrations.phoneHelp')}
       </p>
 
       <Button type="submit" className="w-full" size="lg" loading={loading}>
-        Look Up My Registrations
+        {t('myRegistrations.lookUp')}
       </Button>
     </form>
   );
 
   const renderOtpStep = () => (
     <div className="space-y-6">
-      {/* Registrations List */}
-      {renderRegistrationsList()}
-
       {/* OTP Verification */}
-      <div className="border-t pt-6">
+      <div>
         <form onSubmit={handleVerifyOtp} className="space-y-6">
           <div className="text-center">
-            <p className="text-sm text-muted-foreground">
-              A verification code has been sent to
-            </p>
+            <p className="text-sm text-muted-foreground">{t('myRegistrations.codeSentTo')}</p>
             <p className="text-sm font-medium text-foreground mt-1">
               {maskedDestination}
             </p>
-            <p className="text-xs text-muted-foreground mt-1">
-              Enter the code below to manage your notification preferences.
-            </p>
+            <p className="text-xs text-muted-foreground mt-1">{t('myRegistrations.codeHelp')}</p>
           </div>
 
           {/* OTP Input */}
@@ -336,7 +344,7 @@ const MyRegistrations = () => {
 
           <div className="space-y-3">
             <Button type="submit" className="w-full" size="lg" loading={loading}>
-              Verify Code
+              {t('otp.verify')}
             </Button>
             <Button
               type="button"
@@ -349,7 +357,7 @@ const MyRegistrations = () => {
               }}
             >
               <ArrowLeft className="h-4 w-4 mr-2" />
-              Back
+              {t('common.back')}
             </Button>
           </div>
         </form>
@@ -363,7 +371,7 @@ const MyRegistrations = () => {
         <AlertDescription>
           <div className="flex items-center gap-2">
             <Shield className="h-4 w-4" />
-            <span>Your identity has been verified. Manage preferences per registration below.</span>
+            <span>{t('myRegistrations.verified')}</span>
           </div>
         </AlertDescription>
       </Alert>
@@ -371,7 +379,7 @@ const MyRegistrations = () => {
       {/* Per-signup preferences */}
       {signups.length === 0 ? (
         <div className="rounded-lg border border-dashed p-4 text-center">
-          <p className="text-sm text-muted-foreground">No registrations found.</p>
+          <p className="text-sm text-muted-foreground">{t('myRegistrations.none')}</p>
         </div>
       ) : (
         <div className="space-y-4">
@@ -387,22 +395,35 @@ const MyRegistrations = () => {
                     </div>
                     <div>
                       <p className="text-sm font-medium text-foreground">
-                        {CLASS_TYPE_LABELS[signup.classType] || signup.classType}
+                        {getClassTypeLabel(signup.classType)}
                       </p>
                       <div className="mt-1 flex flex-col gap-1 text-xs text-muted-foreground">
-                        <div className="flex items-center gap-1">
-                          <Calendar className="h-3 w-3 shrink-0" />
-                          <span>1st Reminder: {formatDate(signup.firstReminderDate)}</span>
-                        </div>
-                        <div className="flex items-center gap-1">
-                          <Calendar className="h-3 w-3 shrink-0" />
-                          <span>2nd Reminder: {formatDate(signup.secondReminderDate)}</span>
-                        </div>
+                        {signup.expiresAt && (
+                          <div className="flex items-center gap-1 font-medium text-foreground">
+                            <ShieldCheck className="h-3 w-3 shrink-0" />
+                            <span>
+                              {t('myRegistrations.expires', {
+                                date: formatDate(signup.expiresAt, undefined, locale),
+                              })}
+                            </span>
+                          </div>
+                        )}
+                        {signup.reminderSchedules?.map((stage) => (
+                          <div key={stage.stage} className="flex items-center gap-1">
+                            <Calendar className="h-3 w-3 shrink-0" />
+                            <span>
+                              {t('myRegistrations.reminderStage', {
+                                stage: stage.stage,
+                                date: formatDate(stage.scheduledFor, undefined, locale),
+                              })}
+                            </span>
+                          </div>
+                        ))}
                       </div>
                     </div>
                   </div>
                   <Badge variant={getStatusBadgeVariant(signup.status)} className="self-start sm:self-auto ml-11 sm:ml-0">
-                    {signup.status}
+                    {t(`myRegistrations.status.${signup.status}`)}
                   </Badge>
                 </div>
 
@@ -410,7 +431,7 @@ const MyRegistrations = () => {
                 <div className="flex items-center gap-4 pt-2 border-t">
                   <div className="flex items-center gap-2 flex-1">
                     <Mail className="h-4 w-4 text-blue-500" />
-                    <span className="text-xs text-muted-foreground">Email</span>
+                    <span className="text-xs text-muted-foreground">{t('common.email')}</span>
                     <ToggleSwitch
                       enabled={!prefs.optedOutEmail}
                       onToggle={() => toggleSignupPref(signup.id, 'optedOutEmail')}
@@ -418,7 +439,7 @@ const MyRegistrations = () => {
                   </div>
                   <div className="flex items-center gap-2 flex-1">
                     <Phone className="h-4 w-4 text-green-500" />
-                    <span className="text-xs text-muted-foreground">SMS</span>
+                    <span className="text-xs text-muted-foreground">{t('common.sms')}</span>
                     <ToggleSwitch
                       enabled={!prefs.optedOutSms}
                       onToggle={() => toggleSignupPref(signup.id, 'optedOutSms')}
@@ -431,13 +452,44 @@ const MyRegistrations = () => {
         </div>
       )}
 
-      <p className="text-xs text-muted-foreground text-center">
-        Toggle OFF (gray) to stop receiving that notification type for a specific registration.
-      </p>
+      <p className="text-xs text-muted-foreground text-center">{t('myRegistrations.toggleHelp')}</p>
 
       <Button onClick={handleConfirmClick} className="w-full" size="lg" loading={loading}>
-        Save Preferences
+        {t('preferences.save')}
       </Button>
+
+      {/* Data export / erase */}
+      <div className="rounded-lg border p-4 space-y-3">
+        <div>
+          <p className="text-sm font-medium text-foreground">{t('myRegistrations.yourData')}</p>
+          <p className="text-xs text-muted-foreground mt-1">{t('myRegistrations.yourDataHelp')}</p>
+        </div>
+        <div className="flex gap-2">
+          <Button
+            variant="outline"
+            size="sm"
+            className="flex-1"
+            onClick={() => handleExportData('json')}
+            loading={exporting === 'json'}
+            disabled={exporting !== null}
+          >
+            <Download className="h-4 w-4 mr-1" /> JSON
+          </Button>
+          <Button
+            variant="outline"
+            size="sm"
+            className="flex-1"
+            onClick={() => handleExportData('csv')}
+            loading={exporting === 'csv'}
+            disabled={exporting !== null}
+          >
+            <Download className="h-4 w-4 mr-1" /> CSV
+          </Button>
+        </div>
+        <Button variant="ghost" size="sm" className="w-full text-destructive" onClick={() => setShowEraseModal(true)}>
+          <Trash2 className="h-4 w-4 mr-1" /> {t('myRegistrations.erase')}
+        </Button>
+      </div>
     </div>
   );
 
@@ -457,29 +509,27 @@ const MyRegistrations = () => {
         </div>
 
         <div>
-          <h3 className="text-xl font-semibold text-foreground">Preferences Updated</h3>
-          <p className="mt-2 text-muted-foreground">
-            Your notification preferences have been successfully updated.
-          </p>
+          <h3 className="text-xl font-semibold text-foreground">{t('unsubscribe.updated')}</h3>
+          <p className="mt-2 text-muted-foreground">{t('unsubscribe.updatedMessage')}</p>
         </div>
 
         <div className="bg-muted/50 rounded-lg p-4 text-left space-y-3">
-          <p className="text-sm font-medium">Your updated settings:</p>
+          <p className="text-sm font-medium">{t('myRegistrations.updatedSettings')}</p>
           {signups.map((signup) => {
             const prefs = signupPrefs[signup.id] || {};
             return (
               <div key={signup.id} className="text-sm text-muted-foreground">
                 <p className="font-medium text-foreground text-xs">
-                  {CLASS_TYPE_LABELS[signup.classType] || signup.classType}
+                  {getClassTypeLabel(signup.classType)}
                 </p>
                 <div className="flex gap-4 mt-1">
                   <span className="flex items-center gap-1">
                     <Mail className="h-3 w-3" />
-                    Email: {prefs.optedOutEmail ? 'Off' : 'On'}
+                    {t('common.email')}: {prefs.optedOutEmail ? t('myRegistrations.off') : t('myRegistrations.on')}
                   </span>
                   <span className="flex items-center gap-1">
                     <Phone className="h-3 w-3" />
-                    SMS: {prefs.optedOutSms ? 'Off' : 'On'}
+                    {t('common.sms')}: {prefs.optedOutSms ? t('myRegistrations.off') : t('myRegistrations.on')}
                   </span>
                 </div>
               </div>
@@ -489,49 +539,55 @@ const MyRegistrations = () => {
 
         {allDisabledCount > 0 && (
           <p className="text-xs text-muted-foreground">
-            You have disabled all reminders for {allDisabledCount} registration(s).
-            You may miss important training renewal notices.
+            {t('myRegistrations.allDisabled', { count: allDisabledCount })}
           </p>
         )}
 
-        <Button
-          onClick={() => {
-            setStep(STEPS.CONTACT);
-            setContactMethod('email');
-            setDestination('');
-            setOtp(['', '', '', '', '', '']);
-            setVerificationToken(null);
-            setSignups([]);
-            setSignupPrefs({});
-            setError(null);
-          }}
-          variant="outline"
-          className="w-full"
-          size="lg"
-        >
-          Look Up Another Account
+        <Button onClick={resetLookup} variant="outline" className="w-full" size="lg">
+          {t('myRegistrations.lookUpAnother')}
         </Button>
       </div>
     );
   };
 
+  const renderErasedStep = () => (
+    <div className="text-center space-y-6">
+      <div className="flex justify-center">
+        <div className="rounded-full bg-green-100 p-4">
+          <CheckCircle className="h-12 w-12 text-green-600" />
+        </div>
+      </div>
+
+      <div>
+        <h3 className="text-xl font-semibold text-foreground">{t('myRegistrations.erasedTitle')}</h3>
+        <p className="mt-2 text-muted-foreground">{t('myRegistrations.erasedMessage')}</p>
+      </div>
+
+      <Button onClick={resetLookup} variant="outline" className="w-full" size="lg">
+        {t('myRegistrations.done')}
+      </Button>
+    </div>
+  );
+
   const getStepContent = () => {
     switch (step) {
       case STEPS.CONTACT: return renderContactStep();
       case STEPS.OTP: return renderOtpStep();
       case STEPS.PREFERENCES: return renderPreferencesStep();
       case STEPS.SUCCESS: return renderSuccessStep();
+      case STEPS.ERASED: return renderErasedStep();
       default: return renderContactStep();
     }
   };
 
   const getStepTitle = () => {
     switch (step) {
-      case STEPS.CONTACT: return 'My Registrations';
-      case STEPS.OTP: return 'Verify Your Identity';
-      case STEPS.PREFERENCES: return 'Manage Preferences';
-      case STEPS.SUCCESS: return 'All Done!';
-      default: return 'My Registrations';
+      case STEPS.CONTACT: return t('myRegistrations.title');
+      case STEPS.OTP: return t('unsubscribe.titleContact');
+      case STEPS.PREFERENCES: return t('myRegistrations.titlePreferences');
+      case STEPS.SUCCESS: return t('unsubscribe.titleDone');
+      case STEPS.ERASED: return t('unsubscribe.titleDone');
+      default: return t('myRegistrations.title');
     }
   };
 
@@ -541,14 +597,14 @@ const MyRegistrations = () => {
     signups.forEach((signup) => {
       const prefs = signupPrefs[signup.id] || {};
       const original = { optedOutEmail: signup.optedOutEmail, optedOutSms: signup.optedOutSms };
-      const label = CLASS_TYPE_LABELS[signup.classType] || signup.classType;
+      const label = getClassTypeLabel(signup.classType);
 
       if (prefs.optedOutEmail !== original.optedOutEmail || prefs.optedOutSms !== original.optedOutSms) {
         const parts = [];
-        if (prefs.optedOutEmail && !original.optedOutEmail) parts.push('Disable email');
-        if (!prefs.optedOutEmail && original.optedOutEmail) parts.push('Enable email');
-        if (prefs.optedOutSms && !original.optedOutSms) parts.push('Disable SMS');
-        if (!prefs.optedOutSms && original.optedOutSms) parts.push('Enable SMS');
+        if (prefs.optedOutEmail && !original.optedOutEmail) parts.push(t('myRegistrations.disableEmail'));
+        if (!prefs.optedOutEmail && original.optedOutEmail) parts.push(t('myRegistrations.enableEmail'));
+        if (prefs.optedOutSms && !original.optedOutSms) parts.push(t('myRegistrations.disableSms'));
+        if (!prefs.optedOutSms && original.optedOutSms) parts.push(t('myRegistrations.enableSms'));
         changes.push({ label, parts });
       }
     });
@@ -565,6 +621,9 @@ const MyRegistrations = () => {
       <div className="mx-auto max-w-md">
         <Card>
           <CardHeader>
+            <div className="flex justify-end">
+              <LanguageSwitcher />
+            </div>
             <div className="flex items-center justify-center">
               <div className="rounded-full bg-primary/10 p-3">
                 <ClipboardList className="h-8 w-8 text-primary" />
@@ -572,9 +631,7 @@ const MyRegistrations = () => {
             </div>
             <CardTitle className="text-center">{getStepTitle()}</CardTitle>
             {step === STEPS.CONTACT && (
-              <p className="text-center text-sm text-muted-foreground">
-                View your training registrations and manage notification preferences
-              </p>
+              <p className="text-center text-sm text-muted-foreground">{t('myRegistrations.subtitle')}</p>
             )}
           </CardHeader>
 
@@ -590,7 +647,7 @@ const MyRegistrations = () => {
         </Card>
 
         {/* Step Indicator */}
-        {step !== STEPS.SUCCESS && (
+        {step < STEPS.SUCCESS && (
           <div className="flex justify-center gap-2 mt-6">
             {[STEPS.CONTACT, STEPS.OTP, STEPS.PREFERENCES].map((s) => (
               <div
@@ -608,8 +665,8 @@ const MyRegistrations = () => {
       <Modal
         isOpen={showConfirmModal}
         onClose={() => setShowConfirmModal(false)}
-        title="Confirm Changes"
-        description="Are you sure you want to update your notification preferences?"
+        title={t('unsubscribe.confirmTitle')}
+        description={t('unsubscribe.confirmDescription')}
         size="sm"
       >
         <div className="space-y-4">
@@ -617,7 +674,7 @@ const MyRegistrations = () => {
             const changes = getChangeSummary();
             return changes.length > 0 ? (
               <div className="bg-muted/50 rounded-lg p-4">
-                <p className="text-sm mb-2">Changes:</p>
+                <p className="text-sm mb-2">{t('myRegistrations.changes')}</p>
                 <ul className="text-sm text-muted-foreground space-y-2">
                   {changes.map((change, i) => (
                     <li key={i}>
@@ -633,26 +690,49 @@ const MyRegistrations = () => {
               </div>
             ) : (
               <div className="bg-muted/50 rounded-lg p-4">
-                <p className="text-sm text-muted-foreground">No changes detected.</p>
+                <p className="text-sm text-muted-foreground">{t('myRegistrations.noChanges')}</p>
               </div>
             );
           })()}
 
           {allRemindersDisabled && signups.length > 0 && (
             <Alert variant="warning">
-              <AlertDescription>
-                You are disabling all reminders for all registrations. You may miss important training renewal notices.
-              </AlertDescription>
+              <AlertDescription>{t('myRegistrations.disableAllWarning')}</AlertDescription>
             </Alert>
           )}
         </div>
 
         <ModalFooter>
           <Button variant="outline" onClick={() => setShowConfirmModal(false)}>
-            Cancel
+            {t('common.cancel')}
           </Button>
           <Button onClick={handleConfirmUnsubscribe} loading={loading}>
-            Confirm
+            {t('common.confirm')}
+          </Button>
+        </ModalFooter>
+      </Modal>
+
+      {/* Erase Confirmation Modal */}
+      <Modal
+        isOpen={showEraseModal}
+        onClose={() => setShowEraseModal(false)}
+        title={t('myRegistrations.eraseTitle')}
+        description={t('myRegistrations.eraseDescription')}
+        size="sm"
+      >
+        <div className="space-y-4">
+          <Alert variant="warning">
+            <AlertDescription>{t('myRegistrations.eraseWarning')}</AlertDescription>
+          </Alert>
+          <p className="text-sm text-muted-foreground">{t('myRegistrations.eraseDownloadFirst')}</p>
+        </div>
+
+        <ModalFooter>
+          <Button variant="outline" onClick={() => setShowEraseModal(false)}>
+            {t('common.cancel')}
+          </Button>
+          <Button variant="destructive" onClick={handleEraseData} loading={loading}>
+            {t('myRegistrations.erase')}
           </Button>
         </ModalFooter>
       </Modal>
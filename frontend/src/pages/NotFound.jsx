@@ -1,27 +1,27 @@
 import { useNavigate } from 'react-router-dom';
 import Button from '@components/shared/Button';
+import useTranslation from '@hooks/useTranslation';
 import { Home, ArrowLeft } from 'lucide-react';
 
 const NotFound = () => {
   const navigate = useNavigate();
+  const { t } = useTranslation();
 
   return (
     <div className="flex min-h-screen items-center justify-center bg-background px-4">
       <div className="text-center">
         <h1 className="text-9xl font-bold text-muted-foreground">404</h1>
-        <h2 className="mt-4 text-2xl font-semibold text-foreground">Page Not Found</h2>
-        <p className="mt-2 text-muted-foreground">
-          The page you're looking for doesn't exist or has been moved.
-        </p>
+        <h2 className="mt-4 text-2xl font-semibold text-foreground">{t('notFound.title')}</h2>
+        <p className="mt-2 text-muted-foreground">{t('notFound.message')}</p>
 
         <div className="mt-8 flex flex-col gap-3 sm:flex-row sm:justify-center">
           <Button onClick={() => navigate(-1)} variant="outline">
             <ArrowLeft className="mr-2 h-4 w-4" />
-            Go Back
+            {t('notFound.goBack')}
           </Button>
           <Button onClick={() => navigate('/')}>
             <Home className="mr-2 h-4 w-4" />
-            Go Home
+            {t('notFound.goHome')}
           </Button>
         </div>
       </div>
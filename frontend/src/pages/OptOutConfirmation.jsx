@@ -5,10 +5,13 @@ import Button from '@components/shared/Button';
 import Alert, { AlertDescription } from '@components/shared/Alert';
 import { updateOptOutPreference, getStudentSignups } from '@services/studentService';
 import Spinner from '@components/shared/Spinner';
+import LanguageSwitcher from '@components/shared/LanguageSwitcher';
+import useTranslation from '@hooks/useTranslation';
 import { BellOff, Mail, Phone } from 'lucide-react';
 
 const OptOutConfirmation = () => {
   const { studentId } = useParams();
+  const { t } = useTranslation();
   const [loading, setLoading] = useState(true);
   const [updating, setUpdating] = useState(false);
   const [student, setStudent] = useState(null);
@@ -35,7 +38,7 @@ const OptOutConfirmation = () => {
       setLoading(false);
     } catch (err) {
       console.error('Failed to fetch student data:', err);
-      setError(err.message || 'Failed to load your preferences');
+      setError(err.message || t('optOut.loadFailed'));
       setLoading(false);
     }
   };
@@ -57,7 +60,7 @@ const OptOutConfirmation = () => {
       setUpdating(false);
     } catch (err) {
       console.error('Failed to update preferences:', err);
-      setError(err.message || 'Failed to update preferences');
+      setError(err.message || t('optOut.saveFailed'));
       setUpdating(false);
     }
   };
@@ -87,24 +90,23 @@ const OptOutConfirmation = () => {
       <div className="mx-auto max-w-2xl">
         <Card>
           <CardHeader>
+            <div className="flex justify-end">
+              <LanguageSwitcher />
+            </div>
             <div className="flex items-center justify-center">
               <div className="rounded-full bg-primary/10 p-3">
                 <BellOff className="h-8 w-8 text-primary" />
               </div>
             </div>
-            <CardTitle className="text-center">Notification Preferences</CardTitle>
-            <p className="text-center text-sm text-muted-foreground">
-              Manage how you receive training reminders
-            </p>
+            <CardTitle className="text-center">{t('optOut.title')}</CardTitle>
+            <p className="text-center text-sm text-muted-foreground">{t('optOut.subtitle')}</p>
           </CardHeader>
 
           <CardContent className="space-y-6">
             {/* Success Alert */}
             {success && (
               <Alert variant="success">
-                <AlertDescription>
-                  Your notification preferences have been updated successfully.
-                </AlertDescription>
+                <AlertDescription>{t('optOut.saved')}</AlertDescription>
               </Alert>
             )}
 
@@ -122,13 +124,11 @@ const OptOutConfirmation = () => {
                   <Mail className="h-5 w-5 text-blue-600" />
                 </div>
                 <div>
-                  <p className="font-medium text-foreground">Email Notifications</p>
+                  <p className="font-medium text-foreground">{t('preferences.emailTitle')}</p>
                   <p className="text-sm text-muted-foreground">
-                    {student?.email || 'No email provided'}
-                  </p>
-                  <p className="mt-1 text-xs text-muted-foreground">
-                    Receive training reminders via email
+                    {student?.email || t('optOut.noEmail')}
                   </p>
+                  <p className="mt-1 text-xs text-muted-foreground">{t('optOut.emailHelp')}</p>
                 </div>
               </div>
               <button
@@ -153,13 +153,11 @@ const OptOutConfirmation = () => {
                   <Phone className="h-5 w-5 text-green-600" />
                 </div>
                 <div>
-                  <p className="font-medium text-foreground">SMS Notifications</p>
+                  <p className="font-medium text-foreground">{t('preferences.smsTitle')}</p>
                   <p className="text-sm text-muted-foreground">
-                    {student?.phone || 'No phone provided'}
-                  </p>
-                  <p className="mt-1 text-xs text-muted-foreground">
-                    Receive training reminders via text message
+                    {student?.phone || t('optOut.noPhone')}
                   </p>
+                  <p className="mt-1 text-xs text-muted-foreground">{t('optOut.smsHelp')}</p>
                 </div>
               </div>
               <button
@@ -179,10 +177,7 @@ const OptOutConfirmation = () => {
 
             {/* Info Alert */}
             <Alert variant="info">
-              <AlertDescription>
-                You can change these preferences at any time. Opting out will stop all training
-                reminders for the selected channel.
-              </AlertDescription>
+              <AlertDescription>{t('optOut.info')}</AlertDescription>
             </Alert>
 
             {/* Save Button */}
@@ -193,7 +188,7 @@ const OptOutConfirmation = () => {
               loading={updating}
               disabled={updating}
             >
-              Save Preferences
+              {t('preferences.save')}
             </Button>
           </CardContent>
         </Card>
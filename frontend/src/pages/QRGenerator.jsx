@@ -3,17 +3,20 @@ import { QRCodeSVG } from 'qrcode.react';
 import { Card, CardContent, CardHeader, CardTitle, CardDescription } from '@components/shared/Card';
 import Select from '@components/shared/Select';
 import Button from '@components/shared/Button';
-import { CLASS_TYPE_LABELS } from '@utils/constants';
+import useClassStore, { useClassLabel } from '@store/classStore';
 import { Download, Link as LinkIcon } from 'lucide-react';
 import Alert, { AlertDescription } from '@components/shared/Alert';
 
 const QRGenerator = () => {
   const [selectedClassType, setSelectedClassType] = useState('');
   const [qrSize, setQrSize] = useState(256);
+  const classes = useClassStore((state) => state.classes);
+  const getClassTypeLabel = useClassLabel();
+  const activeClasses = classes.filter((c) => c.isActive);
 
   const classTypeOptions = [
     { value: '', label: 'Select a training type' },
-    ...Object.entries(CLASS_TYPE_LABELS).map(([value, label]) => ({ value, label })),
+    ...activeClasses.map((c) => ({ value: c.key, label: c.label })),
   ];
 
   const sizeOptions = [
@@ -111,7 +114,7 @@ const QRGenerator = () => {
                 <Alert variant="info">
                   <AlertDescription>
                     Students scanning this QR code will be taken directly to the signup form for{' '}
-                    <strong>{CLASS_TYPE_LABELS[selectedClassType]}</strong>.
+                    <strong>{getClassTypeLabel(selectedClassType)}</strong>.
                   </AlertDescription>
                 </Alert>
               )}
@@ -160,7 +163,7 @@ const QRGenerator = () => {
                   <div className="text-center">
                     <p className="text-sm font-medium text-muted-foreground">Training Type</p>
                     <p className="mt-1 text-lg font-semibold text-foreground">
-                      {CLASS_TYPE_LABELS[selectedClassType]}
+                      {getClassTypeLabel(selectedClassType)}
                     </p>
                   </div>
 
@@ -197,7 +200,7 @@ const QRGenerator = () => {
           </CardHeader>
           <CardContent>
             <div className="grid grid-cols-2 gap-4 sm:grid-cols-3 lg:grid-cols-6">
-              {Object.entries(CLASS_TYPE_LABELS).map(([classType, label]) => (
+              {activeClasses.map(({ key: classType, label }) => (
                 <button
                   key={classType}
                   onClick={() => setSelectedClassType(classType)}
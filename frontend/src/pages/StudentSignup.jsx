@@ -2,7 +2,11 @@ import { useEffect } from 'react';
 import { useParams, useSearchParams } from 'react-router-dom';
 import toast from 'react-hot-toast';
 import useStudentStore from '@store/studentStore';
+import useTranslation from '@hooks/useTranslation';
+// Toasts are shown once, in the language of the moment (so they don't re-fire on a language change)
+import { t as translateNow } from '@store/localeStore';
 import { Card, CardContent, CardHeader, CardTitle } from '@components/shared/Card';
+import LanguageSwitcher from '@components/shared/LanguageSwitcher';
 import ClassTypeSelector from '@components/student/ClassTypeSelector';
 import SignupForm from '@components/student/SignupForm';
 import ConfirmationScreen from '@components/student/ConfirmationScreen';
@@ -13,6 +17,7 @@ import SuccessScreen from '@components/student/SuccessScreen';
 const StudentSignup = () => {
   const { classType: urlClassType } = useParams();
   const [searchParams] = useSearchParams();
+  const { t } = useTranslation();
 
   const {
     selectedClassType,
@@ -32,6 +37,7 @@ const StudentSignup = () => {
     isVerifyingOtp,
     isResendingOtp,
     verifiedChannels,
+    consentDisclosure,
     // Actions
     setSelectedClassType,
     updateFormData,
@@ -44,8 +50,14 @@ const StudentSignup = () => {
     resendOtpCode,
     backFromOtp,
     resetForm,
+    loadConsentDisclosure,
   } = useStudentStore();
 
+  // The confirmation screen shows the consent disclosure, and its version is sent with the registration
+  useEffect(() => {
+    loadConsentDisclosure();
+  }, [loadConsentDisclosure]);
+
   // Handle URL-based class type selection (from QR code or deep link)
   useEffect(() => {
     if (urlClassType) {
@@ -71,7 +83,7 @@ const StudentSignup = () => {
   // Show success toast
   useEffect(() => {
     if (submitSuccess && signupResult) {
-      toast.success('Registration successful! You will receive a reminder before your training.', {
+      toast.success(translateNow('signup.successToast'), {
         duration: 4000,
       });
     }
@@ -82,11 +94,11 @@ const StudentSignup = () => {
     if (submitError) {
       // Check for UNIQUE constraint violation (email or phone already exists)
       if (submitError.includes('already exists') || submitError.includes('already registered') || submitError.includes('unique constraint') || submitError.includes('Unique constraint')) {
-        toast.error('This email or phone number is already registered. Please use a different contact method.', {
+        toast.error(translateNow('signup.alreadyRegistered'), {
           duration: 5000,
         });
       } else {
-        toast.error(submitError || 'Failed to submit registration. Please try again.', {
+        toast.error(submitError || translateNow('signup.submitFailed'), {
           duration: 5000,
         });
       }
@@ -214,6 +226,7 @@ const StudentSignup = () => {
             onEdit={handleEditInformation}
             isSubmitting={isSubmitting}
             error={submitError}
+            disclosure={consentDisclosure}
           />
         </div>
       </div>
@@ -226,10 +239,11 @@ const StudentSignup = () => {
       <div className="mx-auto max-w-2xl">
         <Card>
           <CardHeader>
-            <CardTitle className="text-center">Training Registration</CardTitle>
-            <p className="text-center text-sm text-muted-foreground">
-              Register for your upcoming training session
-            </p>
+            <div className="flex justify-end">
+              <LanguageSwitcher />
+            </div>
+            <CardTitle className="text-center">{t('signup.title')}</CardTitle>
+            <p className="text-center text-sm text-muted-foreground">{t('signup.subtitle')}</p>
           </CardHeader>
           <CardContent className="space-y-6">
             {/* Step 1: Select Training Type */}
@@ -259,7 +273,7 @@ const StudentSignup = () => {
         {/* Footer */}
         <div className="mt-8 text-center">
           <p className="text-xs text-muted-foreground">
-            Need help? Contact your training administrator
+            {t('common.needHelp')}
           </p>
         </div>
       </div>
@@ -1,35 +1,106 @@
 import { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
-import { ArrowLeft, Mail, MessageSquare, Save, RefreshCw, ChevronDown, ChevronUp } from 'lucide-react';
+import { ArrowLeft, Mail, MessageSquare, Save, RefreshCw, ChevronDown, ChevronUp, History, Trash2 } from 'lucide-react';
 import Button from '@components/shared/Button';
+import Badge from '@components/shared/Badge';
+import Modal from '@components/shared/Modal';
 import { Card, CardHeader, CardTitle, CardContent } from '@components/shared/Card';
 import Spinner from '@components/shared/Spinner';
 import Alert, { AlertDescription } from '@components/shared/Alert';
-import { CLASS_TYPE_LABELS } from '@utils/constants';
-import { getAllTemplates, saveTemplate } from '@services/templateService';
+import TemplatePreview from '@components/admin/TemplatePreview';
+import useClassStore, { useClassLabel } from '@store/classStore';
+import { formatDate, formatStageOffset } from '@utils/formatters';
+import {
+  getAllTemplates,
+  saveTemplate,
+  getTemplateVersions,
+  diffTemplateVersions,
+  restoreTemplateVersion,
+  deleteTemplate,
+} from '@services/templateService';
 import toast from 'react-hot-toast';
 
+// Template stage used for reminders that have no template of their own
+const ALL_STAGES = 0;
+
+// Templates in another language fall back to the English one
+const DEFAULT_LOCALE = 'en';
+
+// Messages sent outside the reminder schedule. They have no class or stage, only a template per language.
+const SYSTEM_MESSAGES = {
+  VERIFICATION_CODE: {
+    label: 'Verification code',
+    description: 'Sent when a student verifies their email or phone while registering or managing reminders',
+    variables: ['code', 'expiresInMinutes'],
+  },
+  REGISTRATION_CONFIRMATION: {
+    label: 'Registration confirmation',
+    description: 'Sent when a registration is complete',
+    variables: ['classTypeName', 'studentName', 'bookingLink'],
+  },
+};
+
+const DIFF_FIELD_LABELS = {
+  subject: 'Subject',
+  body: 'Body',
+  scheduleLink: 'Schedule link',
+};
+
+const DIFF_LINE_STYLES = {
+  added: { prefix: '+', className: 'bg-green-500/10 text-green-700 dark:text-green-400' },
+  removed: { prefix: '-', className: 'bg-red-500/10 text-red-700 dark:text-red-400' },
+  unchanged: { prefix: ' ', className: 'text-muted-foreground' },
+};
+
 const TemplateManager = () => {
   const navigate = useNavigate();
+  const classes = useClassStore((state) => state.classes);
+  const getClassTypeLabel = useClassLabel();
   const [templates, setTemplates] = useState([]);
+  // Reminder stages of each class ({ [classType]: [{ stage, offsetDays }] }) and the one being viewed
+  const [stages, setStages] = useState({});
+  const [selectedStages, setSelectedStages] = useState({});
+  // Languages templates can be written in ([{ code, name }]) and the one being viewed
+  const [locales, setLocales] = useState([]);
+  const [locale, setLocale] = useState(DEFAULT_LOCALE);
+  const [systemPurposes, setSystemPurposes] = useState([]);
+  const [confirmRemove, setConfirmRemove] = useState(null);
+  const [isRemoving, setIsRemoving] = useState(false);
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState(null);
   const [expandedTypes, setExpandedTypes] = useState({});
   const [editingTemplate, setEditingTemplate] = useState(null);
   const [isSaving, setIsSaving] = useState(false);
+  // Problems the server found when previewing or saving: [{ field, line, column, message }]
+  const [templateErrors, setTemplateErrors] = useState([]);
 
   // Form state for editing
   const [formData, setFormData] = useState({
     subject: '',
     body: '',
+    changeNote: '',
   });
 
+  // Version history panel: which template, its versions, and the diff being viewed
+  const [historyTarget, setHistoryTarget] = useState(null);
+  const [history, setHistory] = useState(null);
+  const [isLoadingHistory, setIsLoadingHistory] = useState(false);
+  const [selectedVersion, setSelectedVersion] = useState(null);
+  const [compareMode, setCompareMode] = useState('previous');
+  const [diff, setDiff] = useState(null);
+  const [isLoadingDiff, setIsLoadingDiff] = useState(false);
+  const [restoreNote, setRestoreNote] = useState('');
+  const [isRestoring, setIsRestoring] = useState(false);
+
   const fetchTemplates = async () => {
     setIsLoading(true);
     setError(null);
     try {
       const data = await getAllTemplates();
-      setTemplates(data);
+      setTemplates(data.templates);
+      setStages(data.stages);
+      setLocales(data.locales);
+      setSystemPurposes(data.systemPurposes);
     } catch (err) {
       setError(err.message || 'Failed to load templates');
     } finally {
@@ -41,12 +112,53 @@ const TemplateManager = () => {
     fetchTemplates();
   }, []);
 
-  const getTemplateForClassType = (classType, channel) => {
-    return templates.find(t => t.classType === classType && t.channel === channel);
+  // System messages are listed with the classes, keyed by their purpose
+  const isSystemMessage = (classType) => systemPurposes.includes(classType);
+
+  const getLocaleName = (code) => locales.find(l => l.code === code)?.name || code;
+
+  const getTemplateGroupLabel = (classType) =>
+    isSystemMessage(classType) ? SYSTEM_MESSAGES[classType]?.label || classType : getClassTypeLabel(classType);
+
+  const getTemplateForClassType = (classType, channel, stage = ALL_STAGES, templateLocale = locale) => {
+    return templates.find(
+      t =>
+        (isSystemMessage(classType) ? t.purpose === classType : t.purpose === 'REMINDER' && t.classType === classType) &&
+        t.channel === channel &&
+        t.stage === stage &&
+        t.locale === templateLocale
+    );
+  };
+
+  // What a stage is sent with: its own template, else the all-reminders one, first in the
+  // selected language and then in English (else the built-in default)
+  const getEffectiveTemplate = (classType, channel, stage) =>
+    getTemplateForClassType(classType, channel, stage) ||
+    getTemplateForClassType(classType, channel, ALL_STAGES) ||
+    getTemplateForClassType(classType, channel, stage, DEFAULT_LOCALE) ||
+    getTemplateForClassType(classType, channel, ALL_STAGES, DEFAULT_LOCALE);
+
+  const getSelectedStage = (classType) => selectedStages[classType] ?? ALL_STAGES;
+
+  const getStageLabel = (classType, stage) => {
+    if (isSystemMessage(classType)) return getTemplateGroupLabel(classType);
+    if (stage === ALL_STAGES) return 'All reminders';
+    const reminderStage = stages[classType]?.find(s => s.stage === stage);
+    return reminderStage ? `Reminder ${stage} (${formatStageOffset(reminderStage.offsetDays)})` : `Reminder ${stage}`;
   };
 
+  const isEditing = (classType, channel) =>
+    editingTemplate?.classType === classType &&
+    editingTemplate?.channel === channel &&
+    editingTemplate?.stage === getSelectedStage(classType);
+
+  // The built-in reminder wording, as far as it can be shown here (English only; the
+  // server's wording for other languages and for system messages shows in the preview)
   const getDefaultTemplate = (classType, channel) => {
-    const className = CLASS_TYPE_LABELS[classType] || classType;
+    if (isSystemMessage(classType) || locale !== DEFAULT_LOCALE) {
+      return { subject: '', body: '' };
+    }
+    const className = getClassTypeLabel(classType);
     if (channel === 'EMAIL') {
       return {
         subject: `Reminder: ${className} Training Renewal`,
@@ -66,19 +178,24 @@ const TemplateManager = () => {
   };
 
   const startEditing = (classType, channel) => {
-    const existing = getTemplateForClassType(classType, channel);
+    const stage = getSelectedStage(classType);
+    // A stage without its own template starts from the text it is currently sent with
+    const existing = getEffectiveTemplate(classType, channel, stage);
     const defaultTemplate = getDefaultTemplate(classType, channel);
 
     setFormData({
       subject: existing?.subject || defaultTemplate.subject || '',
       body: existing?.body || defaultTemplate.body,
+      changeNote: '',
     });
-    setEditingTemplate({ classType, channel });
+    setTemplateErrors([]);
+    setEditingTemplate({ classType, channel, stage, locale });
   };
 
   const cancelEditing = () => {
     setEditingTemplate(null);
-    setFormData({ subject: '', body: '' });
+    setFormData({ subject: '', body: '', changeNote: '' });
+    setTemplateErrors([]);
   };
 
   const handleSave = async () => {
@@ -86,17 +203,290 @@ const TemplateManager = () => {
 
     setIsSaving(true);
     try {
-      await saveTemplate(editingTemplate.classType, editingTemplate.channel, formData);
+      await saveTemplate(
+        editingTemplate.classType,
+        editingTemplate.channel,
+        editingTemplate.stage,
+        editingTemplate.locale,
+        formData
+      );
       toast.success('Template saved successfully!');
       await fetchTemplates();
       cancelEditing();
     } catch (err) {
-      toast.error(err.message || 'Failed to save template');
+      if (err.code === 'INVALID_TEMPLATE') {
+        setTemplateErrors(err.data?.error?.metadata?.errors || []);
+        toast.error('Fix the template errors before saving');
+      } else {
+        toast.error(err.message || 'Failed to save template');
+      }
     } finally {
       setIsSaving(false);
     }
   };
 
+  /**
+   * Load the diff for a version: what that save changed ('previous'),
+   * or how the current version differs from it ('current')
+   */
+  const loadDiff = async (target, version, mode, currentVersion) => {
+    setSelectedVersion(version);
+    setCompareMode(mode);
+    setIsLoadingDiff(true);
+    try {
+      const [from, to] = mode === 'previous' ? [Math.max(version - 1, 1), version] : [version, currentVersion];
+      setDiff(await diffTemplateVersions(target.classType, target.channel, target.stage, target.locale, from, to));
+    } catch (err) {
+      setDiff(null);
+      toast.error(err.message || 'Failed to compare versions');
+    } finally {
+      setIsLoadingDiff(false);
+    }
+  };
+
+  const openHistory = async (classType, channel, stage) => {
+    const target = { classType, channel, stage, locale };
+    setHistoryTarget(target);
+    setHistory(null);
+    setDiff(null);
+    setRestoreNote('');
+    setIsLoadingHistory(true);
+    try {
+      const data = await getTemplateVersions(classType, channel, stage, locale);
+      setHistory(data);
+      if (data.versions.length > 0) {
+        await loadDiff(target, data.versions[0].version, 'previous', data.template.currentVersion);
+      }
+    } catch (err) {
+      toast.error(err.message || 'Failed to load template history');
+    } finally {
+      setIsLoadingHistory(false);
+    }
+  };
+
+  const closeHistory = () => {
+    setHistoryTarget(null);
+    setHistory(null);
+    setSelectedVersion(null);
+    setDiff(null);
+  };
+
+  const handleRestore = async () => {
+    if (!historyTarget || !selectedVersion) return;
+
+    setIsRestoring(true);
+    try {
+      const response = await restoreTemplateVersion(
+        historyTarget.classType,
+        historyTarget.channel,
+        historyTarget.stage,
+        historyTarget.locale,
+        selectedVersion,
+        restoreNote.trim() || undefined
+      );
+      toast.success(response.message || `Version ${selectedVersion} restored`);
+      await Promise.all([
+        fetchTemplates(),
+        openHistory(historyTarget.classType, historyTarget.channel, historyTarget.stage),
+      ]);
+    } catch (err) {
+      toast.error(err.message || 'Failed to restore version');
+    } finally {
+      setIsRestoring(false);
+    }
+  };
+
+  // What a removable template's messages are sent with once it is deleted
+  const getRemovedTemplateFallback = (template) =>
+    template.stage !== ALL_STAGES ? 'the all-reminders template' : `the ${getLocaleName(DEFAULT_LOCALE)} template`;
+
+  // Delete a stage's or a language's own template, so it is sent with the all-reminders
+  // (or English) template again
+  const handleRemoveStageTemplate = async () => {
+    if (!confirmRemove) return;
+
+    setIsRemoving(true);
+    try {
+      await deleteTemplate(confirmRemove.template.id);
+      toast.success(
+        `${getStageLabel(confirmRemove.classType, confirmRemove.template.stage)} (${getLocaleName(
+          confirmRemove.template.locale
+        )}) now uses ${getRemovedTemplateFallback(confirmRemove.template)}`
+      );
+      setConfirmRemove(null);
+      await fetchTemplates();
+    } catch (err) {
+      toast.error(err.message || 'Failed to remove template');
+    } finally {
+      setIsRemoving(false);
+    }
+  };
+
+  const renderChangeNoteInput = () => (
+    <div>
+      <label className="text-xs font-medium text-muted-foreground">Change note (optional)</label>
+      <input
+        type="text"
+        value={formData.changeNote}
+        onChange={(e) => setFormData(prev => ({ ...prev, changeNote: e.target.value }))}
+        maxLength={500}
+        className="mt-1 w-full rounded-lg border border-input bg-background px-3 py-2 text-sm text-foreground"
+        placeholder="What changed and why"
+      />
+    </div>
+  );
+
+  const renderTemplateErrors = () =>
+    templateErrors.length > 0 && (
+      <Alert variant="destructive">
+        <AlertDescription>
+          <ul className="space-y-1 text-xs">
+            {templateErrors.map((templateError, index) => (
+              <li key={index}>
+                <span className="font-medium">
+                  {templateError.field === 'subject' ? 'Subject' : 'Body'}, line {templateError.line}, column{' '}
+                  {templateError.column}:
+                </span>{' '}
+                {templateError.message}
+              </li>
+            ))}
+          </ul>
+        </AlertDescription>
+      </Alert>
+    );
+
+  const renderPreview = (classType, channel) => (
+    <TemplatePreview
+      classType={classType}
+      channel={channel}
+      stage={editingTemplate.stage}
+      locale={editingTemplate.locale}
+      isSystemMessage={isSystemMessage(classType)}
+      subject={formData.subject}
+      body={formData.body}
+      onTemplateErrors={setTemplateErrors}
+    />
+  );
+
+  const renderHistoryButton = (classType, channel, template) =>
+    template && (
+      <Button size="sm" variant="ghost" onClick={() => openHistory(classType, channel, template.stage)}>
+        <History className="mr-1 h-3 w-3" />
+        History
+      </Button>
+    );
+
+  const renderRemoveButton = (classType, template) =>
+    template && (template.stage !== ALL_STAGES || template.locale !== DEFAULT_LOCALE) && (
+      <Button size="sm" variant="ghost" onClick={() => setConfirmRemove({ classType, template })}>
+        <Trash2 className="mr-1 h-3 w-3" />
+        Remove
+      </Button>
+    );
+
+  const renderRemoveConfirmation = (classType, channel) =>
+    confirmRemove?.classType === classType &&
+    confirmRemove.template.channel === channel && (
+      <div className="mb-3 rounded-lg border border-destructive/50 bg-destructive/5 p-3">
+        <p className="text-sm font-medium text-foreground">
+          Remove the {getLocaleName(confirmRemove.template.locale)} {channel === 'EMAIL' ? 'email' : 'SMS'} template for{' '}
+          {getStageLabel(classType, confirmRemove.template.stage)}?
+        </p>
+        <p className="mt-1 text-xs text-muted-foreground">
+          It will be sent with {getRemovedTemplateFallback(confirmRemove.template)} again. Its version history is
+          deleted too.
+        </p>
+        <div className="mt-2 flex gap-2">
+          <Button size="sm" variant="destructive" onClick={handleRemoveStageTemplate} disabled={isRemoving}>
+            {isRemoving ? 'Removing...' : 'Remove'}
+          </Button>
+          <Button size="sm" variant="ghost" onClick={() => setConfirmRemove(null)} disabled={isRemoving}>
+            Cancel
+          </Button>
+        </div>
+      </div>
+    );
+
+  // Where the text a stage is sent with comes from, when it isn't the stage's own template
+  const renderTemplateSource = (classType, channel, stage) => {
+    if (getTemplateForClassType(classType, channel, stage)) return null;
+    const sentWith = getEffectiveTemplate(classType, channel, stage);
+    let source;
+    if (!sentWith) {
+      source =
+        locale === DEFAULT_LOCALE && !isSystemMessage(classType)
+          ? 'No saved template; the built-in default below is sent.'
+          : `No saved template; the built-in ${getLocaleName(locale)} wording is sent. Edit to preview it.`;
+    } else if (sentWith.locale !== locale) {
+      source = `No ${getLocaleName(locale)} template yet; the ${getLocaleName(sentWith.locale)} template below is sent.`;
+    } else {
+      source = 'No template for this reminder yet; it is sent with the all-reminders template below.';
+    }
+    return <p className="mb-2 text-xs text-muted-foreground">{source}</p>;
+  };
+
+  const renderLocaleSelector = () => (
+    <div className="flex items-center gap-2">
+      <label className="text-xs font-medium text-muted-foreground">Language</label>
+      <select
+        value={locale}
+        onChange={(e) => {
+          setLocale(e.target.value);
+          setConfirmRemove(null);
+        }}
+        disabled={!!editingTemplate}
+        className="rounded-lg border border-input bg-background px-3 py-2 text-sm text-foreground disabled:opacity-50"
+      >
+        {locales.map(({ code, name }) => (
+          <option key={code} value={code}>
+            {name}
+          </option>
+        ))}
+      </select>
+    </div>
+  );
+
+  const renderStageSelector = (classType) => (
+    <div className="flex flex-col gap-2 sm:flex-row sm:items-center">
+      <label className="text-xs font-medium text-muted-foreground">Reminder</label>
+      <select
+        value={getSelectedStage(classType)}
+        onChange={(e) => {
+          setSelectedStages(prev => ({ ...prev, [classType]: Number(e.target.value) }));
+          setConfirmRemove(null);
+        }}
+        disabled={editingTemplate?.classType === classType}
+        className="rounded-lg border border-input bg-background px-3 py-2 text-sm text-foreground disabled:opacity-50"
+      >
+        <option value={ALL_STAGES}>{getStageLabel(classType, ALL_STAGES)}</option>
+        {(stages[classType] || []).map(({ stage }) => (
+          <option key={stage} value={stage}>
+            {getStageLabel(classType, stage)}
+            {getTemplateForClassType(classType, 'EMAIL', stage) || getTemplateForClassType(classType, 'SMS', stage)
+              ? ' · customized'
+              : ''}
+          </option>
+        ))}
+      </select>
+      <span className="text-xs text-muted-foreground">
+        {getSelectedStage(classType) === ALL_STAGES
+          ? 'Used for every reminder that has no template of its own'
+          : 'Used for this reminder only'}
+      </span>
+    </div>
+  );
+
+  const currentVersion = history?.template?.currentVersion;
+  const historyTitle = historyTarget
+    ? [
+        `${getTemplateGroupLabel(historyTarget.classType)} ${historyTarget.channel === 'EMAIL' ? 'Email' : 'SMS'} History`,
+        historyTarget.stage !== ALL_STAGES && getStageLabel(historyTarget.classType, historyTarget.stage),
+        historyTarget.locale !== DEFAULT_LOCALE && getLocaleName(historyTarget.locale),
+      ]
+        .filter(Boolean)
+        .join(' · ')
+    : '';
+
   if (isLoading) {
     return (
       <div className="min-h-screen bg-background flex items-center justify-center">
@@ -107,7 +497,7 @@ const TemplateManager = () => {
 
   return (
     <div className="min-h-screen bg-background p-4 sm:p-6 lg:p-8">
-      <div className="mx-auto max-w-4xl space-y-6">
+      <div className="mx-auto max-w-6xl space-y-6">
         {/* Header */}
         <div className="flex flex-col sm:flex-row sm:items-center gap-4">
           <div className="flex items-center gap-3">
@@ -123,9 +513,12 @@ const TemplateManager = () => {
               </p>
             </div>
           </div>
-          <Button variant="outline" onClick={fetchTemplates} disabled={isLoading} className="w-full sm:w-auto mt-2 sm:mt-0">
-            <RefreshCw className={`mr-2 h-4 w-4 ${isLoading ? 'animate-spin' : ''}`} /> Refresh
-          </Button>
+          <div className="flex flex-col gap-2 sm:ml-auto sm:flex-row sm:items-center">
+            {renderLocaleSelector()}
+            <Button variant="outline" onClick={fetchTemplates} disabled={isLoading} className="w-full sm:w-auto mt-2 sm:mt-0">
+              <RefreshCw className={`mr-2 h-4 w-4 ${isLoading ? 'animate-spin' : ''}`} /> Refresh
+            </Button>
+          </div>
         </div>
 
         {error && (
@@ -144,18 +537,51 @@ const TemplateManager = () => {
               <code className="rounded bg-muted px-2 py-1">{'{{classTypeName}}'}</code>
               <code className="rounded bg-muted px-2 py-1">{'{{scheduleLink}}'}</code>
               <code className="rounded bg-muted px-2 py-1">{'{{optOutLink}}'}</code>
+              <code className="rounded bg-muted px-2 py-1">{'{{listUnsubscribeLink}}'}</code>
               <code className="rounded bg-muted px-2 py-1">{'{{studentEmail}}'}</code>
               <code className="rounded bg-muted px-2 py-1">{'{{studentPhone}}'}</code>
+              <code className="rounded bg-muted px-2 py-1">{'{{studentName}}'}</code>
+              <code className="rounded bg-muted px-2 py-1">{'{{completedAt}}'}</code>
+              <code className="rounded bg-muted px-2 py-1">{'{{expiresAt}}'}</code>
+            </div>
+            <div className="mt-4 space-y-1 text-xs text-muted-foreground">
+              <p>
+                Fallbacks and formatting:{' '}
+                <code className="rounded bg-muted px-1">{'{{studentName | default: "there"}}'}</code>,{' '}
+                <code className="rounded bg-muted px-1">{'{{expiresAt | date: "MMMM d, yyyy"}}'}</code>. Other filters:{' '}
+                <code className="rounded bg-muted px-1">upper</code>, <code className="rounded bg-muted px-1">lower</code>,{' '}
+                <code className="rounded bg-muted px-1">capitalize</code>.
+              </p>
+              <p>
+                Conditionals:{' '}
+                <code className="rounded bg-muted px-1">{'{{#if studentPhone}}...{{else}}...{{/if}}'}</code>, and{' '}
+                <code className="rounded bg-muted px-1">{'{{#unless ...}}'}</code>. Unknown variables and unclosed blocks
+                are rejected when you save.
+              </p>
+              <p>
+                Students receive messages in the language they registered in. A message with no template in that
+                language is sent with the English one.
+              </p>
             </div>
           </CardContent>
         </Card>
 
         {/* Template Cards by Class Type */}
         <div className="space-y-4">
-          {Object.entries(CLASS_TYPE_LABELS).map(([classType, label]) => {
+          {[
+            ...classes,
+            ...systemPurposes.map((purpose) => ({ key: purpose, label: getTemplateGroupLabel(purpose) })),
+          ].map(({ key: classType, label }) => {
             const emailTemplate = getTemplateForClassType(classType, 'EMAIL');
             const smsTemplate = getTemplateForClassType(classType, 'SMS');
             const isExpanded = expandedTypes[classType];
+            // Templates of the selected reminder, and what that reminder is actually sent with
+            const stage = getSelectedStage(classType);
+            const emailStageTemplate = getTemplateForClassType(classType, 'EMAIL', stage);
+            const smsStageTemplate = getTemplateForClassType(classType, 'SMS', stage);
+            const emailSentWith = getEffectiveTemplate(classType, 'EMAIL', stage);
+            const smsSentWith = getEffectiveTemplate(classType, 'SMS', stage);
+            const systemMessage = isSystemMessage(classType) && SYSTEM_MESSAGES[classType];
 
             return (
               <Card key={classType}>
@@ -164,7 +590,10 @@ const TemplateManager = () => {
                   onClick={() => toggleExpand(classType)}
                 >
                   <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-3">
-                    <CardTitle className="text-base">{label}</CardTitle>
+                    <div className="flex items-center gap-2">
+                      <CardTitle className="text-base">{label}</CardTitle>
+                      {isSystemMessage(classType) && <Badge variant="secondary">System message</Badge>}
+                    </div>
                     <div className="flex items-center justify-between sm:justify-end gap-4 w-full sm:w-auto">
                       <div className="flex flex-wrap gap-2 text-xs">
                         <span className={`flex items-center gap-1 ${emailTemplate ? 'text-green-500' : 'text-muted-foreground'}`}>
@@ -183,14 +612,30 @@ const TemplateManager = () => {
 
                 {isExpanded && (
                   <CardContent className="space-y-4 pt-0">
+                    {systemMessage ? (
+                      <div className="space-y-1 text-xs text-muted-foreground">
+                        <p>{systemMessage.description}</p>
+                        <div className="flex flex-wrap gap-2">
+                          {systemMessage.variables.map((variable) => (
+                            <code key={variable} className="rounded bg-muted px-2 py-1">{`{{${variable}}}`}</code>
+                          ))}
+                        </div>
+                      </div>
+                    ) : (
+                      renderStageSelector(classType)
+                    )}
+
                     {/* Email Template */}
                     <div className="rounded-lg border border-border p-4">
                       <div className="mb-3 flex items-center justify-between">
                         <div className="flex items-center gap-2">
                           <Mail className="h-4 w-4 text-blue-500" />
                           <span className="font-medium text-sm">Email Template</span>
+                          {emailStageTemplate?.currentVersion > 0 && (
+                            <span className="text-xs text-muted-foreground">v{emailStageTemplate.currentVersion}</span>
+                          )}
                         </div>
-                        {editingTemplate?.classType === classType && editingTemplate?.channel === 'EMAIL' ? (
+                        {isEditing(classType, 'EMAIL') ? (
                           <div className="flex gap-2">
                             <Button size="sm" variant="ghost" onClick={cancelEditing} disabled={isSaving}>
                               Cancel
@@ -201,47 +646,58 @@ const TemplateManager = () => {
                             </Button>
                           </div>
                         ) : (
-                          <Button size="sm" variant="outline" onClick={() => startEditing(classType, 'EMAIL')}>
-                            Edit
-                          </Button>
+                          <div className="flex gap-2">
+                            {renderHistoryButton(classType, 'EMAIL', emailStageTemplate)}
+                            {renderRemoveButton(classType, emailStageTemplate)}
+                            <Button size="sm" variant="outline" onClick={() => startEditing(classType, 'EMAIL')}>
+                              Edit
+                            </Button>
+                          </div>
                         )}
                       </div>
+                      {renderRemoveConfirmation(classType, 'EMAIL')}
 
-                      {editingTemplate?.classType === classType && editingTemplate?.channel === 'EMAIL' ? (
-                        <div className="space-y-3">
-                          <div>
-                            <label className="text-xs font-medium text-muted-foreground">Subject</label>
-                            <input
-                              type="text"
-                              value={formData.subject}
-                              onChange={(e) => setFormData(prev => ({ ...prev, subject: e.target.value }))}
-                              className="mt-1 w-full rounded-lg border border-input bg-background px-3 py-2 text-sm text-foreground"
-                              placeholder="Email subject line"
-                            />
-                          </div>
-                          <div>
-                            <label className="text-xs font-medium text-muted-foreground">Body</label>
-                            <textarea
-                              value={formData.body}
-                              onChange={(e) => setFormData(prev => ({ ...prev, body: e.target.value }))}
-                              rows={6}
-                              className="mt-1 w-full rounded-lg border border-input bg-background px-3 py-2 text-sm text-foreground font-mono"
-                              placeholder="Email body content"
-                            />
+                      {isEditing(classType, 'EMAIL') ? (
+                        <div className="grid gap-4 lg:grid-cols-2">
+                          <div className="space-y-3">
+                            <div>
+                              <label className="text-xs font-medium text-muted-foreground">Subject</label>
+                              <input
+                                type="text"
+                                value={formData.subject}
+                                onChange={(e) => setFormData(prev => ({ ...prev, subject: e.target.value }))}
+                                className="mt-1 w-full rounded-lg border border-input bg-background px-3 py-2 text-sm text-foreground"
+                                placeholder="Email subject line"
+                              />
+                            </div>
+                            <div>
+                              <label className="text-xs font-medium text-muted-foreground">Body</label>
+                              <textarea
+                                value={formData.body}
+                                onChange={(e) => setFormData(prev => ({ ...prev, body: e.target.value }))}
+                                rows={6}
+                                className="mt-1 w-full rounded-lg border border-input bg-background px-3 py-2 text-sm text-foreground font-mono"
+                                placeholder="Email body content"
+                              />
+                            </div>
+                            {renderChangeNoteInput()}
+                            {renderTemplateErrors()}
                           </div>
+                          {renderPreview(classType, 'EMAIL')}
                         </div>
                       ) : (
                         <div className="space-y-2 text-sm">
+                          {renderTemplateSource(classType, 'EMAIL', stage)}
                           <div>
                             <span className="text-xs text-muted-foreground">Subject: </span>
                             <span className="text-foreground">
-                              {emailTemplate?.subject || getDefaultTemplate(classType, 'EMAIL').subject}
+                              {emailSentWith?.subject || getDefaultTemplate(classType, 'EMAIL').subject}
                             </span>
                           </div>
                           <div>
                             <span className="text-xs text-muted-foreground">Body:</span>
                             <pre className="mt-1 whitespace-pre-wrap rounded bg-muted p-3 text-xs text-foreground">
-                              {emailTemplate?.body || getDefaultTemplate(classType, 'EMAIL').body}
+                              {emailSentWith?.body || getDefaultTemplate(classType, 'EMAIL').body}
                             </pre>
                           </div>
                         </div>
@@ -254,8 +710,11 @@ const TemplateManager = () => {
                         <div className="flex items-center gap-2">
                           <MessageSquare className="h-4 w-4 text-green-500" />
                           <span className="font-medium text-sm">SMS Template</span>
+                          {smsStageTemplate?.currentVersion > 0 && (
+                            <span className="text-xs text-muted-foreground">v{smsStageTemplate.currentVersion}</span>
+                          )}
                         </div>
-                        {editingTemplate?.classType === classType && editingTemplate?.channel === 'SMS' ? (
+                        {isEditing(classType, 'SMS') ? (
                           <div className="flex gap-2">
                             <Button size="sm" variant="ghost" onClick={cancelEditing} disabled={isSaving}>
                               Cancel
@@ -266,31 +725,46 @@ const TemplateManager = () => {
                             </Button>
                           </div>
                         ) : (
-                          <Button size="sm" variant="outline" onClick={() => startEditing(classType, 'SMS')}>
-                            Edit
-                          </Button>
+                          <div className="flex gap-2">
+                            {renderHistoryButton(classType, 'SMS', smsStageTemplate)}
+                            {renderRemoveButton(classType, smsStageTemplate)}
+                            <Button size="sm" variant="outline" onClick={() => startEditing(classType, 'SMS')}>
+                              Edit
+                            </Button>
+                          </div>
                         )}
                       </div>
+                      {renderRemoveConfirmation(classType, 'SMS')}
 
-                      {editingTemplate?.classType === classType && editingTemplate?.channel === 'SMS' ? (
-                        <div>
-                          <label className="text-xs font-medium text-muted-foreground">Message (max 160 chars recommended)</label>
-                          <textarea
-                            value={formData.body}
-                            onChange={(e) => setFormData(prev => ({ ...prev, body: e.target.value }))}
-                            rows={3}
-                            maxLength={320}
-                            className="mt-1 w-full rounded-lg border border-input bg-background px-3 py-2 text-sm text-foreground font-mono"
-                            placeholder="SMS message"
-                          />
-                          <p className="mt-1 text-xs text-muted-foreground">
-                            {formData.body.length}/320 characters
-                          </p>
+                      {isEditing(classType, 'SMS') ? (
+                        <div className="grid gap-4 lg:grid-cols-2">
+                          <div>
+                            <label className="text-xs font-medium text-muted-foreground">Message (max 160 chars recommended)</label>
+                            <textarea
+                              value={formData.body}
+                              onChange={(e) => setFormData(prev => ({ ...prev, body: e.target.value }))}
+                              rows={3}
+                              maxLength={320}
+                              className="mt-1 w-full rounded-lg border border-input bg-background px-3 py-2 text-sm text-foreground font-mono"
+                              placeholder="SMS message"
+                            />
+                            <p className="mt-1 text-xs text-muted-foreground">
+                              {formData.body.length}/320 characters
+                            </p>
+                            <div className="mt-3 space-y-3">
+                              {renderChangeNoteInput()}
+                              {renderTemplateErrors()}
+                            </div>
+                          </div>
+                          {renderPreview(classType, 'SMS')}
                         </div>
                       ) : (
-                        <pre className="whitespace-pre-wrap rounded bg-muted p-3 text-xs text-foreground">
-                          {smsTemplate?.body || getDefaultTemplate(classType, 'SMS').body}
-                        </pre>
+                        <div>
+                          {renderTemplateSource(classType, 'SMS', stage)}
+                          <pre className="whitespace-pre-wrap rounded bg-muted p-3 text-xs text-foreground">
+                            {smsSentWith?.body || getDefaultTemplate(classType, 'SMS').body}
+                          </pre>
+                        </div>
                       )}
                     </div>
                   </CardContent>
@@ -300,6 +774,127 @@ const TemplateManager = () => {
           })}
         </div>
       </div>
+
+      {/* Version History Panel */}
+      <Modal
+        isOpen={!!historyTarget}
+        onClose={closeHistory}
+        title={historyTitle}
+        description="Every save is kept as a version. Select one to see what changed or restore it."
+        size="xl"
+      >
+        {isLoadingHistory && !history ? (
+          <div className="flex justify-center py-8">
+            <Spinner size="lg" />
+          </div>
+        ) : !history?.versions?.length ? (
+          <p className="text-sm text-muted-foreground">
+            No versions recorded yet. The history starts with the next save.
+          </p>
+        ) : (
+          <div className="grid gap-4 md:grid-cols-[16rem_1fr]">
+            {/* Version list */}
+            <div className="max-h-[60vh] space-y-2 overflow-y-auto">
+              {history.versions.map((version) => (
+                <button
+                  key={version.id}
+                  type="button"
+                  onClick={() => loadDiff(historyTarget, version.version, compareMode, currentVersion)}
+                  className={`w-full rounded-lg border p-3 text-left text-sm transition-colors ${
+                    selectedVersion === version.version ? 'border-primary bg-primary/5' : 'border-border hover:bg-muted/50'
+                  }`}
+                >
+                  <div className="flex items-center justify-between gap-2">
+                    <span className="font-medium text-foreground">Version {version.version}</span>
+                    {version.version === currentVersion && <Badge variant="success">Current</Badge>}
+                  </div>
+                  <p className="mt-1 text-xs text-muted-foreground">
+                    {formatDate(version.createdAt, 'MMM dd, yyyy hh:mm a')} · {version.authorName || 'System'}
+                  </p>
+                  {version.changeNote && (
+                    <p className="mt-1 text-xs text-foreground">{version.changeNote}</p>
+                  )}
+                  {version.restoredFromVersion && (
+                    <p className="mt-1 text-xs text-muted-foreground">Restored from version {version.restoredFromVersion}</p>
+                  )}
+                </button>
+              ))}
+            </div>
+
+            {/* Diff */}
+            <div className="space-y-4">
+              <div className="flex flex-wrap gap-2">
+                <Button
+                  size="sm"
+                  variant={compareMode === 'previous' ? 'default' : 'outline'}
+                  onClick={() => loadDiff(historyTarget, selectedVersion, 'previous', currentVersion)}
+                  disabled={isLoadingDiff}
+                >
+                  Changes in this version
+                </Button>
+                <Button
+                  size="sm"
+                  variant={compareMode === 'current' ? 'default' : 'outline'}
+                  onClick={() => loadDiff(historyTarget, selectedVersion, 'current', currentVersion)}
+                  disabled={isLoadingDiff || selectedVersion === currentVersion}
+                >
+                  Compare with current
+                </Button>
+              </div>
+
+              {isLoadingDiff ? (
+                <div className="flex justify-center py-8">
+                  <Spinner />
+                </div>
+              ) : diff && (
+                <>
+                  <p className="text-xs text-muted-foreground">
+                    {diff.from.version === diff.to.version
+                      ? `Version ${diff.to.version} as saved`
+                      : `Version ${diff.from.version} → version ${diff.to.version}`}
+                  </p>
+                  {diff.fields
+                    .filter((field) => field.changed || field.field === 'body')
+                    .map((field) => (
+                      <div key={field.field}>
+                        <p className="mb-1 text-xs font-medium text-muted-foreground">
+                          {DIFF_FIELD_LABELS[field.field]}
+                        </p>
+                        <pre className="overflow-x-auto rounded bg-muted p-2 text-xs">
+                          {field.lines.map((line, index) => (
+                            <div key={index} className={DIFF_LINE_STYLES[line.type].className}>
+                              {DIFF_LINE_STYLES[line.type].prefix} {line.text}
+                            </div>
+                          ))}
+                        </pre>
+                      </div>
+                    ))}
+                </>
+              )}
+
+              {selectedVersion && selectedVersion !== currentVersion && (
+                <div className="space-y-2 border-t border-border pt-4">
+                  <label className="text-xs font-medium text-muted-foreground">Restore note (optional)</label>
+                  <input
+                    type="text"
+                    value={restoreNote}
+                    onChange={(e) => setRestoreNote(e.target.value)}
+                    maxLength={500}
+                    className="w-full rounded-lg border border-input bg-background px-3 py-2 text-sm text-foreground"
+                    placeholder={`Restored version ${selectedVersion}`}
+                  />
+                  <Button size="sm" onClick={handleRestore} disabled={isRestoring}>
+                    {isRestoring ? 'Restoring...' : `Restore Version ${selectedVersion}`}
+                  </Button>
+                  <p className="text-xs text-muted-foreground">
+                    Restoring saves this content as a new version; nothing in the history is lost.
+                  </p>
+                </div>
+              )}
+            </div>
+          </div>
+        )}
+      </Modal>
     </div>
   );
 };
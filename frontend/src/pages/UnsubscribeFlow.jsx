@@ -4,10 +4,13 @@ import { Card, CardContent, CardHeader, CardTitle } from '@components/shared/Car
 import Button from '@components/shared/Button';
 import Alert, { AlertDescription } from '@components/shared/Alert';
 import Modal, { ModalFooter } from '@components/shared/Modal';
-import { verifyOtp, confirmUnsubscribe } from '@services/unsubscribeService';
+import LanguageSwitcher from '@components/shared/LanguageSwitcher';
+import useTranslation from '@hooks/useTranslation';
+import { initiateOptOut, verifyOtp, confirmUnsubscribe, oneClickUnsubscribe } from '@services/unsubscribeService';
 import { BellOff, Mail, Phone, CheckCircle, ArrowLeft, Shield } from 'lucide-react';
 
 const STEPS = {
+  LINK: 0,
   CONTACT: 1,
   OTP: 2,
   CONFIRM: 3,
@@ -16,14 +19,21 @@ const STEPS = {
 
 const UnsubscribeFlow = () => {
   const [searchParams] = useSearchParams();
+  const { t } = useTranslation();
 
-  // Get pre-filled destination from URL params
+  // Signed one-click link from a reminder
+  const linkToken = searchParams.get('token');
+
+  // Get pre-filled destination from URL params (links in older reminders)
   const initialEmail = searchParams.get('email') || '';
   const initialPhone = searchParams.get('phone') || '';
   const initialDestination = initialEmail || initialPhone;
 
-  const [step, setStep] = useState(STEPS.CONTACT);
+  const [step, setStep] = useState(linkToken ? STEPS.LINK : STEPS.CONTACT);
   const [destination, setDestination] = useState(initialDestination);
+  const [maskedDestination, setMaskedDestination] = useState('');
+  const [unsubscribedChannel, setUnsubscribedChannel] = useState(null);
+  const [unsubscribedScope, setUnsubscribedScope] = useState(null);
   const [otp, setOtp] = useState(['', '', '', '', '', '']);
   const [verificationToken, setVerificationToken] = useState(null);
   const [studentData, setStudentData] = useState(null);
@@ -43,14 +53,46 @@ const UnsubscribeFlow = () => {
     }
   }, [step]);
 
-  const handleDestinationSubmit = (e) => {
+  const handleOneClick = async () => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      const response = await oneClickUnsubscribe(linkToken);
+      setPreferences({
+        optedOutEmail: response.data.optedOutEmail ?? false,
+        optedOutSms: response.data.optedOutSms ?? false,
+      });
+      setUnsubscribedChannel(response.data.channel);
+      setUnsubscribedScope(response.data.scope);
+      setStep(STEPS.SUCCESS);
+    } catch (err) {
+      setError(err.message || t('unsubscribe.linkInvalid'));
+      setStep(STEPS.CONTACT);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleDestinationSubmit = async (e) => {
     e.preventDefault();
     if (!destination.trim()) {
-      setError('Please enter your email or phone number');
+      setError(t('unsubscribe.destinationRequired'));
       return;
     }
+
+    setLoading(true);
     setError(null);
-    setStep(STEPS.OTP);
+
+    try {
+      const response = await initiateOptOut(destination, 'unsubscribe');
+      setMaskedDestination(response.data.maskedDestination);
+      setStep(STEPS.OTP);
+    } catch (err) {
+      setError(err.message || t('unsubscribe.sendFailed'));
+    } finally {
+      setLoading(false);
+    }
   };
 
   const handleOtpChange = (index, value) => {
@@ -94,7 +136,7 @@ const UnsubscribeFlow = () => {
     const otpValue = otp.join('');
 
     if (otpValue.length !== 6) {
-      setError('Please enter all 6 digits of your verification code');
+      setError(t('unsubscribe.codeIncomplete'));
       return;
     }
 
@@ -102,7 +144,7 @@ const UnsubscribeFlow = () => {
     setError(null);
 
     try {
-      const response = await verifyOtp(destination, otpValue);
+      const response = await verifyOtp(destination, otpValue, 'unsubscribe');
       setVerificationToken(response.data.token);
       setStudentData(response.data.student);
       setPreferences({
@@ -111,7 +153,7 @@ const UnsubscribeFlow = () => {
       });
       setStep(STEPS.CONFIRM);
     } catch (err) {
-      setError(err.message || 'Invalid verification code. Please try again.');
+      setError(err.message || t('unsubscribe.codeInvalid'));
     } finally {
       setLoading(false);
     }
@@ -127,37 +169,45 @@ const UnsubscribeFlow = () => {
 
     try {
       await confirmUnsubscribe(verificationToken, preferences);
+      setUnsubscribedChannel(null);
       setShowConfirmModal(false);
       setStep(STEPS.SUCCESS);
     } catch (err) {
-      setError(err.message || 'Failed to update preferences. Please try again.');
+      setError(err.message || t('unsubscribe.saveFailed'));
       setShowConfirmModal(false);
     } finally {
       setLoading(false);
     }
   };
 
+  const renderLinkStep = () => (
+    <div className="space-y-6 text-center">
+      <p className="text-sm text-muted-foreground">{t('unsubscribe.linkHelp')}</p>
+      <Button onClick={handleOneClick} className="w-full" size="lg" loading={loading}>
+        {t('unsubscribe.unsubscribe')}
+      </Button>
+    </div>
+  );
+
   const renderContactStep = () => (
     <form onSubmit={handleDestinationSubmit} className="space-y-6">
       <div>
         <label htmlFor="destination" className="block text-sm font-medium text-foreground mb-2">
-          Email or Phone Number
+          {t('unsubscribe.destinationLabel')}
         </label>
         <input
           id="destination"
           type="text"
           value={destination}
           onChange={(e) => setDestination(e.target.value)}
-          placeholder="Enter your email or phone"
+          placeholder={t('unsubscribe.destinationPlaceholder')}
           className="w-full rounded-md border border-input bg-background px-3 py-2 text-sm ring-offset-background placeholder:text-muted-foreground focus:outline-none focus:ring-2 focus:ring-ring focus:ring-offset-2"
         />
-        <p className="mt-2 text-xs text-muted-foreground">
-          Enter the email or phone number you used when signing up for reminders.
-        </p>
+        <p className="mt-2 text-xs text-muted-foreground">{t('unsubscribe.destinationHelp')}</p>
       </div>
 
-      <Button type="submit" className="w-full" size="lg">
-        Continue
+      <Button type="submit" className="w-full" size="lg" loading={loading}>
+        {t('verificationMethod.send')}
       </Button>
     </form>
   );
@@ -165,11 +215,9 @@ const UnsubscribeFlow = () => {
   const renderOtpStep = () => (
     <form onSubmit={handleVerifyOtp} className="space-y-6">
       <div className="text-center mb-6">
-        <p className="text-sm text-muted-foreground">
-          Enter the 6-digit code from your reminder email/SMS
-        </p>
+        <p className="text-sm text-muted-foreground">{t('unsubscribe.codeSentTo')}</p>
         <p className="text-xs text-muted-foreground mt-1">
-          Verifying: <span className="font-medium text-foreground">{destination}</span>
+          <span className="font-medium text-foreground">{maskedDestination}</span>
         </p>
       </div>
 
@@ -193,7 +241,7 @@ const UnsubscribeFlow = () => {
 
       <div className="space-y-3">
         <Button type="submit" className="w-full" size="lg" loading={loading}>
-          Verify Code
+          {t('otp.verify')}
         </Button>
         <Button
           type="button"
@@ -206,7 +254,7 @@ const UnsubscribeFlow = () => {
           }}
         >
           <ArrowLeft className="h-4 w-4 mr-2" />
-          Back
+          {t('common.back')}
         </Button>
       </div>
     </form>
@@ -218,7 +266,7 @@ const UnsubscribeFlow = () => {
         <AlertDescription>
           <div className="flex items-center gap-2">
             <Shield className="h-4 w-4" />
-            <span>Your identity has been verified. Select your preferences below.</span>
+            <span>{t('unsubscribe.verified')}</span>
           </div>
         </AlertDescription>
       </Alert>
@@ -230,9 +278,9 @@ const UnsubscribeFlow = () => {
             <Mail className="h-5 w-5 text-blue-600" />
           </div>
           <div>
-            <p className="font-medium text-foreground">Email Notifications</p>
+            <p className="font-medium text-foreground">{t('preferences.emailTitle')}</p>
             <p className="text-sm text-muted-foreground">
-              {studentData?.email || 'No email on file'}
+              {studentData?.email || t('unsubscribe.noEmail')}
             </p>
           </div>
         </div>
@@ -258,9 +306,9 @@ const UnsubscribeFlow = () => {
             <Phone className="h-5 w-5 text-green-600" />
           </div>
           <div>
-            <p className="font-medium text-foreground">SMS Notifications</p>
+            <p className="font-medium text-foreground">{t('preferences.smsTitle')}</p>
             <p className="text-sm text-muted-foreground">
-              {studentData?.phone || 'No phone on file'}
+              {studentData?.phone || t('unsubscribe.noPhone')}
             </p>
           </div>
         </div>
@@ -279,12 +327,10 @@ const UnsubscribeFlow = () => {
         </button>
       </div>
 
-      <p className="text-xs text-muted-foreground text-center">
-        Toggle OFF (gray) to unsubscribe from that notification type.
-      </p>
+      <p className="text-xs text-muted-foreground text-center">{t('unsubscribe.toggleHelp')}</p>
 
       <Button onClick={handleConfirmClick} className="w-full" size="lg" loading={loading}>
-        Save Preferences
+        {t('preferences.save')}
       </Button>
     </div>
   );
@@ -298,34 +344,51 @@ const UnsubscribeFlow = () => {
       </div>
 
       <div>
-        <h3 className="text-xl font-semibold text-foreground">Preferences Updated</h3>
+        <h3 className="text-xl font-semibold text-foreground">
+          {unsubscribedChannel ? t('unsubscribe.unsubscribed') : t('unsubscribe.updated')}
+        </h3>
         <p className="mt-2 text-muted-foreground">
-          Your notification preferences have been successfully updated.
+          {unsubscribedChannel
+            ? t(
+                `unsubscribe.${unsubscribedChannel === 'EMAIL' ? 'noMoreEmail' : 'noMoreSms'}${
+                  unsubscribedScope === 'signup' ? 'ForSignup' : ''
+                }`
+              )
+            : t('unsubscribe.updatedMessage')}
         </p>
       </div>
 
       <div className="bg-muted/50 rounded-lg p-4 text-left">
-        <p className="text-sm font-medium mb-2">Your current settings:</p>
+        <p className="text-sm font-medium mb-2">{t('unsubscribe.currentSettings')}</p>
         <ul className="text-sm text-muted-foreground space-y-1">
           <li className="flex items-center gap-2">
             <Mail className="h-4 w-4" />
-            Email reminders: {preferences.optedOutEmail ? 'Disabled' : 'Enabled'}
+            {t('unsubscribe.emailReminders')}{' '}
+            {preferences.optedOutEmail ? t('unsubscribe.disabled') : t('unsubscribe.enabled')}
           </li>
           <li className="flex items-center gap-2">
             <Phone className="h-4 w-4" />
-            SMS reminders: {preferences.optedOutSms ? 'Disabled' : 'Enabled'}
+            {t('unsubscribe.smsReminders')}{' '}
+            {preferences.optedOutSms ? t('unsubscribe.disabled') : t('unsubscribe.enabled')}
           </li>
         </ul>
       </div>
 
-      <p className="text-xs text-muted-foreground">
-        You can update these preferences anytime using the link in your reminder emails.
-      </p>
+      {unsubscribedChannel && (
+        // The link only covers its own channel; other changes need a code
+        <Button variant="outline" className="w-full" onClick={() => setStep(STEPS.CONTACT)}>
+          {t('unsubscribe.manageOther')}
+        </Button>
+      )}
+
+      <p className="text-xs text-muted-foreground">{t('unsubscribe.updateAnytime')}</p>
     </div>
   );
 
   const getStepContent = () => {
     switch (step) {
+      case STEPS.LINK:
+        return renderLinkStep();
       case STEPS.CONTACT:
         return renderContactStep();
       case STEPS.OTP:
@@ -341,16 +404,18 @@ const UnsubscribeFlow = () => {
 
   const getStepTitle = () => {
     switch (step) {
+      case STEPS.LINK:
+        return t('unsubscribe.unsubscribe');
       case STEPS.CONTACT:
-        return 'Verify Your Identity';
+        return t('unsubscribe.titleContact');
       case STEPS.OTP:
-        return 'Enter Verification Code';
+        return t('otp.title');
       case STEPS.CONFIRM:
-        return 'Update Preferences';
+        return t('unsubscribe.titleConfirm');
       case STEPS.SUCCESS:
-        return 'All Done!';
+        return t('unsubscribe.titleDone');
       default:
-        return 'Unsubscribe';
+        return t('unsubscribe.unsubscribe');
     }
   };
 
@@ -359,6 +424,9 @@ const UnsubscribeFlow = () => {
       <div className="mx-auto max-w-md">
         <Card>
           <CardHeader>
+            <div className="flex justify-end">
+              <LanguageSwitcher />
+            </div>
             <div className="flex items-center justify-center">
               <div className="rounded-full bg-primary/10 p-3">
                 <BellOff className="h-8 w-8 text-primary" />
@@ -366,9 +434,7 @@ const UnsubscribeFlow = () => {
             </div>
             <CardTitle className="text-center">{getStepTitle()}</CardTitle>
             {step !== STEPS.SUCCESS && (
-              <p className="text-center text-sm text-muted-foreground">
-                Manage your training reminder notifications
-              </p>
+              <p className="text-center text-sm text-muted-foreground">{t('unsubscribe.subtitle')}</p>
             )}
           </CardHeader>
 
@@ -384,8 +450,8 @@ const UnsubscribeFlow = () => {
           </CardContent>
         </Card>
 
-        {/* Step Indicator */}
-        {step !== STEPS.SUCCESS && (
+        {/* Step Indicator (code flow only) */}
+        {step !== STEPS.SUCCESS && step !== STEPS.LINK && !unsubscribedChannel && (
           <div className="flex justify-center gap-2 mt-6">
             {[STEPS.CONTACT, STEPS.OTP, STEPS.CONFIRM].map((s) => (
               <div
@@ -403,36 +469,34 @@ const UnsubscribeFlow = () => {
       <Modal
         isOpen={showConfirmModal}
         onClose={() => setShowConfirmModal(false)}
-        title="Confirm Changes"
-        description="Are you sure you want to update your notification preferences?"
+        title={t('unsubscribe.confirmTitle')}
+        description={t('unsubscribe.confirmDescription')}
         size="sm"
       >
         <div className="space-y-4">
           <div className="bg-muted/50 rounded-lg p-4">
-            <p className="text-sm">You are about to:</p>
+            <p className="text-sm">{t('unsubscribe.aboutTo')}</p>
             <ul className="mt-2 text-sm text-muted-foreground space-y-1">
-              {preferences.optedOutEmail && <li>• Disable email reminders</li>}
-              {preferences.optedOutSms && <li>• Disable SMS reminders</li>}
-              {!preferences.optedOutEmail && <li>• Keep email reminders enabled</li>}
-              {!preferences.optedOutSms && <li>• Keep SMS reminders enabled</li>}
+              {preferences.optedOutEmail && <li>• {t('unsubscribe.disableEmail')}</li>}
+              {preferences.optedOutSms && <li>• {t('unsubscribe.disableSms')}</li>}
+              {!preferences.optedOutEmail && <li>• {t('unsubscribe.keepEmail')}</li>}
+              {!preferences.optedOutSms && <li>• {t('unsubscribe.keepSms')}</li>}
             </ul>
           </div>
 
           {(preferences.optedOutEmail && preferences.optedOutSms) && (
             <Alert variant="warning">
-              <AlertDescription>
-                You are disabling all reminders. You may miss important training renewal notices.
-              </AlertDescription>
+              <AlertDescription>{t('unsubscribe.disableAllWarning')}</AlertDescription>
             </Alert>
           )}
         </div>
 
         <ModalFooter>
           <Button variant="outline" onClick={() => setShowConfirmModal(false)}>
-            Cancel
+            {t('common.cancel')}
           </Button>
           <Button onClick={handleConfirmUnsubscribe} loading={loading}>
-            Confirm
+            {t('common.confirm')}
           </Button>
         </ModalFooter>
       </Modal>
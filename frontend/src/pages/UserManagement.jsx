@@ -1,29 +1,105 @@
 import { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import useAuthStore from '@store/authStore';
+import useClassStore, { useClassLabel } from '@store/classStore';
 import { Card, CardContent, CardHeader, CardTitle } from '@components/shared/Card';
 import Button from '@components/shared/Button';
 import Badge from '@components/shared/Badge';
 import Modal, { ModalFooter } from '@components/shared/Modal';
 import Spinner from '@components/shared/Spinner';
 import Alert, { AlertDescription } from '@components/shared/Alert';
-import { getAllUsers, createUser, changeUserRole, deactivateUser, activateUser } from '@services/adminService';
+import {
+  getAllUsers,
+  inviteUser,
+  getInvites,
+  resendInvite,
+  revokeInvite,
+  changeUserRole,
+  deactivateUser,
+  activateUser,
+  getRoles,
+  createRole,
+  updateRole,
+  deleteRole,
+  resetUserTwoFactor,
+  getSecuritySettings,
+  updateSecuritySettings,
+} from '@services/adminService';
 import { formatDate } from '@utils/formatters';
-import { ArrowLeft, UserPlus, UserCheck, Shield, ShieldCheck, UserX, RefreshCw } from 'lucide-react';
+import {
+  ArrowLeft,
+  UserPlus,
+  UserCheck,
+  Shield,
+  ShieldCheck,
+  UserX,
+  RefreshCw,
+  Plus,
+  Pencil,
+  Trash2,
+  KeyRound,
+  Mail,
+} from 'lucide-react';
 import toast from 'react-hot-toast';
 
+const EMPTY_INVITE = { name: '', email: '', role: 'STAFF', classTypes: [] };
+const EMPTY_ROLE = { key: '', name: '', description: '', scopedToClasses: false, permissions: [] };
+
+const inputClassName =
+  'w-full rounded-lg border border-input bg-background px-3 py-2 text-foreground placeholder-muted-foreground focus:border-primary focus:outline-none focus:ring-2 focus:ring-primary/20';
+
+// Toggle a value in a list (class types, permission keys)
+const toggle = (list, value) =>
+  list.includes(value) ? list.filter((item) => item !== value) : [...list, value];
+
+// Class checkboxes for roles that are scoped to the classes a user teaches
+const ClassTypePicker = ({ classes, selected, onChange, disabled }) => (
+  <div className="space-y-2">
+    <p className="text-sm font-medium text-foreground">Classes they teach</p>
+    <div className="grid grid-cols-1 gap-2 sm:grid-cols-2">
+      {classes.map((c) => (
+        <label key={c.key} className="flex items-center gap-2 text-sm text-foreground">
+          <input
+            type="checkbox"
+            checked={selected.includes(c.key)}
+            onChange={() => onChange(toggle(selected, c.key))}
+            disabled={disabled}
+          />
+          {c.label}
+        </label>
+      ))}
+    </div>
+    {selected.length === 0 && (
+      <p className="text-xs text-yellow-700">Without any classes this user won&apos;t see any students.</p>
+    )}
+  </div>
+);
+
 const UserManagement = () => {
   const navigate = useNavigate();
-  const { admin } = useAuthStore();
+  const { admin, can } = useAuthStore();
+  const classes = useClassStore((state) => state.classes);
+  const fetchClasses = useClassStore((state) => state.fetchClasses);
+  const getClassLabel = useClassLabel();
 
   const [users, setUsers] = useState([]);
   const [isLoading, setIsLoading] = useState(true);
   const [loadError, setLoadError] = useState(null);
 
-  // Add user modal
-  const [isAddModalOpen, setIsAddModalOpen] = useState(false);
-  const [newUser, setNewUser] = useState({ name: '', email: '', password: '', role: 'STAFF' });
-  const [isCreating, setIsCreating] = useState(false);
+  // Roles and the permission catalog
+  const [roles, setRoles] = useState([]);
+  const [permissionCatalog, setPermissionCatalog] = useState([]);
+
+  // Invite user modal
+  const [isInviteModalOpen, setIsInviteModalOpen] = useState(false);
+  const [newInvite, setNewInvite] = useState(EMPTY_INVITE);
+  const [isInviting, setIsInviting] = useState(false);
+
+  // Pending invites
+  const [invites, setInvites] = useState([]);
+  const [resendingInviteId, setResendingInviteId] = useState(null);
+  const [inviteRevokeTarget, setInviteRevokeTarget] = useState(null);
+  const [isRevokingInvite, setIsRevokingInvite] = useState(false);
 
   // Deactivate confirmation
   const [deactivateTarget, setDeactivateTarget] = useState(null);
@@ -33,21 +109,48 @@ const UserManagement = () => {
   const [activateTarget, setActivateTarget] = useState(null);
   const [isActivating, setIsActivating] = useState(false);
 
-  // Role change confirmation
+  // Role change modal
   const [roleChangeTarget, setRoleChangeTarget] = useState(null);
+  const [roleChange, setRoleChange] = useState({ role: '', classTypes: [] });
   const [isChangingRole, setIsChangingRole] = useState(false);
 
-  // Redirect if not ADMIN role
+  // Role editor (roleForm.id is unset when creating)
+  const [roleForm, setRoleForm] = useState(null);
+  const [isSavingRole, setIsSavingRole] = useState(false);
+  const [roleDeleteTarget, setRoleDeleteTarget] = useState(null);
+  const [isDeletingRole, setIsDeletingRole] = useState(false);
+
+  // Organisation-wide security settings and per-user two-factor reset
+  const [securitySettings, setSecuritySettings] = useState(null);
+  const [isSavingSecurity, setIsSavingSecurity] = useState(false);
+  const [twoFactorResetTarget, setTwoFactorResetTarget] = useState(null);
+  const [isResettingTwoFactor, setIsResettingTwoFactor] = useState(false);
+
+  // Redirect if the role can't manage users
   useEffect(() => {
-    if (admin && admin.role !== 'ADMIN') {
+    if (admin && !can('admins:manage')) {
       navigate('/admin');
     }
-  }, [admin, navigate]);
+  }, [admin, can, navigate]);
 
   useEffect(() => {
     fetchUsers();
+    fetchRoles();
+    fetchInvites();
+    fetchSecuritySettings();
   }, []);
 
+  // Class labels for instructor scopes
+  useEffect(() => {
+    fetchClasses();
+  }, [fetchClasses]);
+
+  // Invited users who haven't accepted are listed under Pending Invites instead
+  const members = users.filter((user) => !user.isPending);
+
+  const roleByKey = Object.fromEntries(roles.map((role) => [role.key, role]));
+  const isScopedRole = (key) => !!roleByKey[key]?.scopedToClasses;
+
   const fetchUsers = async () => {
     setIsLoading(true);
     setLoadError(null);
@@ -61,35 +164,147 @@ const UserManagement = () => {
     }
   };
 
-  const handleCreateUser = async (e) => {
+  const fetchRoles = async () => {
+    try {
+      const result = await getRoles();
+      setRoles(result?.roles || []);
+      setPermissionCatalog(result?.permissions || []);
+    } catch (error) {
+      toast.error(error.message || 'Failed to load roles');
+    }
+  };
+
+  const fetchInvites = async () => {
+    try {
+      const result = await getInvites();
+      setInvites(result?.invites || []);
+    } catch (error) {
+      toast.error(error.message || 'Failed to load invites');
+    }
+  };
+
+  const fetchSecuritySettings = async () => {
+    try {
+      const result = await getSecuritySettings();
+      setSecuritySettings(result?.settings || null);
+    } catch (error) {
+      toast.error(error.message || 'Failed to load security settings');
+    }
+  };
+
+  const handleRequireTwoFactorChange = async (requireTwoFactor) => {
+    setIsSavingSecurity(true);
+    try {
+      const result = await updateSecuritySettings({ requireTwoFactor });
+      setSecuritySettings(result?.settings || { ...securitySettings, requireTwoFactor });
+      toast.success(
+        requireTwoFactor
+          ? 'Two-factor is now required. Users without it will be asked to set it up.'
+          : 'Two-factor is now optional'
+      );
+      // Our own account may now need to enroll
+      useAuthStore.getState().refreshAdmin();
+    } catch (error) {
+      toast.error(error.message || 'Failed to update security settings');
+    } finally {
+      setIsSavingSecurity(false);
+    }
+  };
+
+  const handleResetTwoFactor = async () => {
+    if (!twoFactorResetTarget) return;
+    setIsResettingTwoFactor(true);
+    try {
+      await resetUserTwoFactor(twoFactorResetTarget.id);
+      toast.success('Two-factor reset');
+      setTwoFactorResetTarget(null);
+      fetchUsers();
+    } catch (error) {
+      toast.error(error.message || 'Failed to reset two-factor');
+    } finally {
+      setIsResettingTwoFactor(false);
+    }
+  };
+
+  const handleInvite = async (e) => {
     e.preventDefault();
-    if (!newUser.name.trim() || !newUser.email.trim() || !newUser.password) {
-      toast.error('All fields are required');
+    if (!newInvite.name.trim() || !newInvite.email.trim()) {
+      toast.error('Name and email are required');
       return;
     }
-    setIsCreating(true);
+    setIsInviting(true);
+    try {
+      const result = await inviteUser({
+        ...newInvite,
+        classTypes: isScopedRole(newInvite.role) ? newInvite.classTypes : [],
+      });
+      if (result?.emailSent === false) {
+        toast.error('Invite created, but the email could not be sent. Use Resend to try again.');
+      } else {
+        toast.success(`Invite sent to ${newInvite.email.trim()}`);
+      }
+      setIsInviteModalOpen(false);
+      setNewInvite(EMPTY_INVITE);
+      fetchUsers();
+      fetchInvites();
+      fetchRoles();
+    } catch (error) {
+      toast.error(error.message || 'Failed to send invite');
+    } finally {
+      setIsInviting(false);
+    }
+  };
+
+  const handleResendInvite = async (invite) => {
+    setResendingInviteId(invite.id);
+    try {
+      const result = await resendInvite(invite.id);
+      if (result?.emailSent === false) {
+        toast.error('The invite email could not be sent');
+      } else {
+        toast.success(`Invite resent to ${invite.email}`);
+      }
+      fetchInvites();
+    } catch (error) {
+      toast.error(error.message || 'Failed to resend invite');
+    } finally {
+      setResendingInviteId(null);
+    }
+  };
+
+  const handleRevokeInvite = async () => {
+    if (!inviteRevokeTarget) return;
+    setIsRevokingInvite(true);
     try {
-      await createUser(newUser);
-      toast.success('User created successfully');
-      setIsAddModalOpen(false);
-      setNewUser({ name: '', email: '', password: '', role: 'STAFF' });
+      await revokeInvite(inviteRevokeTarget.id);
+      toast.success('Invite revoked');
+      setInviteRevokeTarget(null);
       fetchUsers();
+      fetchInvites();
+      fetchRoles();
     } catch (error) {
-      toast.error(error.message || 'Failed to create user');
+      toast.error(error.message || 'Failed to revoke invite');
     } finally {
-      setIsCreating(false);
+      setIsRevokingInvite(false);
     }
   };
 
+
+  const openRoleChange = (user) => {
+    setRoleChangeTarget(user);
+    setRoleChange({ role: user.role, classTypes: user.classTypes || [] });
+  };
+
   const handleRoleChange = async () => {
     if (!roleChangeTarget) return;
-    const newRole = roleChangeTarget.role === 'ADMIN' ? 'STAFF' : 'ADMIN';
     setIsChangingRole(true);
     try {
-      await changeUserRole(roleChangeTarget.id, newRole);
-      toast.success(`Role changed to ${newRole}`);
+      const classTypes = isScopedRole(roleChange.role) ? roleChange.classTypes : [];
+      await changeUserRole(roleChangeTarget.id, roleChange.role, classTypes);
+      toast.success(`Role changed to ${roleByKey[roleChange.role]?.name || roleChange.role}`);
       setRoleChangeTarget(null);
       fetchUsers();
+      fetchRoles();
     } catch (error) {
       toast.error(error.message || 'Failed to change role');
     } finally {
@@ -127,7 +342,76 @@ const UserManagement = () => {
     }
   };
 
-  if (admin && admin.role !== 'ADMIN') {
+  const handleSaveRole = async (e) => {
+    e.preventDefault();
+    if (!roleForm.name.trim() || (!roleForm.id && !roleForm.key.trim())) {
+      toast.error('Key and name are required');
+      return;
+    }
+    setIsSavingRole(true);
+    try {
+      const data = {
+        name: roleForm.name.trim(),
+        description: roleForm.description.trim() || undefined,
+        scopedToClasses: roleForm.scopedToClasses,
+        permissions: roleForm.permissions,
+      };
+      if (roleForm.id) {
+        await updateRole(roleForm.id, data);
+        toast.success('Role updated');
+      } else {
+        await createRole({ ...data, key: roleForm.key.trim().toUpperCase() });
+        toast.success('Role created');
+      }
+      setRoleForm(null);
+      fetchRoles();
+    } catch (error) {
+      toast.error(error.message || 'Failed to save role');
+    } finally {
+      setIsSavingRole(false);
+    }
+  };
+
+  const handleDeleteRole = async () => {
+    if (!roleDeleteTarget) return;
+    setIsDeletingRole(true);
+    try {
+      await deleteRole(roleDeleteTarget.id);
+      toast.success('Role deleted');
+      setRoleDeleteTarget(null);
+      fetchRoles();
+    } catch (error) {
+      toast.error(error.message || 'Failed to delete role');
+    } finally {
+      setIsDeletingRole(false);
+    }
+  };
+
+  const renderRoleBadge = (user, className) => (
+    <Badge variant={user.role === 'ADMIN' ? 'default' : 'secondary'} className={className}>
+      <span className="flex items-center gap-1">
+        {user.role === 'ADMIN' ? <ShieldCheck className="h-3 w-3" /> : <Shield className="h-3 w-3" />}
+        {roleByKey[user.role]?.name || user.role}
+      </span>
+    </Badge>
+  );
+
+  const renderTwoFactorBadge = (user) =>
+    user.twoFactorEnabled ? (
+      <Badge variant="success">2FA</Badge>
+    ) : (
+      <Badge variant={securitySettings?.requireTwoFactor ? 'warning' : 'outline'}>No 2FA</Badge>
+    );
+
+  // Classes listed under a class-scoped user's role
+  const renderClassScope = (user) =>
+    isScopedRole(user.role) && (
+      <div className="mt-1 text-xs text-muted-foreground">
+        {user.classTypes?.length ? user.classTypes.map(getClassLabel).join(', ') : 'No classes assigned'}
+      </div>
+    );
+
+  if (admin && !can('admins:manage')) {
     return null;
   }
 
@@ -145,7 +429,7 @@ const UserManagement = () => {
                 User Management
               </h1>
               <p className="mt-1 text-sm text-muted-foreground">
-                Manage admin and staff accounts
+                Manage accounts, roles and permissions
               </p>
             </div>
           </div>
@@ -154,9 +438,9 @@ const UserManagement = () => {
               <RefreshCw className={`mr-2 h-4 w-4 ${isLoading ? 'animate-spin' : ''}`} />
               Refresh
             </Button>
-            <Button onClick={() => setIsAddModalOpen(true)} className="flex-1 sm:flex-none">
+            <Button onClick={() => setIsInviteModalOpen(true)} className="flex-1 sm:flex-none">
               <UserPlus className="mr-2 h-4 w-4" />
-              Add User
+              Invite User
             </Button>
           </div>
         </div>
@@ -168,11 +452,36 @@ const UserManagement = () => {
           </Alert>
         )}
 
+        {/* Security */}
+        {securitySettings && (
+          <Card>
+            <CardHeader>
+              <CardTitle className="text-base">Security</CardTitle>
+            </CardHeader>
+            <CardContent className="space-y-2">
+              <label className="flex items-center gap-2 text-sm font-medium text-foreground">
+                <input
+                  type="checkbox"
+                  checked={securitySettings.requireTwoFactor}
+                  onChange={(e) => handleRequireTwoFactorChange(e.target.checked)}
+                  disabled={isSavingSecurity}
+                />
+                Require two-factor authentication for all accounts
+              </label>
+              <p className="text-xs text-muted-foreground">
+                Users without it are asked to set it up at their next sign-in and can&apos;t do anything else until
+                they have. {users.filter((user) => user.isActive && !user.twoFactorEnabled).length} active
+                account(s) don&apos;t have it yet.
+              </p>
+            </CardContent>
+          </Card>
+        )}
+
         {/* Users Table */}
         <Card>
           <CardHeader>
             <CardTitle className="text-base">
-              All Users ({users.length})
+              All Users ({members.length})
             </CardTitle>
           </CardHeader>
           <CardContent>
@@ -180,13 +489,13 @@ const UserManagement = () => {
               <div className="flex justify-center py-12">
                 <Spinner size="lg" />
               </div>
-            ) : users.length === 0 ? (
+            ) : members.length === 0 ? (
               <p className="py-8 text-center text-muted-foreground">No users found</p>
             ) : (
               <div className="w-full">
                 {/* Mobile View */}
                 <div className="md:hidden space-y-4 pt-2">
-                  {users.map((user) => {
+                  {members.map((user) => {
                     const isSelf = user.id === admin?.id;
                     return (
                       <div key={user.id} className="rounded-lg border p-4 space-y-3">
@@ -203,21 +512,13 @@ const UserManagement = () => {
                         </div>
                         
                         <div className="flex items-center gap-3 text-sm">
-                          <Badge variant={user.role === 'ADMIN' ? 'default' : 'secondary'} className="h-6">
-                            {user.role === 'ADMIN' ? (
-                              <span className="flex items-center gap-1">
-                                <ShieldCheck className="h-3 w-3" /> Admin
-                              </span>
-                            ) : (
-                              <span className="flex items-center gap-1">
-                                <Shield className="h-3 w-3" /> Staff
-                              </span>
-                            )}
-                          </Badge>
+                          {renderRoleBadge(user, 'h-6')}
+                          {renderTwoFactorBadge(user)}
                           <span className="text-xs text-muted-foreground">
                             Login: {user.lastLoginAt ? formatDate(user.lastLoginAt, 'MMM dd, yyyy') : 'Never'}
                           </span>
                         </div>
+                        {renderClassScope(user)}
 
                         {!isSelf && (
                           <div className="flex gap-2 pt-3 border-t">
@@ -227,11 +528,20 @@ const UserManagement = () => {
                                   variant="outline"
                                   size="sm"
                                   className="flex-1"
-                                  onClick={() => setRoleChangeTarget(user)}
+                                  onClick={() => openRoleChange(user)}
                                 >
-                                  <Shield className="h-4 w-4 mr-2" /> 
-                                  {user.role === 'ADMIN' ? 'Make Staff' : 'Make Admin'}
+                                  <Shield className="h-4 w-4 mr-2" /> Change Role
                                 </Button>
+                                {user.twoFactorEnabled && (
+                                  <Button
+                                    variant="outline"
+                                    size="sm"
+                                    className="flex-1"
+                                    onClick={() => setTwoFactorResetTarget(user)}
+                                  >
+                                    <KeyRound className="h-4 w-4 mr-2" /> Reset 2FA
+                                  </Button>
+                                )}
                                 <Button
                                   variant="outline"
                                   size="sm"
@@ -272,7 +582,7 @@ const UserManagement = () => {
                       </tr>
                     </thead>
                     <tbody>
-                      {users.map((user) => {
+                      {members.map((user) => {
                         const isSelf = user.id === admin?.id;
                         return (
                           <tr key={user.id} className="border-b last:border-0">
@@ -284,24 +594,16 @@ const UserManagement = () => {
                             </td>
                             <td className="py-3 pr-4 text-muted-foreground">{user.email}</td>
                             <td className="py-3 pr-4">
-                              <Badge variant={user.role === 'ADMIN' ? 'default' : 'secondary'}>
-                                {user.role === 'ADMIN' ? (
-                                  <span className="flex items-center gap-1">
-                                    <ShieldCheck className="h-3 w-3" />
-                                    Admin
-                                  </span>
-                                ) : (
-                                  <span className="flex items-center gap-1">
-                                    <Shield className="h-3 w-3" />
-                                    Staff
-                                  </span>
-                                )}
-                              </Badge>
+                              {renderRoleBadge(user)}
+                              {renderClassScope(user)}
                             </td>
                             <td className="py-3 pr-4">
-                              <Badge variant={user.isActive ? 'success' : 'error'}>
-                                {user.isActive ? 'Active' : 'Inactive'}
-                              </Badge>
+                              <div className="flex gap-1">
+                                <Badge variant={user.isActive ? 'success' : 'error'}>
+                                  {user.isActive ? 'Active' : 'Inactive'}
+                                </Badge>
+                                {renderTwoFactorBadge(user)}
+                              </div>
                             </td>
                             <td className="py-3 pr-4 text-muted-foreground">
                               {user.lastLoginAt
@@ -316,11 +618,21 @@ const UserManagement = () => {
                                       <Button
                                         variant="ghost"
                                         size="sm"
-                                        onClick={() => setRoleChangeTarget(user)}
-                                        title={`Change to ${user.role === 'ADMIN' ? 'Staff' : 'Admin'}`}
+                                        onClick={() => openRoleChange(user)}
+                                        title="Change role"
                                       >
                                         <Shield className="h-4 w-4" />
                                       </Button>
+                                      {user.twoFactorEnabled && (
+                                        <Button
+                                          variant="ghost"
+                                          size="sm"
+                                          onClick={() => setTwoFactorResetTarget(user)}
+                                          title="Reset two-factor"
+                                        >
+                                          <KeyRound className="h-4 w-4" />
+                                        </Button>
+                                      )}
                                       <Button
                                         variant="ghost"
                                         size="sm"
@@ -355,16 +667,134 @@ const UserManagement = () => {
             )}
           </CardContent>
         </Card>
+
+        {/* Pending Invites */}
+        {invites.length > 0 && (
+          <Card>
+            <CardHeader>
+              <CardTitle className="text-base">Pending Invites ({invites.length})</CardTitle>
+            </CardHeader>
+            <CardContent>
+              <div className="divide-y">
+                {invites.map((invite) => (
+                  <div
+                    key={invite.id}
+                    className="flex flex-col gap-3 py-3 first:pt-0 last:pb-0 sm:flex-row sm:items-center sm:justify-between"
+                  >
+                    <div className="space-y-1">
+                      <div className="flex flex-wrap items-center gap-2">
+                        <span className="font-medium text-foreground">{invite.name}</span>
+                        {renderRoleBadge(invite)}
+                        {invite.isExpired && <Badge variant="error">Expired</Badge>}
+                      </div>
+                      <div className="text-sm text-muted-foreground">{invite.email}</div>
+                      {renderClassScope(invite)}
+                      <div className="text-xs text-muted-foreground">
+                        {invite.isExpired ? 'Expired' : 'Expires'} {formatDate(invite.expiresAt, 'MMM dd, yyyy hh:mm a')}
+                      </div>
+                    </div>
+                    <div className="flex gap-2">
+                      <Button
+                        variant="outline"
+                        size="sm"
+                        onClick={() => handleResendInvite(invite)}
+                        disabled={resendingInviteId === invite.id}
+                      >
+                        <Mail className="mr-2 h-4 w-4" />
+                        {resendingInviteId === invite.id ? 'Sending...' : 'Resend'}
+                      </Button>
+                      <Button
+                        variant="outline"
+                        size="sm"
+                        className="text-destructive hover:bg-destructive/10 hover:text-destructive border-destructive/20"
+                        onClick={() => setInviteRevokeTarget(invite)}
+                      >
+                        <Trash2 className="mr-2 h-4 w-4" />
+                        Revoke
+                      </Button>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            </CardContent>
+          </Card>
+        )}
+
+        {/* Roles */}
+        <Card>
+          <CardHeader className="flex flex-row items-center justify-between">
+            <CardTitle className="text-base">Roles ({roles.length})</CardTitle>
+            {can('roles:manage') && (
+              <Button size="sm" onClick={() => setRoleForm(EMPTY_ROLE)}>
+                <Plus className="mr-1 h-4 w-4" />
+                New Role
+              </Button>
+            )}
+          </CardHeader>
+          <CardContent className="space-y-3">
+            {roles.map((role) => (
+              <div key={role.id} className="rounded-lg border p-4">
+                <div className="flex flex-col gap-2 sm:flex-row sm:items-start sm:justify-between">
+                  <div>
+                    <div className="flex flex-wrap items-center gap-2">
+                      <span className="font-semibold text-foreground">{role.name}</span>
+                      <span className="font-mono text-xs text-muted-foreground">{role.key}</span>
+                      {role.isSystem && <Badge variant="outline">Built-in</Badge>}
+                      {role.scopedToClasses && <Badge variant="warning">Own classes only</Badge>}
+                    </div>
+                    {role.description && (
+                      <p className="mt-1 text-sm text-muted-foreground">{role.description}</p>
+                    )}
+                    <p className="mt-1 text-xs text-muted-foreground">
+                      {role.adminCount} user{role.adminCount === 1 ? '' : 's'} &middot; {role.permissions.length} permission
+                      {role.permissions.length === 1 ? '' : 's'}
+                    </p>
+                  </div>
+                  {can('roles:manage') && role.key !== 'ADMIN' && (
+                    <div className="flex gap-1">
+                      <Button
+                        variant="ghost"
+                        size="sm"
+                        onClick={() => setRoleForm({ ...role, description: role.description || '' })}
+                        title="Edit role"
+                      >
+                        <Pencil className="h-4 w-4" />
+                      </Button>
+                      {!role.isSystem && (
+                        <Button
+                          variant="ghost"
+                          size="sm"
+                          onClick={() => setRoleDeleteTarget(role)}
+                          className="text-destructive hover:text-destructive"
+                          title="Delete role"
+                        >
+                          <Trash2 className="h-4 w-4" />
+                        </Button>
+                      )}
+                    </div>
+                  )}
+                </div>
+                <div className="mt-3 flex flex-wrap gap-1">
+                  {role.permissions.map((key) => (
+                    <Badge key={key} variant="secondary" className="font-mono font-normal">
+                      {key}
+                    </Badge>
+                  ))}
+                </div>
+              </div>
+            ))}
+          </CardContent>
+        </Card>
       </div>
 
-      {/* Add User Modal */}
+      {/* Invite User Modal */}
       <Modal
-        isOpen={isAddModalOpen}
-        onClose={() => setIsAddModalOpen(false)}
-        title="Add User"
-        description="Create a new admin or staff account"
+        isOpen={isInviteModalOpen}
+        onClose={() => setIsInviteModalOpen(false)}
+        title="Invite User"
+        description="We'll email them a link to set their own password"
       >
-        <form onSubmit={handleCreateUser} className="space-y-4">
+        <form onSubmit={handleInvite} className="space-y-4">
           <div className="space-y-2">
             <label htmlFor="add-name" className="text-sm font-medium text-foreground">
               Name *
@@ -372,11 +802,11 @@ const UserManagement = () => {
             <input
               id="add-name"
               type="text"
-              value={newUser.name}
-              onChange={(e) => setNewUser({ ...newUser, name: e.target.value })}
+              value={newInvite.name}
+              onChange={(e) => setNewInvite({ ...newInvite, name: e.target.value })}
               placeholder="John Doe"
               className="w-full rounded-lg border border-input bg-background px-3 py-2 text-foreground placeholder-muted-foreground focus:border-primary focus:outline-none focus:ring-2 focus:ring-primary/20"
-              disabled={isCreating}
+              disabled={isInviting}
               required
             />
           </div>
@@ -388,27 +818,11 @@ const UserManagement = () => {
             <input
               id="add-email"
               type="email"
-              value={newUser.email}
-              onChange={(e) => setNewUser({ ...newUser, email: e.target.value })}
+              value={newInvite.email}
+              onChange={(e) => setNewInvite({ ...newInvite, email: e.target.value })}
               placeholder="user@example.com"
               className="w-full rounded-lg border border-input bg-background px-3 py-2 text-foreground placeholder-muted-foreground focus:border-primary focus:outline-none focus:ring-2 focus:ring-primary/20"
-              disabled={isCreating}
-              required
-            />
-          </div>
-
-          <div className="space-y-2">
-            <label htmlFor="add-password" className="text-sm font-medium text-foreground">
-              Password *
-            </label>
-            <input
-              id="add-password"
-              type="password"
-              value={newUser.password}
-              onChange={(e) => setNewUser({ ...newUser, password: e.target.value })}
-              placeholder="Min 8 chars, upper, lower, number, special"
-              className="w-full rounded-lg border border-input bg-background px-3 py-2 text-foreground placeholder-muted-foreground focus:border-primary focus:outline-none focus:ring-2 focus:ring-primary/20"
-              disabled={isCreating}
+              disabled={isInviting}
               required
             />
           </div>
@@ -419,30 +833,42 @@ const UserManagement = () => {
             </label>
             <select
               id="add-role"
-              value={newUser.role}
-              onChange={(e) => setNewUser({ ...newUser, role: e.target.value })}
+              value={newInvite.role}
+              onChange={(e) => setNewInvite({ ...newInvite, role: e.target.value })}
               className="w-full rounded-lg border border-input bg-background px-3 py-2 text-foreground focus:border-primary focus:outline-none focus:ring-2 focus:ring-primary/20"
-              disabled={isCreating}
+              disabled={isInviting}
             >
-              <option value="STAFF">Staff</option>
-              <option value="ADMIN">Admin</option>
+              {roles.map((role) => (
+                <option key={role.key} value={role.key}>
+                  {role.name}
+                </option>
+              ))}
             </select>
-            <p className="text-xs text-muted-foreground">
-              Admins can manage users and templates. Staff can manage students and reminders.
-            </p>
+            {roleByKey[newInvite.role]?.description && (
+              <p className="text-xs text-muted-foreground">{roleByKey[newInvite.role].description}</p>
+            )}
           </div>
 
+          {isScopedRole(newInvite.role) && (
+            <ClassTypePicker
+              classes={classes}
+              selected={newInvite.classTypes}
+              onChange={(classTypes) => setNewInvite({ ...newInvite, classTypes })}
+              disabled={isInviting}
+            />
+          )}
+
           <ModalFooter>
             <Button
               type="button"
               variant="outline"
-              onClick={() => setIsAddModalOpen(false)}
-              disabled={isCreating}
+              onClick={() => setIsInviteModalOpen(false)}
+              disabled={isInviting}
             >
               Cancel
             </Button>
-            <Button type="submit" disabled={isCreating}>
-              {isCreating ? 'Creating...' : 'Create User'}
+            <Button type="submit" disabled={isInviting}>
+              {isInviting ? 'Sending...' : 'Send Invite'}
             </Button>
           </ModalFooter>
         </form>
@@ -458,19 +884,31 @@ const UserManagement = () => {
         {roleChangeTarget && (
           <div className="space-y-4">
             <p className="text-sm text-muted-foreground">
-              Change <strong>{roleChangeTarget.name}</strong>'s role from{' '}
-              <Badge variant={roleChangeTarget.role === 'ADMIN' ? 'default' : 'secondary'}>
-                {roleChangeTarget.role}
-              </Badge>{' '}
-              to{' '}
-              <Badge variant={roleChangeTarget.role === 'ADMIN' ? 'secondary' : 'default'}>
-                {roleChangeTarget.role === 'ADMIN' ? 'STAFF' : 'ADMIN'}
-              </Badge>
-              ?
+              Choose a new role for <strong>{roleChangeTarget.name}</strong> ({roleChangeTarget.email}).
             </p>
-            {roleChangeTarget.role === 'ADMIN' && (
+            <select
+              value={roleChange.role}
+              onChange={(e) => setRoleChange({ ...roleChange, role: e.target.value })}
+              className={inputClassName}
+              disabled={isChangingRole}
+            >
+              {roles.map((role) => (
+                <option key={role.key} value={role.key}>
+                  {role.name}
+                </option>
+              ))}
+            </select>
+            {isScopedRole(roleChange.role) && (
+              <ClassTypePicker
+                classes={classes}
+                selected={roleChange.classTypes}
+                onChange={(classTypes) => setRoleChange({ ...roleChange, classTypes })}
+                disabled={isChangingRole}
+              />
+            )}
+            {roleChangeTarget.role === 'ADMIN' && roleChange.role !== 'ADMIN' && (
               <p className="text-sm text-yellow-700 bg-yellow-50 rounded-md p-3">
-                Downgrading to Staff will remove their ability to manage users and templates.
+                They will lose every permission their new role doesn&apos;t grant, including managing users.
               </p>
             )}
             <ModalFooter>
@@ -538,6 +976,197 @@ const UserManagement = () => {
           </div>
         )}
       </Modal>
+
+      {/* Revoke Invite Confirmation */}
+      <Modal
+        isOpen={!!inviteRevokeTarget}
+        onClose={() => setInviteRevokeTarget(null)}
+        title="Revoke Invite"
+        size="sm"
+      >
+        {inviteRevokeTarget && (
+          <div className="space-y-4">
+            <p className="text-sm text-muted-foreground">
+              Revoke the invite for <strong>{inviteRevokeTarget.name}</strong> ({inviteRevokeTarget.email})?
+            </p>
+            <p className="text-sm text-red-700 bg-red-50 rounded-md p-3">
+              Their invite link stops working. You can invite the same email again later.
+            </p>
+            <ModalFooter>
+              <Button variant="outline" onClick={() => setInviteRevokeTarget(null)} disabled={isRevokingInvite}>
+                Cancel
+              </Button>
+              <Button variant="destructive" onClick={handleRevokeInvite} disabled={isRevokingInvite}>
+                {isRevokingInvite ? 'Revoking...' : 'Revoke'}
+              </Button>
+            </ModalFooter>
+          </div>
+        )}
+      </Modal>
+
+      {/* Reset Two-Factor Confirmation */}
+      <Modal
+        isOpen={!!twoFactorResetTarget}
+        onClose={() => setTwoFactorResetTarget(null)}
+        title="Reset Two-Factor"
+        size="sm"
+      >
+        {twoFactorResetTarget && (
+          <div className="space-y-4">
+            <p className="text-sm text-muted-foreground">
+              Reset two-factor authentication for <strong>{twoFactorResetTarget.name}</strong> (
+              {twoFactorResetTarget.email})?
+            </p>
+            <p className="text-sm text-yellow-800 bg-yellow-50 rounded-md p-3">
+              Their authenticator app and recovery codes stop working. Only do this if you&apos;ve confirmed who
+              is asking, e.g. after they lost their phone.
+            </p>
+            <ModalFooter>
+              <Button
+                variant="outline"
+                onClick={() => setTwoFactorResetTarget(null)}
+                disabled={isResettingTwoFactor}
+              >
+                Cancel
+              </Button>
+              <Button variant="destructive" onClick={handleResetTwoFactor} disabled={isResettingTwoFactor}>
+                {isResettingTwoFactor ? 'Resetting...' : 'Reset Two-Factor'}
+              </Button>
+            </ModalFooter>
+          </div>
+        )}
+      </Modal>
+
+      {/* Role Editor */}
+      <Modal
+        isOpen={!!roleForm}
+        onClose={() => setRoleForm(null)}
+        title={roleForm?.id ? `Edit ${roleForm.name}` : 'New Role'}
+        description="Choose what users with this role are allowed to do"
+        size="lg"
+      >
+        {roleForm && (
+          <form onSubmit={handleSaveRole} className="space-y-4">
+            <div className="grid grid-cols-1 gap-4 sm:grid-cols-2">
+              <div className="space-y-2">
+                <label htmlFor="role-key" className="text-sm font-medium text-foreground">
+                  Key *
+                </label>
+                <input
+                  id="role-key"
+                  type="text"
+                  value={roleForm.key}
+                  onChange={(e) => setRoleForm({ ...roleForm, key: e.target.value.toUpperCase() })}
+                  placeholder="TEACHING_ASSISTANT"
+                  className={`${inputClassName} font-mono`}
+                  disabled={isSavingRole || !!roleForm.id}
+                  required
+                />
+              </div>
+              <div className="space-y-2">
+                <label htmlFor="role-name" className="text-sm font-medium text-foreground">
+                  Name *
+                </label>
+                <input
+                  id="role-name"
+                  type="text"
+                  value={roleForm.name}
+                  onChange={(e) => setRoleForm({ ...roleForm, name: e.target.value })}
+                  placeholder="Teaching assistant"
+                  className={inputClassName}
+                  disabled={isSavingRole}
+                  required
+                />
+              </div>
+            </div>
+
+            <div className="space-y-2">
+              <label htmlFor="role-description" className="text-sm font-medium text-foreground">
+                Description
+              </label>
+              <input
+                id="role-description"
+                type="text"
+                value={roleForm.description}
+                onChange={(e) => setRoleForm({ ...roleForm, description: e.target.value })}
+                className={inputClassName}
+                disabled={isSavingRole}
+              />
+            </div>
+
+            <label className="flex items-center gap-2 text-sm font-medium text-foreground">
+              <input
+                type="checkbox"
+                checked={roleForm.scopedToClasses}
+                onChange={(e) => setRoleForm({ ...roleForm, scopedToClasses: e.target.checked })}
+                disabled={isSavingRole}
+              />
+              Only the classes each user teaches
+            </label>
+
+            <div className="space-y-2">
+              <p className="text-sm font-medium text-foreground">Permissions</p>
+              <div className="grid grid-cols-1 gap-2 sm:grid-cols-2">
+                {permissionCatalog.map((permission) => (
+                  <label key={permission.key} className="flex items-start gap-2 text-sm text-foreground">
+                    <input
+                      type="checkbox"
+                      className="mt-1"
+                      checked={roleForm.permissions.includes(permission.key)}
+                      onChange={() =>
+                        setRoleForm({ ...roleForm, permissions: toggle(roleForm.permissions, permission.key) })
+                      }
+                      disabled={isSavingRole}
+                    />
+                    <span>
+                      <span className="font-mono text-xs">{permission.key}</span>
+                      <span className="block text-xs text-muted-foreground">{permission.description}</span>
+                    </span>
+                  </label>
+                ))}
+              </div>
+            </div>
+
+            <ModalFooter>
+              <Button type="button" variant="outline" onClick={() => setRoleForm(null)} disabled={isSavingRole}>
+                Cancel
+              </Button>
+              <Button type="submit" disabled={isSavingRole}>
+                {isSavingRole ? 'Saving...' : roleForm.id ? 'Save Role' : 'Create Role'}
+              </Button>
+            </ModalFooter>
+          </form>
+        )}
+      </Modal>
+
+      {/* Delete Role Confirmation */}
+      <Modal
+        isOpen={!!roleDeleteTarget}
+        onClose={() => setRoleDeleteTarget(null)}
+        title="Delete Role"
+        size="sm"
+      >
+        {roleDeleteTarget && (
+          <div className="space-y-4">
+            <p className="text-sm text-muted-foreground">
+              Are you sure you want to delete the <strong>{roleDeleteTarget.name}</strong> role?
+            </p>
+            {roleDeleteTarget.adminCount > 0 && (
+              <p className="text-sm text-red-700 bg-red-50 rounded-md p-3">
+                {roleDeleteTarget.adminCount} user(s) still have this role. Move them to another role first.
+              </p>
+            )}
+            <ModalFooter>
+              <Button variant="outline" onClick={() => setRoleDeleteTarget(null)} disabled={isDeletingRole}>
+                Cancel
+              </Button>
+              <Button variant="destructive" onClick={handleDeleteRole} disabled={isDeletingRole}>
+                {isDeletingRole ? 'Deleting...' : 'Delete'}
+              </Button>
+            </ModalFooter>
+          </div>
+        )}
+      </Modal>
     </div>
   );
 };
@@ -24,6 +24,15 @@ export const getAllSignups = async (params = {}) => {
   });
 };
 
+/**
+ * Add a student to a class from the admin app (needs signups:create)
+ * @param {Object} data - Student and class details, as for the public signup form
+ * @returns {Promise<Object>} Created signup
+ */
+export const createSignup = async (data) => {
+  return await apiClient.post('/api/admin/signups', data);
+};
+
 /**
  * Update signup status (Admin only)
  * @param {string} signupId - Signup ID
@@ -52,26 +61,54 @@ export const deleteStudent = async (studentId) => {
   return await apiClient.delete(`/api/admin/signups/student/${studentId}`);
 };
 
+/**
+ * Get a student's full consent history for a compliance request (Admin only)
+ * @param {string} studentId - Student ID
+ * @returns {Promise<Object>} { student, records, exportedAt }
+ */
+export const getConsentHistory = async (studentId) => {
+  return await apiClient.get(`/api/admin/signups/student/${studentId}/consent`);
+};
+
+/**
+ * Export everything held about a student (data subject request, Admin only)
+ * @param {string} studentId - Student ID
+ * @returns {Promise<Object>} Data export bundle
+ */
+export const exportStudentData = async (studentId) => {
+  return await apiClient.get(`/api/admin/signups/student/${studentId}/export`);
+};
+
+/**
+ * Anonymize a student's personal data, keeping registrations for statistics (Admin only)
+ * @param {string} studentId - Student ID
+ * @returns {Promise<Object>} { erasedAt, summary }
+ */
+export const eraseStudentData = async (studentId) => {
+  return await apiClient.post(`/api/admin/signups/student/${studentId}/erase`, { confirm: true });
+};
+
 /**
  * Send reminder manually for a specific signup
  * @param {string} signupId - Signup ID
- * @returns {Promise<Object>} Send result
+ * @param {Object} [options] - { force } - resend even if this reminder already went out
+ * @returns {Promise<Object>} Send result ({ duplicate: true } when nothing was resent)
  */
-export const sendReminder = async (signupId) => {
-  return await apiClient.post(`/api/admin/reminders/${signupId}/send`);
+export const sendReminder = async (signupId, { force = false } = {}) => {
+  return await apiClient.post(`/api/admin/reminders/${signupId}/send`, { force });
 };
 
 /**
- * Reschedule a reminder
+ * Reschedule a reminder stage
  * @param {string} signupId - Signup ID
- * @param {number} reminderLevel - 1 or 2
+ * @param {number} stage - Reminder stage number (1-based)
  * @param {string} newDate - New scheduled date (ISO string)
  * @returns {Promise<Object>} Updated signup
  */
-export const rescheduleReminder = async (signupId, reminderLevel, newDate) => {
+export const rescheduleReminder = async (signupId, stage, newDate) => {
   return await apiClient.patch(`/api/admin/reminders/${signupId}/reschedule`, {
     reminderScheduledDate: newDate,
-    reminderLevel,
+    stage,
   });
 };
 
@@ -109,7 +146,7 @@ export const getAllUsers = async (params = {}) => {
 
 /**
  * Create a new user (admin or staff)
- * @param {Object} data - { name, email, password, role }
+ * @param {Object} data - { name, email, password, role, classTypes? }
  * @returns {Promise<Object>} Created user
  */
 export const createUser = async (data) => {
@@ -131,11 +168,12 @@ export const updateUser = async (userId, data) => {
 /**
  * Change a user's role
  * @param {string} userId - User ID
- * @param {string} role - New role (ADMIN or STAFF)
+ * @param {string} role - Role key
+ * @param {string[]} [classTypes] - Classes the user teaches, for class-scoped roles
  * @returns {Promise<Object>} Updated user
  */
-export const changeUserRole = async (userId, role) => {
-  const response = await apiClient.put(`/api/admin/manage/${userId}/role`, { role });
+export const changeUserRole = async (userId, role, classTypes) => {
+  const response = await apiClient.put(`/api/admin/manage/${userId}/role`, { role, classTypes });
   return response?.data || response;
 };
 
@@ -158,3 +196,123 @@ export const activateUser = async (userId) => {
   const response = await apiClient.put(`/api/admin/manage/${userId}/activate`);
   return response?.data || response;
 };
+
+// ============================================
+// Invites
+// ============================================
+
+/**
+ * Invite a user by email; they choose their own password from the link
+ * @param {Object} data - { name, email, role, classTypes? }
+ * @returns {Promise<Object>} { invite, emailSent }
+ */
+export const inviteUser = async (data) => {
+  const response = await apiClient.post('/api/admin/manage/invite', data);
+  return response?.data || response;
+};
+
+/**
+ * Get invites that haven't been accepted
+ * @returns {Promise<Object>} { invites }
+ */
+export const getInvites = async () => {
+  const response = await apiClient.get('/api/admin/manage/invites');
+  return response?.data || response;
+};
+
+/**
+ * Send a fresh invite link (the old one stops working)
+ * @param {string} inviteId - Invite ID
+ * @returns {Promise<Object>} { invite, emailSent }
+ */
+export const resendInvite = async (inviteId) => {
+  const response = await apiClient.post(`/api/admin/manage/invites/${inviteId}/resend`);
+  return response?.data || response;
+};
+
+/**
+ * Revoke a pending invite
+ * @param {string} inviteId - Invite ID
+ * @returns {Promise<Object>} Result
+ */
+export const revokeInvite = async (inviteId) => {
+  const response = await apiClient.delete(`/api/admin/manage/invites/${inviteId}`);
+  return response?.data || response;
+};
+
+/**
+ * Clear a user's two-factor so they can enroll again (e.g. lost phone)
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} Result
+ */
+export const resetUserTwoFactor = async (userId) => {
+  const response = await apiClient.delete(`/api/admin/manage/${userId}/2fa`);
+  return response?.data || response;
+};
+
+// ============================================
+// Security Settings
+// ============================================
+
+/**
+ * Get organisation-wide security settings
+ * @returns {Promise<Object>} { settings: { requireTwoFactor } }
+ */
+export const getSecuritySettings = async () => {
+  const response = await apiClient.get('/api/admin/manage/security');
+  return response?.data || response;
+};
+
+/**
+ * Update organisation-wide security settings
+ * @param {Object} data - { requireTwoFactor }
+ * @returns {Promise<Object>} { settings }
+ */
+export const updateSecuritySettings = async (data) => {
+  const response = await apiClient.put('/api/admin/manage/security', data);
+  return response?.data || response;
+};
+
+// ============================================
+// Roles & Permissions
+// ============================================
+
+/**
+ * Get all roles and the permission catalog
+ * @returns {Promise<Object>} { roles, permissions }
+ */
+export const getRoles = async () => {
+  const response = await apiClient.get('/api/admin/roles');
+  return response?.data || response;
+};
+
+/**
+ * Create a custom role
+ * @param {Object} data - { key, name, description?, scopedToClasses?, permissions }
+ * @returns {Promise<Object>} Created role
+ */
+export const createRole = async (data) => {
+  const response = await apiClient.post('/api/admin/roles', data);
+  return response?.data || response;
+};
+
+/**
+ * Update a role
+ * @param {string} roleId - Role ID
+ * @param {Object} data - { name?, description?, scopedToClasses?, permissions? }
+ * @returns {Promise<Object>} Updated role
+ */
+export const updateRole = async (roleId, data) => {
+  const response = await apiClient.put(`/api/admin/roles/${roleId}`, data);
+  return response?.data || response;
+};
+
+/**
+ * Delete a custom role
+ * @param {string} roleId - Role ID
+ * @returns {Promise<Object>} Result
+ */
+export const deleteRole = async (roleId) => {
+  const response = await apiClient.delete(`/api/admin/roles/${roleId}`);
+  return response?.data || response;
+};
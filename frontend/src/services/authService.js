@@ -10,6 +10,16 @@ export const login = async (email, password) => {
     return await apiClient.post('/api/admin/login', { email, password });
 };
 
+/**
+ * Second login step for accounts with two-factor on
+ * @param {string} challengeToken - From the password step
+ * @param {Object} credentials - { code } or { recoveryCode }
+ * @returns {Promise<Object>} Admin data and tokens
+ */
+export const verifyTwoFactorLogin = async (challengeToken, credentials) => {
+    return await apiClient.post('/api/admin/login/2fa', { challengeToken, ...credentials });
+};
+
 /**
  * Logout current admin
  * @returns {Promise<Object>}
@@ -26,6 +36,15 @@ export const getProfile = async () => {
     return await apiClient.get('/api/admin/me');
 };
 
+/**
+ * Update the signed-in admin's own profile
+ * @param {Object} data - { name?, email?, phone? }
+ * @returns {Promise<Object>} Updated profile
+ */
+export const updateProfile = async (data) => {
+    return await apiClient.put('/api/admin/me', data);
+};
+
 /**
  * Refresh access token
  * @returns {Promise<Object>}
@@ -33,3 +52,87 @@ export const getProfile = async () => {
 export const refreshToken = async () => {
     return await apiClient.post('/api/admin/refresh');
 };
+
+/**
+ * Email a password reset link. Resolves the same way whether or not the email has an account.
+ * @param {string} email
+ * @returns {Promise<Object>}
+ */
+export const forgotPassword = async (email) => {
+    return await apiClient.post('/api/admin/forgot-password', { email });
+};
+
+/**
+ * Set a new password from a reset link. Signs the admin out on every device.
+ * @param {string} token - Token from the reset link
+ * @param {string} newPassword
+ * @param {string} confirmPassword
+ * @returns {Promise<Object>}
+ */
+export const resetPassword = async (token, newPassword, confirmPassword) => {
+    return await apiClient.post('/api/admin/reset-password', { token, newPassword, confirmPassword });
+};
+
+/**
+ * Look up an invite link
+ * @param {string} token - Token from the invite link
+ * @returns {Promise<Object>} { email, name, expiresAt }
+ */
+export const getInvite = async (token) => {
+    return await apiClient.get('/api/admin/invite', { params: { token } });
+};
+
+/**
+ * Accept an invite by choosing a password
+ * @param {string} token - Token from the invite link
+ * @param {string} newPassword
+ * @param {string} confirmPassword
+ * @returns {Promise<Object>}
+ */
+export const acceptInvite = async (token, newPassword, confirmPassword) => {
+    return await apiClient.post('/api/admin/accept-invite', { token, newPassword, confirmPassword });
+};
+
+/**
+ * Current admin's two-factor status
+ * @returns {Promise<Object>} { enabled, enrollmentPending, recoveryCodesRemaining, required }
+ */
+export const getTwoFactorStatus = async () => {
+    return await apiClient.get('/api/admin/2fa');
+};
+
+/**
+ * Start two-factor enrollment
+ * @returns {Promise<Object>} { secret, otpauthUrl }
+ */
+export const setupTwoFactor = async () => {
+    return await apiClient.post('/api/admin/2fa/setup');
+};
+
+/**
+ * Finish enrollment with a code from the authenticator app
+ * @param {string} code
+ * @returns {Promise<Object>} { recoveryCodes }
+ */
+export const enableTwoFactor = async (code) => {
+    return await apiClient.post('/api/admin/2fa/enable', { code });
+};
+
+/**
+ * Turn two-factor off
+ * @param {string} password
+ * @param {string} code
+ * @returns {Promise<Object>}
+ */
+export const disableTwoFactor = async (password, code) => {
+    return await apiClient.post('/api/admin/2fa/disable', { password, code });
+};
+
+/**
+ * Replace the recovery codes
+ * @param {string} code
+ * @returns {Promise<Object>} { recoveryCodes }
+ */
+export const regenerateRecoveryCodes = async (code) => {
+    return await apiClient.post('/api/admin/2fa/recovery-codes', { code });
+};
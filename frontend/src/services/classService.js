@@ -0,0 +1,59 @@
+// frontend/src/services/classService.js
+import apiClient from './api';
+
+/**
+ * Get the public class catalog (includes inactive classes so old registrations keep their label)
+ * @returns {Promise<Array>} List of classes
+ */
+export const getClassCatalog = async () => {
+  const response = await apiClient.get('/api/students/classes');
+  return response?.data?.classes || [];
+};
+
+/**
+ * Get all class definitions with scheduling settings (Admin)
+ * @returns {Promise<Array>} List of class definitions
+ */
+export const getAllClasses = async () => {
+  const response = await apiClient.get('/api/admin/classes');
+  return response?.data?.classes || [];
+};
+
+/**
+ * Create a class definition (Admin only)
+ * @param {Object} data - { key, label, description?, renewalIntervalMonths, reminderOffsetDays?, isActive?, sortOrder? }
+ * @returns {Promise<Object>} Created class definition
+ */
+export const createClass = async (data) => {
+  const response = await apiClient.post('/api/admin/classes', data);
+  return response?.data?.classDefinition || null;
+};
+
+/**
+ * Update a class definition (Admin only)
+ * @param {string} classId - Class definition ID
+ * @param {Object} data - Fields to update
+ * @returns {Promise<Object>} Updated class definition
+ */
+export const updateClass = async (classId, data) => {
+  const response = await apiClient.patch(`/api/admin/classes/${classId}`, data);
+  return response?.data?.classDefinition || null;
+};
+
+/**
+ * Delete a class definition (Admin only)
+ * @param {string} classId - Class definition ID
+ * @returns {Promise<Object>} Deletion result
+ */
+export const deleteClass = async (classId) => {
+  const response = await apiClient.delete(`/api/admin/classes/${classId}`);
+  return response?.data;
+};
+
+export default {
+  getClassCatalog,
+  getAllClasses,
+  createClass,
+  updateClass,
+  deleteClass,
+};
@@ -2,7 +2,7 @@ import apiClient from './api';
 
 /**
  * Initiate registration - send OTP to email/phone
- * @param {Object} data - { email?, phone?, classType, verificationChannel }
+ * @param {Object} data - { email?, phone?, classType, verificationChannel, locale? }
  * @returns {Promise<Object>} Registration token and expiry info
  */
 export const initiateSignup = async (data) => {
@@ -25,11 +25,17 @@ export const verifyOtp = async (registrationToken, otp) => {
 /**
  * Complete registration after OTP verification
  * @param {string} verificationToken - Token from verify step
+ * @param {string} [completedAt] - Class completion date (defaults to today on the server)
+ * @param {string} [timezone] - IANA timezone (inferred from the phone area code on the server if omitted)
+ * @param {string} disclosureVersion - Version of the consent disclosure the student was shown
  * @returns {Promise<Object>} Signup and student data
  */
-export const completeSignup = async (verificationToken) => {
+export const completeSignup = async (verificationToken, completedAt, timezone, disclosureVersion) => {
   return await apiClient.post('/api/students/signup/complete', {
     verificationToken,
+    disclosureVersion,
+    ...(completedAt && { completedAt }),
+    ...(timezone && { timezone }),
   });
 };
 
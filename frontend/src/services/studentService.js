@@ -2,13 +2,21 @@ import apiClient from './api';
 
 /**
  * Create a new student signup
- * @param {Object} signupData - Signup data (email, phone, classType)
+ * @param {Object} signupData - Signup data (email, phone, classType, completedAt)
  * @returns {Promise<Object>} Signup response
  */
 export const createSignup = async (signupData) => {
   return await apiClient.post('/api/students/signup', signupData);
 };
 
+/**
+ * Get the consent disclosure shown before a registration is confirmed
+ * @returns {Promise<Object>} { version, text }
+ */
+export const getConsentDisclosure = async () => {
+  return await apiClient.get('/api/students/consent-disclosure');
+};
+
 /**
  * Get signup confirmation details
  * @param {string} signupId - Signup ID
@@ -36,3 +44,21 @@ export const getStudentSignups = async (studentId) => {
 export const updateOptOutPreference = async (studentId, preferences) => {
   return await apiClient.patch(`/api/students/${studentId}/opt-out`, preferences);
 };
+
+/**
+ * Export everything held about the verified student
+ * @param {string} token - Verification token from the My Registrations code check
+ * @returns {Promise<Object>} Data export bundle
+ */
+export const exportMyData = async (token) => {
+  return await apiClient.post('/api/students/data/export', { token });
+};
+
+/**
+ * Erase the verified student's personal data
+ * @param {string} token - Verification token from the My Registrations code check
+ * @returns {Promise<Object>} { erasedAt, summary }
+ */
+export const eraseMyData = async (token) => {
+  return await apiClient.post('/api/students/data/erase', { token, confirm: true });
+};
@@ -2,22 +2,32 @@
 import apiClient from './api';
 
 /**
- * Get all message templates
- * @returns {Promise<Array>} List of templates
+ * Get all message templates, with each class's reminder stages, the languages templates
+ * can be written in and the system messages (verification code, confirmation)
+ * @returns {Promise<Object>} { templates, stages: { [classType]: [{ stage, offsetDays }] }, locales: [{ code, name }], systemPurposes }
  */
 export const getAllTemplates = async () => {
     const response = await apiClient.get('/api/admin/templates');
-    return response?.data?.templates || [];
+    return {
+        templates: response?.data?.templates || [],
+        stages: response?.data?.stages || {},
+        locales: response?.data?.locales || [],
+        systemPurposes: response?.data?.systemPurposes || [],
+    };
 };
 
 /**
- * Get a specific template by class type and channel
- * @param {string} classType - Class type (TYPE_1, TYPE_2, etc.)
+ * Get a specific template by class type, channel, reminder stage and language
+ * @param {string} classType - Class type (TYPE_1, TYPE_2, etc.) or system message (VERIFICATION_CODE, ...)
  * @param {string} channel - Channel (EMAIL or SMS)
+ * @param {number} [stage] - Reminder stage (0 = the template for all reminders)
+ * @param {string} [locale] - Language (en, es)
  * @returns {Promise<Object|null>} Template or null
  */
-export const getTemplate = async (classType, channel) => {
-    const response = await apiClient.get(`/api/admin/templates/${classType}/${channel}`);
+export const getTemplate = async (classType, channel, stage = 0, locale = 'en') => {
+    const response = await apiClient.get(`/api/admin/templates/${classType}/${channel}`, {
+        params: { stage, locale },
+    });
     return response?.data?.template || null;
 };
 
@@ -25,14 +35,87 @@ export const getTemplate = async (classType, channel) => {
  * Create or update a template
  * @param {string} classType - Class type
  * @param {string} channel - Channel (EMAIL or SMS)
- * @param {Object} data - { subject?, body, scheduleLink?, variables? }
+ * @param {number} stage - Reminder stage (0 = the template for all reminders)
+ * @param {string} locale - Language
+ * @param {Object} data - { subject?, body, scheduleLink?, variables?, changeNote? }
  * @returns {Promise<Object>} Saved template
  */
-export const saveTemplate = async (classType, channel, data) => {
-    const response = await apiClient.put(`/api/admin/templates/${classType}/${channel}`, data);
+export const saveTemplate = async (classType, channel, stage, locale, data) => {
+    const response = await apiClient.put(`/api/admin/templates/${classType}/${channel}`, data, {
+        params: { stage, locale },
+    });
     return response?.data?.template || null;
 };
 
+/**
+ * Get a template's version history, newest first
+ * @param {string} classType - Class type
+ * @param {string} channel - Channel (EMAIL or SMS)
+ * @param {number} stage - Reminder stage
+ * @param {string} locale - Language
+ * @returns {Promise<Object>} { template, versions }
+ */
+export const getTemplateVersions = async (classType, channel, stage, locale) => {
+    const response = await apiClient.get(`/api/admin/templates/${classType}/${channel}/versions`, {
+        params: { stage, locale },
+    });
+    return response?.data || { template: null, versions: [] };
+};
+
+/**
+ * Compare two versions of a template
+ * @param {string} classType - Class type
+ * @param {string} channel - Channel (EMAIL or SMS)
+ * @param {number} stage - Reminder stage
+ * @param {string} locale - Language
+ * @param {number} from - Older version number
+ * @param {number} to - Newer version number
+ * @returns {Promise<Object>} { from, to, fields: [{ field, changed, lines }] }
+ */
+export const diffTemplateVersions = async (classType, channel, stage, locale, from, to) => {
+    const response = await apiClient.get(`/api/admin/templates/${classType}/${channel}/versions/diff`, {
+        params: { stage, locale, from, to },
+    });
+    return response?.data || null;
+};
+
+/**
+ * Restore an older version of a template (saved as a new version)
+ * @param {string} classType - Class type
+ * @param {string} channel - Channel (EMAIL or SMS)
+ * @param {number} stage - Reminder stage
+ * @param {string} locale - Language
+ * @param {number} version - Version number to restore
+ * @param {string} [changeNote] - Why it was restored
+ * @returns {Promise<Object>} { data: { template }, message }
+ */
+export const restoreTemplateVersion = async (classType, channel, stage, locale, version, changeNote) => {
+    return apiClient.post(
+        `/api/admin/templates/${classType}/${channel}/versions/${version}/restore`,
+        { changeNote },
+        { params: { stage, locale } }
+    );
+};
+
+/**
+ * Render a template as a student would receive it. Without a body the saved template is used.
+ * @param {Object} data - { classType, channel, stage, locale, subject?, body?, signupId? }
+ * @returns {Promise<Object>} { channel, to, subject, body, html, sms, isDefault, sample }
+ */
+export const previewTemplate = async (data) => {
+    const response = await apiClient.post('/api/admin/templates/preview', data);
+    return response?.data?.preview || null;
+};
+
+/**
+ * Send a rendered template to the signed-in admin's own email or phone
+ * @param {Object} data - { classType, channel, stage, locale, subject?, body?, signupId? }
+ * @returns {Promise<Object>} { data: { sent, to }, message }
+ */
+export const sendTestTemplate = async (data) => {
+    return apiClient.post('/api/admin/templates/test-send', data);
+};
+
 /**
  * Delete a template
  * @param {string} templateId - Template ID
@@ -47,5 +130,10 @@ export default {
     getAllTemplates,
     getTemplate,
     saveTemplate,
+    getTemplateVersions,
+    diffTemplateVersions,
+    restoreTemplateVersion,
+    previewTemplate,
+    sendTestTemplate,
     deleteTemplate,
 };
@@ -1,13 +1,15 @@
 import apiClient from './api';
 
 /**
- * Initiate opt-out flow - send OTP and get registrations
+ * Initiate opt-out flow - send a verification code
  * @param {string} destination - Email or phone number
- * @returns {Promise<Object>} Response with registrations and OTP delivery info
+ * @param {string} [purpose] - 'unsubscribe' or 'manage_registrations' (codes only work for their purpose)
+ * @returns {Promise<Object>} Response with OTP delivery info
  */
-export const initiateOptOut = async (destination) => {
+export const initiateOptOut = async (destination, purpose = 'unsubscribe') => {
   return await apiClient.post('/api/students/unsubscribe/initiate', {
     destination,
+    purpose,
   });
 };
 
@@ -15,12 +17,25 @@ export const initiateOptOut = async (destination) => {
  * Verify OTP for unsubscribe flow
  * @param {string} destination - Email or phone number
  * @param {string} otp - 6-digit OTP code
- * @returns {Promise<Object>} Verification response with token
+ * @param {string} [purpose] - Purpose the code was requested for
+ * @returns {Promise<Object>} Verification response with token (and registrations for manage_registrations)
  */
-export const verifyOtp = async (destination, otp) => {
+export const verifyOtp = async (destination, otp, purpose = 'unsubscribe') => {
   return await apiClient.post('/api/students/unsubscribe/verify', {
     destination,
     otp,
+    purpose,
+  });
+};
+
+/**
+ * Unsubscribe using the signed link from a reminder (no code needed)
+ * @param {string} token - Token from the link
+ * @returns {Promise<Object>} Response with the channel and student preferences
+ */
+export const oneClickUnsubscribe = async (token) => {
+  return await apiClient.post('/api/students/unsubscribe/one-click', {
+    token,
   });
 };
 
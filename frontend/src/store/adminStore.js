@@ -1,6 +1,7 @@
 import { create } from 'zustand';
 import { getAllSignups } from '@services/adminService';
-import { CLASS_TYPES, SIGNUP_STATUS } from '@utils/constants';
+import { SIGNUP_STATUS } from '@utils/constants';
+import { getNextReminderStage } from '@utils/formatters';
 
 const useAdminStore = create((set, get) => ({
   // Data state
@@ -192,9 +193,12 @@ const useAdminStore = create((set, get) => ({
     // Apply reminder status filter
     if (filters.reminderStatus) {
       filtered = filtered.filter((signup) => {
-        if (filters.reminderStatus === 'sent') return signup.reminderSentAt !== null;
-        if (filters.reminderStatus === 'pending') return signup.reminderSentAt === null;
-        if (filters.reminderStatus === 'failed') return signup.status === SIGNUP_STATUS.FAILED;
+        const stages = signup.reminderSchedules || [];
+        if (filters.reminderStatus === 'sent') return stages.some((stage) => stage.status === 'SENT');
+        if (filters.reminderStatus === 'pending') return getNextReminderStage(signup) !== null;
+        if (filters.reminderStatus === 'failed') {
+          return signup.status === SIGNUP_STATUS.FAILED || stages.some((stage) => stage.status === 'FAILED');
+        }
         return true;
       });
     }
@@ -217,10 +221,15 @@ const useAdminStore = create((set, get) => ({
       });
     }
 
-    // Apply sorting
+    // Apply sorting (nextReminderDate is derived from the signup's reminder stages)
+    const getSortValue = (signup) =>
+      sortConfig.field === 'nextReminderDate'
+        ? getNextReminderStage(signup)?.scheduledFor
+        : signup[sortConfig.field];
+
     filtered.sort((a, b) => {
-      const aValue = a[sortConfig.field];
-      const bValue = b[sortConfig.field];
+      const aValue = getSortValue(a);
+      const bValue = getSortValue(b);
 
       if (aValue === null || aValue === undefined) return 1;
       if (bValue === null || bValue === undefined) return -1;
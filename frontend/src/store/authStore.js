@@ -9,26 +9,18 @@ const useAuthStore = create((set, get) => ({
     error: null,
 
     // Actions
+    // Resolves with { twoFactorRequired, challengeToken } instead of signing in when the
+    // account has two-factor on; finish with completeTwoFactorLogin
     login: async (email, password) => {
         set({ isLoading: true, error: null });
         try {
             const response = await authService.login(email, password);
-            const admin = response.data?.admin || response.admin;
-            // Store tokens in localStorage for iOS Safari Bearer-token fallback
-            const tokens = response.data?.tokens || response.tokens;
-            if (tokens?.accessToken) {
-                localStorage.setItem('access_token', tokens.accessToken);
-            }
-            if (tokens?.refreshToken) {
-                localStorage.setItem('refresh_token', tokens.refreshToken);
+            const data = response.data || response;
+            if (data.twoFactorRequired) {
+                set({ isLoading: false });
+                return { success: false, twoFactorRequired: true, challengeToken: data.challengeToken };
             }
-            set({
-                admin,
-                isAuthenticated: true,
-                isLoading: false,
-                error: null,
-            });
-            return { success: true, admin };
+            return get().startSession(data);
         } catch (error) {
             set({
                 admin: null,
@@ -40,6 +32,36 @@ const useAuthStore = create((set, get) => ({
         }
     },
 
+    completeTwoFactorLogin: async (challengeToken, credentials) => {
+        set({ isLoading: true, error: null });
+        try {
+            const response = await authService.verifyTwoFactorLogin(challengeToken, credentials);
+            const data = response.data || response;
+            return { ...get().startSession(data), recoveryCodesRemaining: data.recoveryCodesRemaining };
+        } catch (error) {
+            set({ isLoading: false, error: error.message || 'Verification failed' });
+            throw error;
+        }
+    },
+
+    startSession: (data) => {
+        const { admin, tokens } = data;
+        // Store tokens in localStorage for iOS Safari Bearer-token fallback
+        if (tokens?.accessToken) {
+            localStorage.setItem('access_token', tokens.accessToken);
+        }
+        if (tokens?.refreshToken) {
+            localStorage.setItem('refresh_token', tokens.refreshToken);
+        }
+        set({
+            admin,
+            isAuthenticated: true,
+            isLoading: false,
+            error: null,
+        });
+        return { success: true, admin };
+    },
+
     logout: async () => {
         try {
             await authService.logout();
@@ -58,6 +80,20 @@ const useAuthStore = create((set, get) => ({
         }
     },
 
+    // Reset the password from an emailed link. The server ends every session, so any
+    // session held by this browser is dropped as well.
+    resetPassword: async (token, newPassword, confirmPassword) => {
+        const response = await authService.resetPassword(token, newPassword, confirmPassword);
+        localStorage.removeItem('access_token');
+        localStorage.removeItem('refresh_token');
+        set({
+            admin: null,
+            isAuthenticated: false,
+            error: null,
+        });
+        return response;
+    },
+
     checkAuth: async () => {
         set({ isLoading: true });
         try {
@@ -85,9 +121,20 @@ const useAuthStore = create((set, get) => ({
 
     clearError: () => set({ error: null }),
 
+    // Re-read the profile after two-factor changes (twoFactorEnabled, twoFactorSetupRequired)
+    refreshAdmin: async () => {
+        const response = await authService.getProfile();
+        const admin = response.data?.admin || response.admin;
+        set({ admin });
+        return admin;
+    },
+
     // Getters
     getAdmin: () => get().admin,
     getIsAuthenticated: () => get().isAuthenticated,
+
+    // Whether the signed-in admin's role grants a permission (e.g. 'signups:delete')
+    can: (permission) => get().admin?.permissions?.includes(permission) ?? false,
 }));
 
 export default useAuthStore;
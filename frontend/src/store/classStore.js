@@ -0,0 +1,51 @@
+import { useCallback } from 'react';
+import { create } from 'zustand';
+import { getClassCatalog } from '@services/classService';
+
+const useClassStore = create((set, get) => ({
+  // State
+  classes: [],
+  isLoading: false,
+  hasLoaded: false,
+  error: null,
+
+  // Actions - Fetch the class catalog (cached after the first load unless forced)
+  fetchClasses: async ({ force = false } = {}) => {
+    if (get().isLoading || (get().hasLoaded && !force)) {
+      return get().classes;
+    }
+    set({ isLoading: true, error: null });
+    try {
+      const classes = await getClassCatalog();
+      set({ classes, isLoading: false, hasLoaded: true });
+      return classes;
+    } catch (error) {
+      set({ isLoading: false, error: error.message });
+      return get().classes;
+    }
+  },
+
+  // Getters
+  getActiveClasses: () => {
+    return get().classes.filter((c) => c.isActive);
+  },
+
+  getLabel: (classType) => {
+    return get().classes.find((c) => c.key === classType)?.label || classType;
+  },
+}));
+
+/**
+ * Subscribe to the class catalog and get a key -> label resolver.
+ * Components re-render when the catalog loads or changes.
+ * @returns {Function} (classType) => label
+ */
+export const useClassLabel = () => {
+  const classes = useClassStore((state) => state.classes);
+  return useCallback(
+    (classType) => classes.find((c) => c.key === classType)?.label || classType,
+    [classes]
+  );
+};
+
+export default useClassStore;
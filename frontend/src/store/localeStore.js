@@ -0,0 +1,34 @@
+import { create } from 'zustand';
+import { resolveLocale, translate } from '@/i18n';
+
+const STORAGE_KEY = 'locale';
+
+// A language picked earlier on this device, otherwise the browser's
+const getInitialLocale = () => {
+  return resolveLocale(localStorage.getItem(STORAGE_KEY) || navigator.language);
+};
+
+const useLocaleStore = create((set) => ({
+  // State
+  locale: getInitialLocale(),
+
+  // Actions
+  setLocale: (locale) => {
+    const resolved = resolveLocale(locale);
+    localStorage.setItem(STORAGE_KEY, resolved);
+    document.documentElement.lang = resolved;
+    set({ locale: resolved });
+  },
+}));
+
+document.documentElement.lang = useLocaleStore.getState().locale;
+
+/**
+ * Translate outside components (stores, toasts) in the current language
+ * @param {string} key - Dotted message key
+ * @param {Object} [values] - Placeholder values
+ * @returns {string} Translated text
+ */
+export const t = (key, values) => translate(useLocaleStore.getState().locale, key, values);
+
+export default useLocaleStore;
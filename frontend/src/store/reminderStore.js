@@ -10,13 +10,13 @@ const useReminderStore = create((set, get) => ({
   sendError: null,
 
   // Actions - Send Reminder via API
-  sendReminderAsync: async (signupId) => {
+  sendReminderAsync: async (signupId, options = {}) => {
     set((state) => ({
       sendingReminders: [...state.sendingReminders, signupId],
       sendError: null,
     }));
     try {
-      const result = await adminService.sendReminder(signupId);
+      const result = await adminService.sendReminder(signupId, options);
       set((state) => ({
         sendingReminders: state.sendingReminders.filter((id) => id !== signupId),
       }));
@@ -31,9 +31,9 @@ const useReminderStore = create((set, get) => ({
   },
 
   // Actions - Reschedule Reminder via API
-  rescheduleReminderAsync: async (signupId, reminderLevel, newDate) => {
+  rescheduleReminderAsync: async (signupId, stage, newDate) => {
     try {
-      const result = await adminService.rescheduleReminder(signupId, reminderLevel, newDate);
+      const result = await adminService.rescheduleReminder(signupId, stage, newDate);
       return result;
     } catch (error) {
       throw error;
@@ -1,12 +1,20 @@
 import { create } from 'zustand';
-import { isValidEmail, isValidPhone } from '@utils/formatters';
-import { ERROR_MESSAGES } from '@utils/constants';
+import { formatDate, isValidEmail, isValidPhone } from '@utils/formatters';
+import { TIMEZONE_OPTIONS } from '@utils/constants';
+import useLocaleStore, { t } from '@store/localeStore';
 import {
   initiateSignup,
   verifyOtp,
   completeSignup,
   resendOtp,
 } from '@services/registrationOtpService';
+import { getConsentDisclosure } from '@services/studentService';
+
+// Pre-select the browser's timezone when it is one we offer
+const getDefaultTimezone = () => {
+  const browserTimezone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+  return TIMEZONE_OPTIONS.some((option) => option.value === browserTimezone) ? browserTimezone : '';
+};
 
 const useStudentStore = create((set, get) => ({
   // State
@@ -15,6 +23,8 @@ const useStudentStore = create((set, get) => ({
     name: '',
     email: '',
     phone: '',
+    completedAt: '', // yyyy-MM-dd, empty = today
+    timezone: getDefaultTimezone(), // empty = infer from phone area code
   },
   errors: {},
   isSubmitting: false,
@@ -35,7 +45,20 @@ const useStudentStore = create((set, get) => ({
   isResendingOtp: false,
   verifiedChannels: [], // tracks which channels have been verified
 
+  // Consent disclosure shown on the confirmation screen ({ version, text })
+  consentDisclosure: null,
+
   // Actions
+  loadConsentDisclosure: async () => {
+    if (get().consentDisclosure) return;
+    try {
+      const result = await getConsentDisclosure();
+      set({ consentDisclosure: result.data });
+    } catch (error) {
+      console.error('Load consent disclosure error:', error);
+    }
+  },
+
   setSelectedClassType: (classType) => {
     set({ selectedClassType: classType });
   },
@@ -63,12 +86,12 @@ const useStudentStore = create((set, get) => ({
 
     // Validate class type
     if (!selectedClassType) {
-      errors.classType = 'Please select a training type';
+      errors.classType = t('validation.classTypeRequired');
     }
 
     // Validate name
     if (!formData.name || formData.name.trim() === '') {
-      errors.name = 'Name is required';
+      errors.name = t('validation.nameRequired');
     }
 
     // Validate contact info - require at least one
@@ -76,19 +99,24 @@ const useStudentStore = create((set, get) => ({
     const hasPhone = formData.phone && formData.phone.trim() !== '';
 
     if (!hasEmail && !hasPhone) {
-      errors.contact = 'Please provide either email or phone number';
-      errors.email = ERROR_MESSAGES.REQUIRED_FIELD('Email or Phone');
-      errors.phone = ERROR_MESSAGES.REQUIRED_FIELD('Email or Phone');
+      errors.contact = t('validation.contactRequired');
+      errors.email = t('validation.emailOrPhoneRequired');
+      errors.phone = t('validation.emailOrPhoneRequired');
     }
 
     // Validate email format if provided
     if (hasEmail && !isValidEmail(formData.email)) {
-      errors.email = ERROR_MESSAGES.INVALID_EMAIL;
+      errors.email = t('validation.invalidEmail');
     }
 
     // Validate phone format if provided
     if (hasPhone && !isValidPhone(formData.phone)) {
-      errors.phone = ERROR_MESSAGES.INVALID_PHONE;
+      errors.phone = t('validation.invalidPhone');
+    }
+
+    // Completion date is optional but cannot be in the future
+    if (formData.completedAt && formData.completedAt > formatDate(new Date(), 'yyyy-MM-dd')) {
+      errors.completedAt = t('validation.completedAtFuture');
     }
 
     set({ errors });
@@ -148,6 +176,8 @@ const useStudentStore = create((set, get) => ({
         phone: formData.phone || null,
         classType: selectedClassType,
         verificationChannel: selectedChannel,
+        // Verification codes, the confirmation and reminders are sent in this language
+        locale: useLocaleStore.getState().locale,
       });
 
       set({
@@ -163,11 +193,11 @@ const useStudentStore = create((set, get) => ({
     } catch (error) {
       console.error('Initiate signup error:', error);
 
-      let errorMessage = error.message || 'Failed to send verification code. Please try again.';
+      let errorMessage = error.message || t('signup.sendCodeFailed');
 
       // Handle specific errors
       if (error.code === 'EMAIL_EXISTS' || error.code === 'PHONE_EXISTS' || error.status === 409) {
-        errorMessage = 'This email or phone number is already registered.';
+        errorMessage = t('signup.alreadyRegisteredShort');
       }
 
       set({
@@ -220,7 +250,7 @@ const useStudentStore = create((set, get) => ({
 
       set({
         isVerifyingOtp: false,
-        otpError: error.message || 'Invalid verification code. Please try again.',
+        otpError: error.message || t('unsubscribe.codeInvalid'),
       });
 
       return false;
@@ -231,12 +261,17 @@ const useStudentStore = create((set, get) => ({
    * Complete registration after OTP verification
    */
   completeOtpSignup: async () => {
-    const { verificationToken } = get();
+    const { verificationToken, formData, consentDisclosure } = get();
 
     set({ isSubmitting: true, otpError: null });
 
     try {
-      const result = await completeSignup(verificationToken);
+      const result = await completeSignup(
+        verificationToken,
+        formData.completedAt || undefined,
+        formData.timezone || undefined,
+        consentDisclosure?.version
+      );
 
       set({
         isSubmitting: false,
@@ -251,8 +286,8 @@ const useStudentStore = create((set, get) => ({
 
       set({
         isSubmitting: false,
-        otpError: error.message || 'Failed to complete registration. Please try again.',
-        submitError: error.message || 'Failed to complete registration. Please try again.',
+        otpError: error.message || t('signup.completeFailed'),
+        submitError: error.message || t('signup.completeFailed'),
       });
 
       return false;
@@ -281,7 +316,7 @@ const useStudentStore = create((set, get) => ({
 
       set({
         isResendingOtp: false,
-        otpError: error.message || 'Failed to resend code. Please try again.',
+        otpError: error.message || t('signup.resendFailed'),
       });
 
       return false;
@@ -319,6 +354,8 @@ const useStudentStore = create((set, get) => ({
         name: '',
         email: '',
         phone: '',
+        completedAt: '',
+        timezone: getDefaultTimezone(),
       },
       errors: {},
       isSubmitting: false,
@@ -1,23 +1,3 @@
-// Training class types
-export const CLASS_TYPES = {
-  TYPE_1: 'TYPE_1',
-  TYPE_2: 'TYPE_2',
-  TYPE_3: 'TYPE_3',
-  TYPE_4: 'TYPE_4',
-  TYPE_5: 'TYPE_5',
-  TYPE_6: 'TYPE_6',
-};
-
-// Human-readable class type labels
-export const CLASS_TYPE_LABELS = {
-  TYPE_1: 'Initial Firearms',
-  TYPE_2: 'Firearms Requalification',
-  TYPE_3: 'CPR/AED and/or First Aid',
-  TYPE_4: 'Handcuffing and/or Pepper Spray',
-  TYPE_5: 'CEW / Taser',
-  TYPE_6: 'Baton',
-};
-
 // Signup statuses
 export const SIGNUP_STATUS = {
   PENDING: 'PENDING',
@@ -46,6 +26,26 @@ export const DELIVERY_STATUS = {
   BOUNCED: 'BOUNCED',
 };
 
+// Where an opt-out change came from (opt-out audit trail)
+export const OPT_OUT_SOURCE_LABELS = {
+  WEB: 'Unsubscribe page',
+  LINK: 'Unsubscribe link',
+  LIST_UNSUBSCRIBE: 'Email client unsubscribe',
+  PORTAL: 'Student portal',
+  SMS: 'SMS reply',
+};
+
+// Timezones offered at signup - reminders are only sent outside quiet hours in this zone
+export const TIMEZONE_OPTIONS = [
+  { value: 'America/New_York', label: 'Eastern' },
+  { value: 'America/Chicago', label: 'Central' },
+  { value: 'America/Denver', label: 'Mountain' },
+  { value: 'America/Phoenix', label: 'Arizona' },
+  { value: 'America/Los_Angeles', label: 'Pacific' },
+  { value: 'America/Anchorage', label: 'Alaska' },
+  { value: 'Pacific/Honolulu', label: 'Hawaii' },
+];
+
 // Form field types
 export const CONTACT_TYPE = {
   EMAIL: 'email',
@@ -99,13 +99,3 @@ export const SUCCESS_MESSAGES = {
   SIGNUP_SUCCESS: 'Signup successful! You will receive a reminder before your class.',
   OPT_OUT_SUCCESS: 'Your preferences have been updated successfully.',
 };
-
-// Class type reminder intervals (in months after signup)
-export const CLASS_REMINDER_INTERVALS = {
-  TYPE_1: 4,   // Initial Firearms - 4 months
-  TYPE_2: 5,   // Firearms Requalification - 5 months
-  TYPE_3: 11,  // CPR/AED & First Aid - 11 months
-  TYPE_4: 11,  // Handcuffing / Pepper Spray - 11 months
-  TYPE_5: 11,  // CEW / Taser - 11 months
-  TYPE_6: 11,  // Baton - 11 months
-};
@@ -1,4 +1,14 @@
 import { formatDate, formatPhone, getClassTypeLabel } from './formatters';
+import { OPT_OUT_SOURCE_LABELS } from './constants';
+
+// Escape and quote CSV fields
+const escapeCSVField = (field) => {
+  const stringField = String(field);
+  if (stringField.includes(',') || stringField.includes('"') || stringField.includes('\n')) {
+    return `"${stringField.replace(/"/g, '""')}"`;
+  }
+  return stringField;
+};
 
 /**
  * Convert signups data to CSV format
@@ -10,6 +20,10 @@ export const convertToCSV = (signups) => {
     return '';
   }
 
+  // One Date/Status/Sent At column group per reminder stage, sized to the signup with the most stages
+  const stageCount = Math.max(0, ...signups.map((signup) => signup.reminderSchedules?.length || 0));
+  const stageNumbers = Array.from({ length: stageCount }, (_, index) => index + 1);
+
   // Define CSV headers
   const headers = [
     'Signup ID',
@@ -17,12 +31,13 @@ export const convertToCSV = (signups) => {
     'Student Phone',
     'Training Type',
     'Overall Status',
-    '1st Reminder Date',
-    '1st Reminder Status',
-    '1st Reminder Sent At',
-    '2nd Reminder Date',
-    '2nd Reminder Status',
-    '2nd Reminder Sent At',
+    'Completed At',
+    'Expires At',
+    ...stageNumbers.flatMap((n) => [
+      `Reminder ${n} Date`,
+      `Reminder ${n} Status`,
+      `Reminder ${n} Sent At`,
+    ]),
     'Opted Out Email',
     'Opted Out SMS',
     'Signup Date',
@@ -30,33 +45,31 @@ export const convertToCSV = (signups) => {
 
   // Convert data to CSV rows
   const rows = signups.map((signup) => {
+    const stageColumns = stageNumbers.flatMap((n) => {
+      const stage = signup.reminderSchedules?.find((s) => s.stage === n);
+      if (!stage) return ['', '', ''];
+      return [
+        formatDate(stage.scheduledFor, 'yyyy-MM-dd HH:mm:ss') || '',
+        stage.status || '',
+        stage.sentAt ? formatDate(stage.sentAt, 'yyyy-MM-dd HH:mm:ss') : '',
+      ];
+    });
+
     return [
       signup.id || '',
       signup.student?.email || '',
       formatPhone(signup.student?.phone) || '',
       getClassTypeLabel(signup.classType) || '',
       signup.status || '',
-      formatDate(signup.firstReminderDate, 'yyyy-MM-dd HH:mm:ss') || '',
-      signup.firstReminderStatus || '',
-      formatDate(signup.firstReminderSentAt, 'yyyy-MM-dd HH:mm:ss') || '',
-      formatDate(signup.secondReminderDate, 'yyyy-MM-dd HH:mm:ss') || '',
-      signup.secondReminderStatus || '',
-      formatDate(signup.secondReminderSentAt, 'yyyy-MM-dd HH:mm:ss') || '',
+      signup.completedAt ? formatDate(signup.completedAt, 'yyyy-MM-dd') : '',
+      signup.expiresAt ? formatDate(signup.expiresAt, 'yyyy-MM-dd') : '',
+      ...stageColumns,
       signup.student?.optedOutEmail ? 'Yes' : 'No',
       signup.student?.optedOutSms ? 'Yes' : 'No',
       formatDate(signup.createdAt, 'yyyy-MM-dd HH:mm:ss') || '',
     ];
   });
 
-  // Escape and quote CSV fields
-  const escapeCSVField = (field) => {
-    const stringField = String(field);
-    if (stringField.includes(',') || stringField.includes('"') || stringField.includes('\n')) {
-      return `"${stringField.replace(/"/g, '""')}"`;
-    }
-    return stringField;
-  };
-
   // Build CSV string
   const csvContent = [
     headers.map(escapeCSVField).join(','),
@@ -72,8 +85,18 @@ export const convertToCSV = (signups) => {
  * @param {string} filename - Name of the file to download
  */
 export const downloadCSV = (csvContent, filename = 'signups-export.csv') => {
-  // Create blob from CSV content
-  const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
+  downloadFile(csvContent, filename, 'text/csv;charset=utf-8;');
+};
+
+/**
+ * Download text content as a file
+ * @param {string} content - File content
+ * @param {string} filename - Name of the file to download
+ * @param {string} type - MIME type
+ */
+const downloadFile = (content, filename, type) => {
+  // Create blob from content
+  const blob = new Blob([content], { type });
 
   // Create download link
   const link = document.createElement('a');
@@ -129,3 +152,90 @@ export const generateExportFilename = (filters) => {
 
   return `${filename}.csv`;
 };
+
+/**
+ * Export a student's consent history (compliance request) to a CSV file
+ * @param {Object} history - { student, records, exportedAt } from the consent history endpoint
+ */
+export const exportConsentHistoryToCSV = (history) => {
+  const headers = [
+    'Recorded At',
+    'Channel',
+    'Consent',
+    'Source',
+    'Destination',
+    'Registration ID',
+    'Verified Channels',
+    'SMS Keyword',
+    'IP Address',
+    'User Agent',
+    'Disclosure Version',
+    'Disclosure Text',
+  ];
+
+  const rows = history.records.map((record) => [
+    formatDate(record.createdAt, 'yyyy-MM-dd HH:mm:ss') || '',
+    record.channel,
+    record.granted ? 'Given' : 'Withdrawn',
+    record.source === 'REGISTRATION' ? 'Registration' : OPT_OUT_SOURCE_LABELS[record.source] || record.source,
+    record.destination || '',
+    record.signupId || '',
+    (record.verifiedChannels || []).join(' '),
+    record.keyword || '',
+    record.ipAddress || '',
+    record.userAgent || '',
+    record.disclosureVersion || '',
+    record.disclosureText || '',
+  ]);
+
+  const csvContent = [
+    headers.map(escapeCSVField).join(','),
+    ...rows.map((row) => row.map(escapeCSVField).join(',')),
+  ].join('\n');
+
+  const timestamp = new Date().toISOString().split('T')[0];
+  downloadCSV(csvContent, `consent-history-${history.student.id}-${timestamp}.csv`);
+};
+
+/**
+ * Download a student's data export (data subject request) as JSON, or as a CSV with
+ * one section per table
+ * @param {Object} bundle - { exportedAt, student, signups, deliveryLogs, optOutEvents, consentRecords }
+ * @param {string} format - 'json' or 'csv'
+ */
+export const exportStudentDataBundle = (bundle, format = 'json') => {
+  const timestamp = new Date().toISOString().split('T')[0];
+  const filename = `student-data-${bundle.student.id}-${timestamp}`;
+
+  if (format === 'json') {
+    downloadFile(JSON.stringify(bundle, null, 2), `${filename}.json`, 'application/json');
+    return;
+  }
+
+  const formatValue = (value) => {
+    if (value === null || value === undefined) return '';
+    if (Array.isArray(value)) return value.map(formatValue).join(' ');
+    if (typeof value === 'object') return JSON.stringify(value);
+    return value;
+  };
+
+  const toSection = (title, rows) => {
+    if (rows.length === 0) return [title, '(none)'].join('\n');
+    const headers = Object.keys(rows[0]);
+    return [
+      title,
+      headers.map(escapeCSVField).join(','),
+      ...rows.map((row) => headers.map((key) => escapeCSVField(formatValue(row[key]))).join(',')),
+    ].join('\n');
+  };
+
+  const csvContent = [
+    toSection('Profile', [bundle.student]),
+    toSection('Registrations', bundle.signups),
+    toSection('Delivery Log', bundle.deliveryLogs),
+    toSection('Opt-out History', bundle.optOutEvents),
+    toSection('Consent Records', bundle.consentRecords),
+  ].join('\n\n');
+
+  downloadCSV(csvContent, `${filename}.csv`);
+};
@@ -1,17 +1,24 @@
-import { format, parseISO } from 'date-fns';
+import { differenceInCalendarDays, format, parseISO } from 'date-fns';
+import { es } from 'date-fns/locale';
+import useClassStore from '@store/classStore';
+import { TIMEZONE_OPTIONS } from '@utils/constants';
+
+// date-fns locales for the student page languages other than English
+const DATE_LOCALES = { es };
 
 /**
  * Format a date string or Date object
  * @param {string|Date} date - Date to format
  * @param {string} formatString - Format string (date-fns format)
+ * @param {string} [locale] - Language of month and weekday names (English if not given)
  * @returns {string} Formatted date string
  */
-export const formatDate = (date, formatString = 'MMM dd, yyyy') => {
+export const formatDate = (date, formatString = 'MMM dd, yyyy', locale) => {
   if (!date) return '-';
 
   try {
     const dateObj = typeof date === 'string' ? parseISO(date) : date;
-    return format(dateObj, formatString);
+    return format(dateObj, formatString, { locale: DATE_LOCALES[locale] });
   } catch (error) {
     console.error('Date formatting error:', error);
     return '-';
@@ -71,21 +78,12 @@ export const capitalizeWords = (str) => {
 };
 
 /**
- * Convert class type enum to readable label
- * @param {string} classType - Class type enum value
- * @returns {string} Human-readable label
+ * Convert class key to readable label using the loaded class catalog
+ * @param {string} classType - Class key
+ * @returns {string} Human-readable label (falls back to the key)
  */
 export const getClassTypeLabel = (classType) => {
-  const labels = {
-    TYPE_1: 'Initial Firearms',
-    TYPE_2: 'Firearms Requalification',
-    TYPE_3: 'CPR/AED and/or First Aid',
-    TYPE_4: 'Handcuffing and/or Pepper Spray',
-    TYPE_5: 'CEW / Taser',
-    TYPE_6: 'Baton',
-  };
-
-  return labels[classType] || classType;
+  return useClassStore.getState().getLabel(classType);
 };
 
 /**
@@ -96,8 +94,10 @@ export const getClassTypeLabel = (classType) => {
 export const getStatusLabel = (status) => {
   const labels = {
     PENDING: 'Pending',
+    QUEUED: 'Sending',
     SENT: 'Sent',
     FAILED: 'Failed',
+    SKIPPED: 'Skipped',
   };
 
   return labels[status] || status;
@@ -111,13 +111,74 @@ export const getStatusLabel = (status) => {
 export const getStatusColor = (status) => {
   const colors = {
     PENDING: 'bg-yellow-100 text-yellow-800 border-yellow-200',
+    QUEUED: 'bg-blue-100 text-blue-800 border-blue-200',
     SENT: 'bg-green-100 text-green-800 border-green-200',
     FAILED: 'bg-red-100 text-red-800 border-red-200',
+    SKIPPED: 'bg-gray-100 text-gray-500 border-gray-200',
   };
 
   return colors[status] || 'bg-gray-100 text-gray-800 border-gray-200';
 };
 
+/**
+ * Describe when a reminder stage goes out relative to expiry
+ * @param {number} offsetDays - Days before expiry (negative = overdue)
+ * @returns {string} e.g. "30 days before expiry", "On expiry", "7 days overdue"
+ */
+export const formatStageOffset = (offsetDays) => {
+  if (offsetDays === 0) return 'On expiry';
+  const days = Math.abs(offsetDays);
+  const unit = days === 1 ? 'day' : 'days';
+  return offsetDays > 0 ? `${days} ${unit} before expiry` : `${days} ${unit} overdue`;
+};
+
+/**
+ * Friendly name for a student's timezone
+ * @param {string|null} timezone - IANA timezone
+ * @returns {string} e.g. "Central (America/Chicago)"
+ */
+export const formatTimezone = (timezone) => {
+  if (!timezone) return 'Not set (from phone area code)';
+  const option = TIMEZONE_OPTIONS.find((tz) => tz.value === timezone);
+  return option ? `${option.label} (${timezone})` : timezone;
+};
+
+/**
+ * Get the next reminder stage that has not gone out yet
+ * @param {Object} signup - Signup with reminderSchedules
+ * @returns {Object|null} Next pending stage or null when all stages are done
+ */
+export const getNextReminderStage = (signup) => {
+  return (
+    signup?.reminderSchedules?.find((stage) => stage.status === 'PENDING' || stage.status === 'QUEUED') ||
+    null
+  );
+};
+
+/**
+ * Whole days from today until a certification expires (negative once expired)
+ * @param {string|Date} expiresAt - Expiry date
+ * @returns {number|null} Days until expiry or null when unknown
+ */
+export const getDaysUntilExpiry = (expiresAt) => {
+  if (!expiresAt) return null;
+  const expiry = typeof expiresAt === 'string' ? parseISO(expiresAt) : expiresAt;
+  return differenceInCalendarDays(expiry, new Date());
+};
+
+/**
+ * Format days until expiry for display
+ * @param {number|null} days - Result of getDaysUntilExpiry
+ * @returns {string} e.g. "in 12 days", "today", "3 days ago"
+ */
+export const formatDaysUntilExpiry = (days) => {
+  if (days === null || days === undefined) return '-';
+  if (days === 0) return 'Expires today';
+  const count = Math.abs(days);
+  const unit = count === 1 ? 'day' : 'days';
+  return days > 0 ? `${count} ${unit} left` : `Expired ${count} ${unit} ago`;
+};
+
 /**
  * Truncate text to specified length
  * @param {string} text - Text to truncate